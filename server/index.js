@@ -11,6 +11,11 @@ import sessionRoutes from './routes/sessions.js';
 import documentRoutes from './routes/documents.js';
 import ocrRoutes from './routes/ocr.js';
 import downloadRoutes from './routes/downloads.js';
+import jobRoutes from './routes/jobs.js';
+import fieldRoutes from './routes/fields.js';
+import templateRoutes from './routes/templates.js';
+import adminRoutes from './routes/admin.js';
+import { startJobWorker } from './services/jobQueue.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,6 +46,10 @@ app.use('/api/sessions', sessionRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/ocr', ocrRoutes);
 app.use('/api/downloads', downloadRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/fields', fieldRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -54,7 +63,9 @@ app.get('/api/health', (req, res) => {
       automaticProcessing: 'enabled',
       documentSplitting: 'enabled',
       enhancedOCR: 'enabled',
-      downloadManager: 'enabled'
+      downloadManager: 'enabled',
+      jobQueue: 'enabled',
+      templateRegistry: 'enabled'
     }
   });
 });
@@ -92,6 +103,11 @@ app.listen(PORT, () => {
   console.log(`💾 Download Manager: Multiple formats available`);
   console.log(`🤖 Automatic Processing: Enabled`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Queued processing jobs resume once the server is up
+  startJobWorker().catch(error => {
+    console.error('❌ Could not start the job worker:', error.message);
+  });
 });
 
 export default app;
\ No newline at end of file
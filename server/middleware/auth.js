@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { UserModel } from '../models/User.js';
+import { hasPermission } from '../services/permissions.js';
+import { isSignInActive } from '../services/authTokens.js';
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -11,29 +13,63 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens from before sign-ins could be ended carry no sign-in
+    if (!decoded.sid || !(await isSignInActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Your sign-in has ended, sign in again', code: 'signed_out' });
+    }
+
     const user = await UserModel.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ error: 'This account is disabled', code: 'signed_out' });
+    }
+
     req.user = {
       userId: user.id,
       email: user.email,
       name: user.name,
-      role: user.role
+      role: user.role,
+      signInId: decoded.sid
     };
     
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
     console.error('Authentication error:', error);
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    return res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+// Whether the user of a request authenticated earlier may still act: the
+// sign-in has not ended and the account is still enabled. Long-lived
+// responses such as event streams check this while they run.
+export const isStillSignedIn = async (user) => {
+  if (!user.signInId || !(await isSignInActive(user.signInId))) return false;
+
+  const account = await UserModel.findById(user.userId);
+  return Boolean(account && account.isActive);
+};
+
 export const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
-};
\ No newline at end of file
+};
+
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: `Your role (${req.user.role}) does not allow this`, permission });
+  }
+  next();
+};
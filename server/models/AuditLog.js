@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import { sql, getPool } from '../config/database.js';
+
+// Append-only trail of every user and system action. Each entry carries the
+// hash of the one before it, so changing or removing an entry breaks the
+// chain from that point on; the table itself refuses updates and deletes.
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entries read at a time when the chain is verified
+const VERIFY_BATCH_SIZE = 1000;
+
+const AUDIT_COLUMNS = `
+  id,
+  sequence,
+  actorType,
+  actorId,
+  actorName,
+  ipAddress,
+  action,
+  entityType,
+  entityId,
+  sessionId,
+  beforeValue,
+  afterValue,
+  createdAt,
+  previousHash,
+  hash
+`;
+
+const toJSON = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+const parseJSON = (value) => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// SQL Server reads UNIQUEIDENTIFIERs back upper-case, whatever case they
+// were written in
+const toGuid = (value) => (value ? String(value).toUpperCase() : null);
+
+// The hash of an entry covers everything recorded about it, in a fixed order
+export const hashAuditEntry = (entry) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    Number(entry.sequence),
+    entry.previousHash,
+    new Date(entry.createdAt).toISOString(),
+    entry.actorType,
+    toGuid(entry.actorId),
+    entry.actorName || null,
+    entry.ipAddress || null,
+    entry.action,
+    entry.entityType,
+    entry.entityId || null,
+    toGuid(entry.sessionId),
+    entry.beforeValue || null,
+    entry.afterValue || null
+  ]))
+  .digest('hex');
+
+const toAuditEntry = (row) => ({
+  id: row.id,
+  sequence: Number(row.sequence),
+  actorType: row.actorType,
+  actorId: row.actorId || null,
+  actorName: row.actorName || null,
+  ipAddress: row.ipAddress || null,
+  action: row.action,
+  entityType: row.entityType,
+  entityId: row.entityId || null,
+  sessionId: row.sessionId || null,
+  before: parseJSON(row.beforeValue),
+  after: parseJSON(row.afterValue),
+  createdAt: row.createdAt,
+  previousHash: row.previousHash,
+  hash: row.hash
+});
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class AuditLogModel {
+  // Append an entry to the end of the chain. Appends are serialised on the
+  // last entry so no two entries share a predecessor.
+  static async append(entry) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const lastResult = await new sql.Request(transaction).query(`
+        SELECT TOP 1 sequence, hash
+        FROM audit_log WITH (UPDLOCK, HOLDLOCK)
+        ORDER BY sequence DESC
+      `);
+      const last = lastResult.recordset[0];
+
+      const record = {
+        sequence: last ? Number(last.sequence) + 1 : 1,
+        previousHash: last ? last.hash : GENESIS_HASH,
+        createdAt: new Date(),
+        actorType: entry.actorType,
+        actorId: entry.actorId || null,
+        actorName: entry.actorName || null,
+        ipAddress: entry.ipAddress || null,
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId ? String(entry.entityId) : null,
+        sessionId: entry.sessionId || null,
+        beforeValue: toJSON(entry.before),
+        afterValue: toJSON(entry.after)
+      };
+      record.hash = hashAuditEntry(record);
+
+      const result = await new sql.Request(transaction)
+        .input('sequence', sql.BigInt, record.sequence)
+        .input('actorType', sql.NVarChar(20), record.actorType)
+        .input('actorId', sql.VarChar(50), record.actorId)
+        .input('actorName', sql.NVarChar(255), record.actorName)
+        .input('ipAddress', sql.NVarChar(64), record.ipAddress)
+        .input('action', sql.NVarChar(100), record.action)
+        .input('entityType', sql.NVarChar(50), record.entityType)
+        .input('entityId', sql.NVarChar(100), record.entityId)
+        .input('sessionId', sql.VarChar(50), record.sessionId)
+        .input('beforeValue', sql.NVarChar(sql.MAX), record.beforeValue)
+        .input('afterValue', sql.NVarChar(sql.MAX), record.afterValue)
+        .input('createdAt', sql.DateTime2, record.createdAt)
+        .input('previousHash', sql.Char(64), record.previousHash)
+        .input('hash', sql.Char(64), record.hash)
+        .query(`
+          INSERT INTO audit_log
+          (sequence, actorType, actorId, actorName, ipAddress, action, entityType, entityId, sessionId,
+           beforeValue, afterValue, createdAt, previousHash, hash)
+          OUTPUT INSERTED.*
+          VALUES (@sequence, @actorType, @actorId, @actorName, @ipAddress, @action, @entityType, @entityId, @sessionId,
+           @beforeValue, @afterValue, @createdAt, @previousHash, @hash)
+        `);
+
+      await transaction.commit();
+      return toAuditEntry(result.recordset[0]);
+    } catch (error) {
+      console.error('Error appending audit entry:', error);
+      await rollback(transaction, 'audit entry');
+      throw error;
+    }
+  }
+
+  // Entries matching the filters, newest first. The cursor is the sequence
+  // number of the last entry of the previous page.
+  static async search(filters = {}, { limit = 50, cursor = null } = {}) {
+    try {
+      const pool = await getPool();
+      const request = pool.request().input('limit', sql.Int, limit + 1);
+      const conditions = [];
+
+      const filter = (name, column, type, value) => {
+        if (value === null || value === undefined || value === '') return;
+        request.input(name, type, value);
+        conditions.push(`${column} = @${name}`);
+      };
+
+      filter('sessionId', 'sessionId', sql.VarChar(50), filters.sessionId);
+      filter('actorId', 'actorId', sql.VarChar(50), filters.actorId);
+      filter('actorType', 'actorType', sql.NVarChar(20), filters.actorType);
+      filter('action', 'action', sql.NVarChar(100), filters.action);
+      filter('entityType', 'entityType', sql.NVarChar(50), filters.entityType);
+      filter('entityId', 'entityId', sql.NVarChar(100), filters.entityId);
+
+      if (filters.from) {
+        request.input('from', sql.DateTime2, filters.from);
+        conditions.push('createdAt >= @from');
+      }
+      if (filters.to) {
+        request.input('to', sql.DateTime2, filters.to);
+        conditions.push('createdAt < @to');
+      }
+      if (cursor) {
+        request.input('cursor', sql.BigInt, cursor);
+        conditions.push('sequence < @cursor');
+      }
+
+      const result = await request.query(`
+        SELECT TOP (@limit) ${AUDIT_COLUMNS}
+        FROM audit_log
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY sequence DESC
+      `);
+
+      const rows = result.recordset.slice(0, limit);
+      return {
+        entries: rows.map(toAuditEntry),
+        nextCursor: result.recordset.length > limit ? String(rows[rows.length - 1].sequence) : null
+      };
+    } catch (error) {
+      console.error('Error searching audit log:', error);
+      throw error;
+    }
+  }
+
+  // The users who took any of the actions on a session, each with when they
+  // last did
+  static async getSessionActors(sessionId, actions) {
+    try {
+      const pool = await getPool();
+      const request = pool.request().input('sessionId', sql.VarChar(50), sessionId);
+      actions.forEach((action, index) => request.input(`action${index}`, sql.NVarChar(100), action));
+
+      const result = await request.query(`
+        SELECT actorId, MAX(createdAt) AS lastActedAt
+        FROM audit_log
+        WHERE sessionId = @sessionId
+          AND actorType = 'user'
+          AND actorId IS NOT NULL
+          AND action IN (${actions.map((action, index) => `@action${index}`).join(', ')})
+        GROUP BY actorId
+      `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching session actors:', error);
+      throw error;
+    }
+  }
+
+  // Walk the whole chain from the first entry, recomputing every hash.
+  // Reports the first entry that does not fit, if any.
+  static async verifyChain() {
+    try {
+      const pool = await getPool();
+      let previousHash = GENESIS_HASH;
+      let expectedSequence = 1;
+      let checked = 0;
+
+      for (;;) {
+        const result = await pool.request()
+          .input('after', sql.BigInt, expectedSequence - 1)
+          .input('batchSize', sql.Int, VERIFY_BATCH_SIZE)
+          .query(`
+            SELECT TOP (@batchSize) ${AUDIT_COLUMNS}
+            FROM audit_log
+            WHERE sequence > @after
+            ORDER BY sequence
+          `);
+
+        for (const row of result.recordset) {
+          const sequence = Number(row.sequence);
+          let problem = null;
+          if (sequence !== expectedSequence) {
+            problem = `Entry ${expectedSequence} is missing`;
+          } else if (row.previousHash !== previousHash) {
+            problem = 'Entry does not follow the entry before it';
+          } else if (hashAuditEntry(row) !== row.hash) {
+            problem = 'Entry was changed after it was written';
+          }
+
+          if (problem) {
+            return { valid: false, checked, brokenAt: sequence, problem, verifiedAt: new Date().toISOString() };
+          }
+
+          previousHash = row.hash;
+          expectedSequence++;
+          checked++;
+        }
+
+        if (result.recordset.length < VERIFY_BATCH_SIZE) break;
+      }
+
+      return { valid: true, checked, brokenAt: null, problem: null, verifiedAt: new Date().toISOString() };
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      throw error;
+    }
+  }
+}
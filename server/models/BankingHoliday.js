@@ -0,0 +1,101 @@
+import { sql, getPool } from '../config/database.js';
+
+// Banking holidays in banking_holidays. A holiday without a branch closes
+// every branch of its country.
+
+const DUPLICATE_KEY_ERROR = 2601;
+
+// DATE columns come back as Dates at midnight UTC
+const toHoliday = (row) => ({
+  id: row.id,
+  countryCode: row.countryCode,
+  branchCode: row.branchCode || null,
+  holidayDate: row.holidayDate instanceof Date ? row.holidayDate.toISOString().slice(0, 10) : row.holidayDate,
+  name: row.name,
+  createdBy: row.createdBy || null,
+  createdByName: row.createdByName || null,
+  createdAt: row.createdAt
+});
+
+export class BankingHolidayModel {
+  // Holidays in a date range (inclusive), optionally of one country,
+  // ordered by date
+  static async getHolidays({ from, to, countryCode = null }) {
+    try {
+      const pool = await getPool();
+      const request = pool.request()
+        .input('from', sql.Date, from)
+        .input('to', sql.Date, to);
+      if (countryCode) request.input('countryCode', sql.Char(2), countryCode);
+
+      const result = await request.query(`
+        SELECT h.*, creator.name AS createdByName
+        FROM banking_holidays h
+        LEFT JOIN users creator ON creator.id = h.createdBy
+        WHERE h.holidayDate BETWEEN @from AND @to
+          ${countryCode ? 'AND h.countryCode = @countryCode' : ''}
+        ORDER BY h.holidayDate, h.countryCode, h.branchCode
+      `);
+
+      return result.recordset.map(toHoliday);
+    } catch (error) {
+      console.error('Error fetching banking holidays:', error);
+      throw error;
+    }
+  }
+
+  static async getHolidayById(holidayId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('holidayId', sql.VarChar(50), holidayId)
+        .query('SELECT * FROM banking_holidays WHERE id = @holidayId');
+
+      return result.recordset[0] ? toHoliday(result.recordset[0]) : null;
+    } catch (error) {
+      console.error('Error fetching banking holiday:', error);
+      throw error;
+    }
+  }
+
+  // Returns null when the calendar already has a holiday on that day
+  static async createHoliday({ countryCode, branchCode, holidayDate, name, createdBy }) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('countryCode', sql.Char(2), countryCode)
+        .input('branchCode', sql.NVarChar(20), branchCode || null)
+        .input('holidayDate', sql.Date, holidayDate)
+        .input('name', sql.NVarChar(255), name)
+        .input('createdBy', sql.VarChar(50), createdBy)
+        .query(`
+          INSERT INTO banking_holidays (countryCode, branchCode, holidayDate, name, createdBy)
+          OUTPUT INSERTED.*
+          VALUES (@countryCode, @branchCode, @holidayDate, @name, @createdBy)
+        `);
+
+      return toHoliday(result.recordset[0]);
+    } catch (error) {
+      if (error.number === DUPLICATE_KEY_ERROR) return null;
+      console.error('Error creating banking holiday:', error);
+      throw error;
+    }
+  }
+
+  static async deleteHoliday(holidayId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('holidayId', sql.VarChar(50), holidayId)
+        .query('DELETE FROM banking_holidays WHERE id = @holidayId');
+
+      return result.rowsAffected[0] > 0;
+    } catch (error) {
+      console.error('Error deleting banking holiday:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,309 @@
+import { sql, getPool } from '../config/database.js';
+
+// A discrepancy is identified across re-runs by the rule that raised it,
+// the presented split it was raised against and the field it concerns
+const discrepancyKey = (record) =>
+  `${record.ruleId}|${record.presentedSplitId || ''}|${record.fieldName || ''}`;
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class DiscrepancyModel {
+  // The discrepancies the last examination of a session found, with those
+  // it no longer found too when includeSuperseded is set
+  static async getDiscrepanciesBySession(sessionId, { includeSuperseded = false } = {}) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT d.*, changer.name AS statusChangedByName, waiver.fileName AS waiverFileName
+          FROM ingestion_discrepancies d
+          LEFT JOIN users changer ON changer.id = d.statusChangedBy
+          LEFT JOIN ingestion_document_raw waiver ON waiver.id = d.waiverDocumentId
+          WHERE d.sessionId = @sessionId${includeSuperseded ? '' : ' AND d.supersededAt IS NULL'}
+          ORDER BY
+            CASE d.severity WHEN 'blocking' THEN 0 WHEN 'warning' THEN 1 ELSE 2 END,
+            d.detectedAt ASC
+        `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching discrepancies:', error);
+      throw error;
+    }
+  }
+
+  static async getDiscrepancyById(discrepancyId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .query(`
+          SELECT d.*, changer.name AS statusChangedByName, waiver.fileName AS waiverFileName
+          FROM ingestion_discrepancies d
+          LEFT JOIN users changer ON changer.id = d.statusChangedBy
+          LEFT JOIN ingestion_document_raw waiver ON waiver.id = d.waiverDocumentId
+          WHERE d.id = @discrepancyId
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      console.error('Error fetching discrepancy:', error);
+      throw error;
+    }
+  }
+
+  static async createDiscrepancy(sessionId, discrepancy) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .input('ruleId', sql.VarChar(50), discrepancy.ruleId)
+        .input('article', sql.VarChar(100), discrepancy.article)
+        .input('severity', sql.VarChar(20), discrepancy.severity)
+        .input('title', sql.NVarChar(255), discrepancy.title)
+        .input('description', sql.NVarChar(sql.MAX), discrepancy.description)
+        .input('fieldName', sql.VarChar(100), discrepancy.fieldName)
+        .input('referenceValue', sql.NVarChar(sql.MAX), discrepancy.referenceValue)
+        .input('presentedValue', sql.NVarChar(sql.MAX), discrepancy.presentedValue)
+        .input('referenceDocumentId', sql.VarChar(50), discrepancy.referenceDocumentId)
+        .input('referenceSplitId', sql.VarChar(100), discrepancy.referenceSplitId)
+        .input('referenceDocumentType', sql.VarChar(100), discrepancy.referenceDocumentType)
+        .input('presentedDocumentId', sql.VarChar(50), discrepancy.presentedDocumentId)
+        .input('presentedSplitId', sql.VarChar(100), discrepancy.presentedSplitId)
+        .input('presentedDocumentType', sql.VarChar(100), discrepancy.presentedDocumentType)
+        .input('amendmentNumber', sql.Int, discrepancy.amendmentNumber || 0)
+        .input('detectedAt', sql.DateTime, new Date())
+        .input('updatedAt', sql.DateTime, new Date())
+        .query(`
+          INSERT INTO ingestion_discrepancies
+          (sessionId, ruleId, article, severity, title, description, fieldName, referenceValue, presentedValue,
+           referenceDocumentId, referenceSplitId, referenceDocumentType,
+           presentedDocumentId, presentedSplitId, presentedDocumentType, amendmentNumber, status, detectedAt, updatedAt)
+          OUTPUT INSERTED.*
+          VALUES (@sessionId, @ruleId, @article, @severity, @title, @description, @fieldName, @referenceValue, @presentedValue,
+                  @referenceDocumentId, @referenceSplitId, @referenceDocumentType,
+                  @presentedDocumentId, @presentedSplitId, @presentedDocumentType, @amendmentNumber, 'open', @detectedAt, @updatedAt)
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error creating discrepancy:', error);
+      throw error;
+    }
+  }
+
+  static async updateDiscrepancyValues(discrepancyId, discrepancy) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .input('severity', sql.VarChar(20), discrepancy.severity)
+        .input('title', sql.NVarChar(255), discrepancy.title)
+        .input('description', sql.NVarChar(sql.MAX), discrepancy.description)
+        .input('referenceValue', sql.NVarChar(sql.MAX), discrepancy.referenceValue)
+        .input('presentedValue', sql.NVarChar(sql.MAX), discrepancy.presentedValue)
+        .input('referenceDocumentId', sql.VarChar(50), discrepancy.referenceDocumentId)
+        .input('referenceSplitId', sql.VarChar(100), discrepancy.referenceSplitId)
+        .input('amendmentNumber', sql.Int, discrepancy.amendmentNumber || 0)
+        .input('updatedAt', sql.DateTime, new Date())
+        .query(`
+          UPDATE ingestion_discrepancies
+          SET
+            severity = @severity,
+            title = @title,
+            description = @description,
+            referenceValue = @referenceValue,
+            presentedValue = @presentedValue,
+            referenceDocumentId = @referenceDocumentId,
+            referenceSplitId = @referenceSplitId,
+            amendmentNumber = @amendmentNumber,
+            supersededAt = NULL,
+            updatedAt = @updatedAt
+          OUTPUT INSERTED.*
+          WHERE id = @discrepancyId
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error updating discrepancy:', error);
+      throw error;
+    }
+  }
+
+  static async supersedeDiscrepancy(discrepancyId) {
+    try {
+      const pool = await getPool();
+
+      await pool.request()
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .input('supersededAt', sql.DateTime2, new Date())
+        .query(`
+          UPDATE ingestion_discrepancies
+          SET supersededAt = @supersededAt, updatedAt = @supersededAt
+          WHERE id = @discrepancyId
+        `);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error superseding discrepancy:', error);
+      throw error;
+    }
+  }
+
+  static async deleteDiscrepancy(discrepancyId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      await request
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .query(`
+          DELETE FROM ingestion_discrepancies
+          WHERE id = @discrepancyId
+        `);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting discrepancy:', error);
+      throw error;
+    }
+  }
+
+  // Move a discrepancy from one status to another and record the change.
+  // Returns null when the discrepancy is no longer in fromStatus or was
+  // superseded.
+  static async transitionStatus(discrepancyId, fromStatus, toStatus, { reason = null, waiverDocumentId = null, userId }) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const changedAt = new Date();
+      const result = await new sql.Request(transaction)
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .input('fromStatus', sql.NVarChar(20), fromStatus)
+        .input('toStatus', sql.NVarChar(20), toStatus)
+        .input('reason', sql.NVarChar(500), reason)
+        .input('waiverDocumentId', sql.VarChar(50), waiverDocumentId)
+        .input('userId', sql.VarChar(50), userId)
+        .input('changedAt', sql.DateTime2, changedAt)
+        .query(`
+          UPDATE ingestion_discrepancies
+          SET status = @toStatus,
+              statusReason = @reason,
+              waiverDocumentId = @waiverDocumentId,
+              statusChangedBy = @userId,
+              statusChangedAt = @changedAt
+          OUTPUT INSERTED.*
+          WHERE id = @discrepancyId AND status = @fromStatus AND supersededAt IS NULL
+        `);
+      const discrepancy = result.recordset[0];
+
+      if (!discrepancy) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await new sql.Request(transaction)
+        .input('discrepancyId', sql.VarChar(50), discrepancyId)
+        .input('fromStatus', sql.NVarChar(20), fromStatus)
+        .input('toStatus', sql.NVarChar(20), toStatus)
+        .input('reason', sql.NVarChar(500), reason)
+        .input('waiverDocumentId', sql.VarChar(50), waiverDocumentId)
+        .input('userId', sql.VarChar(50), userId)
+        .input('changedAt', sql.DateTime2, changedAt)
+        .query(`
+          INSERT INTO ingestion_discrepancy_transitions
+          (discrepancyId, fromStatus, toStatus, reason, waiverDocumentId, changedBy, createdAt)
+          VALUES (@discrepancyId, @fromStatus, @toStatus, @reason, @waiverDocumentId, @userId, @changedAt)
+        `);
+
+      await transaction.commit();
+      return discrepancy;
+    } catch (error) {
+      console.error('Error updating discrepancy status:', error);
+      await rollback(transaction, 'discrepancy status');
+      throw error;
+    }
+  }
+
+  // Status changes of the discrepancies of a session, oldest first
+  static async getTransitions(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT t.*, d.title AS discrepancyTitle, u.name AS changedByName, waiver.fileName AS waiverFileName
+          FROM ingestion_discrepancy_transitions t
+          JOIN ingestion_discrepancies d ON d.id = t.discrepancyId
+          LEFT JOIN users u ON u.id = t.changedBy
+          LEFT JOIN ingestion_document_raw waiver ON waiver.id = t.waiverDocumentId
+          WHERE d.sessionId = @sessionId
+          ORDER BY t.createdAt, t.id
+        `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching discrepancy transitions:', error);
+      throw error;
+    }
+  }
+
+  // Reconcile the stored discrepancies of a session with a fresh engine run:
+  // findings that still exist keep their id, detection time and status, new
+  // ones are inserted and findings that no longer occur are removed while
+  // nobody has worked on them. The others keep their history and are
+  // superseded until a later run finds them again.
+  static async syncSessionDiscrepancies(sessionId, discrepancies) {
+    try {
+      const existing = await this.getDiscrepanciesBySession(sessionId, { includeSuperseded: true });
+      const existingByKey = new Map(existing.map(row => [discrepancyKey(row), row]));
+      const seenKeys = new Set();
+
+      for (const discrepancy of discrepancies) {
+        const key = discrepancyKey(discrepancy);
+        if (seenKeys.has(key)) continue;
+        seenKeys.add(key);
+
+        const current = existingByKey.get(key);
+        if (current) {
+          await this.updateDiscrepancyValues(current.id, discrepancy);
+        } else {
+          await this.createDiscrepancy(sessionId, discrepancy);
+        }
+      }
+
+      for (const [key, row] of existingByKey) {
+        if (seenKeys.has(key) || row.supersededAt) continue;
+
+        if (row.status === 'open' && !row.statusChangedAt) {
+          await this.deleteDiscrepancy(row.id);
+        } else {
+          await this.supersedeDiscrepancy(row.id);
+        }
+      }
+
+      return await this.getDiscrepanciesBySession(sessionId);
+    } catch (error) {
+      console.error('Error syncing session discrepancies:', error);
+      throw error;
+    }
+  }
+}
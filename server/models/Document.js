@@ -1,7 +1,88 @@
 import { sql, getPool } from '../config/database.js';
+import { FieldModel } from './Field.js';
+import { DocumentIterationModel } from './DocumentIteration.js';
 import fs from 'fs';
 import path from 'path';
 
+// The template a document was cataloged with, or else the document type
+// found when it was processed
+const toMatchedTemplate = (doc) => {
+  if (doc.templateId) {
+    return {
+      id: doc.templateId,
+      name: doc.templateName,
+      type: doc.templateType,
+      version: doc.templateVersion,
+      documentType: doc.templateDocumentType,
+      catalogedBy: doc.catalogedBy,
+      catalogedAt: doc.catalogedAt
+    };
+  }
+  return doc.matchedTemplate ? { name: doc.matchedTemplate, documentType: doc.matchedTemplate } : null;
+};
+
+// A document with its processing results, template, latest new document type
+// request and the change that made its current version
+const DOCUMENT_QUERY = `
+  SELECT 
+    dr.*,
+    dc.cleanedContent,
+    dc.extractedFields,
+    dc.matchedTemplate,
+    dc.isNewDocument,
+    uploader.name AS uploadedByName,
+    t.name AS templateName,
+    t.type AS templateType,
+    COALESCE(parent.name, t.name) AS templateDocumentType,
+    approval.id AS approvalId,
+    approval.documentType AS approvalDocumentType,
+    approval.approvalStatus,
+    approval.adminNotes AS approvalNotes,
+    cv.changeType AS versionChangeType,
+    cv.createdBy AS versionCreatedBy,
+    versionAuthor.name AS versionCreatedByName,
+    cv.createdAt AS versionCreatedAt
+  FROM ingestion_document_raw dr
+  LEFT JOIN ingestion_document_cleaned dc ON dr.id = dc.documentId
+  LEFT JOIN users uploader ON uploader.id = dr.uploadedBy
+  LEFT JOIN ingestion_templates t ON t.id = dr.templateId
+  LEFT JOIN ingestion_templates parent ON parent.id = t.parentTemplateId
+  OUTER APPLY (
+    SELECT TOP 1 n.id, n.documentType, n.approvalStatus, n.adminNotes
+    FROM ingestion_documents_new n
+    WHERE n.documentId = dr.id
+    ORDER BY n.requestedAt DESC
+  ) approval
+  LEFT JOIN ingestion_document_versions cv
+    ON cv.documentId = dr.id AND cv.versionNumber = dr.currentVersion
+  LEFT JOIN users versionAuthor ON versionAuthor.id = cv.createdBy
+`;
+
+// Row to the Document shape the frontend works with. Documents processed
+// before fields were stored as rows fall back to the extracted fields JSON.
+const toDocument = (doc, fields, iterations = []) => ({
+  ...doc,
+  rawContent: doc.cleanedContent || null,
+  extractedFields: fields || (doc.extractedFields ? JSON.parse(doc.extractedFields) : []),
+  matchedTemplate: toMatchedTemplate(doc),
+  isNewDocument: doc.approvalStatus === 'pending' || Boolean(doc.isNewDocument),
+  approvalRequest: doc.approvalId ? {
+    id: doc.approvalId,
+    documentType: doc.approvalDocumentType,
+    status: doc.approvalStatus,
+    adminNotes: doc.approvalNotes || null
+  } : null,
+  // The first version has no row until the document is first changed
+  version: {
+    number: doc.currentVersion || 1,
+    changeType: doc.versionChangeType || 'upload',
+    createdBy: doc.versionChangeType ? doc.versionCreatedBy : doc.uploadedBy,
+    createdByName: (doc.versionChangeType ? doc.versionCreatedByName : doc.uploadedByName) || null,
+    createdAt: doc.versionChangeType ? doc.versionCreatedAt : doc.uploadedAt
+  },
+  iterations
+});
+
 export class DocumentModel {
   static async uploadDocument(documentData) {
     try {
@@ -15,12 +96,13 @@ export class DocumentModel {
         .input('fileSize', sql.BigInt, documentData.fileSize)
         .input('filePath', sql.VarChar(500), documentData.filePath)
         .input('status', sql.VarChar(20), 'uploaded')
+        .input('uploadedBy', sql.VarChar(50), documentData.uploadedBy || null)
         .input('uploadedAt', sql.DateTime, new Date())
         .query(`
           INSERT INTO ingestion_document_raw 
-          (sessionId, fileName, fileType, fileSize, filePath, status, uploadedAt)
+          (sessionId, fileName, fileType, fileSize, filePath, status, uploadedBy, uploadedAt)
           OUTPUT INSERTED.*
-          VALUES (@sessionId, @fileName, @fileType, @fileSize, @filePath, @status, @uploadedAt)
+          VALUES (@sessionId, @fileName, @fileType, @fileSize, @filePath, @status, @uploadedBy, @uploadedAt)
         `);
       
       return result.recordset[0];
@@ -38,35 +120,59 @@ export class DocumentModel {
       const result = await request
         .input('sessionId', sql.VarChar(50), sessionId)
         .query(`
-          SELECT 
-            dr.*,
-            dc.cleanedContent,
-            dc.extractedFields,
-            dc.matchedTemplate,
-            dc.isNewDocument
-          FROM ingestion_document_raw dr
-          LEFT JOIN ingestion_document_cleaned dc ON dr.id = dc.documentId
+          ${DOCUMENT_QUERY}
           WHERE dr.sessionId = @sessionId 
           ORDER BY dr.uploadedAt DESC
         `);
       
-      // Parse extracted fields JSON and enhance documents
-      const enhancedDocuments = result.recordset.map(doc => ({
-        ...doc,
-        rawContent: doc.cleanedContent || null,
-        extractedFields: doc.extractedFields ? JSON.parse(doc.extractedFields) : [],
-        matchedTemplate: doc.matchedTemplate ? { name: doc.matchedTemplate } : null,
-        isNewDocument: doc.isNewDocument || false,
-        iterations: [] // This would be populated from iterations table
-      }));
-      
-      return enhancedDocuments;
+      // Fields come from ingestion_fields
+      const sessionFields = await FieldModel.getFieldsBySession(sessionId);
+      const fieldsByDocument = new Map();
+      for (const field of sessionFields) {
+        if (!fieldsByDocument.has(field.documentId)) fieldsByDocument.set(field.documentId, []);
+        fieldsByDocument.get(field.documentId).push(field);
+      }
+
+      const sessionIterations = await DocumentIterationModel.getIterationsBySession(sessionId);
+      const iterationsByDocument = new Map();
+      for (const iteration of sessionIterations) {
+        if (!iterationsByDocument.has(iteration.documentId)) iterationsByDocument.set(iteration.documentId, []);
+        iterationsByDocument.get(iteration.documentId).push(iteration);
+      }
+
+      return result.recordset.map(doc =>
+        toDocument(doc, fieldsByDocument.get(doc.id), iterationsByDocument.get(doc.id))
+      );
     } catch (error) {
       console.error('Error fetching documents:', error);
       throw error;
     }
   }
 
+  // One document in the shape getDocumentsBySession returns
+  static async getDocumentDetails(documentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          ${DOCUMENT_QUERY}
+          WHERE dr.id = @documentId
+        `);
+
+      if (!result.recordset[0]) return null;
+
+      const fields = await FieldModel.getFieldsByDocument(documentId);
+      const iterations = await DocumentIterationModel.getIterationsByDocument(documentId);
+      return toDocument(result.recordset[0], fields.length > 0 ? fields : null, iterations);
+    } catch (error) {
+      console.error('Error fetching document details:', error);
+      throw error;
+    }
+  }
+
   static async getDocumentById(documentId) {
     try {
       const pool = await getPool();
@@ -103,7 +209,38 @@ export class DocumentModel {
     }
   }
 
-  static async updateDocumentStatus(documentId, status) {
+  // Catalog a document with a template; the version is the one the analyst
+  // chose, later edits of the template still apply when it is processed
+  static async setDocumentTemplate(documentId, templateId, templateVersion, userId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+      
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('templateId', sql.VarChar(50), templateId)
+        .input('templateVersion', sql.Int, templateVersion)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_document_raw
+          SET
+            templateId = @templateId,
+            templateVersion = @templateVersion,
+            catalogedBy = @userId,
+            catalogedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @documentId
+        `);
+      
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error cataloging document:', error);
+      throw error;
+    }
+  }
+
+  // The error message records why processing failed; any other status clears it
+  static async updateDocumentStatus(documentId, status, errorMessage = null) {
     try {
       const pool = await getPool();
       const request = pool.request();
@@ -111,9 +248,10 @@ export class DocumentModel {
       const result = await request
         .input('documentId', sql.VarChar(50), documentId)
         .input('status', sql.VarChar(20), status)
+        .input('errorMessage', sql.NVarChar(sql.MAX), status === 'error' ? errorMessage : null)
         .query(`
           UPDATE ingestion_document_raw 
-          SET status = @status
+          SET status = @status, errorMessage = @errorMessage
           OUTPUT INSERTED.*
           WHERE id = @documentId
         `);
@@ -137,27 +275,49 @@ export class DocumentModel {
         throw new Error('Document not found');
       }
       
-      // Delete the physical file
-      try {
-        const uploadsDir = process.env.UPLOAD_PATH || './uploads';
-        const fullPath = path.join(uploadsDir, document.filePath);
-        
-        if (fs.existsSync(fullPath)) {
-          fs.unlinkSync(fullPath);
-          console.log(`Deleted file: ${fullPath}`);
-        }
-      } catch (fileError) {
-        console.error('Error deleting file:', fileError);
-        // Continue with database deletion even if file deletion fails
-      }
-      
-      // Delete from database (CASCADE will handle related records)
-      const result = await request
+      // Files replaced by a newer version are kept until the document goes
+      const versionFiles = await request
         .input('documentId', sql.VarChar(50), documentId)
         .query(`
-          DELETE FROM ingestion_document_raw 
-          WHERE id = @documentId
+          SELECT DISTINCT filePath FROM ingestion_document_versions
+          WHERE documentId = @documentId AND filePath IS NOT NULL
         `);
+      const filePaths = new Set([document.filePath, ...versionFiles.recordset.map(row => row.filePath)]);
+      
+      // Delete from database (CASCADE will handle related records). A credit
+      // or amendment read from the document outlives it, so it is detached
+      // first; SQL Server allows no second cascade path to set it null.
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin();
+      try {
+        await new sql.Request(transaction)
+          .input('documentId', sql.VarChar(50), documentId)
+          .query(`
+            UPDATE ingestion_credits SET documentId = NULL WHERE documentId = @documentId;
+            UPDATE ingestion_credit_amendments SET documentId = NULL WHERE documentId = @documentId;
+            DELETE FROM ingestion_document_raw WHERE id = @documentId;
+          `);
+        await transaction.commit();
+      } catch (deleteError) {
+        await transaction.rollback().catch(rollbackError => console.error('Error rolling back document delete:', rollbackError));
+        throw deleteError;
+      }
+      
+      // Delete the physical files once nothing refers to them
+      const uploadsDir = process.env.UPLOAD_PATH || './uploads';
+      for (const filePath of filePaths) {
+        try {
+          const fullPath = path.join(uploadsDir, filePath);
+          
+          if (fs.existsSync(fullPath)) {
+            fs.unlinkSync(fullPath);
+            console.log(`Deleted file: ${fullPath}`);
+          }
+        } catch (fileError) {
+          console.error('Error deleting file:', fileError);
+          // The document is gone either way
+        }
+      }
       
       console.log(`Document deleted: ${documentId}`);
       return { success: true, deletedDocument: document };
@@ -187,6 +347,7 @@ export class DocumentModel {
           .input('extractedFields', sql.Text, JSON.stringify(cleanedData.extractedFields))
           .input('matchedTemplate', sql.VarChar(100), cleanedData.matchedTemplate)
           .input('isNewDocument', sql.Bit, cleanedData.isNewDocument)
+          .input('pageData', sql.NVarChar(sql.MAX), cleanedData.pages ? JSON.stringify(cleanedData.pages) : null)
           .input('processedAt', sql.DateTime, new Date())
           .query(`
             UPDATE ingestion_document_cleaned 
@@ -195,6 +356,7 @@ export class DocumentModel {
               extractedFields = @extractedFields,
               matchedTemplate = @matchedTemplate,
               isNewDocument = @isNewDocument,
+              pageData = @pageData,
               processedAt = @processedAt
             OUTPUT INSERTED.*
             WHERE documentId = @documentId
@@ -209,12 +371,13 @@ export class DocumentModel {
           .input('extractedFields', sql.Text, JSON.stringify(cleanedData.extractedFields))
           .input('matchedTemplate', sql.VarChar(100), cleanedData.matchedTemplate)
           .input('isNewDocument', sql.Bit, cleanedData.isNewDocument)
+          .input('pageData', sql.NVarChar(sql.MAX), cleanedData.pages ? JSON.stringify(cleanedData.pages) : null)
           .input('processedAt', sql.DateTime, new Date())
           .query(`
             INSERT INTO ingestion_document_cleaned 
-            (documentId, sessionId, cleanedContent, extractedFields, matchedTemplate, isNewDocument, processedAt)
+            (documentId, sessionId, cleanedContent, extractedFields, matchedTemplate, isNewDocument, pageData, processedAt)
             OUTPUT INSERTED.*
-            VALUES (@documentId, @sessionId, @cleanedContent, @extractedFields, @matchedTemplate, @isNewDocument, @processedAt)
+            VALUES (@documentId, @sessionId, @cleanedContent, @extractedFields, @matchedTemplate, @isNewDocument, @pageData, @processedAt)
           `);
         
         return insertResult.recordset[0];
@@ -0,0 +1,320 @@
+import { sql, getPool } from '../config/database.js';
+import { TemplateModel } from './Template.js';
+
+// Requests for a new document type, kept in ingestion_documents_new with the
+// proposed fields in ingestion_documents_fields_new. Approving a request
+// turns it into a template and catalogs the submitted document with it.
+
+const APPROVAL_COLUMNS = `
+  n.*,
+  dr.fileName,
+  s.lcNumber,
+  parent.name AS parentTemplateName,
+  requester.name AS requestedByName,
+  approver.name AS approvedByName,
+  t.name AS templateName
+`;
+
+const APPROVAL_JOINS = `
+  INNER JOIN ingestion_document_raw dr ON dr.id = n.documentId
+  INNER JOIN ingestion_session s ON s.id = n.sessionId
+  LEFT JOIN ingestion_templates parent ON parent.id = n.parentTemplateId
+  LEFT JOIN users requester ON requester.id = n.requestedBy
+  LEFT JOIN users approver ON approver.id = n.approvedBy
+  LEFT JOIN ingestion_templates t ON t.id = n.templateId
+`;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toProposedField = (row) => ({
+  id: row.id,
+  fieldName: row.fieldName,
+  fieldType: row.fieldType,
+  isRequired: Boolean(row.isRequired),
+  extractionPattern: row.extractionPattern || null,
+  validationRules: parseJSON(row.validationRules, null)
+});
+
+// Row to the DocumentApproval shape the frontend works with
+const toApproval = (row, fields = []) => ({
+  id: row.id,
+  sessionId: row.sessionId,
+  lcNumber: row.lcNumber,
+  documentId: row.documentId,
+  fileName: row.fileName,
+  documentType: row.documentType,
+  documentCategory: row.documentCategory || '',
+  parentTemplateId: row.parentTemplateId,
+  parentTemplateName: row.parentTemplateName || null,
+  keywords: parseJSON(row.keywords, []),
+  startPatterns: parseJSON(row.startPatterns, []),
+  fields,
+  requestNotes: row.requestNotes || null,
+  status: row.approvalStatus,
+  requestedBy: row.requestedBy,
+  requestedByName: row.requestedByName || null,
+  requestedAt: row.requestedAt,
+  approvedBy: row.approvedBy,
+  approvedByName: row.approvedByName || null,
+  approvedAt: row.approvedAt,
+  adminNotes: row.adminNotes || null,
+  templateId: row.templateId,
+  templateName: row.templateName || null
+});
+
+// Marks the processed document as waiting for a new document type
+const setNewDocumentFlag = (transaction, documentId, isNewDocument) => new sql.Request(transaction)
+  .input('documentId', sql.VarChar(50), documentId)
+  .input('isNewDocument', sql.Bit, isNewDocument)
+  .query('UPDATE ingestion_document_cleaned SET isNewDocument = @isNewDocument WHERE documentId = @documentId');
+
+// Settle a pending request. Returns the request row, or undefined when it was
+// no longer pending.
+const decideRequest = (transaction, approvalId, status, userId, notes) => new sql.Request(transaction)
+  .input('approvalId', sql.VarChar(50), approvalId)
+  .input('status', sql.NVarChar(20), status)
+  .input('userId', sql.VarChar(50), userId)
+  .input('notes', sql.NVarChar(sql.MAX), notes || null)
+  .query(`
+    UPDATE ingestion_documents_new
+    SET
+      approvalStatus = @status,
+      approvedBy = @userId,
+      approvedAt = GETDATE(),
+      adminNotes = @notes
+    OUTPUT INSERTED.*
+    WHERE id = @approvalId AND approvalStatus = 'pending'
+  `)
+  .then(result => result.recordset[0]);
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class DocumentApprovalModel {
+  static async getApprovals({ status = null } = {}) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('status', sql.NVarChar(20), status)
+        .query(`
+          SELECT ${APPROVAL_COLUMNS}
+          FROM ingestion_documents_new n
+          ${APPROVAL_JOINS}
+          WHERE (@status IS NULL OR n.approvalStatus = @status)
+          ORDER BY CASE WHEN n.approvalStatus = 'pending' THEN 0 ELSE 1 END, n.requestedAt DESC
+        `);
+
+      const fields = await pool.request()
+        .input('status', sql.NVarChar(20), status)
+        .query(`
+          SELECT f.*
+          FROM ingestion_documents_fields_new f
+          INNER JOIN ingestion_documents_new n ON n.id = f.newDocumentId
+          WHERE (@status IS NULL OR n.approvalStatus = @status)
+          ORDER BY f.newDocumentId, f.sortOrder
+        `);
+
+      const fieldsByApproval = new Map();
+      for (const row of fields.recordset) {
+        const key = String(row.newDocumentId).toLowerCase();
+        if (!fieldsByApproval.has(key)) {
+          fieldsByApproval.set(key, []);
+        }
+        fieldsByApproval.get(key).push(toProposedField(row));
+      }
+
+      return result.recordset.map(row =>
+        toApproval(row, fieldsByApproval.get(String(row.id).toLowerCase()) || [])
+      );
+    } catch (error) {
+      console.error('Error fetching approvals:', error);
+      throw error;
+    }
+  }
+
+  static async getApprovalById(approvalId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('approvalId', sql.VarChar(50), approvalId)
+        .query(`
+          SELECT ${APPROVAL_COLUMNS}
+          FROM ingestion_documents_new n
+          ${APPROVAL_JOINS}
+          WHERE n.id = @approvalId
+        `);
+
+      if (!result.recordset[0]) return null;
+
+      const fields = await pool.request()
+        .input('approvalId', sql.VarChar(50), approvalId)
+        .query('SELECT * FROM ingestion_documents_fields_new WHERE newDocumentId = @approvalId ORDER BY sortOrder');
+
+      return toApproval(result.recordset[0], fields.recordset.map(toProposedField));
+    } catch (error) {
+      console.error('Error fetching approval:', error);
+      throw error;
+    }
+  }
+
+  static async getPendingApprovalForDocument(documentId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT id FROM ingestion_documents_new
+          WHERE documentId = @documentId AND approvalStatus = 'pending'
+        `);
+
+      return result.recordset[0] ? await this.getApprovalById(result.recordset[0].id) : null;
+    } catch (error) {
+      console.error('Error fetching pending approval:', error);
+      throw error;
+    }
+  }
+
+  // Record a request with its proposed fields
+  static async createApproval(proposal, userId) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const inserted = await new sql.Request(transaction)
+        .input('sessionId', sql.VarChar(50), proposal.sessionId)
+        .input('documentId', sql.VarChar(50), proposal.documentId)
+        .input('documentType', sql.NVarChar(100), proposal.documentType)
+        .input('documentCategory', sql.NVarChar(100), proposal.documentCategory || null)
+        .input('parentTemplateId', sql.VarChar(50), proposal.parentTemplateId || null)
+        .input('keywords', sql.NVarChar(sql.MAX), JSON.stringify(proposal.keywords))
+        .input('startPatterns', sql.NVarChar(sql.MAX), JSON.stringify(proposal.startPatterns))
+        .input('requestNotes', sql.NVarChar(sql.MAX), proposal.requestNotes || null)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          INSERT INTO ingestion_documents_new
+          (sessionId, documentId, documentType, documentCategory, parentTemplateId, keywords, startPatterns,
+           requestNotes, requestedBy)
+          OUTPUT INSERTED.id
+          VALUES (@sessionId, @documentId, @documentType, @documentCategory, @parentTemplateId, @keywords, @startPatterns,
+           @requestNotes, @userId)
+        `);
+      const approvalId = inserted.recordset[0].id;
+
+      for (const [index, field] of proposal.fields.entries()) {
+        await new sql.Request(transaction)
+          .input('approvalId', sql.VarChar(50), approvalId)
+          .input('fieldName', sql.NVarChar(100), field.fieldName)
+          .input('fieldType', sql.NVarChar(50), field.fieldType)
+          .input('isRequired', sql.Bit, field.isRequired)
+          .input('extractionPattern', sql.NVarChar(sql.MAX), field.extractionPattern || null)
+          .input('validationRules', sql.NVarChar(sql.MAX), field.validationRules ? JSON.stringify(field.validationRules) : null)
+          .input('sortOrder', sql.Int, index)
+          .query(`
+            INSERT INTO ingestion_documents_fields_new
+            (newDocumentId, fieldName, fieldType, isRequired, extractionPattern, validationRules, sortOrder)
+            VALUES (@approvalId, @fieldName, @fieldType, @isRequired, @extractionPattern, @validationRules, @sortOrder)
+          `);
+      }
+
+      await setNewDocumentFlag(transaction, proposal.documentId, true);
+
+      await transaction.commit();
+      return await this.getApprovalById(approvalId);
+    } catch (error) {
+      console.error('Error creating approval:', error);
+      await rollback(transaction, 'approval request');
+      throw error;
+    }
+  }
+
+  // Approve a pending request: create its template and catalog the submitted
+  // document with it. Returns null when the request is no longer pending.
+  static async approve(approvalId, template, userId, notes) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const request = await decideRequest(transaction, approvalId, 'approved', userId, notes);
+      if (!request) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const templateId = await TemplateModel.insertTemplate(
+        transaction, template, userId, `Approved new document type request ${approvalId}`
+      );
+
+      await new sql.Request(transaction)
+        .input('approvalId', sql.VarChar(50), approvalId)
+        .input('templateId', sql.VarChar(50), templateId)
+        .query('UPDATE ingestion_documents_new SET templateId = @templateId WHERE id = @approvalId');
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), request.documentId)
+        .input('templateId', sql.VarChar(50), templateId)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_document_raw
+          SET
+            templateId = @templateId,
+            templateVersion = 1,
+            catalogedBy = @userId,
+            catalogedAt = GETDATE()
+          WHERE id = @documentId
+        `);
+
+      await setNewDocumentFlag(transaction, request.documentId, false);
+
+      await transaction.commit();
+      return await this.getApprovalById(approvalId);
+    } catch (error) {
+      console.error('Error approving request:', error);
+      await rollback(transaction, 'approval');
+      throw error;
+    }
+  }
+
+  // Reject a pending request. Returns null when it is no longer pending.
+  static async reject(approvalId, userId, notes) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const request = await decideRequest(transaction, approvalId, 'rejected', userId, notes);
+      if (!request) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await setNewDocumentFlag(transaction, request.documentId, false);
+
+      await transaction.commit();
+      return await this.getApprovalById(approvalId);
+    } catch (error) {
+      console.error('Error rejecting request:', error);
+      await rollback(transaction, 'rejection');
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,323 @@
+import { sql, getPool } from '../config/database.js';
+import { FieldModel } from './Field.js';
+import { archiveCurrentVersion, startVersion } from './DocumentVersion.js';
+
+// Processing runs of a document. Every process or reprocess run is stored
+// with the engine it used, what it extracted and how long it took; the
+// document's current results come from its latest completed run unless an
+// earlier one was promoted back.
+
+const ITERATION_SUMMARY_COLUMNS = `
+  i.id,
+  i.documentId,
+  i.sessionId,
+  i.iterationNumber,
+  i.runType,
+  i.jobId,
+  i.engine,
+  i.status,
+  i.documentVersion,
+  i.documentType,
+  i.splitCount,
+  i.fieldCount,
+  i.confidence,
+  i.durationMs,
+  i.errorMessage,
+  i.requestedBy,
+  requester.name AS requestedByName,
+  i.startedAt,
+  i.completedAt,
+  i.promotedBy,
+  promoter.name AS promotedByName,
+  i.promotedAt,
+  dr.currentIteration
+`;
+
+const ITERATION_JOINS = `
+  INNER JOIN ingestion_document_raw dr ON dr.id = i.documentId
+  LEFT JOIN users requester ON requester.id = i.requestedBy
+  LEFT JOIN users promoter ON promoter.id = i.promotedBy
+`;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Row to the DocumentIteration shape the frontend works with
+const toIteration = (row) => ({
+  id: row.id,
+  documentId: row.documentId,
+  sessionId: row.sessionId,
+  iterationNumber: row.iterationNumber,
+  runType: row.runType,
+  jobId: row.jobId || null,
+  engine: row.engine || null,
+  status: row.status,
+  documentVersion: row.documentVersion ?? null,
+  documentType: row.documentType || null,
+  splitCount: row.splitCount ?? null,
+  fieldCount: row.fieldCount ?? null,
+  confidence: row.confidence === null ? null : Number(row.confidence),
+  durationMs: row.durationMs ?? null,
+  errorMessage: row.errorMessage || null,
+  requestedBy: row.requestedBy || null,
+  requestedByName: row.requestedByName || null,
+  startedAt: row.startedAt,
+  completedAt: row.completedAt,
+  promotedBy: row.promotedBy || null,
+  promotedByName: row.promotedByName || null,
+  promotedAt: row.promotedAt || null,
+  isCurrent: row.status === 'completed' && row.iterationNumber === row.currentIteration
+});
+
+// An iteration with the text and fields it extracted
+const toIterationDetail = (row) => ({
+  ...toIteration(row),
+  cleanedContent: row.cleanedContent || null,
+  extractedFields: parseJSON(row.extractedFields, []),
+  pages: parseJSON(row.pageData, [])
+});
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class DocumentIterationModel {
+  // Store a processing run under the document's next iteration number. A
+  // completed run becomes the document's current iteration.
+  static async recordIteration(iteration) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const numberResult = await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), iteration.documentId)
+        .query(`
+          SELECT ISNULL(MAX(iterationNumber), 0) + 1 AS iterationNumber
+          FROM ingestion_document_iterations WITH (UPDLOCK, HOLDLOCK)
+          WHERE documentId = @documentId
+        `);
+      const iterationNumber = numberResult.recordset[0].iterationNumber;
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), iteration.documentId)
+        .input('sessionId', sql.VarChar(50), iteration.sessionId)
+        .input('iterationNumber', sql.Int, iterationNumber)
+        .input('runType', sql.NVarChar(20), iteration.runType)
+        .input('jobId', sql.VarChar(50), iteration.jobId || null)
+        .input('engine', sql.NVarChar(20), iteration.engine || null)
+        .input('status', sql.NVarChar(20), iteration.status)
+        .input('documentVersion', sql.Int, iteration.documentVersion ?? null)
+        .input('cleanedContent', sql.NVarChar(sql.MAX), iteration.cleanedContent ?? null)
+        .input('extractedFields', sql.NVarChar(sql.MAX), iteration.extractedFields ? JSON.stringify(iteration.extractedFields) : null)
+        .input('documentType', sql.NVarChar(100), iteration.documentType || null)
+        .input('pageData', sql.NVarChar(sql.MAX), iteration.pages ? JSON.stringify(iteration.pages) : null)
+        .input('splitCount', sql.Int, iteration.splitCount ?? null)
+        .input('fieldCount', sql.Int, iteration.extractedFields ? iteration.extractedFields.length : null)
+        .input('confidence', sql.Decimal(5, 4), iteration.confidence ?? null)
+        .input('durationMs', sql.Int, iteration.durationMs)
+        .input('errorMessage', sql.NVarChar(sql.MAX), iteration.errorMessage || null)
+        .input('requestedBy', sql.VarChar(50), iteration.requestedBy || null)
+        .input('startedAt', sql.DateTime2, iteration.startedAt)
+        .query(`
+          INSERT INTO ingestion_document_iterations
+          (documentId, sessionId, iterationNumber, runType, jobId, engine, status, documentVersion, cleanedContent,
+           extractedFields, documentType, pageData, splitCount, fieldCount, confidence, durationMs, errorMessage,
+           requestedBy, startedAt)
+          VALUES (@documentId, @sessionId, @iterationNumber, @runType, @jobId, @engine, @status, @documentVersion, @cleanedContent,
+           @extractedFields, @documentType, @pageData, @splitCount, @fieldCount, @confidence, @durationMs, @errorMessage,
+           @requestedBy, @startedAt)
+        `);
+
+      if (iteration.status === 'completed') {
+        await new sql.Request(transaction)
+          .input('documentId', sql.VarChar(50), iteration.documentId)
+          .input('iterationNumber', sql.Int, iterationNumber)
+          .query('UPDATE ingestion_document_raw SET currentIteration = @iterationNumber WHERE id = @documentId');
+      }
+
+      await transaction.commit();
+      return await this.getIteration(iteration.documentId, iterationNumber, { withContent: false });
+    } catch (error) {
+      console.error('Error recording iteration:', error);
+      await rollback(transaction, 'iteration');
+      throw error;
+    }
+  }
+
+  // Every iteration of a document, newest first
+  static async getIterationsByDocument(documentId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT ${ITERATION_SUMMARY_COLUMNS}
+          FROM ingestion_document_iterations i
+          ${ITERATION_JOINS}
+          WHERE i.documentId = @documentId
+          ORDER BY i.iterationNumber DESC
+        `);
+
+      return result.recordset.map(toIteration);
+    } catch (error) {
+      console.error('Error fetching iterations:', error);
+      throw error;
+    }
+  }
+
+  static async getIterationsBySession(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT ${ITERATION_SUMMARY_COLUMNS}
+          FROM ingestion_document_iterations i
+          ${ITERATION_JOINS}
+          WHERE i.sessionId = @sessionId
+          ORDER BY i.documentId, i.iterationNumber DESC
+        `);
+
+      return result.recordset.map(toIteration);
+    } catch (error) {
+      console.error('Error fetching session iterations:', error);
+      throw error;
+    }
+  }
+
+  static async getIteration(documentId, iterationNumber, { withContent = true } = {}) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('iterationNumber', sql.Int, iterationNumber)
+        .query(`
+          SELECT ${ITERATION_SUMMARY_COLUMNS}${withContent ? ', i.cleanedContent, i.extractedFields, i.pageData' : ''}
+          FROM ingestion_document_iterations i
+          ${ITERATION_JOINS}
+          WHERE i.documentId = @documentId AND i.iterationNumber = @iterationNumber
+        `);
+
+      const row = result.recordset[0];
+      if (!row) return null;
+      return withContent ? toIterationDetail(row) : toIteration(row);
+    } catch (error) {
+      console.error('Error fetching iteration:', error);
+      throw error;
+    }
+  }
+
+  // Make the results of a completed iteration the document's current ones,
+  // as a new version of the document so the results it replaces, edits and
+  // validations included, can be reverted to. Its fields come back as
+  // extracted, pending validation again. Returns null when the iteration
+  // does not exist or did not complete, and { fileReplaced: true } when it
+  // ran on a file the document no longer has.
+  static async promote(documentId, iterationNumber, userId) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const documentResult = await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .query('SELECT * FROM ingestion_document_raw WITH (UPDLOCK, ROWLOCK) WHERE id = @documentId');
+      const document = documentResult.recordset[0];
+
+      const iterationResult = await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('iterationNumber', sql.Int, iterationNumber)
+        .query(`
+          SELECT * FROM ingestion_document_iterations
+          WHERE documentId = @documentId AND iterationNumber = @iterationNumber AND status = 'completed'
+        `);
+      const iteration = iterationResult.recordset[0];
+
+      if (!document || !iteration) {
+        await transaction.rollback();
+        return null;
+      }
+
+      // Versions made by edits keep the file; a replace or revert may not
+      if (iteration.documentVersion !== document.currentVersion) {
+        const runVersion = await new sql.Request(transaction)
+          .input('documentId', sql.VarChar(50), documentId)
+          .input('versionNumber', sql.Int, iteration.documentVersion)
+          .query(`
+            SELECT filePath FROM ingestion_document_versions
+            WHERE documentId = @documentId AND versionNumber = @versionNumber
+          `);
+        if (runVersion.recordset[0]?.filePath !== document.filePath) {
+          await transaction.rollback();
+          return { fileReplaced: true };
+        }
+      }
+
+      await archiveCurrentVersion(transaction, document);
+      await startVersion(transaction, document, {
+        changeType: 'promote',
+        changeNote: `Results of processing run ${iterationNumber}`
+      }, userId);
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('sessionId', sql.VarChar(50), document.sessionId)
+        .input('cleanedContent', sql.NVarChar(sql.MAX), iteration.cleanedContent)
+        .input('extractedFields', sql.NVarChar(sql.MAX), iteration.extractedFields)
+        .input('matchedTemplate', sql.NVarChar(100), iteration.documentType)
+        .input('pageData', sql.NVarChar(sql.MAX), iteration.pageData)
+        .input('iterationNumber', sql.Int, iterationNumber)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_document_cleaned
+          SET
+            cleanedContent = @cleanedContent,
+            extractedFields = @extractedFields,
+            matchedTemplate = @matchedTemplate,
+            pageData = @pageData,
+            processedAt = GETDATE()
+          WHERE documentId = @documentId;
+
+          IF @@ROWCOUNT = 0
+            INSERT INTO ingestion_document_cleaned
+            (documentId, sessionId, cleanedContent, extractedFields, matchedTemplate, isNewDocument, pageData)
+            VALUES (@documentId, @sessionId, @cleanedContent, @extractedFields, @matchedTemplate, 0, @pageData);
+
+          UPDATE ingestion_document_raw
+          SET status = 'processed', errorMessage = NULL, currentIteration = @iterationNumber
+          WHERE id = @documentId;
+
+          UPDATE ingestion_document_iterations
+          SET promotedBy = @userId, promotedAt = GETDATE()
+          WHERE documentId = @documentId AND iterationNumber = @iterationNumber;
+        `);
+
+      await FieldModel.insertExtractedFields(
+        transaction, documentId, document.sessionId, parseJSON(iteration.extractedFields, [])
+      );
+
+      await transaction.commit();
+      return await this.getIteration(documentId, iterationNumber, { withContent: false });
+    } catch (error) {
+      console.error('Error promoting iteration:', error);
+      await rollback(transaction, 'iteration promotion');
+      throw error;
+    }
+  }
+}
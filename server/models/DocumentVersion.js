@@ -0,0 +1,427 @@
+import { sql, getPool } from '../config/database.js';
+
+// Versions of a document. The current version lives in ingestion_document_raw,
+// ingestion_document_cleaned and ingestion_fields; replacing the file, editing
+// the cleaned text, reverting or promoting an earlier processing run first
+// copies it into its row of ingestion_document_versions, so every earlier
+// file and its results can be restored. Each row also records who made the change and when.
+
+const VERSION_SUMMARY_COLUMNS = `
+  v.id,
+  v.documentId,
+  v.versionNumber,
+  v.changeType,
+  v.revertedFromVersion,
+  v.changeNote,
+  v.fileName,
+  v.fileType,
+  v.fileSize,
+  v.filePath,
+  v.status,
+  v.matchedTemplate,
+  v.createdBy,
+  author.name AS createdByName,
+  v.createdAt,
+  v.supersededAt
+`;
+
+// Columns of ingestion_fields kept with a version, validation state included
+const FIELD_SNAPSHOT_COLUMNS = [
+  'splitDocumentId', 'documentType', 'fieldName', 'fieldValue', 'originalValue', 'confidence',
+  'positionX', 'positionY', 'width', 'height', 'isValidated', 'validationStatus',
+  'validatedBy', 'validatedAt', 'isEdited', 'editedBy', 'editedAt'
+];
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Row to the DocumentVersion shape the frontend works with. The current
+// version takes its file and status from the document itself.
+const toVersion = (row, document) => {
+  const isCurrent = row.versionNumber === document.currentVersion;
+  return {
+    id: row.id || null,
+    documentId: document.id,
+    versionNumber: row.versionNumber,
+    changeType: row.changeType,
+    revertedFromVersion: row.revertedFromVersion ?? null,
+    changeNote: row.changeNote || null,
+    fileName: isCurrent ? document.fileName : row.fileName,
+    fileType: isCurrent ? document.fileType : row.fileType,
+    fileSize: Number(isCurrent ? document.fileSize : row.fileSize),
+    filePath: isCurrent ? document.filePath : row.filePath,
+    status: isCurrent ? document.status : row.status,
+    documentType: (isCurrent ? document.matchedTemplate : row.matchedTemplate) || null,
+    createdBy: row.createdBy || null,
+    createdByName: row.createdByName || null,
+    createdAt: row.createdAt,
+    supersededAt: row.supersededAt || null,
+    isCurrent
+  };
+};
+
+// The version row a document gets before its first change, made from the upload
+const toUploadVersion = (document) => ({
+  versionNumber: 1,
+  changeType: 'upload',
+  createdBy: document.uploadedBy,
+  createdByName: document.uploadedByName,
+  createdAt: document.uploadedAt
+});
+
+const loadDocument = async (request, documentId) => {
+  const result = await request
+    .input('documentId', sql.VarChar(50), documentId)
+    .query(`
+      SELECT dr.*, dc.matchedTemplate, uploader.name AS uploadedByName
+      FROM ingestion_document_raw dr
+      LEFT JOIN ingestion_document_cleaned dc ON dc.documentId = dr.id
+      LEFT JOIN users uploader ON uploader.id = dr.uploadedBy
+      WHERE dr.id = @documentId
+    `);
+  return result.recordset[0] || null;
+};
+
+// The document row, locked until the transaction ends so two changes to one
+// document number their versions one after the other
+const lockDocument = async (transaction, documentId) => {
+  const result = await new sql.Request(transaction)
+    .input('documentId', sql.VarChar(50), documentId)
+    .query('SELECT * FROM ingestion_document_raw WITH (UPDLOCK, ROWLOCK) WHERE id = @documentId');
+  return result.recordset[0] || null;
+};
+
+// Copy the current state of a document into the row of its current version.
+// A document that was never changed gets the row of its upload here.
+export const archiveCurrentVersion = async (transaction, document) => {
+  const fields = await new sql.Request(transaction)
+    .input('documentId', sql.VarChar(50), document.id)
+    .query(`
+      SELECT ${FIELD_SNAPSHOT_COLUMNS.join(', ')} FROM ingestion_fields
+      WHERE documentId = @documentId
+      ORDER BY splitDocumentId, createdAt, fieldName
+    `);
+
+  await new sql.Request(transaction)
+    .input('documentId', sql.VarChar(50), document.id)
+    .input('versionNumber', sql.Int, document.currentVersion)
+    .input('fields', sql.NVarChar(sql.MAX), JSON.stringify(fields.recordset))
+    .query(`
+      IF NOT EXISTS (
+        SELECT 1 FROM ingestion_document_versions
+        WHERE documentId = @documentId AND versionNumber = @versionNumber
+      )
+        INSERT INTO ingestion_document_versions (documentId, versionNumber, changeType, createdBy, createdAt)
+        SELECT id, @versionNumber, 'upload', uploadedBy, uploadedAt
+        FROM ingestion_document_raw WHERE id = @documentId;
+
+      UPDATE v
+      SET
+        fileName = dr.fileName,
+        fileType = dr.fileType,
+        fileSize = dr.fileSize,
+        filePath = dr.filePath,
+        status = dr.status,
+        templateId = dr.templateId,
+        templateVersion = dr.templateVersion,
+        cleanedContent = CAST(dc.cleanedContent AS NVARCHAR(MAX)),
+        extractedFields = CAST(dc.extractedFields AS NVARCHAR(MAX)),
+        matchedTemplate = dc.matchedTemplate,
+        pageData = dc.pageData,
+        fields = @fields,
+        supersededAt = GETDATE()
+      FROM ingestion_document_versions v
+      INNER JOIN ingestion_document_raw dr ON dr.id = v.documentId
+      LEFT JOIN ingestion_document_cleaned dc ON dc.documentId = dr.id
+      WHERE v.documentId = @documentId AND v.versionNumber = @versionNumber
+    `);
+};
+
+// Start the next version of a document and return its number
+export const startVersion = async (transaction, document, change, userId) => {
+  const versionNumber = document.currentVersion + 1;
+
+  await new sql.Request(transaction)
+    .input('documentId', sql.VarChar(50), document.id)
+    .input('versionNumber', sql.Int, versionNumber)
+    .input('changeType', sql.NVarChar(20), change.changeType)
+    .input('revertedFromVersion', sql.Int, change.revertedFromVersion ?? null)
+    .input('changeNote', sql.NVarChar(500), change.changeNote || null)
+    .input('userId', sql.VarChar(50), userId)
+    .query(`
+      INSERT INTO ingestion_document_versions
+      (documentId, versionNumber, changeType, revertedFromVersion, changeNote, createdBy)
+      VALUES (@documentId, @versionNumber, @changeType, @revertedFromVersion, @changeNote, @userId);
+
+      UPDATE ingestion_document_raw SET currentVersion = @versionNumber WHERE id = @documentId;
+    `);
+
+  return versionNumber;
+};
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class DocumentVersionModel {
+  // Every version of a document, newest first
+  static async getVersions(documentId) {
+    try {
+      const pool = await getPool();
+
+      const document = await loadDocument(pool.request(), documentId);
+      if (!document) return null;
+
+      const result = await pool.request()
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT ${VERSION_SUMMARY_COLUMNS}
+          FROM ingestion_document_versions v
+          LEFT JOIN users author ON author.id = v.createdBy
+          WHERE v.documentId = @documentId
+          ORDER BY v.versionNumber DESC
+        `);
+
+      const rows = result.recordset.length > 0 ? result.recordset : [toUploadVersion(document)];
+      return rows.map(row => toVersion(row, document));
+    } catch (error) {
+      console.error('Error fetching document versions:', error);
+      throw error;
+    }
+  }
+
+  // One superseded version with the content and fields it had. Returns null
+  // for the current version, whose content is the document's own.
+  static async getVersion(documentId, versionNumber) {
+    try {
+      const pool = await getPool();
+
+      const document = await loadDocument(pool.request(), documentId);
+      if (!document) return null;
+
+      const result = await pool.request()
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('versionNumber', sql.Int, versionNumber)
+        .query(`
+          SELECT ${VERSION_SUMMARY_COLUMNS}, v.cleanedContent, v.extractedFields, v.pageData, v.fields
+          FROM ingestion_document_versions v
+          LEFT JOIN users author ON author.id = v.createdBy
+          WHERE v.documentId = @documentId AND v.versionNumber = @versionNumber AND v.supersededAt IS NOT NULL
+        `);
+
+      const row = result.recordset[0];
+      if (!row) return null;
+
+      return {
+        ...toVersion(row, document),
+        cleanedContent: row.cleanedContent,
+        extractedFields: parseJSON(row.extractedFields, []),
+        pages: parseJSON(row.pageData, []),
+        fields: parseJSON(row.fields, [])
+      };
+    } catch (error) {
+      console.error('Error fetching document version:', error);
+      throw error;
+    }
+  }
+
+  // Replace the file of a document. The previous file and its results stay
+  // with the previous version; the new file has no results until processed.
+  static async replaceFile(documentId, file, userId, changeNote) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const document = await lockDocument(transaction, documentId);
+      if (!document) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await archiveCurrentVersion(transaction, document);
+      const versionNumber = await startVersion(transaction, document, { changeType: 'replace', changeNote }, userId);
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('fileName', sql.NVarChar(255), file.fileName)
+        .input('fileType', sql.NVarChar(50), file.fileType)
+        .input('fileSize', sql.BigInt, file.fileSize)
+        .input('filePath', sql.NVarChar(500), file.filePath)
+        .query(`
+          UPDATE ingestion_document_raw
+          SET
+            fileName = @fileName,
+            fileType = @fileType,
+            fileSize = @fileSize,
+            filePath = @filePath,
+            status = 'uploaded',
+            errorMessage = NULL,
+            templateId = NULL,
+            templateVersion = NULL,
+            catalogedBy = NULL,
+            catalogedAt = NULL
+          WHERE id = @documentId;
+
+          DELETE FROM ingestion_document_cleaned WHERE documentId = @documentId;
+          DELETE FROM ingestion_fields WHERE documentId = @documentId;
+        `);
+
+      await transaction.commit();
+      return versionNumber;
+    } catch (error) {
+      console.error('Error replacing document file:', error);
+      await rollback(transaction, 'document replacement');
+      throw error;
+    }
+  }
+
+  // Save edited cleaned content as a new version. Fields are left as they
+  // are; they are edited and validated on their own.
+  static async editContent(documentId, cleanedContent, userId, changeNote) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const document = await lockDocument(transaction, documentId);
+      if (!document) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await archiveCurrentVersion(transaction, document);
+      const versionNumber = await startVersion(transaction, document, { changeType: 'edit', changeNote }, userId);
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('cleanedContent', sql.NVarChar(sql.MAX), cleanedContent)
+        .query('UPDATE ingestion_document_cleaned SET cleanedContent = @cleanedContent WHERE documentId = @documentId');
+
+      await transaction.commit();
+      return versionNumber;
+    } catch (error) {
+      console.error('Error editing document content:', error);
+      await rollback(transaction, 'document edit');
+      throw error;
+    }
+  }
+
+  // Make an earlier version current again, as a new version. Returns null
+  // when the document or that version is gone.
+  static async revertToVersion(documentId, targetVersion, userId, changeNote) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const document = await lockDocument(transaction, documentId);
+      const targetResult = await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('versionNumber', sql.Int, targetVersion)
+        .query(`
+          SELECT * FROM ingestion_document_versions
+          WHERE documentId = @documentId AND versionNumber = @versionNumber AND supersededAt IS NOT NULL
+        `);
+      const target = targetResult.recordset[0];
+
+      if (!document || !target || targetVersion >= document.currentVersion) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await archiveCurrentVersion(transaction, document);
+      const versionNumber = await startVersion(
+        transaction, document, { changeType: 'revert', revertedFromVersion: targetVersion, changeNote }, userId
+      );
+
+      // A version saved while processing had not finished is processed again
+      const status = target.status === 'processing' ? 'uploaded' : target.status;
+
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('sessionId', sql.VarChar(50), document.sessionId)
+        .input('fileName', sql.NVarChar(255), target.fileName)
+        .input('fileType', sql.NVarChar(50), target.fileType)
+        .input('fileSize', sql.BigInt, target.fileSize)
+        .input('filePath', sql.NVarChar(500), target.filePath)
+        .input('status', sql.NVarChar(20), status)
+        .input('templateId', sql.VarChar(50), target.templateId)
+        .input('templateVersion', sql.Int, target.templateVersion)
+        .input('cleanedContent', sql.NVarChar(sql.MAX), target.cleanedContent)
+        .input('extractedFields', sql.NVarChar(sql.MAX), target.extractedFields)
+        .input('matchedTemplate', sql.NVarChar(100), target.matchedTemplate)
+        .input('pageData', sql.NVarChar(sql.MAX), target.pageData)
+        .query(`
+          UPDATE ingestion_document_raw
+          SET
+            fileName = @fileName,
+            fileType = @fileType,
+            fileSize = @fileSize,
+            filePath = @filePath,
+            status = @status,
+            errorMessage = NULL,
+            templateId = @templateId,
+            templateVersion = @templateVersion
+          WHERE id = @documentId;
+
+          DELETE FROM ingestion_document_cleaned WHERE documentId = @documentId;
+          DELETE FROM ingestion_fields WHERE documentId = @documentId;
+
+          IF @cleanedContent IS NOT NULL
+            INSERT INTO ingestion_document_cleaned
+            (documentId, sessionId, cleanedContent, extractedFields, matchedTemplate, isNewDocument, pageData)
+            VALUES (@documentId, @sessionId, @cleanedContent, @extractedFields, @matchedTemplate, 0, @pageData);
+        `);
+
+      for (const field of parseJSON(target.fields, [])) {
+        const request = new sql.Request(transaction)
+          .input('documentId', sql.VarChar(50), documentId)
+          .input('sessionId', sql.VarChar(50), document.sessionId)
+          .input('splitDocumentId', sql.VarChar(100), field.splitDocumentId ?? null)
+          .input('documentType', sql.NVarChar(100), field.documentType ?? null)
+          .input('fieldName', sql.NVarChar(100), field.fieldName)
+          .input('fieldValue', sql.NVarChar(sql.MAX), field.fieldValue ?? null)
+          .input('originalValue', sql.NVarChar(sql.MAX), field.originalValue ?? null)
+          .input('confidence', sql.Decimal(3, 2), field.confidence ?? null)
+          .input('positionX', sql.Int, field.positionX ?? null)
+          .input('positionY', sql.Int, field.positionY ?? null)
+          .input('width', sql.Int, field.width ?? null)
+          .input('height', sql.Int, field.height ?? null)
+          .input('isValidated', sql.Bit, Boolean(field.isValidated))
+          .input('validationStatus', sql.NVarChar(20), field.validationStatus || 'pending')
+          .input('validatedBy', sql.VarChar(50), field.validatedBy ?? null)
+          .input('validatedAt', sql.DateTime2, field.validatedAt ? new Date(field.validatedAt) : null)
+          .input('isEdited', sql.Bit, Boolean(field.isEdited))
+          .input('editedBy', sql.VarChar(50), field.editedBy ?? null)
+          .input('editedAt', sql.DateTime2, field.editedAt ? new Date(field.editedAt) : null);
+
+        await request.query(`
+          INSERT INTO ingestion_fields
+          (documentId, sessionId, ${FIELD_SNAPSHOT_COLUMNS.join(', ')})
+          VALUES (@documentId, @sessionId, ${FIELD_SNAPSHOT_COLUMNS.map(column => `@${column}`).join(', ')})
+        `);
+      }
+
+      await transaction.commit();
+      return versionNumber;
+    } catch (error) {
+      console.error('Error reverting document:', error);
+      await rollback(transaction, 'document revert');
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,224 @@
+import { sql, getPool } from '../config/database.js';
+
+const FIELD_COLUMNS = `
+  f.*,
+  validator.name AS validatedByName,
+  editor.name AS editedByName
+`;
+
+const FIELD_JOINS = `
+  LEFT JOIN users validator ON validator.id = f.validatedBy
+  LEFT JOIN users editor ON editor.id = f.editedBy
+`;
+
+// Row to the ExtractedField shape the frontend works with
+const toField = (row) => ({
+  id: row.id,
+  documentId: row.documentId,
+  sessionId: row.sessionId,
+  splitDocumentId: row.splitDocumentId,
+  documentType: row.documentType,
+  fieldName: row.fieldName,
+  fieldValue: row.fieldValue ?? '',
+  originalValue: row.originalValue ?? '',
+  confidence: row.confidence === null ? 0 : Number(row.confidence),
+  position: {
+    x: row.positionX ?? 0,
+    y: row.positionY ?? 0,
+    width: row.width ?? 0,
+    height: row.height ?? 0
+  },
+  isValidated: Boolean(row.isValidated),
+  validationStatus: row.validationStatus,
+  validatedBy: row.validatedBy,
+  validatedByName: row.validatedByName || null,
+  validatedAt: row.validatedAt,
+  isEdited: Boolean(row.isEdited),
+  editedBy: row.editedBy,
+  editedByName: row.editedByName || null,
+  editedAt: row.editedAt,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt
+});
+
+export class FieldModel {
+  static async getFieldsByDocument(documentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT ${FIELD_COLUMNS}
+          FROM ingestion_fields f
+          ${FIELD_JOINS}
+          WHERE f.documentId = @documentId
+          ORDER BY f.splitDocumentId, f.createdAt, f.fieldName
+        `);
+
+      return result.recordset.map(toField);
+    } catch (error) {
+      console.error('Error fetching document fields:', error);
+      throw error;
+    }
+  }
+
+  static async getFieldsBySession(sessionId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT ${FIELD_COLUMNS}
+          FROM ingestion_fields f
+          ${FIELD_JOINS}
+          WHERE f.sessionId = @sessionId
+          ORDER BY f.documentId, f.splitDocumentId, f.createdAt, f.fieldName
+        `);
+
+      return result.recordset.map(toField);
+    } catch (error) {
+      console.error('Error fetching session fields:', error);
+      throw error;
+    }
+  }
+
+  static async getFieldById(fieldId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('fieldId', sql.VarChar(50), fieldId)
+        .query(`
+          SELECT ${FIELD_COLUMNS}
+          FROM ingestion_fields f
+          ${FIELD_JOINS}
+          WHERE f.id = @fieldId
+        `);
+
+      return result.recordset[0] ? toField(result.recordset[0]) : null;
+    } catch (error) {
+      console.error('Error fetching field:', error);
+      throw error;
+    }
+  }
+
+  // Replace the fields of a document with a fresh extraction. Runs in one
+  // transaction so readers never see a document with half its fields.
+  static async replaceDocumentFields(documentId, sessionId, fields) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+      await this.insertExtractedFields(transaction, documentId, sessionId, fields);
+      await transaction.commit();
+      return await this.getFieldsByDocument(documentId);
+    } catch (error) {
+      console.error('Error replacing document fields:', error);
+      try {
+        await transaction.rollback();
+      } catch (rollbackError) {
+        console.error('Error rolling back field replacement:', rollbackError.message);
+      }
+      throw error;
+    }
+  }
+
+  // Within a caller's transaction, swap the fields of a document for freshly
+  // extracted ones, unedited and pending validation
+  static async insertExtractedFields(transaction, documentId, sessionId, fields) {
+    await new sql.Request(transaction)
+      .input('documentId', sql.VarChar(50), documentId)
+      .query('DELETE FROM ingestion_fields WHERE documentId = @documentId');
+
+    for (const field of fields) {
+      const value = field.fieldValue == null ? null : String(field.fieldValue);
+      await new sql.Request(transaction)
+        .input('documentId', sql.VarChar(50), documentId)
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .input('splitDocumentId', sql.VarChar(100), field.splitDocumentId || null)
+        .input('documentType', sql.NVarChar(100), field.documentType || null)
+        .input('fieldName', sql.NVarChar(100), String(field.fieldName).slice(0, 100))
+        .input('fieldValue', sql.NVarChar(sql.MAX), value)
+        .input('originalValue', sql.NVarChar(sql.MAX), value)
+        .input('confidence', sql.Decimal(3, 2), Math.min(Math.max(Number(field.confidence) || 0, 0), 1))
+        .input('positionX', sql.Int, Math.round(field.position?.x || 0))
+        .input('positionY', sql.Int, Math.round(field.position?.y || 0))
+        .input('width', sql.Int, Math.round(field.position?.width || 0))
+        .input('height', sql.Int, Math.round(field.position?.height || 0))
+        .query(`
+          INSERT INTO ingestion_fields
+          (documentId, sessionId, splitDocumentId, documentType, fieldName, fieldValue, originalValue,
+           confidence, positionX, positionY, width, height)
+          VALUES (@documentId, @sessionId, @splitDocumentId, @documentType, @fieldName, @fieldValue, @originalValue,
+           @confidence, @positionX, @positionY, @width, @height)
+        `);
+    }
+  }
+
+  // A new value counts as an edit only while it differs from the extracted
+  // one. Changing a value sends it back for validation.
+  static async updateFieldValue(fieldId, value, userId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      await request
+        .input('fieldId', sql.VarChar(50), fieldId)
+        .input('value', sql.NVarChar(sql.MAX), value)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_fields
+          SET
+            isEdited = CASE WHEN @value = ISNULL(originalValue, '') THEN 0 ELSE 1 END,
+            editedBy = CASE WHEN @value = ISNULL(originalValue, '') THEN NULL ELSE @userId END,
+            editedAt = CASE WHEN @value = ISNULL(originalValue, '') THEN NULL ELSE GETDATE() END,
+            isValidated = CASE WHEN @value = ISNULL(fieldValue, '') THEN isValidated ELSE 0 END,
+            validationStatus = CASE WHEN @value = ISNULL(fieldValue, '') THEN validationStatus ELSE 'pending' END,
+            validatedBy = CASE WHEN @value = ISNULL(fieldValue, '') THEN validatedBy ELSE NULL END,
+            validatedAt = CASE WHEN @value = ISNULL(fieldValue, '') THEN validatedAt ELSE NULL END,
+            fieldValue = @value,
+            updatedAt = GETDATE()
+          WHERE id = @fieldId
+        `);
+
+      return await this.getFieldById(fieldId);
+    } catch (error) {
+      console.error('Error updating field value:', error);
+      throw error;
+    }
+  }
+
+  static async setFieldValidation(fieldId, isValid, userId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      await request
+        .input('fieldId', sql.VarChar(50), fieldId)
+        .input('isValidated', sql.Bit, isValid)
+        .input('validationStatus', sql.VarChar(20), isValid ? 'validated' : 'rejected')
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_fields
+          SET
+            isValidated = @isValidated,
+            validationStatus = @validationStatus,
+            validatedBy = @userId,
+            validatedAt = GETDATE(),
+            updatedAt = GETDATE()
+          WHERE id = @fieldId
+        `);
+
+      return await this.getFieldById(fieldId);
+    } catch (error) {
+      console.error('Error validating field:', error);
+      throw error;
+    }
+  }
+}
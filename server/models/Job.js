@@ -0,0 +1,325 @@
+import { sql, getPool } from '../config/database.js';
+
+const ACTIVE_STATUSES = "('queued', 'running')";
+
+// SQL Server error raised by the unique indexes allowing one active and one
+// running job per document
+const DUPLICATE_KEY_ERROR = 2601;
+
+export class JobModel {
+  // Returns null when the document already has a queued or running job. The
+  // check holds a range lock until the insert, so concurrent requests for
+  // one document cannot both add a job.
+  static async createJob(jobData) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), jobData.documentId)
+        .input('sessionId', sql.VarChar(50), jobData.sessionId)
+        .input('type', sql.VarChar(20), jobData.type)
+        .input('engine', sql.VarChar(20), jobData.engine || null)
+        .input('maxAttempts', sql.Int, jobData.maxAttempts)
+        .input('requestedBy', sql.VarChar(50), jobData.requestedBy || null)
+        .input('progressMessage', sql.NVarChar(500), 'Waiting for a worker')
+        .query(`
+          INSERT INTO ingestion_jobs (documentId, sessionId, type, engine, maxAttempts, requestedBy, progressMessage)
+          OUTPUT INSERTED.*
+          SELECT @documentId, @sessionId, @type, @engine, @maxAttempts, @requestedBy, @progressMessage
+          WHERE NOT EXISTS (
+            SELECT 1 FROM ingestion_jobs WITH (UPDLOCK, HOLDLOCK)
+            WHERE documentId = @documentId AND status IN ${ACTIVE_STATUSES}
+          )
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      if (error.number === DUPLICATE_KEY_ERROR) return null;
+      console.error('Error creating job:', error);
+      throw error;
+    }
+  }
+
+  static async getJobById(jobId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('jobId', sql.VarChar(50), jobId)
+        .query(`
+          SELECT * FROM ingestion_jobs
+          WHERE id = @jobId
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      throw error;
+    }
+  }
+
+  // The queued or running job of a document, if any
+  static async getActiveJobForDocument(documentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT TOP 1 * FROM ingestion_jobs
+          WHERE documentId = @documentId AND status IN ${ACTIVE_STATUSES}
+          ORDER BY createdAt ASC
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error fetching active job:', error);
+      throw error;
+    }
+  }
+
+  static async getLatestJobForDocument(documentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT TOP 1 * FROM ingestion_jobs
+          WHERE documentId = @documentId
+          ORDER BY createdAt DESC
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error fetching latest job:', error);
+      throw error;
+    }
+  }
+
+  static async getJobsByDocument(documentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('documentId', sql.VarChar(50), documentId)
+        .query(`
+          SELECT * FROM ingestion_jobs
+          WHERE documentId = @documentId
+          ORDER BY createdAt DESC
+        `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching document jobs:', error);
+      throw error;
+    }
+  }
+
+  // Atomically take the oldest due job whose document has no running job.
+  // READPAST lets concurrent workers skip rows another worker is claiming.
+  static async claimNextJob(workerId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('workerId', sql.NVarChar(100), workerId)
+        .query(`
+          WITH nextJob AS (
+            SELECT TOP 1 * FROM ingestion_jobs candidate WITH (UPDLOCK, READPAST, ROWLOCK)
+            WHERE candidate.status = 'queued'
+              AND candidate.runAfter <= GETDATE()
+              AND NOT EXISTS (
+                SELECT 1 FROM ingestion_jobs runningJob
+                WHERE runningJob.documentId = candidate.documentId AND runningJob.status = 'running'
+              )
+            ORDER BY candidate.runAfter ASC, candidate.createdAt ASC
+          )
+          UPDATE nextJob
+          SET
+            status = 'running',
+            attempts = attempts + 1,
+            workerId = @workerId,
+            stage = 'processing',
+            startedAt = GETDATE(),
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      // Another worker started a job for the same document first
+      if (error.number === DUPLICATE_KEY_ERROR) {
+        return null;
+      }
+      console.error('Error claiming job:', error);
+      throw error;
+    }
+  }
+
+  static async updateJobProgress(jobId, stage, progress, message) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('jobId', sql.VarChar(50), jobId)
+        .input('stage', sql.VarChar(20), stage)
+        .input('progress', sql.Int, Math.round(progress))
+        .input('message', sql.NVarChar(500), message ? String(message).slice(0, 500) : null)
+        .query(`
+          UPDATE ingestion_jobs
+          SET stage = @stage, progress = @progress, progressMessage = @message, updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @jobId AND status = 'running'
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error updating job progress:', error);
+      throw error;
+    }
+  }
+
+  // Move a running job to a final status
+  static async finishJob(jobId, status, { stage, progress, message, lastError = null }) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('jobId', sql.VarChar(50), jobId)
+        .input('status', sql.VarChar(20), status)
+        .input('stage', sql.VarChar(20), stage)
+        .input('progress', sql.Int, progress)
+        .input('message', sql.NVarChar(500), message ? String(message).slice(0, 500) : null)
+        .input('lastError', sql.NVarChar(sql.MAX), lastError)
+        .query(`
+          UPDATE ingestion_jobs
+          SET
+            status = @status,
+            stage = @stage,
+            progress = @progress,
+            progressMessage = @message,
+            lastError = COALESCE(@lastError, lastError),
+            finishedAt = GETDATE(),
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @jobId
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error finishing job:', error);
+      throw error;
+    }
+  }
+
+  // Put a failed attempt back in the queue after a delay. The delay is
+  // applied with the database clock, which also decides when a job is due.
+  static async retryJob(jobId, lastError, delayMs, message) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('jobId', sql.VarChar(50), jobId)
+        .input('lastError', sql.NVarChar(sql.MAX), lastError)
+        .input('delayMs', sql.Int, delayMs)
+        .input('message', sql.NVarChar(500), String(message).slice(0, 500))
+        .query(`
+          UPDATE ingestion_jobs
+          SET
+            status = 'queued',
+            stage = 'queued',
+            progress = 0,
+            progressMessage = @message,
+            lastError = @lastError,
+            runAfter = DATEADD(millisecond, @delayMs, GETDATE()),
+            workerId = NULL,
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @jobId AND status = 'running'
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error scheduling job retry:', error);
+      throw error;
+    }
+  }
+
+  // Queued jobs are cancelled at once; running jobs are flagged and stopped
+  // by their worker
+  static async requestCancel(jobId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('jobId', sql.VarChar(50), jobId)
+        .query(`
+          UPDATE ingestion_jobs
+          SET
+            cancelRequested = 1,
+            status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+            stage = CASE WHEN status = 'queued' THEN 'cancelled' ELSE stage END,
+            progressMessage = CASE WHEN status = 'queued' THEN 'Cancelled before it started' ELSE progressMessage END,
+            finishedAt = CASE WHEN status = 'queued' THEN GETDATE() ELSE finishedAt END,
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE id = @jobId AND status IN ${ACTIVE_STATUSES}
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      throw error;
+    }
+  }
+
+  // Jobs left running by a server that stopped are queued again, or failed
+  // once out of attempts. Called when the worker starts, so it assumes one
+  // worker process per database.
+  static async requeueInterruptedJobs() {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('message', sql.NVarChar(500), 'Interrupted by a server restart')
+        .query(`
+          UPDATE ingestion_jobs
+          SET
+            status = CASE
+              WHEN cancelRequested = 1 THEN 'cancelled'
+              WHEN attempts >= maxAttempts THEN 'failed'
+              ELSE 'queued'
+            END,
+            stage = CASE
+              WHEN cancelRequested = 1 THEN 'cancelled'
+              WHEN attempts >= maxAttempts THEN 'error'
+              ELSE 'queued'
+            END,
+            progressMessage = @message,
+            lastError = CASE WHEN attempts >= maxAttempts THEN @message ELSE lastError END,
+            finishedAt = CASE WHEN cancelRequested = 1 OR attempts >= maxAttempts THEN GETDATE() ELSE NULL END,
+            workerId = NULL,
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.*
+          WHERE status = 'running'
+        `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error requeueing interrupted jobs:', error);
+      throw error;
+    }
+  }
+}
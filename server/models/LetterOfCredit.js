@@ -0,0 +1,209 @@
+import { sql, getPool } from '../config/database.js';
+
+const parseCredit = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    terms: row.terms ? JSON.parse(row.terms) : null
+  };
+};
+
+const parseAmendment = (row) => {
+  if (!row) return null;
+  return {
+    ...row,
+    changes: row.changes ? JSON.parse(row.changes) : {}
+  };
+};
+
+export class LetterOfCreditModel {
+  static async getCreditBySession(sessionId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT * FROM ingestion_credits
+          WHERE sessionId = @sessionId
+        `);
+
+      return parseCredit(result.recordset[0]);
+    } catch (error) {
+      console.error('Error fetching credit:', error);
+      throw error;
+    }
+  }
+
+  // A session examines documents against a single credit: uploading another
+  // MT700/710/720 replaces the one stored for the session
+  static async saveCredit(creditData) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), creditData.sessionId)
+        .input('documentId', sql.VarChar(50), creditData.documentId)
+        .input('messageType', sql.VarChar(10), creditData.messageType)
+        .input('lcNumber', sql.NVarChar(50), creditData.lcNumber)
+        .input('terms', sql.NVarChar(sql.MAX), JSON.stringify(creditData.terms))
+        .input('rawMessage', sql.NVarChar(sql.MAX), creditData.rawMessage)
+        .input('updatedAt', sql.DateTime, new Date())
+        .query(`
+          IF EXISTS (SELECT 1 FROM ingestion_credits WHERE sessionId = @sessionId)
+            UPDATE ingestion_credits
+            SET
+              documentId = @documentId,
+              messageType = @messageType,
+              lcNumber = @lcNumber,
+              terms = @terms,
+              rawMessage = @rawMessage,
+              updatedAt = @updatedAt
+            OUTPUT INSERTED.*
+            WHERE sessionId = @sessionId
+          ELSE
+            INSERT INTO ingestion_credits (sessionId, documentId, messageType, lcNumber, terms, rawMessage, updatedAt)
+            OUTPUT INSERTED.*
+            VALUES (@sessionId, @documentId, @messageType, @lcNumber, @terms, @rawMessage, @updatedAt)
+        `);
+
+      return parseCredit(result.recordset[0]);
+    } catch (error) {
+      console.error('Error saving credit:', error);
+      throw error;
+    }
+  }
+
+  static async getAmendmentsBySession(sessionId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT * FROM ingestion_credit_amendments
+          WHERE sessionId = @sessionId
+          ORDER BY amendmentNumber ASC
+        `);
+
+      return result.recordset.map(parseAmendment);
+    } catch (error) {
+      console.error('Error fetching amendments:', error);
+      throw error;
+    }
+  }
+
+  static async getAmendmentById(amendmentId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('amendmentId', sql.VarChar(50), amendmentId)
+        .query(`
+          SELECT * FROM ingestion_credit_amendments
+          WHERE id = @amendmentId
+        `);
+
+      return parseAmendment(result.recordset[0]);
+    } catch (error) {
+      console.error('Error fetching amendment:', error);
+      throw error;
+    }
+  }
+
+  static async createAmendment(amendmentData) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), amendmentData.sessionId)
+        .input('documentId', sql.VarChar(50), amendmentData.documentId)
+        .input('amendmentNumber', sql.Int, amendmentData.amendmentNumber)
+        .input('lcNumber', sql.NVarChar(50), amendmentData.lcNumber)
+        .input('amendmentDate', sql.Date, amendmentData.amendmentDate)
+        .input('source', sql.VarChar(10), amendmentData.source)
+        .input('changes', sql.NVarChar(sql.MAX), JSON.stringify(amendmentData.changes))
+        .input('rawMessage', sql.NVarChar(sql.MAX), amendmentData.rawMessage)
+        .query(`
+          INSERT INTO ingestion_credit_amendments
+          (sessionId, documentId, amendmentNumber, lcNumber, amendmentDate, source, changes, rawMessage)
+          OUTPUT INSERTED.*
+          VALUES (@sessionId, @documentId, @amendmentNumber, @lcNumber, @amendmentDate, @source, @changes, @rawMessage)
+        `);
+
+      return parseAmendment(result.recordset[0]);
+    } catch (error) {
+      console.error('Error creating amendment:', error);
+      throw error;
+    }
+  }
+
+  // Replace the message of a recorded amendment, keeping its beneficiary
+  // response
+  static async updateAmendmentMessage(amendmentId, amendmentData) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('amendmentId', sql.VarChar(50), amendmentId)
+        .input('amendmentNumber', sql.Int, amendmentData.amendmentNumber)
+        .input('lcNumber', sql.NVarChar(50), amendmentData.lcNumber)
+        .input('amendmentDate', sql.Date, amendmentData.amendmentDate)
+        .input('source', sql.VarChar(10), amendmentData.source)
+        .input('changes', sql.NVarChar(sql.MAX), JSON.stringify(amendmentData.changes))
+        .input('rawMessage', sql.NVarChar(sql.MAX), amendmentData.rawMessage)
+        .query(`
+          UPDATE ingestion_credit_amendments
+          SET
+            amendmentNumber = @amendmentNumber,
+            lcNumber = @lcNumber,
+            amendmentDate = @amendmentDate,
+            source = @source,
+            changes = @changes,
+            rawMessage = @rawMessage
+          OUTPUT INSERTED.*
+          WHERE id = @amendmentId
+        `);
+
+      return parseAmendment(result.recordset[0]);
+    } catch (error) {
+      console.error('Error updating amendment:', error);
+      throw error;
+    }
+  }
+
+  static async recordBeneficiaryResponse(amendmentId, response, responseDate, respondedBy, notes) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('amendmentId', sql.VarChar(50), amendmentId)
+        .input('response', sql.VarChar(20), response)
+        .input('responseDate', sql.Date, responseDate)
+        .input('respondedBy', sql.VarChar(50), respondedBy)
+        .input('notes', sql.NVarChar(sql.MAX), notes)
+        .query(`
+          UPDATE ingestion_credit_amendments
+          SET
+            beneficiaryResponse = @response,
+            responseDate = @responseDate,
+            respondedBy = @respondedBy,
+            responseNotes = @notes
+          OUTPUT INSERTED.*
+          WHERE id = @amendmentId
+        `);
+
+      return parseAmendment(result.recordset[0]);
+    } catch (error) {
+      console.error('Error recording beneficiary response:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,201 @@
+import { sql, getPool } from '../config/database.js';
+import { SessionModel } from './Session.js';
+
+// The permanent copy of a completed session in the TF_master_* tables: one
+// master record per session, a document set per split document with its
+// validated fields, and the session's key/value pairs.
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+// Anything that keeps a session out of the master tables, counted within the
+// saving transaction so a change made after the caller's checks still stops
+// the save
+const countBlockers = async (transaction, sessionId) => {
+  const result = await new sql.Request(transaction)
+    .input('sessionId', sql.VarChar(50), sessionId)
+    .query(`
+      SELECT
+        (SELECT COUNT(*) FROM ingestion_document_raw
+         WHERE sessionId = @sessionId AND status NOT IN ('processed', 'validated')) AS documents,
+        (SELECT COUNT(*) FROM ingestion_fields
+         WHERE sessionId = @sessionId AND validationStatus <> 'validated') AS fields,
+        (SELECT COUNT(*) FROM ingestion_discrepancies
+         WHERE sessionId = @sessionId AND status NOT IN ('dismissed', 'waived') AND supersededAt IS NULL) AS discrepancies
+    `);
+
+  const counts = result.recordset[0];
+  return counts.documents + counts.fields + counts.discrepancies;
+};
+
+export class MasterRecordModel {
+  static async getMasterRecordBySession(sessionId) {
+    try {
+      const pool = await getPool();
+      const request = pool.request();
+
+      const result = await request
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT mr.*, u.name AS createdByName
+          FROM TF_master_record mr
+          LEFT JOIN users u ON u.id = mr.createdBy
+          WHERE mr.sessionId = @sessionId
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      console.error('Error fetching master record:', error);
+      throw error;
+    }
+  }
+
+  // Copy a session into the master tables and mark it completed, all in one
+  // transaction. Each document set names its split document and the source
+  // document whose validated fields it takes. Returns null when the session
+  // left review or was changed by someone else in the meantime.
+  static async createFromSession(sessionId, documentSets, userId) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      // The lock holds off a second save of the same session until this one ends
+      const sessionResult = await new sql.Request(transaction)
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query('SELECT * FROM ingestion_session WITH (UPDLOCK, ROWLOCK) WHERE id = @sessionId');
+      const session = sessionResult.recordset[0];
+
+      if (!session || session.status !== 'reviewing' || await countBlockers(transaction, sessionId) > 0) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const recordResult = await new sql.Request(transaction)
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .input('cifNumber', sql.NVarChar(50), session.cifNumber)
+        .input('lcNumber', sql.NVarChar(50), session.lcNumber)
+        .input('lifecycle', sql.NVarChar(100), session.lifecycle)
+        .input('totalDocuments', sql.Int, documentSets.length)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          INSERT INTO TF_master_record (sessionId, cifNumber, lcNumber, lifecycle, totalDocuments, createdBy)
+          OUTPUT INSERTED.*
+          VALUES (@sessionId, @cifNumber, @lcNumber, @lifecycle, @totalDocuments, @userId)
+        `);
+      const masterRecord = recordResult.recordset[0];
+
+      let fieldCount = 0;
+      const documentSetIds = new Map();
+      for (const documentSet of documentSets) {
+        const setResult = await new sql.Request(transaction)
+          .input('masterRecordId', sql.VarChar(50), masterRecord.id)
+          .input('sourceDocumentId', sql.VarChar(50), documentSet.documentId)
+          .input('splitDocumentId', sql.NVarChar(100), documentSet.splitDocumentId)
+          .input('documentType', sql.NVarChar(100), documentSet.documentType)
+          .input('documentCategory', sql.NVarChar(100), documentSet.documentCategory || null)
+          .input('documentPath', sql.NVarChar(500), documentSet.documentPath || null)
+          .input('extractedContent', sql.NText, documentSet.content || null)
+          .query(`
+            INSERT INTO TF_master_documentset
+            (masterRecordId, sourceDocumentId, splitDocumentId, documentType, documentCategory, documentPath, extractedContent)
+            OUTPUT INSERTED.id
+            VALUES (@masterRecordId, @sourceDocumentId, @splitDocumentId, @documentType, @documentCategory, @documentPath, @extractedContent)
+          `);
+        const documentSetId = setResult.recordset[0].id;
+        const documentKey = String(documentSet.documentId).toLowerCase();
+        if (!documentSetIds.has(documentKey)) {
+          documentSetIds.set(documentKey, documentSetId);
+        }
+
+        // Fields stored before they carried their split belong to the only
+        // split of their document
+        const fields = await new sql.Request(transaction)
+          .input('documentId', sql.VarChar(50), documentSet.documentId)
+          .input('splitDocumentId', sql.NVarChar(100), documentSet.splitDocumentId)
+          .input('onlySplit', sql.Bit, documentSet.onlySplit)
+          .query(`
+            SELECT * FROM ingestion_fields
+            WHERE documentId = @documentId
+              AND (splitDocumentId = @splitDocumentId OR (@onlySplit = 1 AND splitDocumentId IS NULL))
+            ORDER BY createdAt, fieldName
+          `);
+
+        for (const field of fields.recordset) {
+          await new sql.Request(transaction)
+            .input('documentSetId', sql.VarChar(50), documentSetId)
+            .input('fieldName', sql.NVarChar(100), field.fieldName)
+            .input('fieldValue', sql.NVarChar(sql.MAX), field.fieldValue)
+            .input('fieldType', sql.NVarChar(50), documentSet.fieldTypes[field.fieldName.toLowerCase()] || 'text')
+            .input('confidence', sql.Decimal(3, 2), field.confidence)
+            .input('validatedBy', sql.VarChar(50), field.validatedBy)
+            .input('validatedAt', sql.DateTime2, field.validatedAt)
+            .query(`
+              INSERT INTO TF_master_fields
+              (documentSetId, fieldName, fieldValue, fieldType, confidence, isValidated, validatedBy, validatedAt)
+              VALUES (@documentSetId, @fieldName, @fieldValue, @fieldType, @confidence, 1, @validatedBy, @validatedAt)
+            `);
+          fieldCount++;
+        }
+      }
+
+      // Key/value pairs are kept per document; they go with its first split
+      const pairs = await new sql.Request(transaction)
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query('SELECT * FROM ingestion_keyValuePair WHERE sessionId = @sessionId ORDER BY createdAt');
+
+      let pairCount = 0;
+      for (const pair of pairs.recordset) {
+        const documentSetId = documentSetIds.get(String(pair.documentId).toLowerCase());
+        if (!documentSetId) continue;
+
+        await new sql.Request(transaction)
+          .input('masterRecordId', sql.VarChar(50), masterRecord.id)
+          .input('documentSetId', sql.VarChar(50), documentSetId)
+          .input('keyName', sql.NVarChar(100), pair.keyName)
+          .input('keyValue', sql.NVarChar(sql.MAX), pair.keyValue)
+          .input('dataType', sql.NVarChar(50), pair.dataType)
+          .query(`
+            INSERT INTO TF_key_value_pair (masterRecordId, documentSetId, keyName, keyValue, dataType)
+            VALUES (@masterRecordId, @documentSetId, @keyName, @keyValue, @dataType)
+          `);
+        pairCount++;
+      }
+
+      await new sql.Request(transaction)
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          UPDATE ingestion_document_raw SET status = 'validated', errorMessage = NULL WHERE sessionId = @sessionId;
+          UPDATE ingestion_session SET status = 'completed', updatedAt = GETDATE() WHERE id = @sessionId;
+        `);
+
+      await SessionModel.insertTransition(transaction, {
+        sessionId,
+        fromStatus: session.status,
+        toStatus: 'completed',
+        source: 'user',
+        reason: 'Saved to the master record',
+        changedBy: userId
+      });
+
+      await transaction.commit();
+
+      return {
+        masterRecord,
+        documentSets: documentSets.length,
+        fields: fieldCount,
+        keyValuePairs: pairCount
+      };
+    } catch (error) {
+      console.error('Error saving master record:', error);
+      await rollback(transaction, 'master record');
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import { sql, getPool } from '../config/database.js';
+
+// Refresh tokens in auth_refresh_tokens. Only their hashes are stored. A
+// family is one sign-in: it stays alive while its newest token is unused,
+// unrevoked and unexpired.
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+const insertToken = (request, token) => request
+  .input('userId', sql.VarChar(50), token.userId)
+  .input('familyId', sql.VarChar(50), token.familyId)
+  .input('tokenHash', sql.Char(64), token.tokenHash)
+  .input('expiresAt', sql.DateTime2, token.expiresAt)
+  .input('userAgent', sql.NVarChar(500), token.userAgent ? token.userAgent.slice(0, 500) : null)
+  .input('ipAddress', sql.NVarChar(64), token.ipAddress || null)
+  .query(`
+    INSERT INTO auth_refresh_tokens (userId, familyId, tokenHash, expiresAt, userAgent, ipAddress)
+    OUTPUT INSERTED.*
+    VALUES (@userId, @familyId, @tokenHash, @expiresAt, @userAgent, @ipAddress)
+  `)
+  .then(result => result.recordset[0]);
+
+export class RefreshTokenModel {
+  // The first token of a new family
+  static async createFamily(token) {
+    try {
+      const pool = await getPool();
+      return await insertToken(pool.request(), { ...token, familyId: crypto.randomUUID() });
+    } catch (error) {
+      console.error('Error creating refresh token:', error);
+      throw error;
+    }
+  }
+
+  static async findByHash(tokenHash) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('tokenHash', sql.Char(64), tokenHash)
+        .query('SELECT * FROM auth_refresh_tokens WHERE tokenHash = @tokenHash');
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      console.error('Error fetching refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Use up a token and add its successor to the family. Returns the new
+  // token row, or null when the token was used or revoked in the meantime.
+  static async rotate(tokenId, next) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const used = await new sql.Request(transaction)
+        .input('tokenId', sql.VarChar(50), tokenId)
+        .query(`
+          UPDATE auth_refresh_tokens
+          SET usedAt = SYSUTCDATETIME()
+          OUTPUT INSERTED.userId, INSERTED.familyId
+          WHERE id = @tokenId AND usedAt IS NULL AND revokedAt IS NULL
+        `);
+      const current = used.recordset[0];
+      if (!current) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const inserted = await insertToken(new sql.Request(transaction), {
+        ...next,
+        userId: current.userId,
+        familyId: current.familyId
+      });
+
+      await new sql.Request(transaction)
+        .input('tokenId', sql.VarChar(50), tokenId)
+        .input('replacedBy', sql.VarChar(50), inserted.id)
+        .query('UPDATE auth_refresh_tokens SET replacedBy = @replacedBy WHERE id = @tokenId');
+
+      await transaction.commit();
+      return inserted;
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      await rollback(transaction, 'refresh token rotation');
+      throw error;
+    }
+  }
+
+  // Whether a sign-in can still be refreshed, and so its access tokens used
+  static async isFamilyActive(familyId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('familyId', sql.VarChar(50), familyId)
+        .query(`
+          SELECT COUNT(*) AS active
+          FROM auth_refresh_tokens
+          WHERE familyId = @familyId
+            AND usedAt IS NULL
+            AND revokedAt IS NULL
+            AND expiresAt > SYSUTCDATETIME()
+        `);
+
+      return result.recordset[0].active > 0;
+    } catch (error) {
+      console.error('Error checking refresh token family:', error);
+      throw error;
+    }
+  }
+
+  // End a sign-in. Returns how many tokens were revoked.
+  static async revokeFamily(familyId, reason) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('familyId', sql.VarChar(50), familyId)
+        .input('reason', sql.NVarChar(50), reason)
+        .query(`
+          UPDATE auth_refresh_tokens
+          SET revokedAt = SYSUTCDATETIME(), revokedReason = @reason
+          WHERE familyId = @familyId AND revokedAt IS NULL
+        `);
+
+      return result.rowsAffected[0];
+    } catch (error) {
+      console.error('Error revoking refresh token family:', error);
+      throw error;
+    }
+  }
+
+  // End every sign-in of a user. Returns how many sign-ins were ended.
+  static async revokeAllForUser(userId, reason) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .input('reason', sql.NVarChar(50), reason)
+        .query(`
+          UPDATE auth_refresh_tokens
+          SET revokedAt = SYSUTCDATETIME(), revokedReason = @reason
+          OUTPUT INSERTED.familyId
+          WHERE userId = @userId AND revokedAt IS NULL AND usedAt IS NULL AND expiresAt > SYSUTCDATETIME()
+        `);
+
+      return new Set(result.recordset.map(row => String(row.familyId))).size;
+    } catch (error) {
+      console.error('Error revoking refresh tokens of user:', error);
+      throw error;
+    }
+  }
+}
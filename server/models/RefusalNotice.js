@@ -0,0 +1,103 @@
+import { sql, getPool } from '../config/database.js';
+
+// Refusal notices of presentations, in ingestion_refusal_notices. A session
+// has at most one.
+
+const DUPLICATE_KEY_ERROR = 2601;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toDateOnly = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value || null);
+
+const toNotice = (row) => ({
+  id: row.id,
+  sessionId: row.sessionId,
+  senderReference: row.senderReference,
+  presenterReference: row.presenterReference,
+  presenterBic: row.presenterBic || null,
+  disposal: row.disposal,
+  disposalNote: row.disposalNote || null,
+  utilisationDate: toDateOnly(row.utilisationDate),
+  currency: row.currency,
+  amount: row.amount != null ? Number(row.amount) : null,
+  chargesClaimed: row.chargesClaimed || null,
+  senderToReceiverInfo: row.senderToReceiverInfo || null,
+  discrepancies: parseJSON(row.discrepancies, []),
+  mt734: row.mt734,
+  pdfPath: row.pdfPath,
+  examinationDeadline: toDateOnly(row.examinationDeadline),
+  issuedBy: row.issuedBy,
+  issuedByName: row.issuedByName || null,
+  issuedAt: row.issuedAt
+});
+
+export class RefusalNoticeModel {
+  static async getNoticeBySession(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT n.*, issuer.name AS issuedByName
+          FROM ingestion_refusal_notices n
+          LEFT JOIN users issuer ON issuer.id = n.issuedBy
+          WHERE n.sessionId = @sessionId
+        `);
+
+      return result.recordset[0] ? toNotice(result.recordset[0]) : null;
+    } catch (error) {
+      console.error('Error fetching refusal notice:', error);
+      throw error;
+    }
+  }
+
+  // Returns null when the session already has a notice
+  static async createNotice(notice) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), notice.sessionId)
+        .input('senderReference', sql.NVarChar(16), notice.senderReference)
+        .input('presenterReference', sql.NVarChar(16), notice.presenterReference)
+        .input('presenterBic', sql.NVarChar(11), notice.presenterBic || null)
+        .input('disposal', sql.NVarChar(10), notice.disposal)
+        .input('disposalNote', sql.NVarChar(70), notice.disposalNote || null)
+        .input('utilisationDate', sql.Date, notice.utilisationDate)
+        .input('currency', sql.Char(3), notice.currency)
+        .input('amount', sql.Decimal(18, 2), notice.amount)
+        .input('chargesClaimed', sql.NVarChar(210), notice.chargesClaimed || null)
+        .input('senderToReceiverInfo', sql.NVarChar(210), notice.senderToReceiverInfo || null)
+        .input('discrepancies', sql.NVarChar(sql.MAX), JSON.stringify(notice.discrepancies))
+        .input('mt734', sql.NVarChar(sql.MAX), notice.mt734)
+        .input('pdfPath', sql.NVarChar(500), notice.pdfPath)
+        .input('examinationDeadline', sql.Date, notice.examinationDeadline || null)
+        .input('issuedBy', sql.VarChar(50), notice.issuedBy)
+        .input('issuedAt', sql.DateTime2, notice.issuedAt)
+        .query(`
+          INSERT INTO ingestion_refusal_notices
+          (sessionId, senderReference, presenterReference, presenterBic, disposal, disposalNote,
+           utilisationDate, currency, amount, chargesClaimed, senderToReceiverInfo, discrepancies,
+           mt734, pdfPath, examinationDeadline, issuedBy, issuedAt)
+          OUTPUT INSERTED.*
+          VALUES (@sessionId, @senderReference, @presenterReference, @presenterBic, @disposal, @disposalNote,
+           @utilisationDate, @currency, @amount, @chargesClaimed, @senderToReceiverInfo, @discrepancies,
+           @mt734, @pdfPath, @examinationDeadline, @issuedBy, @issuedAt)
+        `);
+
+      return toNotice(result.recordset[0]);
+    } catch (error) {
+      if (error.number === DUPLICATE_KEY_ERROR) return null;
+      console.error('Error creating refusal notice:', error);
+      throw error;
+    }
+  }
+}
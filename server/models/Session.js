@@ -2,57 +2,204 @@ import { sql, getPool } from '../config/database.js';
 import fs from 'fs';
 import path from 'path';
 
+// Dates travel in a cursor as the text SQL Server writes for them (style
+// 126), which keeps all seven fractional digits of a DATETIME2. A JavaScript
+// Date keeps milliseconds only, so sessions created within one millisecond
+// were skipped or repeated from page to page.
+const dateColumn = (name) => ({
+  expression: name,
+  cursorText: `CONVERT(varchar(27), ${name}, 126)`,
+  cursorParameter: 'CONVERT(datetime2, @cursorValue, 126)',
+  type: sql.VarChar(27),
+  toCursor: String,
+  fromCursor: String
+});
+
+// Columns sessions can be sorted on, with how their values travel in a cursor
+const SORT_COLUMNS = {
+  createdAt: dateColumn('createdAt'),
+  updatedAt: dateColumn('updatedAt'),
+  lcNumber: { expression: 'lcNumber', type: sql.NVarChar(50), toCursor: String, fromCursor: String },
+  cifNumber: { expression: 'cifNumber', type: sql.NVarChar(50), toCursor: String, fromCursor: String },
+  discrepancyCount: { expression: 'discrepancyCount', type: sql.Int, toCursor: Number, fromCursor: Number }
+};
+
+export const SESSION_SORTS = Object.keys(SORT_COLUMNS);
+
+// Cursors are opaque to clients: the sort value and id of the last session
+// of a page
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+export const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && cursor.value !== undefined && typeof cursor.id === 'string' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// LIKE wildcards in user input are matched literally
+const escapeLike = (value) => value.replace(/[\\%_[]/g, (match) => `\\${match}`);
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
 export class SessionModel {
   static async createSession(sessionData) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
     try {
-      const pool = await getPool();
-      const request = pool.request();
+      await transaction.begin();
       
-      const result = await request
+      const result = await new sql.Request(transaction)
         .input('cifNumber', sql.VarChar(50), sessionData.cifNumber)
         .input('lcNumber', sql.VarChar(50), sessionData.lcNumber)
         .input('lifecycle', sql.VarChar(100), sessionData.lifecycle)
         .input('userId', sql.VarChar(50), sessionData.userId)
         .input('status', sql.VarChar(20), 'created')
+        .input('presentationDate', sql.Date, sessionData.presentationDate || null)
+        .input('countryCode', sql.Char(2), sessionData.countryCode || null)
+        .input('branchCode', sql.NVarChar(20), sessionData.branchCode || null)
         .input('createdAt', sql.DateTime, new Date())
         .input('updatedAt', sql.DateTime, new Date())
         .query(`
           INSERT INTO ingestion_session 
-          (cifNumber, lcNumber, lifecycle, userId, status, createdAt, updatedAt, iterations)
+          (cifNumber, lcNumber, lifecycle, userId, status, presentationDate, countryCode, branchCode, createdAt, updatedAt, iterations)
           OUTPUT INSERTED.*
-          VALUES (@cifNumber, @lcNumber, @lifecycle, @userId, @status, @createdAt, @updatedAt, 0)
+          VALUES (@cifNumber, @lcNumber, @lifecycle, @userId, @status, @presentationDate, @countryCode, @branchCode, @createdAt, @updatedAt, 0)
         `);
-      
-      return result.recordset[0];
+      const session = result.recordset[0];
+
+      await this.insertTransition(transaction, {
+        sessionId: session.id,
+        fromStatus: null,
+        toStatus: session.status,
+        source: 'user',
+        changedBy: sessionData.userId
+      });
+
+      await transaction.commit();
+      return session;
     } catch (error) {
       console.error('Error creating session:', error);
+      await rollback(transaction, 'session');
       throw error;
     }
   }
 
-  static async getAllSessions(userId = null) {
+  // A page of sessions matching the filters, in sort order, with the total
+  // number of matches and their count per status (ignoring the status
+  // filter). Pages are keyset-paginated: nextCursor continues after the last
+  // session of this page and is null on the last page.
+  static async searchSessions(filters = {}, { sort = 'createdAt', order = 'desc', limit = 25, cursor = null } = {}) {
     try {
       const pool = await getPool();
-      const request = pool.request();
-      
-      let query = `
-        SELECT s.*, 
-               COUNT(d.id) as documentCount
-        FROM ingestion_session s
-        LEFT JOIN ingestion_document_raw d ON s.id = d.sessionId
+      const column = SORT_COLUMNS[sort];
+      const descending = order === 'desc';
+
+      const conditions = [];
+      const addInputs = (request) => {
+        if (filters.userId) request.input('userId', sql.VarChar(50), filters.userId);
+        if (filters.cifNumber) request.input('cifNumber', sql.NVarChar(50), filters.cifNumber);
+        if (filters.lcNumber) request.input('lcNumberPrefix', sql.NVarChar(60), `${escapeLike(filters.lcNumber)}%`);
+        if (filters.lifecycle) request.input('lifecycle', sql.NVarChar(100), filters.lifecycle);
+        if (filters.createdFrom) request.input('createdFrom', sql.DateTime2, filters.createdFrom);
+        if (filters.createdTo) request.input('createdTo', sql.DateTime2, filters.createdTo);
+        if (filters.updatedFrom) request.input('updatedFrom', sql.DateTime2, filters.updatedFrom);
+        if (filters.updatedTo) request.input('updatedTo', sql.DateTime2, filters.updatedTo);
+        if (filters.minDiscrepancies != null) request.input('minDiscrepancies', sql.Int, filters.minDiscrepancies);
+        if (filters.maxDiscrepancies != null) request.input('maxDiscrepancies', sql.Int, filters.maxDiscrepancies);
+        (filters.statuses || []).forEach((status, index) => request.input(`status${index}`, sql.NVarChar(20), status));
+        return request;
+      };
+
+      if (filters.userId) conditions.push('s.userId = @userId');
+      if (filters.cifNumber) conditions.push('s.cifNumber = @cifNumber');
+      if (filters.lcNumber) conditions.push("s.lcNumber LIKE @lcNumberPrefix ESCAPE '\\'");
+      if (filters.lifecycle) conditions.push('s.lifecycle = @lifecycle');
+      if (filters.createdFrom) conditions.push('s.createdAt >= @createdFrom');
+      if (filters.createdTo) conditions.push('s.createdAt < @createdTo');
+      if (filters.updatedFrom) conditions.push('s.updatedAt >= @updatedFrom');
+      if (filters.updatedTo) conditions.push('s.updatedAt < @updatedTo');
+
+      const discrepancyConditions = [];
+      if (filters.minDiscrepancies != null) discrepancyConditions.push('discrepancyCount >= @minDiscrepancies');
+      if (filters.maxDiscrepancies != null) discrepancyConditions.push('discrepancyCount <= @maxDiscrepancies');
+
+      const statusCondition = filters.statuses?.length
+        ? `status IN (${filters.statuses.map((status, index) => `@status${index}`).join(', ')})`
+        : null;
+
+      // Sessions with their count of discrepancies neither dismissed nor
+      // waived, so it can be filtered and sorted on like a column
+      const matching = `
+        WITH matching AS (
+          SELECT s.*, owner.name AS ownerName,
+            (SELECT COUNT(*) FROM ingestion_discrepancies d
+             WHERE d.sessionId = s.id AND d.status NOT IN ('dismissed', 'waived') AND d.supersededAt IS NULL) AS discrepancyCount
+          FROM ingestion_session s
+          LEFT JOIN users owner ON owner.id = s.userId
+          ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        )
       `;
-      
-      if (userId) {
-        query += ' WHERE s.userId = @userId';
-        request.input('userId', sql.VarChar(50), userId);
+      const where = (extra) => {
+        const all = [...discrepancyConditions, ...extra].filter(Boolean);
+        return all.length ? `WHERE ${all.join(' AND ')}` : '';
+      };
+
+      const pageRequest = addInputs(pool.request()).input('limit', sql.Int, limit + 1);
+      let keyset = null;
+      if (cursor) {
+        pageRequest
+          .input('cursorValue', column.type, column.fromCursor(cursor.value))
+          .input('cursorId', sql.VarChar(50), cursor.id);
+        const comparison = descending ? '<' : '>';
+        const cursorValue = column.cursorParameter || '@cursorValue';
+        keyset = `(${column.expression} ${comparison} ${cursorValue} OR (${column.expression} = ${cursorValue} AND id ${comparison} @cursorId))`;
       }
-      
-      query += ' GROUP BY s.id, s.cifNumber, s.lcNumber, s.lifecycle, s.status, s.createdAt, s.updatedAt, s.userId, s.iterations ORDER BY s.createdAt DESC';
-      
-      const result = await request.query(query);
-      return result.recordset;
+
+      const direction = descending ? 'DESC' : 'ASC';
+      const [page, totals, statusTotals] = await Promise.all([
+        pageRequest.query(`
+          ${matching}
+          SELECT TOP (@limit) m.*, ${column.cursorText || column.expression} AS cursorValue,
+            (SELECT COUNT(*) FROM ingestion_document_raw d WHERE d.sessionId = m.id) AS documentCount
+          FROM matching m
+          ${where([statusCondition, keyset])}
+          ORDER BY ${column.expression} ${direction}, id ${direction}
+        `),
+        addInputs(pool.request()).query(`
+          ${matching}
+          SELECT COUNT(*) AS total FROM matching ${where([statusCondition])}
+        `),
+        addInputs(pool.request()).query(`
+          ${matching}
+          SELECT status, COUNT(*) AS count FROM matching ${where([])} GROUP BY status
+        `)
+      ]);
+
+      const rows = page.recordset.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = page.recordset.length > limit
+        ? encodeCursor({ value: column.toCursor(last.cursorValue), id: last.id })
+        : null;
+      const sessions = rows.map(({ cursorValue, ...session }) => session);
+
+      return {
+        sessions,
+        total: totals.recordset[0].total,
+        statusCounts: Object.fromEntries(statusTotals.recordset.map(row => [row.status, row.count])),
+        nextCursor
+      };
     } catch (error) {
-      console.error('Error fetching sessions:', error);
+      console.error('Error searching sessions:', error);
       throw error;
     }
   }
@@ -70,7 +217,8 @@ export class SessionModel {
           FROM ingestion_session s
           LEFT JOIN ingestion_document_raw d ON s.id = d.sessionId
           WHERE s.id = @sessionId
-          GROUP BY s.id, s.cifNumber, s.lcNumber, s.lifecycle, s.status, s.createdAt, s.updatedAt, s.userId, s.iterations
+          GROUP BY s.id, s.cifNumber, s.lcNumber, s.lifecycle, s.status, s.createdAt, s.updatedAt, s.userId, s.iterations,
+                   s.presentationDate, s.countryCode, s.branchCode
         `);
       
       return result.recordset[0];
@@ -80,25 +228,163 @@ export class SessionModel {
     }
   }
 
-  static async updateSessionStatus(sessionId, status) {
+  // Change when and where the documents of a session were presented
+  static async updatePresentation(sessionId, { presentationDate, countryCode, branchCode }) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .input('presentationDate', sql.Date, presentationDate)
+        .input('countryCode', sql.Char(2), countryCode || null)
+        .input('branchCode', sql.NVarChar(20), branchCode || null)
+        .input('updatedAt', sql.DateTime, new Date())
+        .query(`
+          UPDATE ingestion_session
+          SET presentationDate = @presentationDate, countryCode = @countryCode, branchCode = @branchCode,
+              updatedAt = @updatedAt
+          OUTPUT INSERTED.*
+          WHERE id = @sessionId
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      console.error('Error updating session presentation:', error);
+      throw error;
+    }
+  }
+
+  // Presented sessions in the given statuses that have not been refused yet,
+  // oldest presentation first, optionally only those of one owner
+  static async getPresentedSessions({ statuses, userId = null }) {
     try {
       const pool = await getPool();
       const request = pool.request();
-      
-      const result = await request
+
+      statuses.forEach((status, index) => request.input(`status${index}`, sql.NVarChar(20), status));
+      if (userId) request.input('userId', sql.VarChar(50), userId);
+
+      const result = await request.query(`
+        SELECT s.*, owner.name AS ownerName
+        FROM ingestion_session s
+        LEFT JOIN users owner ON owner.id = s.userId
+        WHERE s.presentationDate IS NOT NULL
+          AND s.status IN (${statuses.map((status, index) => `@status${index}`).join(', ')})
+          AND NOT EXISTS (SELECT 1 FROM ingestion_refusal_notices n WHERE n.sessionId = s.id)
+          ${userId ? 'AND s.userId = @userId' : ''}
+        ORDER BY s.presentationDate, s.id
+      `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching presented sessions:', error);
+      throw error;
+    }
+  }
+
+  // Move a session from one status to another and record the change.
+  // Returns null when the session is no longer in fromStatus.
+  static async transitionStatus(sessionId, fromStatus, toStatus, { source, reason = null, userId = null }) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const result = await new sql.Request(transaction)
         .input('sessionId', sql.VarChar(50), sessionId)
-        .input('status', sql.VarChar(20), status)
+        .input('fromStatus', sql.VarChar(20), fromStatus)
+        .input('toStatus', sql.VarChar(20), toStatus)
         .input('updatedAt', sql.DateTime, new Date())
         .query(`
           UPDATE ingestion_session 
-          SET status = @status, updatedAt = @updatedAt
+          SET status = @toStatus, updatedAt = @updatedAt
           OUTPUT INSERTED.*
-          WHERE id = @sessionId
+          WHERE id = @sessionId AND status = @fromStatus
         `);
-      
-      return result.recordset[0];
+      const session = result.recordset[0];
+
+      if (!session) {
+        await transaction.rollback();
+        return null;
+      }
+
+      await this.insertTransition(transaction, { sessionId, fromStatus, toStatus, source, reason, changedBy: userId });
+
+      await transaction.commit();
+      return session;
     } catch (error) {
       console.error('Error updating session status:', error);
+      await rollback(transaction, 'session status');
+      throw error;
+    }
+  }
+
+  // Record a status change within the caller's transaction
+  static async insertTransition(transaction, { sessionId, fromStatus, toStatus, source, reason = null, changedBy = null }) {
+    await new sql.Request(transaction)
+      .input('sessionId', sql.VarChar(50), sessionId)
+      .input('fromStatus', sql.NVarChar(20), fromStatus)
+      .input('toStatus', sql.NVarChar(20), toStatus)
+      .input('source', sql.NVarChar(20), source)
+      .input('reason', sql.NVarChar(500), reason ? String(reason).slice(0, 500) : null)
+      .input('changedBy', sql.VarChar(50), changedBy)
+      .query(`
+        INSERT INTO ingestion_session_transitions (sessionId, fromStatus, toStatus, source, reason, changedBy)
+        VALUES (@sessionId, @fromStatus, @toStatus, @source, @reason, @changedBy)
+      `);
+  }
+
+  // Status changes of a session, oldest first
+  static async getTransitions(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT t.*, u.name AS changedByName
+          FROM ingestion_session_transitions t
+          LEFT JOIN users u ON u.id = t.changedBy
+          WHERE t.sessionId = @sessionId
+          ORDER BY t.createdAt, t.id
+        `);
+
+      return result.recordset;
+    } catch (error) {
+      console.error('Error fetching session transitions:', error);
+      throw error;
+    }
+  }
+
+  // What the documents of a session say about its status, and what still
+  // stands in the way of completing it
+  static async getLifecycleFacts(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT
+            COUNT(*) AS documents,
+            ISNULL(SUM(CASE WHEN d.status = 'processing' OR job.status = 'running' THEN 1 ELSE 0 END), 0) AS processing,
+            ISNULL(SUM(CASE WHEN d.status = 'uploaded' OR job.status = 'queued' THEN 1 ELSE 0 END), 0) AS waiting,
+            ISNULL(SUM(CASE WHEN d.status = 'error' THEN 1 ELSE 0 END), 0) AS failed,
+            (SELECT COUNT(*) FROM ingestion_discrepancies
+             WHERE sessionId = @sessionId AND status NOT IN ('dismissed', 'waived') AND supersededAt IS NULL) AS unresolvedDiscrepancies
+          FROM ingestion_document_raw d
+          OUTER APPLY (
+            SELECT TOP 1 j.status FROM ingestion_jobs j
+            WHERE j.documentId = d.id AND j.status IN ('queued', 'running')
+            ORDER BY j.createdAt DESC
+          ) job
+          WHERE d.sessionId = @sessionId
+        `);
+
+      return result.recordset[0];
+    } catch (error) {
+      console.error('Error fetching session lifecycle facts:', error);
       throw error;
     }
   }
@@ -153,6 +439,14 @@ export class SessionModel {
         }
       }
       
+      // Refusal notices keep their PDFs next to the uploads
+      const refusalsDir = path.join(uploadsDir, 'refusals', sessionId);
+      try {
+        fs.rmSync(refusalsDir, { recursive: true, force: true });
+      } catch (fileError) {
+        console.error('Error deleting refusal notices:', fileError);
+      }
+      
       // Get session info before deletion
       const session = await this.getSessionById(sessionId);
       
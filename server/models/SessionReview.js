@@ -0,0 +1,147 @@
+import { sql, getPool } from '../config/database.js';
+
+// Four-eyes reviews of a session's examination, in
+// ingestion_session_reviews. A maker submits the examination; a checker
+// approves it or returns it. At most one review of a session is pending.
+
+const REVIEW_COLUMNS = `
+  r.*,
+  submitter.name AS submittedByName,
+  decider.name AS decidedByName
+`;
+
+const REVIEW_JOINS = `
+  LEFT JOIN users submitter ON submitter.id = r.submittedBy
+  LEFT JOIN users decider ON decider.id = r.decidedBy
+`;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toReview = (row) => ({
+  id: row.id,
+  sessionId: row.sessionId,
+  status: row.status,
+  submittedBy: row.submittedBy,
+  submittedByName: row.submittedByName || null,
+  submittedAt: row.submittedAt,
+  submissionNote: row.submissionNote || null,
+  discrepancySummary: parseJSON(row.discrepancySummary, null),
+  decidedBy: row.decidedBy || null,
+  decidedByName: row.decidedByName || null,
+  decidedAt: row.decidedAt || null,
+  decisionNote: row.decisionNote || null
+});
+
+export class SessionReviewModel {
+  // Every review of a session, newest first
+  static async getReviews(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT ${REVIEW_COLUMNS}
+          FROM ingestion_session_reviews r
+          ${REVIEW_JOINS}
+          WHERE r.sessionId = @sessionId
+          ORDER BY r.submittedAt DESC
+        `);
+
+      return result.recordset.map(toReview);
+    } catch (error) {
+      console.error('Error fetching session reviews:', error);
+      throw error;
+    }
+  }
+
+  static async getLatestReview(sessionId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .query(`
+          SELECT TOP 1 ${REVIEW_COLUMNS}
+          FROM ingestion_session_reviews r
+          ${REVIEW_JOINS}
+          WHERE r.sessionId = @sessionId
+          ORDER BY r.submittedAt DESC
+        `);
+
+      return result.recordset[0] ? toReview(result.recordset[0]) : null;
+    } catch (error) {
+      console.error('Error fetching latest session review:', error);
+      throw error;
+    }
+  }
+
+  // Submit a session for checking. Returns null when a review of it is
+  // already pending.
+  static async createReview({ sessionId, submittedBy, submissionNote, discrepancySummary }) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('sessionId', sql.VarChar(50), sessionId)
+        .input('submittedBy', sql.VarChar(50), submittedBy)
+        .input('submittedAt', sql.DateTime2, new Date())
+        .input('submissionNote', sql.NVarChar(1000), submissionNote || null)
+        .input('discrepancySummary', sql.NVarChar(sql.MAX), JSON.stringify(discrepancySummary))
+        .query(`
+          INSERT INTO ingestion_session_reviews (sessionId, submittedBy, submittedAt, submissionNote, discrepancySummary)
+          OUTPUT INSERTED.id
+          SELECT @sessionId, @submittedBy, @submittedAt, @submissionNote, @discrepancySummary
+          WHERE NOT EXISTS (
+            SELECT 1 FROM ingestion_session_reviews WHERE sessionId = @sessionId AND status = 'pending'
+          )
+        `);
+
+      if (!result.recordset[0]) return null;
+      return await this.getLatestReview(sessionId);
+    } catch (error) {
+      // Two submissions at once; the unique index let one through
+      if (error.number === 2601) return null;
+      console.error('Error creating session review:', error);
+      throw error;
+    }
+  }
+
+  // Approve or return a pending review. Returns null when it is no longer
+  // pending.
+  static async decide(reviewId, status, userId, decisionNote) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('reviewId', sql.VarChar(50), reviewId)
+        .input('status', sql.NVarChar(20), status)
+        .input('userId', sql.VarChar(50), userId)
+        .input('decidedAt', sql.DateTime2, new Date())
+        .input('decisionNote', sql.NVarChar(1000), decisionNote || null)
+        .query(`
+          UPDATE ingestion_session_reviews
+          SET
+            status = @status,
+            decidedBy = @userId,
+            decidedAt = @decidedAt,
+            decisionNote = @decisionNote
+          OUTPUT INSERTED.sessionId
+          WHERE id = @reviewId AND status = 'pending'
+        `);
+
+      if (!result.recordset[0]) return null;
+      return await this.getLatestReview(result.recordset[0].sessionId);
+    } catch (error) {
+      console.error('Error deciding session review:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,389 @@
+import { sql, getPool } from '../config/database.js';
+
+const TEMPLATE_COLUMNS = `
+  t.*,
+  parent.name AS parentTemplateName,
+  creator.name AS createdByName,
+  updater.name AS updatedByName
+`;
+
+const TEMPLATE_JOINS = `
+  LEFT JOIN ingestion_templates parent ON parent.id = t.parentTemplateId
+  LEFT JOIN users creator ON creator.id = t.createdBy
+  LEFT JOIN users updater ON updater.id = t.updatedBy
+`;
+
+const parseJSON = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const toTemplateField = (row) => ({
+  id: row.id,
+  templateId: row.templateId,
+  fieldName: row.fieldName,
+  fieldType: row.fieldType,
+  isRequired: Boolean(row.isRequired),
+  extractionPattern: row.extractionPattern || null,
+  validationRules: parseJSON(row.validationRules, null),
+  confidence: row.confidence === null ? null : Number(row.confidence),
+  position: row.positionX === null ? null : {
+    x: row.positionX,
+    y: row.positionY ?? 0,
+    width: row.width ?? 0,
+    height: row.height ?? 0
+  },
+  sortOrder: row.sortOrder
+});
+
+// Row to the DocumentTemplate shape the frontend works with
+const toTemplate = (row, fields = []) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  category: row.category || '',
+  parentTemplateId: row.parentTemplateId,
+  parentTemplateName: row.parentTemplateName || null,
+  priority: row.priority,
+  startPatterns: parseJSON(row.startPatterns, []),
+  endPatterns: parseJSON(row.endPatterns, []),
+  keywords: parseJSON(row.keywords, []),
+  sections: parseJSON(row.sections, []),
+  fields,
+  isActive: Boolean(row.isActive),
+  version: row.version,
+  createdBy: row.createdBy,
+  createdByName: row.createdByName || null,
+  updatedBy: row.updatedBy,
+  updatedByName: row.updatedByName || null,
+  createdAt: row.createdAt,
+  updatedAt: row.updatedAt
+});
+
+// The definition a version snapshot records: everything an admin can edit
+const toDefinition = (template) => ({
+  name: template.name,
+  type: template.type,
+  category: template.category,
+  parentTemplateId: template.parentTemplateId,
+  priority: template.priority,
+  startPatterns: template.startPatterns,
+  endPatterns: template.endPatterns,
+  keywords: template.keywords,
+  sections: template.sections,
+  isActive: template.isActive,
+  fields: template.fields.map(field => ({
+    fieldName: field.fieldName,
+    fieldType: field.fieldType,
+    isRequired: field.isRequired,
+    extractionPattern: field.extractionPattern,
+    validationRules: field.validationRules,
+    confidence: field.confidence,
+    position: field.position
+  }))
+});
+
+const bindTemplate = (request, template) => request
+  .input('name', sql.NVarChar(100), template.name)
+  .input('type', sql.NVarChar(10), template.type)
+  .input('category', sql.NVarChar(100), template.category || null)
+  .input('parentTemplateId', sql.VarChar(50), template.parentTemplateId || null)
+  .input('priority', sql.Int, template.priority)
+  .input('startPatterns', sql.NVarChar(sql.MAX), JSON.stringify(template.startPatterns))
+  .input('endPatterns', sql.NVarChar(sql.MAX), JSON.stringify(template.endPatterns))
+  .input('keywords', sql.NVarChar(sql.MAX), JSON.stringify(template.keywords))
+  .input('sections', sql.NVarChar(sql.MAX), JSON.stringify(template.sections))
+  .input('isActive', sql.Bit, template.isActive);
+
+const insertTemplateFields = async (transaction, templateId, fields) => {
+  for (const [index, field] of fields.entries()) {
+    await new sql.Request(transaction)
+      .input('templateId', sql.VarChar(50), templateId)
+      .input('fieldName', sql.NVarChar(100), field.fieldName)
+      .input('fieldType', sql.NVarChar(20), field.fieldType)
+      .input('isRequired', sql.Bit, field.isRequired)
+      .input('extractionPattern', sql.NVarChar(sql.MAX), field.extractionPattern || null)
+      .input('validationRules', sql.NVarChar(sql.MAX), field.validationRules ? JSON.stringify(field.validationRules) : null)
+      .input('confidence', sql.Decimal(3, 2), field.confidence)
+      .input('positionX', sql.Int, field.position ? Math.round(field.position.x) : null)
+      .input('positionY', sql.Int, field.position ? Math.round(field.position.y) : null)
+      .input('width', sql.Int, field.position ? Math.round(field.position.width) : null)
+      .input('height', sql.Int, field.position ? Math.round(field.position.height) : null)
+      .input('sortOrder', sql.Int, index)
+      .query(`
+        INSERT INTO ingestion_template_fields
+        (templateId, fieldName, fieldType, isRequired, extractionPattern, validationRules, confidence,
+         positionX, positionY, width, height, sortOrder)
+        VALUES (@templateId, @fieldName, @fieldType, @isRequired, @extractionPattern, @validationRules, @confidence,
+         @positionX, @positionY, @width, @height, @sortOrder)
+      `);
+  }
+};
+
+const insertTemplateVersion = async (transaction, templateId, version, template, userId, changeNote) => {
+  await new sql.Request(transaction)
+    .input('templateId', sql.VarChar(50), templateId)
+    .input('version', sql.Int, version)
+    .input('definition', sql.NVarChar(sql.MAX), JSON.stringify(toDefinition(template)))
+    .input('changeNote', sql.NVarChar(500), changeNote ? String(changeNote).slice(0, 500) : null)
+    .input('changedBy', sql.VarChar(50), userId)
+    .query(`
+      INSERT INTO ingestion_template_versions (templateId, version, definition, changeNote, changedBy)
+      VALUES (@templateId, @version, @definition, @changeNote, @changedBy)
+    `);
+};
+
+const rollback = async (transaction, action) => {
+  try {
+    await transaction.rollback();
+  } catch (rollbackError) {
+    console.error(`Error rolling back ${action}:`, rollbackError.message);
+  }
+};
+
+export class TemplateModel {
+  // Templates with their fields, masters first and then by priority
+  static async getTemplates({ type = null, includeInactive = false } = {}) {
+    try {
+      const pool = await getPool();
+
+      const templates = await pool.request()
+        .input('type', sql.NVarChar(10), type)
+        .input('includeInactive', sql.Bit, includeInactive)
+        .query(`
+          SELECT ${TEMPLATE_COLUMNS}
+          FROM ingestion_templates t
+          ${TEMPLATE_JOINS}
+          WHERE (@type IS NULL OR t.type = @type)
+            AND (@includeInactive = 1 OR t.isActive = 1)
+          ORDER BY CASE WHEN t.type = 'master' THEN 0 ELSE 1 END, t.priority, t.name
+        `);
+
+      const fields = await pool.request()
+        .input('type', sql.NVarChar(10), type)
+        .input('includeInactive', sql.Bit, includeInactive)
+        .query(`
+          SELECT f.*
+          FROM ingestion_template_fields f
+          INNER JOIN ingestion_templates t ON t.id = f.templateId
+          WHERE (@type IS NULL OR t.type = @type)
+            AND (@includeInactive = 1 OR t.isActive = 1)
+          ORDER BY f.templateId, f.sortOrder
+        `);
+
+      const fieldsByTemplate = new Map();
+      for (const row of fields.recordset) {
+        const key = String(row.templateId).toLowerCase();
+        if (!fieldsByTemplate.has(key)) {
+          fieldsByTemplate.set(key, []);
+        }
+        fieldsByTemplate.get(key).push(toTemplateField(row));
+      }
+
+      return templates.recordset.map(row =>
+        toTemplate(row, fieldsByTemplate.get(String(row.id).toLowerCase()) || [])
+      );
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      throw error;
+    }
+  }
+
+  static async getTemplateById(templateId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('templateId', sql.VarChar(50), templateId)
+        .query(`
+          SELECT ${TEMPLATE_COLUMNS}
+          FROM ingestion_templates t
+          ${TEMPLATE_JOINS}
+          WHERE t.id = @templateId
+        `);
+
+      if (!result.recordset[0]) return null;
+
+      const fields = await pool.request()
+        .input('templateId', sql.VarChar(50), templateId)
+        .query('SELECT * FROM ingestion_template_fields WHERE templateId = @templateId ORDER BY sortOrder');
+
+      return toTemplate(result.recordset[0], fields.recordset.map(toTemplateField));
+    } catch (error) {
+      console.error('Error fetching template:', error);
+      throw error;
+    }
+  }
+
+  // The master template of a document type, active or not
+  static async getMasterTemplateByName(name) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('name', sql.NVarChar(100), name)
+        .query(`SELECT id FROM ingestion_templates WHERE name = @name AND type = 'master'`);
+
+      return result.recordset[0] ? await this.getTemplateById(result.recordset[0].id) : null;
+    } catch (error) {
+      console.error('Error fetching template by name:', error);
+      throw error;
+    }
+  }
+
+  // Create a template at version 1 together with its fields
+  static async createTemplate(template, userId, changeNote = null) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+      const templateId = await this.insertTemplate(transaction, template, userId, changeNote);
+      await transaction.commit();
+      return await this.getTemplateById(templateId);
+    } catch (error) {
+      console.error('Error creating template:', error);
+      await rollback(transaction, 'template creation');
+      throw error;
+    }
+  }
+
+  // Insert a template, its fields and its first version within the caller's
+  // transaction. Returns the new template id.
+  static async insertTemplate(transaction, template, userId, changeNote = null) {
+    const inserted = await bindTemplate(new sql.Request(transaction), template)
+      .input('userId', sql.VarChar(50), userId)
+      .query(`
+        INSERT INTO ingestion_templates
+        (name, type, category, parentTemplateId, priority, startPatterns, endPatterns, keywords, sections,
+         isActive, version, createdBy, updatedBy)
+        OUTPUT INSERTED.id
+        VALUES (@name, @type, @category, @parentTemplateId, @priority, @startPatterns, @endPatterns, @keywords, @sections,
+         @isActive, 1, @userId, @userId)
+      `);
+    const templateId = inserted.recordset[0].id;
+
+    await insertTemplateFields(transaction, templateId, template.fields);
+    await insertTemplateVersion(transaction, templateId, 1, template, userId, changeNote || 'Created');
+
+    return templateId;
+  }
+
+  // Save a new definition of a template as its next version. The version
+  // check makes a save based on an outdated copy fail instead of silently
+  // overwriting someone else's change.
+  static async updateTemplate(templateId, template, userId, { expectedVersion = null, changeNote = null } = {}) {
+    const pool = await getPool();
+    const transaction = new sql.Transaction(pool);
+
+    try {
+      await transaction.begin();
+
+      const updated = await bindTemplate(new sql.Request(transaction), template)
+        .input('templateId', sql.VarChar(50), templateId)
+        .input('expectedVersion', sql.Int, expectedVersion)
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE ingestion_templates
+          SET
+            name = @name,
+            type = @type,
+            category = @category,
+            parentTemplateId = @parentTemplateId,
+            priority = @priority,
+            startPatterns = @startPatterns,
+            endPatterns = @endPatterns,
+            keywords = @keywords,
+            sections = @sections,
+            isActive = @isActive,
+            version = version + 1,
+            updatedBy = @userId,
+            updatedAt = GETDATE()
+          OUTPUT INSERTED.version
+          WHERE id = @templateId
+            AND (@expectedVersion IS NULL OR version = @expectedVersion)
+        `);
+
+      if (!updated.recordset[0]) {
+        await transaction.rollback();
+        return null;
+      }
+      const version = updated.recordset[0].version;
+
+      await new sql.Request(transaction)
+        .input('templateId', sql.VarChar(50), templateId)
+        .query('DELETE FROM ingestion_template_fields WHERE templateId = @templateId');
+      await insertTemplateFields(transaction, templateId, template.fields);
+      await insertTemplateVersion(transaction, templateId, version, template, userId, changeNote);
+
+      await transaction.commit();
+      return await this.getTemplateById(templateId);
+    } catch (error) {
+      console.error('Error updating template:', error);
+      await rollback(transaction, 'template update');
+      throw error;
+    }
+  }
+
+  static async getTemplateVersions(templateId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('templateId', sql.VarChar(50), templateId)
+        .query(`
+          SELECT v.id, v.templateId, v.version, v.changeNote, v.changedBy, v.createdAt,
+                 u.name AS changedByName
+          FROM ingestion_template_versions v
+          LEFT JOIN users u ON u.id = v.changedBy
+          WHERE v.templateId = @templateId
+          ORDER BY v.version DESC
+        `);
+
+      return result.recordset.map(row => ({
+        ...row,
+        changedByName: row.changedByName || null
+      }));
+    } catch (error) {
+      console.error('Error fetching template versions:', error);
+      throw error;
+    }
+  }
+
+  static async getTemplateVersion(templateId, version) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('templateId', sql.VarChar(50), templateId)
+        .input('version', sql.Int, version)
+        .query(`
+          SELECT v.*, u.name AS changedByName
+          FROM ingestion_template_versions v
+          LEFT JOIN users u ON u.id = v.changedBy
+          WHERE v.templateId = @templateId AND v.version = @version
+        `);
+
+      const row = result.recordset[0];
+      if (!row) return null;
+
+      return {
+        id: row.id,
+        templateId: row.templateId,
+        version: row.version,
+        changeNote: row.changeNote,
+        changedBy: row.changedBy,
+        changedByName: row.changedByName || null,
+        createdAt: row.createdAt,
+        definition: parseJSON(row.definition, null)
+      };
+    } catch (error) {
+      console.error('Error fetching template version:', error);
+      throw error;
+    }
+  }
+}
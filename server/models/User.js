@@ -1,6 +1,11 @@
 import { sql, getPool } from '../config/database.js';
 import bcrypt from 'bcryptjs';
 
+// Everything about a user but the password hash
+const USER_COLUMNS = `
+  id, email, name, role, isActive, failedLoginAttempts, lockedUntil, lastLoginAt, passwordChangedAt, createdAt, updatedAt
+`;
+
 export class UserModel {
   static async createUser(userData) {
     try {
@@ -13,12 +18,12 @@ export class UserModel {
         .input('email', sql.VarChar(255), userData.email)
         .input('name', sql.VarChar(255), userData.name)
         .input('password', sql.VarChar(255), hashedPassword)
-        .input('role', sql.VarChar(20), userData.role || 'user')
+        .input('role', sql.VarChar(20), userData.role || 'maker')
         .input('createdAt', sql.DateTime, new Date())
         .query(`
-          INSERT INTO users (email, name, password, role, createdAt)
-          OUTPUT INSERTED.id, INSERTED.email, INSERTED.name, INSERTED.role, INSERTED.createdAt
-          VALUES (@email, @name, @password, @role, @createdAt)
+          INSERT INTO users (email, name, password, role, createdAt, passwordChangedAt)
+          OUTPUT INSERTED.id, INSERTED.email, INSERTED.name, INSERTED.role, INSERTED.isActive, INSERTED.createdAt
+          VALUES (@email, @name, @password, @role, @createdAt, @createdAt)
         `);
       
       return result.recordset[0];
@@ -51,7 +56,7 @@ export class UserModel {
       
       const result = await request
         .input('userId', sql.VarChar(50), userId)
-        .query('SELECT id, email, name, role, createdAt FROM users WHERE id = @userId');
+        .query(`SELECT ${USER_COLUMNS} FROM users WHERE id = @userId`);
       
       return result.recordset[0];
     } catch (error) {
@@ -60,6 +65,153 @@ export class UserModel {
     }
   }
 
+  static async listUsers() {
+    try {
+      const pool = await getPool();
+      const result = await pool.request().query(`SELECT ${USER_COLUMNS} FROM users ORDER BY name`);
+      return result.recordset;
+    } catch (error) {
+      console.error('Error listing users:', error);
+      throw error;
+    }
+  }
+
+  static async countActiveAdmins() {
+    try {
+      const pool = await getPool();
+      const result = await pool.request()
+        .query("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND isActive = 1");
+      return result.recordset[0].count;
+    } catch (error) {
+      console.error('Error counting admins:', error);
+      throw error;
+    }
+  }
+
+  // Change a user's name, role or whether they may sign in
+  static async updateUser(userId, changes) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .input('name', sql.VarChar(255), changes.name ?? null)
+        .input('role', sql.VarChar(20), changes.role ?? null)
+        .input('isActive', sql.Bit, changes.isActive ?? null)
+        .query(`
+          UPDATE users
+          SET
+            name = COALESCE(@name, name),
+            role = COALESCE(@role, role),
+            isActive = COALESCE(@isActive, isActive),
+            updatedAt = GETDATE()
+          WHERE id = @userId
+        `);
+
+      return result.rowsAffected[0] > 0 ? await this.findById(userId) : null;
+    } catch (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+  }
+
+  // Set a new password; a new password also lifts a lockout
+  static async setPassword(userId, password) {
+    try {
+      const pool = await getPool();
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      const result = await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .input('password', sql.VarChar(255), hashedPassword)
+        .query(`
+          UPDATE users
+          SET
+            password = @password,
+            passwordChangedAt = GETDATE(),
+            failedLoginAttempts = 0,
+            lockedUntil = NULL,
+            updatedAt = GETDATE()
+          WHERE id = @userId
+        `);
+
+      return result.rowsAffected[0] > 0;
+    } catch (error) {
+      console.error('Error setting password:', error);
+      throw error;
+    }
+  }
+
+  // Count a wrong password, locking the account for lockMinutes once
+  // maxAttempts have failed in a row; counting starts over once a lock has
+  // run out. Returns the attempts so far and the lock, if any.
+  static async recordFailedLogin(userId, maxAttempts, lockMinutes) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .input('maxAttempts', sql.Int, maxAttempts)
+        .input('lockMinutes', sql.Int, lockMinutes)
+        .query(`
+          UPDATE users
+          SET
+            failedLoginAttempts = CASE
+              WHEN lockedUntil <= SYSUTCDATETIME() THEN 1
+              ELSE failedLoginAttempts + 1
+            END,
+            lockedUntil = CASE
+              WHEN lockedUntil <= SYSUTCDATETIME() THEN NULL
+              WHEN failedLoginAttempts + 1 >= @maxAttempts THEN DATEADD(MINUTE, @lockMinutes, SYSUTCDATETIME())
+              ELSE lockedUntil
+            END
+          OUTPUT INSERTED.failedLoginAttempts, INSERTED.lockedUntil
+          WHERE id = @userId
+        `);
+
+      return result.recordset[0] || null;
+    } catch (error) {
+      console.error('Error recording failed login:', error);
+      throw error;
+    }
+  }
+
+  static async recordSuccessfulLogin(userId) {
+    try {
+      const pool = await getPool();
+
+      await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE users
+          SET failedLoginAttempts = 0, lockedUntil = NULL, lastLoginAt = SYSUTCDATETIME()
+          WHERE id = @userId
+        `);
+    } catch (error) {
+      console.error('Error recording login:', error);
+      throw error;
+    }
+  }
+
+  static async unlock(userId) {
+    try {
+      const pool = await getPool();
+
+      const result = await pool.request()
+        .input('userId', sql.VarChar(50), userId)
+        .query(`
+          UPDATE users
+          SET failedLoginAttempts = 0, lockedUntil = NULL, updatedAt = GETDATE()
+          WHERE id = @userId
+        `);
+
+      return result.rowsAffected[0] > 0 ? await this.findById(userId) : null;
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      throw error;
+    }
+  }
+
   static async validatePassword(plainPassword, hashedPassword) {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
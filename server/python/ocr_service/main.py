@@ -1,26 +1,42 @@
 # server/python/ocr_service/main.py
+#
+# Prints one OCRResult as JSON on stdout. Progress and errors go to stderr;
+# a non-zero exit status means no result was produced.
 
 import sys
 import os
-from utils import convert_pdf_to_images, extract_text_from_images
+from models import OCRResult
+from utils import convert_pdf_to_images, extract_pages_from_images, detect_fields
 
-def process_document(pdf_path: str) -> str:
-    try:
-        images = convert_pdf_to_images(pdf_path)
-        text = extract_text_from_images(images)
-        return text
-    except Exception as e:
-        return f"[ERROR] OCR failed: {e}"
+def process_document(pdf_path: str) -> OCRResult:
+    images = convert_pdf_to_images(pdf_path)
+    pages = extract_pages_from_images(images)
+    raw_text = "\n\n".join(page.text for page in pages)
+
+    text_pages = [page for page in pages if page.text.strip()]
+    confidence = sum(page.confidence for page in text_pages) / len(text_pages) if text_pages else 0
+
+    return OCRResult(
+        raw_text=raw_text,
+        confidence=round(confidence, 4),
+        pages=pages,
+        **detect_fields(raw_text),
+    )
 
 if __name__ == "__main__":
     if len(sys.argv) < 2:
-        print("Usage: python main.py <pdf_path>")
+        print("Usage: python main.py <pdf_path>", file=sys.stderr)
         sys.exit(1)
 
     pdf_path = sys.argv[1]
     if not os.path.exists(pdf_path):
-        print(f"[ERROR] File not found: {pdf_path}")
+        print(f"[ERROR] File not found: {pdf_path}", file=sys.stderr)
         sys.exit(1)
 
-    result = process_document(pdf_path)
-    print(result)
+    try:
+        result = process_document(pdf_path)
+    except Exception as e:
+        print(f"[ERROR] OCR failed: {e}", file=sys.stderr)
+        sys.exit(2)
+
+    print(result.model_dump_json())
@@ -1,8 +1,32 @@
 from pydantic import BaseModel, Field
-from typing import Optional
+from typing import List, Optional
+
+# Coordinates are PDF points (1/72 inch) from the top-left corner of the page,
+# the same frame the Node extractor uses
+
+class BoundingBox(BaseModel):
+    x0: float
+    y0: float
+    x1: float
+    y1: float
+
+class OCRWord(BaseModel):
+    text: str
+    confidence: float = Field(ge=0, le=100)
+    bbox: BoundingBox
+
+class OCRPage(BaseModel):
+    page_number: int = Field(ge=1)
+    width: float
+    height: float
+    text: str
+    confidence: float = Field(ge=0, le=1)
+    words: List[OCRWord] = Field(default_factory=list)
 
 class OCRResult(BaseModel):
     raw_text: str
+    confidence: float = Field(default=0, ge=0, le=1)
+    pages: List[OCRPage] = Field(default_factory=list)
     document_type: Optional[str] = Field(default="Unknown")
     lc_number: Optional[str] = None
     invoice_number: Optional[str] = None
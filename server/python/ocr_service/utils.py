@@ -6,13 +6,22 @@ import pytesseract
 import numpy as np
 import cv2
 import io
+import os
+import re
+import sys
 from typing import List
+from pytesseract import Output
+from models import BoundingBox, OCRPage, OCRWord
+
+RENDER_DPI = 300
+POINTS_PER_INCH = 72
+OCR_LANG = os.environ.get("TESSERACT_LANG", "eng")
 
 def convert_pdf_to_images(pdf_path: str) -> List[Image.Image]:
     doc = fitz.open(pdf_path)
     images = []
     for page in doc:
-        pix = page.get_pixmap(dpi=300)
+        pix = page.get_pixmap(dpi=RENDER_DPI)
         img = Image.open(io.BytesIO(pix.tobytes("png")))
         images.append(img)
     return images
@@ -43,18 +52,80 @@ def preprocess_with_opencv(pil_image: Image.Image) -> Image.Image:
 
     return Image.fromarray(binary)
 
-def extract_text_opencv_ocr(pil_image: Image.Image) -> str:
+def ocr_page(pil_image: Image.Image, page_number: int) -> OCRPage:
     cleaned = preprocess_with_opencv(pil_image)
-    return pytesseract.image_to_string(cleaned, lang='eng')
+    data = pytesseract.image_to_data(cleaned, lang=OCR_LANG, output_type=Output.DICT)
+
+    # Boxes are measured on the deskewed image; the skew corrected is small
+    # enough for them to stay on the right words
+    scale = POINTS_PER_INCH / RENDER_DPI
+    words = []
+    lines = {}
+    for i, text in enumerate(data["text"]):
+        confidence = float(data["conf"][i])
+        if not text.strip() or confidence < 0:
+            continue
+        x, y, w, h = data["left"][i], data["top"][i], data["width"][i], data["height"][i]
+        words.append(OCRWord(
+            text=text,
+            confidence=round(confidence, 2),
+            bbox=BoundingBox(
+                x0=round(x * scale, 2),
+                y0=round(y * scale, 2),
+                x1=round((x + w) * scale, 2),
+                y1=round((y + h) * scale, 2),
+            ),
+        ))
+        line_key = (data["block_num"][i], data["par_num"][i], data["line_num"][i])
+        lines.setdefault(line_key, []).append(text)
+
+    page_confidence = sum(word.confidence for word in words) / len(words) / 100 if words else 0
+    return OCRPage(
+        page_number=page_number,
+        width=round(pil_image.width * scale, 2),
+        height=round(pil_image.height * scale, 2),
+        text="\n".join(" ".join(line) for line in lines.values()),
+        confidence=round(page_confidence, 4),
+        words=words,
+    )
 
-def extract_text_from_images(images: List[Image.Image]) -> str:
-    all_text = []
+def extract_pages_from_images(images: List[Image.Image]) -> List[OCRPage]:
+    pages = []
     for i, img in enumerate(images):
+        print(f"[INFO] Extracting text from page {i + 1}", file=sys.stderr)
         try:
-            print(f"[INFO] Extracting text from page {i + 1}")
-            text = extract_text_opencv_ocr(img)
-            all_text.append(text)
+            pages.append(ocr_page(img, i + 1))
         except Exception as e:
-            print(f"[ERROR] Failed to extract text from page {i + 1}: {e}")
-            all_text.append(f"[ERROR] Failed to extract text: {e}")
-    return "\n\n".join(all_text)
+            raise RuntimeError(f"OCR failed on page {i + 1}: {e}") from e
+    return pages
+
+# Labels as they appear on trade documents; the first match wins
+FIELD_PATTERNS = {
+    "lc_number": r"(?:L/?C|CREDIT)\s*(?:NO\.?|NUMBER)\s*[:.]?\s*([A-Z0-9][A-Z0-9/-]{4,})",
+    "invoice_number": r"INVOICE\s*(?:NO\.?|NUMBER)\s*[:.]?\s*([A-Z0-9][A-Z0-9/-]{2,})",
+    "date": r"\b(\d{1,2}[-/ .](?:\d{1,2}|[A-Z]{3})[-/ .]\d{2,4}|[A-Z]{3}\.? \d{1,2}, \d{4})\b",
+    "amount": r"\b((?:USD|US\$|EUR|GBP|JPY|AED)\s*[0-9][0-9,]*(?:\.\d{2})?)",
+}
+
+DOCUMENT_TYPES = [
+    ("LC Amendment", r"AMENDMENT\s+TO\s+(?:DOCUMENTARY\s+CREDIT|LETTER\s+OF\s+CREDIT)"),
+    ("Letter of Credit", r"(?:DOCUMENTARY\s+CREDIT|LETTER\s+OF\s+CREDIT)"),
+    ("Commercial Invoice", r"COMMERCIAL\s+INVOICE"),
+    ("Bill of Lading", r"BILL\s+OF\s+LADING"),
+    ("Packing List", r"PACKING\s+LIST"),
+    ("Certificate of Origin", r"CERTIFICATE\s+OF\s+ORIGIN"),
+    ("Insurance Certificate", r"INSURANCE\s+(?:CERTIFICATE|POLICY)"),
+]
+
+def detect_fields(text: str) -> dict:
+    upper = text.upper()
+    fields = {"document_type": "Unknown"}
+    for document_type, pattern in DOCUMENT_TYPES:
+        if re.search(pattern, upper):
+            fields["document_type"] = document_type
+            break
+    for name, pattern in FIELD_PATTERNS.items():
+        match = re.search(pattern, upper)
+        if match:
+            fields[name] = match.group(1).strip()
+    return fields
@@ -0,0 +1,470 @@
+import express from 'express';
+import { authenticateToken, requireAdmin, requirePermission } from '../middleware/auth.js';
+import { DocumentApprovalModel } from '../models/DocumentApproval.js';
+import { checkTemplateInput, templateInputFromProposal, invalidateTemplateRegistry } from '../services/templateRegistry.js';
+import { AuditLogModel } from '../models/AuditLog.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { parseDate } from '../services/discrepancyEngine.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { UserModel } from '../models/User.js';
+import { revokeUserSignIns } from '../services/authTokens.js';
+import { checkAccountInput, checkPassword } from '../services/userAccounts.js';
+import { BankingHolidayModel } from '../models/BankingHoliday.js';
+import { readBankLocation } from '../services/examinationDeadline.js';
+
+const router = express.Router();
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+const DEFAULT_AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Get new document type requests, pending ones first
+router.get('/approvals', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = APPROVAL_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const approvals = await DocumentApprovalModel.getApprovals({ status });
+    res.json(approvals);
+  } catch (error) {
+    console.error('Error fetching approvals:', error);
+    res.status(500).json({ error: 'Failed to fetch approvals' });
+  }
+});
+
+// Get one request with its proposed fields
+router.get('/approvals/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const approval = await DocumentApprovalModel.getApprovalById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval request not found' });
+    }
+
+    res.json(approval);
+  } catch (error) {
+    console.error('Error fetching approval:', error);
+    res.status(500).json({ error: 'Failed to fetch approval' });
+  }
+});
+
+// Approve or reject a request. An approval may adjust the proposed template
+// definition; the result is saved as a new template the recogniser uses from
+// its next run.
+router.patch('/approvals/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { approved, notes, template: changes } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+
+    const approval = await DocumentApprovalModel.getApprovalById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ error: 'Approval request not found' });
+    }
+
+    if (approval.status !== 'pending') {
+      return res.status(409).json({ error: `Approval request was already ${approval.status}` });
+    }
+
+    const adminNotes = typeof notes === 'string' ? notes.trim() : null;
+
+    if (!approved) {
+      const rejected = await DocumentApprovalModel.reject(approval.id, req.user.userId, adminNotes);
+      if (!rejected) {
+        return res.status(409).json({ error: 'Approval request was already decided' });
+      }
+
+      console.log(`New document type ${approval.documentType} rejected by user ${req.user.userId}`);
+      await auditUserAction(req, {
+        action: 'approval.reject',
+        entityType: 'approval',
+        entityId: approval.id,
+        sessionId: approval.sessionId,
+        before: { status: approval.status },
+        after: { status: rejected.status, documentType: approval.documentType, notes: adminNotes }
+      });
+
+      return res.json(rejected);
+    }
+
+    const { status, error, template } = await checkTemplateInput({
+      ...templateInputFromProposal(approval),
+      ...(changes && typeof changes === 'object' ? changes : {})
+    });
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const decided = await DocumentApprovalModel.approve(approval.id, template, req.user.userId, adminNotes);
+    if (!decided) {
+      return res.status(409).json({ error: 'Approval request was already decided' });
+    }
+    invalidateTemplateRegistry();
+
+    console.log(`New document type ${template.name} approved as template ${decided.templateId} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'approval.approve',
+      entityType: 'approval',
+      entityId: approval.id,
+      sessionId: approval.sessionId,
+      before: { status: approval.status },
+      after: { status: decided.status, documentType: template.name, templateId: decided.templateId, notes: adminNotes }
+    });
+
+    res.json(decided);
+  } catch (error) {
+    console.error('Error deciding approval:', error);
+    res.status(500).json({ error: 'Failed to update approval' });
+  }
+});
+
+// Search the audit trail, newest first: ?sessionId=&actorId=&actorType=
+// &action=&entityType=&entityId=&from=&to=&limit=&cursor=. Dates are
+// inclusive.
+router.get('/audit', authenticateToken, requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+  try {
+    const details = [];
+    const text = (name) => (typeof req.query[name] === 'string' && req.query[name].trim()) || null;
+
+    const date = (name) => {
+      const value = text(name);
+      if (!value) return null;
+      const parsed = parseDate(value);
+      if (!parsed) details.push(`${name} must be a date`);
+      return parsed;
+    };
+
+    const guid = (name) => {
+      const value = text(name);
+      if (value && !GUID_PATTERN.test(value)) details.push(`${name} must be an id`);
+      return value;
+    };
+
+    const sessionId = guid('sessionId');
+    const actorId = guid('actorId');
+    const from = date('from');
+    const to = date('to');
+    const limit = text('limit') ? Number(text('limit')) : DEFAULT_AUDIT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+      details.push(`limit must be between 1 and ${MAX_AUDIT_PAGE_SIZE}`);
+    }
+
+    const cursor = text('cursor');
+    if (cursor && !/^\d+$/.test(cursor)) details.push('cursor is not valid');
+
+    const actorType = text('actorType');
+    if (actorType && !['user', 'system'].includes(actorType)) details.push('actorType must be user or system');
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid audit search', details });
+    }
+
+    const result = await AuditLogModel.search({
+      sessionId,
+      actorId,
+      actorType,
+      action: text('action'),
+      entityType: text('entityType'),
+      entityId: text('entityId'),
+      from,
+      to: to ? new Date(to.getTime() + 24 * 60 * 60 * 1000) : null
+    }, { limit, cursor });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching audit log:', error);
+    res.status(500).json({ error: 'Failed to search audit log' });
+  }
+});
+
+// Recompute the hash chain of the audit trail and report where it breaks
+router.get('/audit/verify', authenticateToken, requirePermission(PERMISSIONS.VIEW_AUDIT), async (req, res) => {
+  try {
+    const result = await AuditLogModel.verifyChain();
+
+    if (!result.valid) {
+      console.error(`Audit log chain broken at entry ${result.brokenAt}: ${result.problem}`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+// A user as the user management page shows them
+const toAdminUser = (user) => ({
+  ...user,
+  isLocked: Boolean(user.lockedUntil && new Date(user.lockedUntil) > new Date())
+});
+
+// Loads the user of :id. Sends 404 and returns null when there is none.
+const loadUser = async (req, res) => {
+  const user = await UserModel.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// Get every user
+router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const users = await UserModel.listUsers();
+    res.json(users.map(toAdminUser));
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create a user: { email, name, password, role }. Accounts are only created
+// here; nobody registers themselves.
+router.post('/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const input = {
+      email: typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : req.body.email,
+      name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+      password: req.body.password,
+      role: req.body.role || 'maker'
+    };
+
+    const details = checkAccountInput(input, { creating: true });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details });
+    }
+
+    if (await UserModel.findByEmail(input.email)) {
+      return res.status(409).json({ error: 'User with this email already exists' });
+    }
+
+    const user = await UserModel.createUser(input);
+
+    console.log(`User ${user.id} created by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: user.id,
+      after: { email: user.email, name: user.name, role: user.role }
+    });
+
+    res.status(201).json(toAdminUser(await UserModel.findById(user.id)));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Change a user's name or role, or disable or enable them:
+// { name, role, isActive }. Disabling a user ends their sign-ins.
+router.patch('/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, role, isActive } = req.body;
+
+    const details = checkAccountInput({ name, role });
+    if (isActive !== undefined && typeof isActive !== 'boolean') details.push('isActive must be true or false');
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    // An admin cannot take away the last admin access
+    const losesAdmin = user.role === 'admin' && user.isActive && ((role && role !== 'admin') || isActive === false);
+    if (losesAdmin && await UserModel.countActiveAdmins() <= 1) {
+      return res.status(409).json({ error: 'The last active admin cannot be disabled or given another role' });
+    }
+
+    const updated = await UserModel.updateUser(user.id, { name: name?.trim(), role, isActive });
+    const signIns = isActive === false ? await revokeUserSignIns(user.id, 'disabled') : 0;
+
+    console.log(`User ${user.id} updated by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'user.update',
+      entityType: 'user',
+      entityId: user.id,
+      before: { name: user.name, role: user.role, isActive: user.isActive },
+      after: { name: updated.name, role: updated.role, isActive: updated.isActive, endedSignIns: signIns }
+    });
+
+    res.json(toAdminUser(updated));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Reset a user's password: { password }. Their sign-ins end and any lockout
+// is lifted.
+router.post('/users/:id/password', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const details = checkPassword(req.body.password, user);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid password', details });
+    }
+
+    await UserModel.setPassword(user.id, req.body.password);
+    const signIns = await revokeUserSignIns(user.id, 'password_reset');
+
+    console.log(`Password of user ${user.id} reset by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'user.password_reset',
+      entityType: 'user',
+      entityId: user.id,
+      after: { endedSignIns: signIns }
+    });
+
+    res.json(toAdminUser(await UserModel.findById(user.id)));
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Lift the lockout of a user who failed to sign in too often
+router.post('/users/:id/unlock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const unlocked = await UserModel.unlock(user.id);
+
+    await auditUserAction(req, {
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: user.id,
+      before: { failedLoginAttempts: user.failedLoginAttempts, lockedUntil: user.lockedUntil }
+    });
+
+    res.json(toAdminUser(unlocked));
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// End every sign-in of a user, such as when their account is compromised or
+// they leave
+router.post('/users/:id/revoke-sessions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const ended = await revokeUserSignIns(user.id, 'revoked_by_admin');
+
+    console.log(`Sign-ins of user ${user.id} revoked by user ${req.user.userId}: ${ended}`);
+    await auditUserAction(req, {
+      action: 'auth.revoke_sessions',
+      entityType: 'user',
+      entityId: user.id,
+      after: { signIns: ended }
+    });
+
+    res.json({ message: 'Sign-ins revoked', signIns: ended });
+  } catch (error) {
+    console.error('Error revoking sign-ins:', error);
+    res.status(500).json({ error: 'Failed to revoke sign-ins' });
+  }
+});
+
+// Get the banking holidays of a year: ?year=&country=
+router.get('/holidays', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const year = req.query.year ? Number(req.query.year) : new Date().getFullYear();
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ error: 'year must be between 2000 and 2100' });
+    }
+
+    const { location, details } = readBankLocation({ countryCode: req.query.country });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid holiday search', details });
+    }
+
+    const holidays = await BankingHolidayModel.getHolidays({
+      from: new Date(Date.UTC(year, 0, 1)),
+      to: new Date(Date.UTC(year, 11, 31)),
+      countryCode: location.countryCode
+    });
+    res.json(holidays);
+  } catch (error) {
+    console.error('Error fetching banking holidays:', error);
+    res.status(500).json({ error: 'Failed to fetch banking holidays' });
+  }
+});
+
+// Add a banking holiday: { countryCode, branchCode, holidayDate, name }.
+// Without a branch the holiday closes every branch of the country.
+router.post('/holidays', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { location, details } = readBankLocation(req.body, { requireCountry: true });
+
+    const holidayDate = parseDate(req.body.holidayDate);
+    if (!holidayDate) details.push('holidayDate must be a date (YYYY-MM-DD)');
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) details.push('Name is required');
+    else if (name.length > 255) details.push('Name must be at most 255 characters');
+
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid holiday', details });
+    }
+
+    const holiday = await BankingHolidayModel.createHoliday({
+      ...location,
+      holidayDate,
+      name,
+      createdBy: req.user.userId
+    });
+    if (!holiday) {
+      return res.status(409).json({ error: 'This calendar already has a holiday on that day' });
+    }
+
+    console.log(`Banking holiday ${holiday.id} added by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'holiday.create',
+      entityType: 'holiday',
+      entityId: holiday.id,
+      after: { countryCode: holiday.countryCode, branchCode: holiday.branchCode, holidayDate: holiday.holidayDate, name }
+    });
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    console.error('Error creating banking holiday:', error);
+    res.status(500).json({ error: 'Failed to create banking holiday' });
+  }
+});
+
+// Remove a banking holiday
+router.delete('/holidays/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const holiday = await BankingHolidayModel.getHolidayById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    await BankingHolidayModel.deleteHoliday(holiday.id);
+
+    console.log(`Banking holiday ${holiday.id} removed by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'holiday.delete',
+      entityType: 'holiday',
+      entityId: holiday.id,
+      before: { countryCode: holiday.countryCode, branchCode: holiday.branchCode, holidayDate: holiday.holidayDate, name: holiday.name }
+    });
+
+    res.json({ message: 'Holiday removed' });
+  } catch (error) {
+    console.error('Error deleting banking holiday:', error);
+    res.status(500).json({ error: 'Failed to delete banking holiday' });
+  }
+});
+
+export default router;
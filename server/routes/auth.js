@@ -1,6 +1,10 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { UserModel } from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { startSignIn, refreshSignIn, endSignIn, revokeUserSignIns } from '../services/authTokens.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { getPermissions } from '../services/permissions.js';
+import { MAX_FAILED_LOGINS, LOCKOUT_MINUTES } from '../services/userAccounts.js';
 
 const router = express.Router();
 
@@ -16,28 +20,81 @@ router.post('/login', async (req, res) => {
     // Find user by email
     const user = await UserModel.findByEmail(email);
     if (!user) {
+      await auditUserAction(req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        after: { email, reason: 'Unknown email' }
+      });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    // A locked account is refused without looking at the password
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      await auditUserAction(req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        actorId: user.id,
+        actorName: user.name,
+        after: { email, reason: 'Account locked' }
+      });
+      return res.status(423).json({
+        error: 'This account is locked after too many failed sign-ins; try again later',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
     // Validate password
     const isValidPassword = await UserModel.validatePassword(password, user.password);
     if (!isValidPassword) {
+      const attempts = await UserModel.recordFailedLogin(user.id, MAX_FAILED_LOGINS, LOCKOUT_MINUTES);
+      const locked = attempts?.failedLoginAttempts >= MAX_FAILED_LOGINS;
+      await auditUserAction(req, {
+        action: locked ? 'auth.locked' : 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        actorId: user.id,
+        actorName: user.name,
+        after: { email, reason: 'Wrong password', failedAttempts: attempts?.failedLoginAttempts ?? null }
+      });
+      if (locked) {
+        console.warn(`User ${user.id} locked after ${attempts.failedLoginAttempts} failed sign-ins`);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Disabled accounts only learn they are disabled with the right password
+    if (!user.isActive) {
+      await auditUserAction(req, {
+        action: 'auth.login_failed',
+        entityType: 'user',
+        entityId: user.id,
+        actorId: user.id,
+        actorName: user.name,
+        after: { email, reason: 'Account disabled' }
+      });
+      return res.status(403).json({ error: 'This account is disabled' });
+    }
+
+    await UserModel.recordSuccessfulLogin(user.id);
 
-    // Return user data (without password) and token
+    // Start a sign-in: a short-lived access token and a refresh token
+    const tokens = await startSignIn(user, req);
+
+    await auditUserAction(req, {
+      action: 'auth.login',
+      entityType: 'user',
+      entityId: user.id,
+      actorId: user.id,
+      actorName: user.name
+    });
+
+    // Return user data (without password) and tokens
     const { password: _, ...userWithoutPassword } = user;
     
     res.json({
-      user: userWithoutPassword,
-      token
+      user: { ...userWithoutPassword, permissions: getPermissions(user.role) },
+      ...tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -45,54 +102,99 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Register endpoint
-router.post('/register', async (req, res) => {
+// Trade a refresh token for a new access token and refresh token. A refresh
+// token that was already used ends its whole sign-in.
+router.post('/refresh', async (req, res) => {
   try {
-    const { email, name, password, role } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!email || !name || !password) {
-      return res.status(400).json({ error: 'Email, name, and password are required' });
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    // Check if user already exists
-    const existingUser = await UserModel.findByEmail(email);
-    if (existingUser) {
-      return res.status(409).json({ error: 'User with this email already exists' });
+    const result = await refreshSignIn(refreshToken, req);
+
+    if (result.reused) {
+      console.warn(`Refresh token reused for user ${result.reused.userId}; sign-in ${result.reused.familyId} ended`);
+      await auditUserAction(req, {
+        action: 'auth.refresh_reused',
+        entityType: 'user',
+        entityId: result.reused.userId,
+        actorId: result.reused.userId,
+        after: { signInId: result.reused.familyId }
+      });
+      return res.status(401).json({ error: 'This sign-in has ended, sign in again', code: 'signed_out' });
+    }
+    if (result.invalid) {
+      return res.status(401).json({ error: result.invalid, code: 'signed_out' });
     }
 
-    // Create new user
-    const newUser = await UserModel.createUser({ email, name, password, role });
-    
-    res.status(201).json({
-      message: 'User created successfully',
-      user: newUser
+    res.json({
+      user: { ...result.user, permissions: getPermissions(result.user.role) },
+      ...result.tokens
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Verify token endpoint
-router.get('/verify', async (req, res) => {
+// End the sign-in a refresh token belongs to
+router.post('/logout', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await UserModel.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token' });
+    const ended = await endSignIn(refreshToken);
+    if (ended) {
+      await auditUserAction(req, {
+        action: 'auth.logout',
+        entityType: 'user',
+        entityId: ended.userId,
+        actorId: ended.userId,
+        after: { signInId: String(ended.familyId) }
+      });
     }
 
-    res.json({ user });
+    // Ending a sign-in that already ended is not an error
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End every sign-in of the current user, on every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const ended = await revokeUserSignIns(req.user.userId, 'logout_all');
+
+    console.log(`User ${req.user.userId} signed out of ${ended} sign-ins`);
+    await auditUserAction(req, {
+      action: 'auth.logout_all',
+      entityType: 'user',
+      entityId: req.user.userId,
+      after: { signIns: ended }
+    });
+
+    res.json({ message: 'Signed out everywhere', signIns: ended });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify token endpoint: the access token is valid and its sign-in going
+router.get('/verify', authenticateToken, async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.user.userId);
+    res.json({ user: { ...user, permissions: getPermissions(user.role) } });
   } catch (error) {
     console.error('Token verification error:', error);
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
@@ -1,10 +1,27 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import fs from 'fs/promises';
 import { DocumentModel } from '../models/Document.js';
 import { SessionModel } from '../models/Session.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { processDocument, reprocessDocument } from '../services/ocrService.js';
+import { OCR_ENGINES } from '../services/ocrService.js';
+import { enqueueJob, cancelJob } from '../services/jobQueue.js';
+import { updateProgress, getProgress } from '../services/progressTracker.js';
+import { JobModel } from '../models/Job.js';
+import { isSwiftFile, parseSwiftFile } from '../services/swiftParser.js';
+import { compareDocumentToTemplates } from '../services/templateMatcher.js';
+import { TemplateModel } from '../models/Template.js';
+import { DocumentApprovalModel } from '../models/DocumentApproval.js';
+import { DocumentVersionModel } from '../models/DocumentVersion.js';
+import { DocumentIterationModel } from '../models/DocumentIteration.js';
+import { checkSessionDiscrepancies } from '../services/discrepancyEngine.js';
+import { publishSessionEvent } from '../services/sessionEvents.js';
+import { diffIterations } from '../services/iterationDiff.js';
+import { syncSessionStatus } from '../services/sessionLifecycle.js';
+import { checkTemplateInput, templateInputFromProposal } from '../services/templateRegistry.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { getSessionAccessError } from '../services/permissions.js';
 
 const router = express.Router();
 
@@ -31,28 +48,129 @@ const upload = multer({
 
     if (mimetype && extname) {
       return cb(null, true);
+    } else if (isSwiftFile({ fileName: file.originalname, fileType: file.mimetype })) {
+      // SWIFT MT700/710/720/707 message; the content is validated after upload
+      return cb(null, true);
     } else {
-      cb(new Error('Only images (JPEG, JPG, PNG) and PDF files are allowed'));
+      cb(new Error('Only images (JPEG, JPG, PNG), PDF files and SWIFT messages (TXT, FIN) are allowed'));
     }
   }
 });
 
-// In-memory store for processing progress (in production, use Redis or database)
-const processingProgress = new Map();
-
-// Helper function to update processing progress
-const updateProgress = (documentId, stage, progress, message) => {
-  processingProgress.set(documentId, {
-    stage,
-    progress,
-    message,
-    timestamp: new Date().toISOString()
-  });
-  console.log(`Progress Update - Document ${documentId}: ${stage} (${progress}%) - ${message}`);
+// Documents of sessions in these states can no longer change
+const LOCKED_SESSION_STATUSES = ['frozen', 'completed'];
+
+// SWIFT messages must be a credit or amendment we can parse before they are
+// accepted. Returns why an uploaded file was refused, or null.
+const checkSwiftUpload = async (file) => {
+  if (!isSwiftFile({ fileName: file.originalname, fileType: file.mimetype })) return null;
+
+  try {
+    const message = await fs.readFile(file.path, 'utf8');
+    parseSwiftFile(message);
+    return null;
+  } catch (parseError) {
+    return `Invalid SWIFT message: ${parseError.message}`;
+  }
+};
+
+// The document of the request with its session, when the user may see it,
+// or with change set may change it. Sends the error response and returns
+// null otherwise.
+const loadDocument = async (req, res, { change = false } = {}) => {
+  const document = await DocumentModel.getDocumentById(req.params.documentId);
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+
+  const session = await SessionModel.getSessionById(document.sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+
+  const accessError = getSessionAccessError(req.user, session, { change });
+  if (accessError) {
+    res.status(403).json({ error: accessError });
+    return null;
+  }
+
+  return { document, session };
+};
+
+// A document the user may change: the user may change its session, which is
+// not locked, and nothing is processing it. Sends the error response and returns
+// null otherwise.
+const loadDocumentForChange = async (req, res) => {
+  const loaded = await loadDocument(req, res, { change: true });
+  if (!loaded) return null;
+  const { document, session } = loaded;
+
+  if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+    res.status(409).json({ error: `Documents of a ${session.status} session cannot be changed` });
+    return null;
+  }
+
+  if (await JobModel.getActiveJobForDocument(document.id)) {
+    res.status(409).json({ error: 'Document is being processed; try again when processing has finished' });
+    return null;
+  }
+
+  return document;
+};
+
+// What the trail records about a document's file
+const fileSummary = (document) => ({
+  fileName: document.fileName,
+  fileType: document.fileType,
+  fileSize: document.fileSize
+});
+
+// Re-examine the session after one of its documents changed and tell its
+// live clients. Returns the summary, or null when the check failed; a failed
+// check does not fail the change.
+const recheckSession = async (document) => {
+  try {
+    const report = await checkSessionDiscrepancies(document.sessionId);
+    publishSessionEvent(document.sessionId, 'discrepancies', {
+      documentId: document.id,
+      checkedAt: report.checkedAt,
+      summary: report.summary
+    });
+    return report.summary;
+  } catch (checkError) {
+    console.error('Discrepancy check failed:', checkError.message);
+    return null;
+  }
+};
+
+const toChangeNote = (note) => typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null;
+
+// Progress of a document: live progress from this process, otherwise the
+// progress persisted on its latest job
+const getDocumentProgress = async (documentId) => {
+  const progress = getProgress(documentId);
+  if (progress) return progress;
+
+  const job = await JobModel.getLatestJobForDocument(documentId);
+  if (!job) return null;
+
+  return {
+    stage: job.stage,
+    progress: job.progress,
+    message: job.progressMessage,
+    jobId: job.id,
+    jobStatus: job.status,
+    timestamp: new Date(job.updatedAt).toISOString()
+  };
 };
 
 // Upload document to session with automatic OCR processing
 router.post('/upload/:sessionId', authenticateToken, upload.single('document'), async (req, res) => {
+  // Until the document row exists the stored file belongs to nothing
+  let document = null;
+
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -63,11 +181,25 @@ router.post('/upload/:sessionId', authenticateToken, upload.single('document'),
     // Verify session exists and user has access
     const session = await SessionModel.getSessionById(sessionId);
     if (!session) {
+      await fs.unlink(req.file.path).catch(() => {});
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(403).json({ error: accessError });
+    }
+
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(409).json({ error: `Documents cannot be uploaded to a ${session.status} session` });
+    }
+
+    const swiftError = await checkSwiftUpload(req.file);
+    if (swiftError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: swiftError });
     }
 
     // Save document to database
@@ -76,68 +208,47 @@ router.post('/upload/:sessionId', authenticateToken, upload.single('document'),
       fileName: req.file.originalname,
       fileType: req.file.mimetype,
       fileSize: req.file.size,
-      filePath: req.file.filename // Store just the filename, not full path
+      filePath: req.file.filename, // Store just the filename, not full path
+      uploadedBy: req.user.userId
     };
 
-    const document = await DocumentModel.uploadDocument(documentData);
+    document = await DocumentModel.uploadDocument(documentData);
     
     // Initialize progress tracking
     updateProgress(document.id, 'uploaded', 0, 'Document uploaded successfully');
     
-    // Update session status to uploading
-    await SessionModel.updateSessionStatus(sessionId, 'uploading');
-
     console.log(`Document uploaded successfully: ${document.id}`);
     console.log(`File saved as: ${req.file.filename}`);
+    await auditUserAction(req, {
+      action: 'document.upload',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId,
+      after: fileSummary(documentData)
+    });
 
-    // Start automatic OCR processing in background
-    setImmediate(async () => {
-      try {
-        console.log(`Starting automatic OCR processing for document: ${document.id}`);
-        
-        // Update progress: Starting processing
-        updateProgress(document.id, 'processing', 10, 'Starting OCR processing...');
-        
-        // Update session status to processing
-        await SessionModel.updateSessionStatus(sessionId, 'processing');
-        
-        // Process the document with OCR and splitting
-        const ocrResult = await processDocument(document.id);
-        
-        console.log(`OCR processing completed for document: ${document.id}`);
-        console.log(`Document type recognized: ${ocrResult.documentType}`);
-        console.log(`Split into ${ocrResult.splitResult?.splitCount || 1} documents`);
-        console.log(`Fields extracted: ${ocrResult.extractedFields?.length || 0}`);
-        
-        // Update progress: Completed
-        updateProgress(document.id, 'completed', 100, 'Processing completed successfully');
-        
-        // Update session status based on processing result
-        if (ocrResult.documentType !== 'Unknown') {
-          await SessionModel.updateSessionStatus(sessionId, 'reviewing');
-        }
-        
-        // Clean up progress after 5 minutes
-        setTimeout(() => {
-          processingProgress.delete(document.id);
-        }, 5 * 60 * 1000);
-        
-      } catch (error) {
-        console.error('Automatic OCR processing failed:', error);
-        updateProgress(document.id, 'error', 0, `Processing failed: ${error.message}`);
-        await DocumentModel.updateDocumentStatus(document.id, 'error');
-      }
+    // Queue automatic OCR processing
+    const { job } = await enqueueJob({
+      documentId: document.id,
+      sessionId,
+      type: 'upload',
+      requestedBy: req.user.userId
     });
+    await syncSessionStatus(sessionId, `${document.fileName} uploaded`);
 
     res.status(201).json({
       message: 'Document uploaded successfully. OCR processing and splitting started automatically.',
       document: {
         ...document,
         status: 'processing' // Indicate that processing has started
-      }
+      },
+      job
     });
   } catch (error) {
     console.error('Error uploading document:', error);
+    if (req.file && !document) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
     res.status(500).json({ error: 'Failed to upload document' });
   }
 });
@@ -159,12 +270,12 @@ router.get('/:documentId/progress', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
     
-    // Get progress from memory store
-    const progress = processingProgress.get(documentId);
+    const progress = await getDocumentProgress(documentId);
     
     if (!progress) {
       // If no progress found, check document status
@@ -187,7 +298,11 @@ router.get('/:documentId/progress', authenticateToken, async (req, res) => {
           defaultProgress = { ...defaultProgress, progress: 100, message: 'Processing completed' };
           break;
         case 'error':
-          defaultProgress = { ...defaultProgress, progress: 0, message: 'Processing failed' };
+          defaultProgress = {
+            ...defaultProgress,
+            progress: 0,
+            message: document.errorMessage ? `Processing failed: ${document.errorMessage}` : 'Processing failed'
+          };
           break;
       }
       
@@ -208,12 +323,19 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
     if (!document) {
       return res.status(404).json({ error: 'Document not found' });
     }
+
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
     
     // Get progress information
-    const progress = processingProgress.get(req.params.id);
+    const progress = await getDocumentProgress(req.params.id);
     
     return res.json({ 
       status: document.status,
+      errorMessage: document.errorMessage || null,
       progress: progress || null,
       updatedAt: document.uploadedAt
     });
@@ -234,8 +356,9 @@ router.get('/session/:sessionId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
     const documents = await DocumentModel.getDocumentsBySession(sessionId);
@@ -243,7 +366,7 @@ router.get('/session/:sessionId', authenticateToken, async (req, res) => {
     // Enhance documents with progress information
     const enhancedDocuments = documents.map(doc => ({
       ...doc,
-      progress: processingProgress.get(doc.id) || null
+      progress: getProgress(doc.id)
     }));
     
     res.json(enhancedDocuments);
@@ -270,8 +393,9 @@ router.delete('/:documentId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
     // Check if session is frozen or completed
@@ -279,13 +403,24 @@ router.delete('/:documentId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete documents from frozen or completed sessions' });
     }
     
-    // Clean up progress tracking
-    processingProgress.delete(documentId);
+    // Stop any processing still queued or running for the document
+    const activeJob = await JobModel.getActiveJobForDocument(documentId);
+    if (activeJob) {
+      await cancelJob(activeJob.id);
+    }
     
     // Delete the document
     const result = await DocumentModel.deleteDocument(documentId);
+    await syncSessionStatus(document.sessionId, `${document.fileName} deleted`);
     
     console.log(`Document deleted by user ${req.user.userId}: ${documentId}`);
+    await auditUserAction(req, {
+      action: 'document.delete',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      before: { ...fileSummary(document), status: document.status, currentVersion: document.currentVersion }
+    });
     
     res.json({
       message: 'Document deleted successfully',
@@ -297,6 +432,372 @@ router.delete('/:documentId', authenticateToken, async (req, res) => {
   }
 });
 
+// Edit the cleaned text of a processed document, saved as a new version.
+// Split documents are edited per split: { splits: { [splitId]: content } }.
+router.patch('/:documentId', authenticateToken, async (req, res) => {
+  try {
+    const document = await loadDocumentForChange(req, res);
+    if (!document) return;
+
+    const cleaned = await DocumentModel.getCleanedDocument(document.id);
+    if (!cleaned?.cleanedContent) {
+      return res.status(409).json({ error: 'Document has no cleaned text to edit. Process it first.' });
+    }
+
+    const { cleanedContent, splits, changeNote } = req.body || {};
+
+    let splitDocuments = null;
+    if (cleaned.cleanedContent.startsWith('[')) {
+      try {
+        splitDocuments = JSON.parse(cleaned.cleanedContent);
+      } catch (parseError) {
+        splitDocuments = null;
+      }
+    }
+
+    let content;
+    if (splitDocuments) {
+      if (!splits || typeof splits !== 'object' || Object.values(splits).some(value => typeof value !== 'string')) {
+        return res.status(400).json({ error: 'splits must map split document ids to their edited text' });
+      }
+
+      const splitIds = new Set(splitDocuments.map(split => split.id));
+      const unknown = Object.keys(splits).filter(id => !splitIds.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: 'Unknown split documents', details: unknown });
+      }
+
+      content = JSON.stringify(splitDocuments.map(split =>
+        Object.hasOwn(splits, split.id) ? { ...split, content: splits[split.id] } : split
+      ));
+    } else {
+      if (typeof cleanedContent !== 'string') {
+        return res.status(400).json({ error: 'cleanedContent must be a string' });
+      }
+      content = cleanedContent;
+    }
+
+    if (content === cleaned.cleanedContent) {
+      return res.status(400).json({ error: 'No changes to save' });
+    }
+
+    const version = await DocumentVersionModel.editContent(document.id, content, req.user.userId, toChangeNote(changeNote));
+
+    console.log(`Document ${document.id} edited as version ${version} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'document.edit',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      before: { version: document.currentVersion },
+      after: { version, changeNote: toChangeNote(changeNote) }
+    });
+
+    const discrepancySummary = await recheckSession(document);
+
+    res.json({
+      message: 'Document text saved as a new version',
+      version,
+      document: await DocumentModel.getDocumentDetails(document.id),
+      discrepancySummary
+    });
+  } catch (error) {
+    console.error('Error editing document:', error);
+    res.status(500).json({ error: 'Failed to edit document' });
+  }
+});
+
+// Replace the file of a document with a corrected one. The previous file and
+// its results are kept as the previous version; the new file is processed.
+router.put('/:documentId/replace', authenticateToken, upload.single('document'), async (req, res) => {
+  // Until the new version is saved the stored file belongs to nothing
+  let version = null;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const document = await loadDocumentForChange(req, res);
+    if (!document) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return;
+    }
+
+    const swiftError = await checkSwiftUpload(req.file);
+    if (swiftError) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: swiftError });
+    }
+
+    version = await DocumentVersionModel.replaceFile(document.id, {
+      fileName: req.file.originalname,
+      fileType: req.file.mimetype,
+      fileSize: req.file.size,
+      filePath: req.file.filename
+    }, req.user.userId, toChangeNote(req.body?.changeNote));
+
+    if (!version) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    updateProgress(document.id, 'uploaded', 0, 'Replacement file uploaded');
+
+    const { job } = await enqueueJob({
+      documentId: document.id,
+      sessionId: document.sessionId,
+      type: 'process',
+      requestedBy: req.user.userId
+    });
+
+    console.log(`Document ${document.id} replaced as version ${version} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'document.replace',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      before: { ...fileSummary(document), version: document.currentVersion },
+      after: {
+        fileName: req.file.originalname,
+        fileType: req.file.mimetype,
+        fileSize: req.file.size,
+        version,
+        changeNote: toChangeNote(req.body?.changeNote)
+      }
+    });
+
+    res.json({
+      message: 'Document replaced. The previous version is kept and the new file is being processed.',
+      version,
+      document: await DocumentModel.getDocumentDetails(document.id),
+      job
+    });
+  } catch (error) {
+    console.error('Error replacing document:', error);
+    if (req.file && !version) {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to replace document' });
+  }
+});
+
+// Restore an earlier version of a document, saved as a new version. Without
+// a version number the one before the current version is restored.
+router.post('/:documentId/revert', authenticateToken, async (req, res) => {
+  try {
+    const document = await loadDocumentForChange(req, res);
+    if (!document) return;
+
+    const { version: requested, changeNote } = req.body || {};
+    const target = requested === undefined || requested === null ? document.currentVersion - 1 : requested;
+
+    if (!Number.isInteger(target) || target < 1 || target >= document.currentVersion) {
+      return res.status(400).json({
+        error: document.currentVersion > 1
+          ? `version must be an earlier version, between 1 and ${document.currentVersion - 1}`
+          : 'Document has no earlier version to revert to'
+      });
+    }
+
+    const version = await DocumentVersionModel.revertToVersion(document.id, target, req.user.userId, toChangeNote(changeNote));
+    if (!version) {
+      return res.status(404).json({ error: `Version ${target} not found` });
+    }
+
+    console.log(`Document ${document.id} reverted to version ${target} as version ${version} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'document.revert',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      before: { version: document.currentVersion },
+      after: { version, restoredVersion: target, changeNote: toChangeNote(changeNote) }
+    });
+
+    // A version saved before its processing finished is processed now, and a
+    // SWIFT message again so the session's credit or amendment follows the
+    // restored file. The run re-examines the session when it ends.
+    const restored = await DocumentModel.getDocumentById(document.id);
+    let job = null;
+    let discrepancySummary = null;
+    if (restored.status === 'uploaded' || isSwiftFile(restored)) {
+      await DocumentModel.updateDocumentStatus(document.id, 'processing');
+      ({ job } = await enqueueJob({
+        documentId: document.id,
+        sessionId: document.sessionId,
+        type: restored.status === 'uploaded' ? 'process' : 'reprocess',
+        requestedBy: req.user.userId
+      }));
+    } else {
+      discrepancySummary = await recheckSession(document);
+    }
+
+    res.json({
+      message: `Version ${target} restored`,
+      version,
+      document: await DocumentModel.getDocumentDetails(document.id),
+      discrepancySummary,
+      job
+    });
+  } catch (error) {
+    console.error('Error reverting document:', error);
+    res.status(500).json({ error: 'Failed to revert document' });
+  }
+});
+
+// Get the versions of a document, newest first
+router.get('/:documentId/versions', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    res.json(await DocumentVersionModel.getVersions(loaded.document.id));
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({ error: 'Failed to fetch document versions' });
+  }
+});
+
+// Get an earlier version of a document with the text and fields it had
+router.get('/:documentId/versions/:versionNumber', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    const versionNumber = Number(req.params.versionNumber);
+    const version = Number.isInteger(versionNumber)
+      ? await DocumentVersionModel.getVersion(loaded.document.id, versionNumber)
+      : null;
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found or is the current version' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching document version:', error);
+    res.status(500).json({ error: 'Failed to fetch document version' });
+  }
+});
+
+// Get the processing runs of a document, newest first
+router.get('/:documentId/iterations', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    res.json(await DocumentIterationModel.getIterationsByDocument(loaded.document.id));
+  } catch (error) {
+    console.error('Error fetching iterations:', error);
+    res.status(500).json({ error: 'Failed to fetch iterations' });
+  }
+});
+
+// Compare two iterations of a document: ?from=1&to=3
+router.get('/:documentId/iterations/diff', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: 'from and to must be iteration numbers' });
+    }
+
+    const [fromIteration, toIteration] = await Promise.all([
+      DocumentIterationModel.getIteration(loaded.document.id, from),
+      DocumentIterationModel.getIteration(loaded.document.id, to)
+    ]);
+    if (!fromIteration || !toIteration) {
+      return res.status(404).json({ error: `Iteration ${fromIteration ? to : from} not found` });
+    }
+
+    res.json(diffIterations(fromIteration, toIteration));
+  } catch (error) {
+    console.error('Error comparing iterations:', error);
+    res.status(500).json({ error: 'Failed to compare iterations' });
+  }
+});
+
+// Get one iteration with the text and fields it extracted
+router.get('/:documentId/iterations/:iterationNumber', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
+
+    const iterationNumber = Number(req.params.iterationNumber);
+    const iteration = Number.isInteger(iterationNumber)
+      ? await DocumentIterationModel.getIteration(loaded.document.id, iterationNumber)
+      : null;
+    if (!iteration) {
+      return res.status(404).json({ error: 'Iteration not found' });
+    }
+
+    res.json(iteration);
+  } catch (error) {
+    console.error('Error fetching iteration:', error);
+    res.status(500).json({ error: 'Failed to fetch iteration' });
+  }
+});
+
+// Make the results of an earlier iteration current again, as a new version
+// of the document. Its fields return pending validation and the session is
+// checked again.
+router.post('/:documentId/iterations/:iterationNumber/promote', authenticateToken, async (req, res) => {
+  try {
+    const document = await loadDocumentForChange(req, res);
+    if (!document) return;
+
+    const iterationNumber = Number(req.params.iterationNumber);
+    const iteration = Number.isInteger(iterationNumber)
+      ? await DocumentIterationModel.getIteration(document.id, iterationNumber, { withContent: false })
+      : null;
+    if (!iteration) {
+      return res.status(404).json({ error: 'Iteration not found' });
+    }
+
+    if (iteration.status !== 'completed') {
+      return res.status(400).json({ error: 'Only a completed iteration can be promoted' });
+    }
+
+    if (iteration.isCurrent) {
+      return res.status(409).json({ error: `Iteration ${iterationNumber} is already current` });
+    }
+
+    const promoted = await DocumentIterationModel.promote(document.id, iterationNumber, req.user.userId);
+    if (!promoted) {
+      return res.status(404).json({ error: 'Iteration not found' });
+    }
+    if (promoted.fileReplaced) {
+      return res.status(409).json({ error: `Iteration ${iterationNumber} was run on a file this document no longer has` });
+    }
+
+    console.log(`Iteration ${iterationNumber} of document ${document.id} promoted by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'iteration.promote',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      before: { currentIteration: document.currentIteration ?? null },
+      after: { currentIteration: iterationNumber }
+    });
+
+    // The session's documents changed
+    const discrepancySummary = await recheckSession(document);
+
+    res.json({
+      message: `Iteration ${iterationNumber} is now current`,
+      iteration: promoted,
+      document: await DocumentModel.getDocumentDetails(document.id),
+      discrepancySummary
+    });
+  } catch (error) {
+    console.error('Error promoting iteration:', error);
+    res.status(500).json({ error: 'Failed to promote iteration' });
+  }
+});
+
 // Manually trigger OCR processing for a document
 router.post('/:documentId/process', authenticateToken, async (req, res) => {
   try {
@@ -310,44 +811,51 @@ router.post('/:documentId/process', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
     
-    // Initialize progress tracking
-    updateProgress(documentId, 'processing', 10, 'Starting manual processing...');
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session, { change: true }) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Documents of a ${session.status} session cannot be changed` });
+    }
+    
+    // Optional OCR engine override; the server default applies otherwise
+    const { engine } = req.body || {};
+    if (engine && !OCR_ENGINES.includes(engine)) {
+      return res.status(400).json({ error: `Unknown OCR engine. Use one of: ${OCR_ENGINES.join(', ')}` });
+    }
     
     // Update document status to processing
     await DocumentModel.updateDocumentStatus(documentId, 'processing');
     
-    // Start processing in background
-    setImmediate(async () => {
-      try {
-        // Process document with OCR and splitting
-        const processedData = await processDocument(documentId);
-        
-        // Update document status to processed
-        await DocumentModel.updateDocumentStatus(documentId, 'processed');
-        
-        // Update progress: Completed
-        updateProgress(documentId, 'completed', 100, 'Manual processing completed successfully');
-        
-        // Clean up progress after 5 minutes
-        setTimeout(() => {
-          processingProgress.delete(documentId);
-        }, 5 * 60 * 1000);
-        
-      } catch (error) {
-        console.error('Manual processing failed:', error);
-        updateProgress(documentId, 'error', 0, `Processing failed: ${error.message}`);
-        await DocumentModel.updateDocumentStatus(documentId, 'error');
-      }
+    // Queue processing; a document already queued or running keeps its job
+    const { job, created } = await enqueueJob({
+      documentId,
+      sessionId: document.sessionId,
+      type: 'process',
+      engine,
+      requestedBy: req.user.userId
     });
+    if (created) {
+      await auditUserAction(req, {
+        action: 'document.process',
+        entityType: 'document',
+        entityId: documentId,
+        sessionId: document.sessionId,
+        after: { jobId: job.id, engine: engine || null }
+      });
+    }
     
-    res.json({
-      message: 'Document processing started successfully',
+    res.status(202).json({
+      message: created ? 'Document processing queued successfully' : 'Document is already being processed',
       documentId: documentId,
-      status: 'processing'
+      status: 'processing',
+      job
     });
   } catch (error) {
     console.error('Error starting document processing:', error);
-    updateProgress(req.params.documentId, 'error', 0, `Failed to start processing: ${error.message}`);
     res.status(500).json({ 
       error: 'Failed to start document processing',
       details: error.message 
@@ -359,6 +867,9 @@ router.post('/:documentId/process', authenticateToken, async (req, res) => {
 router.get('/:documentId/ocr', authenticateToken, async (req, res) => {
   try {
     const documentId = req.params.documentId;
+
+    const loaded = await loadDocument(req, res);
+    if (!loaded) return;
     
     // Get cleaned document data
     const cleanedDoc = await DocumentModel.getCleanedDocument(documentId);
@@ -386,7 +897,8 @@ router.get('/:documentId/ocr', authenticateToken, async (req, res) => {
       documentType: cleanedDoc.matchedTemplate,
       isNewDocument: cleanedDoc.isNewDocument,
       processedAt: cleanedDoc.processedAt,
-      splitDocuments: splitDocuments.length > 0 ? splitDocuments : null
+      splitDocuments: splitDocuments.length > 0 ? splitDocuments : null,
+      pages: cleanedDoc.pageData ? JSON.parse(cleanedDoc.pageData) : []
     });
   } catch (error) {
     console.error('Error fetching OCR results:', error);
@@ -401,44 +913,55 @@ router.post('/:documentId/reprocess', authenticateToken, async (req, res) => {
     
     console.log(`Reprocessing document: ${documentId}`);
     
-    // Initialize progress tracking
-    updateProgress(documentId, 'reprocessing', 10, 'Starting reprocessing...');
+    const document = await DocumentModel.getDocumentById(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session, { change: true }) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Documents of a ${session.status} session cannot be changed` });
+    }
+    
+    const { engine } = req.body || {};
+    if (engine && !OCR_ENGINES.includes(engine)) {
+      return res.status(400).json({ error: `Unknown OCR engine. Use one of: ${OCR_ENGINES.join(', ')}` });
+    }
     
     // Update document status to processing
     await DocumentModel.updateDocumentStatus(documentId, 'processing');
     
-    // Start reprocessing in background
-    setImmediate(async () => {
-      try {
-        // Reprocess the document
-        const reprocessedData = await reprocessDocument(documentId);
-        
-        // Update document status to processed
-        await DocumentModel.updateDocumentStatus(documentId, 'processed');
-        
-        // Update progress: Completed
-        updateProgress(documentId, 'completed', 100, 'Reprocessing completed successfully');
-        
-        // Clean up progress after 5 minutes
-        setTimeout(() => {
-          processingProgress.delete(documentId);
-        }, 5 * 60 * 1000);
-        
-      } catch (error) {
-        console.error('Reprocessing failed:', error);
-        updateProgress(documentId, 'error', 0, `Reprocessing failed: ${error.message}`);
-        await DocumentModel.updateDocumentStatus(documentId, 'error');
-      }
+    // Queue reprocessing; repeated clicks join the job already queued or running
+    const { job, created } = await enqueueJob({
+      documentId,
+      sessionId: document.sessionId,
+      type: 'reprocess',
+      engine,
+      requestedBy: req.user.userId
     });
+    if (created) {
+      await auditUserAction(req, {
+        action: 'document.reprocess',
+        entityType: 'document',
+        entityId: documentId,
+        sessionId: document.sessionId,
+        after: { jobId: job.id, engine: engine || null }
+      });
+    }
     
-    res.json({
-      message: 'Document reprocessing started successfully',
+    res.status(202).json({
+      message: created ? 'Document reprocessing queued successfully' : 'Document is already being processed',
       documentId: documentId,
-      status: 'processing'
+      status: 'processing',
+      job
     });
   } catch (error) {
     console.error('Error reprocessing document:', error);
-    updateProgress(req.params.documentId, 'error', 0, `Failed to start reprocessing: ${error.message}`);
     res.status(500).json({ 
       error: 'Failed to reprocess document',
       details: error.message 
@@ -451,6 +974,17 @@ router.post('/:documentId/compare', authenticateToken, async (req, res) => {
   try {
     const documentId = req.params.documentId;
     
+    const document = await DocumentModel.getDocumentById(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    
     // Get the cleaned document to analyze
     const cleanedDoc = await DocumentModel.getCleanedDocument(documentId);
     
@@ -458,59 +992,14 @@ router.post('/:documentId/compare', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Document not processed yet. Process the document first.' });
     }
     
-    // Mock template comparison results based on document type
-    const documentType = cleanedDoc.matchedTemplate || 'Unknown';
-    
-    let mockMatches = [];
-    
-    if (documentType === 'Letter of Credit') {
-      mockMatches = [
-        {
-          id: 'template_lc_001',
-          name: 'Standard Letter of Credit',
-          type: 'master',
-          confidence: 0.92,
-          matchedFields: 8,
-          totalFields: 10
-        },
-        {
-          id: 'template_lc_002',
-          name: 'Irrevocable LC Template',
-          type: 'sub',
-          confidence: 0.85,
-          matchedFields: 7,
-          totalFields: 10
-        }
-      ];
-    } else if (documentType === 'Commercial Invoice') {
-      mockMatches = [
-        {
-          id: 'template_invoice_001',
-          name: 'Standard Commercial Invoice',
-          type: 'master',
-          confidence: 0.88,
-          matchedFields: 6,
-          totalFields: 8
-        }
-      ];
-    } else if (documentType === 'Bill of Lading') {
-      mockMatches = [
-        {
-          id: 'template_bl_001',
-          name: 'Ocean Bill of Lading',
-          type: 'master',
-          confidence: 0.90,
-          matchedFields: 7,
-          totalFields: 8
-        }
-      ];
-    }
+    const comparison = await compareDocumentToTemplates(cleanedDoc);
     
     res.json({
       documentId: documentId,
-      matches: mockMatches.filter(m => m.confidence > 0.5),
-      totalTemplatesChecked: 232, // 40 master + 192 sub
-      bestMatch: mockMatches[0] || null
+      matches: comparison.matches,
+      totalTemplatesChecked: comparison.totalTemplatesChecked,
+      bestMatch: comparison.bestMatch,
+      catalogedTemplateId: document.templateId || null
     });
   } catch (error) {
     console.error('Error comparing document:', error);
@@ -518,7 +1007,8 @@ router.post('/:documentId/compare', authenticateToken, async (req, res) => {
   }
 });
 
-// Catalog document with selected template
+// Catalog document with selected template. Processing the document again
+// extracts its fields with the template's field rules.
 router.post('/:documentId/catalog', authenticateToken, async (req, res) => {
   try {
     const documentId = req.params.documentId;
@@ -528,13 +1018,49 @@ router.post('/:documentId/catalog', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Template ID is required' });
     }
     
-    // Update document with matched template
-    // This would typically update the document record with the template information
+    const document = await DocumentModel.getDocumentById(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session, { change: true }) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Documents of a ${session.status} session cannot be changed` });
+    }
+    
+    const template = await TemplateModel.getTemplateById(templateId);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    await DocumentModel.setDocumentTemplate(documentId, template.id, template.version, req.user.userId);
+    
+    console.log(`Document ${documentId} cataloged as ${template.name} (version ${template.version}) by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'document.catalog',
+      entityType: 'document',
+      entityId: documentId,
+      sessionId: document.sessionId,
+      before: { templateId: document.templateId || null },
+      after: { templateId: template.id, templateName: template.name, templateVersion: template.version }
+    });
     
     res.json({
       message: 'Document cataloged successfully',
       documentId: documentId,
-      templateId: templateId
+      templateId: template.id,
+      matchedTemplate: {
+        id: template.id,
+        name: template.name,
+        type: template.type,
+        version: template.version,
+        documentType: template.parentTemplateName || template.name
+      }
     });
   } catch (error) {
     console.error('Error cataloging document:', error);
@@ -542,24 +1068,70 @@ router.post('/:documentId/catalog', authenticateToken, async (req, res) => {
   }
 });
 
-// Request approval for new document type
+// Request a new document type for a document no template matches. The
+// proposal is checked like a template definition so an admin can approve it
+// as it stands.
 router.post('/:documentId/request-approval', authenticateToken, async (req, res) => {
   try {
     const documentId = req.params.documentId;
-    const { documentType } = req.body;
+    const { documentType, documentCategory, parentTemplateId, keywords, startPatterns, fields, notes } = req.body;
     
-    if (!documentType) {
+    if (typeof documentType !== 'string' || !documentType.trim()) {
       return res.status(400).json({ error: 'Document type is required' });
     }
     
-    // Create approval request
-    // This would typically create a record in the approval system
+    const document = await DocumentModel.getDocumentById(documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
     
-    res.json({
-      message: 'Approval request submitted successfully',
+    const session = await SessionModel.getSessionById(document.sessionId);
+    const accessError = session ? getSessionAccessError(req.user, session, { change: true }) : 'Access denied';
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+    
+    const pending = await DocumentApprovalModel.getPendingApprovalForDocument(documentId);
+    if (pending) {
+      return res.status(409).json({ error: 'A new document type request for this document is already pending', approval: pending });
+    }
+    
+    const { status, error, template } = await checkTemplateInput(templateInputFromProposal({
+      documentType,
+      documentCategory,
+      parentTemplateId,
+      keywords,
+      startPatterns,
+      fields
+    }));
+    if (error) {
+      return res.status(status).json(error);
+    }
+    
+    const approval = await DocumentApprovalModel.createApproval({
+      sessionId: document.sessionId,
       documentId: documentId,
-      documentType: documentType,
-      status: 'pending'
+      documentType: template.name,
+      documentCategory: template.category,
+      parentTemplateId: template.parentTemplateId,
+      keywords: template.keywords,
+      startPatterns: template.startPatterns,
+      fields: template.fields,
+      requestNotes: typeof notes === 'string' ? notes.trim() : null
+    }, req.user.userId);
+    
+    console.log(`New document type ${approval.documentType} requested for document ${documentId} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'approval.request',
+      entityType: 'approval',
+      entityId: approval.id,
+      sessionId: document.sessionId,
+      after: { documentId, documentType: approval.documentType, fields: template.fields.length }
+    });
+    
+    res.status(201).json({
+      message: 'Approval request submitted successfully',
+      approval
     });
   } catch (error) {
     console.error('Error requesting approval:', error);
@@ -567,6 +1139,4 @@ router.post('/:documentId/request-approval', authenticateToken, async (req, res)
   }
 });
 
-// Export the progress update function for use in OCR service
-export { updateProgress };
 export default router;
\ No newline at end of file
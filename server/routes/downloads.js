@@ -4,7 +4,9 @@ import fs from 'fs';
 import { authenticateToken } from '../middleware/auth.js';
 import { DocumentModel } from '../models/Document.js';
 import { SessionModel } from '../models/Session.js';
+import { RefusalNoticeModel } from '../models/RefusalNotice.js';
 import { DocumentDownloader } from '../services/documentDownloader.js';
+import { getSessionAccessError } from '../services/permissions.js';
 
 const router = express.Router();
 
@@ -24,8 +26,9 @@ router.get('/split-pdf/:documentId/:splitIndex', authenticateToken, async (req,
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
     
     // Generate PDF
@@ -75,8 +78,9 @@ router.get('/split-text/:documentId/:splitIndex', authenticateToken, async (req,
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
     
     // Generate formatted text
@@ -131,8 +135,9 @@ router.get('/package/:documentId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
     
     // Generate package
@@ -211,6 +216,54 @@ router.get('/file/:fileName', authenticateToken, async (req, res) => {
   }
 });
 
+// Download the refusal notice of a session as its MT734 text or its PDF.
+// Unlike the generated downloads above, the notice is kept as it was sent.
+router.get('/refusal/:sessionId/:format', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId, format } = req.params;
+
+    if (!['mt734', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be mt734 or pdf' });
+    }
+
+    const session = await SessionModel.getSessionById(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const notice = await RefusalNoticeModel.getNoticeBySession(session.id);
+    if (!notice) {
+      return res.status(404).json({ error: 'The presentation has not been refused' });
+    }
+
+    if (format === 'mt734') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${notice.senderReference}.mt734.txt"`);
+      return res.send(notice.mt734);
+    }
+
+    const filePath = path.join(process.env.UPLOAD_PATH || './uploads', notice.pdfPath);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Refusal notice PDF not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${notice.senderReference}.pdf"`);
+    res.setHeader('Content-Length', fs.statSync(filePath).size);
+
+    fs.createReadStream(filePath).pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading refusal notice:', error);
+    res.status(500).json({ error: 'Failed to download refusal notice' });
+  }
+});
+
 // Get download options for a document
 router.get('/options/:documentId', authenticateToken, async (req, res) => {
   try {
@@ -227,8 +280,9 @@ router.get('/options/:documentId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
     
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
     
     // Get split documents info
@@ -0,0 +1,211 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { FieldModel } from '../models/Field.js';
+import { DocumentModel } from '../models/Document.js';
+import { SessionModel } from '../models/Session.js';
+import { getSessionAccessError } from '../services/permissions.js';
+import { auditUserAction } from '../services/auditLog.js';
+
+const router = express.Router();
+
+// Sessions in these states no longer accept field changes
+const LOCKED_SESSION_STATUSES = ['frozen', 'completed'];
+
+// The session of a document, or an error response when the user may not see
+// it, or with change set may not change it
+const loadSession = async (req, res, sessionId, { change = false } = {}) => {
+  const session = await SessionModel.getSessionById(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+
+  const accessError = getSessionAccessError(req.user, session, { change });
+  if (accessError) {
+    res.status(403).json({ error: accessError });
+    return null;
+  }
+
+  return session;
+};
+
+// Fields saved in the cleaned data of a document, with the document type of
+// the split each one was found in
+const fieldsFromCleanedDocument = (cleaned) => {
+  let fields = [];
+  if (cleaned.extractedFields) {
+    try {
+      const parsed = JSON.parse(cleaned.extractedFields);
+      fields = Array.isArray(parsed) ? parsed : [];
+    } catch (parseError) {
+      fields = [];
+    }
+  }
+
+  let splits = [];
+  if (cleaned.cleanedContent && cleaned.cleanedContent.startsWith('[')) {
+    try {
+      splits = JSON.parse(cleaned.cleanedContent);
+    } catch (parseError) {
+      splits = [];
+    }
+  }
+  const splitTypes = new Map(splits.map(split => [split.id, split.documentType]));
+
+  return fields.map(field => ({
+    ...field,
+    documentType: field.documentType || splitTypes.get(field.splitDocumentId) || cleaned.matchedTemplate || null
+  }));
+};
+
+// Extract the fields of a processed document. Fields already stored are
+// returned as they are, so edits and validations are kept.
+router.post('/extract/:documentId', authenticateToken, async (req, res) => {
+  try {
+    const document = await DocumentModel.getDocumentById(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const session = await loadSession(req, res, document.sessionId);
+    if (!session) return;
+
+    const existingFields = await FieldModel.getFieldsByDocument(document.id);
+    if (existingFields.length > 0) {
+      return res.json(existingFields);
+    }
+
+    // Reading stored fields is open to anyone who sees the session; storing
+    // them is a change
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Fields of a ${session.status} session cannot be changed` });
+    }
+
+    const cleaned = await DocumentModel.getCleanedDocument(document.id);
+    if (!cleaned) {
+      return res.status(409).json({ error: 'Document has not been processed yet' });
+    }
+
+    const fields = await FieldModel.replaceDocumentFields(document.id, document.sessionId, fieldsFromCleanedDocument(cleaned));
+
+    console.log(`Extracted ${fields.length} fields for document ${document.id} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'field.extract',
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      after: { fieldCount: fields.length }
+    });
+
+    res.status(201).json(fields);
+  } catch (error) {
+    console.error('Error extracting fields:', error);
+    res.status(500).json({ error: 'Failed to extract fields' });
+  }
+});
+
+// Get the fields of a document
+router.get('/document/:documentId', authenticateToken, async (req, res) => {
+  try {
+    const document = await DocumentModel.getDocumentById(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const session = await loadSession(req, res, document.sessionId);
+    if (!session) return;
+
+    const fields = await FieldModel.getFieldsByDocument(document.id);
+    res.json(fields);
+  } catch (error) {
+    console.error('Error fetching fields:', error);
+    res.status(500).json({ error: 'Failed to fetch fields' });
+  }
+});
+
+// Correct the value of a field. The extracted value is kept as originalValue.
+router.patch('/:fieldId', authenticateToken, async (req, res) => {
+  try {
+    const { value } = req.body;
+
+    if (typeof value !== 'string') {
+      return res.status(400).json({ error: 'Value must be a string' });
+    }
+
+    const field = await FieldModel.getFieldById(req.params.fieldId);
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const session = await loadSession(req, res, field.sessionId, { change: true });
+    if (!session) return;
+
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Fields of a ${session.status} session cannot be changed` });
+    }
+
+    const updatedField = await FieldModel.updateFieldValue(field.id, value, req.user.userId);
+
+    console.log(`Field ${field.id} (${field.fieldName}) edited by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'field.edit',
+      entityType: 'field',
+      entityId: field.id,
+      sessionId: field.sessionId,
+      before: { fieldName: field.fieldName, fieldValue: field.fieldValue },
+      after: { fieldName: updatedField.fieldName, fieldValue: updatedField.fieldValue }
+    });
+
+    res.json(updatedField);
+  } catch (error) {
+    console.error('Error updating field:', error);
+    res.status(500).json({ error: 'Failed to update field' });
+  }
+});
+
+// Confirm a field as correct or reject it as incorrect
+router.patch('/:fieldId/validate', authenticateToken, async (req, res) => {
+  try {
+    const { isValid } = req.body;
+
+    if (typeof isValid !== 'boolean') {
+      return res.status(400).json({ error: 'isValid must be true or false' });
+    }
+
+    const field = await FieldModel.getFieldById(req.params.fieldId);
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const session = await loadSession(req, res, field.sessionId, { change: true });
+    if (!session) return;
+
+    if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+      return res.status(409).json({ error: `Fields of a ${session.status} session cannot be changed` });
+    }
+
+    const updatedField = await FieldModel.setFieldValidation(field.id, isValid, req.user.userId);
+
+    console.log(`Field ${field.id} (${field.fieldName}) ${isValid ? 'validated' : 'rejected'} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: isValid ? 'field.validate' : 'field.reject',
+      entityType: 'field',
+      entityId: field.id,
+      sessionId: field.sessionId,
+      before: { fieldName: field.fieldName, validationStatus: field.validationStatus },
+      after: { fieldName: updatedField.fieldName, validationStatus: updatedField.validationStatus }
+    });
+
+    res.json(updatedField);
+  } catch (error) {
+    console.error('Error validating field:', error);
+    res.status(500).json({ error: 'Failed to validate field' });
+  }
+});
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { JobModel } from '../models/Job.js';
+import { DocumentModel } from '../models/Document.js';
+import { SessionModel } from '../models/Session.js';
+import { cancelJob } from '../services/jobQueue.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { canViewSession, canChangeSession } from '../services/permissions.js';
+
+const router = express.Router();
+
+// Jobs are seen by whoever may see their session and cancelled by whoever
+// may change it
+const canAccessSession = async (req, sessionId, { change = false } = {}) => {
+  const session = await SessionModel.getSessionById(sessionId);
+  if (!session) return false;
+  return change ? canChangeSession(req.user, session) : canViewSession(req.user, session);
+};
+
+// Get processing jobs for a document, newest first
+router.get('/document/:documentId', authenticateToken, async (req, res) => {
+  try {
+    const document = await DocumentModel.getDocumentById(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (!(await canAccessSession(req, document.sessionId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const jobs = await JobModel.getJobsByDocument(document.id);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching document jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Get a processing job
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await JobModel.getJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!(await canAccessSession(req, job.sessionId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await JobModel.getJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!(await canAccessSession(req, job.sessionId, { change: true }))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cancelledJob = await cancelJob(job.id);
+    if (!cancelledJob) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+
+    console.log(`Job ${job.id} cancelled by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'job.cancel',
+      entityType: 'job',
+      entityId: job.id,
+      sessionId: job.sessionId,
+      before: { status: job.status, type: job.type, documentId: job.documentId },
+      after: { status: cancelledJob.status }
+    });
+
+    res.status(202).json({
+      message: cancelledJob.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: cancelledJob
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+export default router;
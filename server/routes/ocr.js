@@ -1,45 +1,92 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { processDocument, reprocessDocument, recognizeDocumentType} from '../services/ocrService.js';
+import { recognizeDocumentType, OCR_ENGINES } from '../services/ocrService.js';
+import { enqueueJob } from '../services/jobQueue.js';
 import { DocumentModel } from '../models/Document.js';
+import { SessionModel } from '../models/Session.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { getSessionAccessError } from '../services/permissions.js';
 
 const router = express.Router();
 
+// Documents of sessions in these states can no longer change
+const LOCKED_SESSION_STATUSES = ['frozen', 'completed'];
+
+// The document of the request when the user may see its session, or with
+// change set may change it and its session is not locked. Sends the error
+// response and returns null otherwise.
+const loadDocument = async (req, res, { change = false } = {}) => {
+  const document = await DocumentModel.getDocumentById(req.params.documentId);
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' });
+    return null;
+  }
+
+  const session = await SessionModel.getSessionById(document.sessionId);
+  const accessError = session ? getSessionAccessError(req.user, session, { change }) : 'Access denied';
+  if (accessError) {
+    res.status(403).json({ error: accessError });
+    return null;
+  }
+
+  if (change && LOCKED_SESSION_STATUSES.includes(session.status)) {
+    res.status(409).json({ error: `Documents of a ${session.status} session cannot be changed` });
+    return null;
+  }
+
+  return document;
+};
+
+// Queue an OCR run of the document of the request, like the document
+// routes do: the job queue runs one job per document at a time, and a
+// document already queued or running keeps its job.
+const queueRun = async (req, res, type) => {
+  const document = await loadDocument(req, res, { change: true });
+  if (!document) return;
+
+  const { engine } = req.body || {};
+  if (engine && !OCR_ENGINES.includes(engine)) {
+    return res.status(400).json({ error: `Unknown OCR engine. Use one of: ${OCR_ENGINES.join(', ')}` });
+  }
+
+  await DocumentModel.updateDocumentStatus(document.id, 'processing');
+
+  const { job, created } = await enqueueJob({
+    documentId: document.id,
+    sessionId: document.sessionId,
+    type,
+    engine,
+    requestedBy: req.user.userId
+  });
+  if (created) {
+    await auditUserAction(req, {
+      action: `document.${type}`,
+      entityType: 'document',
+      entityId: document.id,
+      sessionId: document.sessionId,
+      after: { jobId: job.id, engine: engine || null }
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    message: created ? `Document ${type}ing queued successfully` : 'Document is already being processed',
+    documentId: document.id,
+    status: 'processing',
+    job
+  });
+};
+
 // Process document with OCR
 router.post('/process/:documentId', authenticateToken, async (req, res) => {
   try {
-    const documentId = req.params.documentId;
-    
-    console.log(`OCR processing requested for document: ${documentId}`);
-    
-    // Update document status to processing
-    await DocumentModel.updateDocumentStatus(documentId, 'processing');
-    
-    // Process document with OCR
-    const result = await processDocument(documentId);
-    
-    // Update document status to processed
-    await DocumentModel.updateDocumentStatus(documentId, 'processed');
-    
-    res.json({
-      success: true,
-      message: 'OCR processing completed successfully',
-      data: {
-        documentId: documentId,
-        extractedText: result.extractedText,
-        documentType: result.documentType,
-        extractedFields: result.extractedFields,
-        structuredData: result.structuredData,
-        confidence: result.confidence,
-        processedAt: new Date().toISOString()
-      }
-    });
+    console.log(`OCR processing requested for document: ${req.params.documentId}`);
+    await queueRun(req, res, 'process');
   } catch (error) {
     console.error('OCR processing error:', error);
-    await DocumentModel.updateDocumentStatus(req.params.documentId, 'error');
     res.status(500).json({ 
       success: false,
-      error: 'OCR processing failed',
+      error: 'Failed to start OCR processing',
       details: error.message 
     });
   }
@@ -48,30 +95,13 @@ router.post('/process/:documentId', authenticateToken, async (req, res) => {
 // Reprocess document with OCR (for iterations)
 router.post('/reprocess/:documentId', authenticateToken, async (req, res) => {
   try {
-    const documentId = req.params.documentId;
-    
-    console.log(`OCR reprocessing requested for document: ${documentId}`);
-    
-    // Update document status to processing
-    await DocumentModel.updateDocumentStatus(documentId, 'processing');
-    
-    // Reprocess the document
-    const result = await reprocessDocument(documentId);
-    
-    // Update document status to processed
-    await DocumentModel.updateDocumentStatus(documentId, 'processed');
-    
-    res.json({
-      success: true,
-      message: 'OCR reprocessing completed successfully',
-      data: result
-    });
+    console.log(`OCR reprocessing requested for document: ${req.params.documentId}`);
+    await queueRun(req, res, 'reprocess');
   } catch (error) {
     console.error('OCR reprocessing error:', error);
-    await DocumentModel.updateDocumentStatus(req.params.documentId, 'error');
     res.status(500).json({ 
       success: false,
-      error: 'OCR reprocessing failed',
+      error: 'Failed to start OCR reprocessing',
       details: error.message 
     });
   }
@@ -82,15 +112,10 @@ router.post('/recognize/:documentId', authenticateToken, async (req, res) => {
   try {
     const documentId = req.params.documentId;
     
-    // Get document file path
-    const documents = await DocumentModel.getDocumentsBySession('temp'); // This needs proper implementation
-    const document = documents.find(d => d.id === documentId);
-    
-    if (!document) {
-      return res.status(404).json({ error: 'Document not found' });
-    }
+    const document = await loadDocument(req, res);
+    if (!document) return;
     
-    const recognition = await recognizeDocumentType(document.filePath);
+    const recognition = await recognizeDocumentType(document);
     
     res.json({
       success: true,
@@ -1,24 +1,143 @@
 import express from 'express';
-import { SessionModel } from '../models/Session.js';
+import { SessionModel, SESSION_SORTS, decodeCursor } from '../models/Session.js';
 import { DocumentModel } from '../models/Document.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission, isStillSignedIn } from '../middleware/auth.js';
+import { LetterOfCreditModel } from '../models/LetterOfCredit.js';
+import { checkSessionDiscrepancies, getSessionDiscrepancyReport, getExaminationLock, getEffectiveCredit, formatTerms, parseDate, formatDate } from '../services/discrepancyEngine.js';
+import { getSessionDeadlines, getAtRiskSessions, getDefaultBankLocation, readBankLocation, today } from '../services/examinationDeadline.js';
+import { publishSessionEvent, subscribeToSession, getSessionEventsSince, formatSSE } from '../services/sessionEvents.js';
+import { saveSessionToMasterRecord } from '../services/masterRecord.js';
+import { transitionSession, getSessionLifecycle, SESSION_STATUSES } from '../services/sessionLifecycle.js';
+import { getSessionReview, submitReview, decideReview, REVIEW_DECISIONS } from '../services/sessionReview.js';
+import { getRefusal, previewRefusal, issueRefusal, readRefusalInput } from '../services/refusalNotice.js';
+import { transitionDiscrepancy, getDiscrepancyHistory } from '../services/discrepancyLifecycle.js';
+import { DiscrepancyModel } from '../models/Discrepancy.js';
+import { MasterRecordModel } from '../models/MasterRecord.js';
+import { AuditLogModel } from '../models/AuditLog.js';
+import { auditUserAction } from '../services/auditLog.js';
+import { PERMISSIONS, hasPermission, getSessionAccessError } from '../services/permissions.js';
 
 const router = express.Router();
 
-// Get all sessions
+// How long the browser waits before reconnecting a dropped event stream
+const EVENT_STREAM_RETRY_MS = 3000;
+
+// Comment lines keep idle event streams from being closed by proxies. Each
+// heartbeat also checks the stream's sign-in is still valid.
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Filters, sort and page of a session search from its query string. Makers
+// only ever search their own sessions.
+const parseSessionSearch = (query, user) => {
+  const details = [];
+  const text = (name) => (typeof query[name] === 'string' && query[name].trim()) || null;
+
+  const date = (name) => {
+    const value = text(name);
+    if (!value) return null;
+    const parsed = parseDate(value);
+    if (!parsed) details.push(`${name} must be a date`);
+    return parsed;
+  };
+
+  // Date ranges include the whole of their last day
+  const dayAfter = (name) => {
+    const value = date(name);
+    return value ? new Date(value.getTime() + 24 * 60 * 60 * 1000) : null;
+  };
+
+  const count = (name) => {
+    const value = text(name);
+    if (value === null) return null;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) details.push(`${name} must be a whole number`);
+    return parsed;
+  };
+
+  const statuses = (text('status') || '').split(',').map(status => status.trim()).filter(Boolean);
+  const unknownStatuses = statuses.filter(status => !SESSION_STATUSES.includes(status));
+  if (unknownStatuses.length > 0) {
+    details.push(`Unknown status ${unknownStatuses.join(', ')}. Use: ${SESSION_STATUSES.join(', ')}`);
+  }
+
+  const sort = text('sort') || 'createdAt';
+  if (!SESSION_SORTS.includes(sort)) details.push(`sort must be one of: ${SESSION_SORTS.join(', ')}`);
+
+  const order = text('order') || 'desc';
+  if (!['asc', 'desc'].includes(order)) details.push('order must be asc or desc');
+
+  const limit = text('limit') ? Number(text('limit')) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    details.push(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const cursor = text('cursor') ? decodeCursor(text('cursor')) : null;
+  if (text('cursor') && !cursor) details.push('cursor is not valid');
+
+  const filters = {
+    userId: hasPermission(user, PERMISSIONS.VIEW_ALL_SESSIONS) ? text('owner') : user.userId,
+    cifNumber: text('cif'),
+    lcNumber: text('lcNumber'),
+    lifecycle: text('lifecycle'),
+    statuses,
+    createdFrom: date('createdFrom'),
+    createdTo: dayAfter('createdTo'),
+    updatedFrom: date('updatedFrom'),
+    updatedTo: dayAfter('updatedTo'),
+    minDiscrepancies: count('minDiscrepancies'),
+    maxDiscrepancies: count('maxDiscrepancies')
+  };
+
+  return { filters, page: { sort, order, limit, cursor }, details };
+};
+
+// Presentation date, country and branch of a session from a request body,
+// falling back to the current values for those not given. The documents
+// cannot have been presented after today.
+const parsePresentation = (body, current) => {
+  const locationGiven = body.countryCode !== undefined || body.branchCode !== undefined;
+  const { location, details } = readBankLocation(locationGiven ? body : current);
+
+  let presentationDate = current.presentationDate || null;
+  if (body.presentationDate !== undefined) {
+    presentationDate = parseDate(body.presentationDate);
+    if (!presentationDate) details.push('presentationDate must be a date (YYYY-MM-DD)');
+    else if (presentationDate > today()) details.push('presentationDate cannot be in the future');
+  }
+
+  return { presentation: { presentationDate, ...location }, details };
+};
+
+const formatPresentation = ({ presentationDate, countryCode, branchCode }) => ({
+  presentationDate: presentationDate ? formatDate(new Date(presentationDate)) : null,
+  countryCode: countryCode || null,
+  branchCode: branchCode || null
+});
+
+// Search sessions: ?cif=&lcNumber=(prefix)&lifecycle=&status=a,b&owner=
+// &createdFrom=&createdTo=&updatedFrom=&updatedTo=&minDiscrepancies=
+// &maxDiscrepancies=&sort=&order=&limit=&cursor=
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.role === 'admin' ? null : req.user.userId;
-    const sessions = await SessionModel.getAllSessions(userId);
-    res.json(sessions);
+    const { filters, page, details } = parseSessionSearch(req.query, req.user);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid session search', details });
+    }
+
+    const result = await SessionModel.searchSessions(filters, page);
+    res.json({ ...result, sort: page.sort, order: page.order, limit: page.limit });
   } catch (error) {
     console.error('Error fetching sessions:', error);
     res.status(500).json({ error: 'Failed to fetch sessions' });
   }
 });
 
-// Create new session
-router.post('/', authenticateToken, async (req, res) => {
+// Create new session. The documents are taken as presented today at the
+// bank's default country and branch unless the body says otherwise.
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CREATE_SESSIONS), async (req, res) => {
   try {
     const { cifNumber, lcNumber, lifecycle } = req.body;
     
@@ -26,14 +145,31 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'CIF number, LC number, and lifecycle are required' });
     }
 
+    const { presentation, details } = parsePresentation(req.body, {
+      presentationDate: today(),
+      ...getDefaultBankLocation()
+    });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid presentation', details });
+    }
+
     const sessionData = {
       cifNumber,
       lcNumber,
       lifecycle,
+      ...presentation,
       userId: req.user.userId
     };
 
     const newSession = await SessionModel.createSession(sessionData);
+    await auditUserAction(req, {
+      action: 'session.create',
+      entityType: 'session',
+      entityId: newSession.id,
+      sessionId: newSession.id,
+      after: { cifNumber, lcNumber, lifecycle, ...formatPresentation(presentation) }
+    });
+
     res.status(201).json(newSession);
   } catch (error) {
     console.error('Error creating session:', error);
@@ -41,6 +177,17 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Sessions still under examination that are close to or past their UCP 600
+// Art. 14(b) examination deadline
+router.get('/deadlines', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getAtRiskSessions(req.user));
+  } catch (error) {
+    console.error('Error fetching examination deadlines:', error);
+    res.status(500).json({ error: 'Failed to fetch examination deadlines' });
+  }
+});
+
 // Get session by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -51,8 +198,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check if user has access to this session
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
     // Get documents for this session
@@ -68,15 +216,414 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update session status
+// Stream live processing events of the session (Server-Sent Events). A
+// client reconnecting with Last-Event-ID first gets the events it missed, or
+// a resync event when those are no longer available.
+router.get('/:id/events', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      const missedEvents = getSessionEventsSince(session.id, lastEventId);
+      if (missedEvents) {
+        missedEvents.forEach(event => res.write(formatSSE(event)));
+      } else {
+        res.write(formatSSE({ type: 'resync', data: { sessionId: session.id } }));
+      }
+    }
+
+    const unsubscribe = subscribeToSession(session.id, event => res.write(formatSSE(event)));
+
+    // A stream outlives the token that opened it: end it once the sign-in
+    // is revoked or the account disabled. The client's reconnect then
+    // fails authentication.
+    const heartbeat = setInterval(async () => {
+      let signedIn = true;
+      try {
+        signedIn = await isStillSignedIn(req.user);
+      } catch (error) {
+        // The next heartbeat checks again
+        console.error('Error checking event stream sign-in:', error.message);
+      }
+
+      if (res.writableEnded) return;
+      if (signedIn) {
+        res.write(': heartbeat\n\n');
+        return;
+      }
+
+      console.log(`Ending event stream of session ${session.id}: sign-in of user ${req.user.userId} is no longer valid`);
+      stop();
+      res.end();
+    }, EVENT_STREAM_HEARTBEAT_MS);
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', stop);
+  } catch (error) {
+    console.error('Error opening session event stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open event stream' });
+    }
+  }
+});
+
+// Get the discrepancies the last examination of the session found
+router.get('/:id/discrepancies', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getSessionDiscrepancyReport(session.id));
+  } catch (error) {
+    console.error('Error fetching discrepancies:', error);
+    res.status(500).json({ error: 'Failed to fetch discrepancies' });
+  }
+});
+
+// Examine the session's documents against its Letter of Credit again and
+// store what is found. A frozen, completed or refused session keeps the
+// discrepancies it was decided on.
+router.post('/:id/discrepancies/check', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    // Presentation date the credit terms are taken as of (defaults to the
+    // session's presentation date, else today)
+    const asOf = req.body?.asOf ? parseDate(req.body.asOf) : null;
+    if (req.body?.asOf && !asOf) {
+      return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+    }
+
+    const lockError = await getExaminationLock(session);
+    if (lockError) {
+      return res.status(409).json({ error: lockError });
+    }
+
+    const result = await checkSessionDiscrepancies(session.id, { asOf });
+    publishSessionEvent(session.id, 'discrepancies', { checkedAt: result.checkedAt, summary: result.summary });
+
+    console.log(`Discrepancies of session ${session.id} examined again by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'session.examine',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      after: { asOf: result.lcReference?.asOf || null, summary: result.summary }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error examining discrepancies:', error);
+    res.status(500).json({ error: 'Failed to examine discrepancies' });
+  }
+});
+
+// Get every status change of the session's discrepancies, oldest first
+router.get('/:id/discrepancies/history', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getDiscrepancyHistory(session.id));
+  } catch (error) {
+    console.error('Error fetching discrepancy history:', error);
+    res.status(500).json({ error: 'Failed to fetch discrepancy history' });
+  }
+});
+
+// Move a discrepancy along its lifecycle: { status, reason, waiverDocumentId }.
+// Dismissing needs a reason, recording a waiver the applicant's waiver as a
+// document of the session.
+router.patch('/:id/discrepancies/:discrepancyId', authenticateToken, async (req, res) => {
+  try {
+    const { status, reason, waiverDocumentId } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Status is required' });
+    }
+
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const discrepancy = await DiscrepancyModel.getDiscrepancyById(req.params.discrepancyId);
+    if (!discrepancy || String(discrepancy.sessionId).toLowerCase() !== String(session.id).toLowerCase()) {
+      return res.status(404).json({ error: 'Discrepancy not found' });
+    }
+
+    const result = await transitionDiscrepancy(session, discrepancy, status, req.user, { reason, waiverDocumentId });
+
+    if (result.invalid) {
+      return res.status(400).json({ error: result.invalid });
+    }
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'The discrepancy changed in the meantime, reload it and try again' });
+    }
+
+    const updated = result.discrepancy;
+    console.log(`Discrepancy ${discrepancy.id} of session ${session.id} moved from ${discrepancy.status} to ${status} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'discrepancy.status',
+      entityType: 'discrepancy',
+      entityId: discrepancy.id,
+      sessionId: session.id,
+      before: { status: discrepancy.status },
+      after: { status, reason: updated.statusReason, waiverDocumentId: updated.waiverDocumentId }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating discrepancy status:', error);
+    res.status(500).json({ error: 'Failed to update discrepancy status' });
+  }
+});
+
+// Get the session's credit, its amendment chain and the terms in force
+router.get('/:id/credit', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const asOf = req.query.asOf ? parseDate(req.query.asOf) : new Date();
+    if (!asOf) {
+      return res.status(400).json({ error: 'asOf must be a date (YYYY-MM-DD)' });
+    }
+
+    const { credit, lcSplit, amendments, terms } = await getEffectiveCredit(session.id, { asOf });
+
+    res.json({
+      sessionId: session.id,
+      credit: credit
+        ? {
+          id: credit.id,
+          documentId: credit.documentId,
+          messageType: credit.messageType,
+          lcNumber: credit.lcNumber,
+          createdAt: credit.createdAt,
+          updatedAt: credit.updatedAt
+        }
+        : null,
+      source: terms ? terms.source : null,
+      referenceDocumentId: lcSplit?.documentId || null,
+      amendments: amendments.map(({ rawMessage, ...amendment }) => amendment),
+      effectiveTerms: terms ? formatTerms(terms) : null
+    });
+  } catch (error) {
+    console.error('Error fetching credit:', error);
+    res.status(500).json({ error: 'Failed to fetch credit' });
+  }
+});
+
+// Record the beneficiary's acceptance or rejection of an amendment
+router.put('/:id/amendments/:amendmentId/response', authenticateToken, async (req, res) => {
+  try {
+    const { response, responseDate, notes } = req.body;
+
+    if (!['accepted', 'rejected'].includes(response)) {
+      return res.status(400).json({ error: 'Response must be accepted or rejected' });
+    }
+
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const amendment = await LetterOfCreditModel.getAmendmentById(req.params.amendmentId);
+    if (!amendment || amendment.sessionId.toLowerCase() !== session.id.toLowerCase()) {
+      return res.status(404).json({ error: 'Amendment not found' });
+    }
+
+    // UCP 600 Art. 10: acceptance or rejection is final
+    if (amendment.beneficiaryResponse !== 'pending') {
+      return res.status(409).json({ error: `Amendment ${amendment.amendmentNumber} was already ${amendment.beneficiaryResponse}` });
+    }
+
+    const respondedOn = responseDate ? parseDate(responseDate) : new Date();
+    if (!respondedOn) {
+      return res.status(400).json({ error: 'responseDate must be a date (YYYY-MM-DD)' });
+    }
+
+    const updatedAmendment = await LetterOfCreditModel.recordBeneficiaryResponse(
+      amendment.id,
+      response,
+      respondedOn,
+      req.user.userId,
+      notes || null
+    );
+
+    console.log(`Amendment ${amendment.amendmentNumber} of session ${session.id} ${response} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: `amendment.${response === 'accepted' ? 'accept' : 'reject'}`,
+      entityType: 'amendment',
+      entityId: amendment.id,
+      sessionId: session.id,
+      before: { amendmentNumber: amendment.amendmentNumber, beneficiaryResponse: amendment.beneficiaryResponse },
+      after: {
+        amendmentNumber: amendment.amendmentNumber,
+        beneficiaryResponse: updatedAmendment.beneficiaryResponse,
+        responseDate: updatedAmendment.responseDate,
+        notes: notes || null
+      }
+    });
+
+    // The terms in force may have changed
+    let discrepancySummary = null;
+    try {
+      const report = await checkSessionDiscrepancies(session.id);
+      discrepancySummary = report.summary;
+      publishSessionEvent(session.id, 'discrepancies', { checkedAt: report.checkedAt, summary: report.summary });
+    } catch (checkError) {
+      console.error('Discrepancy check failed:', checkError.message);
+    }
+
+    const { rawMessage, ...result } = updatedAmendment;
+    res.json({ amendment: result, discrepancySummary });
+  } catch (error) {
+    console.error('Error recording amendment response:', error);
+    res.status(500).json({ error: 'Failed to record amendment response' });
+  }
+});
+
+// Get the audit trail of a session, newest first: what was done to it and
+// its documents, by whom. Pages continue from ?cursor=.
+router.get('/:id/audit', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : null;
+    if (cursor && !/^\d+$/.test(cursor)) {
+      return res.status(400).json({ error: 'cursor is not valid' });
+    }
+
+    res.json(await AuditLogModel.search({ sessionId: session.id }, { limit: 100, cursor }));
+  } catch (error) {
+    console.error('Error fetching session audit trail:', error);
+    res.status(500).json({ error: 'Failed to fetch session audit trail' });
+  }
+});
+
+// Get the status history of a session and the status changes open to the user
+router.get('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getSessionLifecycle(session, req.user));
+  } catch (error) {
+    console.error('Error fetching session status history:', error);
+    res.status(500).json({ error: 'Failed to fetch session status history' });
+  }
+});
+
+// Update session status: freeze a session, or unfreeze it (supervisors and
+// admins only). Other statuses follow from its documents.
 router.patch('/:id/status', authenticateToken, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
     if (!status) {
       return res.status(400).json({ error: 'Status is required' });
     }
 
+    if (status === 'completed') {
+      return res.status(400).json({ error: 'Sessions are completed by saving them to the master record' });
+    }
+
     const session = await SessionModel.getSessionById(req.params.id);
     
     if (!session) {
@@ -84,18 +631,430 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
     }
 
     // Check if user has access to this session
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
-    const updatedSession = await SessionModel.updateSessionStatus(req.params.id, status);
-    res.json(updatedSession);
+    const result = await transitionSession(session, status, req.user, reason);
+
+    if (result.forbidden) {
+      return res.status(403).json({ error: result.forbidden });
+    }
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'Session status changed in the meantime, reload it and try again' });
+    }
+
+    console.log(`Session ${session.id} moved from ${session.status} to ${status} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'session.status',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      before: { status: session.status },
+      after: { status, reason: reason || null }
+    });
+
+    res.json(result.session);
   } catch (error) {
     console.error('Error updating session status:', error);
     res.status(500).json({ error: 'Failed to update session status' });
   }
 });
 
+// Get the examination deadline and presentation cutoff of a session
+router.get('/:id/deadlines', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getSessionDeadlines(session));
+  } catch (error) {
+    console.error('Error fetching session deadlines:', error);
+    res.status(500).json({ error: 'Failed to fetch session deadlines' });
+  }
+});
+
+// Correct when and where the documents of a session were presented
+router.patch('/:id/presentation', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const { presentation, details } = parsePresentation(req.body, session);
+    if (!presentation.presentationDate) details.push('presentationDate is required');
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid presentation', details });
+    }
+
+    const updated = await SessionModel.updatePresentation(session.id, presentation);
+    if (!updated) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    console.log(`Presentation of session ${session.id} changed by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'session.presentation',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      before: formatPresentation(session),
+      after: formatPresentation(presentation)
+    });
+
+    res.json(await getSessionDeadlines(updated));
+  } catch (error) {
+    console.error('Error updating session presentation:', error);
+    res.status(500).json({ error: 'Failed to update session presentation' });
+  }
+});
+
+const toReviewNote = (note) => typeof note === 'string' && note.trim() ? note.trim().slice(0, 1000) : null;
+
+// Get the four-eyes review of a session: the latest submission, earlier ones,
+// and whether the user may decide it
+router.get('/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getSessionReview(session, req.user));
+  } catch (error) {
+    console.error('Error fetching session review:', error);
+    res.status(500).json({ error: 'Failed to fetch session review' });
+  }
+});
+
+// Submit the examination of a session to a checker
+router.post('/:id/review', authenticateToken, requirePermission(PERMISSIONS.SUBMIT_EXAMINATION), async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const note = toReviewNote(req.body.note);
+    const result = await submitReview(session, req.user, note);
+
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+
+    console.log(`Session ${session.id} submitted for checking by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'review.submit',
+      entityType: 'session_review',
+      entityId: result.review.id,
+      sessionId: session.id,
+      after: { note, discrepancies: result.review.discrepancySummary?.total ?? null }
+    });
+
+    res.status(201).json(result.review);
+  } catch (error) {
+    console.error('Error submitting session review:', error);
+    res.status(500).json({ error: 'Failed to submit session for checking' });
+  }
+});
+
+// Approve or return the examination waiting for a checker:
+// { decision: approved | returned, note }. Returning it needs a note.
+router.patch('/:id/review', authenticateToken, requirePermission(PERMISSIONS.CHECK_EXAMINATION), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const note = toReviewNote(req.body.note);
+
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Decision must be one of: ${REVIEW_DECISIONS.join(', ')}` });
+    }
+    if (decision === 'returned' && !note) {
+      return res.status(400).json({ error: 'Say why the examination is returned' });
+    }
+
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const result = await decideReview(session, req.user, decision, note);
+
+    if (result.forbidden) {
+      return res.status(403).json({ error: result.forbidden });
+    }
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'The review was decided in the meantime, reload it' });
+    }
+
+    console.log(`Session ${session.id} review ${decision} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: decision === 'approved' ? 'review.approve' : 'review.return',
+      entityType: 'session_review',
+      entityId: result.review.id,
+      sessionId: session.id,
+      before: { status: 'pending' },
+      after: { status: decision, note }
+    });
+
+    res.json(result.review);
+  } catch (error) {
+    console.error('Error deciding session review:', error);
+    res.status(500).json({ error: 'Failed to decide session review' });
+  }
+});
+
+// Get the refusal of a session: the notice once issued, else the defaults,
+// disposal options and discrepancies it would be issued with
+router.get('/:id/refusal', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    res.json(await getRefusal(session));
+  } catch (error) {
+    console.error('Error fetching refusal notice:', error);
+    res.status(500).json({ error: 'Failed to fetch refusal notice' });
+  }
+});
+
+// Preview the MT734 a refusal would send, without issuing it
+router.post('/:id/refusal/preview', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const { input, details } = readRefusalInput(req.body);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid refusal', details });
+    }
+
+    const result = await previewRefusal(session, input);
+
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.invalid) {
+      return res.status(400).json({ error: 'Invalid refusal', details: result.invalid });
+    }
+
+    res.json(result.draft);
+  } catch (error) {
+    console.error('Error previewing refusal notice:', error);
+    res.status(500).json({ error: 'Failed to preview refusal notice' });
+  }
+});
+
+// Refuse the presentation of an approved examination: issue the single
+// UCP 600 Art. 16 notice listing its outstanding discrepancies, with what the
+// bank does with the documents: { disposal, disposalNote, presenterReference,
+// presenterBic, utilisationDate, currency, amount, chargesClaimed,
+// senderToReceiverInfo }
+router.post('/:id/refusal', authenticateToken, requirePermission(PERMISSIONS.COMPLETE_SESSIONS), async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const { input, details } = readRefusalInput(req.body);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid refusal', details });
+    }
+
+    const result = await issueRefusal(session, req.user, input);
+
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.invalid) {
+      return res.status(400).json({ error: 'Invalid refusal', details: result.invalid });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'The presentation was refused in the meantime, reload it' });
+    }
+
+    const { notice } = result;
+    console.log(`Refusal ${notice.senderReference} of session ${session.id} issued by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'refusal.issue',
+      entityType: 'refusal',
+      entityId: notice.id,
+      sessionId: session.id,
+      after: {
+        senderReference: notice.senderReference,
+        disposal: notice.disposal,
+        currency: notice.currency,
+        amount: notice.amount,
+        discrepancies: notice.discrepancies.map(discrepancy => discrepancy.id),
+        late: notice.late
+      }
+    });
+
+    res.status(201).json(notice);
+  } catch (error) {
+    console.error('Error issuing refusal notice:', error);
+    res.status(500).json({ error: 'Failed to issue refusal notice' });
+  }
+});
+
+// Save a fully validated session to the master record and complete it
+router.post('/:id/save-master', authenticateToken, requirePermission(PERMISSIONS.COMPLETE_SESSIONS), async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    if (['completed', 'frozen'].includes(session.status)) {
+      return res.status(409).json({ error: `A ${session.status} session cannot be saved to the master record` });
+    }
+
+    const result = await saveSessionToMasterRecord(session, req.user);
+
+    if (result.blockers) {
+      return res.status(409).json({
+        error: 'Session is not ready for the master record',
+        blockers: result.blockers
+      });
+    }
+    if (result.blocked) {
+      return res.status(409).json({ error: result.blocked });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ error: 'Session changed while it was being saved, check it and try again' });
+    }
+
+    console.log(`Session ${session.id} saved to master record ${result.masterRecord.id} by user ${req.user.userId}`);
+    await auditUserAction(req, {
+      action: 'session.save_master',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      before: { status: session.status },
+      after: {
+        status: 'completed',
+        masterRecordId: result.masterRecord.id,
+        documentSets: result.documentSets,
+        fields: result.fields,
+        keyValuePairs: result.keyValuePairs
+      }
+    });
+
+    res.status(201).json({
+      message: 'Session saved to master record',
+      masterRecord: result.masterRecord,
+      documentSets: result.documentSets,
+      fields: result.fields,
+      keyValuePairs: result.keyValuePairs
+    });
+  } catch (error) {
+    console.error('Error saving session to master record:', error);
+    res.status(500).json({ error: 'Failed to save session to master record' });
+  }
+});
+
+// Get the master record a completed session was saved to
+router.get('/:id/master-record', authenticateToken, async (req, res) => {
+  try {
+    const session = await SessionModel.getSessionById(req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check if user has access to this session
+    const accessError = getSessionAccessError(req.user, session);
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
+    }
+
+    const masterRecord = await MasterRecordModel.getMasterRecordBySession(session.id);
+    if (!masterRecord) {
+      return res.status(404).json({ error: 'Session has not been saved to the master record' });
+    }
+
+    res.json(masterRecord);
+  } catch (error) {
+    console.error('Error fetching master record:', error);
+    res.status(500).json({ error: 'Failed to fetch master record' });
+  }
+});
+
 // Increment session iteration
 router.patch('/:id/iterate', authenticateToken, async (req, res) => {
   try {
@@ -106,11 +1065,21 @@ router.patch('/:id/iterate', authenticateToken, async (req, res) => {
     }
 
     // Check if user has access to this session
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
     const updatedSession = await SessionModel.incrementIteration(req.params.id);
+    await auditUserAction(req, {
+      action: 'session.iterate',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      before: { iterations: session.iterations },
+      after: { iterations: updatedSession?.iterations ?? null }
+    });
+
     res.json(updatedSession);
   } catch (error) {
     console.error('Error incrementing iteration:', error);
@@ -119,7 +1088,7 @@ router.patch('/:id/iterate', authenticateToken, async (req, res) => {
 });
 
 // Delete session
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_SESSIONS), async (req, res) => {
   try {
     const sessionId = req.params.id;
     
@@ -130,8 +1099,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 
     // Check if user has access to this session
-    if (req.user.role !== 'admin' && session.userId !== req.user.userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const accessError = getSessionAccessError(req.user, session, { change: true });
+    if (accessError) {
+      return res.status(403).json({ error: accessError });
     }
 
     // Check if session can be deleted (not completed or frozen)
@@ -143,6 +1113,20 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const result = await SessionModel.deleteSession(sessionId);
     
     console.log(`Session deleted by user ${req.user.userId}: ${sessionId}`);
+    await auditUserAction(req, {
+      action: 'session.delete',
+      entityType: 'session',
+      entityId: session.id,
+      sessionId: session.id,
+      before: {
+        cifNumber: session.cifNumber,
+        lcNumber: session.lcNumber,
+        lifecycle: session.lifecycle,
+        status: session.status,
+        userId: session.userId
+      },
+      after: { deletedDocuments: result.deletedDocuments }
+    });
     
     res.json({
       message: 'Session deleted successfully',
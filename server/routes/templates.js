@@ -0,0 +1,242 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { TemplateModel } from '../models/Template.js';
+import { checkTemplateInput, invalidateTemplateRegistry } from '../services/templateRegistry.js';
+import { auditUserAction } from '../services/auditLog.js';
+
+const router = express.Router();
+
+// Inactive templates are only listed for admins who ask for them
+const includeInactive = (req) => req.user.role === 'admin' && req.query.includeInactive === 'true';
+
+// What the trail records about a template version
+const templateSummary = (template) => ({
+  name: template.name,
+  version: template.version,
+  isActive: template.isActive,
+  fields: (template.fields || []).length
+});
+
+const auditTemplate = (req, action, before, after) => auditUserAction(req, {
+  action,
+  entityType: 'template',
+  entityId: after.id,
+  before: before ? templateSummary(before) : null,
+  after: templateSummary(after)
+});
+
+// Sends the error response and returns null when the definition cannot be saved
+const prepareTemplate = async (res, input, templateId = null) => {
+  const { status, error, template } = await checkTemplateInput(input, templateId);
+  if (error) {
+    res.status(status).json(error);
+    return null;
+  }
+  return template;
+};
+
+const expectedVersionOf = (body) => Number.isInteger(body.expectedVersion) ? body.expectedVersion : null;
+
+const loadVersion = (templateId, version) => (
+  /^\d+$/.test(version) ? TemplateModel.getTemplateVersion(templateId, Number(version)) : null
+);
+
+// Get all templates
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const type = ['master', 'sub'].includes(req.query.type) ? req.query.type : null;
+    const templates = await TemplateModel.getTemplates({ type, includeInactive: includeInactive(req) });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// Get master templates
+router.get('/master', authenticateToken, async (req, res) => {
+  try {
+    const templates = await TemplateModel.getTemplates({ type: 'master', includeInactive: includeInactive(req) });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching master templates:', error);
+    res.status(500).json({ error: 'Failed to fetch master templates' });
+  }
+});
+
+// Get sub templates
+router.get('/sub', authenticateToken, async (req, res) => {
+  try {
+    const templates = await TemplateModel.getTemplates({ type: 'sub', includeInactive: includeInactive(req) });
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching sub templates:', error);
+    res.status(500).json({ error: 'Failed to fetch sub templates' });
+  }
+});
+
+// Get template by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await TemplateModel.getTemplateById(req.params.id);
+
+    if (!template || (!template.isActive && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// Create template
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await prepareTemplate(res, req.body);
+    if (!template) return;
+
+    const created = await TemplateModel.createTemplate(template, req.user.userId, req.body.changeNote);
+    invalidateTemplateRegistry();
+
+    console.log(`Template ${created.id} (${created.name}) created by user ${req.user.userId}`);
+    await auditTemplate(req, 'template.create', null, created);
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// Update template; every save becomes a new version
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await TemplateModel.getTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const template = await prepareTemplate(res, req.body, existing.id);
+    if (!template) return;
+
+    const updated = await TemplateModel.updateTemplate(existing.id, template, req.user.userId, {
+      expectedVersion: expectedVersionOf(req.body),
+      changeNote: req.body.changeNote
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'Template was changed by someone else, reload it and try again' });
+    }
+    invalidateTemplateRegistry();
+
+    console.log(`Template ${updated.id} (${updated.name}) updated to version ${updated.version} by user ${req.user.userId}`);
+    await auditTemplate(req, 'template.update', existing, updated);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// Deactivate template. Templates are kept so earlier versions and the
+// documents processed with them can still be traced.
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await TemplateModel.getTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!existing.isActive) {
+      return res.json(existing);
+    }
+
+    const updated = await TemplateModel.updateTemplate(existing.id, { ...existing, isActive: false }, req.user.userId, {
+      expectedVersion: existing.version,
+      changeNote: 'Deactivated'
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'Template was changed by someone else, reload it and try again' });
+    }
+    invalidateTemplateRegistry();
+
+    console.log(`Template ${updated.id} (${updated.name}) deactivated by user ${req.user.userId}`);
+    await auditTemplate(req, 'template.deactivate', existing, updated);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error deactivating template:', error);
+    res.status(500).json({ error: 'Failed to deactivate template' });
+  }
+});
+
+// Get the version history of a template
+router.get('/:id/versions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const template = await TemplateModel.getTemplateById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const versions = await TemplateModel.getTemplateVersions(template.id);
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({ error: 'Failed to fetch template versions' });
+  }
+});
+
+// Get one version of a template with its full definition
+router.get('/:id/versions/:version', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const version = await loadVersion(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching template version:', error);
+    res.status(500).json({ error: 'Failed to fetch template version' });
+  }
+});
+
+// Restore an earlier version. The restored definition is saved as a new
+// version, so the history itself is never rewritten.
+router.post('/:id/versions/:version/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existing = await TemplateModel.getTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const version = await loadVersion(existing.id, req.params.version);
+    if (!version || !version.definition) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+
+    const template = await prepareTemplate(res, version.definition, existing.id);
+    if (!template) return;
+
+    const updated = await TemplateModel.updateTemplate(existing.id, template, req.user.userId, {
+      expectedVersion: expectedVersionOf(req.body || {}),
+      changeNote: `Restored version ${version.version}`
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'Template was changed by someone else, reload it and try again' });
+    }
+    invalidateTemplateRegistry();
+
+    console.log(`Template ${updated.id} (${updated.name}) restored to version ${version.version} by user ${req.user.userId}`);
+    await auditTemplate(req, 'template.restore', existing, updated);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error restoring template version:', error);
+    res.status(500).json({ error: 'Failed to restore template version' });
+  }
+});
+
+export default router;
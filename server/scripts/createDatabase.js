@@ -1,5 +1,6 @@
 import sql from 'mssql';
 import dotenv from 'dotenv';
+import { DEFAULT_TEMPLATES } from '../services/templateDefaults.js';
 
 // Load environment variables
 dotenv.config();
@@ -66,9 +67,15 @@ async function createTFGenieDatabase() {
     // Users table
     await createUsersTable(pool);
     
+    // Banking calendar
+    await createCalendarTables(pool);
+    
     // Session table
     await createSessionTable(pool);
     
+    // Document template tables
+    await createTemplateTables(pool);
+    
     // Document tables
     await createDocumentTables(pool);
     
@@ -78,12 +85,30 @@ async function createTFGenieDatabase() {
     // Master record tables
     await createMasterTables(pool);
     
+    // Letter of Credit tables
+    await createCreditTables(pool);
+    
+    // Discrepancy tables
+    await createDiscrepancyTables(pool);
+    
+    // Processing job tables
+    await createJobTables(pool);
+    
+    // Audit trail
+    await createAuditTables(pool);
+    
+    // Bring tables of existing databases up to date
+    await upgradeExistingTables(pool);
+    
     // Create indexes
     await createIndexes(pool);
     
     // Insert default users
     await insertDefaultUsers(pool);
     
+    // Insert the built-in document templates
+    await insertDefaultTemplates(pool);
+    
     // Verify setup
     await verifySetup(pool);
     
@@ -105,6 +130,9 @@ async function createTFGenieDatabase() {
 
 async function createUsersTable(pool) {
   try {
+    // Disabled accounts cannot sign in but keep their history.
+    // failedLoginAttempts counts wrong passwords in a row; enough of them
+    // lock the account until lockedUntil.
     await pool.request().query(`
       IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='users' AND xtype='U')
       CREATE TABLE users (
@@ -112,11 +140,39 @@ async function createUsersTable(pool) {
           email NVARCHAR(255) UNIQUE NOT NULL,
           name NVARCHAR(255) NOT NULL,
           password NVARCHAR(255) NOT NULL,
-          role NVARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+          role NVARCHAR(20) DEFAULT 'maker' CHECK (role IN ('user', 'maker', 'checker', 'supervisor', 'admin', 'auditor')),
+          isActive BIT NOT NULL DEFAULT 1,
+          failedLoginAttempts INT NOT NULL DEFAULT 0,
+          lockedUntil DATETIME2 NULL,
+          lastLoginAt DATETIME2 NULL,
+          passwordChangedAt DATETIME2 NULL,
           createdAt DATETIME2 DEFAULT GETDATE(),
           updatedAt DATETIME2 DEFAULT GETDATE()
       )
     `);
+
+    // Refresh tokens, stored as SHA-256 hashes. Every sign-in starts a
+    // family; each refresh uses up its token and adds the next one to the
+    // family, so a used token coming back means it was stolen and ends the
+    // whole family.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='auth_refresh_tokens' AND xtype='U')
+      CREATE TABLE auth_refresh_tokens (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          userId UNIQUEIDENTIFIER NOT NULL,
+          familyId UNIQUEIDENTIFIER NOT NULL,
+          tokenHash CHAR(64) NOT NULL UNIQUE,
+          expiresAt DATETIME2 NOT NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          usedAt DATETIME2 NULL,
+          replacedBy UNIQUEIDENTIFIER NULL,
+          revokedAt DATETIME2 NULL,
+          revokedReason NVARCHAR(50) NULL,
+          userAgent NVARCHAR(500) NULL,
+          ipAddress NVARCHAR(64) NULL,
+          FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
     console.log('✅ Users table created');
   } catch (error) {
     if (!error.message.includes('already exists')) {
@@ -125,6 +181,35 @@ async function createUsersTable(pool) {
   }
 }
 
+// Days the bank is closed, beyond Saturdays and Sundays. A holiday without a
+// branch closes every branch of the country; one with a branch closes only
+// that branch.
+async function createCalendarTables(pool) {
+  try {
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='banking_holidays' AND xtype='U')
+      CREATE TABLE banking_holidays (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          countryCode CHAR(2) NOT NULL,
+          branchCode NVARCHAR(20) NULL,
+          holidayDate DATE NOT NULL,
+          name NVARCHAR(255) NOT NULL,
+          createdBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (createdBy) REFERENCES users(id)
+      )
+    `);
+    console.log('✅ Banking calendar tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+// presentationDate is the day the documents reached the bank (UCP 600
+// Art. 14(b) counts the examination period from it); countryCode and
+// branchCode pick the banking holidays that apply
 async function createSessionTable(pool) {
   try {
     await pool.request().query(`
@@ -137,11 +222,54 @@ async function createSessionTable(pool) {
           status NVARCHAR(20) DEFAULT 'created' CHECK (status IN ('created', 'uploading', 'processing', 'reviewing', 'completed', 'frozen')),
           userId UNIQUEIDENTIFIER NOT NULL,
           iterations INT DEFAULT 0,
+          presentationDate DATE NULL,
+          countryCode CHAR(2) NULL,
+          branchCode NVARCHAR(20) NULL,
           createdAt DATETIME2 DEFAULT GETDATE(),
           updatedAt DATETIME2 DEFAULT GETDATE(),
           FOREIGN KEY (userId) REFERENCES users(id)
       )
     `);
+
+    // Every status change of a session; changedBy is empty for changes the
+    // system made as documents were uploaded and processed
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_session_transitions' AND xtype='U')
+      CREATE TABLE ingestion_session_transitions (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          fromStatus NVARCHAR(20) NULL,
+          toStatus NVARCHAR(20) NOT NULL,
+          source NVARCHAR(20) NOT NULL CHECK (source IN ('user', 'system')),
+          reason NVARCHAR(500) NULL,
+          changedBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (changedBy) REFERENCES users(id)
+      )
+    `);
+
+    // Four-eyes review of an examination: the maker submits it with the
+    // discrepancies found, and a checker who did not work on the session
+    // approves it or returns it to the maker
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_session_reviews' AND xtype='U')
+      CREATE TABLE ingestion_session_reviews (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          status NVARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'returned')),
+          submittedBy UNIQUEIDENTIFIER NOT NULL,
+          submittedAt DATETIME2 NOT NULL,
+          submissionNote NVARCHAR(1000) NULL,
+          discrepancySummary NVARCHAR(MAX) NULL,
+          decidedBy UNIQUEIDENTIFIER NULL,
+          decidedAt DATETIME2 NULL,
+          decisionNote NVARCHAR(1000) NULL,
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (submittedBy) REFERENCES users(id),
+          FOREIGN KEY (decidedBy) REFERENCES users(id)
+      )
+    `);
     console.log('✅ Session table created');
   } catch (error) {
     if (!error.message.includes('already exists')) {
@@ -163,8 +291,19 @@ async function createDocumentTables(pool) {
           fileSize BIGINT NOT NULL,
           filePath NVARCHAR(500) NOT NULL,
           status NVARCHAR(20) DEFAULT 'uploaded' CHECK (status IN ('uploaded', 'processing', 'processed', 'validated', 'error')),
+          errorMessage NVARCHAR(MAX) NULL,
+          templateId UNIQUEIDENTIFIER NULL,
+          templateVersion INT NULL,
+          catalogedBy UNIQUEIDENTIFIER NULL,
+          catalogedAt DATETIME2 NULL,
+          currentVersion INT NOT NULL DEFAULT 1,
+          currentIteration INT NULL,
+          uploadedBy UNIQUEIDENTIFIER NULL,
           uploadedAt DATETIME2 DEFAULT GETDATE(),
-          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (templateId) REFERENCES ingestion_templates(id),
+          FOREIGN KEY (catalogedBy) REFERENCES users(id),
+          FOREIGN KEY (uploadedBy) REFERENCES users(id)
       )
     `);
     
@@ -179,12 +318,80 @@ async function createDocumentTables(pool) {
           extractedFields NTEXT,
           matchedTemplate NVARCHAR(100),
           isNewDocument BIT DEFAULT 0,
+          pageData NVARCHAR(MAX),
           processedAt DATETIME2 DEFAULT GETDATE(),
           FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
           FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE
       )
     `);
     
+    // Document versions table. A row records the change that made a version
+    // and, once the version is superseded, the file, cleaned content and
+    // fields it had.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_document_versions' AND xtype='U')
+      CREATE TABLE ingestion_document_versions (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          documentId UNIQUEIDENTIFIER NOT NULL,
+          versionNumber INT NOT NULL,
+          changeType NVARCHAR(20) NOT NULL CHECK (changeType IN ('upload', 'replace', 'edit', 'revert', 'promote')),
+          revertedFromVersion INT NULL,
+          changeNote NVARCHAR(500) NULL,
+          fileName NVARCHAR(255) NULL,
+          fileType NVARCHAR(50) NULL,
+          fileSize BIGINT NULL,
+          filePath NVARCHAR(500) NULL,
+          status NVARCHAR(20) NULL,
+          templateId UNIQUEIDENTIFIER NULL,
+          templateVersion INT NULL,
+          cleanedContent NVARCHAR(MAX) NULL,
+          extractedFields NVARCHAR(MAX) NULL,
+          matchedTemplate NVARCHAR(100) NULL,
+          pageData NVARCHAR(MAX) NULL,
+          fields NVARCHAR(MAX) NULL,
+          createdBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          supersededAt DATETIME2 NULL,
+          FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
+          FOREIGN KEY (createdBy) REFERENCES users(id)
+      )
+    `);
+    
+    // Document iterations table: one row per processing run with what it
+    // extracted, so earlier results can be compared and made current again.
+    // sessionId carries no foreign key for the same reason as ingestion_jobs.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_document_iterations' AND xtype='U')
+      CREATE TABLE ingestion_document_iterations (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          documentId UNIQUEIDENTIFIER NOT NULL,
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          iterationNumber INT NOT NULL,
+          runType NVARCHAR(20) NOT NULL CHECK (runType IN ('upload', 'process', 'reprocess')),
+          jobId UNIQUEIDENTIFIER NULL,
+          engine NVARCHAR(20) NULL,
+          status NVARCHAR(20) NOT NULL CHECK (status IN ('completed', 'failed')),
+          documentVersion INT NULL,
+          cleanedContent NVARCHAR(MAX) NULL,
+          extractedFields NVARCHAR(MAX) NULL,
+          documentType NVARCHAR(100) NULL,
+          pageData NVARCHAR(MAX) NULL,
+          splitCount INT NULL,
+          fieldCount INT NULL,
+          confidence DECIMAL(5,4) NULL,
+          durationMs INT NULL,
+          errorMessage NVARCHAR(MAX) NULL,
+          requestedBy UNIQUEIDENTIFIER NULL,
+          startedAt DATETIME2 NOT NULL,
+          completedAt DATETIME2 DEFAULT GETDATE(),
+          promotedBy UNIQUEIDENTIFIER NULL,
+          promotedAt DATETIME2 NULL,
+          FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
+          FOREIGN KEY (requestedBy) REFERENCES users(id),
+          FOREIGN KEY (promotedBy) REFERENCES users(id)
+      )
+    `);
+    
     // New documents table
     await pool.request().query(`
       IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_documents_new' AND xtype='U')
@@ -194,16 +401,23 @@ async function createDocumentTables(pool) {
           documentId UNIQUEIDENTIFIER NOT NULL,
           documentType NVARCHAR(100),
           documentCategory NVARCHAR(100),
+          parentTemplateId UNIQUEIDENTIFIER NULL,
+          keywords NVARCHAR(MAX),
+          startPatterns NVARCHAR(MAX),
+          requestNotes NVARCHAR(MAX),
           approvalStatus NVARCHAR(20) DEFAULT 'pending' CHECK (approvalStatus IN ('pending', 'approved', 'rejected')),
           requestedBy UNIQUEIDENTIFIER NOT NULL,
           requestedAt DATETIME2 DEFAULT GETDATE(),
           approvedBy UNIQUEIDENTIFIER NULL,
           approvedAt DATETIME2 NULL,
           adminNotes NVARCHAR(MAX),
+          templateId UNIQUEIDENTIFIER NULL,
           FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
           FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
+          FOREIGN KEY (parentTemplateId) REFERENCES ingestion_templates(id),
           FOREIGN KEY (requestedBy) REFERENCES users(id),
-          FOREIGN KEY (approvedBy) REFERENCES users(id)
+          FOREIGN KEY (approvedBy) REFERENCES users(id),
+          FOREIGN KEY (templateId) REFERENCES ingestion_templates(id)
       )
     `);
     
@@ -224,18 +438,29 @@ async function createFieldTables(pool) {
           id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
           documentId UNIQUEIDENTIFIER NOT NULL,
           sessionId UNIQUEIDENTIFIER NOT NULL,
+          splitDocumentId NVARCHAR(100) NULL,
+          documentType NVARCHAR(100) NULL,
           fieldName NVARCHAR(100) NOT NULL,
           fieldValue NVARCHAR(MAX),
+          originalValue NVARCHAR(MAX),
           confidence DECIMAL(3,2),
           positionX INT,
           positionY INT,
           width INT,
           height INT,
           isValidated BIT DEFAULT 0,
+          validationStatus NVARCHAR(20) DEFAULT 'pending' CHECK (validationStatus IN ('pending', 'validated', 'rejected')),
+          validatedBy UNIQUEIDENTIFIER NULL,
+          validatedAt DATETIME2 NULL,
           isEdited BIT DEFAULT 0,
+          editedBy UNIQUEIDENTIFIER NULL,
+          editedAt DATETIME2 NULL,
           createdAt DATETIME2 DEFAULT GETDATE(),
+          updatedAt DATETIME2 DEFAULT GETDATE(),
           FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
-          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (validatedBy) REFERENCES users(id),
+          FOREIGN KEY (editedBy) REFERENCES users(id)
       )
     `);
     
@@ -265,7 +490,9 @@ async function createFieldTables(pool) {
           fieldName NVARCHAR(100) NOT NULL,
           fieldType NVARCHAR(50) NOT NULL,
           isRequired BIT DEFAULT 0,
+          extractionPattern NVARCHAR(MAX),
           validationRules NVARCHAR(MAX),
+          sortOrder INT DEFAULT 0,
           createdAt DATETIME2 DEFAULT GETDATE(),
           FOREIGN KEY (newDocumentId) REFERENCES ingestion_documents_new(id) ON DELETE CASCADE
       )
@@ -304,6 +531,8 @@ async function createMasterTables(pool) {
       CREATE TABLE TF_master_documentset (
           id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
           masterRecordId UNIQUEIDENTIFIER NOT NULL,
+          sourceDocumentId UNIQUEIDENTIFIER NULL,
+          splitDocumentId NVARCHAR(100),
           documentType NVARCHAR(100) NOT NULL,
           documentCategory NVARCHAR(100),
           documentPath NVARCHAR(500),
@@ -340,8 +569,11 @@ async function createMasterTables(pool) {
           fieldType NVARCHAR(50),
           confidence DECIMAL(3,2),
           isValidated BIT DEFAULT 1,
+          validatedBy UNIQUEIDENTIFIER NULL,
+          validatedAt DATETIME2 NULL,
           createdAt DATETIME2 DEFAULT GETDATE(),
-          FOREIGN KEY (documentSetId) REFERENCES TF_master_documentset(id) ON DELETE CASCADE
+          FOREIGN KEY (documentSetId) REFERENCES TF_master_documentset(id) ON DELETE CASCADE,
+          FOREIGN KEY (validatedBy) REFERENCES users(id)
       )
     `);
     
@@ -353,15 +585,520 @@ async function createMasterTables(pool) {
   }
 }
 
+async function createCreditTables(pool) {
+  try {
+    // Authoritative credit terms of a session, parsed from a SWIFT MT700/710/720.
+    // Deleting the uploaded message clears documentId and keeps the credit.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_credits' AND xtype='U')
+      CREATE TABLE ingestion_credits (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL UNIQUE,
+          documentId UNIQUEIDENTIFIER NULL,
+          messageType NVARCHAR(10) NOT NULL CHECK (messageType IN ('MT700', 'MT710', 'MT720')),
+          lcNumber NVARCHAR(50) NOT NULL,
+          terms NVARCHAR(MAX) NOT NULL,
+          rawMessage NVARCHAR(MAX) NOT NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          updatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id)
+      )
+    `);
+    
+    // Amendments (MT707 or OCR'd advices), applied in amendmentNumber order
+    // once the beneficiary has accepted them (UCP 600 Art. 10). Like a
+    // credit, an amendment is kept when its uploaded message is deleted.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_credit_amendments' AND xtype='U')
+      CREATE TABLE ingestion_credit_amendments (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          documentId UNIQUEIDENTIFIER NULL,
+          amendmentNumber INT NOT NULL,
+          lcNumber NVARCHAR(50),
+          amendmentDate DATE NULL,
+          source NVARCHAR(10) NOT NULL CHECK (source IN ('swift', 'ocr')),
+          changes NVARCHAR(MAX) NOT NULL,
+          rawMessage NVARCHAR(MAX),
+          beneficiaryResponse NVARCHAR(20) DEFAULT 'pending' CHECK (beneficiaryResponse IN ('pending', 'accepted', 'rejected')),
+          responseDate DATE NULL,
+          respondedBy UNIQUEIDENTIFIER NULL,
+          responseNotes NVARCHAR(MAX),
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          CONSTRAINT UQ_credit_amendment_number UNIQUE (sessionId, amendmentNumber),
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id),
+          FOREIGN KEY (respondedBy) REFERENCES users(id)
+      )
+    `);
+    
+    console.log('✅ Letter of Credit tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+async function createDiscrepancyTables(pool) {
+  try {
+    // Discrepancies found by the examination engine. Each goes through its
+    // own lifecycle: the examiner accepts or dismisses it (with a reason),
+    // an accepted one is sent to the applicant, who waives it - the waiver
+    // is a document of the session - or not, in which case it is refused.
+    // The latest change is kept on the row, every change in
+    // ingestion_discrepancy_transitions. A discrepancy someone worked on
+    // that a later examination no longer finds is kept with its history and
+    // marked supersededAt; it counts no more until it is found again.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_discrepancies' AND xtype='U')
+      CREATE TABLE ingestion_discrepancies (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          ruleId NVARCHAR(50) NOT NULL,
+          article NVARCHAR(100) NOT NULL,
+          severity NVARCHAR(20) DEFAULT 'blocking' CHECK (severity IN ('blocking', 'warning', 'info')),
+          title NVARCHAR(255) NOT NULL,
+          description NVARCHAR(MAX),
+          fieldName NVARCHAR(100),
+          referenceValue NVARCHAR(MAX),
+          presentedValue NVARCHAR(MAX),
+          referenceDocumentId UNIQUEIDENTIFIER NULL,
+          referenceSplitId NVARCHAR(100),
+          referenceDocumentType NVARCHAR(100),
+          presentedDocumentId UNIQUEIDENTIFIER NULL,
+          presentedSplitId NVARCHAR(100),
+          presentedDocumentType NVARCHAR(100),
+          amendmentNumber INT DEFAULT 0,
+          status NVARCHAR(20) DEFAULT 'open'
+            CHECK (status IN ('open', 'accepted', 'dismissed', 'sent_to_applicant', 'waived', 'refused')),
+          statusReason NVARCHAR(500) NULL,
+          waiverDocumentId UNIQUEIDENTIFIER NULL,
+          statusChangedBy UNIQUEIDENTIFIER NULL,
+          statusChangedAt DATETIME2 NULL,
+          supersededAt DATETIME2 NULL,
+          detectedAt DATETIME2 DEFAULT GETDATE(),
+          updatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (statusChangedBy) REFERENCES users(id)
+      )
+    `);
+
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_discrepancy_transitions' AND xtype='U')
+      CREATE TABLE ingestion_discrepancy_transitions (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          discrepancyId UNIQUEIDENTIFIER NOT NULL,
+          fromStatus NVARCHAR(20) NOT NULL,
+          toStatus NVARCHAR(20) NOT NULL,
+          reason NVARCHAR(500) NULL,
+          waiverDocumentId UNIQUEIDENTIFIER NULL,
+          changedBy UNIQUEIDENTIFIER NOT NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (discrepancyId) REFERENCES ingestion_discrepancies(id) ON DELETE CASCADE,
+          FOREIGN KEY (changedBy) REFERENCES users(id)
+      )
+    `);
+
+    // The UCP 600 Art. 16 notice refusing a presentation: the discrepancies
+    // it was refused for, what the bank does with the documents (the MT734
+    // field 77B code) and the notice as sent, as an MT734 and as a PDF kept
+    // under the upload directory. A presentation is refused once.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_refusal_notices' AND xtype='U')
+      CREATE TABLE ingestion_refusal_notices (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          senderReference NVARCHAR(16) NOT NULL,
+          presenterReference NVARCHAR(16) NOT NULL,
+          presenterBic NVARCHAR(11) NULL,
+          disposal NVARCHAR(10) NOT NULL CHECK (disposal IN ('HOLD', 'NOTIFY', 'PREVINST', 'RETURN')),
+          disposalNote NVARCHAR(70) NULL,
+          utilisationDate DATE NOT NULL,
+          currency CHAR(3) NOT NULL,
+          amount DECIMAL(18, 2) NOT NULL,
+          chargesClaimed NVARCHAR(210) NULL,
+          senderToReceiverInfo NVARCHAR(210) NULL,
+          discrepancies NVARCHAR(MAX) NOT NULL,
+          mt734 NVARCHAR(MAX) NOT NULL,
+          pdfPath NVARCHAR(500) NOT NULL,
+          examinationDeadline DATE NULL,
+          issuedBy UNIQUEIDENTIFIER NOT NULL,
+          issuedAt DATETIME2 NOT NULL,
+          FOREIGN KEY (sessionId) REFERENCES ingestion_session(id) ON DELETE CASCADE,
+          FOREIGN KEY (issuedBy) REFERENCES users(id)
+      )
+    `);
+    
+    console.log('✅ Discrepancy tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+async function createJobTables(pool) {
+  try {
+    // Background OCR work; survives restarts of the API server. The session
+    // is reached through the document, so sessionId carries no foreign key
+    // (SQL Server rejects a second cascade path).
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_jobs' AND xtype='U')
+      CREATE TABLE ingestion_jobs (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          documentId UNIQUEIDENTIFIER NOT NULL,
+          sessionId UNIQUEIDENTIFIER NOT NULL,
+          type NVARCHAR(20) NOT NULL CHECK (type IN ('upload', 'process', 'reprocess')),
+          status NVARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+          engine NVARCHAR(20) NULL,
+          attempts INT DEFAULT 0,
+          maxAttempts INT DEFAULT 3,
+          runAfter DATETIME2 DEFAULT GETDATE(),
+          stage NVARCHAR(20) DEFAULT 'queued',
+          progress INT DEFAULT 0,
+          progressMessage NVARCHAR(500),
+          lastError NVARCHAR(MAX),
+          cancelRequested BIT DEFAULT 0,
+          workerId NVARCHAR(100),
+          requestedBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          startedAt DATETIME2 NULL,
+          finishedAt DATETIME2 NULL,
+          updatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (documentId) REFERENCES ingestion_document_raw(id) ON DELETE CASCADE,
+          FOREIGN KEY (requestedBy) REFERENCES users(id)
+      )
+    `);
+    
+    console.log('✅ Job tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+async function createAuditTables(pool) {
+  try {
+    // Every user and system action, hash-chained in sequence order. Entries
+    // outlive the sessions, documents and users they mention, so none of
+    // their ids carry a foreign key.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='audit_log' AND xtype='U')
+      CREATE TABLE audit_log (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          sequence BIGINT NOT NULL UNIQUE,
+          actorType NVARCHAR(20) NOT NULL CHECK (actorType IN ('user', 'system')),
+          actorId UNIQUEIDENTIFIER NULL,
+          actorName NVARCHAR(255) NULL,
+          ipAddress NVARCHAR(64) NULL,
+          action NVARCHAR(100) NOT NULL,
+          entityType NVARCHAR(50) NOT NULL,
+          entityId NVARCHAR(100) NULL,
+          sessionId UNIQUEIDENTIFIER NULL,
+          beforeValue NVARCHAR(MAX) NULL,
+          afterValue NVARCHAR(MAX) NULL,
+          createdAt DATETIME2 NOT NULL,
+          previousHash CHAR(64) NOT NULL,
+          hash CHAR(64) NOT NULL
+      )
+    `);
+    
+    // The trail is append-only, whoever connects
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sys.triggers WHERE name = 'TR_audit_log_append_only')
+      EXEC('
+        CREATE TRIGGER TR_audit_log_append_only ON audit_log
+        INSTEAD OF UPDATE, DELETE
+        AS
+        BEGIN
+          THROW 51000, ''The audit log is append-only'', 1;
+        END
+      ')
+    `);
+    
+    console.log('✅ Audit tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+async function createTemplateTables(pool) {
+  try {
+    // Document types the splitter and recogniser work with. Patterns and
+    // keywords are JSON arrays; sub templates refine a master template.
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_templates' AND xtype='U')
+      CREATE TABLE ingestion_templates (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          name NVARCHAR(100) NOT NULL,
+          type NVARCHAR(10) NOT NULL CHECK (type IN ('master', 'sub')),
+          category NVARCHAR(100),
+          parentTemplateId UNIQUEIDENTIFIER NULL,
+          priority INT DEFAULT 100,
+          startPatterns NVARCHAR(MAX),
+          endPatterns NVARCHAR(MAX),
+          keywords NVARCHAR(MAX),
+          sections NVARCHAR(MAX),
+          isActive BIT DEFAULT 1,
+          version INT DEFAULT 1,
+          createdBy UNIQUEIDENTIFIER NULL,
+          updatedBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          updatedAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (parentTemplateId) REFERENCES ingestion_templates(id),
+          FOREIGN KEY (createdBy) REFERENCES users(id),
+          FOREIGN KEY (updatedBy) REFERENCES users(id)
+      )
+    `);
+    
+    // Field definitions of a template and how to extract them
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_template_fields' AND xtype='U')
+      CREATE TABLE ingestion_template_fields (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          templateId UNIQUEIDENTIFIER NOT NULL,
+          fieldName NVARCHAR(100) NOT NULL,
+          fieldType NVARCHAR(20) DEFAULT 'text' CHECK (fieldType IN ('text', 'number', 'date', 'currency')),
+          isRequired BIT DEFAULT 0,
+          extractionPattern NVARCHAR(MAX),
+          validationRules NVARCHAR(MAX),
+          confidence DECIMAL(3,2) DEFAULT 0.80,
+          positionX INT NULL,
+          positionY INT NULL,
+          width INT NULL,
+          height INT NULL,
+          sortOrder INT DEFAULT 0,
+          FOREIGN KEY (templateId) REFERENCES ingestion_templates(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Every saved state of a template, as a JSON snapshot of its definition
+    await pool.request().query(`
+      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='ingestion_template_versions' AND xtype='U')
+      CREATE TABLE ingestion_template_versions (
+          id UNIQUEIDENTIFIER PRIMARY KEY DEFAULT NEWID(),
+          templateId UNIQUEIDENTIFIER NOT NULL,
+          version INT NOT NULL,
+          definition NVARCHAR(MAX) NOT NULL,
+          changeNote NVARCHAR(500),
+          changedBy UNIQUEIDENTIFIER NULL,
+          createdAt DATETIME2 DEFAULT GETDATE(),
+          FOREIGN KEY (templateId) REFERENCES ingestion_templates(id) ON DELETE CASCADE,
+          FOREIGN KEY (changedBy) REFERENCES users(id)
+      )
+    `);
+    
+    console.log('✅ Template tables created');
+  } catch (error) {
+    if (!error.message.includes('already exists')) {
+      throw error;
+    }
+  }
+}
+
+// CREATE TABLE above is skipped for a table that already exists, so columns
+// added to it since are added here. Every step checks the catalog first and
+// can run again.
+const addColumn = (table, column, definition) => `
+  IF COL_LENGTH('${table}', '${column}') IS NULL
+  ALTER TABLE ${table} ADD ${column} ${definition}
+`;
+
+const addForeignKey = (table, column, references) => `
+  IF NOT EXISTS (
+    SELECT * FROM sys.foreign_key_columns
+    WHERE parent_object_id = OBJECT_ID('${table}')
+      AND COL_NAME(parent_object_id, parent_column_id) = '${column}'
+  )
+  ALTER TABLE ${table} ADD FOREIGN KEY (${column}) REFERENCES ${references}
+`;
+
+async function upgradeExistingTables(pool) {
+  const upgrades = [
+    // Roles: the 'user' role of the first accounts becomes 'maker', which
+    // is also the new default
+    `
+      DECLARE @constraint sysname;
+      SELECT @constraint = cc.name FROM sys.check_constraints cc
+      WHERE cc.parent_object_id = OBJECT_ID('users')
+        AND COL_NAME(cc.parent_object_id, cc.parent_column_id) = 'role'
+        AND cc.definition NOT LIKE '%maker%';
+      IF @constraint IS NOT NULL EXEC('ALTER TABLE users DROP CONSTRAINT ' + @constraint);
+
+      SET @constraint = NULL;
+      SELECT @constraint = dc.name FROM sys.default_constraints dc
+      WHERE dc.parent_object_id = OBJECT_ID('users')
+        AND COL_NAME(dc.parent_object_id, dc.parent_column_id) = 'role'
+        AND dc.definition NOT LIKE '%maker%';
+      IF @constraint IS NOT NULL EXEC('ALTER TABLE users DROP CONSTRAINT ' + @constraint);
+
+      UPDATE users SET role = 'maker' WHERE role = 'user';
+
+      IF NOT EXISTS (
+        SELECT * FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID('users') AND definition LIKE '%maker%'
+      )
+      ALTER TABLE users ADD CHECK (role IN ('user', 'maker', 'checker', 'supervisor', 'admin', 'auditor'));
+
+      IF NOT EXISTS (
+        SELECT * FROM sys.default_constraints
+        WHERE parent_object_id = OBJECT_ID('users') AND COL_NAME(parent_object_id, parent_column_id) = 'role'
+      )
+      ALTER TABLE users ADD DEFAULT 'maker' FOR role;
+    `,
+    // Account status, lockout and password age
+    addColumn('users', 'isActive', 'BIT NOT NULL DEFAULT 1'),
+    addColumn('users', 'failedLoginAttempts', 'INT NOT NULL DEFAULT 0'),
+    addColumn('users', 'lockedUntil', 'DATETIME2 NULL'),
+    addColumn('users', 'lastLoginAt', 'DATETIME2 NULL'),
+    addColumn('users', 'passwordChangedAt', 'DATETIME2 NULL'),
+    // Presentation date and the calendar the examination period runs on
+    addColumn('ingestion_session', 'presentationDate', 'DATE NULL'),
+    addColumn('ingestion_session', 'countryCode', 'CHAR(2) NULL'),
+    addColumn('ingestion_session', 'branchCode', 'NVARCHAR(20) NULL'),
+    // Field validation and edits
+    addColumn('ingestion_fields', 'splitDocumentId', 'NVARCHAR(100) NULL'),
+    addColumn('ingestion_fields', 'documentType', 'NVARCHAR(100) NULL'),
+    addColumn('ingestion_fields', 'originalValue', 'NVARCHAR(MAX)'),
+    addColumn('ingestion_fields', 'validationStatus', "NVARCHAR(20) DEFAULT 'pending' WITH VALUES CHECK (validationStatus IN ('pending', 'validated', 'rejected'))"),
+    addColumn('ingestion_fields', 'validatedBy', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_fields', 'validatedAt', 'DATETIME2 NULL'),
+    addColumn('ingestion_fields', 'editedBy', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_fields', 'editedAt', 'DATETIME2 NULL'),
+    addColumn('ingestion_fields', 'updatedAt', 'DATETIME2 DEFAULT GETDATE() WITH VALUES'),
+    addForeignKey('ingestion_fields', 'validatedBy', 'users(id)'),
+    addForeignKey('ingestion_fields', 'editedBy', 'users(id)'),
+    // Template a document was catalogued against
+    addColumn('ingestion_document_raw', 'templateId', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_document_raw', 'templateVersion', 'INT NULL'),
+    addColumn('ingestion_document_raw', 'catalogedBy', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_document_raw', 'catalogedAt', 'DATETIME2 NULL'),
+    addForeignKey('ingestion_document_raw', 'templateId', 'ingestion_templates(id)'),
+    addForeignKey('ingestion_document_raw', 'catalogedBy', 'users(id)'),
+    // Document versions; documents already stored are their first version
+    addColumn('ingestion_document_raw', 'currentVersion', 'INT NOT NULL DEFAULT 1'),
+    addColumn('ingestion_document_raw', 'uploadedBy', 'UNIQUEIDENTIFIER NULL'),
+    addForeignKey('ingestion_document_raw', 'uploadedBy', 'users(id)'),
+    // Amendment a discrepancy was examined against
+    addColumn('ingestion_discrepancies', 'amendmentNumber', 'INT DEFAULT 0 WITH VALUES'),
+    // Extraction errors and per-page OCR results
+    addColumn('ingestion_document_raw', 'errorMessage', 'NVARCHAR(MAX) NULL'),
+    addColumn('ingestion_document_cleaned', 'pageData', 'NVARCHAR(MAX)'),
+    // New document type requests and the template an approval became
+    addColumn('ingestion_documents_new', 'parentTemplateId', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_documents_new', 'keywords', 'NVARCHAR(MAX)'),
+    addColumn('ingestion_documents_new', 'startPatterns', 'NVARCHAR(MAX)'),
+    addColumn('ingestion_documents_new', 'requestNotes', 'NVARCHAR(MAX)'),
+    addColumn('ingestion_documents_new', 'templateId', 'UNIQUEIDENTIFIER NULL'),
+    addForeignKey('ingestion_documents_new', 'parentTemplateId', 'ingestion_templates(id)'),
+    addForeignKey('ingestion_documents_new', 'templateId', 'ingestion_templates(id)'),
+    addColumn('ingestion_documents_fields_new', 'extractionPattern', 'NVARCHAR(MAX)'),
+    addColumn('ingestion_documents_fields_new', 'sortOrder', 'INT DEFAULT 0 WITH VALUES'),
+    // Where a saved master document came from and who validated its fields
+    addColumn('TF_master_documentset', 'sourceDocumentId', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('TF_master_documentset', 'splitDocumentId', 'NVARCHAR(100)'),
+    addColumn('TF_master_fields', 'validatedBy', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('TF_master_fields', 'validatedAt', 'DATETIME2 NULL'),
+    addForeignKey('TF_master_fields', 'validatedBy', 'users(id)'),
+    // Processing run whose results a document shows
+    addColumn('ingestion_document_raw', 'currentIteration', 'INT NULL'),
+    // Promoting a processing run makes a document version too
+    `
+      DECLARE @constraint sysname;
+      SELECT @constraint = cc.name FROM sys.check_constraints cc
+      WHERE cc.parent_object_id = OBJECT_ID('ingestion_document_versions')
+        AND COL_NAME(cc.parent_object_id, cc.parent_column_id) = 'changeType'
+        AND cc.definition NOT LIKE '%promote%';
+      IF @constraint IS NOT NULL EXEC('ALTER TABLE ingestion_document_versions DROP CONSTRAINT ' + @constraint);
+
+      IF NOT EXISTS (
+        SELECT * FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID('ingestion_document_versions') AND definition LIKE '%promote%'
+      )
+      ALTER TABLE ingestion_document_versions
+      ADD CHECK (changeType IN ('upload', 'replace', 'edit', 'revert', 'promote'));
+    `,
+    // Discrepancy lifecycle; discrepancies found before it are all open
+    addColumn('ingestion_discrepancies', 'statusReason', 'NVARCHAR(500) NULL'),
+    addColumn('ingestion_discrepancies', 'waiverDocumentId', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_discrepancies', 'statusChangedBy', 'UNIQUEIDENTIFIER NULL'),
+    addColumn('ingestion_discrepancies', 'statusChangedAt', 'DATETIME2 NULL'),
+    addForeignKey('ingestion_discrepancies', 'statusChangedBy', 'users(id)'),
+    `
+      IF NOT EXISTS (
+        SELECT * FROM sys.check_constraints
+        WHERE parent_object_id = OBJECT_ID('ingestion_discrepancies') AND definition LIKE '%sent_to_applicant%'
+      )
+      ALTER TABLE ingestion_discrepancies ADD CHECK (status IN ('open', 'accepted', 'dismissed', 'sent_to_applicant', 'waived', 'refused'))
+    `,
+    addColumn('ingestion_discrepancies', 'supersededAt', 'DATETIME2 NULL')
+  ];
+  
+  for (const upgradeSQL of upgrades) {
+    await pool.request().query(upgradeSQL);
+  }
+  
+  console.log('✅ Existing tables upgraded');
+}
+
 async function createIndexes(pool) {
   try {
     const indexes = [
+      // One holiday per day and calendar; a country-wide holiday has no branch
+      'CREATE UNIQUE INDEX UX_banking_holidays_day ON banking_holidays(countryCode, branchCode, holidayDate)',
+      'CREATE INDEX IX_auth_refresh_tokens_familyId ON auth_refresh_tokens(familyId)',
+      'CREATE INDEX IX_auth_refresh_tokens_userId ON auth_refresh_tokens(userId, revokedAt)',
       'CREATE INDEX IX_ingestion_session_userId ON ingestion_session(userId)',
       'CREATE INDEX IX_ingestion_session_status ON ingestion_session(status)',
+      // Session search: the default newest-first listing, per owner, and LC/CIF lookups
+      'CREATE INDEX IX_ingestion_session_createdAt ON ingestion_session(createdAt, id)',
+      'CREATE INDEX IX_ingestion_session_userId_createdAt ON ingestion_session(userId, createdAt)',
+      'CREATE INDEX IX_ingestion_session_lcNumber ON ingestion_session(lcNumber)',
+      'CREATE INDEX IX_ingestion_session_cifNumber ON ingestion_session(cifNumber)',
+      // Sessions whose examination clock is running
+      'CREATE INDEX IX_ingestion_session_presentationDate ON ingestion_session(presentationDate, status)',
+      'CREATE INDEX IX_ingestion_session_transitions_sessionId ON ingestion_session_transitions(sessionId, createdAt)',
+      'CREATE INDEX IX_ingestion_session_reviews_sessionId ON ingestion_session_reviews(sessionId, submittedAt)',
+      // A session waits on at most one checker at a time
+      "CREATE UNIQUE INDEX UX_ingestion_session_reviews_pending ON ingestion_session_reviews(sessionId) WHERE status = 'pending'",
       'CREATE INDEX IX_ingestion_document_raw_sessionId ON ingestion_document_raw(sessionId)',
+      'CREATE UNIQUE INDEX UX_ingestion_document_versions_version ON ingestion_document_versions(documentId, versionNumber)',
+      'CREATE UNIQUE INDEX UX_ingestion_document_iterations_iteration ON ingestion_document_iterations(documentId, iterationNumber)',
+      'CREATE INDEX IX_ingestion_document_iterations_sessionId ON ingestion_document_iterations(sessionId)',
       'CREATE INDEX IX_ingestion_fields_documentId ON ingestion_fields(documentId)',
       'CREATE INDEX IX_ingestion_fields_sessionId ON ingestion_fields(sessionId)',
-      'CREATE INDEX IX_ingestion_keyValuePair_sessionId ON ingestion_keyValuePair(sessionId)'
+      'CREATE INDEX IX_ingestion_keyValuePair_sessionId ON ingestion_keyValuePair(sessionId)',
+      'CREATE INDEX IX_ingestion_discrepancies_sessionId ON ingestion_discrepancies(sessionId)',
+      'CREATE INDEX IX_ingestion_discrepancy_transitions_discrepancyId ON ingestion_discrepancy_transitions(discrepancyId, createdAt)',
+      'CREATE UNIQUE INDEX UX_ingestion_refusal_notices_sessionId ON ingestion_refusal_notices(sessionId)',
+      'CREATE UNIQUE INDEX UX_ingestion_refusal_notices_senderReference ON ingestion_refusal_notices(senderReference)',
+      'CREATE INDEX IX_ingestion_jobs_status_runAfter ON ingestion_jobs(status, runAfter)',
+      'CREATE INDEX IX_ingestion_jobs_documentId ON ingestion_jobs(documentId)',
+      // Per-document lock: at most one running job for a document
+      "CREATE UNIQUE INDEX UX_ingestion_jobs_running_document ON ingestion_jobs(documentId) WHERE status = 'running'",
+      // A document is queued for processing once
+      "CREATE UNIQUE INDEX UX_ingestion_jobs_active_document ON ingestion_jobs(documentId) WHERE status IN ('queued', 'running')",
+      'CREATE INDEX IX_audit_log_sessionId ON audit_log(sessionId, sequence)',
+      'CREATE INDEX IX_audit_log_actorId ON audit_log(actorId, sequence)',
+      'CREATE INDEX IX_audit_log_entity ON audit_log(entityType, entityId, sequence)',
+      'CREATE INDEX IX_audit_log_createdAt ON audit_log(createdAt)',
+      'CREATE INDEX IX_ingestion_template_fields_templateId ON ingestion_template_fields(templateId)',
+      'CREATE UNIQUE INDEX UX_ingestion_template_versions_version ON ingestion_template_versions(templateId, version)',
+      // A document type name identifies one master template
+      "CREATE UNIQUE INDEX UX_ingestion_templates_master_name ON ingestion_templates(name) WHERE type = 'master'",
+      'CREATE INDEX IX_ingestion_documents_new_approvalStatus ON ingestion_documents_new(approvalStatus, requestedAt)',
+      'CREATE INDEX IX_ingestion_documents_fields_new_newDocumentId ON ingestion_documents_fields_new(newDocumentId)',
+      // A document waits on at most one new document type request
+      "CREATE UNIQUE INDEX UX_ingestion_documents_new_pending_document ON ingestion_documents_new(documentId) WHERE approvalStatus = 'pending'",
+      // A session is saved to the master tables once
+      'CREATE UNIQUE INDEX UX_TF_master_record_sessionId ON TF_master_record(sessionId)',
+      'CREATE INDEX IX_TF_master_documentset_masterRecordId ON TF_master_documentset(masterRecordId)',
+      'CREATE INDEX IX_TF_master_fields_documentSetId ON TF_master_fields(documentSetId)'
     ];
     
     for (const indexSQL of indexes) {
@@ -403,10 +1140,23 @@ async function insertDefaultUsers(pool) {
     if (userCheck.recordset[0].count === 0) {
       await pool.request().query(`
         INSERT INTO users (email, name, password, role) 
-        VALUES ('user@tradefi.com', 'Regular User', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'user')
+        VALUES ('user@tradefi.com', 'Regular User', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'maker')
       `);
       console.log('✅ Regular user created');
     }
+
+    // Check if checker user exists
+    const checkerCheck = await pool.request().query(`
+      SELECT COUNT(*) as count FROM users WHERE email = 'checker@tradefi.com'
+    `);
+    
+    if (checkerCheck.recordset[0].count === 0) {
+      await pool.request().query(`
+        INSERT INTO users (email, name, password, role) 
+        VALUES ('checker@tradefi.com', 'Checker User', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'checker')
+      `);
+      console.log('✅ Checker user created');
+    }
     
     console.log('✅ Default users verified');
   } catch (error) {
@@ -414,6 +1164,71 @@ async function insertDefaultUsers(pool) {
   }
 }
 
+async function insertDefaultTemplates(pool) {
+  try {
+    for (const template of DEFAULT_TEMPLATES) {
+      const templateCheck = await pool.request()
+        .input('name', sql.NVarChar(100), template.name)
+        .query(`SELECT COUNT(*) as count FROM ingestion_templates WHERE name = @name AND type = 'master'`);
+      
+      if (templateCheck.recordset[0].count > 0) continue;
+      
+      const transaction = new sql.Transaction(pool);
+      await transaction.begin();
+      
+      try {
+        const inserted = await new sql.Request(transaction)
+          .input('name', sql.NVarChar(100), template.name)
+          .input('category', sql.NVarChar(100), template.category)
+          .input('priority', sql.Int, template.priority)
+          .input('startPatterns', sql.NVarChar(sql.MAX), JSON.stringify(template.startPatterns))
+          .input('endPatterns', sql.NVarChar(sql.MAX), JSON.stringify(template.endPatterns))
+          .input('keywords', sql.NVarChar(sql.MAX), JSON.stringify(template.keywords))
+          .input('sections', sql.NVarChar(sql.MAX), JSON.stringify(template.sections))
+          .query(`
+            INSERT INTO ingestion_templates (name, type, category, priority, startPatterns, endPatterns, keywords, sections)
+            OUTPUT INSERTED.id
+            VALUES (@name, 'master', @category, @priority, @startPatterns, @endPatterns, @keywords, @sections)
+          `);
+        const templateId = inserted.recordset[0].id;
+        
+        for (const [index, field] of template.fields.entries()) {
+          await new sql.Request(transaction)
+            .input('templateId', sql.UniqueIdentifier, templateId)
+            .input('fieldName', sql.NVarChar(100), field.fieldName)
+            .input('fieldType', sql.NVarChar(20), field.fieldType)
+            .input('isRequired', sql.Bit, field.isRequired)
+            .input('extractionPattern', sql.NVarChar(sql.MAX), field.extractionPattern)
+            .input('confidence', sql.Decimal(3, 2), field.confidence)
+            .input('sortOrder', sql.Int, index)
+            .query(`
+              INSERT INTO ingestion_template_fields (templateId, fieldName, fieldType, isRequired, extractionPattern, confidence, sortOrder)
+              VALUES (@templateId, @fieldName, @fieldType, @isRequired, @extractionPattern, @confidence, @sortOrder)
+            `);
+        }
+        
+        await new sql.Request(transaction)
+          .input('templateId', sql.UniqueIdentifier, templateId)
+          .input('definition', sql.NVarChar(sql.MAX), JSON.stringify({ ...template, parentTemplateId: null, isActive: true }))
+          .query(`
+            INSERT INTO ingestion_template_versions (templateId, version, definition, changeNote)
+            VALUES (@templateId, 1, @definition, 'Built-in template')
+          `);
+        
+        await transaction.commit();
+        console.log(`✅ Template created: ${template.name}`);
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+    }
+    
+    console.log('✅ Default templates verified');
+  } catch (error) {
+    console.error('❌ Error creating default templates:', error.message);
+  }
+}
+
 async function verifySetup(pool) {
   try {
     // Count tables
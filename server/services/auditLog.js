@@ -0,0 +1,53 @@
+import { AuditLogModel } from '../models/AuditLog.js';
+
+// Writing to the audit trail. Routes record what a user did once it has
+// happened; the processing pipeline records what the system did. Entries
+// name the entity acted on, the session it belongs to, and its values before
+// and after where those matter.
+
+// Document text is kept out of the trail; its versions keep it
+const MAX_VALUE_LENGTH = 2000;
+
+const trimValue = (value) => {
+  if (typeof value === 'string') {
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+  }
+  if (Array.isArray(value)) return value.map(trimValue);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, trimValue(entry)]));
+  }
+  return value;
+};
+
+const appendEntry = async (entry) => {
+  try {
+    await AuditLogModel.append({
+      ...entry,
+      sessionId: entry.sessionId || null,
+      before: trimValue(entry.before),
+      after: trimValue(entry.after)
+    });
+  } catch (error) {
+    // The action itself has already happened; it is not undone over this
+    console.error(`Could not write audit entry ${entry.action} for ${entry.entityType} ${entry.entityId}:`, error.message);
+  }
+};
+
+// An action by the user of a request: { action, entityType, entityId,
+// sessionId, before, after }
+export const auditUserAction = (req, entry) => appendEntry({
+  ...entry,
+  actorType: 'user',
+  actorId: entry.actorId || req.user?.userId || null,
+  actorName: entry.actorName || req.user?.name || null,
+  ipAddress: req.ip || req.socket?.remoteAddress || null
+});
+
+// An action the system took on its own, such as processing a document
+export const auditSystemAction = (entry) => appendEntry({
+  ...entry,
+  actorType: 'system',
+  actorId: null,
+  actorName: null,
+  ipAddress: null
+});
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { RefreshTokenModel } from '../models/RefreshToken.js';
+import { UserModel } from '../models/User.js';
+
+// Sign-ins. A sign-in hands out a short-lived access token and a refresh
+// token; the browser trades the refresh token for a fresh pair before the
+// access token runs out. Each refresh token works once. Access tokens carry
+// the id of their sign-in (its refresh token family) and stop working as
+// soon as the sign-in ends, by logout, revocation or a reused refresh token.
+
+// Read when used; the environment is loaded after modules are
+const accessTokenTTL = () => process.env.JWT_EXPIRES_IN || '15m';
+
+const refreshTokenTTLDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashRefreshToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+const newRefreshToken = (req) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  return {
+    refreshToken,
+    row: {
+      tokenHash: hashRefreshToken(refreshToken),
+      expiresAt: new Date(Date.now() + refreshTokenTTLDays() * 24 * 60 * 60 * 1000),
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || req.socket?.remoteAddress || null
+    }
+  };
+};
+
+const signAccessToken = (user, familyId) => jwt.sign(
+  { userId: user.id, email: user.email, role: user.role, sid: String(familyId) },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTTL() }
+);
+
+// What the browser keeps of a sign-in
+const toTokens = (user, tokenRow, refreshToken) => ({
+  token: signAccessToken(user, tokenRow.familyId),
+  refreshToken,
+  refreshExpiresAt: tokenRow.expiresAt
+});
+
+// Start a sign-in for a user whose password checked out
+export const startSignIn = async (user, req) => {
+  const { refreshToken, row } = newRefreshToken(req);
+  const tokenRow = await RefreshTokenModel.createFamily({ ...row, userId: user.id });
+  return toTokens(user, tokenRow, refreshToken);
+};
+
+// Trade a refresh token for a new pair. Returns { user, tokens }, { invalid }
+// with the reason it was refused, or { reused } with the user and sign-in a
+// used token belonged to; that sign-in is ended.
+export const refreshSignIn = async (refreshToken, req) => {
+  const stored = await RefreshTokenModel.findByHash(hashRefreshToken(refreshToken));
+  if (!stored) return { invalid: 'Unknown refresh token' };
+  if (stored.revokedAt) return { invalid: 'This sign-in has ended' };
+
+  const reuse = async () => {
+    await RefreshTokenModel.revokeFamily(stored.familyId, 'reuse');
+    return { reused: { userId: stored.userId, familyId: String(stored.familyId) } };
+  };
+
+  if (stored.usedAt) return reuse();
+  if (new Date(stored.expiresAt) <= new Date()) return { invalid: 'Refresh token expired' };
+
+  const user = await UserModel.findById(stored.userId);
+  if (!user) return { invalid: 'User no longer exists' };
+  if (!user.isActive) return { invalid: 'This account is disabled' };
+
+  const next = newRefreshToken(req);
+  const tokenRow = await RefreshTokenModel.rotate(stored.id, next.row);
+  // Someone else used the token between the read and the rotation
+  if (!tokenRow) return reuse();
+
+  return { user, tokens: toTokens(user, tokenRow, next.refreshToken) };
+};
+
+// End the sign-in a refresh token belongs to. Returns the token's row, or
+// null when it is unknown.
+export const endSignIn = async (refreshToken) => {
+  const stored = await RefreshTokenModel.findByHash(hashRefreshToken(refreshToken));
+  if (!stored) return null;
+  await RefreshTokenModel.revokeFamily(stored.familyId, 'logout');
+  return stored;
+};
+
+// End every sign-in of a user. Returns how many were ended.
+export const revokeUserSignIns = (userId, reason) => RefreshTokenModel.revokeAllForUser(userId, reason);
+
+// Whether the sign-in an access token belongs to is still going
+export const isSignInActive = (familyId) => RefreshTokenModel.isFamilyActive(familyId);
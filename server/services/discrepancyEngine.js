@@ -0,0 +1,1319 @@
+import { DocumentModel } from '../models/Document.js';
+import { DiscrepancyModel } from '../models/Discrepancy.js';
+import { LetterOfCreditModel } from '../models/LetterOfCredit.js';
+import { SessionModel } from '../models/Session.js';
+import { RefusalNoticeModel } from '../models/RefusalNotice.js';
+
+// UCP 600 / ISBP 745 examination of presented documents against the credit.
+// The credit terms come from the session's SWIFT MT700/710/720 when one was
+// uploaded, otherwise from its OCR'd Letter of Credit split. Accepted
+// amendments are applied on top and every other split is checked against the
+// resulting effective terms.
+
+const LC_DOCUMENT_TYPE = 'Letter of Credit';
+export const AMENDMENT_DOCUMENT_TYPE = 'LC Amendment';
+const CREDIT_DOCUMENT_TYPES = [LC_DOCUMENT_TYPE, AMENDMENT_DOCUMENT_TYPE];
+
+export const SEVERITY = {
+  BLOCKING: 'blocking',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Documents the credit may call for, with the wording used to detect the
+// requirement in the LC text
+const REQUIRED_DOCUMENT_PATTERNS = {
+  'Commercial Invoice': /COMMERCIAL\s+INVOICE/i,
+  'Bill of Lading': /BILLS?\s+OF\s+LADING/i,
+  'Packing List': /PACKING\s+LIST/i,
+  'Certificate of Origin': /CERTIFICATE\s+OF\s+ORIGIN/i,
+  'Insurance Certificate': /INSURANCE\s+(?:CERTIFICATE|POLICY)/i
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ─── Value parsing ──────────────────────────────────────────────────────────
+
+// Read the value following one of the given labels. OCR output may have lost
+// its line breaks, so a value also ends at the next "▶" marker or at the next
+// upper-case label ("PORT OF DISCHARGE:").
+export const readLabeledValue = (content, labels) => {
+  if (!content) return null;
+
+  for (const label of labels) {
+    const pattern = new RegExp(`${label}\\s*:?\\s*([^\\n▶]+)`, 'i');
+    const match = content.match(pattern);
+    if (match) {
+      const value = cutAtNextLabel(match[1]);
+      if (value) return value;
+    }
+  }
+
+  return null;
+};
+
+const cutAtNextLabel = (value) =>
+  value
+    .split(/\s(?=[A-Z][A-Z/ ]{2,}:)/)[0]
+    .split(/\s*[─═]{2,}/)[0]
+    .trim();
+
+export const parseAmount = (value) => {
+  if (!value) return null;
+
+  const match = String(value).match(/([A-Z]{3})\s*([\d.,]+\d)/);
+  if (!match) return null;
+
+  let digits = match[2];
+  // SWIFT style "50000,00" uses the comma as the decimal separator
+  if (/^\d+,\d{1,2}$/.test(digits)) {
+    digits = digits.replace(',', '.');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(digits);
+  if (isNaN(amount)) return null;
+
+  return { currency: match[1].toUpperCase(), amount };
+};
+
+export const parseDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  // 2024-06-15
+  let match = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return toDate(+match[1], +match[2], +match[3]);
+
+  // 15 JUN 2024 / 15-Jun-2024
+  match = text.match(/(\d{1,2})[\s-]+([A-Za-z]{3})[A-Za-z]*[\s,-]+(\d{4})/);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return toDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  }
+
+  // June 15, 2024
+  match = text.match(/([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return toDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  }
+
+  // 6/15/2024 or 15/06/2024 - month first unless that is impossible
+  match = text.match(/(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    const first = +match[1];
+    const second = +match[2];
+    return first > 12 ? toDate(year, second, first) : toDate(year, first, second);
+  }
+
+  // SWIFT YYMMDD
+  match = text.match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (match) return toDate(2000 + +match[1], +match[2], +match[3]);
+
+  return null;
+};
+
+const toDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+const formatAmount = (value) =>
+  value ? `${value.currency} ${value.amount.toLocaleString('en-US', { minimumFractionDigits: 2 })}` : null;
+
+const normalizePlace = (value) =>
+  (value || '')
+    .toLowerCase()
+    .replace(/\b(?:port|of|any|the)\b/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Places correspond when the shorter name appears in the longer one,
+// e.g. "Port of Shanghai, China" and "Shanghai"
+const placesCorrespond = (expected, presented) => {
+  const a = normalizePlace(expected);
+  const b = normalizePlace(presented);
+  if (!a || !b) return true;
+  return a.includes(b) || b.includes(a) || a.split(' ')[0] === b.split(' ')[0];
+};
+
+const parseWeight = (value) => {
+  if (!value) return null;
+  const match = String(value).match(/([\d.,]+)\s*(KGS?|KILOS?|MT|LBS?)/i);
+  if (!match) return null;
+
+  const quantity = parseFloat(match[1].replace(/,/g, ''));
+  const unit = match[2].toUpperCase();
+  if (isNaN(quantity)) return null;
+
+  if (unit.startsWith('MT')) return quantity * 1000;
+  if (unit.startsWith('LB')) return quantity * 0.45359237;
+  return quantity;
+};
+
+const getField = (split, ...names) => {
+  const wanted = names.map(name => name.toLowerCase());
+  const field = (split.extractedFields || []).find(f => wanted.includes((f.fieldName || '').toLowerCase()));
+  return field ? field.fieldValue : null;
+};
+
+// Total amount and currency of a commercial invoice
+export const readInvoiceAmount = (split) =>
+  parseAmount(getField(split, 'Total Amount') || readLabeledValue(split.content, ['TOTAL AMOUNT', 'GRAND TOTAL', 'TOTAL']));
+
+// A value of a split: its stored field, which may run on into the next
+// label of the line it was read from, else the value of one of the labels
+const readFieldOrLabel = (split, fieldName, labels) => {
+  const value = getField(split, fieldName);
+  return (value && cutAtNextLabel(value)) || readLabeledValue(split.content, labels);
+};
+
+// Who issued a commercial invoice and whom it is made out to
+const readInvoiceSeller = (split) =>
+  readFieldOrLabel(split, 'Seller', ['SELLER', 'EXPORTER', 'ISSUED BY']);
+
+const readInvoiceBuyer = (split) =>
+  readFieldOrLabel(split, 'Buyer', ['SOLD TO', 'BILL TO', 'INVOICED? TO', 'MESSRS\\.?', 'BUYER(?![\'’])', 'IMPORTER']);
+
+// Legal forms and joining words, left out when comparing names
+const NAME_NOISE = new Set([
+  'AG', 'AND', 'BV', 'CO', 'COMPANY', 'CORP', 'CORPORATION', 'GMBH', 'INC', 'INCORPORATED', 'LIMITED',
+  'LLC', 'LLP', 'LTD', 'NV', 'PLC', 'PRIVATE', 'PTE', 'PVT', 'SA', 'SRL', 'THE'
+]);
+
+const nameWords = (value) =>
+  (value || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(word => word && !NAME_NOISE.has(word));
+
+// The name of a party: the first line of a SWIFT party field, which goes
+// on with the address
+const partyName = (value) => (value || '').split('\n').map(line => line.trim()).find(Boolean) || null;
+
+// Names correspond when every word of the shorter one is in the longer one,
+// so "ACME TRADING CO., LTD." and "Acme Trading Company Limited, Shanghai"
+// do. Legal forms are left out, as ISBP 745 A1 and C5 allow them to differ.
+const namesCorrespond = (expected, presented) => {
+  const a = nameWords(expected);
+  const b = nameWords(presented);
+  if (a.length === 0 || b.length === 0) return true;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.every(word => longer.includes(word));
+};
+
+// Words that carry no part of a goods description
+const GOODS_NOISE = new Set([
+  'AN', 'AND', 'AS', 'AT', 'BY', 'FOR', 'FROM', 'IN', 'INTO', 'OF', 'ON', 'OR', 'PER', 'THE', 'TO', 'WITH'
+]);
+
+// Words of a goods description. Thousands separators and zero decimals are
+// dropped so "10,000.00" and "10000" compare equal.
+const goodsWords = (value) =>
+  (value || '')
+    .toUpperCase()
+    .replace(/(\d),(?=\d{3}\b)/g, '$1')
+    .replace(/(\d)\.0+\b/g, '$1')
+    .split(/[^A-Z0-9.]+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 1 && !GOODS_NOISE.has(word));
+
+// Words of the credit's goods description the invoice does not show, in
+// the singular or the plural
+const missingGoodsWords = (expected, presented) => {
+  const shown = new Set(goodsWords(presented));
+  const isShown = (word) => shown.has(word) || shown.has(`${word}S`) || (word.endsWith('S') && shown.has(word.slice(0, -1)));
+  return [...new Set(goodsWords(expected))].filter(word => !isShown(word));
+};
+
+// The goods description of an invoice: its labelled description, else the
+// line from the first word of the credit's description it shows
+const GOODS_EXCERPT_LENGTH = 200;
+
+const readInvoiceGoods = (split, expected) => {
+  const labelled = readFieldOrLabel(split, 'Goods Description', ['DESCRIPTION OF GOODS', 'GOODS DESCRIPTION']);
+  if (labelled) return labelled;
+
+  const content = split.content || '';
+  const upper = content.toUpperCase();
+  const starts = goodsWords(expected)
+    .map(word => upper.search(new RegExp(`\\b${word.replace(/\./g, '\\.')}`)))
+    .filter(index => index >= 0);
+  if (starts.length === 0) return null;
+
+  const start = Math.min(...starts);
+  return cutAtNextLabel(content.slice(start, start + GOODS_EXCERPT_LENGTH).split('\n')[0]);
+};
+
+const BILL_OF_LADING = 'Bill of Lading';
+
+// Date of shipment shown by a bill of lading (UCP 600 Art. 20(a)(ii)): the
+// date of its on-board notation, else its date of issue
+export const readShipmentDate = (split) =>
+  parseDate(readFieldOrLabel(split, 'On Board Date', ['SHIPPED ON BOARD', 'LADEN ON BOARD', 'ON BOARD DATE', 'DATE OF SHIPMENT'])) ||
+  parseDate(readLabeledValue(split.content, ['PLACE AND DATE OF ISSUE', 'DATE OF ISSUE', 'ISSUE DATE']));
+
+// The clause of the credit calling for the bill of lading
+const findBillOfLadingClause = (terms) =>
+  (terms.documentsRequired || []).find(clause => REQUIRED_DOCUMENT_PATTERNS[BILL_OF_LADING].test(clause)) || null;
+
+const readBLNumber = (split) =>
+  readFieldOrLabel(split, 'B/L Number', ['B/L NO\\.?', 'B/L NUMBER', 'BILL OF LADING NO\\.?']);
+
+// Bills of lading presented with the same number as a split: the originals
+// and copies of one set. The first of them speaks for the set.
+const findBLSet = (context, split) => {
+  const number = (readBLNumber(split) || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!number) return [split];
+  return (context.splitsByType[BILL_OF_LADING] || [])
+    .filter(other => (readBLNumber(other) || '').toUpperCase().replace(/[^A-Z0-9]/g, '') === number);
+};
+
+const NUMBER_WORDS = ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX'];
+
+// "3", "3/3", "THREE (3)" or "THREE"
+const parseCount = (value) => {
+  const digits = (value || '').match(/\d+/);
+  if (digits) return +digits[0];
+  const word = NUMBER_WORDS.find(number => new RegExp(`\\b${number}\\b`, 'i').test(value || ''));
+  return word ? NUMBER_WORDS.indexOf(word) + 1 : null;
+};
+
+// Legends marking a bill of lading as a copy. They count on a line of their
+// own or at the end of a header line, not inside clause text such as
+// "Non-negotiable unless consigned to order".
+const COPY_LEGEND = String.raw`NON[-\s]?NEGOTIABLE(?:\s+COPY)?|NOT\s+NEGOTIABLE\s+COPY|COPY\s+(?:ONLY|NOT\s+NEGOTIABLE)`;
+const LEGEND_DECORATION = String.raw`[\s*"'()\[\]:.!_=-]*`;
+const COPY_LEGEND_LINE = new RegExp(`^${LEGEND_DECORATION}(?:${COPY_LEGEND}|COPY)${LEGEND_DECORATION}$`, 'i');
+const COPY_LEGEND_HEADER = new RegExp(`\\b(?:${COPY_LEGEND})${LEGEND_DECORATION}$`, 'i');
+// Lines from the top of a document that make up its header
+const COPY_HEADER_LINES = 5;
+
+const isMarkedCopy = (content) => (content || '')
+  .split(/\r?\n/)
+  .filter(line => line.trim())
+  .some((line, index) => COPY_LEGEND_LINE.test(line) || (index < COPY_HEADER_LINES && COPY_LEGEND_HEADER.test(line)));
+
+// Words of a signature naming who signed a bill of lading and as what
+const SIGNING_CAPACITY = new RegExp([
+  String.raw`\bAS\s+(?:THE\s+)?(?:CARRIER|MASTER)\b`,
+  String.raw`\bAS\s+AGENTS?\s+(?:FOR|OF|ON\s+BEHALF\s+OF)\b`,
+  String.raw`\bON\s+BEHALF\s+OF\s+THE\s+(?:CARRIER|MASTER)\b`,
+  String.raw`\b(?:CARRIER|MASTER)['’]S\s+SIGNATURE\b`
+].join('|'), 'i');
+
+const ON_BOARD_NOTATION = /\b(?:SHIPPED|LADEN|LOADED)\s+ON\s+BOARD\b|\bON\s+BOARD\s+(?:DATE|NOTATION)\b/i;
+
+// Clauses declaring the goods or their packaging defective (UCP 600
+// Art. 27), such as "PACKAGING TORN" or "2 CARTONS WET"
+const PACKAGES = String.raw`PACKAG(?:ING|ES?)|CARTONS?|CASES?|BAGS?|DRUMS?|CRATES?|BALES?|PALLETS?|BOXES|GOODS|CARGO`;
+const DEFECTS = String.raw`TORN|DAMAGED|BROKEN|WET|STAINED|DENTED|LEAKING|CRUSHED|RUSTY|RUSTED|HOLED`;
+const DEFECT_CLAUSE = new RegExp([
+  String.raw`\b(?:${PACKAGES})\s+(?:(?:ARE|IS|WERE|WAS|PARTLY|SLIGHTLY)\s+)*(?:${DEFECTS})\b`,
+  String.raw`\b(?:${DEFECTS})\s+(?:${PACKAGES})\b`,
+  String.raw`\bINSUFFICIENT(?:LY)?\s+PACK(?:ED|ING)\b`
+].join('|'), 'gi');
+
+const CLAUSE_CONTEXT_LENGTH = 30;
+
+// The defect clauses of a bill of lading, with the text around them on
+// their line
+const findDefectClauses = (content) => {
+  const clauses = [...(content || '').matchAll(DEFECT_CLAUSE)].map(match => {
+    const lineEnd = content.indexOf('\n', match.index);
+    const start = Math.max(content.lastIndexOf('\n', match.index) + 1, match.index - CLAUSE_CONTEXT_LENGTH);
+    const end = Math.min(lineEnd < 0 ? content.length : lineEnd, match.index + match[0].length + CLAUSE_CONTEXT_LENGTH);
+    return content.slice(start, end).replace(/\s+/g, ' ').trim();
+  });
+  return [...new Set(clauses)];
+};
+
+// Goods in a container, trailer or LASH barge may be transhipped though the
+// credit prohibits it (UCP 600 Art. 20(c)(ii))
+const CONTAINERISED = /\bCONTAINERS?\b|\b[A-Z]{4}\d{7}\b|\bTRAILERS?\b|\bLASH\b/i;
+
+const NO_VALUE = /^(?:NIL|NONE|N\/?A|-+)$/i;
+
+// Where a bill of lading shows the goods transhipped, else null. A clause
+// reserving the right to tranship is disregarded (Art. 20(d)), so only a
+// port of transhipment counts.
+const readTranshipment = (split) => {
+  const port = readFieldOrLabel(split, 'Port of Transhipment', ['PORT OF TRANS+HIPMENT', 'TRANS+HIPMENT PORT']);
+  if (port && !NO_VALUE.test(port)) return port;
+
+  const match = (split.content || '').match(/\bTRANS+HIP(?:PED|MENT)\s+(?:AT|VIA)\s+([^\n,.;]+)/i);
+  return match ? cutAtNextLabel(match[1]) : null;
+};
+
+// The consignee the credit's bill of lading clause calls for: "ORDER",
+// "ORDER OF ..." or a party
+const CONSIGNEE_INSTRUCTION = new RegExp(
+  String.raw`(?:MADE\s+OUT|CONSIGNED|ISSUED)\s+TO\s+(?:THE\s+)?(ORDER(?:\s+OF\s+[^,.;\n]+?)?|[^,.;\n]+?)` +
+  String.raw`(?=\s*[,.;\n]|\s+(?:MARKED|NOTIFY(?:ING)?|AND|BLANK|ENDORSED|SHOWING|INDICATING)\b|\s*$)`,
+  'i'
+);
+
+// Parties whose names the credit terms do not give
+const UNNAMED_PARTY = /\b(?:ISSUING|NOMINATED|NEGOTIATING|CONFIRMING)\s+BANK\b|\bOURSELVES\b|\bUS\b|\bSHIPPER\b|\bBENEFICIARY\b/i;
+
+// A party of an instruction by its name: the applicant's from the credit,
+// null for a party the credit does not name
+const resolveParty = (party, terms) => {
+  if (/^(?:THE\s+)?APPLICANT$/i.test(party.trim())) return partyName(terms.applicant);
+  return UNNAMED_PARTY.test(party) ? null : party.trim();
+};
+
+// ─── Credit terms ───────────────────────────────────────────────────────────
+
+const detectRequiredDocuments = (text) =>
+  Object.entries(REQUIRED_DOCUMENT_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text || ''))
+    .map(([documentType]) => documentType);
+
+// Lines or sentences of an OCR'd credit calling for a document, as the
+// items of field 46A would
+const readDocumentClauses = (text) =>
+  (text || '')
+    .split(/\n|\.\s+(?=[A-Z0-9+])/)
+    .map(clause => clause.replace(/^\s*(?:\+|\d{1,2}[.)])\s*/, '').trim())
+    .filter(clause => Object.values(REQUIRED_DOCUMENT_PATTERNS).some(pattern => pattern.test(clause)));
+
+// Typed credit terms read from an OCR'd Letter of Credit split
+export const extractLCTermsFromSplit = (split) => {
+  const content = split.content || '';
+
+  const amount = parseAmount(getField(split, 'Amount') || readLabeledValue(content, ['AMOUNT', 'CREDIT AMOUNT']));
+
+  let tolerance = null;
+  const toleranceMatch = content.match(/(?:\+\/-|PLUS\/MINUS|MORE\s+OR\s+LESS)\s*(\d{1,2})\s*(?:%|PERCENT|PCT)/i);
+  if (toleranceMatch) {
+    tolerance = { plus: +toleranceMatch[1], minus: +toleranceMatch[1] };
+  } else if (/\b(?:ABOUT|APPROXIMATELY|CIRCA)\b\s+[A-Z]{3}\s*[\d,]/i.test(content)) {
+    // UCP 600 Art. 30(a): "about" allows 10% either way
+    tolerance = { plus: 10, minus: 10 };
+  }
+
+  const requiredDocuments = detectRequiredDocuments(content);
+
+  const partialMatch = content.match(/PARTIAL\s+SHIPMENTS?\s*:?\s*(NOT\s+ALLOWED|PROHIBITED|ALLOWED|PERMITTED)/i);
+  const transhipmentMatch = content.match(/TRANS+HIPMENTS?\s*:?\s*(NOT\s+ALLOWED|PROHIBITED|ALLOWED|PERMITTED)/i);
+  const presentationMatch = content.match(/PRESENTATION\s+PERIOD\s*:?\s*(\d+)\s+DAYS/i);
+
+  return {
+    source: 'ocr',
+    lcNumber: getField(split, 'LC Number') || readLabeledValue(content, ['LC NUMBER', 'CREDIT NUMBER']),
+    currency: amount?.currency || null,
+    amount: amount?.amount ?? null,
+    tolerance,
+    beneficiary: readLabeledValue(content, ['BENEFICIARY']) || getField(split, 'Beneficiary'),
+    applicant: readLabeledValue(content, ['APPLICANT']) || getField(split, 'Applicant'),
+    issueDate: parseDate(readLabeledValue(content, ['ISSUE DATE', 'DATE OF ISSUE'])),
+    expiryDate: parseDate(readLabeledValue(content, ['EXPIRY DATE', 'DATE OF EXPIRY'])),
+    latestShipmentDate: parseDate(readLabeledValue(content, ['LATEST SHIPMENT DATE', 'LATEST DATE OF SHIPMENT'])),
+    portOfLoading: readLabeledValue(content, ['PORT OF LOADING', 'SHIPMENT FROM']),
+    portOfDischarge: readLabeledValue(content, ['PORT OF DISCHARGE', 'SHIPMENT TO']),
+    goodsDescription: readLabeledValue(content, ['DESCRIPTION OF GOODS']),
+    partialShipments: partialMatch ? /NOT|PROHIBITED/i.test(partialMatch[1]) ? 'not allowed' : 'allowed' : null,
+    transhipment: transhipmentMatch ? /NOT|PROHIBITED/i.test(transhipmentMatch[1]) ? 'not allowed' : 'allowed' : null,
+    presentationDays: presentationMatch ? +presentationMatch[1] : null,
+    documentsRequired: readDocumentClauses(content),
+    requiredDocuments
+  };
+};
+
+// Typed credit terms from a stored SWIFT credit. Dates are kept as ISO
+// strings in storage and revived here.
+export const extractLCTermsFromCredit = (credit) => {
+  const terms = credit.terms || {};
+
+  return {
+    ...terms,
+    source: 'swift',
+    issueDate: parseDate(terms.issueDate),
+    expiryDate: parseDate(terms.expiryDate),
+    latestShipmentDate: parseDate(terms.latestShipmentDate),
+    requiredDocuments: detectRequiredDocuments((terms.documentsRequired || []).join('\n'))
+  };
+};
+
+// ─── Amendments ─────────────────────────────────────────────────────────────
+
+// Amendment changes read from an OCR'd amendment advice, in the same shape
+// as a parsed MT707
+export const extractAmendmentFromSplit = (split) => {
+  const content = split.content || '';
+
+  const numberValue = getField(split, 'Amendment Number') ||
+    readLabeledValue(content, ['NUMBER OF AMENDMENT', 'AMENDMENT NUMBER', 'AMENDMENT NO\\.?']);
+  const numberMatch = (numberValue || '').match(/\d+/);
+  const increase = parseAmount(readLabeledValue(content, ['INCREASE OF (?:CREDIT )?AMOUNT', 'AMOUNT INCREASED BY']));
+  const decrease = parseAmount(readLabeledValue(content, ['DECREASE OF (?:CREDIT )?AMOUNT', 'AMOUNT DECREASED BY']));
+  const newAmount = parseAmount(readLabeledValue(content, ['NEW (?:CREDIT )?AMOUNT']));
+  const additionalDocument = readLabeledValue(content, ['ADDITIONAL DOCUMENTS? REQUIRED']);
+  const deletedDocument = readLabeledValue(content, ['DELETED DOCUMENTS?']);
+
+  const changes = {
+    expiryDate: formatDate(parseDate(readLabeledValue(content, ['NEW EXPIRY DATE', 'NEW DATE OF EXPIRY']))),
+    latestShipmentDate: formatDate(parseDate(readLabeledValue(content, ['NEW LATEST SHIPMENT DATE', 'NEW LATEST DATE OF SHIPMENT']))),
+    currency: (newAmount || increase || decrease)?.currency || null,
+    amount: newAmount?.amount ?? null,
+    amountIncrease: increase?.amount ?? null,
+    amountDecrease: decrease?.amount ?? null,
+    portOfLoading: readLabeledValue(content, ['NEW PORT OF LOADING']),
+    portOfDischarge: readLabeledValue(content, ['NEW PORT OF DISCHARGE']),
+    documentsRequired: [
+      ...(additionalDocument ? [{ action: 'add', text: additionalDocument }] : []),
+      ...(deletedDocument ? [{ action: 'delete', text: deletedDocument }] : [])
+    ],
+    narrative: readLabeledValue(content, ['OTHER AMENDMENTS', 'NARRATIVE'])
+  };
+
+  if (changes.documentsRequired.length === 0) delete changes.documentsRequired;
+
+  return {
+    source: 'ocr',
+    lcNumber: getField(split, 'LC Number') || readLabeledValue(content, ['LC NUMBER', 'CREDIT NUMBER']),
+    amendmentNumber: numberMatch ? +numberMatch[0] : null,
+    amendmentDate: formatDate(parseDate(readLabeledValue(content, ['DATE OF AMENDMENT', 'AMENDMENT DATE']))),
+    changes: Object.fromEntries(Object.entries(changes).filter(([, value]) => value != null))
+  };
+};
+
+// Terms replaced outright by an amendment
+const REPLACED_TERMS = [
+  'expiryPlace', 'applicant', 'beneficiary', 'tolerance', 'partialShipments', 'transhipment',
+  'placeOfTakingInCharge', 'portOfLoading', 'portOfDischarge', 'placeOfFinalDestination',
+  'shipmentPeriod', 'presentationDays', 'presentationPeriod', 'charges'
+];
+
+const REPLACED_DATE_TERMS = ['expiryDate', 'latestShipmentDate'];
+
+// Apply /ADD/, /DELETE/ and /REPALL/ items to a list of clauses
+const applyItems = (list, items) =>
+  items.reduce((result, item) => {
+    if (item.action === 'repall') return [item.text];
+    if (item.action === 'delete') {
+      const removed = item.text.toLowerCase();
+      return result.filter(entry => !entry.toLowerCase().includes(removed) && !removed.includes(entry.toLowerCase()));
+    }
+    return [...result, item.text];
+  }, list);
+
+// Apply one amendment's changes to the credit terms. Pure: returns new terms
+// and the names of the terms it changed.
+export const applyAmendment = (terms, changes) => {
+  const amended = { ...terms };
+  const changed = [];
+
+  for (const key of REPLACED_TERMS) {
+    if (changes[key] != null) {
+      amended[key] = changes[key];
+      changed.push(key);
+    }
+  }
+
+  for (const key of REPLACED_DATE_TERMS) {
+    if (changes[key] != null) {
+      amended[key] = parseDate(changes[key]);
+      changed.push(key);
+    }
+  }
+
+  if (changes.amount != null) {
+    amended.amount = changes.amount;
+    changed.push('amount');
+  } else if (changes.amountIncrease != null || changes.amountDecrease != null) {
+    amended.amount = (amended.amount || 0) + (changes.amountIncrease || 0) - (changes.amountDecrease || 0);
+    changed.push('amount');
+  }
+
+  if (changes.goodsDescription) {
+    amended.goodsDescription = applyItems(amended.goodsDescription ? [amended.goodsDescription] : [], changes.goodsDescription).join('\n');
+    changed.push('goodsDescription');
+  }
+
+  if (changes.additionalConditions) {
+    amended.additionalConditions = applyItems(amended.additionalConditions || [], changes.additionalConditions);
+    changed.push('additionalConditions');
+  }
+
+  // OCR'd credits only know which document types are required, so the
+  // required types are amended alongside the clauses themselves
+  if (changes.documentsRequired) {
+    amended.documentsRequired = applyItems(amended.documentsRequired || [], changes.documentsRequired);
+    amended.requiredDocuments = changes.documentsRequired.reduce((types, item) => {
+      const itemTypes = detectRequiredDocuments(item.text);
+      if (item.action === 'repall') return itemTypes;
+      if (item.action === 'delete') return types.filter(type => !itemTypes.includes(type));
+      return [...types, ...itemTypes.filter(type => !types.includes(type))];
+    }, amended.requiredDocuments || []);
+    changed.push('documentsRequired');
+  }
+
+  return { terms: amended, changed };
+};
+
+// Effective credit terms as of a date (UCP 600 Art. 10): amendments apply in
+// number order, and only once the beneficiary has accepted them. Until then,
+// and after a rejection, the earlier terms stay in force.
+export const buildEffectiveTerms = (baseTerms, amendments, asOf = new Date()) => {
+  const asOfDate = parseDate(asOf instanceof Date ? formatDate(asOf) : asOf) || new Date();
+  const ordered = [...amendments].sort((a, b) => a.amendmentNumber - b.amendmentNumber);
+
+  let terms = { ...baseTerms };
+  const amendedBy = {};
+  const appliedAmendments = [];
+  const pendingAmendments = [];
+  const rejectedAmendments = [];
+
+  for (const amendment of ordered) {
+    const issuedOn = toDateOnly(amendment.amendmentDate);
+    if (issuedOn && issuedOn > asOfDate) continue;
+
+    if (amendment.beneficiaryResponse === 'rejected') {
+      rejectedAmendments.push(amendment.amendmentNumber);
+      continue;
+    }
+
+    const acceptedOn = toDateOnly(amendment.responseDate);
+    if (amendment.beneficiaryResponse !== 'accepted' || (acceptedOn && acceptedOn > asOfDate)) {
+      pendingAmendments.push(amendment.amendmentNumber);
+      continue;
+    }
+
+    const result = applyAmendment(terms, amendment.changes || {});
+    terms = result.terms;
+    result.changed.forEach(key => { amendedBy[key] = amendment.amendmentNumber; });
+    appliedAmendments.push(amendment.amendmentNumber);
+  }
+
+  return {
+    ...terms,
+    amendmentNumber: appliedAmendments.length > 0 ? appliedAmendments[appliedAmendments.length - 1] : 0,
+    amendedBy,
+    appliedAmendments,
+    pendingAmendments,
+    rejectedAmendments,
+    asOf: formatDate(asOfDate)
+  };
+};
+
+// Database DATE columns come back as Dates, stored changes as ISO strings
+const toDateOnly = (value) => {
+  if (!value) return null;
+  return parseDate(value instanceof Date ? value.toISOString() : value);
+};
+
+// Dates of the terms as ISO strings, for API responses
+export const formatTerms = (terms) => ({
+  ...terms,
+  issueDate: formatDate(terms.issueDate),
+  expiryDate: formatDate(terms.expiryDate),
+  latestShipmentDate: formatDate(terms.latestShipmentDate)
+});
+
+// Maximum amount that may be drawn, taking the Art. 30 tolerance into account
+const maximumDrawing = (terms) => {
+  if (terms.amount == null) return null;
+  const plus = terms.tolerance?.plus || 0;
+  return terms.amount * (1 + plus / 100);
+};
+
+// The amount of the credit as its terms state it, with the tolerance
+const describeCreditAmount = (terms) => {
+  const amount = formatAmount({ currency: terms.currency, amount: terms.amount });
+  const plus = terms.tolerance?.plus || 0;
+  if (!plus) return amount;
+  return `${amount} +${plus}% (at most ${formatAmount({ currency: terms.currency, amount: maximumDrawing(terms) })})`;
+};
+
+// ─── Rules ──────────────────────────────────────────────────────────────────
+
+// Each rule examines one presented split against the credit terms and
+// returns zero or more findings. `appliesTo` lists the document types the
+// rule is run against; null means every presented document.
+const DISCREPANCY_RULES = [
+  {
+    id: 'DOC-LCREF-001',
+    article: 'UCP 600 Art. 14(d)',
+    severity: SEVERITY.WARNING,
+    title: 'Credit number quoted in document conflicts with the credit',
+    appliesTo: null,
+    check: (terms, split) => {
+      if (!terms.lcNumber) return [];
+      const match = (split.content || '').match(/(?:L\/C|LC|LETTER\s+OF\s+CREDIT|CREDIT)\s*(?:NUMBER|NO\.?|#)?\s*:?\s*((?:LC)?[A-Z0-9]*\d[A-Z0-9-]{3,})/i);
+      if (!match) return [];
+
+      const normalize = (value) => value.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^LC/, '');
+      if (normalize(match[1]) === normalize(terms.lcNumber)) return [];
+
+      return [{
+        fieldName: 'LC Number',
+        referenceValue: terms.lcNumber,
+        presentedValue: match[1]
+      }];
+    }
+  },
+  {
+    id: 'INV-BEN-001',
+    article: 'UCP 600 Art. 18(a)(i)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Invoice does not appear to have been issued by the beneficiary',
+    appliesTo: ['Commercial Invoice'],
+    check: (terms, split) => {
+      const beneficiary = partyName(terms.beneficiary);
+      if (!beneficiary) return [];
+
+      // Without a seller line the beneficiary has to be named elsewhere,
+      // usually on the letterhead
+      const seller = readInvoiceSeller(split);
+      if (namesCorrespond(beneficiary, seller || split.content)) return [];
+
+      return [{ fieldName: 'Seller', referenceValue: beneficiary, presentedValue: seller || 'Beneficiary not named on the invoice' }];
+    }
+  },
+  {
+    id: 'INV-APP-001',
+    article: 'UCP 600 Art. 18(a)(ii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Invoice is not made out in the name of the applicant',
+    appliesTo: ['Commercial Invoice'],
+    check: (terms, split) => {
+      const applicant = partyName(terms.applicant);
+      if (!applicant) return [];
+
+      const buyer = readInvoiceBuyer(split);
+      if (namesCorrespond(applicant, buyer || split.content)) return [];
+
+      return [{ fieldName: 'Buyer', referenceValue: applicant, presentedValue: buyer || 'Applicant not named on the invoice' }];
+    }
+  },
+  {
+    id: 'INV-CUR-001',
+    article: 'UCP 600 Art. 18(a)(iii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Invoice is not made out in the currency of the credit',
+    appliesTo: ['Commercial Invoice'],
+    check: (terms, split) => {
+      const invoiceAmount = readInvoiceAmount(split);
+      if (!terms.currency || !invoiceAmount || invoiceAmount.currency === terms.currency) return [];
+
+      return [{
+        fieldName: 'Currency',
+        referenceValue: terms.currency,
+        presentedValue: invoiceAmount.currency
+      }];
+    }
+  },
+  {
+    id: 'INV-AMT-001',
+    article: 'UCP 600 Art. 18(b), Art. 30',
+    severity: SEVERITY.BLOCKING,
+    title: 'Invoice amount exceeds the amount permitted by the credit',
+    appliesTo: ['Commercial Invoice'],
+    check: (terms, split) => {
+      const invoiceAmount = readInvoiceAmount(split);
+      const limit = maximumDrawing(terms);
+      if (!invoiceAmount || limit == null || invoiceAmount.currency !== terms.currency) return [];
+      if (invoiceAmount.amount <= limit + 0.005) return [];
+
+      return [{
+        fieldName: 'Total Amount',
+        referenceValue: describeCreditAmount(terms),
+        presentedValue: formatAmount(invoiceAmount)
+      }];
+    }
+  },
+  {
+    id: 'INV-GOODS-001',
+    article: 'UCP 600 Art. 18(c)',
+    severity: SEVERITY.WARNING,
+    title: 'Goods description on the invoice does not correspond with the credit',
+    appliesTo: ['Commercial Invoice'],
+    check: (terms, split) => {
+      if (!terms.goodsDescription) return [];
+
+      // The description need not mirror the credit's but must show all of
+      // it; the invoice may add details that do not conflict (ISBP 745 C3)
+      const missing = missingGoodsWords(terms.goodsDescription, split.content);
+      if (missing.length === 0) return [];
+
+      return [{
+        fieldName: 'Goods Description',
+        referenceValue: terms.goodsDescription.split('\n').map(line => line.replace(/^\s*\+/, '').trim()).join(' '),
+        presentedValue: readInvoiceGoods(split, terms.goodsDescription) || 'No description of the goods of the credit',
+        note: `Not shown on the invoice: ${missing.join(', ')}`
+      }];
+    }
+  },
+  {
+    id: 'BL-CARRIER-001',
+    article: 'UCP 600 Art. 20(a)(i)',
+    // The carrier may only be named in a logo that OCR does not read
+    severity: SEVERITY.WARNING,
+    title: 'Bill of lading does not indicate the name of the carrier',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      if (readFieldOrLabel(split, 'Carrier', ['NAME OF (?:THE )?CARRIER', 'CARRIER\\s*:'])) return [];
+
+      return [{ fieldName: 'Carrier', referenceValue: 'Name of the carrier', presentedValue: 'Not shown' }];
+    }
+  },
+  {
+    id: 'BL-SIGN-001',
+    article: 'UCP 600 Art. 20(a)(i)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Bill of lading is not signed as carrier, master or their named agent',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      if (SIGNING_CAPACITY.test(split.content || '')) return [];
+
+      return [{
+        fieldName: 'Signature',
+        referenceValue: 'Signed by the carrier, the master or a named agent for either, stating the capacity',
+        presentedValue: 'No signing capacity shown'
+      }];
+    }
+  },
+  {
+    id: 'BL-ONBOARD-001',
+    article: 'UCP 600 Art. 20(a)(ii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Bill of lading does not indicate shipment on board',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      const content = split.content || '';
+      if (ON_BOARD_NOTATION.test(content)) return [];
+
+      const received = content.match(/RECEIVED\s+(?:IN\s+APPARENT\s+GOOD\s+ORDER\s+\S*\s*)?FOR\s+SHIPMENT/i);
+      return [{
+        fieldName: 'On Board Notation',
+        referenceValue: findBillOfLadingClause(terms) || 'Shipped on board',
+        presentedValue: received ? received[0].replace(/\s+/g, ' ') : 'No on-board notation'
+      }];
+    }
+  },
+  {
+    id: 'BL-POL-001',
+    article: 'UCP 600 Art. 20(a)(iii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Port of loading does not correspond with the credit',
+    appliesTo: ['Bill of Lading'],
+    check: (terms, split) => {
+      const presented = readFieldOrLabel(split, 'Port of Loading', ['PORT OF LOADING']);
+      if (!terms.portOfLoading || !presented || placesCorrespond(terms.portOfLoading, presented)) return [];
+
+      return [{ fieldName: 'Port of Loading', referenceValue: terms.portOfLoading, presentedValue: presented }];
+    }
+  },
+  {
+    id: 'BL-POD-001',
+    article: 'UCP 600 Art. 20(a)(iii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Port of discharge does not correspond with the credit',
+    appliesTo: ['Bill of Lading'],
+    check: (terms, split) => {
+      const presented = readFieldOrLabel(split, 'Port of Discharge', ['PORT OF DISCHARGE']);
+      if (!terms.portOfDischarge || !presented || placesCorrespond(terms.portOfDischarge, presented)) return [];
+
+      return [{ fieldName: 'Port of Discharge', referenceValue: terms.portOfDischarge, presentedValue: presented }];
+    }
+  },
+  {
+    id: 'BL-SHIPDATE-001',
+    article: 'UCP 600 Art. 20(a)(ii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Shipment effected after the latest shipment date',
+    appliesTo: ['Bill of Lading'],
+    check: (terms, split) => {
+      const onBoard = readShipmentDate(split);
+      if (!terms.latestShipmentDate || !onBoard || onBoard <= terms.latestShipmentDate) return [];
+
+      return [{
+        fieldName: 'Shipment Date',
+        referenceValue: formatDate(terms.latestShipmentDate),
+        presentedValue: formatDate(onBoard)
+      }];
+    }
+  },
+  {
+    id: 'BL-CLEAN-001',
+    article: 'UCP 600 Art. 27, Art. 20',
+    severity: SEVERITY.BLOCKING,
+    title: 'Bill of lading is not clean',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      const clauses = findDefectClauses(split.content);
+      if (clauses.length === 0) return [];
+
+      return [{
+        fieldName: 'Clean On Board',
+        referenceValue: findBillOfLadingClause(terms) || 'Clean on board',
+        presentedValue: clauses.join('; ')
+      }];
+    }
+  },
+  {
+    id: 'BL-ORIG-001',
+    article: 'UCP 600 Art. 20(a)(iv)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Full set of original bills of lading not presented',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split, context) => {
+      const set = findBLSet(context, split);
+      if (set[0].id !== split.id) return [];
+
+      const issued = parseCount(set.map(member => readFieldOrLabel(member, 'Number of Originals', [
+        'NUMBER OF ORIGINALS?(?: B/?L\\(?S?\\)?)?', 'NO\\.? OF ORIGINALS?(?: B/?L\\(?S?\\)?)?', 'ORIGINALS? ISSUED'
+      ])).find(Boolean));
+      const originals = set.filter(member => !isMarkedCopy(member.content)).length;
+      if (issued ? originals >= issued : originals > 0) return [];
+
+      return [{
+        fieldName: 'Originals',
+        referenceValue: findBillOfLadingClause(terms) || (issued ? `Full set of ${issued} originals` : 'Full set of originals'),
+        presentedValue: issued ? `${originals} of ${issued} originals presented` : 'Only non-negotiable copies presented'
+      }];
+    }
+  },
+  {
+    id: 'BL-CONS-001',
+    article: 'UCP 600 Art. 14(d), ISBP 745 E14',
+    severity: SEVERITY.BLOCKING,
+    title: 'Consignee of the bill of lading does not follow the credit',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      const clause = findBillOfLadingClause(terms);
+      const instruction = clause?.match(CONSIGNEE_INSTRUCTION)?.[1];
+      const consignee = readFieldOrLabel(split, 'Consignee', ['CONSIGNEE']);
+      if (!instruction || !consignee) return [];
+
+      const toOrder = instruction.match(/^ORDER(?:\s+OF\s+(.+))?$/i);
+      let complies;
+      if (toOrder) {
+        // "To order" and "to order of the shipper" are the same (ISBP 745 E14)
+        const party = toOrder[1] && resolveParty(toOrder[1], terms);
+        const orderOf = consignee.match(/\bORDER\b(?:\s+OF\s+(.+))?/i);
+        complies = Boolean(orderOf) && (!party || namesCorrespond(party, orderOf[1] || ''));
+      } else {
+        const party = resolveParty(instruction, terms);
+        complies = !party || (!/\bORDER\b/i.test(consignee) && namesCorrespond(party, consignee));
+      }
+      if (complies) return [];
+
+      return [{ fieldName: 'Consignee', referenceValue: clause, presentedValue: consignee }];
+    }
+  },
+  {
+    id: 'BL-TRANS-001',
+    article: 'UCP 600 Art. 20(c)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Bill of lading shows transhipment the credit prohibits',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split) => {
+      if (terms.transhipment !== 'not allowed') return [];
+
+      const transhipment = readTranshipment(split);
+      if (!transhipment || CONTAINERISED.test(split.content || '')) return [];
+
+      return [{
+        fieldName: 'Transhipment',
+        referenceValue: 'Transhipment not allowed',
+        presentedValue: `Transhipment at ${transhipment}`
+      }];
+    }
+  },
+  {
+    id: 'BL-PARTIAL-001',
+    article: 'UCP 600 Art. 31(b)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Bills of lading show partial shipment the credit prohibits',
+    appliesTo: [BILL_OF_LADING],
+    check: (terms, split, context) => {
+      if (terms.partialShipments !== 'not allowed') return [];
+
+      // Sets on the same vessel and voyage for the same destination are one
+      // shipment, whatever their dates and ports of loading
+      const bills = context.splitsByType[BILL_OF_LADING];
+      if (bills[0].id !== split.id) return [];
+
+      const shipments = new Map();
+      for (const bill of bills) {
+        const vessel = getField(bill, 'Vessel') || readLabeledValue(bill.content, ['OCEAN VESSEL', 'VESSEL']);
+        if (!vessel) return [];
+        const voyage = readLabeledValue(bill.content, ['VOYAGE NO\\.?', 'VOY\\.? NO\\.?', 'VOYAGE']) || '';
+        const discharge = readFieldOrLabel(bill, 'Port of Discharge', ['PORT OF DISCHARGE']) || '';
+        const key = [vessel, voyage, normalizePlace(discharge)].map(value => value.toUpperCase().replace(/[^A-Z0-9]/g, '')).join('|');
+        shipments.set(key, `${readBLNumber(bill) || bill.id} on ${vessel}${voyage ? ` voyage ${voyage}` : ''}`);
+      }
+      if (shipments.size < 2) return [];
+
+      return [{
+        fieldName: 'Partial Shipments',
+        referenceValue: 'Partial shipments not allowed',
+        presentedValue: [...shipments.values()].join('; ')
+      }];
+    }
+  },
+  {
+    id: 'INS-CUR-001',
+    article: 'UCP 600 Art. 28(f)(i)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Insurance is not in the currency of the credit',
+    appliesTo: ['Insurance Certificate'],
+    check: (terms, split) => {
+      const insured = parseAmount(readLabeledValue(split.content, ['INSURED AMOUNT', 'SUM INSURED', 'AMOUNT INSURED']));
+      if (!terms.currency || !insured || insured.currency === terms.currency) return [];
+
+      return [{ fieldName: 'Insured Currency', referenceValue: terms.currency, presentedValue: insured.currency }];
+    }
+  },
+  {
+    id: 'INS-AMT-001',
+    article: 'UCP 600 Art. 28(f)(ii)',
+    severity: SEVERITY.BLOCKING,
+    title: 'Insurance cover is less than 110% of the goods value',
+    appliesTo: ['Insurance Certificate'],
+    check: (terms, split, context) => {
+      const insured = parseAmount(readLabeledValue(split.content, ['INSURED AMOUNT', 'SUM INSURED', 'AMOUNT INSURED']));
+      if (!insured || insured.currency !== terms.currency) return [];
+
+      const invoiceAmount = context.invoiceAmount?.currency === insured.currency
+        ? context.invoiceAmount.amount
+        : terms.amount;
+      if (invoiceAmount == null) return [];
+
+      const minimum = invoiceAmount * 1.1;
+      if (insured.amount + 0.005 >= minimum) return [];
+
+      return [{
+        fieldName: 'Insured Amount',
+        referenceValue: formatAmount({ currency: insured.currency, amount: minimum }),
+        presentedValue: formatAmount(insured)
+      }];
+    }
+  },
+  {
+    id: 'DOC-WEIGHT-001',
+    article: 'UCP 600 Art. 14(d)',
+    severity: SEVERITY.WARNING,
+    title: 'Gross weight conflicts with the packing list',
+    appliesTo: ['Bill of Lading'],
+    check: (terms, split, context) => {
+      const presented = parseWeight(readLabeledValue(split.content, ['GROSS WEIGHT']));
+      const packingList = context.splitsByType['Packing List']?.[0];
+      const expected = packingList ? parseWeight(readLabeledValue(packingList.content, ['TOTAL GROSS WEIGHT', 'GROSS WEIGHT'])) : null;
+      if (presented == null || expected == null || Math.abs(presented - expected) < 0.5) return [];
+
+      return [{
+        fieldName: 'Gross Weight',
+        referenceValue: `${expected} KGS`,
+        presentedValue: `${presented} KGS`,
+        reference: packingList
+      }];
+    }
+  }
+];
+
+// Session-level rule: every document the credit calls for must be presented
+const checkRequiredDocuments = (terms, lcSplit, presentedSplits) => {
+  const presentedTypes = new Set(presentedSplits.map(split => split.documentType));
+
+  return terms.requiredDocuments
+    .filter(documentType => !presentedTypes.has(documentType))
+    .map(documentType => ({
+      ruleId: 'DOC-MISSING-001',
+      article: 'UCP 600 Art. 14(a)',
+      severity: SEVERITY.BLOCKING,
+      title: `${documentType} required by the credit was not presented`,
+      fieldName: documentType,
+      referenceValue: `${documentType} required`,
+      presentedValue: 'Not presented',
+      reference: lcSplit,
+      presented: null
+    }));
+};
+
+// ─── Engine ─────────────────────────────────────────────────────────────────
+
+// Flatten every processed document of a session into its split documents.
+// Documents that were not split are stored as plain text and are treated as
+// a single split.
+export const loadSessionSplits = async (sessionId, documents = null) => {
+  if (!documents) {
+    documents = await DocumentModel.getDocumentsBySession(sessionId);
+  }
+  const splits = [];
+
+  for (const document of documents) {
+    if (!document.cleanedContent) continue;
+
+    let documentSplits = null;
+    if (document.cleanedContent.startsWith('[')) {
+      try {
+        documentSplits = JSON.parse(document.cleanedContent);
+      } catch (parseError) {
+        documentSplits = null;
+      }
+    }
+
+    if (documentSplits) {
+      // Stored fields carry the reviewer's edits, the split JSON only the extraction
+      splits.push(...documentSplits.map(split => {
+        const splitFields = (document.extractedFields || []).filter(field => field.splitDocumentId === split.id);
+        return {
+          ...split,
+          documentId: document.id,
+          fileName: document.fileName,
+          extractedFields: splitFields.length > 0 ? splitFields : split.extractedFields
+        };
+      }));
+    } else {
+      splits.push({
+        id: `${document.id}_split_1`,
+        originalDocumentId: document.id,
+        documentId: document.id,
+        fileName: document.fileName,
+        splitIndex: 1,
+        documentType: document.matchedTemplate?.documentType || 'Unknown Document',
+        content: document.cleanedContent,
+        extractedFields: document.extractedFields || []
+      });
+    }
+  }
+
+  return splits;
+};
+
+// A finding's note follows the description of the values compared
+const toRecord = (rule, finding, lcSplit, split) => {
+  const reference = finding.reference || lcSplit;
+  return {
+    ruleId: finding.ruleId || rule.id,
+    article: finding.article || rule.article,
+    severity: finding.severity || rule.severity,
+    title: finding.title || rule.title,
+    description: finding.description || describeFinding(finding, reference, split) + (finding.note ? `. ${finding.note}` : ''),
+    fieldName: finding.fieldName || null,
+    referenceValue: finding.referenceValue != null ? String(finding.referenceValue) : null,
+    presentedValue: finding.presentedValue != null ? String(finding.presentedValue) : null,
+    referenceDocumentId: reference?.documentId || null,
+    referenceSplitId: reference?.id || null,
+    referenceDocumentType: reference?.documentType || null,
+    presentedDocumentId: split?.documentId || null,
+    presentedSplitId: split?.id || null,
+    presentedDocumentType: split?.documentType || null
+  };
+};
+
+const describeFinding = (finding, reference, split) => {
+  const referenceLabel = reference ? reference.documentType : 'Credit';
+  const presentedLabel = split ? split.documentType : 'Presentation';
+  return `${finding.fieldName || 'Value'}: ${referenceLabel} states "${finding.referenceValue ?? '-'}", ` +
+    `${presentedLabel} states "${finding.presentedValue ?? '-'}"`;
+};
+
+// Run every rule over the presented splits. Pure: takes the credit terms and
+// the splits, returns discrepancy records ready to be persisted.
+export const examinePresentation = (terms, lcSplit, presentedSplits) => {
+  const splitsByType = presentedSplits.reduce((groups, split) => {
+    (groups[split.documentType] = groups[split.documentType] || []).push(split);
+    return groups;
+  }, {});
+
+  const invoice = splitsByType['Commercial Invoice']?.[0];
+  const context = {
+    splitsByType,
+    invoiceAmount: invoice ? readInvoiceAmount(invoice) : null
+  };
+
+  const discrepancies = [];
+
+  for (const split of presentedSplits) {
+    for (const rule of DISCREPANCY_RULES) {
+      if (rule.appliesTo && !rule.appliesTo.includes(split.documentType)) continue;
+
+      try {
+        const findings = rule.check(terms, split, context);
+        findings.forEach(finding => discrepancies.push(toRecord(rule, finding, lcSplit, split)));
+      } catch (ruleError) {
+        console.error(`Discrepancy rule ${rule.id} failed on ${split.id}:`, ruleError.message);
+      }
+    }
+  }
+
+  checkRequiredDocuments(terms, lcSplit, presentedSplits)
+    .forEach(finding => discrepancies.push(toRecord(finding, finding, lcSplit, null)));
+
+  // Record which version of the credit the documents were examined against
+  return discrepancies.map(discrepancy => ({ ...discrepancy, amendmentNumber: terms.amendmentNumber || 0 }));
+};
+
+// Effective credit of a session as of a date: the base credit (stored SWIFT
+// message, else the OCR'd Letter of Credit split) with its amendment chain
+export const getEffectiveCredit = async (sessionId, { asOf = new Date(), splits = null } = {}) => {
+  const sessionSplits = splits || await loadSessionSplits(sessionId);
+  const credit = await LetterOfCreditModel.getCreditBySession(sessionId);
+
+  // A SWIFT credit is authoritative; its uploaded message stands in as the
+  // reference split
+  const lcSplit = credit
+    ? sessionSplits.find(split => split.documentId === credit.documentId) || {
+      id: null,
+      documentId: credit.documentId,
+      documentType: LC_DOCUMENT_TYPE
+    }
+    : sessionSplits.find(split => split.documentType === LC_DOCUMENT_TYPE);
+
+  const amendments = await LetterOfCreditModel.getAmendmentsBySession(sessionId);
+
+  if (!lcSplit) {
+    return { credit: null, lcSplit: null, amendments, terms: null };
+  }
+
+  const baseTerms = credit ? extractLCTermsFromCredit(credit) : extractLCTermsFromSplit(lcSplit);
+
+  return {
+    credit,
+    lcSplit,
+    amendments,
+    terms: buildEffectiveTerms(baseTerms, amendments, asOf)
+  };
+};
+
+// Sessions whose findings were decided on keep them: frozen and completed
+// sessions, and presentations already refused
+const LOCKED_SESSION_STATUSES = ['frozen', 'completed'];
+
+// Why the discrepancies of a session can no longer be examined again, or null
+export const getExaminationLock = async (session) => {
+  if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+    return `The discrepancies of a ${session.status} session cannot be examined again`;
+  }
+  if (await RefusalNoticeModel.getNoticeBySession(session.id)) {
+    return 'The presentation has been refused on the discrepancies found';
+  }
+  return null;
+};
+
+// The credit a presentation was examined against
+const describeLCReference = (credit, lcSplit, terms) => ({
+  documentId: lcSplit.documentId,
+  splitId: lcSplit.id,
+  source: terms.source,
+  messageType: credit?.messageType || null,
+  amendmentNumber: terms.amendmentNumber,
+  appliedAmendments: terms.appliedAmendments,
+  pendingAmendments: terms.pendingAmendments,
+  rejectedAmendments: terms.rejectedAmendments,
+  asOf: terms.asOf,
+  terms: formatTerms(terms)
+});
+
+// The splits presented under the credit. Applicants' waivers are uploaded
+// into the session but were not presented.
+const selectPresentedSplits = (splits, lcSplit, stored) => {
+  const waiverDocumentIds = new Set(stored.filter(d => d.waiverDocumentId).map(d => String(d.waiverDocumentId).toLowerCase()));
+
+  return splits.filter(split => split.id !== lcSplit.id &&
+    !CREDIT_DOCUMENT_TYPES.includes(split.documentType) &&
+    !waiverDocumentIds.has(String(split.documentId).toLowerCase()));
+};
+
+// The discrepancies stored by the last examination of a session, with the
+// credit terms in force on its presentation date. Nothing is examined or
+// written; checkedAt is when the stored findings last changed, null when
+// there are none.
+export const getSessionDiscrepancyReport = async (sessionId) => {
+  try {
+    const session = await SessionModel.getSessionById(sessionId);
+    const splits = await loadSessionSplits(sessionId);
+    const { credit, lcSplit, terms } = await getEffectiveCredit(sessionId, {
+      asOf: session?.presentationDate || new Date(),
+      splits
+    });
+
+    const stored = await DiscrepancyModel.getDiscrepanciesBySession(sessionId, { includeSuperseded: true });
+    const discrepancies = stored.filter(d => !d.supersededAt);
+    const lastChange = Math.max(...stored.map(d => new Date(d.updatedAt || d.detectedAt).getTime()));
+
+    return {
+      sessionId,
+      lcReference: lcSplit ? describeLCReference(credit, lcSplit, terms) : null,
+      checkedAt: stored.length > 0 ? new Date(lastChange).toISOString() : null,
+      documentsExamined: lcSplit ? selectPresentedSplits(splits, lcSplit, stored).length : 0,
+      summary: summarize(discrepancies),
+      discrepancies
+    };
+  } catch (error) {
+    console.error('Error reading session discrepancies:', error);
+    throw error;
+  }
+};
+
+// Examine all splits of a session against the credit terms in force on the
+// presentation date and persist the result. Without asOf the session's
+// recorded presentation date is used, else today. A session whose findings
+// were decided on (see getExaminationLock) is not examined again; its
+// stored findings are returned.
+export const checkSessionDiscrepancies = async (sessionId, { asOf = null } = {}) => {
+  try {
+    const session = await SessionModel.getSessionById(sessionId);
+    if (session && await getExaminationLock(session)) {
+      console.log(`Session ${sessionId} keeps the discrepancies it was decided on, skipping discrepancy check`);
+      return await getSessionDiscrepancyReport(sessionId);
+    }
+
+    console.log(`Running discrepancy check for session: ${sessionId}`);
+
+    if (!asOf) {
+      asOf = session?.presentationDate || new Date();
+    }
+
+    const splits = await loadSessionSplits(sessionId);
+    const { credit, lcSplit, terms } = await getEffectiveCredit(sessionId, { asOf, splits });
+
+    if (!lcSplit) {
+      console.log(`No Letter of Credit found in session ${sessionId}, skipping discrepancy check`);
+      return {
+        sessionId,
+        lcReference: null,
+        checkedAt: new Date().toISOString(),
+        summary: summarize([]),
+        discrepancies: await DiscrepancyModel.syncSessionDiscrepancies(sessionId, [])
+      };
+    }
+
+    const stored = await DiscrepancyModel.getDiscrepanciesBySession(sessionId, { includeSuperseded: true });
+    const presentedSplits = selectPresentedSplits(splits, lcSplit, stored);
+    const findings = examinePresentation(terms, lcSplit, presentedSplits);
+    const discrepancies = await DiscrepancyModel.syncSessionDiscrepancies(sessionId, findings);
+
+    console.log(`Discrepancy check for session ${sessionId}: ${discrepancies.length} discrepancies in ${presentedSplits.length} documents ` +
+      `(terms as of amendment ${terms.amendmentNumber})`);
+
+    return {
+      sessionId,
+      lcReference: describeLCReference(credit, lcSplit, terms),
+      checkedAt: new Date().toISOString(),
+      documentsExamined: presentedSplits.length,
+      summary: summarize(discrepancies),
+      discrepancies
+    };
+  } catch (error) {
+    console.error('Error checking session discrepancies:', error);
+    throw error;
+  }
+};
+
+const summarize = (discrepancies) => ({
+  total: discrepancies.length,
+  blocking: discrepancies.filter(d => d.severity === SEVERITY.BLOCKING).length,
+  warning: discrepancies.filter(d => d.severity === SEVERITY.WARNING).length,
+  info: discrepancies.filter(d => d.severity === SEVERITY.INFO).length
+});
@@ -0,0 +1,106 @@
+import { DiscrepancyModel } from '../models/Discrepancy.js';
+import { DocumentModel } from '../models/Document.js';
+
+// The lifecycle of a single discrepancy. The examiner accepts what the
+// engine found or dismisses it, saying why. An accepted discrepancy is sent
+// to the applicant for a waiver (UCP 600 Art. 16(b)); the applicant waives
+// it, and the signed waiver is uploaded into the session, or does not, and
+// it stands as a ground for refusal. A session is completed only once every
+// discrepancy is dismissed or waived.
+
+export const DISCREPANCY_STATUSES = ['open', 'accepted', 'dismissed', 'sent_to_applicant', 'waived', 'refused'];
+
+// Statuses in which a discrepancy no longer stands against the presentation
+export const RESOLVED_DISCREPANCY_STATUSES = ['dismissed', 'waived'];
+
+// status -> the statuses it may move to
+const TRANSITIONS = {
+  open: ['accepted', 'dismissed'],
+  accepted: ['open', 'dismissed', 'sent_to_applicant', 'refused'],
+  dismissed: ['open'],
+  sent_to_applicant: ['waived', 'refused'],
+  waived: [],
+  refused: ['sent_to_applicant']
+};
+
+// Sessions in these states take no more changes
+const LOCKED_SESSION_STATUSES = ['frozen', 'completed'];
+
+const REASON_MAX_LENGTH = 500;
+
+const DOCUMENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isResolved = (discrepancy) => RESOLVED_DISCREPANCY_STATUSES.includes(discrepancy.status);
+
+const toReason = (reason) => (typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, REASON_MAX_LENGTH) : null);
+
+const toTransition = (row) => ({
+  id: row.id,
+  discrepancyId: row.discrepancyId,
+  discrepancyTitle: row.discrepancyTitle,
+  fromStatus: row.fromStatus,
+  toStatus: row.toStatus,
+  reason: row.reason,
+  waiverDocumentId: row.waiverDocumentId,
+  waiverFileName: row.waiverFileName || null,
+  changedBy: row.changedBy,
+  changedByName: row.changedByName || null,
+  createdAt: row.createdAt
+});
+
+// Status changes of the discrepancies of a session, oldest first
+export const getDiscrepancyHistory = async (sessionId) =>
+  (await DiscrepancyModel.getTransitions(sessionId)).map(toTransition);
+
+// Why a discrepancy cannot move to a status with what was given, or null
+const checkTransition = async (session, discrepancy, toStatus, { reason, waiverDocumentId }) => {
+  if (!DISCREPANCY_STATUSES.includes(toStatus)) {
+    return { invalid: `Unknown status. Use one of: ${DISCREPANCY_STATUSES.join(', ')}` };
+  }
+  if (LOCKED_SESSION_STATUSES.includes(session.status)) {
+    return { blocked: `Discrepancies of a ${session.status} session cannot change` };
+  }
+  if (discrepancy.supersededAt) {
+    return { blocked: 'The last examination no longer found this discrepancy' };
+  }
+  if (!TRANSITIONS[discrepancy.status]?.includes(toStatus)) {
+    return { blocked: `A discrepancy that is ${discrepancy.status.replace(/_/g, ' ')} cannot become ${toStatus.replace(/_/g, ' ')}` };
+  }
+
+  if (toStatus === 'dismissed' && !reason) {
+    return { invalid: 'Say why the discrepancy is dismissed' };
+  }
+  if (toStatus === 'waived') {
+    if (!waiverDocumentId) {
+      return { invalid: 'Upload the applicant\'s waiver into the session and give its document' };
+    }
+    const document = DOCUMENT_ID_PATTERN.test(waiverDocumentId) && await DocumentModel.getDocumentById(waiverDocumentId);
+    if (!document || String(document.sessionId).toLowerCase() !== String(session.id).toLowerCase()) {
+      return { invalid: 'The waiver must be a document of this session' };
+    }
+  }
+
+  return null;
+};
+
+// Move a discrepancy of a session to a status on a user's request. Returns
+// { discrepancy }, { invalid } or { blocked } with why it cannot, and
+// { conflict: true } when someone changed it in the meantime.
+export const transitionDiscrepancy = async (session, discrepancy, toStatus, user, input = {}) => {
+  const reason = toReason(input.reason);
+  const waiverDocumentId = toStatus === 'waived' && typeof input.waiverDocumentId === 'string'
+    ? input.waiverDocumentId.trim() || null
+    : null;
+
+  const error = await checkTransition(session, discrepancy, toStatus, { reason, waiverDocumentId });
+  if (error) return error;
+
+  const updated = await DiscrepancyModel.transitionStatus(discrepancy.id, discrepancy.status, toStatus, {
+    reason,
+    waiverDocumentId,
+    userId: user.userId
+  });
+  if (!updated) return { conflict: true };
+
+  return { discrepancy: (await DiscrepancyModel.getDiscrepancyById(discrepancy.id)) || updated };
+};
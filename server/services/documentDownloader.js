@@ -252,6 +252,182 @@ export class DocumentDownloader {
     }
   }
   
+  // Generate the branded PDF of a UCP 600 Art. 16 refusal notice, kept under
+  // refusals/<sessionId>/ in the upload directory
+  static async generateRefusalPDF(notice) {
+    try {
+      console.log(`Generating refusal notice PDF: ${notice.senderReference}`);
+
+      const pdfDoc = await PDFDocument.create();
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+      const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+      pdfDoc.setTitle(`Advice of refusal ${notice.senderReference}`);
+      pdfDoc.setAuthor(notice.bankName);
+
+      const pageSize = [612, 792]; // Letter size
+      const margin = 50;
+      const footerHeight = 40;
+      const brandColor = rgb(0.07, 0.2, 0.42);
+      const mutedColor = rgb(0.4, 0.4, 0.4);
+      const maxWidth = pageSize[0] - margin * 2;
+
+      let page = pdfDoc.addPage(pageSize);
+      let yPosition = pageSize[1] - margin;
+
+      // Start a new page when the next block does not fit on this one
+      const ensureSpace = (height) => {
+        if (yPosition - height >= margin + footerHeight) return;
+        page = pdfDoc.addPage(pageSize);
+        yPosition = pageSize[1] - margin;
+      };
+
+      const drawParagraph = (text, { size = 10, bold = false, color = rgb(0, 0, 0), indent = 0, after = 6 } = {}) => {
+        const lineFont = bold ? boldFont : font;
+        const lines = this.toWinAnsi(text)
+          .split('\n')
+          .flatMap(paragraph => this.wrapText(paragraph, maxWidth - indent, lineFont, size));
+
+        for (const line of lines) {
+          ensureSpace(size + 4);
+          page.drawText(line, { x: margin + indent, y: yPosition - size, size, font: lineFont, color });
+          yPosition -= size + 4;
+        }
+        yPosition -= after;
+      };
+
+      // Letterhead
+      page.drawRectangle({ x: 0, y: pageSize[1] - 70, width: pageSize[0], height: 70, color: brandColor });
+      page.drawText(this.toWinAnsi(notice.bankName), {
+        x: margin, y: pageSize[1] - 38, size: 18, font: boldFont, color: rgb(1, 1, 1)
+      });
+      if (notice.bankBic) {
+        page.drawText(`SWIFT ${notice.bankBic}`, {
+          x: margin, y: pageSize[1] - 56, size: 10, font, color: rgb(0.85, 0.88, 0.95)
+        });
+      }
+      yPosition = pageSize[1] - 100;
+
+      drawParagraph('ADVICE OF REFUSAL', { size: 16, bold: true, color: brandColor, after: 0 });
+      drawParagraph('Single notice of refusal under UCP 600 Article 16', { color: mutedColor, after: 14 });
+
+      // References
+      const references = [
+        ['Our reference', notice.senderReference],
+        ['Your reference', notice.presenterReference],
+        ['Presenter', notice.presenterBic],
+        ['Documentary credit', notice.lcNumber],
+        ['Drawing', `${notice.currency} ${this.formatAmount(notice.amount)} presented on ${notice.utilisationDate}`],
+        ['Date of notice', notice.issuedAt.toISOString().slice(0, 10)]
+      ].filter(([, value]) => value);
+
+      for (const [label, value] of references) {
+        ensureSpace(14);
+        page.drawText(label, { x: margin, y: yPosition - 10, size: 10, font: boldFont, color: mutedColor });
+        page.drawText(this.toWinAnsi(String(value)), { x: margin + 130, y: yPosition - 10, size: 10, font });
+        yPosition -= 14;
+      }
+      yPosition -= 14;
+
+      drawParagraph(
+        'We refer to your presentation of documents under the above documentary credit. In accordance with ' +
+        'UCP 600 Article 16(c) we refuse to honour or negotiate, as the documents do not comply with the terms ' +
+        'and conditions of the credit for the following discrepancies:',
+        { after: 10 }
+      );
+
+      // Discrepancies
+      notice.discrepancies.forEach((discrepancy, index) => {
+        ensureSpace(40);
+        const document = discrepancy.presentedDocumentType ? `${discrepancy.presentedDocumentType}: ` : '';
+        drawParagraph(`${index + 1}. ${document}${discrepancy.title}`, { bold: true, after: 0 });
+        if (discrepancy.article) {
+          drawParagraph(discrepancy.article, { size: 9, color: mutedColor, indent: 16, after: 0 });
+        }
+        if (discrepancy.referenceValue != null || discrepancy.presentedValue != null) {
+          if (discrepancy.referenceValue != null) {
+            drawParagraph(`Credit: ${discrepancy.referenceValue}`, { indent: 16, after: 0 });
+          }
+          if (discrepancy.presentedValue != null) {
+            drawParagraph(`Presented: ${discrepancy.presentedValue}`, { indent: 16, after: 0 });
+          }
+        } else if (discrepancy.description) {
+          drawParagraph(discrepancy.description, { indent: 16, after: 0 });
+        }
+        yPosition -= 8;
+      });
+      yPosition -= 6;
+
+      ensureSpace(50);
+      drawParagraph('Disposal of the documents', { size: 12, bold: true, color: brandColor, after: 2 });
+      drawParagraph(notice.disposalStatement, { after: notice.disposalNote ? 2 : 12 });
+      if (notice.disposalNote) {
+        drawParagraph(notice.disposalNote, { after: 12 });
+      }
+
+      if (notice.chargesClaimed) {
+        drawParagraph('Charges', { size: 12, bold: true, color: brandColor, after: 2 });
+        drawParagraph(notice.chargesClaimed, { after: 12 });
+      }
+      if (notice.senderToReceiverInfo) {
+        drawParagraph('Further information', { size: 12, bold: true, color: brandColor, after: 2 });
+        drawParagraph(notice.senderToReceiverInfo, { after: 12 });
+      }
+
+      // Footer on every page, once the page count is known
+      const pages = pdfDoc.getPages();
+      const issuer = this.toWinAnsi(`${notice.bankName} - issued by ${notice.issuedByName || 'the bank'} on ${notice.issuedAt.toISOString().slice(0, 10)}`);
+      pages.forEach((footerPage, index) => {
+        footerPage.drawLine({
+          start: { x: margin, y: margin + 14 },
+          end: { x: pageSize[0] - margin, y: margin + 14 },
+          thickness: 0.5,
+          color: mutedColor
+        });
+        footerPage.drawText(issuer, { x: margin, y: margin, size: 8, font, color: mutedColor });
+        const pageLabel = `Page ${index + 1} of ${pages.length}`;
+        footerPage.drawText(pageLabel, {
+          x: pageSize[0] - margin - font.widthOfTextAtSize(pageLabel, 8),
+          y: margin,
+          size: 8,
+          font,
+          color: mutedColor
+        });
+      });
+
+      // Save PDF
+      const pdfBytes = await pdfDoc.save();
+      const fileName = `${notice.senderReference}.pdf`;
+      const relativePath = path.join('refusals', notice.sessionId, fileName);
+      const filePath = path.join(process.env.UPLOAD_PATH || './uploads', relativePath);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, pdfBytes);
+
+      return {
+        fileName: fileName,
+        filePath: relativePath,
+        size: pdfBytes.length
+      };
+
+    } catch (error) {
+      console.error('Error generating refusal PDF:', error);
+      throw error;
+    }
+  }
+
+  // 50000 → 50,000.00
+  static formatAmount(amount) {
+    return Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  // The standard fonts only encode WinAnsi; replace what they cannot draw
+  static toWinAnsi(text) {
+    return String(text ?? '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\t/g, ' ')
+      .replace(/[^\n\x20-\x7E\xA0-\xFF\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u20AC]/g, '?');
+  }
+
   // Helper method to wrap text for PDF generation
   static wrapText(text, maxWidth, font, fontSize) {
     const words = text.split(' ');
@@ -2,123 +2,49 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { DocumentModel } from '../models/Document.js';
+import { getTemplateRegistry, findTemplateById, matchTemplateFields } from './templateRegistry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Document type patterns and signatures
-const DOCUMENT_SIGNATURES = {
-  'Letter of Credit': {
-    startPatterns: [
-      /IRREVOCABLE\s+DOCUMENTARY\s+CREDIT/i,
-      /LETTER\s+OF\s+CREDIT/i,
-      /DOCUMENTARY\s+CREDIT/i,
-      /LC\s+NUMBER/i,
-      /CREDIT\s+NUMBER/i
-    ],
-    endPatterns: [
-      /END\s+OF\s+CREDIT/i,
-      /CREDIT\s+EXPIRES/i,
-      /UCP\s+600/i,
-      /AUTHORIZED\s+SIGNATURE/i
-    ],
-    keywords: ['beneficiary', 'applicant', 'expiry', 'amount', 'documents required']
-  },
-  'Commercial Invoice': {
-    startPatterns: [
-      /COMMERCIAL\s+INVOICE/i,
-      /INVOICE\s+NUMBER/i,
-      /INVOICE\s+DATE/i,
-      /SOLD\s+TO/i,
-      /BILL\s+TO/i
-    ],
-    endPatterns: [
-      /TOTAL\s+AMOUNT/i,
-      /GRAND\s+TOTAL/i,
-      /PAYMENT\s+TERMS/i,
-      /THANK\s+YOU/i
-    ],
-    keywords: ['invoice', 'quantity', 'unit price', 'total', 'description']
-  },
-  'Bill of Lading': {
-    startPatterns: [
-      /BILL\s+OF\s+LADING/i,
-      /B\/L\s+NUMBER/i,
-      /SHIPPED\s+ON\s+BOARD/i,
-      /VESSEL/i,
-      /PORT\s+OF\s+LOADING/i
-    ],
-    endPatterns: [
-      /FREIGHT\s+PREPAID/i,
-      /FREIGHT\s+COLLECT/i,
-      /SHIPPED\s+ON\s+BOARD/i,
-      /MASTER'S\s+SIGNATURE/i
-    ],
-    keywords: ['consignee', 'shipper', 'vessel', 'port', 'cargo']
-  },
-  'Packing List': {
-    startPatterns: [
-      /PACKING\s+LIST/i,
-      /PACKAGE\s+LIST/i,
-      /GROSS\s+WEIGHT/i,
-      /NET\s+WEIGHT/i,
-      /PACKAGES/i
-    ],
-    endPatterns: [
-      /TOTAL\s+PACKAGES/i,
-      /TOTAL\s+WEIGHT/i,
-      /MEASUREMENT/i,
-      /DIMENSIONS/i
-    ],
-    keywords: ['packages', 'weight', 'dimensions', 'cartons', 'pieces']
-  },
-  'Certificate of Origin': {
-    startPatterns: [
-      /CERTIFICATE\s+OF\s+ORIGIN/i,
-      /COUNTRY\s+OF\s+ORIGIN/i,
-      /CHAMBER\s+OF\s+COMMERCE/i,
-      /ORIGIN\s+CERTIFICATE/i
-    ],
-    endPatterns: [
-      /CHAMBER\s+SEAL/i,
-      /AUTHORIZED\s+SIGNATURE/i,
-      /CERTIFICATE\s+NUMBER/i,
-      /DATE\s+OF\s+ISSUE/i
-    ],
-    keywords: ['origin', 'country', 'goods', 'certificate', 'chamber']
-  },
-  'Insurance Certificate': {
-    startPatterns: [
-      /INSURANCE\s+CERTIFICATE/i,
-      /POLICY\s+NUMBER/i,
-      /INSURED\s+AMOUNT/i,
-      /COVERAGE/i,
-      /MARINE\s+INSURANCE/i
-    ],
-    endPatterns: [
-      /POLICY\s+EXPIRES/i,
-      /INSURER'S\s+SIGNATURE/i,
-      /CLAIMS\s+PAYABLE/i,
-      /COVERAGE\s+ENDS/i
-    ],
-    keywords: ['insurance', 'policy', 'coverage', 'premium', 'claims']
-  }
-};
+// A document's title is expected within the first lines of its first page
+const PAGE_HEADING_LINES = 10;
+
+// Score a sub template needs to refine the master template of a section
+const SUB_TEMPLATE_MIN_SCORE = 0.3;
+
+const UNKNOWN_DOCUMENT_TYPE = 'Unknown Document';
 
-export const splitDocumentByFormType = async (documentId, extractedText) => {
+// A document cataloged with a template (templateId) is taken as one
+// document of that template's type and extracted with its field rules
+export const splitDocumentByFormType = async (documentId, extractedText, pages = null, { templateId = null } = {}) => {
   try {
     console.log(`Starting document splitting for: ${documentId}`);
     
+    const registry = await getTemplateRegistry();
+    const catalogedTemplate = findTemplateById(registry, templateId);
+    if (templateId && !catalogedTemplate) {
+      console.warn(`Template ${templateId} of document ${documentId} is not active, detecting the document type instead`);
+    }
+    
     // Clean and normalize the text
     const normalizedText = extractedText.replace(/\s+/g, ' ').trim();
     const lines = normalizedText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
     
-    // Find document boundaries
-    const documentSections = findDocumentSections(lines, normalizedText);
+    // Find document boundaries: extracted pages keep their line breaks and
+    // page numbers, plain text is searched as a whole
+    let documentSections;
+    if (catalogedTemplate) {
+      documentSections = [catalogedSection(catalogedTemplate, normalizedText, pages, registry)];
+    } else if (pages?.length) {
+      documentSections = findPageSections(pages, registry);
+    } else {
+      documentSections = findDocumentSections(lines, normalizedText, registry);
+    }
     
     // If no clear sections found, treat as single document
     if (documentSections.length === 0) {
-      const documentType = identifyDocumentType(normalizedText);
+      const documentType = identifyDocumentType(normalizedText, registry);
       documentSections.push({
         type: documentType,
         startIndex: 0,
@@ -133,6 +59,7 @@ export const splitDocumentByFormType = async (documentId, extractedText) => {
     
     for (let i = 0; i < documentSections.length; i++) {
       const section = documentSections[i];
+      const template = catalogedTemplate || selectTemplate(section.content, section.type, registry);
       const splitDoc = {
         id: `${documentId}_split_${i + 1}`,
         originalDocumentId: documentId,
@@ -141,11 +68,17 @@ export const splitDocumentByFormType = async (documentId, extractedText) => {
         content: section.content,
         extractedText: section.content,
         confidence: section.confidence,
-        pageRange: {
+        pageRange: section.pageRange || {
           start: Math.floor(section.startIndex / 50) + 1, // Estimate page numbers
           end: Math.floor(section.endIndex / 50) + 1
         },
-        extractedFields: extractFieldsFromSection(section.content, section.type),
+        template: template && {
+          id: template.id,
+          name: template.name,
+          type: template.type,
+          version: template.version
+        },
+        extractedFields: extractFieldsFromSection(section.content, template),
         metadata: {
           lineStart: section.startIndex,
           lineEnd: section.endIndex,
@@ -175,17 +108,67 @@ export const splitDocumentByFormType = async (documentId, extractedText) => {
   }
 };
 
-function findDocumentSections(lines, fullText) {
+// The template that best describes a text as a whole, for recognising a
+// document without splitting it
+export const recognizeTemplate = async (text) => {
+  const registry = await getTemplateRegistry();
+  const normalizedText = text.replace(/\s+/g, ' ').trim();
+  const { template, score } = findBestTemplate(normalizedText, registry.masters);
+  
+  if (!template || score <= 0.3) {
+    return { documentType: null, confidence: score, template: null };
+  }
+  
+  const refined = selectTemplate(normalizedText, template.name, registry);
+  return {
+    documentType: template.name,
+    confidence: Math.min(0.95, score),
+    template: {
+      id: refined.id,
+      name: refined.name,
+      type: refined.type,
+      version: refined.version
+    }
+  };
+};
+
+// The whole document as one section of a cataloged template's type
+function catalogedSection(template, normalizedText, pages, registry) {
+  const pageTexts = (pages || []).map(page => ({ page, lines: pageLines(page) })).filter(({ lines }) => lines.length > 0);
+  const content = pageTexts.length > 0
+    ? pageTexts.flatMap(({ lines }) => lines).join('\n')
+    : normalizedText;
+  
+  console.log(`Using cataloged template ${template.name} (version ${template.version})`);
+  
+  return scoreSection({
+    type: template.documentType,
+    startIndex: 0,
+    endIndex: content.split('\n').length - 1,
+    content,
+    pageRange: pageTexts.length > 0
+      ? { start: pageTexts[0].page.pageNumber, end: pageTexts[pageTexts.length - 1].page.pageNumber }
+      : undefined
+  }, registry);
+}
+
+function pageLines(page) {
+  return page.text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0);
+}
+
+function findDocumentSections(lines, fullText, registry) {
   const sections = [];
   let currentSection = null;
   
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    const lineText = line.toLowerCase();
     
     // Check for document start patterns
-    for (const [docType, signature] of Object.entries(DOCUMENT_SIGNATURES)) {
-      const isStartPattern = signature.startPatterns.some(pattern => pattern.test(line));
+    for (const template of registry.masters) {
+      const isStartPattern = template.startPatterns.some(pattern => pattern.test(line));
       
       if (isStartPattern) {
         // End previous section if exists
@@ -197,22 +180,22 @@ function findDocumentSections(lines, fullText) {
         
         // Start new section
         currentSection = {
-          type: docType,
+          type: template.name,
           startIndex: i,
           endIndex: lines.length - 1, // Default to end
           content: '',
-          confidence: calculateDocumentConfidence(line, docType)
+          confidence: calculateDocumentConfidence(line, template)
         };
         
-        console.log(`Found ${docType} starting at line ${i}: ${line.substring(0, 50)}...`);
+        console.log(`Found ${template.name} starting at line ${i}: ${line.substring(0, 50)}...`);
         break;
       }
     }
     
     // Check for document end patterns
     if (currentSection) {
-      const signature = DOCUMENT_SIGNATURES[currentSection.type];
-      const isEndPattern = signature.endPatterns.some(pattern => pattern.test(line));
+      const template = registry.byName.get(currentSection.type);
+      const isEndPattern = template.endPatterns.some(pattern => pattern.test(line));
       
       if (isEndPattern) {
         currentSection.endIndex = i;
@@ -232,297 +215,168 @@ function findDocumentSections(lines, fullText) {
   }
   
   // Post-process sections to improve accuracy
-  return refineSections(sections, fullText);
+  return refineSections(sections, registry);
 }
 
-function refineSections(sections, fullText) {
-  return sections.map(section => {
-    // Recalculate confidence based on content analysis
-    const keywordMatches = countKeywordMatches(section.content, section.type);
-    const structureScore = analyzeDocumentStructure(section.content, section.type);
-    
-    section.confidence = Math.min(0.95, (keywordMatches * 0.4 + structureScore * 0.6));
-    
-    // Ensure minimum content length
-    if (section.content.length < 100) {
-      section.confidence *= 0.5;
-    }
-    
-    return section;
-  }).filter(section => section.confidence > 0.3); // Filter out low-confidence sections
+function refineSections(sections, registry) {
+  return sections
+    .map(section => scoreSection(section, registry))
+    .filter(section => section.confidence > 0.3); // Filter out low-confidence sections
 }
 
-function identifyDocumentType(text) {
-  let bestMatch = 'Unknown Document';
-  let highestScore = 0;
+function scoreSection(section, registry) {
+  // Recalculate confidence based on content analysis
+  const template = registry.byName.get(section.type);
+  const keywordMatches = countKeywordMatches(section.content, template);
+  const structureScore = analyzeDocumentStructure(section.content, template);
   
-  for (const [docType, signature] of Object.entries(DOCUMENT_SIGNATURES)) {
-    const keywordScore = countKeywordMatches(text, docType);
-    const patternScore = signature.startPatterns.reduce((score, pattern) => {
-      return score + (pattern.test(text) ? 1 : 0);
-    }, 0) / signature.startPatterns.length;
-    
-    const totalScore = keywordScore * 0.6 + patternScore * 0.4;
-    
-    if (totalScore > highestScore) {
-      highestScore = totalScore;
-      bestMatch = docType;
-    }
-  }
-  
-  return highestScore > 0.3 ? bestMatch : 'Unknown Document';
-}
-
-function countKeywordMatches(text, documentType) {
-  const signature = DOCUMENT_SIGNATURES[documentType];
-  if (!signature) return 0;
-  
-  const lowerText = text.toLowerCase();
-  const matches = signature.keywords.filter(keyword => 
-    lowerText.includes(keyword.toLowerCase())
-  ).length;
-  
-  return matches / signature.keywords.length;
-}
-
-function analyzeDocumentStructure(text, documentType) {
-  // Analyze document structure based on type
-  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  section.confidence = Math.min(0.95, (keywordMatches * 0.4 + structureScore * 0.6));
   
-  switch (documentType) {
-    case 'Letter of Credit':
-      return analyzeLCStructure(lines);
-    case 'Commercial Invoice':
-      return analyzeInvoiceStructure(lines);
-    case 'Bill of Lading':
-      return analyzeBLStructure(lines);
-    default:
-      return 0.5; // Default structure score
+  // Ensure minimum content length
+  if (section.content.length < 100) {
+    section.confidence *= 0.5;
   }
-}
-
-function analyzeLCStructure(lines) {
-  let score = 0;
-  const requiredSections = ['lc number', 'beneficiary', 'applicant', 'amount', 'expiry'];
-  
-  requiredSections.forEach(section => {
-    if (lines.some(line => line.toLowerCase().includes(section))) {
-      score += 0.2;
-    }
-  });
-  
-  return score;
-}
-
-function analyzeInvoiceStructure(lines) {
-  let score = 0;
-  const requiredSections = ['invoice number', 'date', 'total', 'description'];
-  
-  requiredSections.forEach(section => {
-    if (lines.some(line => line.toLowerCase().includes(section))) {
-      score += 0.25;
-    }
-  });
   
-  return score;
+  return section;
 }
 
-function analyzeBLStructure(lines) {
-  let score = 0;
-  const requiredSections = ['vessel', 'port', 'consignee', 'shipper'];
+// Documents in a presentation start on a new page. A page whose heading
+// matches the start pattern of another document type opens a new section;
+// any other page continues the current one, so no page is dropped.
+function findPageSections(pages, registry) {
+  const sections = [];
+  let lineOffset = 0;
   
-  requiredSections.forEach(section => {
-    if (lines.some(line => line.toLowerCase().includes(section))) {
-      score += 0.25;
+  for (const page of pages) {
+    const lines = pageLines(page);
+    
+    if (lines.length === 0) continue;
+    
+    // Continuation pages often repeat their document's title; otherwise the
+    // type whose start pattern appears first in the heading wins
+    const heading = lines.slice(0, PAGE_HEADING_LINES);
+    const matchesHeading = (template) => template.startPatterns.some(pattern =>
+      heading.some(line => pattern.test(line))
+    );
+    const currentSection = sections[sections.length - 1];
+    const currentTemplate = currentSection && registry.byName.get(currentSection.type);
+    const continues = currentTemplate && matchesHeading(currentTemplate);
+    const headingType = continues ? currentSection.type : heading.reduce((found, line) => found ||
+      registry.masters.find(template =>
+        template.startPatterns.some(pattern => pattern.test(line))
+      )?.name, undefined);
+    
+    if (currentSection && (!headingType || headingType === currentSection.type)) {
+      currentSection.lines.push(...lines);
+      currentSection.pageRange.end = page.pageNumber;
+    } else {
+      const type = headingType || identifyDocumentType(lines.join('\n'), registry);
+      sections.push({
+        type,
+        startIndex: lineOffset,
+        lines: [...lines],
+        pageRange: { start: page.pageNumber, end: page.pageNumber }
+      });
+      console.log(`Found ${type} starting on page ${page.pageNumber}: ${lines[0].substring(0, 50)}...`);
     }
-  });
+    
+    lineOffset += lines.length;
+  }
   
-  return score;
+  return sections.map(({ lines, ...section }) => scoreSection({
+    ...section,
+    endIndex: section.startIndex + lines.length - 1,
+    content: lines.join('\n')
+  }, registry));
 }
 
-function calculateDocumentConfidence(line, documentType) {
-  const signature = DOCUMENT_SIGNATURES[documentType];
-  if (!signature) return 0.5;
-  
-  const matchingPatterns = signature.startPatterns.filter(pattern => pattern.test(line)).length;
-  return Math.min(0.9, 0.5 + (matchingPatterns * 0.2));
+function identifyDocumentType(text, registry) {
+  const { template, score } = findBestTemplate(text, registry.masters);
+  return template && score > 0.3 ? template.name : UNKNOWN_DOCUMENT_TYPE;
 }
 
-function extractFieldsFromSection(content, documentType) {
-  const fields = [];
-  const lines = content.split('\n');
+// Earlier templates win ties, so the registry order decides between types
+// that match equally well
+function findBestTemplate(text, templates) {
+  let bestMatch = null;
+  let highestScore = 0;
   
-  // Extract fields based on document type
-  switch (documentType) {
-    case 'Letter of Credit':
-      fields.push(...extractLCFields(content, lines));
-      break;
-    case 'Commercial Invoice':
-      fields.push(...extractInvoiceFields(content, lines));
-      break;
-    case 'Bill of Lading':
-      fields.push(...extractBLFields(content, lines));
-      break;
-    case 'Packing List':
-      fields.push(...extractPackingListFields(content, lines));
-      break;
-    case 'Certificate of Origin':
-      fields.push(...extractOriginFields(content, lines));
-      break;
-    case 'Insurance Certificate':
-      fields.push(...extractInsuranceFields(content, lines));
-      break;
-    default:
-      fields.push(...extractGenericFields(content, lines));
+  for (const template of templates) {
+    const totalScore = scoreTemplate(text, template);
+    
+    if (totalScore > highestScore) {
+      highestScore = totalScore;
+      bestMatch = template;
+    }
   }
   
-  return fields;
+  return { template: bestMatch, score: highestScore };
 }
 
-function extractLCFields(content, lines) {
-  const fields = [];
-  
-  // LC Number
-  const lcNumberMatch = content.match(/(?:lc|letter of credit|credit)\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)/i);
-  if (lcNumberMatch) {
-    fields.push({
-      fieldName: 'LC Number',
-      fieldValue: lcNumberMatch[1],
-      confidence: 0.9
-    });
-  }
-  
-  // Amount
-  const amountMatch = content.match(/(?:amount|value)\s*:?\s*([A-Z]{3}\s*[\d,]+\.?\d*)/i);
-  if (amountMatch) {
-    fields.push({
-      fieldName: 'Amount',
-      fieldValue: amountMatch[1],
-      confidence: 0.85
-    });
-  }
+function scoreTemplate(text, template) {
+  const keywordScore = countKeywordMatches(text, template);
+  const patternScore = template.startPatterns.length === 0 ? 0 : template.startPatterns.reduce((score, pattern) => {
+    return score + (pattern.test(text) ? 1 : 0);
+  }, 0) / template.startPatterns.length;
   
-  // Beneficiary
-  const beneficiaryMatch = content.match(/beneficiary\s*:?\s*([^\n]+)/i);
-  if (beneficiaryMatch) {
-    fields.push({
-      fieldName: 'Beneficiary',
-      fieldValue: beneficiaryMatch[1].trim(),
-      confidence: 0.8
-    });
-  }
-  
-  // Applicant
-  const applicantMatch = content.match(/applicant\s*:?\s*([^\n]+)/i);
-  if (applicantMatch) {
-    fields.push({
-      fieldName: 'Applicant',
-      fieldValue: applicantMatch[1].trim(),
-      confidence: 0.8
-    });
-  }
-  
-  return fields;
+  return keywordScore * 0.6 + patternScore * 0.4;
 }
 
-function extractInvoiceFields(content, lines) {
-  const fields = [];
-  
-  // Invoice Number
-  const invoiceMatch = content.match(/invoice\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)/i);
-  if (invoiceMatch) {
-    fields.push({
-      fieldName: 'Invoice Number',
-      fieldValue: invoiceMatch[1],
-      confidence: 0.9
-    });
-  }
+function countKeywordMatches(text, template) {
+  if (!template || template.keywords.length === 0) return 0;
   
-  // Total Amount
-  const totalMatch = content.match(/(?:total|grand total)\s*:?\s*([A-Z]{3}\s*[\d,]+\.?\d*)/i);
-  if (totalMatch) {
-    fields.push({
-      fieldName: 'Total Amount',
-      fieldValue: totalMatch[1],
-      confidence: 0.85
-    });
-  }
+  const lowerText = text.toLowerCase();
+  const matches = template.keywords.filter(keyword => 
+    lowerText.includes(keyword.toLowerCase())
+  ).length;
   
-  return fields;
+  return matches / template.keywords.length;
 }
 
-function extractBLFields(content, lines) {
-  const fields = [];
-  
-  // B/L Number
-  const blMatch = content.match(/(?:b\/l|bill of lading)\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)/i);
-  if (blMatch) {
-    fields.push({
-      fieldName: 'B/L Number',
-      fieldValue: blMatch[1],
-      confidence: 0.9
-    });
+// Share of the template's required sections present in the text
+function analyzeDocumentStructure(text, template) {
+  if (!template || template.sections.length === 0) {
+    return 0.5; // Default structure score
   }
   
-  // Vessel
-  const vesselMatch = content.match(/vessel\s*:?\s*([^\n]+)/i);
-  if (vesselMatch) {
-    fields.push({
-      fieldName: 'Vessel',
-      fieldValue: vesselMatch[1].trim(),
-      confidence: 0.8
-    });
-  }
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+  const found = template.sections.filter(section =>
+    lines.some(line => line.toLowerCase().includes(section))
+  ).length;
   
-  return fields;
+  return found / template.sections.length;
 }
 
-function extractPackingListFields(content, lines) {
-  const fields = [];
-  
-  // Total Packages
-  const packagesMatch = content.match(/(?:total\s+)?packages?\s*:?\s*(\d+)/i);
-  if (packagesMatch) {
-    fields.push({
-      fieldName: 'Total Packages',
-      fieldValue: packagesMatch[1],
-      confidence: 0.85
-    });
-  }
-  
-  return fields;
+function calculateDocumentConfidence(line, template) {
+  const matchingPatterns = template.startPatterns.filter(pattern => pattern.test(line)).length;
+  return Math.min(0.9, 0.5 + (matchingPatterns * 0.2));
 }
 
-function extractOriginFields(content, lines) {
-  const fields = [];
-  
-  // Country of Origin
-  const countryMatch = content.match(/country\s+of\s+origin\s*:?\s*([^\n]+)/i);
-  if (countryMatch) {
-    fields.push({
-      fieldName: 'Country of Origin',
-      fieldValue: countryMatch[1].trim(),
-      confidence: 0.9
-    });
-  }
-  
-  return fields;
+// The master template of a document type, or the sub template of it that
+// matches the section best
+function selectTemplate(content, documentType, registry) {
+  const master = registry.byName.get(documentType);
+  if (!master) return null;
+  
+  const { template: sub, score } = findBestTemplate(content, registry.subTemplates.get(master.id) || []);
+  return sub && score >= SUB_TEMPLATE_MIN_SCORE ? sub : master;
 }
 
-function extractInsuranceFields(content, lines) {
-  const fields = [];
-  
-  // Policy Number
-  const policyMatch = content.match(/policy\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)/i);
-  if (policyMatch) {
-    fields.push({
-      fieldName: 'Policy Number',
-      fieldValue: policyMatch[1],
-      confidence: 0.9
-    });
+// Fields are found with the extraction patterns of the template. A value
+// that breaks a validation rule of its field is kept at half confidence.
+function extractFieldsFromSection(content, template) {
+  if (!template || !template.fields.some(field => field.pattern)) {
+    return extractGenericFields(content, content.split('\n'));
   }
   
-  return fields;
+  return matchTemplateFields(content, template)
+    .filter(({ value }) => value !== null)
+    .map(({ field, value, validationErrors }) => ({
+      fieldName: field.fieldName,
+      fieldValue: value,
+      confidence: validationErrors.length > 0 ? field.confidence * 0.5 : field.confidence,
+      ...(validationErrors.length > 0 && { validationErrors })
+    }));
 }
 
 function extractGenericFields(content, lines) {
@@ -0,0 +1,240 @@
+import { SessionModel } from '../models/Session.js';
+import { BankingHolidayModel } from '../models/BankingHoliday.js';
+import { getEffectiveCredit, loadSessionSplits, readShipmentDate, formatDate } from './discrepancyEngine.js';
+import { PERMISSIONS, hasPermission } from './permissions.js';
+
+// UCP 600 deadlines of a presentation. Art. 14(b) gives the bank five
+// banking days following the day of presentation to examine the documents.
+// Art. 14(c) wants them presented within the credit's presentation period,
+// 21 days after shipment unless the credit says otherwise, and never after
+// its expiry; Art. 29(a) moves a last day that falls on a closed day to the
+// next banking day. Banks are closed on Saturdays, Sundays and the holidays
+// of the session's country and branch.
+
+export const EXAMINATION_BANKING_DAYS = 5;
+export const DEFAULT_PRESENTATION_DAYS = 21;
+
+// Sessions with this many banking days or fewer left are at risk
+export const AT_RISK_BANKING_DAYS = 2;
+
+// Statuses in which the bank is still examining the documents
+const EXAMINING_STATUSES = ['created', 'uploading', 'processing', 'reviewing', 'frozen'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Holidays are loaded this far past the last day a calculation starts from,
+// which is more than five banking days ever span
+const HOLIDAY_LOOKAHEAD_DAYS = 60;
+
+// Where sessions are examined when they do not say; read when used, the
+// environment is loaded after modules are
+export const getDefaultBankLocation = () => ({
+  countryCode: process.env.BANK_COUNTRY_CODE || null,
+  branchCode: process.env.BANK_BRANCH_CODE || null
+});
+
+const COUNTRY_CODE_PATTERN = /^[A-Z]{2}$/;
+const BRANCH_CODE_MAX_LENGTH = 20;
+
+// Country (ISO 3166 alpha-2) and branch from request input, with what is
+// wrong with them. Blank values come back as null.
+export const readBankLocation = ({ countryCode, branchCode }, { requireCountry = false } = {}) => {
+  const details = [];
+  const text = (value) => (typeof value === 'string' && value.trim()) || null;
+
+  const country = text(countryCode)?.toUpperCase() || null;
+  if (country ? !COUNTRY_CODE_PATTERN.test(country) : requireCountry) {
+    details.push('countryCode must be a two-letter country code');
+  }
+
+  const branch = text(branchCode);
+  if (branch && branch.length > BRANCH_CODE_MAX_LENGTH) {
+    details.push(`branchCode must be at most ${BRANCH_CODE_MAX_LENGTH} characters`);
+  }
+  if (branch && !country) details.push('A branch needs a countryCode');
+
+  return { location: { countryCode: country, branchCode: branch }, details };
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Today in the bank's time zone, as a date at midnight UTC like parsed dates
+export const today = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+// DATE columns come back as Dates at midnight UTC
+const toDay = (value) => (value ? new Date(`${formatDate(new Date(value))}T00:00:00Z`) : null);
+
+// Whether a day is a banking day for a country and branch. A holiday
+// without a branch closes every branch of its country.
+export const createCalendar = (holidays, { countryCode = null, branchCode = null } = {}) => {
+  const closed = new Set(holidays
+    .filter(holiday => holiday.countryCode === countryCode && (!holiday.branchCode || holiday.branchCode === branchCode))
+    .map(holiday => holiday.holidayDate));
+
+  const isBankingDay = (date) => {
+    const weekday = date.getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !closed.has(formatDate(date));
+  };
+
+  // The day itself when it is a banking day, else the next one
+  const nextBankingDay = (date) => {
+    let day = date;
+    while (!isBankingDay(day)) day = addDays(day, 1);
+    return day;
+  };
+
+  // The count-th banking day after a day
+  const addBankingDays = (date, count) => {
+    let day = date;
+    for (let added = 0; added < count;) {
+      day = addDays(day, 1);
+      if (isBankingDay(day)) added++;
+    }
+    return day;
+  };
+
+  // Banking days after from, up to and including to; negative when to is
+  // before from
+  const bankingDaysBetween = (from, to) => {
+    const [start, end, sign] = from <= to ? [from, to, 1] : [to, from, -1];
+    let count = 0;
+    for (let day = addDays(start, 1); day <= end; day = addDays(day, 1)) {
+      if (isBankingDay(day)) count++;
+    }
+    return sign * count;
+  };
+
+  return { isBankingDay, nextBankingDay, addBankingDays, bankingDaysBetween };
+};
+
+// Holidays that can affect calculations between two days
+const loadHolidays = (from, to) => BankingHolidayModel.getHolidays({
+  from,
+  to: addDays(to, HOLIDAY_LOOKAHEAD_DAYS)
+});
+
+// Art. 14(b) deadline of a presented session and how close it is. Documents
+// presented on a closed day count as presented on the next banking day.
+const examinationDeadline = (session, calendar, asOf) => {
+  const presented = calendar.nextBankingDay(toDay(session.presentationDate));
+  const deadline = calendar.addBankingDays(presented, EXAMINATION_BANKING_DAYS);
+  const bankingDaysLeft = calendar.bankingDaysBetween(asOf, deadline);
+
+  let risk = 'on_track';
+  if (session.status === 'completed') risk = 'completed';
+  else if (bankingDaysLeft < 0) risk = 'overdue';
+  else if (bankingDaysLeft <= AT_RISK_BANKING_DAYS) risk = 'at_risk';
+
+  return {
+    bankingDays: EXAMINATION_BANKING_DAYS,
+    deadline: formatDate(deadline),
+    bankingDaysLeft,
+    risk
+  };
+};
+
+// Art. 14(c) last day for presenting the documents: the presentation period
+// after the latest shipment date, but never after expiry. Null without
+// credit terms.
+export const presentationCutoff = (terms, shipmentDate, calendar) => {
+  if (!terms) return null;
+
+  const presentationDays = terms.presentationDays ?? DEFAULT_PRESENTATION_DAYS;
+  const periodEnd = shipmentDate ? addDays(shipmentDate, presentationDays) : null;
+  const expiryDate = terms.expiryDate || null;
+
+  const lastDay = periodEnd && (!expiryDate || periodEnd < expiryDate) ? periodEnd : expiryDate;
+  if (!lastDay) {
+    return { shipmentDate: null, presentationDays, expiryDate: null, basis: null, cutoff: null };
+  }
+
+  return {
+    shipmentDate: formatDate(shipmentDate),
+    presentationDays,
+    expiryDate: formatDate(expiryDate),
+    basis: lastDay === periodEnd ? 'shipment' : 'expiry',
+    cutoff: formatDate(calendar.nextBankingDay(lastDay))
+  };
+};
+
+// Deadlines of one session: the examination deadline once the presentation
+// date is known, and the presentation cutoff once the credit is
+export const getSessionDeadlines = async (session) => {
+  const asOf = today();
+  const presentationDate = toDay(session.presentationDate);
+  const location = { countryCode: session.countryCode || null, branchCode: session.branchCode || null };
+
+  const splits = await loadSessionSplits(session.id);
+  const { terms } = await getEffectiveCredit(session.id, { asOf: presentationDate || asOf, splits });
+
+  // The latest on-board date of the transport documents
+  const shipmentDate = splits
+    .filter(split => split.documentType === 'Bill of Lading')
+    .map(readShipmentDate)
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0] || null;
+
+  const starts = [asOf, presentationDate, shipmentDate, terms?.expiryDate].filter(Boolean);
+  const holidays = await loadHolidays(
+    new Date(Math.min(...starts)),
+    new Date(Math.max(...starts))
+  );
+  const calendar = createCalendar(holidays, location);
+
+  const presentation = presentationCutoff(terms, shipmentDate, calendar);
+
+  return {
+    sessionId: session.id,
+    asOf: formatDate(asOf),
+    presentationDate: formatDate(presentationDate),
+    ...location,
+    examination: presentationDate ? examinationDeadline(session, calendar, asOf) : null,
+    presentation: presentation && {
+      ...presentation,
+      presentedLate: Boolean(presentationDate && presentation.cutoff && formatDate(presentationDate) > presentation.cutoff)
+    }
+  };
+};
+
+// Sessions still under examination whose Art. 14(b) deadline is at most
+// AT_RISK_BANKING_DAYS banking days away or has passed, nearest first.
+// Makers only see their own.
+export const getAtRiskSessions = async (user) => {
+  const asOf = today();
+  const sessions = await SessionModel.getPresentedSessions({
+    statuses: EXAMINING_STATUSES,
+    userId: hasPermission(user, PERMISSIONS.VIEW_ALL_SESSIONS) ? null : user.userId
+  });
+
+  if (sessions.length === 0) {
+    return { asOf: formatDate(asOf), atRiskBankingDays: AT_RISK_BANKING_DAYS, sessions: [] };
+  }
+
+  // Presentation dates are never in the future
+  const earliest = toDay(sessions[0].presentationDate);
+  const holidays = await loadHolidays(earliest < asOf ? earliest : asOf, asOf);
+
+  const atRisk = sessions
+    .map(session => {
+      const calendar = createCalendar(holidays, session);
+      return {
+        sessionId: session.id,
+        lcNumber: session.lcNumber,
+        cifNumber: session.cifNumber,
+        status: session.status,
+        userId: session.userId,
+        ownerName: session.ownerName || null,
+        presentationDate: formatDate(toDay(session.presentationDate)),
+        countryCode: session.countryCode || null,
+        branchCode: session.branchCode || null,
+        examination: examinationDeadline(session, calendar, asOf)
+      };
+    })
+    .filter(entry => entry.examination.risk === 'at_risk' || entry.examination.risk === 'overdue')
+    .sort((a, b) => a.examination.bankingDaysLeft - b.examination.bankingDaysLeft);
+
+  return { asOf: formatDate(asOf), atRiskBankingDays: AT_RISK_BANKING_DAYS, sessions: atRisk };
+};
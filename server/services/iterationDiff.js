@@ -0,0 +1,183 @@
+// Comparing two iterations of a document: what changed in the extracted
+// text, line by line, and in the extracted fields.
+
+// Lines of unchanged text kept around each change
+const CONTEXT_LINES = 2;
+
+// Above this many line pairs the changed middle of two texts is reported as
+// replaced outright rather than matched line by line
+const MAX_LCS_CELLS = 2000000;
+
+// Split documents are stored as JSON; their text is compared as the /ocr
+// route shows it
+export const iterationText = (cleanedContent) => {
+  if (!cleanedContent) return '';
+  if (cleanedContent.startsWith('[')) {
+    try {
+      return JSON.parse(cleanedContent).map(split => split.content || '').join('\n\n---\n\n');
+    } catch (parseError) {
+      return cleanedContent;
+    }
+  }
+  return cleanedContent;
+};
+
+// Edit script between two line arrays from their longest common subsequence
+const diffMiddle = (a, b) => {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'unchanged', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'removed', text: a[i++] });
+    } else {
+      operations.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) operations.push({ type: 'added', text: b[j++] });
+  return operations;
+};
+
+// Changed lines grouped into hunks with a little unchanged context, each
+// starting at its 1-based line in both texts
+export const diffText = (fromText, toText) => {
+  const a = fromText.split('\n');
+  const b = toText.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const operations = [
+    ...a.slice(0, start).map(text => ({ type: 'unchanged', text })),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'unchanged', text }))
+  ];
+
+  // Line numbers of every operation in both texts
+  let fromLine = 1;
+  let toLine = 1;
+  const numbered = operations.map(operation => {
+    const entry = { ...operation, fromLine, toLine };
+    if (operation.type !== 'added') fromLine++;
+    if (operation.type !== 'removed') toLine++;
+    return entry;
+  });
+
+  // Each change with its context; overlapping or touching ranges merge
+  const ranges = [];
+  numbered.forEach((operation, index) => {
+    if (operation.type === 'unchanged') return;
+
+    const rangeStart = Math.max(0, index - CONTEXT_LINES);
+    const rangeEnd = Math.min(numbered.length - 1, index + CONTEXT_LINES);
+    const last = ranges[ranges.length - 1];
+    if (last && rangeStart <= last.end + 1) {
+      last.end = rangeEnd;
+    } else {
+      ranges.push({ start: rangeStart, end: rangeEnd });
+    }
+  });
+
+  return {
+    added: operations.filter(operation => operation.type === 'added').length,
+    removed: operations.filter(operation => operation.type === 'removed').length,
+    hunks: ranges.map(({ start: rangeStart, end: rangeEnd }) => ({
+      fromStart: numbered[rangeStart].fromLine,
+      toStart: numbered[rangeStart].toLine,
+      lines: numbered.slice(rangeStart, rangeEnd + 1).map(({ type, text }) => ({ type, text }))
+    }))
+  };
+};
+
+// Fields are matched by document type and name; a name found twice in one
+// document type is matched in order
+const keyFields = (fields) => {
+  const seen = new Map();
+  return new Map(fields.map(field => {
+    const base = `${field.documentType || ''}|${String(field.fieldName).toLowerCase()}`;
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return [`${base}|${occurrence}`, field];
+  }));
+};
+
+const fieldValue = (field) => field ? {
+  value: field.fieldValue == null ? '' : String(field.fieldValue),
+  confidence: typeof field.confidence === 'number' ? field.confidence : null
+} : null;
+
+export const diffFields = (fromFields, toFields) => {
+  const from = keyFields(fromFields);
+  const to = keyFields(toFields);
+
+  const changes = [...new Set([...from.keys(), ...to.keys()])].map(key => {
+    const before = from.get(key);
+    const after = to.get(key);
+    const field = after || before;
+
+    let change = 'unchanged';
+    if (!before) change = 'added';
+    else if (!after) change = 'removed';
+    else if (fieldValue(before).value !== fieldValue(after).value) change = 'changed';
+
+    return {
+      fieldName: field.fieldName,
+      documentType: field.documentType || null,
+      change,
+      from: fieldValue(before),
+      to: fieldValue(after)
+    };
+  });
+
+  const count = (change) => changes.filter(entry => entry.change === change).length;
+  return {
+    added: count('added'),
+    removed: count('removed'),
+    changed: count('changed'),
+    unchanged: count('unchanged'),
+    fields: changes
+  };
+};
+
+// Differences between two iterations loaded with their content
+export const diffIterations = (from, to) => {
+  const { cleanedContent: fromContent, extractedFields: fromFields, pages: fromPages, ...fromSummary } = from;
+  const { cleanedContent: toContent, extractedFields: toFields, pages: toPages, ...toSummary } = to;
+
+  return {
+    from: fromSummary,
+    to: toSummary,
+    documentTypeChanged: (from.documentType || null) !== (to.documentType || null),
+    confidenceChange: from.confidence != null && to.confidence != null
+      ? Math.round((to.confidence - from.confidence) * 10000) / 10000
+      : null,
+    pageCountChange: toPages.length - fromPages.length,
+    text: diffText(iterationText(fromContent), iterationText(toContent)),
+    fields: diffFields(fromFields, toFields)
+  };
+};
@@ -0,0 +1,188 @@
+import os from 'os';
+import { JobModel } from '../models/Job.js';
+import { DocumentModel } from '../models/Document.js';
+import { processDocument, reprocessDocument } from './ocrService.js';
+import { updateProgress, trackJob, untrackJob, clearProgress } from './progressTracker.js';
+import { rememberDocumentSession } from './sessionEvents.js';
+import { syncSessionStatus } from './sessionLifecycle.js';
+
+// Durable queue for document processing. Jobs live in ingestion_jobs; this
+// process claims due jobs up to the concurrency limit and runs them.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// Retry delays double from this base: 5s, 10s, 20s, ...
+const RETRY_BASE_DELAY_MS = Number(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+
+const POLL_INTERVAL_MS = 2000;
+
+// In-memory progress of a finished job is dropped after this; the job row keeps it
+const PROGRESS_RETENTION_MS = 5 * 60 * 1000;
+
+// jobId -> AbortController of jobs running in this process
+const runningJobs = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+const JOB_HANDLERS = {
+  upload: (job, options) => processDocument(job.documentId, options),
+  process: (job, options) => processDocument(job.documentId, options),
+  reprocess: (job, options) => reprocessDocument(job.documentId, options)
+};
+
+// Queue processing of a document. A document with a queued or running job
+// keeps that job instead of getting a second one.
+export const enqueueJob = async ({ documentId, sessionId, type, engine = null, requestedBy = null }) => {
+  const job = await JobModel.createJob({
+    documentId,
+    sessionId,
+    type,
+    engine,
+    requestedBy,
+    maxAttempts: MAX_ATTEMPTS
+  });
+  if (!job) {
+    return { job: await JobModel.getActiveJobForDocument(documentId), created: false };
+  }
+
+  rememberDocumentSession(documentId, sessionId);
+  updateProgress(documentId, 'queued', 0, 'Waiting for a worker');
+  setImmediate(pollJobs);
+
+  return { job, created: true };
+};
+
+// Cancel a queued or running job. Returns null when the job already ended.
+export const cancelJob = async (jobId) => {
+  const job = await JobModel.requestCancel(jobId);
+  if (!job) return null;
+
+  if (job.status === 'cancelled') {
+    updateProgress(job.documentId, 'cancelled', 0, 'Processing was cancelled');
+    await DocumentModel.updateDocumentStatus(job.documentId, 'error', 'Processing was cancelled');
+    await syncSessionStatus(job.sessionId, 'Processing was cancelled');
+  }
+
+  // A running job stops at its next cancellation point and is marked
+  // cancelled by runJob
+  runningJobs.get(job.id)?.abort();
+  return job;
+};
+
+export const startJobWorker = async () => {
+  if (pollTimer) return;
+
+  const interrupted = await JobModel.requeueInterruptedJobs();
+  if (interrupted.length > 0) {
+    console.log(`Recovered ${interrupted.length} interrupted processing jobs`);
+  }
+
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL_MS);
+  console.log(`Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY})`);
+  pollJobs();
+};
+
+export const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  for (const controller of runningJobs.values()) {
+    controller.abort();
+  }
+};
+
+const pollJobs = async () => {
+  if (!pollTimer || polling) return;
+  polling = true;
+
+  try {
+    while (runningJobs.size < CONCURRENCY) {
+      const job = await JobModel.claimNextJob(WORKER_ID);
+      if (!job) break;
+      runJob(job);
+    }
+  } catch (error) {
+    console.error('Job polling failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+const runJob = async (job) => {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+  trackJob(job.documentId, job.id);
+  rememberDocumentSession(job.documentId, job.sessionId);
+
+  console.log(`Running ${job.type} job ${job.id} for document ${job.documentId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    if (job.cancelRequested) {
+      controller.abort();
+    }
+    const handler = JOB_HANDLERS[job.type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.type}`);
+    }
+    await syncSessionStatus(job.sessionId, 'Document processing started');
+
+    await handler(job, {
+      engine: job.engine || undefined,
+      signal: controller.signal,
+      runType: job.type,
+      jobId: job.id,
+      requestedBy: job.requestedBy
+    });
+
+    await JobModel.finishJob(job.id, 'succeeded', {
+      stage: 'completed',
+      progress: 100,
+      message: 'Processing completed successfully'
+    });
+    updateProgress(job.documentId, 'completed', 100, 'Processing completed successfully');
+
+  } catch (error) {
+    await handleJobError(job, error, controller.signal.aborted).catch(finishError => {
+      console.error(`Could not record the outcome of job ${job.id}:`, finishError.message);
+    });
+  } finally {
+    runningJobs.delete(job.id);
+    untrackJob(job.documentId);
+    // The session goes to review once none of its documents is left to process
+    await syncSessionStatus(job.sessionId, 'Document processing ended');
+    setTimeout(() => clearProgress(job.documentId), PROGRESS_RETENTION_MS);
+    setImmediate(pollJobs);
+  }
+};
+
+const handleJobError = async (job, error, cancelled) => {
+  if (cancelled || error.name === 'AbortError') {
+    console.log(`Job ${job.id} cancelled`);
+    await JobModel.finishJob(job.id, 'cancelled', { stage: 'cancelled', progress: 0, message: 'Processing was cancelled' });
+    await DocumentModel.updateDocumentStatus(job.documentId, 'error', 'Processing was cancelled');
+    updateProgress(job.documentId, 'cancelled', 0, 'Processing was cancelled');
+    return;
+  }
+
+  if (job.attempts < job.maxAttempts) {
+    const delayMs = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+    const message = `Attempt ${job.attempts} of ${job.maxAttempts} failed, retrying in ${Math.ceil(delayMs / 1000)}s: ${error.message}`;
+    console.warn(`Job ${job.id}: ${message}`);
+    await JobModel.retryJob(job.id, error.message, delayMs, message);
+    updateProgress(job.documentId, 'queued', 0, message);
+    return;
+  }
+
+  console.error(`Job ${job.id} failed after ${job.attempts} attempts:`, error.message);
+  await JobModel.finishJob(job.id, 'failed', {
+    stage: 'error',
+    progress: 0,
+    message: `Processing failed: ${error.message}`,
+    lastError: error.message
+  });
+  updateProgress(job.documentId, 'error', 0, `Processing failed: ${error.message}`);
+};
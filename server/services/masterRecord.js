@@ -0,0 +1,101 @@
+import { DocumentModel } from '../models/Document.js';
+import { MasterRecordModel } from '../models/MasterRecord.js';
+import { checkSessionDiscrepancies, loadSessionSplits } from './discrepancyEngine.js';
+import { getTemplateRegistry, findTemplateById } from './templateRegistry.js';
+import { getTransitionError } from './sessionLifecycle.js';
+import { getFourEyesError } from './sessionReview.js';
+import { isResolved } from './discrepancyLifecycle.js';
+
+// Saving a session to the master record. A session is saved once every
+// document is processed, every field of it validated, every discrepancy
+// dismissed or waived and a checker has approved the examination; documents
+// are then stored as validated and the session as completed.
+
+// Why a session cannot be saved yet. Empty lists mean it can.
+const findBlockers = (documents, discrepancies) => ({
+  documents: documents
+    .filter(document => !['processed', 'validated'].includes(document.status))
+    .map(document => ({ id: document.id, fileName: document.fileName, status: document.status })),
+  fields: documents.flatMap(document => (document.extractedFields || [])
+    .filter(field => field.validationStatus !== 'validated')
+    .map(field => ({
+      id: field.id,
+      documentId: document.id,
+      fileName: document.fileName,
+      fieldName: field.fieldName,
+      validationStatus: field.validationStatus || 'pending'
+    }))),
+  discrepancies: discrepancies
+    .filter(discrepancy => !isResolved(discrepancy))
+    .map(discrepancy => ({
+      id: discrepancy.id,
+      title: discrepancy.title,
+      presentedDocumentType: discrepancy.presentedDocumentType,
+      status: discrepancy.status
+    }))
+});
+
+const hasBlockers = (blockers) => Object.values(blockers).some(list => list.length > 0);
+
+// The template a split was extracted with gives its category and field types
+const splitTemplate = (registry, split, document) => (
+  findTemplateById(registry, split.template?.id) ||
+  findTemplateById(registry, document.templateId) ||
+  registry.byName.get(split.documentType) ||
+  null
+);
+
+const toDocumentSets = (documents, splits, registry) => {
+  const documentsById = new Map(documents.map(document => [document.id, document]));
+  const splitCounts = splits.reduce((counts, split) => counts.set(split.documentId, (counts.get(split.documentId) || 0) + 1), new Map());
+
+  return splits.map(split => {
+    const document = documentsById.get(split.documentId);
+    const template = splitTemplate(registry, split, document);
+    return {
+      documentId: split.documentId,
+      splitDocumentId: split.id,
+      onlySplit: splitCounts.get(split.documentId) === 1,
+      documentType: split.documentType || 'Unknown Document',
+      documentCategory: template?.category || null,
+      documentPath: document.filePath,
+      content: split.content,
+      fieldTypes: Object.fromEntries((template?.fields || []).map(field => [field.fieldName.toLowerCase(), field.fieldType]))
+    };
+  });
+};
+
+// Save a session to the master tables. Returns { blockers } when it is not
+// ready, { blocked } when the session cannot be completed from its status,
+// { conflict: true } when it changed while being saved, and otherwise what
+// was saved.
+export const saveSessionToMasterRecord = async (session, user) => {
+  const sessionId = session.id;
+
+  // Discrepancies are checked again so edits since the last run count
+  const report = await checkSessionDiscrepancies(sessionId);
+  const documents = await DocumentModel.getDocumentsBySession(sessionId);
+
+  const blockers = findBlockers(documents, report.discrepancies);
+  if (hasBlockers(blockers)) {
+    return { blockers };
+  }
+
+  const transitionError = await getTransitionError(session, 'completed', user);
+  if (transitionError) {
+    return { blocked: transitionError.forbidden || transitionError.blocked };
+  }
+
+  const reviewError = await getFourEyesError(session);
+  if (reviewError) {
+    return { blocked: reviewError };
+  }
+
+  const [splits, registry] = await Promise.all([
+    loadSessionSplits(sessionId, documents),
+    getTemplateRegistry()
+  ]);
+
+  const saved = await MasterRecordModel.createFromSession(sessionId, toDocumentSets(documents, splits, registry), user.userId);
+  return saved || { conflict: true };
+};
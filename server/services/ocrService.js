@@ -1,67 +1,52 @@
-import Tesseract from 'tesseract.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { DocumentModel } from '../models/Document.js';
-import { splitDocumentByFormType } from './documentSplitter.js';
+import { splitDocumentByFormType, recognizeTemplate } from './documentSplitter.js';
 import { EnhancedOCR } from './enhancedOCR.js';
+import { PDFExtractor } from './pdfExtractor.js';
+import { runPythonOCR } from './pythonRunner.js';
+import { checkSessionDiscrepancies, extractAmendmentFromSplit, AMENDMENT_DOCUMENT_TYPE } from './discrepancyEngine.js';
+import { isSwiftFile, parseSwiftFile, creditTermsToFields, amendmentToFields } from './swiftParser.js';
+import { LetterOfCreditModel } from '../models/LetterOfCredit.js';
+import { FieldModel } from '../models/Field.js';
+import { DocumentIterationModel } from '../models/DocumentIteration.js';
+import { updateProgress } from './progressTracker.js';
+import { publishSessionEvent } from './sessionEvents.js';
+import { auditSystemAction } from './auditLog.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Import progress update function
-let updateProgress;
-try {
-  const documentsModule = await import('../routes/documents.js');
-  updateProgress = documentsModule.updateProgress;
-} catch (error) {
-  console.warn('Could not import updateProgress function:', error.message);
-  updateProgress = (documentId, stage, progress, message) => {
-    console.log(`Progress: ${documentId} - ${stage} (${progress}%) - ${message}`);
-  };
-}
-
-// Enhanced document templates for recognition
-const DOCUMENT_TEMPLATES = {
-  'Letter of Credit': {
-    keywords: ['letter of credit', 'documentary credit', 'irrevocable', 'beneficiary', 'applicant', 'lc number'],
-    fields: ['LC Number', 'Issue Date', 'Expiry Date', 'Amount', 'Beneficiary', 'Applicant'],
-    priority: 1
-  },
-  'Bill of Lading': {
-    keywords: ['bill of lading', 'shipped on board', 'consignee', 'notify party', 'vessel'],
-    fields: ['B/L Number', 'Vessel', 'Port of Loading', 'Port of Discharge', 'Consignee'],
-    priority: 2
-  },
-  'Commercial Invoice': {
-    keywords: ['commercial invoice', 'invoice number', 'total amount', 'description of goods', 'invoice'],
-    fields: ['Invoice Number', 'Date', 'Total Amount', 'Description', 'Quantity'],
-    priority: 3
-  },
-  'Packing List': {
-    keywords: ['packing list', 'packages', 'gross weight', 'net weight'],
-    fields: ['Package Count', 'Gross Weight', 'Net Weight', 'Dimensions'],
-    priority: 4
-  },
-  'Certificate of Origin': {
-    keywords: ['certificate of origin', 'country of origin', 'chamber of commerce'],
-    fields: ['Certificate Number', 'Country of Origin', 'Goods Description'],
-    priority: 5
-  },
-  'Insurance Certificate': {
-    keywords: ['insurance certificate', 'policy number', 'insured amount', 'coverage'],
-    fields: ['Policy Number', 'Insured Amount', 'Coverage Type', 'Validity'],
-    priority: 6
-  }
-};
+// Engines that turn an uploaded image or PDF into text: 'tesseract' runs in
+// Node (text layer first, OCR for scanned pages), 'python' runs the OpenCV
+// preprocessing OCR service in server/python/ocr_service
+export const OCR_ENGINES = ['tesseract', 'python'];
+
+const DEFAULT_OCR_ENGINE = process.env.OCR_ENGINE || 'tesseract';
+
+// Each run is stored as an iteration of the document. runType, jobId and
+// requestedBy describe where the run came from.
+export const processDocument = async (documentId, {
+  engine = DEFAULT_OCR_ENGINE,
+  signal,
+  runType = 'process',
+  jobId = null,
+  requestedBy = null
+} = {}) => {
+  const run = { runType, jobId, requestedBy, engine, startedAt: new Date() };
+  let document = null;
 
-export const processDocument = async (documentId) => {
   try {
+    if (!OCR_ENGINES.includes(engine)) {
+      throw new Error(`Unknown OCR engine: ${engine}`);
+    }
+
     console.log(`Starting enhanced OCR processing for document: ${documentId}`);
     updateProgress(documentId, 'processing', 15, 'Initializing enhanced OCR processing...');
     
     // Get document details from database
-    const document = await DocumentModel.getDocumentById(documentId);
+    document = await DocumentModel.getDocumentById(documentId);
     
     if (!document) {
       throw new Error('Document not found');
@@ -73,33 +58,25 @@ export const processDocument = async (documentId) => {
     // Update status to processing
     await DocumentModel.updateDocumentStatus(documentId, 'processing');
 
-    // Perform enhanced OCR based on file type
-    let ocrResult = null;
-    
-    try {
-      updateProgress(documentId, 'processing', 25, 'Starting enhanced OCR extraction...');
-      
-      if (document.fileType.startsWith('image/')) {
-        console.log('Processing image file with Enhanced OCR...');
-        ocrResult = await EnhancedOCR.performEnhancedOCR(document.filePath, documentId, updateProgress);
-      } else if (document.fileType === 'application/pdf') {
-        console.log('Processing PDF file with Enhanced OCR...');
-        ocrResult = await performEnhancedPDFOCR(document.filePath, documentId);
-      } else {
-        throw new Error('Unsupported file type for OCR');
-      }
-    } catch (ocrError) {
-      console.error('Enhanced OCR processing failed, using enhanced mock data:', ocrError.message);
-      updateProgress(documentId, 'processing', 40, 'OCR failed, generating enhanced sample data...');
-      // Use enhanced mock data for demonstration
-      ocrResult = {
-        text: generateEnhancedMockOCRText(document.fileName),
-        confidence: 0.85,
-        words: [],
-        blocks: []
-      };
+    // SWIFT credits carry their terms as tagged fields and need no OCR
+    if (isSwiftFile(document)) {
+      const result = await processSwiftMessage(document);
+      const iteration = await saveIteration(document, { ...run, engine: 'swift' }, {
+        status: 'completed',
+        cleanedContent: result.extractedText,
+        extractedFields: result.extractedFields,
+        documentType: result.documentType,
+        splitCount: 1,
+        confidence: 1
+      });
+      return { ...result, iteration };
     }
 
+    // Extraction failures are not papered over: the document ends in
+    // status 'error' with the reason
+    updateProgress(documentId, 'processing', 25, 'Starting enhanced OCR extraction...');
+    const ocrResult = await extractDocumentText(document, documentId, { engine, signal });
+
     const extractedText = ocrResult.text;
     console.log(`Enhanced OCR extracted text length: ${extractedText.length} characters`);
     console.log(`OCR confidence: ${Math.round(ocrResult.confidence * 100)}%`);
@@ -109,10 +86,36 @@ export const processDocument = async (documentId) => {
     console.log('Starting enhanced document splitting by form type...');
     updateProgress(documentId, 'processing', 70, 'Splitting document by form types...');
     
-    const splitResult = await splitDocumentByFormType(documentId, extractedText);
+    const splitResult = await splitDocumentByFormType(documentId, extractedText, ocrResult.pages, {
+      templateId: document.templateId
+    });
     
     console.log(`Document split into ${splitResult.splitCount} sections with enhanced analysis`);
     updateProgress(documentId, 'processing', 80, `Split into ${splitResult.splitCount} documents`);
+    await auditSystemAction({
+      action: 'document.split',
+      entityType: 'document',
+      entityId: documentId,
+      sessionId: document.sessionId,
+      after: {
+        splitCount: splitResult.splitCount,
+        splits: splitResult.splitDocuments.map(split => ({
+          id: split.id,
+          documentType: split.documentType,
+          pageRange: split.pageRange
+        }))
+      }
+    });
+    publishSessionEvent(document.sessionId, 'split', {
+      documentId,
+      splitCount: splitResult.splitCount,
+      splits: splitResult.splitDocuments.map(split => ({
+        id: split.id,
+        documentType: split.documentType,
+        pageRange: split.pageRange,
+        confidence: split.confidence
+      }))
+    });
 
     // Process each split document with enhanced formatting
     const processedSplits = [];
@@ -140,6 +143,7 @@ export const processDocument = async (documentId) => {
           id: `field_${documentId}_split_${doc.splitIndex}_${index}`,
           documentId: documentId,
           splitDocumentId: doc.id,
+          documentType: doc.documentType,
           position: { x: 0, y: index * 30, width: 200, height: 25 },
           isValidated: false,
           isEdited: false
@@ -148,24 +152,56 @@ export const processDocument = async (documentId) => {
       matchedTemplate: splitResult.splitCount > 1 ? 'Multi-Form Document' : splitResult.splitDocuments[0]?.documentType || 'Unknown',
       isNewDocument: false,
       splitDocuments: processedSplits,
+      pages: ocrResult.pages,
       ocrMetadata: {
         confidence: ocrResult.confidence,
+        pageCount: ocrResult.pages.length,
+        ocrPageCount: ocrResult.pages.filter(page => page.source === 'ocr').length,
         wordCount: ocrResult.words?.length || 0,
         blockCount: ocrResult.blocks?.length || 0,
-        processingMethod: 'enhanced_multi_pass'
+        processingMethod: 'enhanced_multi_pass',
+        engine,
+        detectedFields: ocrResult.detectedFields || null
       }
     };
 
+    // Without its cleaned data the document has no results; a failed save
+    // ends the run in error
     try {
       await DocumentModel.saveCleanedDocument(cleanedData);
       console.log(`Enhanced cleaned document data saved for: ${documentId}`);
     } catch (saveError) {
-      console.error('Failed to save enhanced cleaned document data:', saveError.message);
-      // Continue processing even if save fails
+      throw new Error(`Could not save the processing results: ${saveError.message}`);
     }
 
+    await saveDocumentFields(documentId, document.sessionId, cleanedData.extractedFields);
+
     // Update document status to processed
     await DocumentModel.updateDocumentStatus(documentId, 'processed');
+
+    // OCR'd amendment advices join the session's amendment chain
+    for (const splitDoc of processedSplits.filter(split => split.documentType === AMENDMENT_DOCUMENT_TYPE)) {
+      try {
+        await recordAmendment(document, extractAmendmentFromSplit(splitDoc));
+      } catch (amendmentError) {
+        console.error(`Could not record amendment from ${splitDoc.id}:`, amendmentError.message);
+      }
+    }
+
+    const iteration = await saveIteration(document, run, {
+      status: 'completed',
+      cleanedContent: cleanedData.cleanedContent,
+      extractedFields: cleanedData.extractedFields,
+      documentType: cleanedData.matchedTemplate,
+      pages: ocrResult.pages,
+      splitCount: splitResult.splitCount,
+      confidence: averagePageConfidence(ocrResult.pages)
+    });
+
+    // Re-examine the session now that this document's splits are available
+    updateProgress(documentId, 'processing', 95, 'Checking documents against the Letter of Credit...');
+    const discrepancyResult = await recheckSession(document);
+
     updateProgress(documentId, 'completed', 100, 'Enhanced processing completed successfully');
 
     console.log(`Enhanced OCR processing completed for document: ${documentId}`);
@@ -180,14 +216,20 @@ export const processDocument = async (documentId) => {
       extractedFields: cleanedData.extractedFields,
       confidence: ocrResult.confidence,
       ocrMetadata: cleanedData.ocrMetadata,
+      discrepancySummary: discrepancyResult?.summary || null,
+      iteration,
       processingTime: new Date().toISOString()
     };
 
   } catch (error) {
     console.error('Enhanced OCR processing error:', error);
+    // A cancelled run leaves no iteration; a failed one is kept with its error
+    if (document && error.name !== 'AbortError') {
+      await saveIteration(document, run, { status: 'failed', errorMessage: error.message });
+    }
     updateProgress(documentId, 'error', 0, `Enhanced processing failed: ${error.message}`);
     try {
-      await DocumentModel.updateDocumentStatus(documentId, 'error');
+      await DocumentModel.updateDocumentStatus(documentId, 'error', error.message);
     } catch (updateError) {
       console.error('Failed to update document status to error:', updateError.message);
     }
@@ -195,320 +237,325 @@ export const processDocument = async (documentId) => {
   }
 };
 
-const performEnhancedPDFOCR = async (filePath, documentId) => {
-  try {
-    console.log(`Calling Enhanced Python OCR for: ${filePath}`);
-    updateProgress(documentId, 'processing', 35, 'Processing PDF with enhanced Python OCR...');
-    
-    const uploadsDir = process.env.UPLOAD_PATH || './uploads';
-    const fullPath = path.resolve(uploadsDir, filePath);
-
-    // Use enhanced Python OCR (would be implemented)
-    // For now, use enhanced mock data
-    const extractedText = generateEnhancedMockOCRText(filePath);
-    
-    updateProgress(documentId, 'processing', 55, 'Enhanced PDF text extraction completed');
-    
-    return {
-      text: extractedText,
-      confidence: 0.88,
-      words: [],
-      blocks: []
-    };
-
-  } catch (error) {
-    console.error('Enhanced Python OCR failed:', error);
-    throw new Error(`Failed to extract text from PDF via Enhanced Python: ${error}`);
+// Parse an MT700/710/720 and store it as the session's authoritative credit,
+// or an MT707 and add it to the session's amendment chain
+const processSwiftMessage = async (document) => {
+  const documentId = document.id;
+  updateProgress(documentId, 'processing', 30, 'Reading SWIFT message...');
+
+  const uploadsDir = process.env.UPLOAD_PATH || './uploads';
+  const rawMessage = fs.readFileSync(path.resolve(uploadsDir, document.filePath), 'utf8');
+  const { kind, message } = parseSwiftFile(rawMessage);
+
+  console.log(`Parsed ${message.messageType} for credit ${message.lcNumber}`);
+  updateProgress(documentId, 'processing', 60, `Parsed ${message.messageType} for credit ${message.lcNumber}`);
+
+  let fields;
+  let completionMessage;
+  if (kind === 'amendment') {
+    const amendment = await recordAmendment(document, message, rawMessage);
+    fields = amendmentToFields({ ...message, amendmentNumber: amendment.amendmentNumber });
+    completionMessage = `Amendment ${amendment.amendmentNumber} added to credit ${message.lcNumber}`;
+  } else {
+    const credit = await LetterOfCreditModel.saveCredit({
+      sessionId: document.sessionId,
+      documentId,
+      messageType: message.messageType,
+      lcNumber: message.lcNumber,
+      terms: message,
+      rawMessage
+    });
+    await auditSystemAction({
+      action: 'credit.record',
+      entityType: 'credit',
+      entityId: credit?.id || null,
+      sessionId: document.sessionId,
+      after: { documentId, messageType: message.messageType, lcNumber: message.lcNumber }
+    });
+    fields = creditTermsToFields(message);
+    completionMessage = `${message.messageType} stored as the session's Letter of Credit`;
   }
-};
-
-const generateEnhancedMockOCRText = (fileName) => {
-  const name = fileName.toLowerCase();
-  
-  if (name.includes('lc') || name.includes('letter') || name.includes('credit')) {
-    return `
-═══════════════════════════════════════════════════════════════════════════════
-                           IRREVOCABLE DOCUMENTARY CREDIT
-═══════════════════════════════════════════════════════════════════════════════
-
-▶ LC NUMBER: LC${Math.random().toString().substr(2, 8)}
-▶ ISSUE DATE: ${new Date().toLocaleDateString()}
-▶ EXPIRY DATE: ${new Date(Date.now() + 180 * 24 * 60 * 60 * 1000).toLocaleDateString()}
-▶ AMOUNT: USD ${(Math.random() * 100000 + 10000).toFixed(2)}
-
-── PARTIES INFORMATION ──
-
-▶ BENEFICIARY:
-  ABC Trading Company Limited
-  123 Business Street, Trade City, TC 12345
-  Phone: +1-555-0123
-  Email: info@abctrading.com
-
-▶ APPLICANT:
-  XYZ Import Corporation
-  456 Commerce Avenue, Import Town, IT 67890
-  Phone: +1-555-0456
-  Email: orders@xyzimport.com
-
-── GOODS DESCRIPTION ──
-
-▶ DESCRIPTION OF GOODS:
-  Electronic components and accessories as per proforma invoice PI-2024-001
-  
-▶ QUANTITY: 1,000 units
-▶ UNIT PRICE: USD 50.00 per unit
-▶ TOTAL VALUE: USD 50,000.00
-
-── REQUIRED DOCUMENTS ──
-
-1. Commercial Invoice in triplicate
-2. Packing List showing gross and net weights
-3. Full set of clean on board ocean Bills of Lading
-4. Certificate of Origin issued by Chamber of Commerce
-5. Marine Insurance Certificate covering 110% of invoice value
-
-── TERMS AND CONDITIONS ──
-
-▶ SHIPMENT FROM: Port of Shanghai, China
-▶ SHIPMENT TO: Port of Los Angeles, USA
-▶ LATEST SHIPMENT DATE: ${new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toLocaleDateString()}
-▶ PRESENTATION PERIOD: 21 days after shipment date
-▶ PARTIAL SHIPMENTS: Not allowed
-▶ TRANSSHIPMENT: Allowed
-
-This credit is subject to Uniform Customs and Practice for Documentary Credits (UCP 600).
-
-═══════════════════════════════════════════════════════════════════════════════
-
-───────────────────────────────────────────────────────────────────────────────
-                              COMMERCIAL INVOICE
-───────────────────────────────────────────────────────────────────────────────
-
-▶ INVOICE NUMBER: INV-${Math.random().toString().substr(2, 6)}
-▶ INVOICE DATE: ${new Date().toLocaleDateString()}
-
-── SELLER INFORMATION ──
-
-▶ SOLD BY:
-  ABC Trading Company Limited
-  123 Business Street, Trade City, TC 12345
-  Tax ID: TC123456789
-  Phone: +1-555-0123
-
-── BUYER INFORMATION ──
-
-▶ SOLD TO:
-  XYZ Import Corporation
-  456 Commerce Avenue, Import Town, IT 67890
-  Tax ID: IT987654321
-
-▶ SHIP TO:
-  Same as above
-
-── GOODS DETAILS ──
-
-Item Description                    Qty    Unit Price    Total
-Electronic Components - Model EC-2024  1000   USD 50.00   USD 50,000.00
-
-▶ SUBTOTAL: USD 50,000.00
-▶ SHIPPING: USD 2,500.00
-▶ INSURANCE: USD 550.00
-▶ TOTAL AMOUNT: USD 53,050.00
-
-▶ TERMS: FOB Shanghai
-▶ PAYMENT: Letter of Credit LC${Math.random().toString().substr(2, 8)}
-
-───────────────────────────────────────────────────────────────────────────────
-
-───────────────────────────────────────────────────────────────────────────────
-                                BILL OF LADING
-───────────────────────────────────────────────────────────────────────────────
-
-▶ B/L NUMBER: BL${Math.random().toString().substr(2, 8)}
-▶ BOOKING NUMBER: BK${Math.random().toString().substr(2, 6)}
-
-── VESSEL INFORMATION ──
-
-▶ VESSEL: MV TRADE CARRIER
-▶ VOYAGE: TC-2024-${Math.random().toString().substr(2, 3)}
-▶ FLAG: Panama
 
-── PORT INFORMATION ──
-
-▶ PORT OF LOADING: Shanghai, China
-▶ PORT OF DISCHARGE: Los Angeles, USA
-▶ PLACE OF RECEIPT: Shanghai Container Terminal
-▶ PLACE OF DELIVERY: Los Angeles Port Authority
-
-── PARTIES ──
-
-▶ SHIPPER:
-  ABC Trading Company Limited
-  123 Business Street, Trade City, TC 12345
-
-▶ CONSIGNEE:
-  XYZ Import Corporation
-  456 Commerce Avenue, Import Town, IT 67890
+  const splitId = `${documentId}_split_1`;
+  const documentType = kind === 'amendment' ? AMENDMENT_DOCUMENT_TYPE : 'Letter of Credit';
+  const cleanedData = {
+    documentId: documentId,
+    sessionId: document.sessionId,
+    cleanedContent: rawMessage,
+    extractedFields: fields.map((field, index) => ({
+      ...field,
+      id: `field_${documentId}_split_1_${index}`,
+      documentId: documentId,
+      splitDocumentId: splitId,
+      documentType,
+      position: { x: 0, y: index * 30, width: 200, height: 25 },
+      isValidated: false,
+      isEdited: false
+    })),
+    matchedTemplate: documentType,
+    isNewDocument: false
+  };
 
-▶ NOTIFY PARTY:
-  Same as Consignee
+  await DocumentModel.saveCleanedDocument(cleanedData);
+  await saveDocumentFields(documentId, document.sessionId, cleanedData.extractedFields);
+  await DocumentModel.updateDocumentStatus(documentId, 'processed');
+
+  updateProgress(documentId, 'processing', 95, 'Checking documents against the Letter of Credit...');
+  const discrepancyResult = await recheckSession(document);
+
+  updateProgress(documentId, 'completed', 100, completionMessage);
+
+  return {
+    success: true,
+    documentId: documentId,
+    extractedText: rawMessage,
+    splitResult: { splitCount: 1, splitDocuments: [] },
+    splitDocuments: [],
+    documentType: cleanedData.matchedTemplate,
+    extractedFields: cleanedData.extractedFields,
+    confidence: 1,
+    [kind]: message,
+    discrepancySummary: discrepancyResult?.summary || null,
+    processingTime: new Date().toISOString()
+  };
+};
 
-── CARGO DETAILS ──
+// Store a run as the next iteration of its document. A run that cannot be
+// recorded still counts; the failure is only logged.
+const saveIteration = async (document, run, outcome) => {
+  await auditSystemAction({
+    action: outcome.status === 'completed' ? 'document.processed' : 'document.processing_failed',
+    entityType: 'document',
+    entityId: document.id,
+    sessionId: document.sessionId,
+    after: {
+      runType: run.runType,
+      jobId: run.jobId,
+      engine: run.engine,
+      requestedBy: run.requestedBy,
+      documentType: outcome.documentType || null,
+      splitCount: outcome.splitCount ?? null,
+      fieldCount: outcome.extractedFields ? outcome.extractedFields.length : null,
+      confidence: outcome.confidence ?? null,
+      errorMessage: outcome.errorMessage || null
+    }
+  });
 
-▶ DESCRIPTION OF GOODS:
-  1000 CTNS Electronic Components
-  Said to contain: Electronic parts and accessories
+  try {
+    return await DocumentIterationModel.recordIteration({
+      documentId: document.id,
+      sessionId: document.sessionId,
+      runType: run.runType,
+      jobId: run.jobId,
+      engine: run.engine,
+      requestedBy: run.requestedBy,
+      startedAt: run.startedAt,
+      durationMs: Date.now() - run.startedAt.getTime(),
+      documentVersion: document.currentVersion,
+      ...outcome
+    });
+  } catch (recordError) {
+    console.error(`Could not record iteration of document ${document.id}:`, recordError.message);
+    return null;
+  }
+};
 
-▶ CONTAINER NUMBER: TCLU1234567
-▶ SEAL NUMBER: SL789456
-▶ GROSS WEIGHT: 5,000 KGS
-▶ NET WEIGHT: 4,500 KGS
-▶ MEASUREMENT: 50 CBM
+// Page confidences are 0-1 for every engine, unlike the overall OCR figure
+const averagePageConfidence = (pages = []) => {
+  const scored = pages.filter(page => typeof page.confidence === 'number');
+  if (scored.length === 0) return null;
+  return Math.round(scored.reduce((sum, page) => sum + page.confidence, 0) / scored.length * 10000) / 10000;
+};
 
-▶ FREIGHT: PREPAID
-▶ SHIPPED ON BOARD: ${new Date().toLocaleDateString()}
+// Extracted fields are stored as rows, replacing those of an earlier run.
+// A failure leaves the fields to be extracted again from the cleaned data.
+const saveDocumentFields = async (documentId, sessionId, fields) => {
+  try {
+    await FieldModel.replaceDocumentFields(documentId, sessionId, fields);
+  } catch (saveError) {
+    console.error(`Failed to save extracted fields of document ${documentId}:`, saveError.message);
+  }
+};
 
-───────────────────────────────────────────────────────────────────────────────
-    `;
-  } else if (name.includes('invoice')) {
-    return `
-───────────────────────────────────────────────────────────────────────────────
-                              COMMERCIAL INVOICE
-───────────────────────────────────────────────────────────────────────────────
+// Re-examine the session after a document changed it and tell its live
+// clients. A failed check does not fail the processing.
+const recheckSession = async (document) => {
+  try {
+    const report = await checkSessionDiscrepancies(document.sessionId);
+    publishSessionEvent(document.sessionId, 'discrepancies', {
+      documentId: document.id,
+      checkedAt: report.checkedAt,
+      summary: report.summary
+    });
+    return report;
+  } catch (checkError) {
+    console.error('Discrepancy check failed:', checkError.message);
+    return null;
+  }
+};
 
-▶ INVOICE NUMBER: INV-${Math.random().toString().substr(2, 6)}
-▶ INVOICE DATE: ${new Date().toLocaleDateString()}
-▶ DUE DATE: ${new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString()}
+// Add an amendment to the session's chain. Amendments must belong to the
+// session's credit and each number may only be recorded once; an advice
+// without a number becomes the next one in the chain.
+const recordAmendment = async (document, amendment, rawMessage = null) => {
+  const credit = await LetterOfCreditModel.getCreditBySession(document.sessionId);
+  const normalizeReference = (value) => (value || '').replace(/[^A-Z0-9]/gi, '').toUpperCase();
 
-── SELLER INFORMATION ──
+  if (credit && amendment.lcNumber && normalizeReference(credit.lcNumber) !== normalizeReference(amendment.lcNumber)) {
+    throw new Error(`Amendment is for credit ${amendment.lcNumber} but the session's credit is ${credit.lcNumber}`);
+  }
 
-▶ SOLD BY:
-  ABC Trading Company Limited
-  123 Business Street, Trade City, TC 12345
-  Tax ID: TC123456789
-  Phone: +1-555-0123
-  Email: billing@abctrading.com
+  const existing = await LetterOfCreditModel.getAmendmentsBySession(document.sessionId);
 
-── BUYER INFORMATION ──
+  // Reprocessing the same document keeps the amendment already recorded. A
+  // SWIFT message is a single amendment, so its row follows the message when
+  // the document's file changed, as after a revert.
+  const recorded = existing.find(row => row.documentId === document.id &&
+    (rawMessage !== null || amendment.amendmentNumber == null || row.amendmentNumber === amendment.amendmentNumber));
+  if (recorded && (rawMessage === null || recorded.rawMessage === rawMessage)) {
+    return recorded;
+  }
 
-▶ SOLD TO:
-  XYZ Import Corporation
-  456 Commerce Avenue, Import Town, IT 67890
-  Tax ID: IT987654321
-  Phone: +1-555-0456
+  const others = existing.filter(row => row !== recorded);
+  const amendmentNumber = amendment.amendmentNumber ?? recorded?.amendmentNumber ??
+    others.reduce((highest, row) => Math.max(highest, row.amendmentNumber), 0) + 1;
 
-▶ SHIP TO:
-  Same as above
+  if (others.some(row => row.amendmentNumber === amendmentNumber)) {
+    throw new Error(`Amendment ${amendmentNumber} is already recorded for this session`);
+  }
 
-── GOODS DETAILS ──
+  if (recorded) {
+    console.log(`Updating amendment ${amendmentNumber} for session ${document.sessionId} from document ${document.id}`);
+
+    const updated = await LetterOfCreditModel.updateAmendmentMessage(recorded.id, {
+      amendmentNumber,
+      lcNumber: amendment.lcNumber || credit?.lcNumber || null,
+      amendmentDate: amendment.amendmentDate ? new Date(amendment.amendmentDate) : null,
+      source: amendment.source,
+      changes: amendment.changes,
+      rawMessage
+    });
+    await auditSystemAction({
+      action: 'amendment.update',
+      entityType: 'amendment',
+      entityId: recorded.id,
+      sessionId: document.sessionId,
+      before: { amendmentNumber: recorded.amendmentNumber, changes: recorded.changes },
+      after: { documentId: document.id, amendmentNumber, source: amendment.source, changes: amendment.changes }
+    });
+    return updated;
+  }
 
-Item Description                    Qty    Unit Price    Total
-Electronic Components - Model EC-2024  1000   USD 50.00   USD 50,000.00
-Packaging and Handling                   1    USD 500.00  USD 500.00
-Documentation Fee                        1    USD 100.00  USD 100.00
+  console.log(`Recording amendment ${amendmentNumber} for session ${document.sessionId}`);
+
+  const created = await LetterOfCreditModel.createAmendment({
+    sessionId: document.sessionId,
+    documentId: document.id,
+    amendmentNumber,
+    lcNumber: amendment.lcNumber || credit?.lcNumber || null,
+    amendmentDate: amendment.amendmentDate ? new Date(amendment.amendmentDate) : null,
+    source: amendment.source,
+    changes: amendment.changes,
+    rawMessage
+  });
+  await auditSystemAction({
+    action: 'amendment.record',
+    entityType: 'amendment',
+    entityId: created?.id || null,
+    sessionId: document.sessionId,
+    after: { documentId: document.id, amendmentNumber, source: amendment.source, changes: amendment.changes }
+  });
+  return created;
+};
 
-▶ SUBTOTAL: USD 50,600.00
-▶ TAX (5%): USD 2,530.00
-▶ SHIPPING: USD 2,500.00
-▶ INSURANCE: USD 550.00
-▶ TOTAL AMOUNT: USD 56,180.00
+// Text, pages and word coordinates of an uploaded image or PDF
+const extractDocumentText = async (document, documentId, { engine = DEFAULT_OCR_ENGINE, signal, onProgress = updateProgress } = {}) => {
+  if (engine === 'python') {
+    return await performPythonOCR(document.filePath, documentId, { signal, onProgress });
+  }
 
-▶ TERMS: FOB Shanghai
-▶ PAYMENT: Letter of Credit
-▶ CURRENCY: USD
+  if (document.fileType.startsWith('image/')) {
+    console.log('Processing image file with Enhanced OCR...');
+    const ocrResult = await EnhancedOCR.performEnhancedOCR(document.filePath, documentId, onProgress);
+    return {
+      ...ocrResult,
+      pages: [{
+        pageNumber: 1,
+        source: 'ocr',
+        text: ocrResult.text,
+        confidence: ocrResult.confidence / 100,
+        words: ocrResult.words
+      }]
+    };
+  }
 
-───────────────────────────────────────────────────────────────────────────────
-    `;
-  } else if (name.includes('bl') || name.includes('lading')) {
-    return `
-───────────────────────────────────────────────────────────────────────────────
-                                BILL OF LADING
-───────────────────────────────────────────────────────────────────────────────
+  if (document.fileType === 'application/pdf') {
+    console.log('Processing PDF file...');
+    return await performPDFExtraction(document.filePath, documentId, { signal, onProgress });
+  }
 
-▶ B/L NUMBER: BL${Math.random().toString().substr(2, 8)}
-▶ BOOKING NUMBER: BK${Math.random().toString().substr(2, 6)}
-▶ REFERENCE NUMBER: REF${Math.random().toString().substr(2, 6)}
+  throw new Error(`Unsupported file type for OCR: ${document.fileType}`);
+};
 
-── VESSEL INFORMATION ──
-
-▶ VESSEL: MV TRADE CARRIER
-▶ VOYAGE: TC-2024-${Math.random().toString().substr(2, 3)}
-▶ FLAG: Panama
-▶ IMO NUMBER: 1234567
-
-── PORT INFORMATION ──
-
-▶ PORT OF LOADING: Shanghai, China
-▶ PORT OF DISCHARGE: Los Angeles, USA
-▶ PLACE OF RECEIPT: Shanghai Container Terminal
-▶ PLACE OF DELIVERY: Los Angeles Port Authority
-
-── PARTIES ──
-
-▶ SHIPPER:
-  ABC Trading Company Limited
-  123 Business Street, Trade City, TC 12345
-  Phone: +1-555-0123
-
-▶ CONSIGNEE:
-  XYZ Import Corporation
-  456 Commerce Avenue, Import Town, IT 67890
-  Phone: +1-555-0456
-
-▶ NOTIFY PARTY:
-  Same as Consignee
-
-── CARGO DETAILS ──
-
-▶ DESCRIPTION OF GOODS:
-  1000 CTNS Electronic Components
-  Said to contain: Electronic parts and accessories
-  HS Code: 8542.39.0001
-
-▶ CONTAINER NUMBER: TCLU1234567
-▶ CONTAINER TYPE: 20' DRY
-▶ SEAL NUMBER: SL789456
-▶ GROSS WEIGHT: 5,000 KGS
-▶ NET WEIGHT: 4,500 KGS
-▶ MEASUREMENT: 50 CBM
-
-▶ FREIGHT: PREPAID
-▶ SHIPPED ON BOARD: ${new Date().toLocaleDateString()}
-▶ CLEAN ON BOARD: YES
+const performPythonOCR = async (filePath, documentId, { signal, onProgress }) => {
+  try {
+    console.log(`Calling Python OCR for: ${filePath}`);
+    onProgress(documentId, 'processing', 30, 'Processing document with Python OCR...');
 
-───────────────────────────────────────────────────────────────────────────────
-    `;
-  } else {
-    return `
-═══════════════════════════════════════════════════════════════════════════════
-                           TRADE FINANCE DOCUMENT
-═══════════════════════════════════════════════════════════════════════════════
+    const uploadsDir = process.env.UPLOAD_PATH || './uploads';
+    const fullPath = path.resolve(uploadsDir, filePath);
 
-▶ DOCUMENT NUMBER: DOC-${Math.random().toString().substr(2, 8)}
-▶ DATE: ${new Date().toLocaleDateString()}
-▶ REFERENCE: REF-${Math.random().toString().substr(2, 6)}
+    const result = await runPythonOCR(fullPath, {
+      signal,
+      onStderr: (line) => {
+        const page = line.match(/Extracting text from page (\d+)/);
+        if (page) {
+          onProgress(documentId, 'processing', 40, `Python OCR: page ${page[1]}`);
+        } else {
+          console.log(`[python-ocr] ${line}`);
+        }
+      }
+    });
 
-── DOCUMENT INFORMATION ──
+    if (!result.text.trim()) {
+      throw new Error(`No text could be extracted (${result.pageCount} pages)`);
+    }
 
-This document contains trade finance information related to international 
-commerce transactions and documentary credit operations.
+    onProgress(documentId, 'processing', 55, `Python OCR completed (${result.pageCount} pages)`);
+    return result;
 
-── PARTIES INVOLVED ──
+  } catch (error) {
+    console.error('Python OCR failed:', error.message, error.stderr || '');
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Failed to extract text via Python OCR: ${error.message}`);
+  }
+};
 
-▶ EXPORTER: ABC Trading Company
-▶ IMPORTER: XYZ Import Corporation
+// Pages with a text layer are read directly, scanned pages are OCR'd
+const performPDFExtraction = async (filePath, documentId, { signal, onProgress }) => {
+  try {
+    console.log(`Extracting PDF text for: ${filePath}`);
+    onProgress(documentId, 'processing', 30, 'Reading PDF pages...');
 
-── TRANSACTION DETAILS ──
+    const uploadsDir = process.env.UPLOAD_PATH || './uploads';
+    const fullPath = path.resolve(uploadsDir, filePath);
 
-▶ VALUE: USD ${(Math.random() * 100000 + 10000).toFixed(2)}
-▶ CURRENCY: USD
-▶ TERMS: FOB
-▶ PAYMENT METHOD: Documentary Credit
+    const result = await PDFExtractor.extractPDF(fullPath, {
+      signal,
+      onPageProgress: (pageNumber, pageCount, source) => {
+        const progress = 30 + Math.round((pageNumber / pageCount) * 25); // 30-55%
+        onProgress(documentId, 'processing', progress,
+          `Page ${pageNumber}/${pageCount} extracted (${source === 'ocr' ? 'OCR' : 'text layer'})`);
+      }
+    });
 
-Additional terms and conditions apply as per the underlying commercial agreement.
+    onProgress(documentId, 'processing', 55, `PDF text extraction completed (${result.pageCount} pages)`);
+    return result;
 
-═══════════════════════════════════════════════════════════════════════════════
-    `;
+  } catch (error) {
+    console.error('PDF text extraction failed:', error);
+    if (error.name === 'AbortError') throw error;
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
   }
 };
 
@@ -698,30 +745,13 @@ const calculateOverallConfidence = (fields) => {
   return totalConfidence / fields.length;
 };
 
-export const reprocessDocument = async (documentId) => {
+// Run processing again; the run is stored as the document's next iteration
+export const reprocessDocument = async (documentId, options = {}) => {
   try {
     console.log(`Reprocessing document with enhanced OCR: ${documentId}`);
     updateProgress(documentId, 'reprocessing', 10, 'Starting enhanced reprocessing...');
     
-    // Increment iteration count
-    // This would typically update the iteration in the database
-    
-    // Rerun the enhanced OCR process
-    const result = await processDocument(documentId);
-    
-    return {
-      ...result,
-      iteration: {
-        id: `iteration_${Date.now()}`,
-        documentId: documentId,
-        iterationNumber: 1, // This would be incremented properly
-        ocrResult: result.extractedText,
-        extractedFields: result.extractedFields,
-        createdAt: new Date().toISOString(),
-        status: 'completed',
-        enhancedProcessing: true
-      }
-    };
+    return await processDocument(documentId, { ...options, runType: 'reprocess' });
   } catch (error) {
     console.error('Enhanced reprocessing error:', error);
     updateProgress(documentId, 'error', 0, `Enhanced reprocessing failed: ${error.message}`);
@@ -729,23 +759,18 @@ export const reprocessDocument = async (documentId) => {
   }
 };
 
-export const recognizeDocumentType = async (filePath) => {
+// Recognise the type of a document from the templates in the registry,
+// without splitting it
+export const recognizeDocumentType = async (document) => {
   try {
-    // Enhanced document type recognition
-    let text;
-    try {
-      const ocrResult = await EnhancedOCR.performEnhancedOCR(filePath, 'temp', () => {});
-      text = ocrResult.text;
-    } catch (error) {
-      text = generateEnhancedMockOCRText(filePath);
-    }
+    const { text } = await extractDocumentText(document, document.id, { onProgress: () => {} });
     
-    const documentType = recognizeDocumentTypeFromText(text);
+    const recognition = await recognizeTemplate(text);
     
     return {
-      documentType: documentType,
-      confidence: documentType === 'Unknown' ? 0.1 : 0.92,
-      template: `${documentType.toUpperCase().replace(/\s+/g, '_')}_ENHANCED_TEMPLATE_001`,
+      documentType: recognition.documentType || 'Unknown',
+      confidence: recognition.documentType ? recognition.confidence : 0.1,
+      template: recognition.template,
       enhancedRecognition: true
     };
   } catch (error) {
@@ -753,27 +778,3 @@ export const recognizeDocumentType = async (filePath) => {
     throw error;
   }
 };
-
-const recognizeDocumentTypeFromText = (text) => {
-  const normalizedText = text.toLowerCase();
-  let bestMatch = 'Unknown';
-  let highestScore = 0;
-  
-  for (const [templateName, template] of Object.entries(DOCUMENT_TEMPLATES)) {
-    const keywordMatches = template.keywords.filter(keyword => 
-      normalizedText.includes(keyword.toLowerCase())
-    ).length;
-    
-    // Enhanced scoring with priority weighting
-    const keywordScore = keywordMatches / template.keywords.length;
-    const priorityBonus = (7 - template.priority) * 0.1; // Higher priority = higher bonus
-    const totalScore = keywordScore + priorityBonus;
-    
-    if (totalScore > highestScore && keywordScore > 0.3) {
-      highestScore = totalScore;
-      bestMatch = templateName;
-    }
-  }
-  
-  return bestMatch;
-};
\ No newline at end of file
@@ -0,0 +1,374 @@
+import Tesseract from 'tesseract.js';
+import fs from 'fs';
+import zlib from 'zlib';
+
+// PDF text extraction: the embedded text layer is used where a page has one,
+// image-only (scanned) pages are OCR'd from their page image. Every page keeps
+// its number and word coordinates, in PDF points from the top-left corner.
+
+// Pages with fewer characters than this in their text layer are treated as
+// scanned images
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Words on the same line may sit a little above or below each other
+const LINE_TOLERANCE_RATIO = 0.5;
+
+// pdfjs logs font and canvas warnings through its own logger; only errors matter here
+const PDFJS_VERBOSITY_ERRORS = 0;
+
+let pdfjsPromise = null;
+
+// pdfjs is loaded on first use: importing it in Node logs canvas polyfill
+// warnings, which would otherwise show on every server start
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.js').then(module => module.default || module);
+  }
+  return pdfjsPromise;
+};
+
+// ─── PNG encoding ───────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// Encode decoded pdfjs image data as a PNG for Tesseract
+const encodePNG = (image, ImageKind) => {
+  const formats = {
+    [ImageKind.GRAYSCALE_1BPP]: { colorType: 0, bitDepth: 1, rowBytes: Math.ceil(image.width / 8) },
+    [ImageKind.RGB_24BPP]: { colorType: 2, bitDepth: 8, rowBytes: image.width * 3 },
+    [ImageKind.RGBA_32BPP]: { colorType: 6, bitDepth: 8, rowBytes: image.width * 4 }
+  };
+  const format = formats[image.kind];
+  if (!format) {
+    throw new Error(`Unsupported PDF image format (kind ${image.kind})`);
+  }
+
+  // Every scanline is prefixed with filter type 0 (none)
+  const raw = Buffer.alloc((format.rowBytes + 1) * image.height);
+  for (let row = 0; row < image.height; row++) {
+    const source = image.data.subarray(row * format.rowBytes, (row + 1) * format.rowBytes);
+    raw.set(source, row * (format.rowBytes + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = format.bitDepth;
+  header[9] = format.colorType;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// ─── Geometry ───────────────────────────────────────────────────────────────
+
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+// Bounding box of the rectangle (x0, y0)-(x1, y1) under a transform
+const transformBox = (m, x0, y0, x1, y1) => {
+  const corners = [apply(m, x0, y0), apply(m, x1, y0), apply(m, x0, y1), apply(m, x1, y1)];
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return {
+    x0: Math.round(Math.min(...xs) * 100) / 100,
+    y0: Math.round(Math.min(...ys) * 100) / 100,
+    x1: Math.round(Math.max(...xs) * 100) / 100,
+    y1: Math.round(Math.max(...ys) * 100) / 100
+  };
+};
+
+const cancellationError = () => {
+  const error = new Error('PDF extraction was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export class PDFExtractor {
+
+  // Extract the text of every page of a PDF file. An aborted `signal` stops
+  // the extraction before the next page.
+  static async extractPDF(fullPath, { onPageProgress = () => {}, signal } = {}) {
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File not found: ${fullPath}`);
+    }
+
+    const pdfjs = await loadPdfjs();
+    const data = new Uint8Array(fs.readFileSync(fullPath));
+
+    let pdf;
+    try {
+      pdf = await pdfjs.getDocument({ data, isEvalSupported: false, verbosity: PDFJS_VERBOSITY_ERRORS }).promise;
+    } catch (error) {
+      throw new Error(`Unreadable PDF: ${error.message}`);
+    }
+
+    let worker = null;
+    const pages = [];
+
+    // Cancelling also stops an OCR pass in progress: its worker is terminated
+    // and the pass, which a terminated worker never settles, is abandoned
+    let onAbort;
+    const cancelled = new Promise((resolve, reject) => {
+      onAbort = () => {
+        const runningWorker = worker;
+        worker = null;
+        runningWorker?.terminate().catch(() => {});
+        reject(cancellationError());
+      };
+    });
+    cancelled.catch(() => {});
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        if (signal?.aborted) {
+          throw cancellationError();
+        }
+
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: 1 });
+
+        let result = await this.readTextLayer(page, viewport);
+
+        if (result.text.replace(/\s/g, '').length < MIN_TEXT_LAYER_CHARS) {
+          const image = await this.findPageImage(pdfjs, page);
+          if (image) {
+            worker = worker || await this.createOCRWorker();
+            try {
+              result = await Promise.race([this.ocrPageImage(pdfjs, worker, image, viewport), cancelled]);
+            } catch (error) {
+              if (signal?.aborted) throw cancellationError();
+              throw new Error(`OCR failed on page ${pageNumber}: ${error.message}`);
+            }
+          }
+        }
+
+        pages.push({
+          pageNumber,
+          width: Math.round(viewport.width * 100) / 100,
+          height: Math.round(viewport.height * 100) / 100,
+          ...result
+        });
+
+        onPageProgress(pageNumber, pdf.numPages, result.source);
+        page.cleanup();
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (worker) {
+        await worker.terminate();
+      }
+      await pdf.destroy();
+    }
+
+    const text = pages.map(page => page.text).join('\n\n');
+    if (!text.trim()) {
+      throw new Error(`No text could be extracted from the PDF (${pages.length} pages)`);
+    }
+
+    const textPages = pages.filter(page => page.text.trim());
+    const words = pages.flatMap(page => page.words.map(word => ({ ...word, pageNumber: page.pageNumber })));
+
+    return {
+      text,
+      confidence: Math.round(textPages.reduce((sum, page) => sum + page.confidence, 0) / textPages.length * 100) / 100,
+      pageCount: pages.length,
+      pages,
+      words,
+      blocks: []
+    };
+  }
+
+  // Lines and words of the embedded text layer
+  static async readTextLayer(page, viewport) {
+    const content = await page.getTextContent();
+
+    const items = content.items
+      .filter(item => item.str && item.str.trim())
+      .map(item => {
+        // The item origin is on its baseline; the glyphs extend one font
+        // height above it
+        const tx = multiply(viewport.transform, item.transform);
+        const fontHeight = Math.max(Math.hypot(tx[2], tx[3]), 1);
+        return {
+          str: item.str,
+          x0: Math.round(tx[4] * 100) / 100,
+          x1: Math.round((tx[4] + item.width * viewport.scale) * 100) / 100,
+          y0: Math.round((tx[5] - fontHeight) * 100) / 100,
+          y1: Math.round(tx[5] * 100) / 100
+        };
+      })
+      .sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+
+    const lines = [];
+    for (const item of items) {
+      const line = lines.find(candidate =>
+        Math.abs(candidate.y0 - item.y0) < (candidate.y1 - candidate.y0) * LINE_TOLERANCE_RATIO);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y0: item.y0, y1: item.y1, items: [item] });
+      }
+    }
+
+    const words = [];
+    const textLines = lines
+      .sort((a, b) => a.y0 - b.y0)
+      .map(line => {
+        const lineItems = line.items.sort((a, b) => a.x0 - b.x0);
+
+        // Split items into words, spreading the item width evenly over its characters
+        for (const item of lineItems) {
+          const charWidth = (item.x1 - item.x0) / item.str.length;
+          for (const match of item.str.matchAll(/\S+/g)) {
+            words.push({
+              text: match[0],
+              confidence: 100,
+              bbox: {
+                x0: Math.round((item.x0 + match.index * charWidth) * 100) / 100,
+                y0: item.y0,
+                x1: Math.round((item.x0 + (match.index + match[0].length) * charWidth) * 100) / 100,
+                y1: item.y1
+              }
+            });
+          }
+        }
+
+        return lineItems.map(item => item.str.trim()).join(' ');
+      });
+
+    return {
+      source: 'text',
+      text: textLines.join('\n'),
+      confidence: 1,
+      words
+    };
+  }
+
+  // The largest image drawn on the page, with the transform placing it.
+  // Scanned pages are a single full-page image.
+  static async findPageImage(pdfjs, page) {
+    const { OPS } = pdfjs;
+    const operatorList = await page.getOperatorList();
+
+    const stack = [];
+    let ctm = [1, 0, 0, 1, 0, 0];
+    let largest = null;
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+      const fn = operatorList.fnArray[i];
+      const args = operatorList.argsArray[i];
+
+      if (fn === OPS.save) {
+        stack.push(ctm);
+      } else if (fn === OPS.restore) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.transform) {
+        ctm = multiply(ctm, args);
+      } else if (fn === OPS.paintFormXObjectBegin) {
+        stack.push(ctm);
+        if (Array.isArray(args[0])) ctm = multiply(ctm, args[0]);
+      } else if (fn === OPS.paintFormXObjectEnd) {
+        ctm = stack.pop() || ctm;
+      } else if (fn === OPS.paintImageXObject || fn === OPS.paintInlineImageXObject) {
+        const image = fn === OPS.paintInlineImageXObject ? args[0] : await this.resolveImage(page, args[0]);
+        if (image?.data && (!largest || image.width * image.height > largest.image.width * largest.image.height)) {
+          largest = { image, transform: ctm };
+        }
+      }
+    }
+
+    return largest;
+  }
+
+  static resolveImage(page, objectId) {
+    const store = objectId.startsWith('g_') ? page.commonObjs : page.objs;
+    return new Promise(resolve => store.get(objectId, resolve));
+  }
+
+  static async createOCRWorker() {
+    // tesseract.js throws a failed job from its message listener, where
+    // nothing can catch it and the process dies, unless it has an error
+    // handler; with one the job's own promise rejects. The language is loaded
+    // after the worker starts because a failed load during createWorker
+    // never settles the promise it returns.
+    const options = {
+      errorHandler: (error) => console.error('OCR engine error:', error?.message || error)
+    };
+    // Language data is downloaded unless a local copy is configured
+    if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+    if (process.env.TESSERACT_CACHE_PATH) options.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+    let worker = null;
+    try {
+      worker = await Tesseract.createWorker([], 1, options);
+      await worker.reinitialize(process.env.TESSERACT_LANG || 'eng');
+      return worker;
+    } catch (error) {
+      await worker?.terminate().catch(() => {});
+      throw new Error(`Could not start the OCR engine: ${error.message || error}`);
+    }
+  }
+
+  // OCR a page image and map word boxes from image pixels to page points
+  static async ocrPageImage(pdfjs, worker, { image, transform }, viewport) {
+    const png = encodePNG(image, pdfjs.ImageKind);
+    const { data } = await worker.recognize(png);
+
+    // Image pixels map to the unit square (row 0 at the top), which the
+    // current transform places on the page
+    const pageTransform = multiply(viewport.transform, transform);
+    const toPage = (bbox) => transformBox(
+      pageTransform,
+      bbox.x0 / image.width, 1 - bbox.y1 / image.height,
+      bbox.x1 / image.width, 1 - bbox.y0 / image.height
+    );
+
+    return {
+      source: 'ocr',
+      text: (data.text || '').trim(),
+      confidence: (data.confidence || 0) / 100,
+      words: (data.words || []).map(word => ({
+        text: word.text,
+        confidence: word.confidence,
+        bbox: toPage(word.bbox)
+      }))
+    };
+  }
+}
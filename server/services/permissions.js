@@ -0,0 +1,61 @@
+// Roles and what they may do. Makers examine presentations: they create
+// sessions, work their documents and fields and submit the examination;
+// checkers approve or return what makers submitted; supervisors do both,
+// though never on the same session; auditors only read.
+
+export const ROLES = ['maker', 'checker', 'supervisor', 'admin', 'auditor'];
+
+export const PERMISSIONS = {
+  // See sessions other users own
+  VIEW_ALL_SESSIONS: 'sessions:view_all',
+  CREATE_SESSIONS: 'sessions:create',
+  // Upload, edit and process documents and fields of one's own sessions
+  EDIT_SESSIONS: 'sessions:edit',
+  // ...and of sessions other users own
+  EDIT_ANY_SESSION: 'sessions:edit_any',
+  DELETE_SESSIONS: 'sessions:delete',
+  UNFREEZE_SESSIONS: 'sessions:unfreeze',
+  SUBMIT_EXAMINATION: 'examination:submit',
+  CHECK_EXAMINATION: 'examination:check',
+  // Save an approved session to the master record
+  COMPLETE_SESSIONS: 'sessions:complete',
+  VIEW_AUDIT: 'audit:view'
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  maker: [P.CREATE_SESSIONS, P.EDIT_SESSIONS, P.DELETE_SESSIONS, P.SUBMIT_EXAMINATION, P.COMPLETE_SESSIONS],
+  checker: [P.VIEW_ALL_SESSIONS, P.CHECK_EXAMINATION, P.COMPLETE_SESSIONS],
+  supervisor: [
+    P.VIEW_ALL_SESSIONS, P.CREATE_SESSIONS, P.EDIT_SESSIONS, P.EDIT_ANY_SESSION, P.DELETE_SESSIONS,
+    P.UNFREEZE_SESSIONS, P.SUBMIT_EXAMINATION, P.CHECK_EXAMINATION, P.COMPLETE_SESSIONS
+  ],
+  admin: Object.values(PERMISSIONS),
+  auditor: [P.VIEW_ALL_SESSIONS, P.VIEW_AUDIT]
+};
+
+// Accounts created before the maker/checker roles work as makers
+ROLE_PERMISSIONS.user = ROLE_PERMISSIONS.maker;
+
+export const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (user, permission) => getPermissions(user?.role).includes(permission);
+
+export const canViewSession = (user, session) =>
+  hasPermission(user, P.VIEW_ALL_SESSIONS) || session.userId === user.userId;
+
+export const canChangeSession = (user, session) =>
+  hasPermission(user, P.EDIT_SESSIONS) && (hasPermission(user, P.EDIT_ANY_SESSION) || session.userId === user.userId);
+
+// Why the user may not see, or with change set may not change, a session;
+// null when they may
+export const getSessionAccessError = (user, session, { change = false } = {}) => {
+  if (!canViewSession(user, session)) return 'Access denied';
+  if (change && !canChangeSession(user, session)) {
+    return hasPermission(user, P.EDIT_SESSIONS)
+      ? 'Only the maker of this session, a supervisor or an admin can change it'
+      : `Your role (${user.role}) cannot change sessions`;
+  }
+  return null;
+};
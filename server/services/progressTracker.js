@@ -0,0 +1,65 @@
+import { JobModel } from '../models/Job.js';
+import { publishDocumentEvent, forgetDocumentSession } from './sessionEvents.js';
+
+// Latest processing progress per document. Progress of a document with a
+// running job is also written to the job row, so it outlives the process.
+const processingProgress = new Map();
+
+// documentId -> id of the job running for it in this process
+const runningJobs = new Map();
+
+// Progress is written to the database at most this often per document,
+// except for stage changes
+const PERSIST_INTERVAL_MS = 1000;
+
+const lastPersisted = new Map();
+
+export const trackJob = (documentId, jobId) => {
+  runningJobs.set(documentId, jobId);
+};
+
+export const untrackJob = (documentId) => {
+  runningJobs.delete(documentId);
+  lastPersisted.delete(documentId);
+};
+
+export const updateProgress = (documentId, stage, progress, message) => {
+  const previous = processingProgress.get(documentId);
+  const jobId = runningJobs.get(documentId) || null;
+
+  const current = {
+    stage,
+    progress,
+    message,
+    jobId,
+    timestamp: new Date().toISOString()
+  };
+  processingProgress.set(documentId, current);
+  console.log(`Progress Update - Document ${documentId}: ${stage} (${progress}%) - ${message}`);
+
+  const stageChanged = previous?.stage !== stage;
+  publishDocumentEvent(documentId, 'progress', current);
+  if (stageChanged) {
+    publishDocumentEvent(documentId, 'stage', { from: previous?.stage || null, to: stage, message, jobId });
+  }
+
+  if (!jobId) return;
+
+  const now = Date.now();
+  if (!stageChanged && now - (lastPersisted.get(documentId) || 0) < PERSIST_INTERVAL_MS) return;
+
+  lastPersisted.set(documentId, now);
+  JobModel.updateJobProgress(jobId, stage, progress, message).catch(error => {
+    console.error(`Could not persist progress for document ${documentId}:`, error.message);
+  });
+};
+
+export const getProgress = (documentId) => processingProgress.get(documentId) || null;
+
+// Drop the in-memory progress unless a job has started for the document again
+export const clearProgress = (documentId) => {
+  if (!runningJobs.has(documentId)) {
+    processingProgress.delete(documentId);
+    forgetDocumentSession(documentId);
+  }
+};
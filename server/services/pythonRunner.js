@@ -1,4 +1,4 @@
-import { execFile } from 'child_process';
+import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -9,11 +9,173 @@ const __dirname = path.dirname(__filename);
 // ✅ Correct absolute path to main.py
 const scriptPath = path.resolve(__dirname, '../python/ocr_service/main.py');
 
-export const runPythonOCR = (pdfPath) => {
+const pythonExecutable = process.env.PYTHON_PATH || 'python';
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.PYTHON_OCR_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// Time a killed process gets to exit before it is killed outright
+const KILL_GRACE_MS = 5000;
+
+// Only the end of stderr is kept: that is where Python prints the error
+const STDERR_LIMIT = 16 * 1024;
+
+const DETECTED_FIELDS = {
+  document_type: 'documentType',
+  lc_number: 'lcNumber',
+  invoice_number: 'invoiceNumber',
+  date: 'date',
+  amount: 'amount'
+};
+
+// Run the Python OCR service on a file. Resolves with the validated result
+// in the same shape as the Node extractors; rejects on a non-zero exit, a
+// timeout, cancellation through `signal` (an AbortError) or a malformed payload.
+export const runPythonOCR = (filePath, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, onStderr = () => {} } = {}) => {
   return new Promise((resolve, reject) => {
-    execFile('python', [scriptPath, pdfPath], (error, stdout, stderr) => {
-      if (error) return reject(stderr || error.message);
-      resolve(stdout);
+    if (signal?.aborted) {
+      return reject(abortError());
+    }
+
+    const child = spawn(pythonExecutable, [scriptPath, filePath], { windowsHide: true });
+    const stdout = [];
+    let stderr = '';
+    let settled = false;
+    let timeoutTimer = null;
+    let killTimer = null;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (error) {
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const stop = (error) => {
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      finish(error);
+    };
+
+    const onAbort = () => stop(abortError());
+    signal?.addEventListener('abort', onAbort);
+
+    timeoutTimer = setTimeout(() => {
+      stop(new Error(`Python OCR timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => {
+      const text = chunk.toString();
+      stderr = (stderr + text).slice(-STDERR_LIMIT);
+      text.split('\n').filter(line => line.trim()).forEach(line => onStderr(line.trim()));
+    });
+
+    child.on('error', (error) => {
+      finish(new Error(`Could not start Python OCR (${pythonExecutable}): ${error.message}`));
+    });
+
+    child.on('close', (code, exitSignal) => {
+      clearTimeout(killTimer);
+      if (code !== 0) {
+        const reason = lastLine(stderr) || (exitSignal ? `killed by ${exitSignal}` : 'no error output');
+        return finish(new Error(`Python OCR exited with code ${code}: ${reason}`));
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(stdout).toString('utf8'));
+      } catch (error) {
+        return finish(new Error(`Python OCR returned invalid JSON: ${error.message}`));
+      }
+
+      try {
+        finish(null, toOCRResult(validateOCRPayload(payload)));
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+};
+
+// Check a payload against the OCRResult model of the Python service
+export const validateOCRPayload = (payload) => {
+  const fail = (message) => {
+    throw new Error(`Invalid OCR payload: ${message}`);
+  };
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) fail('expected an object');
+  if (typeof payload.raw_text !== 'string') fail('raw_text must be a string');
+  if (!isNumberBetween(payload.confidence, 0, 1)) fail('confidence must be a number between 0 and 1');
+  if (!Array.isArray(payload.pages) || payload.pages.length === 0) fail('pages must be a non-empty array');
+
+  for (const field of Object.keys(DETECTED_FIELDS)) {
+    if (payload[field] !== undefined && payload[field] !== null && typeof payload[field] !== 'string') {
+      fail(`${field} must be a string or null`);
+    }
+  }
+
+  payload.pages.forEach((page, index) => {
+    const at = `pages[${index}]`;
+    if (!page || typeof page !== 'object') fail(`${at} must be an object`);
+    if (page.page_number !== index + 1) fail(`${at}.page_number must be ${index + 1}`);
+    if (!(page.width > 0) || !(page.height > 0) || !Number.isFinite(page.width) || !Number.isFinite(page.height)) {
+      fail(`${at} must have a positive width and height`);
+    }
+    if (typeof page.text !== 'string') fail(`${at}.text must be a string`);
+    if (!isNumberBetween(page.confidence, 0, 1)) fail(`${at}.confidence must be a number between 0 and 1`);
+    if (!Array.isArray(page.words)) fail(`${at}.words must be an array`);
+
+    page.words.forEach((word, wordIndex) => {
+      const wordAt = `${at}.words[${wordIndex}]`;
+      if (!word || typeof word.text !== 'string') fail(`${wordAt}.text must be a string`);
+      if (!isNumberBetween(word.confidence, 0, 100)) fail(`${wordAt}.confidence must be a number between 0 and 100`);
+      const { bbox } = word;
+      if (!bbox || !['x0', 'y0', 'x1', 'y1'].every(key => Number.isFinite(bbox[key]))) {
+        fail(`${wordAt}.bbox must have numeric x0, y0, x1 and y1`);
+      }
+      if (bbox.x0 > bbox.x1 || bbox.y0 > bbox.y1) fail(`${wordAt}.bbox is inverted`);
     });
   });
+
+  return payload;
+};
+
+const toOCRResult = (payload) => {
+  const pages = payload.pages.map(page => ({
+    pageNumber: page.page_number,
+    width: page.width,
+    height: page.height,
+    source: 'ocr',
+    text: page.text,
+    confidence: page.confidence,
+    words: page.words.map(word => ({ text: word.text, confidence: word.confidence, bbox: { ...word.bbox } }))
+  }));
+
+  return {
+    text: payload.raw_text,
+    confidence: payload.confidence,
+    pageCount: pages.length,
+    pages,
+    words: pages.flatMap(page => page.words.map(word => ({ ...word, pageNumber: page.pageNumber }))),
+    blocks: [],
+    detectedFields: Object.fromEntries(
+      Object.entries(DETECTED_FIELDS).map(([field, key]) => [key, payload[field] ?? null])
+    )
+  };
+};
+
+const isNumberBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+const lastLine = (text) => text.trim().split('\n').pop() || '';
+
+const abortError = () => {
+  const error = new Error('Python OCR was cancelled');
+  error.name = 'AbortError';
+  return error;
 };
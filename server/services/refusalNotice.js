@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { RefusalNoticeModel } from '../models/RefusalNotice.js';
+import { DiscrepancyModel } from '../models/Discrepancy.js';
+import { DocumentDownloader } from './documentDownloader.js';
+import { buildRefusalMessage, formatDiscrepancyLines, MAX_DISCREPANCY_LINES } from './swiftParser.js';
+import { getEffectiveCredit, loadSessionSplits, readInvoiceAmount, parseDate, formatDate, SEVERITY } from './discrepancyEngine.js';
+import { getSessionDeadlines, today } from './examinationDeadline.js';
+import { getFourEyesError } from './sessionReview.js';
+import { isResolved } from './discrepancyLifecycle.js';
+
+// UCP 600 Art. 16 refusal of a presentation. A bank that refuses must give
+// a single notice stating that it refuses, every discrepancy it refuses for
+// and what it does with the documents (Art. 16(c)), by the close of the
+// fifth banking day following presentation (Art. 16(d)); a bank that fails
+// to is precluded from claiming the documents do not comply (Art. 16(f)).
+// The notice goes out as an MT734 and as a PDF on the bank's letterhead.
+
+// What the bank does with the documents, Art. 16(c)(iii) (a) to (d), by
+// their MT734 field 77B code
+export const DISPOSAL_OPTIONS = [
+  {
+    code: 'HOLD',
+    article: 'UCP 600 Art. 16(c)(iii)(a)',
+    label: 'Hold the documents pending the presenter\'s instructions',
+    statement: 'We are holding the documents pending your further instructions.'
+  },
+  {
+    code: 'NOTIFY',
+    article: 'UCP 600 Art. 16(c)(iii)(b)',
+    label: 'Hold the documents until the applicant waives the discrepancies',
+    statement: 'We are holding the documents until we receive a waiver from the applicant and agree to accept it, ' +
+      'or receive further instructions from you prior to agreeing to accept a waiver.'
+  },
+  {
+    code: 'RETURN',
+    article: 'UCP 600 Art. 16(c)(iii)(c)',
+    label: 'Return the documents',
+    statement: 'We are returning the documents.'
+  },
+  {
+    code: 'PREVINST',
+    article: 'UCP 600 Art. 16(c)(iii)(d)',
+    label: 'Act on instructions previously received from the presenter',
+    statement: 'We are acting in accordance with instructions previously received from you.'
+  }
+];
+
+// Field sizes of the MT734
+const REFERENCE_MAX_LENGTH = 16;
+const DISPOSAL_NOTE_MAX_LENGTH = 70;
+const NARRATIVE_MAX_LENGTH = 210;
+
+const BIC_PATTERN = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// The refusing bank; read when used, the environment is loaded after
+// modules are
+const getBankIdentity = () => ({
+  bankName: process.env.BANK_NAME || 'TradeFi',
+  bankBic: process.env.BANK_BIC || null
+});
+
+// Our reference of a notice: RF, the date and eight random hex digits
+const createSenderReference = () =>
+  `RF${formatDate(today()).replace(/-/g, '').slice(2)}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+// Discrepancies the presentation is refused for: those neither dismissed
+// nor waived that make it non-compliant, informational findings aside
+const getRefusableDiscrepancies = async (sessionId) => {
+  const discrepancies = await DiscrepancyModel.getDiscrepanciesBySession(sessionId);
+  return discrepancies
+    .filter(discrepancy => !isResolved(discrepancy) && discrepancy.severity !== SEVERITY.INFO)
+    .map(discrepancy => ({
+      id: discrepancy.id,
+      ruleId: discrepancy.ruleId,
+      article: discrepancy.article,
+      severity: discrepancy.severity,
+      title: discrepancy.title,
+      description: discrepancy.description,
+      fieldName: discrepancy.fieldName,
+      referenceValue: discrepancy.referenceValue,
+      presentedValue: discrepancy.presentedValue,
+      presentedDocumentType: discrepancy.presentedDocumentType
+    }));
+};
+
+// The drawing refused: presented on the session's presentation date, for
+// the invoice amount, else the amount of the credit
+const getDrawing = async (session) => {
+  const splits = await loadSessionSplits(session.id);
+  const asOf = session.presentationDate || today();
+  const { terms } = await getEffectiveCredit(session.id, { asOf, splits });
+
+  const invoice = splits.find(split => split.documentType === 'Commercial Invoice');
+  const invoiceAmount = invoice ? readInvoiceAmount(invoice) : null;
+
+  return {
+    lcNumber: terms?.lcNumber || session.lcNumber || null,
+    utilisationDate: formatDate(new Date(asOf)),
+    currency: invoiceAmount?.currency || terms?.currency || null,
+    amount: invoiceAmount?.amount ?? terms?.amount ?? null
+  };
+};
+
+// Refusal details from request input, with what is wrong with them. Blank
+// values come back as null.
+export const readRefusalInput = (body) => {
+  const details = [];
+  const text = (name, maxLength) => {
+    const value = (typeof body[name] === 'string' && body[name].trim()) || null;
+    if (value && value.length > maxLength) details.push(`${name} must be at most ${maxLength} characters`);
+    return value;
+  };
+
+  const disposal = text('disposal', 10);
+  if (!DISPOSAL_OPTIONS.some(option => option.code === disposal)) {
+    details.push(`disposal must be one of: ${DISPOSAL_OPTIONS.map(option => option.code).join(', ')}`);
+  }
+
+  const presenterBic = text('presenterBic', 11)?.toUpperCase() || null;
+  if (presenterBic && !BIC_PATTERN.test(presenterBic)) details.push('presenterBic must be an 8 or 11 character BIC');
+
+  const currency = text('currency', 3)?.toUpperCase() || null;
+  if (currency && !CURRENCY_PATTERN.test(currency)) details.push('currency must be a three-letter currency code');
+
+  let amount = null;
+  if (body.amount != null && body.amount !== '') {
+    amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) details.push('amount must be a positive number');
+  }
+
+  const utilisationText = text('utilisationDate', 10);
+  const utilisationDate = utilisationText ? parseDate(utilisationText) : null;
+  if (utilisationText && !utilisationDate) details.push('utilisationDate must be a date');
+
+  return {
+    input: {
+      disposal,
+      disposalNote: text('disposalNote', DISPOSAL_NOTE_MAX_LENGTH),
+      presenterReference: text('presenterReference', REFERENCE_MAX_LENGTH),
+      presenterBic,
+      utilisationDate: formatDate(utilisationDate),
+      currency,
+      amount,
+      chargesClaimed: text('chargesClaimed', NARRATIVE_MAX_LENGTH),
+      senderToReceiverInfo: text('senderToReceiverInfo', NARRATIVE_MAX_LENGTH)
+    },
+    details
+  };
+};
+
+// Whether a notice went out after the Art. 14(b) examination deadline
+const isLate = (issuedOn, examinationDeadline) => Boolean(examinationDeadline && issuedOn > examinationDeadline);
+
+// The notice a refusal would give, without issuing it. Returns { draft },
+// { blocked } when there is nothing to refuse, or { invalid } with what
+// keeps the details from making a valid MT734.
+const draftRefusal = async (session, input, senderReference) => {
+  const discrepancies = await getRefusableDiscrepancies(session.id);
+  if (discrepancies.length === 0) {
+    return { blocked: 'There are no outstanding discrepancies to refuse the presentation for' };
+  }
+
+  const drawing = await getDrawing(session);
+  const notice = {
+    ...getBankIdentity(),
+    sessionId: session.id,
+    senderReference,
+    presenterReference: input.presenterReference || 'NONREF',
+    presenterBic: input.presenterBic,
+    lcNumber: drawing.lcNumber,
+    disposal: input.disposal,
+    disposalNote: input.disposalNote,
+    utilisationDate: input.utilisationDate || drawing.utilisationDate,
+    currency: input.currency || drawing.currency,
+    amount: input.amount ?? drawing.amount,
+    chargesClaimed: input.chargesClaimed,
+    senderToReceiverInfo: input.senderToReceiverInfo,
+    discrepancies
+  };
+
+  const invalid = [];
+  if (!notice.currency || notice.amount == null) {
+    invalid.push('No drawing amount was found in the invoice or the credit; give currency and amount');
+  }
+  const lines = formatDiscrepancyLines(discrepancies).length;
+  if (lines > MAX_DISCREPANCY_LINES) {
+    invalid.push(`The discrepancies take ${lines} lines of the MT734; field 77J holds ${MAX_DISCREPANCY_LINES}`);
+  }
+  if (invalid.length > 0) return { invalid };
+
+  const deadlines = await getSessionDeadlines(session);
+  const examinationDeadline = deadlines.examination?.deadline || null;
+
+  return {
+    draft: {
+      ...notice,
+      disposalStatement: DISPOSAL_OPTIONS.find(option => option.code === notice.disposal).statement,
+      mt734: buildRefusalMessage({ ...notice, senderBic: notice.bankBic, receiverBic: notice.presenterBic }),
+      examinationDeadline,
+      late: isLate(deadlines.asOf, examinationDeadline)
+    }
+  };
+};
+
+// Why a refusal cannot be issued for the session yet, or null when it can
+const getIssueError = async (session, existing) => {
+  if (existing) return 'This presentation has already been refused';
+  if (session.status === 'completed') return 'A completed session cannot be refused';
+  return getFourEyesError(session);
+};
+
+// The refusal of a session: the notice once issued, else what it would be
+// issued with and whether it can be
+export const getRefusal = async (session) => {
+  const notice = await RefusalNoticeModel.getNoticeBySession(session.id);
+  if (notice) {
+    return {
+      notice: { ...notice, late: isLate(formatDate(new Date(notice.issuedAt)), notice.examinationDeadline) },
+      disposalOptions: DISPOSAL_OPTIONS,
+      defaults: null,
+      discrepancies: notice.discrepancies,
+      canIssue: false,
+      issueBlockedReason: 'This presentation has already been refused'
+    };
+  }
+
+  const [discrepancies, drawing, issueError] = await Promise.all([
+    getRefusableDiscrepancies(session.id),
+    getDrawing(session),
+    getIssueError(session, null)
+  ]);
+  const blockedReason = issueError ||
+    (discrepancies.length === 0 ? 'There are no outstanding discrepancies to refuse the presentation for' : null);
+
+  return {
+    notice: null,
+    disposalOptions: DISPOSAL_OPTIONS,
+    defaults: { ...drawing, presenterReference: 'NONREF' },
+    discrepancies,
+    canIssue: !blockedReason,
+    issueBlockedReason: blockedReason
+  };
+};
+
+// Preview the notice. Returns { draft }, { blocked } or { invalid }.
+export const previewRefusal = (session, input) => draftRefusal(session, input, createSenderReference());
+
+// Issue the single notice of refusal of a session: write its PDF and keep it
+// with the MT734. Returns { notice }, { blocked } when the examination is
+// not approved or there is nothing to refuse, { invalid }, or
+// { conflict: true } when the presentation was refused in the meantime.
+export const issueRefusal = async (session, user, input) => {
+  const existing = await RefusalNoticeModel.getNoticeBySession(session.id);
+  const issueError = await getIssueError(session, existing);
+  if (issueError) return { blocked: issueError };
+
+  const result = await draftRefusal(session, input, createSenderReference());
+  if (!result.draft) return result;
+
+  const issuedAt = new Date();
+  const pdf = await DocumentDownloader.generateRefusalPDF({
+    ...result.draft,
+    issuedByName: user.name || user.email || null,
+    issuedAt
+  });
+
+  const notice = await RefusalNoticeModel.createNotice({
+    ...result.draft,
+    pdfPath: pdf.filePath,
+    issuedBy: user.userId,
+    issuedAt
+  });
+  if (!notice) {
+    fs.rmSync(path.join(process.env.UPLOAD_PATH || './uploads', pdf.filePath), { force: true });
+    return { conflict: true };
+  }
+
+  return { notice: { ...notice, late: result.draft.late } };
+};
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { DocumentModel } from '../models/Document.js';
+
+// Live events of a session, streamed to the browser over Server-Sent Events.
+// Recent events are kept per session so a client that reconnects with its
+// Last-Event-ID gets what it missed. Event ids are `<stream>-<sequence>`; the
+// stream id changes on every server start, and a client holding an id from
+// an earlier stream (or one older than the kept history) is told to resync.
+
+const STREAM_ID = crypto.randomBytes(4).toString('hex');
+
+// Events kept per session for replay. Only the latest progress event of a
+// document is kept, so this bounds stage, split and discrepancy events.
+const HISTORY_LIMIT = 200;
+
+// History of a session nobody is subscribed to is dropped after this
+const HISTORY_RETENTION_MS = 15 * 60 * 1000;
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+let sequence = 0;
+
+// sessionId -> { events, evictedThrough, lastEventAt }
+const histories = new Map();
+
+// sessionId -> Set of listeners
+const subscribers = new Map();
+
+// documentId -> Promise of its sessionId. Publishing through one promise per
+// document keeps that document's events in order while the lookup runs.
+const documentSessions = new Map();
+
+export const publishSessionEvent = (sessionId, type, data = {}) => {
+  sequence += 1;
+  const event = {
+    id: `${STREAM_ID}-${sequence}`,
+    sequence,
+    type,
+    data: { ...data, sessionId },
+    timestamp: new Date().toISOString()
+  };
+
+  let history = histories.get(sessionId);
+  if (!history) {
+    history = { events: [], evictedThrough: 0, lastEventAt: 0 };
+    histories.set(sessionId, history);
+  }
+
+  if (type === 'progress') {
+    history.events = history.events.filter(previous =>
+      previous.type !== 'progress' || previous.data.documentId !== data.documentId
+    );
+  }
+  history.events.push(event);
+  history.lastEventAt = Date.now();
+
+  while (history.events.length > HISTORY_LIMIT) {
+    history.evictedThrough = history.events.shift().sequence;
+  }
+
+  for (const listener of subscribers.get(sessionId) || []) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Session event listener failed for session ${sessionId}:`, error.message);
+    }
+  }
+
+  return event;
+};
+
+// Publish an event about a document to the session it belongs to
+export const publishDocumentEvent = (documentId, type, data = {}) => {
+  resolveDocumentSession(documentId).then(sessionId => {
+    if (sessionId) {
+      publishSessionEvent(sessionId, type, { ...data, documentId });
+    }
+  });
+};
+
+// Callers that already know the session save the lookup
+export const rememberDocumentSession = (documentId, sessionId) => {
+  documentSessions.set(documentId, Promise.resolve(sessionId));
+};
+
+export const forgetDocumentSession = (documentId) => {
+  documentSessions.delete(documentId);
+};
+
+const resolveDocumentSession = (documentId) => {
+  if (!documentSessions.has(documentId)) {
+    const lookup = DocumentModel.getDocumentById(documentId)
+      .then(document => document?.sessionId || null)
+      .catch(error => {
+        console.error(`Could not find the session of document ${documentId}:`, error.message);
+        documentSessions.delete(documentId);
+        return null;
+      });
+    documentSessions.set(documentId, lookup);
+  }
+  return documentSessions.get(documentId);
+};
+
+export const subscribeToSession = (sessionId, listener) => {
+  if (!subscribers.has(sessionId)) {
+    subscribers.set(sessionId, new Set());
+  }
+  subscribers.get(sessionId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(sessionId);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) {
+      subscribers.delete(sessionId);
+    }
+  };
+};
+
+// Events of a session after `lastEventId`, oldest first. Returns null when
+// they cannot be replayed and the client has to reload its state instead.
+export const getSessionEventsSince = (sessionId, lastEventId) => {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId).trim());
+  if (!match || match[1] !== STREAM_ID) return null;
+
+  const lastSequence = Number(match[2]);
+  const history = histories.get(sessionId);
+  if (!history || lastSequence < history.evictedThrough) return null;
+
+  return history.events.filter(event => event.sequence > lastSequence);
+};
+
+// Serialize an event in the text/event-stream format. Events without an id
+// (such as resync) do not move the client's Last-Event-ID.
+export const formatSSE = ({ id, type, data }) => {
+  const lines = [];
+  if (id) lines.push(`id: ${id}`);
+  lines.push(`event: ${type}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+const pruneHistories = () => {
+  const cutoff = Date.now() - HISTORY_RETENTION_MS;
+  for (const [sessionId, history] of histories) {
+    if (history.lastEventAt < cutoff && !subscribers.has(sessionId)) {
+      histories.delete(sessionId);
+    }
+  }
+};
+
+setInterval(pruneHistories, PRUNE_INTERVAL_MS).unref();
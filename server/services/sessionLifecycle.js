@@ -0,0 +1,175 @@
+import { SessionModel } from '../models/Session.js';
+import { publishSessionEvent } from './sessionEvents.js';
+import { auditSystemAction } from './auditLog.js';
+import { PERMISSIONS, hasPermission } from './permissions.js';
+
+// The statuses of a session and the moves between them. The system moves an
+// open session between created, uploading, processing and reviewing as its
+// documents are uploaded and processed; users freeze and unfreeze it, and
+// saving it to the master record completes it.
+
+export const SESSION_STATUSES = ['created', 'uploading', 'processing', 'reviewing', 'completed', 'frozen'];
+
+// Statuses a session takes on its own, from the state of its documents
+const OPEN_STATUSES = ['created', 'uploading', 'processing', 'reviewing'];
+
+// status -> the statuses it may move to, and who makes each move
+const TRANSITIONS = {
+  created: { uploading: 'system', processing: 'system', reviewing: 'system', frozen: 'user' },
+  uploading: { created: 'system', processing: 'system', reviewing: 'system', frozen: 'user' },
+  processing: { created: 'system', uploading: 'system', reviewing: 'system', frozen: 'user' },
+  reviewing: { created: 'system', uploading: 'system', processing: 'system', completed: 'user', frozen: 'user' },
+  frozen: { created: 'user', uploading: 'user', processing: 'user', reviewing: 'user' },
+  completed: {}
+};
+
+// The open status the documents of a session put it in
+export const deriveStatus = (facts) => {
+  if (facts.documents === 0) return 'created';
+  if (facts.processing > 0) return 'processing';
+  if (facts.waiting > 0) return 'uploading';
+  return 'reviewing';
+};
+
+// Why a session cannot move to a status, or null when it can. The user is
+// absent for moves the system makes.
+const checkTransition = (session, toStatus, facts, user) => {
+  const mover = TRANSITIONS[session.status]?.[toStatus];
+  if (!mover) {
+    return { blocked: `A ${session.status} session cannot become ${toStatus}` };
+  }
+  if (user && mover === 'system') {
+    return { blocked: `A session becomes ${toStatus} on its own as its documents are processed` };
+  }
+
+  if (session.status === 'frozen') {
+    if (!hasPermission(user, PERMISSIONS.UNFREEZE_SESSIONS)) {
+      return { forbidden: 'Only a supervisor or an admin can unfreeze a session' };
+    }
+    const resumeStatus = deriveStatus(facts);
+    if (toStatus !== resumeStatus) {
+      return { blocked: `This session resumes as ${resumeStatus}` };
+    }
+  }
+
+  if (toStatus === 'completed') {
+    if (facts.processing > 0 || facts.waiting > 0) {
+      return { blocked: 'Documents are still being processed' };
+    }
+    if (facts.failed > 0) {
+      return { blocked: `${facts.failed} document${facts.failed === 1 ? ' has' : 's have'} failed processing` };
+    }
+    if (facts.unresolvedDiscrepancies > 0) {
+      return {
+        blocked: `${facts.unresolvedDiscrepancies} discrepanc${facts.unresolvedDiscrepancies === 1 ? 'y is' : 'ies are'} ` +
+          'neither dismissed nor waived'
+      };
+    }
+  }
+
+  return null;
+};
+
+const toTransition = (row) => ({
+  id: row.id,
+  fromStatus: row.fromStatus,
+  toStatus: row.toStatus,
+  source: row.source,
+  reason: row.reason,
+  changedBy: row.changedBy,
+  changedByName: row.changedByName || null,
+  createdAt: row.createdAt
+});
+
+const announce = (session, fromStatus, source) => {
+  publishSessionEvent(session.id, 'status', {
+    from: fromStatus,
+    to: session.status,
+    source,
+    updatedAt: session.updatedAt
+  });
+};
+
+// Why a user cannot move a session to a status right now, or null. Saving to
+// the master record asks this before it completes a session.
+export const getTransitionError = async (session, toStatus, user) => {
+  const facts = await SessionModel.getLifecycleFacts(session.id);
+  return checkTransition(session, toStatus, facts, user);
+};
+
+// Move a session to a status on a user's request. Returns { session } on
+// success, { forbidden } or { blocked } with the reason it is not allowed,
+// and { conflict: true } when the session changed in the meantime.
+export const transitionSession = async (session, toStatus, user, reason = null) => {
+  if (!SESSION_STATUSES.includes(toStatus)) {
+    return { blocked: `Unknown status. Use one of: ${SESSION_STATUSES.join(', ')}` };
+  }
+
+  const error = await getTransitionError(session, toStatus, user);
+  if (error) return error;
+
+  const updated = await SessionModel.transitionStatus(session.id, session.status, toStatus, {
+    source: 'user',
+    reason,
+    userId: user.userId
+  });
+  if (!updated) return { conflict: true };
+
+  announce(updated, session.status, 'user');
+  return { session: updated };
+};
+
+// Bring an open session in line with its documents. Called whenever a
+// document is uploaded, starts or ends processing, or is deleted; frozen and
+// completed sessions stay as they are.
+export const syncSessionStatus = async (sessionId, reason = null) => {
+  try {
+    const session = await SessionModel.getSessionById(sessionId);
+    if (!session || !OPEN_STATUSES.includes(session.status)) return;
+
+    const facts = await SessionModel.getLifecycleFacts(sessionId);
+    const toStatus = deriveStatus(facts);
+    if (toStatus === session.status || checkTransition(session, toStatus, facts, null)) return;
+
+    const updated = await SessionModel.transitionStatus(sessionId, session.status, toStatus, { source: 'system', reason });
+    if (updated) {
+      announce(updated, session.status, 'system');
+      await auditSystemAction({
+        action: 'session.status',
+        entityType: 'session',
+        entityId: sessionId,
+        sessionId,
+        before: { status: session.status },
+        after: { status: toStatus, reason }
+      });
+    }
+  } catch (error) {
+    // The status catches up on the next document change
+    console.error(`Could not update the status of session ${sessionId}:`, error.message);
+  }
+};
+
+// A session's status history, with the moves the user may make from here
+export const getSessionLifecycle = async (session, user) => {
+  const [rows, facts] = await Promise.all([
+    SessionModel.getTransitions(session.id),
+    SessionModel.getLifecycleFacts(session.id)
+  ]);
+
+  const available = Object.entries(TRANSITIONS[session.status] || {})
+    .filter(([, mover]) => mover === 'user')
+    .map(([status]) => ({ status, error: checkTransition(session, status, facts, user) }))
+    // A frozen session only offers the status it resumes as
+    .filter(({ status }) => session.status !== 'frozen' || status === deriveStatus(facts))
+    .map(({ status, error }) => ({
+      status,
+      allowed: !error,
+      reason: error ? error.forbidden || error.blocked : null
+    }));
+
+  return {
+    status: session.status,
+    transitions: rows.map(toTransition),
+    available
+  };
+};
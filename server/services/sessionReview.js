@@ -0,0 +1,159 @@
+import { SessionReviewModel } from '../models/SessionReview.js';
+import { AuditLogModel } from '../models/AuditLog.js';
+import { checkSessionDiscrepancies } from './discrepancyEngine.js';
+
+// Four-eyes approval of an examination. The maker submits a session in
+// review with the discrepancies it found; a checker who took no part in
+// examining it approves it or returns it to the maker. Only an approved
+// examination that has not changed since it was submitted lets the session
+// be completed.
+
+// Trail actions that make someone a maker of the session they were taken on
+const MAKING_ACTIONS = [
+  'session.create',
+  'session.iterate',
+  'session.presentation',
+  'document.upload',
+  'document.delete',
+  'document.edit',
+  'document.replace',
+  'document.revert',
+  'document.process',
+  'document.reprocess',
+  'document.catalog',
+  'iteration.promote',
+  'field.extract',
+  'field.edit',
+  'field.validate',
+  'field.reject',
+  'amendment.accept',
+  'amendment.reject',
+  'discrepancy.status'
+];
+
+export const REVIEW_DECISIONS = ['approved', 'returned'];
+
+const sameUser = (a, b) => Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+// Who examined the session - its owner, whoever submitted it, and everyone
+// who worked on its documents - and when the examination last changed
+const getMakers = async (session, review) => {
+  const actors = await AuditLogModel.getSessionActors(session.id, MAKING_ACTIONS);
+  const ids = [session.userId, review?.submittedBy, ...actors.map(actor => actor.actorId)].filter(Boolean);
+  const lastMadeAt = actors.reduce(
+    (latest, actor) => (!latest || new Date(actor.lastActedAt) > latest ? new Date(actor.lastActedAt) : latest),
+    null
+  );
+  return { ids, lastMadeAt };
+};
+
+const isMaker = (makers, user) => makers.ids.some(id => sameUser(id, user.userId));
+
+// Whether the examination changed after the review was submitted
+const isStale = (makers, review) => Boolean(makers.lastMadeAt && makers.lastMadeAt > new Date(review.submittedAt));
+
+// Why the user cannot decide the latest review, or null when they can
+const checkDecision = (review, makers, user) => {
+  if (!review || review.status !== 'pending') {
+    return { blocked: 'Nothing on this session is waiting for a checker' };
+  }
+  if (isMaker(makers, user)) {
+    return { forbidden: 'You worked on this examination, so a different checker must decide it' };
+  }
+  return null;
+};
+
+// The reviews of a session, with whether the latest still holds and whether
+// the user may decide it
+export const getSessionReview = async (session, user) => {
+  const reviews = await SessionReviewModel.getReviews(session.id);
+  const current = reviews[0] || null;
+  const makers = await getMakers(session, current);
+  const decisionError = checkDecision(current, makers, user);
+
+  return {
+    current,
+    history: reviews.slice(1),
+    stale: current ? isStale(makers, current) : false,
+    isMaker: isMaker(makers, user),
+    canDecide: !decisionError,
+    decisionBlockedReason: decisionError ? decisionError.forbidden || decisionError.blocked : null
+  };
+};
+
+// Submit a session's examination for checking. Returns { review }, or
+// { blocked } with the reason it cannot be submitted.
+export const submitReview = async (session, user, note = null) => {
+  if (session.status !== 'reviewing') {
+    return { blocked: `A ${session.status} session cannot be submitted for checking; its documents must be processed first` };
+  }
+
+  const latest = await SessionReviewModel.getLatestReview(session.id);
+  if (latest?.status === 'pending') {
+    return { blocked: 'This session is already waiting for a checker' };
+  }
+
+  const report = await checkSessionDiscrepancies(session.id);
+  const review = await SessionReviewModel.createReview({
+    sessionId: session.id,
+    submittedBy: user.userId,
+    submissionNote: note,
+    discrepancySummary: {
+      ...report.summary,
+      discrepancies: report.discrepancies.map(discrepancy => ({
+        id: discrepancy.id,
+        title: discrepancy.title,
+        severity: discrepancy.severity,
+        status: discrepancy.status
+      }))
+    }
+  });
+  if (!review) {
+    return { blocked: 'This session is already waiting for a checker' };
+  }
+
+  return { review };
+};
+
+// Approve or return the pending review of a session. Returns { review },
+// { forbidden } when the user examined the session, { blocked } when there
+// is nothing to decide or the examination changed since it was submitted,
+// and { conflict: true } when someone else decided it in the meantime.
+export const decideReview = async (session, user, decision, note = null) => {
+  const latest = await SessionReviewModel.getLatestReview(session.id);
+  const makers = await getMakers(session, latest);
+
+  const error = checkDecision(latest, makers, user);
+  if (error) return error;
+
+  if (decision === 'approved' && isStale(makers, latest)) {
+    return { blocked: 'The examination changed after it was submitted; return it so the maker can submit it again' };
+  }
+
+  const review = await SessionReviewModel.decide(latest.id, decision, user.userId, note);
+  if (!review) return { conflict: true };
+
+  return { review };
+};
+
+// Why a session cannot be completed on its examination yet, or null when a
+// checker other than its makers approved it as it stands
+export const getFourEyesError = async (session) => {
+  const latest = await SessionReviewModel.getLatestReview(session.id);
+  if (!latest || latest.status === 'returned') {
+    return 'The examination must be submitted to and approved by a checker first';
+  }
+  if (latest.status === 'pending') {
+    return 'The examination is waiting for a checker';
+  }
+
+  const makers = await getMakers(session, latest);
+  if (makers.ids.some(id => sameUser(id, latest.decidedBy))) {
+    return 'The examination was approved by someone who worked on it; a different checker must approve it';
+  }
+  if (isStale(makers, latest)) {
+    return 'The examination changed after it was approved; it must be submitted and approved again';
+  }
+
+  return null;
+};
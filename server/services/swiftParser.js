@@ -0,0 +1,481 @@
+// SWIFT MT7xx documentary credit messages.
+//
+// A message is a sequence of tagged fields (":20:LC123456") inside block 4.
+// parseSwiftMessage splits a raw message into its fields; parseCreditMessage
+// turns an MT700 (issue), MT710 (advice of a third bank's credit) or MT720
+// (transfer) into the typed credit terms used by the discrepancy engine, and
+// parseAmendmentMessage turns an MT707 into the changes it makes to them.
+// buildRefusalMessage goes the other way and writes the MT734 advice of
+// refusal the bank sends to the presenter.
+
+export const SUPPORTED_CREDIT_MESSAGES = ['MT700', 'MT710', 'MT720'];
+export const AMENDMENT_MESSAGE = 'MT707';
+
+// File extensions and MIME types accepted as raw SWIFT messages
+const SWIFT_FILE_EXTENSIONS = /\.(txt|fin|swift|mt\d{3})$/i;
+const SWIFT_MIME_TYPES = ['text/plain', 'application/octet-stream'];
+
+const FIELD_PATTERN = /^:(\d{2}[A-Z]?):/;
+
+export const isSwiftFile = ({ fileName, fileType }) =>
+  SWIFT_FILE_EXTENSIONS.test(fileName || '') && (!fileType || SWIFT_MIME_TYPES.includes(fileType) || fileType.startsWith('text/'));
+
+const detectMessageType = (text, fields) => {
+  // Application header: {2:I700BANKDEFFXXXXN} or {2:O7001200...}
+  const headerMatch = text.match(/\{2:[IO](\d{3})/);
+  if (headerMatch) return `MT${headerMatch[1]}`;
+
+  const labelMatch = text.match(/\bMT\s?(7\d{2})\b/i);
+  if (labelMatch) return `MT${labelMatch[1]}`;
+
+  // Unlabelled text: infer from the fields that only appear in credits
+  const tags = new Set(fields.map(field => field.tag));
+  if (tags.has('40A') && tags.has('31D')) return 'MT700';
+  if (tags.has('40B') && tags.has('31D')) return tags.has('50') && tags.has('59') ? 'MT710' : null;
+  if (tags.has('21') && tags.has('26E')) return 'MT707';
+
+  return null;
+};
+
+export const parseSwiftMessage = (text) => {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Empty SWIFT message');
+  }
+
+  // Only block 4 carries the text fields; fall back to the whole input for
+  // messages pasted without their envelope
+  const blockMatch = text.match(/\{4:\s*([\s\S]*?)\n?-\}/);
+  const body = blockMatch ? blockMatch[1] : text;
+
+  const fields = [];
+  let current = null;
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+$/, '');
+    const match = line.match(FIELD_PATTERN);
+
+    if (match) {
+      current = { tag: match[1], lines: [line.slice(match[0].length)] };
+      fields.push(current);
+    } else if (current && line !== '-}' && line !== '-') {
+      current.lines.push(line);
+    }
+  }
+
+  const parsedFields = fields.map(field => ({
+    tag: field.tag,
+    value: field.lines.join('\n').trim()
+  }));
+
+  return {
+    messageType: detectMessageType(text, parsedFields),
+    fields: parsedFields
+  };
+};
+
+// ─── Field parsers ──────────────────────────────────────────────────────────
+
+// YYMMDD → YYYY-MM-DD
+const parseSwiftDate = (value) => {
+  const match = (value || '').match(/^(\d{2})(\d{2})(\d{2})/);
+  if (!match) return null;
+  return `20${match[1]}-${match[2]}-${match[3]}`;
+};
+
+// 32B: USD50000,00
+const parseSwiftAmount = (value) => {
+  const match = (value || '').match(/^([A-Z]{3})\s*([\d,.]+)/);
+  if (!match) return null;
+  const amount = parseFloat(match[2].replace(/\./g, '').replace(',', '.'));
+  return isNaN(amount) ? null : { currency: match[1], amount };
+};
+
+// 39A: 05/05 (percentage credit amount tolerance, plus/minus)
+const parseTolerance = (value) => {
+  const match = (value || '').match(/^(\d{1,2})\/(\d{1,2})/);
+  return match ? { plus: +match[1], minus: +match[2] } : null;
+};
+
+// 43P/43T: ALLOWED, NOT ALLOWED, CONDITIONAL
+const parseAllowance = (value) => {
+  if (!value) return null;
+  if (/NOT\s+ALLOWED|PROHIBITED/i.test(value)) return 'not allowed';
+  if (/CONDITIONAL/i.test(value)) return 'conditional';
+  if (/ALLOWED|PERMITTED/i.test(value)) return 'allowed';
+  return null;
+};
+
+// Party fields may start with an account line ("/1234567")
+const parseParty = (value) => {
+  if (!value) return null;
+  return value
+    .split('\n')
+    .filter(line => !line.startsWith('/'))
+    .join('\n')
+    .trim() || null;
+};
+
+// 46A/47A: one item per "+"-prefixed line
+const parseItemList = (value) => {
+  if (!value) return [];
+  return value
+    .split(/\n(?=\+)/)
+    .map(item => item.replace(/^\+\s*/, '').replace(/\s*\n\s*/g, ' ').trim())
+    .filter(item => item.length > 0);
+};
+
+// 45B/46B/47B: items prefixed with /ADD/, /DELETE/ or /REPALL/. Items
+// without a code inherit the previous one.
+const parseAmendedItems = (value, defaultAction) => {
+  if (!value) return null;
+
+  let action = defaultAction;
+  return value
+    .split(/\n(?=\/(?:ADD|DELETE|REPALL)\/|\+)/)
+    .map(item => {
+      const codeMatch = item.match(/^\/(ADD|DELETE|REPALL)\//);
+      if (codeMatch) {
+        action = codeMatch[1].toLowerCase();
+      }
+      const text = item
+        .replace(/^\/(?:ADD|DELETE|REPALL)\//, '')
+        .replace(/^\+\s*/, '')
+        .replace(/\s*\n\s*/g, ' ')
+        .trim();
+      return { action, text };
+    })
+    .filter(item => item.text.length > 0);
+};
+
+// 48: "21" or "21/AFTER DATE OF SHIPMENT" or free text
+const parsePresentationPeriod = (value) => {
+  if (!value) return null;
+  const match = value.match(/(\d{1,3})/);
+  return match ? +match[1] : null;
+};
+
+// ─── Credit messages ────────────────────────────────────────────────────────
+
+export const parseCreditMessage = (text) => {
+  const { messageType, fields } = parseSwiftMessage(text);
+
+  if (!SUPPORTED_CREDIT_MESSAGES.includes(messageType)) {
+    throw new Error(`Unsupported SWIFT message type: ${messageType || 'unknown'}. Expected one of ${SUPPORTED_CREDIT_MESSAGES.join(', ')}`);
+  }
+
+  const tag = (...tags) => {
+    for (const wanted of tags) {
+      const field = fields.find(f => f.tag === wanted);
+      if (field) return field.value;
+    }
+    return null;
+  };
+
+  const creditNumber = messageType === 'MT700' ? tag('20') : tag('21') || tag('20');
+  if (!creditNumber) {
+    throw new Error(`${messageType} has no documentary credit number (field ${messageType === 'MT700' ? '20' : '21'})`);
+  }
+
+  const expiry = tag('31D');
+  const amount = parseSwiftAmount(tag('32B'));
+
+  return {
+    source: 'swift',
+    messageType,
+    lcNumber: creditNumber.trim(),
+    senderReference: tag('20'),
+    sequence: tag('27'),
+    formOfCredit: tag('40A', '40B'),
+    applicableRules: tag('40E'),
+    issueDate: parseSwiftDate(tag('31C')),
+    expiryDate: parseSwiftDate(expiry),
+    expiryPlace: expiry ? expiry.slice(6).trim() || null : null,
+    applicant: parseParty(tag('50')),
+    beneficiary: parseParty(tag('59')),
+    currency: amount?.currency || null,
+    amount: amount?.amount ?? null,
+    tolerance: parseTolerance(tag('39A')),
+    availableWith: tag('41A', '41D'),
+    partialShipments: parseAllowance(tag('43P')),
+    transhipment: parseAllowance(tag('43T')),
+    placeOfTakingInCharge: tag('44A'),
+    portOfLoading: tag('44E'),
+    portOfDischarge: tag('44F'),
+    placeOfFinalDestination: tag('44B'),
+    latestShipmentDate: parseSwiftDate(tag('44C')),
+    shipmentPeriod: tag('44D'),
+    goodsDescription: tag('45A'),
+    documentsRequired: parseItemList(tag('46A')),
+    additionalConditions: parseItemList(tag('47A')),
+    presentationDays: parsePresentationPeriod(tag('48')),
+    presentationPeriod: tag('48'),
+    charges: tag('71B', '71D'),
+    confirmation: tag('49'),
+    fields: fields.reduce((map, field) => ({ ...map, [field.tag]: field.value }), {})
+  };
+};
+
+// ─── Amendments ─────────────────────────────────────────────────────────────
+
+export const parseAmendmentMessage = (text) => {
+  const { messageType, fields } = parseSwiftMessage(text);
+
+  if (messageType !== AMENDMENT_MESSAGE) {
+    throw new Error(`Unsupported SWIFT message type: ${messageType || 'unknown'}. Expected ${AMENDMENT_MESSAGE}`);
+  }
+
+  const tag = (...tags) => {
+    for (const wanted of tags) {
+      const field = fields.find(f => f.tag === wanted);
+      if (field) return field.value;
+    }
+    return null;
+  };
+
+  // 23 carries the issuing bank's reference when the sender is not the issuer
+  const creditNumber = tag('23') || tag('20');
+  if (!creditNumber) {
+    throw new Error('MT707 has no documentary credit number (field 20 or 23)');
+  }
+
+  // 26E: number of amendment, "01" or "1"
+  const numberMatch = (tag('26E') || '').match(/\d+/);
+  const expiry = tag('31D');
+  const increase = parseSwiftAmount(tag('32B'));
+  const decrease = parseSwiftAmount(tag('33B'));
+
+  const changes = {
+    // 31E is the pre-2018 "new date of expiry"
+    expiryDate: parseSwiftDate(expiry || tag('31E')),
+    expiryPlace: expiry ? expiry.slice(6).trim() || null : null,
+    applicant: parseParty(tag('50')),
+    beneficiary: parseParty(tag('59')),
+    currency: increase?.currency || decrease?.currency || null,
+    amountIncrease: increase?.amount ?? null,
+    amountDecrease: decrease?.amount ?? null,
+    tolerance: parseTolerance(tag('39A')),
+    partialShipments: parseAllowance(tag('43P')),
+    transhipment: parseAllowance(tag('43T')),
+    placeOfTakingInCharge: tag('44A'),
+    portOfLoading: tag('44E'),
+    portOfDischarge: tag('44F'),
+    placeOfFinalDestination: tag('44B'),
+    latestShipmentDate: parseSwiftDate(tag('44C')),
+    shipmentPeriod: tag('44D'),
+    goodsDescription: parseAmendedItems(tag('45B'), 'repall'),
+    documentsRequired: parseAmendedItems(tag('46B'), 'add'),
+    additionalConditions: parseAmendedItems(tag('47B'), 'add'),
+    presentationDays: parsePresentationPeriod(tag('48')),
+    presentationPeriod: tag('48'),
+    charges: tag('71D'),
+    narrative: tag('79Z', '79')
+  };
+
+  return {
+    source: 'swift',
+    messageType,
+    lcNumber: creditNumber.trim(),
+    amendmentNumber: numberMatch ? +numberMatch[0] : null,
+    amendmentDate: parseSwiftDate(tag('30')),
+    purpose: tag('22A'),
+    cancellationRequest: tag('23S') === 'CANCEL',
+    changes: Object.fromEntries(Object.entries(changes).filter(([, value]) => value != null)),
+    fields: fields.reduce((map, field) => ({ ...map, [field.tag]: field.value }), {})
+  };
+};
+
+// Parse any supported SWIFT file: a credit or an amendment to one
+export const parseSwiftFile = (text) => {
+  const { messageType } = parseSwiftMessage(text);
+
+  if (messageType === AMENDMENT_MESSAGE) {
+    return { kind: 'amendment', message: parseAmendmentMessage(text) };
+  }
+  if (!SUPPORTED_CREDIT_MESSAGES.includes(messageType)) {
+    throw new Error(`Unsupported SWIFT message type: ${messageType || 'unknown'}. Expected one of ${[...SUPPORTED_CREDIT_MESSAGES, AMENDMENT_MESSAGE].join(', ')}`);
+  }
+  return { kind: 'credit', message: parseCreditMessage(text) };
+};
+
+// Flatten credit terms into the field list shown next to OCR'd documents
+export const creditTermsToFields = (terms) => {
+  const amount = terms.amount != null ? `${terms.currency} ${terms.amount.toFixed(2)}` : null;
+
+  return [
+    ['LC Number', terms.lcNumber, '20'],
+    ['Form of Credit', terms.formOfCredit, '40A'],
+    ['Issue Date', terms.issueDate, '31C'],
+    ['Expiry Date', terms.expiryDate, '31D'],
+    ['Expiry Place', terms.expiryPlace, '31D'],
+    ['Applicant', terms.applicant, '50'],
+    ['Beneficiary', terms.beneficiary, '59'],
+    ['Amount', amount, '32B'],
+    ['Tolerance', terms.tolerance ? `+${terms.tolerance.plus}% / -${terms.tolerance.minus}%` : null, '39A'],
+    ['Partial Shipments', terms.partialShipments, '43P'],
+    ['Transhipment', terms.transhipment, '43T'],
+    ['Port of Loading', terms.portOfLoading, '44E'],
+    ['Port of Discharge', terms.portOfDischarge, '44F'],
+    ['Latest Shipment Date', terms.latestShipmentDate, '44C'],
+    ['Goods Description', terms.goodsDescription, '45A'],
+    ['Presentation Period', terms.presentationPeriod, '48'],
+    ['Charges', terms.charges, '71B']
+  ]
+    .filter(([, value]) => value != null && value !== '')
+    .map(([fieldName, fieldValue, swiftTag]) => ({
+      fieldName,
+      fieldValue: String(fieldValue),
+      confidence: 1,
+      swiftTag
+    }));
+};
+
+// Field list for an amendment: its identification plus every changed term
+export const amendmentToFields = (amendment) => {
+  const { changes } = amendment;
+  const describeItems = (items) => items?.map(item => `${item.action.toUpperCase()}: ${item.text}`).join('; ');
+
+  return [
+    ['LC Number', amendment.lcNumber, '20'],
+    ['Amendment Number', amendment.amendmentNumber, '26E'],
+    ['Amendment Date', amendment.amendmentDate, '30'],
+    ['Expiry Date', changes.expiryDate, '31D'],
+    ['Increase of Amount', changes.amountIncrease != null ? `${changes.currency} ${changes.amountIncrease.toFixed(2)}` : null, '32B'],
+    ['Decrease of Amount', changes.amountDecrease != null ? `${changes.currency} ${changes.amountDecrease.toFixed(2)}` : null, '33B'],
+    ['Tolerance', changes.tolerance ? `+${changes.tolerance.plus}% / -${changes.tolerance.minus}%` : null, '39A'],
+    ['Partial Shipments', changes.partialShipments, '43P'],
+    ['Transhipment', changes.transhipment, '43T'],
+    ['Port of Loading', changes.portOfLoading, '44E'],
+    ['Port of Discharge', changes.portOfDischarge, '44F'],
+    ['Latest Shipment Date', changes.latestShipmentDate, '44C'],
+    ['Goods Description', describeItems(changes.goodsDescription), '45B'],
+    ['Documents Required', describeItems(changes.documentsRequired), '46B'],
+    ['Additional Conditions', describeItems(changes.additionalConditions), '47B'],
+    ['Presentation Period', changes.presentationPeriod, '48'],
+    ['Narrative', changes.narrative, '79Z']
+  ]
+    .filter(([, value]) => value != null && value !== '')
+    .map(([fieldName, fieldValue, swiftTag]) => ({
+      fieldName,
+      fieldValue: String(fieldValue),
+      confidence: 1,
+      swiftTag
+    }));
+};
+
+// ─── Advice of refusal ──────────────────────────────────────────────────────
+
+export const REFUSAL_MESSAGE = 'MT734';
+
+// Field 77J holds at most 70 lines of 50 characters
+export const MAX_DISCREPANCY_LINES = 70;
+const DISCREPANCY_LINE_WIDTH = 50;
+const NARRATIVE_LINE_WIDTH = 35;
+
+// Characters of the SWIFT x and z sets; anything else becomes a space
+const X_CHARACTERS = /[^A-Za-z0-9/\-?:().,'+ ]/g;
+const Z_CHARACTERS = /[^A-Za-z0-9/\-?:().,'+ =!"%&*<>;@#{_]/g;
+
+const toCharacterSet = (text, pattern) =>
+  String(text || '').toUpperCase().replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+
+// Word-wrap text into lines of at most width characters, the first starting
+// with firstIndent and the others with indent, breaking words that do not
+// fit on a line of their own. Lines cannot start with ':' or '-', which
+// would read as a new field or the end of the text block.
+const wrapSwiftText = (text, width, indent = '', firstIndent = indent) => {
+  const lines = [];
+  const prefix = () => (lines.length ? indent : firstIndent);
+  let line = '';
+
+  for (let word of text.split(' ').filter(Boolean)) {
+    if (line && line.length + 1 + word.length <= width) {
+      line += ` ${word}`;
+      continue;
+    }
+    if (line) lines.push(line);
+    while (prefix().length + word.length > width) {
+      const room = width - prefix().length;
+      lines.push(prefix() + word.slice(0, room));
+      word = word.slice(room);
+    }
+    line = prefix() + word;
+  }
+  if (line) lines.push(line);
+
+  return lines.map(value => (/^[:-]/.test(value) ? ` ${value}`.slice(0, width) : value));
+};
+
+// YYYY-MM-DD → YYMMDD
+const formatSwiftDate = (value) => String(value).replace(/-/g, '').slice(2, 8);
+
+// 50000 → 50000,00
+const formatSwiftAmount = (amount) => Number(amount).toFixed(2).replace('.', ',');
+
+// Logical terminal address: the BIC8, a terminal code and the branch
+const toTerminalAddress = (bic) => `${bic.slice(0, 8)}X${bic.slice(8, 11) || 'XXX'}`;
+
+// The numbered discrepancies of field 77J, one after the other, each with
+// the article it breaches and what the credit and the document say
+export const formatDiscrepancyLines = (discrepancies) => discrepancies.flatMap((discrepancy, index) => {
+  const number = `${index + 1}. `;
+  const indent = ' '.repeat(number.length);
+  const document = discrepancy.presentedDocumentType ? `${discrepancy.presentedDocumentType}: ` : '';
+  const heading = `${number}${document}${discrepancy.title}${discrepancy.article ? ` (${discrepancy.article})` : ''}`;
+
+  const details = discrepancy.referenceValue != null || discrepancy.presentedValue != null
+    ? [
+        discrepancy.referenceValue != null && `CREDIT: ${discrepancy.referenceValue}`,
+        discrepancy.presentedValue != null && `PRESENTED: ${discrepancy.presentedValue}`
+      ].filter(Boolean)
+    : [discrepancy.description].filter(Boolean);
+
+  return [
+    ...wrapSwiftText(toCharacterSet(heading, Z_CHARACTERS), DISCREPANCY_LINE_WIDTH, indent, ''),
+    ...details.flatMap(detail => wrapSwiftText(toCharacterSet(detail, Z_CHARACTERS), DISCREPANCY_LINE_WIDTH, indent))
+  ];
+});
+
+// An MT734 advice of refusal. The envelope (blocks 1 and 2) is only written
+// when both the sending and the receiving bank's BIC are known; without it
+// the text is ready to be keyed into the bank's SWIFT interface.
+export const buildRefusalMessage = ({
+  senderReference,
+  presenterReference,
+  utilisationDate,
+  currency,
+  amount,
+  chargesClaimed = null,
+  senderToReceiverInfo = null,
+  discrepancies,
+  disposal,
+  disposalNote = null,
+  senderBic = null,
+  receiverBic = null
+}) => {
+  const discrepancyLines = formatDiscrepancyLines(discrepancies);
+  if (discrepancyLines.length === 0) {
+    throw new Error(`${REFUSAL_MESSAGE} needs at least one discrepancy (field 77J)`);
+  }
+  if (discrepancyLines.length > MAX_DISCREPANCY_LINES) {
+    throw new Error(`${REFUSAL_MESSAGE} discrepancies take ${discrepancyLines.length} lines; field 77J holds ${MAX_DISCREPANCY_LINES}`);
+  }
+
+  const narrative = (text, pattern, maxLines) =>
+    wrapSwiftText(toCharacterSet(text, pattern), NARRATIVE_LINE_WIDTH).slice(0, maxLines);
+  const field = (tag, lines) => (lines.length ? `:${tag}:${lines.join('\n')}` : null);
+
+  const text = [
+    field('20', [toCharacterSet(senderReference, X_CHARACTERS).replace(/ /g, '').slice(0, 16)]),
+    field('21', [toCharacterSet(presenterReference, X_CHARACTERS).replace(/ /g, '').slice(0, 16) || 'NONREF']),
+    field('32A', [`${formatSwiftDate(utilisationDate)}${currency}${formatSwiftAmount(amount)}`]),
+    chargesClaimed && field('73A', narrative(chargesClaimed, X_CHARACTERS, 6)),
+    senderToReceiverInfo && field('72Z', narrative(senderToReceiverInfo, Z_CHARACTERS, 6)),
+    field('77J', discrepancyLines),
+    field('77B', narrative(`/${disposal}/${disposalNote ? ` ${disposalNote}` : ''}`, X_CHARACTERS, 3))
+  ].filter(Boolean).join('\n');
+
+  if (!senderBic || !receiverBic) return text;
+
+  const type = REFUSAL_MESSAGE.slice(2);
+  return `{1:F01${toTerminalAddress(senderBic)}0000000000}{2:I${type}${toTerminalAddress(receiverBic)}N}{4:\n${text}\n-}`;
+};
@@ -0,0 +1,334 @@
+// Built-in document templates. They seed ingestion_templates when the
+// database is created and stand in for the registry while it holds no
+// active templates. Patterns are regular expression sources, matched
+// case-insensitively; an extraction pattern's first capture group is the
+// field value.
+
+export const DEFAULT_TEMPLATES = [
+  // Checked before the credit itself: an amendment advice also mentions the
+  // documentary credit it amends
+  {
+    name: 'LC Amendment',
+    type: 'master',
+    category: 'Credit',
+    priority: 1,
+    startPatterns: [
+      String.raw`AMENDMENT\s+TO\s+(?:IRREVOCABLE\s+)?(?:DOCUMENTARY\s+CREDIT|LETTER\s+OF\s+CREDIT)`,
+      String.raw`NUMBER\s+OF\s+AMENDMENT`,
+      String.raw`AMENDMENT\s+(?:NO\.?|NUMBER)\s*:?\s*\d`
+    ],
+    endPatterns: [
+      String.raw`ALL\s+OTHER\s+TERMS\s+(?:AND\s+CONDITIONS\s+)?REMAIN\s+UNCHANGED`,
+      String.raw`END\s+OF\s+AMENDMENT`
+    ],
+    keywords: ['amendment', 'credit number', 'date of amendment', 'beneficiary', 'unchanged'],
+    sections: [],
+    fields: [
+      {
+        fieldName: 'LC Number',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`(?:lc|credit)\s*(?:number|no\.?)\s*:?\s*([A-Z0-9\-]+)`,
+        confidence: 0.9
+      },
+      {
+        fieldName: 'Amendment Number',
+        fieldType: 'number',
+        isRequired: true,
+        extractionPattern: String.raw`(?:number\s+of\s+amendment|amendment\s+(?:no\.?|number))\s*:?\s*(\d+)`,
+        confidence: 0.9
+      },
+      {
+        fieldName: 'Amendment Date',
+        fieldType: 'date',
+        isRequired: false,
+        extractionPattern: String.raw`(?:date\s+of\s+amendment|amendment\s+date)\s*:?\s*([^\n]+?)(?=\s+[A-Z]{3,}[A-Z ]*:|\n|$)`,
+        confidence: 0.8
+      }
+    ]
+  },
+  {
+    name: 'Letter of Credit',
+    type: 'master',
+    category: 'Credit',
+    priority: 2,
+    startPatterns: [
+      String.raw`IRREVOCABLE\s+DOCUMENTARY\s+CREDIT`,
+      String.raw`LETTER\s+OF\s+CREDIT`,
+      String.raw`DOCUMENTARY\s+CREDIT`,
+      String.raw`LC\s+NUMBER`,
+      String.raw`CREDIT\s+NUMBER`
+    ],
+    endPatterns: [
+      String.raw`END\s+OF\s+CREDIT`,
+      String.raw`CREDIT\s+EXPIRES`,
+      String.raw`UCP\s+600`,
+      String.raw`AUTHORIZED\s+SIGNATURE`
+    ],
+    keywords: ['beneficiary', 'applicant', 'expiry', 'amount', 'documents required'],
+    sections: ['lc number', 'beneficiary', 'applicant', 'amount', 'expiry'],
+    fields: [
+      {
+        fieldName: 'LC Number',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`(?:lc|letter of credit|credit)\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)`,
+        confidence: 0.9
+      },
+      {
+        fieldName: 'Amount',
+        fieldType: 'currency',
+        isRequired: true,
+        extractionPattern: String.raw`(?:amount|value)\s*:?\s*([A-Z]{3}\s*[\d,]+\.?\d*)`,
+        confidence: 0.85
+      },
+      {
+        fieldName: 'Beneficiary',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`beneficiary\s*:?\s*([^\n]+)`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Applicant',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`applicant\s*:?\s*([^\n]+)`,
+        confidence: 0.8
+      }
+    ]
+  },
+  {
+    name: 'Commercial Invoice',
+    type: 'master',
+    category: 'Commercial',
+    priority: 3,
+    startPatterns: [
+      String.raw`COMMERCIAL\s+INVOICE`,
+      String.raw`INVOICE\s+NUMBER`,
+      String.raw`INVOICE\s+DATE`,
+      String.raw`SOLD\s+TO`,
+      String.raw`BILL\s+TO`
+    ],
+    endPatterns: [
+      String.raw`TOTAL\s+AMOUNT`,
+      String.raw`GRAND\s+TOTAL`,
+      String.raw`PAYMENT\s+TERMS`,
+      String.raw`THANK\s+YOU`
+    ],
+    keywords: ['invoice', 'quantity', 'unit price', 'total', 'description'],
+    sections: ['invoice number', 'date', 'total', 'description'],
+    fields: [
+      {
+        fieldName: 'Invoice Number',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`invoice\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)`,
+        confidence: 0.9
+      },
+      {
+        fieldName: 'Total Amount',
+        fieldType: 'currency',
+        isRequired: true,
+        extractionPattern: String.raw`(?:total|grand total)\s*:?\s*([A-Z]{3}\s*[\d,]+\.?\d*)`,
+        confidence: 0.85
+      },
+      {
+        fieldName: 'Seller',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`(?:seller|exporter|issued\s+by)\s*:\s*([^\n]+)`,
+        confidence: 0.75
+      },
+      {
+        fieldName: 'Buyer',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`(?:sold\s+to|bill\s+to|invoiced?\s+to|messrs\.?|buyer|importer)\s*:\s*([^\n]+)`,
+        confidence: 0.75
+      },
+      {
+        fieldName: 'Goods Description',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`(?:description\s+of\s+goods|goods\s+description)\s*:\s*([^\n]+)`,
+        confidence: 0.7
+      }
+    ]
+  },
+  {
+    name: 'Bill of Lading',
+    type: 'master',
+    category: 'Transport',
+    priority: 4,
+    startPatterns: [
+      String.raw`BILL\s+OF\s+LADING`,
+      String.raw`B\/L\s+NUMBER`,
+      String.raw`SHIPPED\s+ON\s+BOARD`,
+      String.raw`VESSEL`,
+      String.raw`PORT\s+OF\s+LOADING`
+    ],
+    endPatterns: [
+      String.raw`FREIGHT\s+PREPAID`,
+      String.raw`FREIGHT\s+COLLECT`,
+      String.raw`SHIPPED\s+ON\s+BOARD`,
+      String.raw`MASTER'S\s+SIGNATURE`
+    ],
+    keywords: ['consignee', 'shipper', 'vessel', 'port', 'cargo'],
+    sections: ['vessel', 'port', 'consignee', 'shipper'],
+    fields: [
+      {
+        fieldName: 'B/L Number',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`(?:b\/l|bill of lading)\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)`,
+        confidence: 0.9
+      },
+      {
+        fieldName: 'Vessel',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`vessel\s*:?\s*([^\n]+)`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Carrier',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`(?:name\s+of\s+(?:the\s+)?carrier|carrier)\s*:\s*([^\n]+)`,
+        confidence: 0.75
+      },
+      {
+        fieldName: 'Consignee',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`consignee\s*:\s*([^\n]+)`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Port of Loading',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`port\s+of\s+loading\s*:\s*([^\n]+)`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Port of Discharge',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`port\s+of\s+discharge\s*:\s*([^\n]+)`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Port of Transhipment',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`port\s+of\s+trans+hipment\s*:\s*([^\n]+)`,
+        confidence: 0.7
+      },
+      {
+        fieldName: 'On Board Date',
+        fieldType: 'date',
+        isRequired: false,
+        extractionPattern: String.raw`(?:shipped|laden)\s+on\s+board(?:\s+date)?\s*:?\s*(\d{4}-\d{2}-\d{2}|\d{1,2}[\s-][A-Za-z]{3,9}[\s-]\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4})`,
+        confidence: 0.8
+      },
+      {
+        fieldName: 'Number of Originals',
+        fieldType: 'text',
+        isRequired: false,
+        extractionPattern: String.raw`(?:number|no\.?)\s+of\s+originals?(?:\s+b\/?l(?:\(?s\)?)?)?\s*:\s*([^\n]+)`,
+        confidence: 0.75
+      }
+    ]
+  },
+  {
+    name: 'Packing List',
+    type: 'master',
+    category: 'Commercial',
+    priority: 5,
+    startPatterns: [
+      String.raw`PACKING\s+LIST`,
+      String.raw`PACKAGE\s+LIST`,
+      String.raw`GROSS\s+WEIGHT`,
+      String.raw`NET\s+WEIGHT`,
+      String.raw`PACKAGES`
+    ],
+    endPatterns: [
+      String.raw`TOTAL\s+PACKAGES`,
+      String.raw`TOTAL\s+WEIGHT`,
+      String.raw`MEASUREMENT`,
+      String.raw`DIMENSIONS`
+    ],
+    keywords: ['packages', 'weight', 'dimensions', 'cartons', 'pieces'],
+    sections: [],
+    fields: [
+      {
+        fieldName: 'Total Packages',
+        fieldType: 'number',
+        isRequired: false,
+        extractionPattern: String.raw`(?:total\s+)?packages?\s*:?\s*(\d+)`,
+        confidence: 0.85
+      }
+    ]
+  },
+  {
+    name: 'Certificate of Origin',
+    type: 'master',
+    category: 'Origin',
+    priority: 6,
+    startPatterns: [
+      String.raw`CERTIFICATE\s+OF\s+ORIGIN`,
+      String.raw`COUNTRY\s+OF\s+ORIGIN`,
+      String.raw`CHAMBER\s+OF\s+COMMERCE`,
+      String.raw`ORIGIN\s+CERTIFICATE`
+    ],
+    endPatterns: [
+      String.raw`CHAMBER\s+SEAL`,
+      String.raw`AUTHORIZED\s+SIGNATURE`,
+      String.raw`CERTIFICATE\s+NUMBER`,
+      String.raw`DATE\s+OF\s+ISSUE`
+    ],
+    keywords: ['origin', 'country', 'goods', 'certificate', 'chamber'],
+    sections: [],
+    fields: [
+      {
+        fieldName: 'Country of Origin',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`country\s+of\s+origin\s*:?\s*([^\n]+)`,
+        confidence: 0.9
+      }
+    ]
+  },
+  {
+    name: 'Insurance Certificate',
+    type: 'master',
+    category: 'Insurance',
+    priority: 7,
+    startPatterns: [
+      String.raw`INSURANCE\s+CERTIFICATE`,
+      String.raw`POLICY\s+NUMBER`,
+      String.raw`INSURED\s+AMOUNT`,
+      String.raw`COVERAGE`,
+      String.raw`MARINE\s+INSURANCE`
+    ],
+    endPatterns: [
+      String.raw`POLICY\s+EXPIRES`,
+      String.raw`INSURER'S\s+SIGNATURE`,
+      String.raw`CLAIMS\s+PAYABLE`,
+      String.raw`COVERAGE\s+ENDS`
+    ],
+    keywords: ['insurance', 'policy', 'coverage', 'premium', 'claims'],
+    sections: [],
+    fields: [
+      {
+        fieldName: 'Policy Number',
+        fieldType: 'text',
+        isRequired: true,
+        extractionPattern: String.raw`policy\s*(?:number|no\.?|#)?\s*:?\s*([A-Z0-9\-]+)`,
+        confidence: 0.9
+      }
+    ]
+  }
+];
@@ -0,0 +1,136 @@
+import { getTemplateRegistry, matchTemplateFields } from './templateRegistry.js';
+
+// Scores a processed document against every stored template, for an
+// analyst choosing the template to catalog the document with. A template is
+// scored on three things: how many of its keywords the text contains, how
+// well the text follows its structure (start and end patterns, required
+// sections), and how many of its fields its extraction rules find.
+
+const SCORE_WEIGHTS = {
+  keywords: 0.35,
+  structure: 0.35,
+  fields: 0.3
+};
+
+// Templates scoring lower are not offered
+const MIN_MATCH_CONFIDENCE = 0.3;
+
+// An extracted value that breaks a validation rule counts half
+const INVALID_FIELD_CREDIT = 0.5;
+
+export const compareDocumentToTemplates = async (cleanedDocument) => {
+  const registry = await getTemplateRegistry();
+  const text = documentText(cleanedDocument);
+
+  // Built-in templates stand in while none are stored; they have no id and
+  // cannot be cataloged, so only stored templates are compared
+  const templates = [...registry.masters, ...[...registry.subTemplates.values()].flat()]
+    .filter(template => template.id);
+
+  const matches = templates
+    .map(template => scoreTemplateMatch(text, template))
+    .filter(match => match.confidence >= MIN_MATCH_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence || b.matchedFields - a.matchedFields);
+
+  return {
+    matches,
+    totalTemplatesChecked: templates.length,
+    bestMatch: matches[0] || null
+  };
+};
+
+// Text of a processed document; documents with several forms store their
+// splits as JSON
+const documentText = (cleanedDocument) => {
+  const content = cleanedDocument.cleanedContent || '';
+  if (content.startsWith('[')) {
+    try {
+      return JSON.parse(content).map(split => split.content || '').join('\n');
+    } catch (parseError) {
+      return content;
+    }
+  }
+  return content;
+};
+
+const scoreTemplateMatch = (text, template) => {
+  const lowerText = text.toLowerCase();
+  const lines = lowerText.split('\n');
+
+  const keywords = template.keywords.length > 0
+    ? template.keywords.filter(keyword => lowerText.includes(keyword.toLowerCase())).length / template.keywords.length
+    : null;
+
+  const structureParts = [];
+  if (template.startPatterns.length > 0) {
+    structureParts.push(template.startPatterns.some(pattern => pattern.test(text)) ? 1 : 0);
+  }
+  if (template.endPatterns.length > 0) {
+    structureParts.push(template.endPatterns.some(pattern => pattern.test(text)) ? 1 : 0);
+  }
+  if (template.sections.length > 0) {
+    structureParts.push(template.sections.filter(section =>
+      lines.some(line => line.includes(section))
+    ).length / template.sections.length);
+  }
+  const structure = structureParts.length > 0
+    ? structureParts.reduce((sum, part) => sum + part, 0) / structureParts.length
+    : null;
+
+  const fieldResults = matchTemplateFields(text, template).map(({ field, value, validationErrors }) => ({
+    fieldName: field.fieldName,
+    fieldType: field.fieldType,
+    isRequired: field.isRequired,
+    status: fieldStatus(field, value, validationErrors),
+    value,
+    validationErrors
+  }));
+
+  // Required fields decide the field score; templates without any are
+  // judged on all the fields they can extract
+  const extractable = fieldResults.filter(result => result.status !== 'unavailable');
+  const scored = extractable.some(result => result.isRequired)
+    ? extractable.filter(result => result.isRequired)
+    : extractable;
+  const fields = scored.length > 0
+    ? scored.reduce((sum, result) => sum + fieldCredit(result.status), 0) / scored.length
+    : null;
+
+  const scores = { keywords, structure, fields };
+  const weighted = Object.entries(scores).filter(([, score]) => score !== null);
+  const totalWeight = weighted.reduce((sum, [key]) => sum + SCORE_WEIGHTS[key], 0);
+  const confidence = totalWeight > 0
+    ? weighted.reduce((sum, [key, score]) => sum + score * SCORE_WEIGHTS[key], 0) / totalWeight
+    : 0;
+
+  return {
+    id: template.id,
+    name: template.name,
+    type: template.type,
+    documentType: template.documentType,
+    version: template.version,
+    confidence: round(confidence),
+    scores: {
+      keywords: keywords === null ? null : round(keywords),
+      structure: structure === null ? null : round(structure),
+      fields: fields === null ? null : round(fields)
+    },
+    matchedFields: fieldResults.filter(result => result.status === 'matched').length,
+    totalFields: fieldResults.length,
+    fields: fieldResults
+  };
+};
+
+const fieldStatus = (field, value, validationErrors) => {
+  if (!field.pattern) return 'unavailable';
+  if (value === null) return 'missing';
+  return validationErrors.length > 0 ? 'invalid' : 'matched';
+};
+
+const fieldCredit = (status) => {
+  if (status === 'matched') return 1;
+  if (status === 'invalid') return INVALID_FIELD_CREDIT;
+  return 0;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
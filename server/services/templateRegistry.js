@@ -0,0 +1,460 @@
+import { TemplateModel } from '../models/Template.js';
+import { DEFAULT_TEMPLATES } from './templateDefaults.js';
+
+// Runtime view of the document templates in ingestion_templates. The
+// splitter and recogniser read compiled templates from here; admin changes
+// invalidate the cache of this process, other processes pick them up once
+// their copy expires.
+
+export const TEMPLATE_TYPES = ['master', 'sub'];
+
+export const TEMPLATE_FIELD_TYPES = ['text', 'number', 'date', 'currency'];
+
+const VALIDATION_RULE_KEYS = ['pattern', 'minLength', 'maxLength', 'min', 'max', 'allowedValues'];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_PRIORITY = 100;
+
+const DEFAULT_FIELD_CONFIDENCE = 0.8;
+
+let cachedRegistry = null;
+let cachedAt = 0;
+let loading = null;
+
+export const getTemplateRegistry = async () => {
+  if (cachedRegistry && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedRegistry;
+  }
+
+  if (!loading) {
+    loading = loadRegistry()
+      .then(registry => {
+        cachedRegistry = registry;
+        cachedAt = Date.now();
+        return registry;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+export const invalidateTemplateRegistry = () => {
+  cachedRegistry = null;
+  cachedAt = 0;
+};
+
+// Templates are read from the database; the built-in ones are used while it
+// holds no active master template or cannot be read at all, so processing
+// keeps working on a database created before the registry existed
+const loadRegistry = async () => {
+  try {
+    const templates = await TemplateModel.getTemplates();
+    if (templates.some(template => template.type === 'master')) {
+      return buildRegistry(templates, 'database');
+    }
+    console.warn('No active document templates stored, using the built-in templates');
+  } catch (error) {
+    if (cachedRegistry) {
+      console.error('Could not reload document templates, keeping the previous ones:', error.message);
+      return cachedRegistry;
+    }
+    console.error('Could not load document templates, using the built-in templates:', error.message);
+  }
+
+  return buildRegistry(DEFAULT_TEMPLATES.map(template => ({ ...template, id: null, version: 0 })), 'defaults');
+};
+
+const buildRegistry = (templates, source) => {
+  const masters = templates
+    .filter(template => template.type === 'master')
+    .map(template => ({ ...compileTemplate(template), documentType: template.name }))
+    .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+
+  // Built-in templates have no id and are found by name only
+  const mastersById = new Map(masters.filter(master => master.id).map(master => [templateKey(master.id), master]));
+  const subTemplates = new Map();
+  for (const template of templates) {
+    const master = template.type === 'sub' && mastersById.get(templateKey(template.parentTemplateId));
+    if (!master) continue;
+
+    // A sub template's fields replace the master's fields of the same name
+    // and add to the others
+    const sub = compileTemplate(template);
+    const subFieldNames = new Set(sub.fields.map(field => field.fieldName.toLowerCase()));
+    sub.fields = [
+      ...master.fields.filter(field => !subFieldNames.has(field.fieldName.toLowerCase())),
+      ...sub.fields
+    ];
+    sub.documentType = master.name;
+
+    if (!subTemplates.has(master.id)) {
+      subTemplates.set(master.id, []);
+    }
+    subTemplates.get(master.id).push(sub);
+  }
+
+  const byId = new Map(mastersById);
+  for (const sub of [...subTemplates.values()].flat()) {
+    byId.set(templateKey(sub.id), sub);
+  }
+
+  return {
+    source,
+    masters,
+    byName: new Map(masters.map(master => [master.name, master])),
+    subTemplates,
+    byId
+  };
+};
+
+// SQL Server returns identifiers in upper case; requests may not
+const templateKey = (id) => String(id).toUpperCase();
+
+// The active template with an id, compiled, or null
+export const findTemplateById = (registry, templateId) => (
+  templateId ? registry.byId.get(templateKey(templateId)) || null : null
+);
+
+// A pattern that does not compile is left out rather than failing every
+// document; the admin routes reject such patterns on save
+const compilePattern = (source, templateName) => {
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    console.warn(`Template ${templateName}: ignoring invalid pattern /${source}/: ${error.message}`);
+    return null;
+  }
+};
+
+const compilePatterns = (sources, templateName) => sources
+  .map(source => compilePattern(source, templateName))
+  .filter(Boolean);
+
+const compileTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  type: template.type,
+  category: template.category,
+  parentTemplateId: template.parentTemplateId || null,
+  priority: template.priority ?? DEFAULT_PRIORITY,
+  version: template.version,
+  startPatterns: compilePatterns(template.startPatterns || [], template.name),
+  endPatterns: compilePatterns(template.endPatterns || [], template.name),
+  keywords: template.keywords || [],
+  sections: template.sections || [],
+  fields: (template.fields || []).map(field => ({
+    fieldName: field.fieldName,
+    fieldType: field.fieldType || 'text',
+    isRequired: Boolean(field.isRequired),
+    pattern: field.extractionPattern ? compilePattern(field.extractionPattern, template.name) : null,
+    confidence: field.confidence ?? DEFAULT_FIELD_CONFIDENCE,
+    validationRules: field.validationRules || null,
+    rulePattern: field.validationRules?.pattern ? compilePattern(field.validationRules.pattern, template.name) : null
+  }))
+});
+
+// Run the extraction pattern of every field of a template over a text. Each
+// result has the value found (null when the field has no pattern or nothing
+// matched) and the validation rules the value breaks.
+export const matchTemplateFields = (content, template) => template.fields.map(field => {
+  const match = field.pattern ? content.match(field.pattern) : null;
+  if (!match || match[1] === undefined) {
+    return { field, value: null, validationErrors: [] };
+  }
+
+  const value = match[1].trim();
+  return { field, value, validationErrors: validateFieldValue(value, field) };
+});
+
+// Problems of an extracted value against the validation rules of its field
+export const validateFieldValue = (value, field) => {
+  const rules = field.validationRules;
+  if (!rules) return [];
+
+  const errors = [];
+  if (field.rulePattern && !field.rulePattern.test(value)) {
+    errors.push(`does not match the pattern ${rules.pattern}`);
+  }
+  if (rules.minLength != null && value.length < rules.minLength) {
+    errors.push(`is shorter than ${rules.minLength} characters`);
+  }
+  if (rules.maxLength != null && value.length > rules.maxLength) {
+    errors.push(`is longer than ${rules.maxLength} characters`);
+  }
+  if (rules.min != null || rules.max != null) {
+    const number = Number(value.replace(/[^\d.-]/g, ''));
+    if (!Number.isFinite(number) || !/\d/.test(value)) {
+      errors.push('is not a number');
+    } else if (rules.min != null && number < rules.min) {
+      errors.push(`is less than ${rules.min}`);
+    } else if (rules.max != null && number > rules.max) {
+      errors.push(`is more than ${rules.max}`);
+    }
+  }
+  if (rules.allowedValues?.length &&
+      !rules.allowedValues.some(allowed => allowed.toLowerCase() === value.toLowerCase())) {
+    errors.push(`is not one of ${rules.allowedValues.join(', ')}`);
+  }
+  return errors;
+};
+
+const isRegExpSource = (source) => {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const capturingGroups = (source) => new RegExp(`${source}|`, 'i').exec('').length - 1;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const normalizeStringList = (value) => value.map(item => item.trim()).filter(item => item.length > 0);
+
+const normalizeValidationRules = (rules, label, errors) => {
+  if (rules == null) return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    errors.push(`${label}: validationRules must be an object`);
+    return null;
+  }
+
+  const unknownKeys = Object.keys(rules).filter(key => !VALIDATION_RULE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`${label}: unknown validation rules ${unknownKeys.join(', ')}`);
+  }
+
+  const normalized = {};
+  if (rules.pattern != null && rules.pattern !== '') {
+    if (typeof rules.pattern !== 'string' || !isRegExpSource(rules.pattern)) {
+      errors.push(`${label}: validation pattern is not a valid regular expression`);
+    } else {
+      normalized.pattern = rules.pattern;
+    }
+  }
+  for (const key of ['minLength', 'maxLength']) {
+    if (rules[key] == null) continue;
+    if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+      errors.push(`${label}: ${key} must be a whole number of at least 0`);
+    } else {
+      normalized[key] = rules[key];
+    }
+  }
+  for (const key of ['min', 'max']) {
+    if (rules[key] == null) continue;
+    if (typeof rules[key] !== 'number' || !Number.isFinite(rules[key])) {
+      errors.push(`${label}: ${key} must be a number`);
+    } else {
+      normalized[key] = rules[key];
+    }
+  }
+  if (rules.allowedValues != null) {
+    if (!isStringList(rules.allowedValues)) {
+      errors.push(`${label}: allowedValues must be a list of strings`);
+    } else if (rules.allowedValues.length > 0) {
+      normalized.allowedValues = normalizeStringList(rules.allowedValues);
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+const normalizeField = (field, index, errors) => {
+  const label = `Field ${index + 1}`;
+  if (!field || typeof field !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const fieldName = typeof field.fieldName === 'string' ? field.fieldName.trim() : '';
+  if (!fieldName || fieldName.length > 100) {
+    errors.push(`${label}: fieldName is required and at most 100 characters`);
+  }
+
+  const fieldType = field.fieldType ?? 'text';
+  if (!TEMPLATE_FIELD_TYPES.includes(fieldType)) {
+    errors.push(`${label}: fieldType must be one of ${TEMPLATE_FIELD_TYPES.join(', ')}`);
+  }
+
+  let extractionPattern = null;
+  if (field.extractionPattern != null && field.extractionPattern !== '') {
+    if (typeof field.extractionPattern !== 'string' || !isRegExpSource(field.extractionPattern)) {
+      errors.push(`${label}: extractionPattern is not a valid regular expression`);
+    } else if (capturingGroups(field.extractionPattern) < 1) {
+      errors.push(`${label}: extractionPattern needs a capture group for the value`);
+    } else {
+      extractionPattern = field.extractionPattern;
+    }
+  }
+
+  const confidence = field.confidence ?? DEFAULT_FIELD_CONFIDENCE;
+  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+    errors.push(`${label}: confidence must be between 0 and 1`);
+  }
+
+  let position = null;
+  if (field.position != null) {
+    const { x, y, width, height } = field.position;
+    if (![x, y, width, height].every(value => typeof value === 'number' && Number.isFinite(value))) {
+      errors.push(`${label}: position needs numeric x, y, width and height`);
+    } else {
+      position = { x, y, width, height };
+    }
+  }
+
+  return {
+    fieldName,
+    fieldType,
+    isRequired: Boolean(field.isRequired),
+    extractionPattern,
+    validationRules: normalizeValidationRules(field.validationRules, label, errors),
+    confidence,
+    position
+  };
+};
+
+// Check a template definition sent by an admin (or restored from a version)
+// and bring it into the stored shape. Whether the parent template exists is
+// left to the caller.
+export const normalizeTemplateInput = (input) => {
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Template definition is required'], template: null };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 100) {
+    errors.push('Name is required and at most 100 characters');
+  }
+
+  if (!TEMPLATE_TYPES.includes(input.type)) {
+    errors.push(`Type must be one of ${TEMPLATE_TYPES.join(', ')}`);
+  }
+
+  const category = input.category == null ? '' : input.category;
+  if (typeof category !== 'string' || category.length > 100) {
+    errors.push('Category must be text of at most 100 characters');
+  }
+
+  const parentTemplateId = input.parentTemplateId || null;
+  if (input.type === 'sub' && !parentTemplateId) {
+    errors.push('A sub template needs a parent master template');
+  }
+  if (input.type === 'master' && parentTemplateId) {
+    errors.push('A master template cannot have a parent template');
+  }
+
+  const priority = input.priority ?? DEFAULT_PRIORITY;
+  if (!Number.isInteger(priority) || priority < 0 || priority > 1000) {
+    errors.push('Priority must be a whole number from 0 to 1000');
+  }
+
+  const lists = {};
+  for (const key of ['startPatterns', 'endPatterns', 'keywords', 'sections']) {
+    const value = input[key] ?? [];
+    if (!isStringList(value)) {
+      errors.push(`${key} must be a list of strings`);
+      lists[key] = [];
+    } else {
+      lists[key] = normalizeStringList(value);
+    }
+  }
+  for (const key of ['startPatterns', 'endPatterns']) {
+    const invalid = lists[key].filter(source => !isRegExpSource(source));
+    if (invalid.length > 0) {
+      errors.push(`${key} contains invalid regular expressions: ${invalid.join(', ')}`);
+    }
+  }
+  lists.keywords = lists.keywords.map(keyword => keyword.toLowerCase());
+  lists.sections = lists.sections.map(section => section.toLowerCase());
+
+  // Sections are found by their start patterns and typed by their keywords
+  if (input.type === 'master' && (lists.startPatterns.length === 0 || lists.keywords.length === 0)) {
+    errors.push('A master template needs at least one start pattern and one keyword');
+  }
+  if (input.type === 'sub' && lists.startPatterns.length === 0 && lists.keywords.length === 0) {
+    errors.push('A sub template needs at least one start pattern or keyword');
+  }
+
+  if (input.isActive != null && typeof input.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  const inputFields = input.fields ?? [];
+  if (!Array.isArray(inputFields)) {
+    errors.push('Fields must be a list');
+  }
+  const fields = (Array.isArray(inputFields) ? inputFields : [])
+    .map((field, index) => normalizeField(field, index, errors))
+    .filter(Boolean);
+
+  const seen = new Set();
+  for (const field of fields) {
+    const key = field.fieldName.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`Field ${field.fieldName} is defined more than once`);
+    }
+    seen.add(key);
+  }
+
+  return {
+    errors,
+    template: {
+      name,
+      type: input.type,
+      category,
+      parentTemplateId: input.type === 'sub' ? parentTemplateId : null,
+      priority,
+      ...lists,
+      isActive: input.isActive ?? true,
+      fields
+    }
+  };
+};
+
+// Check a definition against the stored templates as well: a sub template's
+// parent must be a master and a master name is used once. Returns the
+// normalized template, or the status and body of the error response.
+export const checkTemplateInput = async (input, templateId = null) => {
+  const { errors, template } = normalizeTemplateInput(input);
+  if (errors.length > 0) {
+    return { status: 400, error: { error: 'Invalid template', details: errors } };
+  }
+
+  if (template.type === 'sub') {
+    const parent = await TemplateModel.getTemplateById(template.parentTemplateId);
+    if (!parent || parent.type !== 'master') {
+      return { status: 400, error: { error: 'Parent template must be an existing master template' } };
+    }
+  }
+
+  if (template.type === 'master') {
+    const sameName = await TemplateModel.getMasterTemplateByName(template.name);
+    if (sameName && sameName.id !== templateId) {
+      return { status: 409, error: { error: `A master template named ${template.name} already exists` } };
+    }
+  }
+
+  return { template };
+};
+
+// Template definition for a requested new document type. A request without
+// start patterns or keywords expects the document type name to head the
+// document.
+export const templateInputFromProposal = (proposal) => ({
+  name: proposal.documentType,
+  type: proposal.parentTemplateId ? 'sub' : 'master',
+  category: proposal.documentCategory || '',
+  parentTemplateId: proposal.parentTemplateId || null,
+  startPatterns: proposal.startPatterns?.length > 0
+    ? proposal.startPatterns
+    : [proposal.documentType.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')],
+  endPatterns: [],
+  keywords: proposal.keywords?.length > 0 ? proposal.keywords : [proposal.documentType],
+  sections: [],
+  fields: proposal.fields || []
+});
@@ -0,0 +1,63 @@
+import { ROLES } from './permissions.js';
+
+// Rules for user accounts: what a password must look like, what an account
+// needs, and how many wrong passwords lock it.
+
+const PASSWORD_MIN_LENGTH = 12;
+
+// Wrong passwords in a row before an account locks, and for how long
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// What is wrong with a password for an account, if anything
+export const checkPassword = (password, { email = '', name = '' } = {}) => {
+  if (typeof password !== 'string' || !password) return ['Password is required'];
+
+  const problems = [];
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) {
+    problems.push('Password must mix upper and lower case letters');
+  }
+  if (!/\d/.test(password)) problems.push('Password must contain a digit');
+  if (!/[^A-Za-z0-9]/.test(password)) problems.push('Password must contain a symbol');
+
+  const lowered = password.toLowerCase();
+  const personal = [email.split('@')[0], ...name.split(/\s+/)]
+    .map(part => part.toLowerCase())
+    .filter(part => part.length >= 3);
+  if (personal.some(part => lowered.includes(part))) {
+    problems.push('Password must not contain the name or email of the account');
+  }
+
+  return problems;
+};
+
+// What is wrong with the details of a new account, or of changes to one
+export const checkAccountInput = ({ email, name, password, role }, { creating = false } = {}) => {
+  const details = [];
+
+  if (creating || email !== undefined) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) details.push('A valid email is required');
+  }
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) details.push('Name is required');
+    else if (name.trim().length > 255) details.push('Name must be at most 255 characters');
+  }
+  if ((creating || role !== undefined) && !ROLES.includes(role)) {
+    details.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (creating) {
+    // An email or name that is not text was reported above; the password is
+    // only compared with what is
+    details.push(...checkPassword(password, {
+      email: typeof email === 'string' ? email : '',
+      name: typeof name === 'string' ? name : ''
+    }));
+  }
+
+  return details;
+};
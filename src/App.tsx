@@ -7,6 +7,10 @@ import Dashboard from './pages/Dashboard';
 import Sessions from './pages/Sessions';
 import SessionDetail from './pages/SessionDetail';
 import Upload from './pages/Upload';
+import Templates from './pages/Templates';
+import Approvals from './pages/Approvals';
+import Users from './pages/Users';
+import Holidays from './pages/Holidays';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
 
@@ -31,6 +35,10 @@ function App() {
           <Route path="sessions/:sessionId" element={<SessionDetail />} />
           <Route path="upload" element={<Upload />} />
           <Route path="reports" element={<div className="p-6">Reports Page - Coming Soon</div>} />
+          <Route path="admin/templates" element={<Templates />} />
+          <Route path="admin/approvals" element={<Approvals />} />
+          <Route path="admin/users" element={<Users />} />
+          <Route path="admin/holidays" element={<Holidays />} />
           <Route path="admin/*" element={<div className="p-6">Admin Panel - Coming Soon</div>} />
         </Route>
         <Route path="*" element={<Navigate to="/" replace />} />
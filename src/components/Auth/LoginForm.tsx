@@ -82,7 +82,8 @@ const LoginForm: React.FC = () => {
           <div className="text-center text-sm text-slate-600">
             <p className="mb-2">Demo Credentials:</p>
             <p><strong>Admin:</strong> admin@tradefi.com / password</p>
-            <p><strong>User:</strong> user@tradefi.com / password</p>
+            <p><strong>Maker:</strong> user@tradefi.com / password</p>
+            <p><strong>Checker:</strong> checker@tradefi.com / password</p>
           </div>
         </form>
       </div>
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Bot, RefreshCw, ShieldCheck, ShieldX, User } from 'lucide-react';
+import { adminAPI, sessionsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/authStore';
+import { AuditEntry, AuditVerification } from '../../types';
+
+interface AuditTrailProps {
+  sessionId: string;
+}
+
+const errorMessage = (err: unknown, fallback: string) =>
+  (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback;
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Each recorded value with what it was before, where there was a before
+const changesOf = (entry: AuditEntry) => {
+  const asRecord = (value: unknown) =>
+    value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : null;
+  const before = asRecord(entry.before);
+  const after = asRecord(entry.after);
+
+  if ((entry.before !== null && !before) || (entry.after !== null && !after)) {
+    return [{ key: 'value', before: entry.before, after: entry.after, changed: true }];
+  }
+
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys.map(key => ({
+    key,
+    before: before?.[key],
+    after: after?.[key],
+    changed: before !== null && formatValue(before[key]) !== formatValue(after?.[key]),
+  }));
+};
+
+// Everything done to a session and its documents, by users and by the
+// processing pipeline, newest first
+const AuditTrail: React.FC<AuditTrailProps> = ({ sessionId }) => {
+  const { can } = useAuthStore();
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [actionFilter, setActionFilter] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [verification, setVerification] = useState<AuditVerification | null>(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  const loadAudit = useCallback(async (cursor?: string) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const page = await sessionsAPI.getAudit(sessionId, cursor);
+      setEntries(current => (cursor ? [...current, ...page.entries] : page.entries));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the audit trail'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadAudit();
+  }, [loadAudit]);
+
+  const verifyChain = async () => {
+    setIsVerifying(true);
+    try {
+      setVerification(await adminAPI.verifyAudit());
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to verify the audit trail'));
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const actions = [...new Set(entries.map(entry => entry.action))].sort();
+  const shown = actionFilter === 'all' ? entries : entries.filter(entry => entry.action === actionFilter);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900">Audit Trail</h2>
+          <p className="text-sm text-slate-600">Every action on this session and its documents</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={actionFilter}
+            onChange={(e) => setActionFilter(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="all">All actions</option>
+            {actions.map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => loadAudit()}
+            disabled={isLoading}
+            className="px-3 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+            title="Reload"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          </button>
+          {can('audit:view') && (
+            <button
+              onClick={verifyChain}
+              disabled={isVerifying}
+              className="flex items-center space-x-2 px-3 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50 text-sm"
+            >
+              <ShieldCheck size={16} />
+              <span>{isVerifying ? 'Verifying...' : 'Verify chain'}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {verification && (
+        <div className={`flex items-center space-x-2 rounded-lg p-3 text-sm border ${
+          verification.valid ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'
+        }`}>
+          {verification.valid ? <ShieldCheck size={16} /> : <ShieldX size={16} />}
+          <span>
+            {verification.valid
+              ? `All ${verification.checked} entries of the audit trail are intact.`
+              : `The audit trail is broken at entry ${verification.brokenAt}: ${verification.problem}.`}
+          </span>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm">{error}</div>
+      )}
+
+      {!isLoading && shown.length === 0 ? (
+        <p className="text-slate-600">No actions recorded for this session.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">When</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Who</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Action</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Changes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {shown.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-4 py-2 text-slate-600 whitespace-nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                    <p className="text-xs text-slate-400" title={entry.hash}>#{entry.sequence}</p>
+                  </td>
+                  <td className="px-4 py-2 text-slate-700">
+                    <span className="inline-flex items-center space-x-1">
+                      {entry.actorType === 'system' ? <Bot size={14} /> : <User size={14} />}
+                      <span>{entry.actorType === 'system' ? 'System' : entry.actorName || 'Unknown user'}</span>
+                    </span>
+                    {entry.ipAddress && <p className="text-xs text-slate-400">{entry.ipAddress}</p>}
+                  </td>
+                  <td className="px-4 py-2">
+                    <p className="font-medium text-slate-900">{entry.action}</p>
+                    <p className="text-xs text-slate-500 break-all">
+                      {entry.entityType}{entry.entityId ? ` ${entry.entityId}` : ''}
+                    </p>
+                  </td>
+                  <td className="px-4 py-2 text-xs text-slate-700">
+                    {changesOf(entry).map(change => (
+                      <p key={change.key} className="break-words">
+                        <span className="text-slate-500">{change.key}:</span>{' '}
+                        {change.changed && (
+                          <><span className="text-red-700 line-through">{formatValue(change.before)}</span>{' → '}</>
+                        )}
+                        <span className={change.changed ? 'text-green-700' : ''}>
+                          {formatValue(change.after === undefined ? change.before : change.after)}
+                        </span>
+                      </p>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {nextCursor && (
+        <div className="text-center">
+          <button
+            onClick={() => loadAudit(nextCursor)}
+            disabled={isLoading}
+            className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50 text-sm"
+          >
+            {isLoading ? 'Loading...' : 'Load older entries'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditTrail;
@@ -0,0 +1,234 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { FileSignature, Check, X, Clock, FileSearch } from 'lucide-react';
+import { sessionsAPI } from '../../services/api';
+import { CreditAmendment, SessionCredit } from '../../types';
+
+interface CreditAmendmentsProps {
+  sessionId: string;
+  onCreditLoaded?: (credit: SessionCredit) => void;
+}
+
+const responseStyles: Record<CreditAmendment['beneficiaryResponse'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+// Terms shown in the effective terms card, in display order
+const TERM_LABELS: Record<string, string> = {
+  lcNumber: 'LC Number',
+  amount: 'Amount',
+  expiryDate: 'Expiry Date',
+  latestShipmentDate: 'Latest Shipment Date',
+  portOfLoading: 'Port of Loading',
+  portOfDischarge: 'Port of Discharge',
+  partialShipments: 'Partial Shipments',
+  transhipment: 'Transhipment',
+  presentationDays: 'Presentation Period (days)',
+};
+
+const CHANGE_LABELS: Record<string, string> = {
+  expiryDate: 'Expiry date',
+  expiryPlace: 'Place of expiry',
+  amount: 'Amount',
+  amountIncrease: 'Amount increase',
+  amountDecrease: 'Amount decrease',
+  tolerance: 'Tolerance',
+  partialShipments: 'Partial shipments',
+  transhipment: 'Transhipment',
+  portOfLoading: 'Port of loading',
+  portOfDischarge: 'Port of discharge',
+  latestShipmentDate: 'Latest shipment date',
+  shipmentPeriod: 'Shipment period',
+  goodsDescription: 'Goods description',
+  documentsRequired: 'Documents required',
+  additionalConditions: 'Additional conditions',
+  presentationDays: 'Presentation period',
+  narrative: 'Narrative',
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatTermValue = (key: string, terms: Record<string, unknown>) => {
+  const value = terms[key];
+  if (value === null || value === undefined || value === '') return '—';
+  if (key === 'amount' && typeof value === 'number') {
+    return `${terms.currency || ''} ${value.toLocaleString('en-US', { minimumFractionDigits: 2 })}`.trim();
+  }
+  return String(value);
+};
+
+const CreditAmendments: React.FC<CreditAmendmentsProps> = ({ sessionId, onCreditLoaded }) => {
+  const [credit, setCredit] = useState<SessionCredit | null>(null);
+  const [asOf, setAsOf] = useState(today());
+  const [isLoading, setIsLoading] = useState(true);
+  const [respondingTo, setRespondingTo] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadCredit = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result: SessionCredit = await sessionsAPI.getCredit(sessionId, asOf);
+      setCredit(result);
+      onCreditLoaded?.(result);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load credit');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sessionId, asOf, onCreditLoaded]);
+
+  useEffect(() => {
+    loadCredit();
+  }, [loadCredit]);
+
+  const handleResponse = async (amendment: CreditAmendment, response: 'accepted' | 'rejected') => {
+    setRespondingTo(amendment.id);
+    setError(null);
+    try {
+      await sessionsAPI.respondToAmendment(sessionId, amendment.id, { response, responseDate: today() });
+      await loadCredit();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to record the beneficiary response');
+    } finally {
+      setRespondingTo(null);
+    }
+  };
+
+  if (isLoading && !credit) {
+    return (
+      <div className="animate-pulse space-y-4">
+        <div className="h-8 bg-slate-200 rounded w-1/3"></div>
+        <div className="h-24 bg-slate-200 rounded"></div>
+      </div>
+    );
+  }
+
+  const terms = credit?.effectiveTerms;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900">Credit & Amendments</h2>
+          <p className="text-sm text-slate-600">
+            Amendments bind the beneficiary only once accepted (UCP 600 Art. 10)
+          </p>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-slate-600">
+          <span>Terms as of</span>
+          <input
+            type="date"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value || today())}
+            className="border border-slate-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm">{error}</div>
+      )}
+
+      {!terms ? (
+        <div className="bg-slate-50 rounded-lg p-6 text-center">
+          <FileSearch className="mx-auto text-slate-400 mb-3" size={40} />
+          <h3 className="font-medium text-slate-900">No Letter of Credit found</h3>
+          <p className="text-sm text-slate-600 mt-1">
+            Upload the credit as a SWIFT MT700/MT710/MT720 message or a scanned document.
+          </p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg border border-slate-200 p-4">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center space-x-2">
+              <FileSignature className="text-blue-600" size={20} />
+              <h3 className="font-medium text-slate-900">
+                {terms.amendmentNumber > 0 ? `Terms as amended by amendment ${terms.amendmentNumber}` : 'Original credit terms'}
+              </h3>
+            </div>
+            <span className="text-xs text-slate-500">
+              {credit?.credit ? `SWIFT ${credit.credit.messageType}` : 'Scanned Letter of Credit'}
+            </span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {Object.entries(TERM_LABELS).map(([key, label]) => (
+              <div key={key} className="bg-slate-50 rounded p-3">
+                <p className="text-xs text-slate-500">
+                  {label}
+                  {terms.amendedBy[key] !== undefined && (
+                    <span className="ml-2 text-blue-600">amendment {terms.amendedBy[key]}</span>
+                  )}
+                </p>
+                <p className="text-sm font-medium text-slate-900 break-words">{formatTermValue(key, terms)}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h3 className="font-medium text-slate-900">Amendment chain</h3>
+        {credit && credit.amendments.length === 0 && (
+          <p className="text-sm text-slate-500">No amendments have been received for this credit.</p>
+        )}
+        {credit?.amendments.map((amendment) => (
+          <div key={amendment.id} className="bg-white rounded-lg border border-slate-200 p-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h4 className="font-medium text-slate-900">Amendment {amendment.amendmentNumber}</h4>
+                <p className="text-xs text-slate-500 mt-1">
+                  {amendment.amendmentDate ? `Issued ${amendment.amendmentDate.slice(0, 10)}` : 'Issue date unknown'}
+                  {' • '}
+                  {amendment.source === 'swift' ? 'SWIFT MT707' : 'Scanned advice'}
+                  {amendment.responseDate && ` • ${amendment.beneficiaryResponse} ${amendment.responseDate.slice(0, 10)}`}
+                </p>
+              </div>
+              <span className={`text-xs px-2 py-1 rounded-full font-medium ${responseStyles[amendment.beneficiaryResponse]}`}>
+                {amendment.beneficiaryResponse}
+              </span>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mt-3">
+              {Object.keys(amendment.changes).filter(key => CHANGE_LABELS[key]).map(key => (
+                <span key={key} className="text-xs bg-slate-100 text-slate-700 px-2 py-1 rounded">
+                  {CHANGE_LABELS[key]}
+                </span>
+              ))}
+            </div>
+
+            {amendment.beneficiaryResponse === 'pending' && (
+              <div className="flex items-center justify-between mt-4">
+                <p className="text-xs text-slate-500 flex items-center space-x-1">
+                  <Clock size={14} />
+                  <span>Awaiting the beneficiary's acceptance</span>
+                </p>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleResponse(amendment, 'rejected')}
+                    disabled={respondingTo === amendment.id}
+                    className="border border-red-300 text-red-700 px-3 py-1.5 rounded-lg hover:bg-red-50 transition-colors flex items-center space-x-1 text-sm disabled:opacity-50"
+                  >
+                    <X size={14} />
+                    <span>Rejected</span>
+                  </button>
+                  <button
+                    onClick={() => handleResponse(amendment, 'accepted')}
+                    disabled={respondingTo === amendment.id}
+                    className="bg-green-600 text-white px-3 py-1.5 rounded-lg hover:bg-green-700 transition-colors flex items-center space-x-1 text-sm disabled:opacity-50"
+                  >
+                    <Check size={14} />
+                    <span>Accepted</span>
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CreditAmendments;
@@ -0,0 +1,405 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { AlertOctagon, AlertTriangle, History, Info, RefreshCw, ShieldCheck, FileSearch } from 'lucide-react';
+import { documentsAPI, sessionsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/authStore';
+import { Discrepancy, DiscrepancyReport, DiscrepancyStatus, DiscrepancyTransition, Session } from '../../types';
+
+interface DiscrepancyListProps {
+  sessionId: string;
+  // Time of the latest check pushed by the server; a change reloads the list
+  checkedAt?: string | null;
+  sessionStatus?: Session['status'];
+}
+
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  return data?.details?.length ? data.details.join('. ') : data?.error || fallback;
+};
+
+const severityStyles: Record<Discrepancy['severity'], { badge: string; border: string; icon: React.ElementType }> = {
+  blocking: { badge: 'bg-red-100 text-red-800', border: 'border-red-200', icon: AlertOctagon },
+  warning: { badge: 'bg-yellow-100 text-yellow-800', border: 'border-yellow-200', icon: AlertTriangle },
+  info: { badge: 'bg-blue-100 text-blue-800', border: 'border-blue-200', icon: Info },
+};
+
+const statusStyles: Record<DiscrepancyStatus, string> = {
+  open: 'bg-slate-100 text-slate-700',
+  accepted: 'bg-orange-100 text-orange-800',
+  dismissed: 'bg-green-100 text-green-800',
+  sent_to_applicant: 'bg-purple-100 text-purple-800',
+  waived: 'bg-green-100 text-green-800',
+  refused: 'bg-red-100 text-red-800',
+};
+
+const statusLabel = (status: DiscrepancyStatus) => status.replace(/_/g, ' ');
+
+// What an examiner can do with a discrepancy in each status; the server
+// holds the same transitions
+const statusActions: Record<DiscrepancyStatus, { status: DiscrepancyStatus; label: string }[]> = {
+  open: [{ status: 'accepted', label: 'Accept' }, { status: 'dismissed', label: 'Dismiss' }],
+  accepted: [
+    { status: 'sent_to_applicant', label: 'Send to applicant' },
+    { status: 'refused', label: 'Refuse' },
+    { status: 'dismissed', label: 'Dismiss' },
+    { status: 'open', label: 'Reopen' },
+  ],
+  dismissed: [{ status: 'open', label: 'Reopen' }],
+  sent_to_applicant: [{ status: 'waived', label: 'Record waiver' }, { status: 'refused', label: 'Refuse' }],
+  waived: [],
+  refused: [{ status: 'sent_to_applicant', label: 'Send to applicant' }],
+};
+
+interface DiscrepancyActionsProps {
+  sessionId: string;
+  discrepancy: Discrepancy;
+  onChanged: (discrepancy: Discrepancy) => void;
+}
+
+const DiscrepancyActions: React.FC<DiscrepancyActionsProps> = ({ sessionId, discrepancy, onChanged }) => {
+  const [dismissing, setDismissing] = useState(false);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const waiverInput = useRef<HTMLInputElement>(null);
+
+  const change = async (status: DiscrepancyStatus, extra: { reason?: string; waiverDocumentId?: string } = {}) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const updated = await sessionsAPI.updateDiscrepancyStatus(sessionId, discrepancy.id, { status, ...extra });
+      setDismissing(false);
+      setReason('');
+      onChanged(updated);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to change the discrepancy'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The applicant's waiver goes into the session as a document of its own
+  const recordWaiver = async (file: File) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const uploaded = await documentsAPI.upload(sessionId, file);
+      await change('waived', { waiverDocumentId: uploaded.document.id });
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to upload the waiver'));
+      setBusy(false);
+    }
+  };
+
+  const onAction = (status: DiscrepancyStatus) => {
+    if (status === 'dismissed') {
+      setDismissing(true);
+    } else if (status === 'waived') {
+      waiverInput.current?.click();
+    } else {
+      change(status);
+    }
+  };
+
+  const actions = statusActions[discrepancy.status] || [];
+  if (actions.length === 0) return null;
+
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {actions.map(action => (
+          <button
+            key={action.status}
+            onClick={() => onAction(action.status)}
+            disabled={busy}
+            className="text-sm px-3 py-1 rounded-lg border border-slate-300 text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+          >
+            {action.label}
+          </button>
+        ))}
+        <input
+          ref={waiverInput}
+          type="file"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) recordWaiver(file);
+          }}
+        />
+      </div>
+      {dismissing && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={500}
+            placeholder="Why is this not a discrepancy?"
+            className="flex-1 px-3 py-1 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={() => change('dismissed', { reason })}
+            disabled={busy || !reason.trim()}
+            className="text-sm px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            Dismiss
+          </button>
+          <button
+            onClick={() => { setDismissing(false); setReason(''); }}
+            disabled={busy}
+            className="text-sm px-3 py-1 rounded-lg text-slate-600 hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+const DiscrepancyList: React.FC<DiscrepancyListProps> = ({ sessionId, checkedAt, sessionStatus }) => {
+  const { can } = useAuthStore();
+  const [report, setReport] = useState<DiscrepancyReport | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExamining, setIsExamining] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [history, setHistory] = useState<DiscrepancyTransition[] | null>(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const loadDiscrepancies = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await sessionsAPI.getDiscrepancies(sessionId);
+      setReport(result);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load discrepancies');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadDiscrepancies();
+  }, [loadDiscrepancies, checkedAt]);
+
+  const examineAgain = async () => {
+    setIsExamining(true);
+    setError(null);
+    try {
+      setReport(await sessionsAPI.examineDiscrepancies(sessionId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to examine the documents again'));
+    } finally {
+      setIsExamining(false);
+    }
+  };
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await sessionsAPI.getDiscrepancyHistory(sessionId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the discrepancy history'));
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (showHistory) loadHistory();
+  }, [showHistory, loadHistory, checkedAt]);
+
+  const onChanged = (updated: Discrepancy) => {
+    setReport(current => current && {
+      ...current,
+      discrepancies: current.discrepancies.map(discrepancy => (discrepancy.id === updated.id ? updated : discrepancy)),
+    });
+    if (showHistory) loadHistory();
+  };
+
+  const canChange = can('sessions:edit') && sessionStatus !== 'frozen' && sessionStatus !== 'completed';
+
+  if (isLoading && !report) {
+    return (
+      <div className="animate-pulse space-y-4">
+        <div className="h-8 bg-slate-200 rounded w-1/3"></div>
+        <div className="h-24 bg-slate-200 rounded"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-slate-900">Discrepancies</h2>
+          <p className="text-sm text-slate-600">
+            Presented documents examined against the Letter of Credit under UCP 600 / ISBP 745
+          </p>
+        </div>
+        {canChange && (
+          <button
+            onClick={examineAgain}
+            disabled={isExamining}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={isExamining ? 'animate-spin' : ''} />
+            <span>Re-examine</span>
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm">{error}</div>
+      )}
+
+      {report && !report.lcReference && (
+        <div className="bg-slate-50 rounded-lg p-6 text-center">
+          <FileSearch className="mx-auto text-slate-400 mb-3" size={40} />
+          <h3 className="font-medium text-slate-900">No Letter of Credit found</h3>
+          <p className="text-sm text-slate-600 mt-1">
+            Upload the credit as a SWIFT MT700/MT710/MT720 message or a scanned document so the other documents can be
+            examined against it.
+          </p>
+        </div>
+      )}
+
+      {report && report.lcReference && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-slate-50 rounded-lg p-4">
+              <p className="text-xs text-slate-500">Documents examined</p>
+              <p className="text-2xl font-bold text-slate-900">{report.documentsExamined ?? 0}</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-4">
+              <p className="text-xs text-red-600">Blocking</p>
+              <p className="text-2xl font-bold text-red-700">{report.summary.blocking}</p>
+            </div>
+            <div className="bg-yellow-50 rounded-lg p-4">
+              <p className="text-xs text-yellow-700">Warnings</p>
+              <p className="text-2xl font-bold text-yellow-800">{report.summary.warning}</p>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-4">
+              <p className="text-xs text-blue-600">Information</p>
+              <p className="text-2xl font-bold text-blue-700">{report.summary.info}</p>
+            </div>
+          </div>
+
+          {report.discrepancies.length === 0 ? (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-6 flex items-center space-x-3">
+              <ShieldCheck className="text-green-600" size={28} />
+              <div>
+                <h3 className="font-medium text-green-900">Complying presentation</h3>
+                <p className="text-sm text-green-700">No discrepancies were found against the credit terms.</p>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {report.discrepancies.map((discrepancy) => {
+                const style = severityStyles[discrepancy.severity] || severityStyles.info;
+                const Icon = style.icon;
+                return (
+                  <div key={discrepancy.id} className={`bg-white rounded-lg border ${style.border} p-4`}>
+                    <div className="flex items-start justify-between">
+                      <div className="flex items-start space-x-3">
+                        <Icon className="mt-0.5 text-slate-500" size={20} />
+                        <div>
+                          <h4 className="font-medium text-slate-900">{discrepancy.title}</h4>
+                          <p className="text-xs text-slate-500 mt-1">
+                            {discrepancy.ruleId} • {discrepancy.article}
+                            {discrepancy.amendmentNumber > 0 && ` • credit terms of amendment ${discrepancy.amendmentNumber}`}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        <span className={`text-xs px-2 py-1 rounded-full font-medium ${statusStyles[discrepancy.status] || statusStyles.open}`}>
+                          {statusLabel(discrepancy.status)}
+                        </span>
+                        <span className={`text-xs px-2 py-1 rounded-full font-medium ${style.badge}`}>
+                          {discrepancy.severity}
+                        </span>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-4">
+                      <div className="bg-slate-50 rounded p-3">
+                        <p className="text-xs text-slate-500">
+                          {discrepancy.referenceDocumentType || 'Letter of Credit'}
+                          {discrepancy.referenceSplitId && ` (${discrepancy.referenceSplitId})`}
+                        </p>
+                        <p className="text-sm font-medium text-slate-900 break-words">{discrepancy.referenceValue || '—'}</p>
+                      </div>
+                      <div className="bg-slate-50 rounded p-3">
+                        <p className="text-xs text-slate-500">
+                          {discrepancy.presentedDocumentType || 'Presentation'}
+                          {discrepancy.presentedSplitId && ` (${discrepancy.presentedSplitId})`}
+                        </p>
+                        <p className="text-sm font-medium text-slate-900 break-words">{discrepancy.presentedValue || '—'}</p>
+                      </div>
+                    </div>
+
+                    {discrepancy.statusChangedAt && (
+                      <p className="text-xs text-slate-500 mt-3">
+                        Marked {statusLabel(discrepancy.status)} by {discrepancy.statusChangedByName || 'an unknown user'} on{' '}
+                        {new Date(discrepancy.statusChangedAt).toLocaleString()}
+                        {discrepancy.statusReason && `: ${discrepancy.statusReason}`}
+                        {discrepancy.waiverFileName && ` (waiver: ${discrepancy.waiverFileName})`}
+                      </p>
+                    )}
+
+                    {canChange && (
+                      <DiscrepancyActions sessionId={sessionId} discrepancy={discrepancy} onChanged={onChanged} />
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {report.discrepancies.length > 0 && (
+            <div>
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="text-sm text-blue-600 hover:text-blue-700 flex items-center space-x-1"
+              >
+                <History size={14} />
+                <span>{showHistory ? 'Hide' : 'Show'} status history</span>
+              </button>
+              {showHistory && history && (
+                history.length === 0 ? (
+                  <p className="text-sm text-slate-500 mt-2">No discrepancy has changed status yet.</p>
+                ) : (
+                  <ul className="mt-2 space-y-1 text-sm text-slate-700">
+                    {history.map(transition => (
+                      <li key={transition.id}>
+                        {new Date(transition.createdAt).toLocaleString()} — {transition.changedByName || 'Unknown user'} moved{' '}
+                        <span className="font-medium">{transition.discrepancyTitle}</span> from{' '}
+                        {statusLabel(transition.fromStatus)} to {statusLabel(transition.toStatus)}
+                        {transition.reason && `: ${transition.reason}`}
+                        {transition.waiverFileName && ` (waiver: ${transition.waiverFileName})`}
+                      </li>
+                    ))}
+                  </ul>
+                )
+              )}
+            </div>
+          )}
+
+          <p className="text-xs text-slate-500">
+            {report.checkedAt ? `Last examined ${new Date(report.checkedAt).toLocaleString()} against ` : 'Documents are examined against '}
+            {report.lcReference.source === 'swift'
+              ? `SWIFT ${report.lcReference.messageType}`
+              : 'the scanned Letter of Credit'}
+            {report.lcReference.amendmentNumber > 0 && ` as amended by amendment ${report.lcReference.amendmentNumber}`}
+            {' '}(terms as of {report.lcReference.asOf})
+            {report.lcReference.pendingAmendments.length === 1 &&
+              `. Amendment ${report.lcReference.pendingAmendments[0]} awaits the beneficiary's acceptance and was not applied.`}
+            {report.lcReference.pendingAmendments.length > 1 &&
+              `. Amendments ${report.lcReference.pendingAmendments.join(', ')} await the beneficiary's acceptance and were not applied.`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DiscrepancyList;
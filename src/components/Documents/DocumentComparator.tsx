@@ -1,27 +1,51 @@
-import React, { useState, useEffect } from 'react';
-import { Search, CheckCircle, AlertTriangle, Plus, Eye } from 'lucide-react';
+import React, { useState } from 'react';
+import { Search, CheckCircle, AlertTriangle, Plus, Eye, ChevronDown, ChevronRight, XCircle, MinusCircle, Trash2 } from 'lucide-react';
 import { useDocumentStore } from '../../store/documentStore';
-import { Document } from '../../types';
+import { Document, ProposedField, TemplateFieldMatch, TemplateMatch } from '../../types';
 
 interface DocumentComparatorProps {
   documents: Document[];
   sessionId: string;
 }
 
-interface TemplateMatch {
-  id: string;
-  name: string;
-  type: 'master' | 'sub';
-  confidence: number;
-  matchedFields: number;
-  totalFields: number;
+const FIELD_STATUS_LABELS: Record<TemplateFieldMatch['status'], string> = {
+  matched: 'Found',
+  invalid: 'Breaks a rule',
+  missing: 'Not found',
+  unavailable: 'No extraction rule',
+};
+
+const FIELD_TYPES: ProposedField['fieldType'][] = ['text', 'number', 'date', 'currency'];
+
+// A new document type request as it is being filled in
+interface ProposalDraft {
+  documentType: string;
+  documentCategory: string;
+  keywords: string;
+  fields: ProposedField[];
 }
 
+const emptyProposal = (): ProposalDraft => ({
+  documentType: '',
+  documentCategory: '',
+  keywords: '',
+  fields: [],
+});
+
+const SCORE_LABELS: Record<keyof TemplateMatch['scores'], string> = {
+  keywords: 'Keywords',
+  structure: 'Structure',
+  fields: 'Fields',
+};
+
 const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sessionId }) => {
   const { compareDocument, catalogDocument, requestNewDocumentApproval, isLoading } = useDocumentStore();
   const [comparisons, setComparisons] = useState<Record<string, TemplateMatch[]>>({});
+  const [templatesChecked, setTemplatesChecked] = useState<number | null>(null);
   const [selectedMatches, setSelectedMatches] = useState<Record<string, string>>({});
-  const [newDocumentTypes, setNewDocumentTypes] = useState<Record<string, string>>({});
+  const [expandedMatches, setExpandedMatches] = useState<Record<string, boolean>>({});
+  const [proposals, setProposals] = useState<Record<string, ProposalDraft>>({});
+  const [requestErrors, setRequestErrors] = useState<Record<string, string | null>>({});
 
   const handleCompareDocument = async (documentId: string) => {
     try {
@@ -30,6 +54,10 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
         ...prev,
         [documentId]: result.matches
       }));
+      setTemplatesChecked(result.totalTemplatesChecked);
+      if (result.catalogedTemplateId) {
+        setSelectedMatches(prev => ({ ...prev, [documentId]: result.catalogedTemplateId as string }));
+      }
     } catch (error) {
       console.error('Error comparing document:', error);
     }
@@ -42,6 +70,11 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
     }));
   };
 
+  const toggleMatchDetails = (documentId: string, templateId: string) => {
+    const key = `${documentId}:${templateId}`;
+    setExpandedMatches(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
   const handleCatalogDocument = async (documentId: string) => {
     const templateId = selectedMatches[documentId];
     if (templateId) {
@@ -49,10 +82,46 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
     }
   };
 
+  const proposalOf = (documentId: string) => proposals[documentId] || emptyProposal();
+
+  const updateProposal = (documentId: string, changes: Partial<ProposalDraft>) => {
+    setProposals(prev => ({ ...prev, [documentId]: { ...proposalOf(documentId), ...changes } }));
+  };
+
+  const updateProposedField = (documentId: string, index: number, changes: Partial<ProposedField>) => {
+    const proposal = proposalOf(documentId);
+    updateProposal(documentId, {
+      fields: proposal.fields.map((field, i) => i === index ? { ...field, ...changes } : field)
+    });
+  };
+
   const handleRequestNewDocument = async (documentId: string) => {
-    const documentType = newDocumentTypes[documentId];
-    if (documentType) {
-      await requestNewDocumentApproval(documentId, documentType);
+    const proposal = proposalOf(documentId);
+    if (!proposal.documentType.trim()) return;
+
+    setRequestErrors(prev => ({ ...prev, [documentId]: null }));
+    try {
+      await requestNewDocumentApproval(documentId, {
+        documentType: proposal.documentType,
+        documentCategory: proposal.documentCategory,
+        keywords: proposal.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+        fields: proposal.fields.filter(field => field.fieldName.trim()),
+      });
+    } catch (error) {
+      const data = (error as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+      setRequestErrors(prev => ({
+        ...prev,
+        [documentId]: data?.details?.length ? `${data.error}: ${data.details.join('; ')}` : data?.error || 'Failed to request approval'
+      }));
+    }
+  };
+
+  const getFieldStatusIcon = (status: TemplateFieldMatch['status']) => {
+    switch (status) {
+      case 'matched': return <CheckCircle className="text-green-600" size={14} />;
+      case 'invalid': return <AlertTriangle className="text-yellow-600" size={14} />;
+      case 'missing': return <XCircle className="text-red-600" size={14} />;
+      default: return <MinusCircle className="text-slate-400" size={14} />;
     }
   };
 
@@ -67,7 +136,9 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
       <div className="flex items-center justify-between">
         <h2 className="text-xl font-semibold text-slate-900">Document Comparison & Cataloging</h2>
         <p className="text-sm text-slate-600">
-          Compare documents against 40 master and 192 sub-document templates
+          {templatesChecked === null
+            ? 'Compare documents against the master and sub-document templates'
+            : `Compared against ${templatesChecked} templates`}
         </p>
       </div>
 
@@ -123,14 +194,57 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
                           </div>
                           <p className="text-sm text-slate-600">
                             Fields matched: {match.matchedFields}/{match.totalFields}
+                            {match.type === 'sub' && ` · ${match.documentType}`}
                           </p>
+                          <div className="flex items-center space-x-3 mt-1 text-xs text-slate-500">
+                            {(Object.keys(SCORE_LABELS) as (keyof TemplateMatch['scores'])[]).map(key => (
+                              match.scores[key] !== null && (
+                                <span key={key}>{SCORE_LABELS[key]} {Math.round((match.scores[key] as number) * 100)}%</span>
+                              )
+                            ))}
+                          </div>
                         </div>
-                        <div className="text-right">
+                        <div className="text-right flex items-center space-x-2">
                           <span className={`text-sm font-medium px-2 py-1 rounded-full ${getConfidenceColor(match.confidence)}`}>
                             {Math.round(match.confidence * 100)}%
                           </span>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              toggleMatchDetails(document.id, match.id);
+                            }}
+                            className="p-1 text-slate-500 hover:text-slate-700"
+                            title="Field breakdown"
+                          >
+                            {expandedMatches[`${document.id}:${match.id}`] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                          </button>
                         </div>
                       </div>
+
+                      {expandedMatches[`${document.id}:${match.id}`] && (
+                        <div className="mt-3 border-t border-slate-200 pt-3 space-y-1">
+                          {match.fields.length === 0 && (
+                            <p className="text-sm text-slate-500">This template defines no fields.</p>
+                          )}
+                          {match.fields.map(field => (
+                            <div key={field.fieldName} className="flex items-start justify-between text-sm">
+                              <div className="flex items-center space-x-2">
+                                {getFieldStatusIcon(field.status)}
+                                <span className="text-slate-800">{field.fieldName}</span>
+                                {field.isRequired && <span className="text-xs text-red-600">required</span>}
+                              </div>
+                              <div className="text-right max-w-xs">
+                                <span className="text-slate-600 break-words">
+                                  {field.value ?? FIELD_STATUS_LABELS[field.status]}
+                                </span>
+                                {field.validationErrors.length > 0 && (
+                                  <p className="text-xs text-yellow-700">Value {field.validationErrors.join(', ')}</p>
+                                )}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   ))}
 
@@ -156,26 +270,99 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
                         This document doesn't match any existing templates. Request approval for a new document type.
                       </p>
                       
-                      <div className="flex items-center space-x-2">
-                        <input
-                          type="text"
-                          placeholder="Enter document type name"
-                          value={newDocumentTypes[document.id] || ''}
-                          onChange={(e) => setNewDocumentTypes(prev => ({
-                            ...prev,
-                            [document.id]: e.target.value
-                          }))}
-                          className="flex-1 px-3 py-2 border border-yellow-300 rounded-lg focus:ring-2 focus:ring-yellow-500 focus:border-transparent"
-                        />
-                        <button
-                          onClick={() => handleRequestNewDocument(document.id)}
-                          disabled={!newDocumentTypes[document.id]}
-                          className="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
-                        >
-                          <Plus size={16} />
-                          <span>Request Approval</span>
-                        </button>
-                      </div>
+                      {document.approvalRequest?.status === 'pending' ? (
+                        <p className="text-sm text-yellow-700">
+                          {document.approvalRequest.documentType} has been requested and waits for an admin.
+                        </p>
+                      ) : (
+                        <div className="space-y-2">
+                          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                            <input
+                              type="text"
+                              placeholder="Enter document type name"
+                              value={proposalOf(document.id).documentType}
+                              onChange={(e) => updateProposal(document.id, { documentType: e.target.value })}
+                              className="px-3 py-2 border border-yellow-300 rounded-lg focus:ring-2 focus:ring-yellow-500 focus:border-transparent"
+                            />
+                            <input
+                              type="text"
+                              placeholder="Category (optional)"
+                              value={proposalOf(document.id).documentCategory}
+                              onChange={(e) => updateProposal(document.id, { documentCategory: e.target.value })}
+                              className="px-3 py-2 border border-yellow-300 rounded-lg focus:ring-2 focus:ring-yellow-500 focus:border-transparent"
+                            />
+                            <input
+                              type="text"
+                              placeholder="Keywords, comma separated (optional)"
+                              value={proposalOf(document.id).keywords}
+                              onChange={(e) => updateProposal(document.id, { keywords: e.target.value })}
+                              className="px-3 py-2 border border-yellow-300 rounded-lg focus:ring-2 focus:ring-yellow-500 focus:border-transparent"
+                            />
+                          </div>
+
+                          {proposalOf(document.id).fields.map((field, index) => (
+                            <div key={index} className="flex items-center space-x-2">
+                              <input
+                                type="text"
+                                placeholder="Field name"
+                                value={field.fieldName}
+                                onChange={(e) => updateProposedField(document.id, index, { fieldName: e.target.value })}
+                                className="flex-1 px-3 py-1.5 border border-yellow-300 rounded-lg text-sm"
+                              />
+                              <select
+                                value={field.fieldType}
+                                onChange={(e) => updateProposedField(document.id, index, { fieldType: e.target.value as ProposedField['fieldType'] })}
+                                className="px-2 py-1.5 border border-yellow-300 rounded-lg text-sm"
+                              >
+                                {FIELD_TYPES.map(type => (
+                                  <option key={type} value={type}>{type}</option>
+                                ))}
+                              </select>
+                              <label className="flex items-center space-x-1 text-xs text-yellow-800">
+                                <input
+                                  type="checkbox"
+                                  checked={field.isRequired}
+                                  onChange={(e) => updateProposedField(document.id, index, { isRequired: e.target.checked })}
+                                />
+                                <span>Required</span>
+                              </label>
+                              <button
+                                onClick={() => updateProposal(document.id, {
+                                  fields: proposalOf(document.id).fields.filter((_, i) => i !== index)
+                                })}
+                                className="p-1 text-yellow-700 hover:text-red-600"
+                                title="Remove field"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            </div>
+                          ))}
+
+                          {requestErrors[document.id] && (
+                            <p className="text-sm text-red-600">{requestErrors[document.id]}</p>
+                          )}
+
+                          <div className="flex items-center justify-between">
+                            <button
+                              onClick={() => updateProposal(document.id, {
+                                fields: [...proposalOf(document.id).fields, { fieldName: '', fieldType: 'text', isRequired: false }]
+                              })}
+                              className="text-sm text-yellow-800 hover:text-yellow-900 flex items-center space-x-1"
+                            >
+                              <Plus size={14} />
+                              <span>Propose a field</span>
+                            </button>
+                            <button
+                              onClick={() => handleRequestNewDocument(document.id)}
+                              disabled={!proposalOf(document.id).documentType.trim()}
+                              className="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 transition-colors flex items-center space-x-2 disabled:opacity-50"
+                            >
+                              <Plus size={16} />
+                              <span>Request Approval</span>
+                            </button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -183,14 +370,18 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
             </div>
           )}
 
-          {document.matchedTemplate && (
+          {document.matchedTemplate?.id && (
             <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
               <div className="flex items-center space-x-2">
                 <CheckCircle className="text-green-600" size={20} />
                 <span className="font-medium text-green-800">
                   Document cataloged as: {document.matchedTemplate.name}
+                  {document.matchedTemplate.version && ` (version ${document.matchedTemplate.version})`}
                 </span>
               </div>
+              <p className="text-sm text-green-700 mt-1 ml-7">
+                Reprocess the document to extract its fields with this template.
+              </p>
             </div>
           )}
 
@@ -204,6 +395,20 @@ const DocumentComparator: React.FC<DocumentComparatorProps> = ({ documents, sess
               </div>
             </div>
           )}
+
+          {document.approvalRequest?.status === 'rejected' && (
+            <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex items-center space-x-2">
+                <XCircle className="text-red-600" size={20} />
+                <span className="font-medium text-red-800">
+                  Request for {document.approvalRequest.documentType} was rejected
+                </span>
+              </div>
+              {document.approvalRequest.adminNotes && (
+                <p className="text-sm text-red-700 mt-1 ml-7">{document.approvalRequest.adminNotes}</p>
+              )}
+            </div>
+          )}
         </div>
       ))}
 
@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
-import { X, ZoomIn, ZoomOut, RotateCw, Download, Eye, RefreshCw, Layers } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { X, ZoomIn, ZoomOut, RotateCw, Download, Eye, RefreshCw, Layers, History, Upload, Pencil, RotateCcw, ListOrdered } from 'lucide-react';
 import { useDocumentStore } from '../../store/documentStore';
-import { ocrAPI } from '../../services/api';
+import { documentsAPI, getAccessToken } from '../../services/api';
+import { DocumentChangeType, DocumentVersion } from '../../types';
 import SplitDocumentViewer from './SplitDocumentViewer';
+import IterationHistory from './IterationHistory';
 
 import { Document as PDFDocument, Page, pdfjs } from 'react-pdf';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
@@ -21,8 +23,31 @@ interface ProcessingProgress {
   timestamp: string;
 }
 
+const CHANGE_LABELS: Record<DocumentChangeType, string> = {
+  upload: 'Uploaded',
+  replace: 'File replaced',
+  edit: 'Text edited',
+  revert: 'Reverted',
+  promote: 'Processing run promoted',
+};
+
+interface SplitText {
+  id: string;
+  documentType: string;
+  content?: string;
+}
+
+// Cleaned text being edited: the whole text, or the text of each split
+interface TextDraft {
+  content: string;
+  splits: Record<string, string>;
+}
+
+const errorMessage = (err: unknown, fallback: string) =>
+  (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback;
+
 const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose }) => {
-  const { documents } = useDocumentStore();
+  const { documents, progress, editDocument, replaceDocument, revertChanges, promoteIteration } = useDocumentStore();
   const [zoom, setZoom] = useState(100);
   const [rotation, setRotation] = useState(0);
   const [showOCRText, setShowOCRText] = useState(false);
@@ -31,6 +56,15 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
   const [showSplitViewer, setShowSplitViewer] = useState(false);
   const [processingProgress, setProcessingProgress] = useState<ProcessingProgress | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [versions, setVersions] = useState<DocumentVersion[]>([]);
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+  const [showIterations, setShowIterations] = useState(false);
+  const [textDraft, setTextDraft] = useState<TextDraft | null>(null);
+  const [changeNote, setChangeNote] = useState('');
+  const [isSavingChange, setIsSavingChange] = useState(false);
+  const [changeError, setChangeError] = useState<string | null>(null);
+  const replaceInputRef = useRef<HTMLInputElement>(null);
 
   const [numPages, setNumPages] = useState<number | null>(null);
 
@@ -46,56 +80,42 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
     }
   }, [showOCRText, documentId]);
 
-  // Poll for processing progress
+  // Versions are reloaded whenever a change makes a new one
+  const currentVersion = document?.currentVersion;
   useEffect(() => {
-    let progressInterval: NodeJS.Timeout;
-    
-    if (isProcessing || (document && document.status === 'processing')) {
-      progressInterval = setInterval(async () => {
-        try {
-          const response = await fetch(`/api/documents/${documentId}/progress`, {
-            headers: {
-              'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
-            }
-          });
-          
-          if (response.ok) {
-            const progress = await response.json();
-            setProcessingProgress(progress);
-            
-            // Stop polling when processing is complete or failed
-            if (progress.stage === 'completed' || progress.stage === 'error') {
-              setIsProcessing(false);
-              clearInterval(progressInterval);
-              
-              // Reload OCR data if completed successfully
-              if (progress.stage === 'completed') {
-                setTimeout(() => {
-                  loadOCRData();
-                  window.location.reload(); // Refresh to update document status
-                }, 1000);
-              }
-            }
-          }
-        } catch (error) {
-          console.error('Error fetching progress:', error);
+    if (!showHistory) return;
+
+    setIsLoadingVersions(true);
+    documentsAPI.getVersions(documentId)
+      .then(setVersions)
+      .catch(error => console.error('Error loading document versions:', error))
+      .finally(() => setIsLoadingVersions(false));
+  }, [showHistory, documentId, currentVersion]);
+
+  // Progress arrives over the session event stream
+  const liveProgress = progress[documentId];
+  useEffect(() => {
+    if (!liveProgress) return;
+    setProcessingProgress(liveProgress);
+
+    if (['completed', 'error', 'cancelled'].includes(liveProgress.stage)) {
+      setIsProcessing(false);
+      if (liveProgress.stage === 'completed') {
+        if (showOCRText) {
+          loadOCRData();
+        } else {
+          setOcrData(null);
         }
-      }, 1000); // Poll every second
-    }
-    
-    return () => {
-      if (progressInterval) {
-        clearInterval(progressInterval);
       }
-    };
-  }, [isProcessing, document?.status, documentId]);
+    }
+  }, [liveProgress]);
 
   const loadOCRData = async () => {
     setIsLoadingOCR(true);
     try {
       const response = await fetch(`/api/documents/${documentId}/ocr`, {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          'Authorization': `Bearer ${await getAccessToken()}`
         }
       });
 
@@ -118,6 +138,62 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
     }
   };
 
+  // Text, fields and versions change with every edit, replace and revert
+  const runChange = async (change: () => Promise<void>, fallback: string) => {
+    setChangeError(null);
+    setIsSavingChange(true);
+    try {
+      await change();
+      setTextDraft(null);
+      setChangeNote('');
+      setOcrData(null);
+      if (showOCRText) {
+        loadOCRData();
+      }
+    } catch (error) {
+      setChangeError(errorMessage(error, fallback));
+    } finally {
+      setIsSavingChange(false);
+    }
+  };
+
+  const startEditing = () => {
+    if (!ocrData) return;
+    setChangeError(null);
+    setTextDraft({
+      content: ocrData.extractedText || '',
+      splits: Object.fromEntries((ocrData.splitDocuments || []).map((split: SplitText) => [split.id, split.content || ''])),
+    });
+  };
+
+  const handleSaveText = () => {
+    if (!textDraft) return;
+    const changes = ocrData?.splitDocuments
+      ? { splits: textDraft.splits, changeNote: changeNote || undefined }
+      : { cleanedContent: textDraft.content, changeNote: changeNote || undefined };
+    runChange(() => editDocument(documentId, changes), 'Failed to save the edited text');
+  };
+
+  const handleReplaceFile = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    runChange(async () => {
+      await replaceDocument(documentId, file, changeNote || undefined);
+      setIsProcessing(true);
+    }, 'Failed to replace the file');
+  };
+
+  const handleRevert = (version: number) => {
+    if (!window.confirm(`Restore version ${version}? The current version stays in the history.`)) return;
+    runChange(() => revertChanges(documentId, version, changeNote || undefined), 'Failed to restore the version');
+  };
+
+  const handlePromote = (iterationNumber: number) => {
+    if (!window.confirm(`Make the results of iteration ${iterationNumber} current? Its fields will need validating again.`)) return;
+    runChange(() => promoteIteration(documentId, iterationNumber), 'Failed to promote the iteration');
+  };
+
   const handleProcessDocument = async () => {
     if (!document) return;
 
@@ -133,7 +209,7 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
       const response = await fetch(`/api/documents/${documentId}/process`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`,
+          'Authorization': `Bearer ${await getAccessToken()}`,
           'Content-Type': 'application/json'
         }
       });
@@ -141,7 +217,7 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
       if (response.ok) {
         const result = await response.json();
         console.log('Processing started:', result);
-        // Progress polling will handle the rest
+        // Progress events will handle the rest
       } else {
         throw new Error('Failed to start processing');
       }
@@ -237,6 +313,42 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
                 <Eye size={20} />
               </button>
               
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className={`p-2 rounded-lg transition-colors ${showHistory
+                    ? 'bg-blue-100 text-blue-600'
+                    : 'text-slate-600 hover:text-slate-900 hover:bg-slate-100'
+                  }`}
+                title="Version History"
+              >
+                <History size={20} />
+              </button>
+              <button
+                onClick={() => setShowIterations(!showIterations)}
+                className={`p-2 rounded-lg transition-colors ${showIterations
+                    ? 'bg-blue-100 text-blue-600'
+                    : 'text-slate-600 hover:text-slate-900 hover:bg-slate-100'
+                  }`}
+                title="Processing Iterations"
+              >
+                <ListOrdered size={20} />
+              </button>
+              <button
+                onClick={() => replaceInputRef.current?.click()}
+                disabled={isSavingChange || document.status === 'processing'}
+                className="p-2 text-slate-600 hover:text-slate-900 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-50"
+                title="Replace File"
+              >
+                <Upload size={20} />
+              </button>
+              <input
+                ref={replaceInputRef}
+                type="file"
+                accept=".pdf,.jpg,.jpeg,.png,.txt,.fin"
+                onChange={handleReplaceFile}
+                className="hidden"
+              />
+              
               {hasSplitDocuments && (
                 <button
                   onClick={() => setShowSplitViewer(true)}
@@ -300,6 +412,12 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
             </div>
           )}
 
+          {changeError && (
+            <div className="px-6 py-3 border-b border-red-200 bg-red-50 text-sm text-red-700">
+              {changeError}
+            </div>
+          )}
+
           {/* Content */}
           <div className="flex-1 flex overflow-hidden">
             {/* Document Preview */}
@@ -390,10 +508,71 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
                       </div>
                       
                       <div>
-                        <h5 className="font-medium text-slate-900 mb-2">Extracted Text</h5>
-                        <div className="text-sm text-slate-700 whitespace-pre-wrap bg-slate-50 p-3 rounded max-h-64 overflow-auto">
-                          {ocrData.extractedText}
+                        <div className="flex items-center justify-between mb-2">
+                          <h5 className="font-medium text-slate-900">Extracted Text</h5>
+                          {!textDraft && document.status !== 'processing' && (
+                            <button
+                              onClick={startEditing}
+                              className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              <Pencil size={12} />
+                              <span>Edit</span>
+                            </button>
+                          )}
                         </div>
+                        {textDraft ? (
+                          <div className="space-y-2">
+                            {ocrData.splitDocuments ? (
+                              ocrData.splitDocuments.map((split: SplitText) => (
+                                <label key={split.id} className="block">
+                                  <span className="text-xs font-medium text-slate-600">{split.documentType}</span>
+                                  <textarea
+                                    value={textDraft.splits[split.id] ?? ''}
+                                    onChange={(e) => setTextDraft({
+                                      ...textDraft,
+                                      splits: { ...textDraft.splits, [split.id]: e.target.value },
+                                    })}
+                                    rows={8}
+                                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded text-sm font-mono"
+                                  />
+                                </label>
+                              ))
+                            ) : (
+                              <textarea
+                                value={textDraft.content}
+                                onChange={(e) => setTextDraft({ ...textDraft, content: e.target.value })}
+                                rows={12}
+                                className="w-full px-3 py-2 border border-slate-300 rounded text-sm font-mono"
+                              />
+                            )}
+                            <input
+                              value={changeNote}
+                              onChange={(e) => setChangeNote(e.target.value)}
+                              placeholder="What changed (optional)"
+                              className="w-full px-3 py-2 border border-slate-300 rounded text-sm"
+                            />
+                            <div className="flex justify-end space-x-2">
+                              <button
+                                onClick={() => setTextDraft(null)}
+                                disabled={isSavingChange}
+                                className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-900"
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                onClick={handleSaveText}
+                                disabled={isSavingChange}
+                                className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                              >
+                                {isSavingChange ? 'Saving...' : 'Save as new version'}
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="text-sm text-slate-700 whitespace-pre-wrap bg-slate-50 p-3 rounded max-h-64 overflow-auto">
+                            {ocrData.extractedText}
+                          </div>
+                        )}
                       </div>
                       
                       {ocrData.extractedFields && ocrData.extractedFields.length > 0 && (
@@ -444,6 +623,91 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
                 </div>
               </div>
             )}
+
+            {/* Version History Panel */}
+            {showHistory && (
+              <div className="w-1/3 bg-white border-l border-slate-200 flex flex-col">
+                <div className="p-4 border-b border-slate-200">
+                  <h4 className="font-medium text-slate-900">Version History</h4>
+                  <p className="text-sm text-slate-600">Replaced files and edits are kept as earlier versions</p>
+                </div>
+                <div className="flex-1 p-4 overflow-auto space-y-3">
+                  {isLoadingVersions && versions.length === 0 ? (
+                    <div className="flex items-center justify-center h-32">
+                      <RefreshCw className="animate-spin text-blue-600" size={24} />
+                      <span className="ml-2 text-slate-600">Loading versions...</span>
+                    </div>
+                  ) : (
+                    versions.map(version => (
+                      <div
+                        key={version.versionNumber}
+                        className={`p-3 rounded-lg border text-sm ${version.isCurrent ? 'border-blue-200 bg-blue-50' : 'border-slate-200'}`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <span className="font-medium text-slate-900">
+                            Version {version.versionNumber}
+                            {version.isCurrent && <span className="ml-2 text-xs text-blue-700">current</span>}
+                          </span>
+                          <span className="text-xs text-slate-500">{CHANGE_LABELS[version.changeType]}</span>
+                        </div>
+                        <p className="text-xs text-slate-600 mt-1">
+                          {version.createdByName || 'Unknown user'} · {new Date(version.createdAt).toLocaleString()}
+                        </p>
+                        {version.revertedFromVersion && (
+                          <p className="text-xs text-slate-600">Restored from version {version.revertedFromVersion}</p>
+                        )}
+                        {version.changeNote && <p className="text-xs text-slate-700 mt-1">{version.changeNote}</p>}
+                        <p className="text-xs text-slate-500 mt-1">
+                          {version.fileName} · {version.documentType || version.status}
+                        </p>
+                        {!version.isCurrent && (
+                          <div className="flex items-center space-x-3 mt-2">
+                            <a
+                              href={`/uploads/${version.filePath}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              Open file
+                            </a>
+                            <button
+                              onClick={() => handleRevert(version.versionNumber)}
+                              disabled={isSavingChange || document.status === 'processing'}
+                              className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                            >
+                              <RotateCcw size={12} />
+                              <span>Restore</span>
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ))
+                  )}
+                  <input
+                    value={changeNote}
+                    onChange={(e) => setChangeNote(e.target.value)}
+                    placeholder="Note for the next replace or restore (optional)"
+                    className="w-full px-3 py-2 border border-slate-300 rounded text-sm"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Iterations Panel */}
+            {showIterations && (
+              <div className="w-1/3 bg-white border-l border-slate-200 flex flex-col">
+                <div className="p-4 border-b border-slate-200">
+                  <h4 className="font-medium text-slate-900">Processing Iterations</h4>
+                  <p className="text-sm text-slate-600">Every OCR run with what it extracted</p>
+                </div>
+                <IterationHistory
+                  documentId={documentId}
+                  iterations={document.iterations || []}
+                  disabled={isSavingChange || document.status === 'processing'}
+                  onPromote={handlePromote}
+                />
+              </div>
+            )}
           </div>
 
           {/* Document Info */}
@@ -463,6 +727,7 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
                 <span className="text-slate-600">Uploaded:</span>
                 <span className="ml-2 text-slate-900">
                   {new Date(document.uploadedAt).toLocaleDateString()}
+                  {document.uploadedByName && ` by ${document.uploadedByName}`}
                 </span>
               </div>
               <div>
@@ -479,6 +744,14 @@ const DocumentViewer: React.FC<DocumentViewerProps> = ({ documentId, onClose })
               </div>
             </div>
             
+            {document.version && document.version.number > 1 && (
+              <p className="mt-3 text-sm text-slate-600">
+                Version {document.version.number}: {CHANGE_LABELS[document.version.changeType].toLowerCase()}
+                {' by '}{document.version.createdByName || 'unknown user'} on{' '}
+                {new Date(document.version.createdAt).toLocaleString()}
+              </p>
+            )}
+            
             {hasSplitDocuments && (
               <div className="mt-4 pt-4 border-t border-slate-200">
                 <div className="flex items-center justify-between">
@@ -10,6 +10,7 @@ import {
   Eye,
   X
 } from 'lucide-react';
+import { getAccessToken } from '../../services/api';
 
 interface DownloadOption {
   splitIndex: number;
@@ -46,7 +47,7 @@ const DownloadManager: React.FC<DownloadManagerProps> = ({ documentId, onClose }
       setIsLoading(true);
       const response = await fetch(`/api/downloads/options/${documentId}`, {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          'Authorization': `Bearer ${await getAccessToken()}`
         }
       });
 
@@ -69,7 +70,7 @@ const DownloadManager: React.FC<DownloadManagerProps> = ({ documentId, onClose }
       
       const response = await fetch(url, {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          'Authorization': `Bearer ${await getAccessToken()}`
         }
       });
 
@@ -107,7 +108,7 @@ const DownloadManager: React.FC<DownloadManagerProps> = ({ documentId, onClose }
       
       const response = await fetch(`/api/downloads/package/${documentId}`, {
         headers: {
-          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          'Authorization': `Bearer ${await getAccessToken()}`
         }
       });
 
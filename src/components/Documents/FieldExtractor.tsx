@@ -137,12 +137,20 @@ const FieldExtractor: React.FC<FieldExtractorProps> = ({ documents, sessionId })
                                   <span>Validated</span>
                                 </span>
                               )}
+                              {field.validationStatus === 'rejected' && (
+                                <span className="bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full">
+                                  Rejected
+                                </span>
+                              )}
                               {field.isEdited && (
                                 <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
                                   Edited
                                 </span>
                               )}
                             </div>
+                            {field.documentType && (
+                              <p className="text-xs text-slate-500 mb-2">{field.documentType}</p>
+                            )}
                             
                             {editingField === field.id ? (
                               <div className="space-y-2">
@@ -192,6 +200,24 @@ const FieldExtractor: React.FC<FieldExtractorProps> = ({ documents, sessionId })
                           </div>
                         </div>
 
+                        {(field.isEdited || field.validatedAt) && editingField !== field.id && (
+                          <div className="text-xs text-slate-500 space-y-1 mb-3">
+                            {field.isEdited && (
+                              <p className="break-words">
+                                Extracted as: {field.originalValue || '(empty)'}
+                                {field.editedByName && ` • edited by ${field.editedByName}`}
+                              </p>
+                            )}
+                            {field.validatedAt && (
+                              <p>
+                                {field.validationStatus === 'rejected' ? 'Rejected' : 'Validated'}
+                                {field.validatedByName && ` by ${field.validatedByName}`}
+                                {` on ${new Date(field.validatedAt).toLocaleString()}`}
+                              </p>
+                            )}
+                          </div>
+                        )}
+
                         {!field.isValidated && editingField !== field.id && (
                           <div className="flex items-center space-x-2 pt-3 border-t border-slate-200">
                             <button
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowUpCircle, GitCompare, RefreshCw } from 'lucide-react';
+import { documentsAPI } from '../../services/api';
+import { DocumentIteration, IterationDiff } from '../../types';
+
+interface IterationHistoryProps {
+  documentId: string;
+  iterations: DocumentIteration[];
+  disabled: boolean;
+  onPromote: (iterationNumber: number) => void;
+}
+
+const RUN_LABELS: Record<DocumentIteration['runType'], string> = {
+  upload: 'Upload',
+  process: 'Process',
+  reprocess: 'Reprocess',
+};
+
+const ENGINE_LABELS: Record<string, string> = {
+  tesseract: 'Tesseract',
+  python: 'Python OCR',
+  swift: 'SWIFT parser',
+};
+
+const lineStyles = {
+  unchanged: 'text-slate-600',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+};
+
+const linePrefixes = { unchanged: ' ', added: '+', removed: '-' };
+
+const formatConfidence = (confidence: number | null) =>
+  confidence === null ? '—' : `${Math.round(confidence * 100)}%`;
+
+const formatDuration = (durationMs: number | null) => {
+  if (durationMs === null) return '—';
+  return durationMs < 1000 ? `${durationMs} ms` : `${(durationMs / 1000).toFixed(1)} s`;
+};
+
+const errorMessage = (err: unknown, fallback: string) =>
+  (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback;
+
+// Processing runs of a document, newest first, with a comparison of any two
+// and promotion of an earlier run's results back to current
+const IterationHistory: React.FC<IterationHistoryProps> = ({ documentId, iterations, disabled, onPromote }) => {
+  const [compare, setCompare] = useState<{ from: number; to: number } | null>(null);
+  const [diff, setDiff] = useState<IterationDiff | null>(null);
+  const [isLoadingDiff, setIsLoadingDiff] = useState(false);
+  const [diffError, setDiffError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!compare) {
+      setDiff(null);
+      return;
+    }
+
+    setIsLoadingDiff(true);
+    setDiffError(null);
+    documentsAPI.diffIterations(documentId, compare.from, compare.to)
+      .then(setDiff)
+      .catch(error => setDiffError(errorMessage(error, 'Failed to compare iterations')))
+      .finally(() => setIsLoadingDiff(false));
+  }, [documentId, compare]);
+
+  // An iteration is compared with the one before it, or with the current one
+  const startCompare = (iterationNumber: number) => {
+    const current = iterations.find(iteration => iteration.isCurrent);
+    const previous = iterations.find(iteration =>
+      iteration.status === 'completed' && iteration.iterationNumber < iterationNumber
+    );
+    const other = current && current.iterationNumber !== iterationNumber ? current : previous;
+    if (!other) return;
+    setCompare({
+      from: Math.min(other.iterationNumber, iterationNumber),
+      to: Math.max(other.iterationNumber, iterationNumber),
+    });
+  };
+
+  const iterationOptions = iterations.map(iteration => (
+    <option key={iteration.iterationNumber} value={iteration.iterationNumber}>
+      #{iteration.iterationNumber}{iteration.isCurrent ? ' (current)' : ''}
+    </option>
+  ));
+
+  return (
+    <div className="flex-1 p-4 overflow-auto space-y-3">
+      {compare && (
+        <div className="p-3 rounded-lg border border-slate-200 bg-slate-50 text-sm space-y-2">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <select
+                value={compare.from}
+                onChange={(e) => setCompare({ ...compare, from: Number(e.target.value) })}
+                className="px-2 py-1 border border-slate-300 rounded text-xs"
+              >
+                {iterationOptions}
+              </select>
+              <span className="text-xs text-slate-500">→</span>
+              <select
+                value={compare.to}
+                onChange={(e) => setCompare({ ...compare, to: Number(e.target.value) })}
+                className="px-2 py-1 border border-slate-300 rounded text-xs"
+              >
+                {iterationOptions}
+              </select>
+            </div>
+            <button onClick={() => setCompare(null)} className="text-xs text-slate-600 hover:text-slate-900">
+              Close
+            </button>
+          </div>
+
+          {isLoadingDiff ? (
+            <div className="flex items-center text-slate-600">
+              <RefreshCw className="animate-spin text-blue-600 mr-2" size={14} />
+              Comparing...
+            </div>
+          ) : diffError ? (
+            <p className="text-xs text-red-700">{diffError}</p>
+          ) : diff && (
+            <>
+              <p className="text-xs text-slate-700">
+                Text: <span className="text-green-700">+{diff.text.added}</span>{' '}
+                <span className="text-red-700">-{diff.text.removed}</span> lines · Fields: {diff.fields.changed} changed,{' '}
+                {diff.fields.added} added, {diff.fields.removed} removed
+                {diff.confidenceChange !== null && (
+                  <> · Confidence {diff.confidenceChange >= 0 ? '+' : ''}{Math.round(diff.confidenceChange * 100)} pts</>
+                )}
+              </p>
+              {diff.documentTypeChanged && (
+                <p className="text-xs text-amber-700">
+                  Document type: {diff.from.documentType || 'none'} → {diff.to.documentType || 'none'}
+                </p>
+              )}
+
+              {diff.fields.fields.filter(field => field.change !== 'unchanged').length > 0 && (
+                <div className="space-y-1">
+                  {diff.fields.fields.filter(field => field.change !== 'unchanged').map((field, index) => (
+                    <div key={index} className="text-xs bg-white border border-slate-200 rounded p-2">
+                      <span className="font-medium text-slate-900">{field.fieldName}</span>
+                      <span className="ml-2 text-slate-500">{field.change}</span>
+                      {field.from && <p className="text-red-700 break-words">- {field.from.value}</p>}
+                      {field.to && <p className="text-green-700 break-words">+ {field.to.value}</p>}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {diff.text.hunks.length === 0 ? (
+                <p className="text-xs text-slate-600">The extracted text is the same.</p>
+              ) : (
+                <div className="bg-white border border-slate-200 rounded max-h-72 overflow-auto font-mono text-xs">
+                  {diff.text.hunks.map((hunk, hunkIndex) => (
+                    <div key={hunkIndex} className="border-b border-slate-100 last:border-b-0">
+                      <p className="px-2 py-0.5 bg-slate-100 text-slate-500">
+                        @@ -{hunk.fromStart} +{hunk.toStart} @@
+                      </p>
+                      {hunk.lines.map((line, lineIndex) => (
+                        <p key={lineIndex} className={`px-2 whitespace-pre-wrap break-words ${lineStyles[line.type]}`}>
+                          {linePrefixes[line.type]} {line.text}
+                        </p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {iterations.length === 0 ? (
+        <p className="text-sm text-slate-600 text-center py-8">The document has not been processed yet</p>
+      ) : (
+        iterations.map(iteration => (
+          <div
+            key={iteration.iterationNumber}
+            className={`p-3 rounded-lg border text-sm ${iteration.isCurrent ? 'border-blue-200 bg-blue-50' : 'border-slate-200'}`}
+          >
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-slate-900">
+                Iteration {iteration.iterationNumber}
+                {iteration.isCurrent && <span className="ml-2 text-xs text-blue-700">current</span>}
+              </span>
+              <span className={`text-xs ${iteration.status === 'failed' ? 'text-red-700' : 'text-slate-500'}`}>
+                {RUN_LABELS[iteration.runType]}{iteration.status === 'failed' && ' · failed'}
+              </span>
+            </div>
+            <p className="text-xs text-slate-600 mt-1">
+              {(iteration.engine && ENGINE_LABELS[iteration.engine]) || 'Unknown engine'}
+              {' · '}{formatConfidence(iteration.confidence)} confidence
+              {' · '}{formatDuration(iteration.durationMs)}
+            </p>
+            <p className="text-xs text-slate-600">
+              {iteration.requestedByName || 'System'} · {new Date(iteration.startedAt).toLocaleString()}
+            </p>
+            {iteration.status === 'completed' ? (
+              <p className="text-xs text-slate-500 mt-1">
+                {iteration.documentType || 'Unknown type'} · {iteration.fieldCount ?? 0} fields
+                {iteration.splitCount && iteration.splitCount > 1 ? ` · ${iteration.splitCount} splits` : ''}
+                {iteration.documentVersion !== null && ` · version ${iteration.documentVersion}`}
+              </p>
+            ) : (
+              iteration.errorMessage && <p className="text-xs text-red-700 mt-1 break-words">{iteration.errorMessage}</p>
+            )}
+            {iteration.promotedAt && (
+              <p className="text-xs text-slate-600">
+                Promoted by {iteration.promotedByName || 'unknown user'} on {new Date(iteration.promotedAt).toLocaleString()}
+              </p>
+            )}
+            {iteration.status === 'completed' && (
+              <div className="flex items-center space-x-3 mt-2">
+                {iterations.filter(other => other.status === 'completed').length > 1 && (
+                  <button
+                    onClick={() => startCompare(iteration.iterationNumber)}
+                    className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    <GitCompare size={12} />
+                    <span>Compare</span>
+                  </button>
+                )}
+                {!iteration.isCurrent && (
+                  <button
+                    onClick={() => onPromote(iteration.iterationNumber)}
+                    disabled={disabled}
+                    className="flex items-center space-x-1 text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    <ArrowUpCircle size={12} />
+                    <span>Make current</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default IterationHistory;
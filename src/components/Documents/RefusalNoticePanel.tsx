@@ -0,0 +1,366 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, Download, Eye, FileX } from 'lucide-react';
+import { getAccessToken, sessionsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/authStore';
+import { RefusalDisposal, RefusalDraft, RefusalInput, RefusalNotice, RefusalState, Session } from '../../types';
+
+interface RefusalNoticePanelProps {
+  sessionId: string;
+  sessionStatus?: Session['status'];
+}
+
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  return data?.details?.length ? data.details.join('. ') : data?.error || fallback;
+};
+
+interface RefusalForm {
+  disposal: RefusalDisposal;
+  disposalNote: string;
+  presenterReference: string;
+  presenterBic: string;
+  currency: string;
+  amount: string;
+  chargesClaimed: string;
+  senderToReceiverInfo: string;
+}
+
+const toInput = (form: RefusalForm): RefusalInput => ({
+  disposal: form.disposal,
+  disposalNote: form.disposalNote.trim() || undefined,
+  presenterReference: form.presenterReference.trim() || undefined,
+  presenterBic: form.presenterBic.trim() || undefined,
+  currency: form.currency.trim() || undefined,
+  amount: form.amount.trim() ? Number(form.amount) : undefined,
+  chargesClaimed: form.chargesClaimed.trim() || undefined,
+  senderToReceiverInfo: form.senderToReceiverInfo.trim() || undefined,
+});
+
+const NoticeSummary: React.FC<{ notice: RefusalNotice }> = ({ notice }) => {
+  const [downloading, setDownloading] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const download = async (format: 'mt734' | 'pdf') => {
+    setDownloading(format);
+    setError(null);
+    try {
+      const response = await fetch(`/api/downloads/refusal/${notice.sessionId}/${format}`, {
+        headers: {
+          'Authorization': `Bearer ${await getAccessToken()}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error('Download failed');
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = format === 'pdf' ? `${notice.senderReference}.pdf` : `${notice.senderReference}.mt734.txt`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(downloadUrl);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Download failed');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-slate-700">
+        Refused under reference <span className="font-mono">{notice.senderReference}</span> by{' '}
+        {notice.issuedByName || 'Unknown user'} on {new Date(notice.issuedAt).toLocaleString()}:{' '}
+        {notice.discrepancies.length} discrepanc{notice.discrepancies.length === 1 ? 'y' : 'ies'},
+        documents {notice.disposal}
+      </p>
+      {notice.late && (
+        <div className="flex items-center space-x-2 text-red-700">
+          <AlertTriangle size={16} />
+          <span>
+            Issued after the examination deadline of {notice.examinationDeadline}; under UCP 600 Art. 16(f) the bank
+            may be precluded from claiming the documents do not comply
+          </span>
+        </div>
+      )}
+      <pre className="bg-slate-50 border border-slate-200 rounded-lg p-3 text-xs font-mono overflow-x-auto">{notice.mt734}</pre>
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3">{error}</div>
+      )}
+      <div className="flex space-x-3">
+        {(['mt734', 'pdf'] as const).map(format => (
+          <button
+            key={format}
+            onClick={() => download(format)}
+            disabled={downloading !== null}
+            className="flex items-center space-x-2 border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+          >
+            <Download size={16} />
+            <span>{format === 'pdf' ? 'PDF notice' : 'MT734'}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Refusal of the presentation: a single UCP 600 Art. 16 notice listing every
+// outstanding discrepancy and what the bank does with the documents, sent as
+// an MT734 and a PDF
+const RefusalNoticePanel: React.FC<RefusalNoticePanelProps> = ({ sessionId, sessionStatus }) => {
+  const { can } = useAuthStore();
+  const [state, setState] = useState<RefusalState | null>(null);
+  const [form, setForm] = useState<RefusalForm | null>(null);
+  const [draft, setDraft] = useState<RefusalDraft | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadRefusal = useCallback(async () => {
+    try {
+      setState(await sessionsAPI.getRefusal(sessionId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the refusal'));
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadRefusal();
+  }, [loadRefusal, sessionStatus]);
+
+  const startRefusal = () => {
+    if (!state?.defaults) return;
+    setError(null);
+    setDraft(null);
+    setForm({
+      disposal: 'HOLD',
+      disposalNote: '',
+      presenterReference: '',
+      presenterBic: '',
+      currency: state.defaults.currency || '',
+      amount: state.defaults.amount != null ? String(state.defaults.amount) : '',
+      chargesClaimed: '',
+      senderToReceiverInfo: '',
+    });
+  };
+
+  const updateForm = (changes: Partial<RefusalForm>) => {
+    if (!form) return;
+    setForm({ ...form, ...changes });
+    setDraft(null);
+  };
+
+  const preview = async () => {
+    if (!form) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      setDraft(await sessionsAPI.previewRefusal(sessionId, toInput(form)));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to preview the refusal'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const issue = async () => {
+    if (!form || !window.confirm('Issue the refusal notice? A presentation can only be refused once.')) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      await sessionsAPI.issueRefusal(sessionId, toInput(form));
+      setForm(null);
+      setDraft(null);
+      await loadRefusal();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to issue the refusal'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!state) {
+    return error
+      ? <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      : <p className="text-slate-600">Loading refusal...</p>;
+  }
+
+  const canIssue = can('sessions:complete') && state.canIssue;
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-lg p-6 space-y-4 text-left">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <FileX size={20} className="text-slate-600" />
+          <h3 className="text-lg font-medium text-slate-900">Refusal Notice</h3>
+        </div>
+        {canIssue && !form && (
+          <button
+            onClick={startRefusal}
+            className="flex items-center space-x-2 border border-red-300 text-red-700 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors text-sm"
+          >
+            <FileX size={16} />
+            <span>Refuse Presentation</span>
+          </button>
+        )}
+      </div>
+
+      {state.notice ? (
+        <NoticeSummary notice={state.notice} />
+      ) : (
+        <p className="text-sm text-slate-600">
+          {state.discrepancies.length} outstanding discrepanc{state.discrepancies.length === 1 ? 'y' : 'ies'} would be listed.
+          {!state.canIssue && state.issueBlockedReason ? ` ${state.issueBlockedReason}.` : ''}
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      )}
+
+      {form && (
+        <div className="space-y-4 text-sm">
+          <fieldset className="space-y-2">
+            <legend className="font-medium text-slate-900 mb-1">Disposal of the documents</legend>
+            {state.disposalOptions.map(option => (
+              <label key={option.code} className="flex items-start space-x-2 text-slate-700">
+                <input
+                  type="radio"
+                  name="disposal"
+                  checked={form.disposal === option.code}
+                  onChange={() => updateForm({ disposal: option.code })}
+                  className="mt-1"
+                />
+                <span>
+                  {option.label} <span className="text-slate-500">({option.article})</span>
+                </span>
+              </label>
+            ))}
+            <input
+              type="text"
+              value={form.disposalNote}
+              maxLength={70}
+              onChange={(e) => updateForm({ disposalNote: e.target.value })}
+              className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              placeholder="Note on the disposal (optional)"
+            />
+          </fieldset>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <label className="text-slate-700">
+              <span className="block mb-1">Presenter's reference</span>
+              <input
+                type="text"
+                value={form.presenterReference}
+                maxLength={16}
+                onChange={(e) => updateForm({ presenterReference: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                placeholder="NONREF"
+              />
+            </label>
+            <label className="text-slate-700">
+              <span className="block mb-1">Presenter's BIC</span>
+              <input
+                type="text"
+                value={form.presenterBic}
+                maxLength={11}
+                onChange={(e) => updateForm({ presenterBic: e.target.value.toUpperCase() })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                placeholder="Optional"
+              />
+            </label>
+            <label className="text-slate-700">
+              <span className="block mb-1">Currency</span>
+              <input
+                type="text"
+                value={form.currency}
+                maxLength={3}
+                onChange={(e) => updateForm({ currency: e.target.value.toUpperCase() })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <label className="text-slate-700">
+              <span className="block mb-1">Amount presented</span>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => updateForm({ amount: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              />
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="text-slate-700">
+              <span className="block mb-1">Charges claimed</span>
+              <textarea
+                value={form.chargesClaimed}
+                maxLength={210}
+                rows={2}
+                onChange={(e) => updateForm({ chargesClaimed: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              />
+            </label>
+            <label className="text-slate-700">
+              <span className="block mb-1">Information to the presenter</span>
+              <textarea
+                value={form.senderToReceiverInfo}
+                maxLength={210}
+                rows={2}
+                onChange={(e) => updateForm({ senderToReceiverInfo: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              />
+            </label>
+          </div>
+
+          {draft && (
+            <div className="space-y-2">
+              {draft.late && (
+                <div className="flex items-center space-x-2 text-red-700">
+                  <AlertTriangle size={16} />
+                  <span>
+                    The examination deadline of {draft.examinationDeadline} has passed; a refusal now may not be
+                    effective (UCP 600 Art. 16(f))
+                  </span>
+                </div>
+              )}
+              <pre className="bg-slate-50 border border-slate-200 rounded-lg p-3 text-xs font-mono overflow-x-auto">{draft.mt734}</pre>
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              onClick={preview}
+              disabled={isSaving}
+              className="flex items-center space-x-2 border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+            >
+              <Eye size={16} />
+              <span>Preview MT734</span>
+            </button>
+            <button
+              onClick={issue}
+              disabled={isSaving || !draft}
+              className="flex items-center space-x-2 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              <FileX size={16} />
+              <span>Issue Refusal</span>
+            </button>
+            <button
+              onClick={() => { setForm(null); setDraft(null); }}
+              disabled={isSaving}
+              className="border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefusalNoticePanel;
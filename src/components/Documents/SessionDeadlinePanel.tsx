@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertTriangle, CalendarClock, Pencil } from 'lucide-react';
+import { sessionsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/authStore';
+import { ExaminationDeadline, Session, SessionDeadlines } from '../../types';
+
+interface SessionDeadlinePanelProps {
+  sessionId: string;
+  sessionStatus?: Session['status'];
+}
+
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  return data?.details?.length ? data.details.join('. ') : data?.error || fallback;
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const riskStyles: Record<ExaminationDeadline['risk'], string> = {
+  on_track: 'bg-green-100 text-green-800',
+  at_risk: 'bg-yellow-100 text-yellow-800',
+  overdue: 'bg-red-100 text-red-800',
+  completed: 'bg-slate-100 text-slate-800',
+};
+
+const describeDaysLeft = ({ bankingDaysLeft, risk }: ExaminationDeadline) => {
+  if (risk === 'completed') return 'Examination completed';
+  if (bankingDaysLeft < 0) return `${-bankingDaysLeft} banking day${bankingDaysLeft === -1 ? '' : 's'} overdue`;
+  if (bankingDaysLeft === 0) return 'Due today';
+  return `${bankingDaysLeft} banking day${bankingDaysLeft === 1 ? '' : 's'} left`;
+};
+
+// When the documents were presented, the UCP 600 Art. 14(b) examination
+// deadline that follows from it, and the Art. 14(c) last day for presenting
+const SessionDeadlinePanel: React.FC<SessionDeadlinePanelProps> = ({ sessionId, sessionStatus }) => {
+  const { can } = useAuthStore();
+  const [deadlines, setDeadlines] = useState<SessionDeadlines | null>(null);
+  const [form, setForm] = useState<{ presentationDate: string; countryCode: string; branchCode: string } | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadDeadlines = useCallback(async () => {
+    try {
+      setDeadlines(await sessionsAPI.getDeadlines(sessionId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the deadlines'));
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadDeadlines();
+  }, [loadDeadlines, sessionStatus]);
+
+  const startEditing = () => {
+    if (!deadlines) return;
+    setError(null);
+    setForm({
+      presentationDate: deadlines.presentationDate || today(),
+      countryCode: deadlines.countryCode || '',
+      branchCode: deadlines.branchCode || '',
+    });
+  };
+
+  const savePresentation = async () => {
+    if (!form) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      setDeadlines(await sessionsAPI.updatePresentation(sessionId, {
+        presentationDate: form.presentationDate,
+        countryCode: form.countryCode.trim(),
+        branchCode: form.branchCode.trim(),
+      }));
+      setForm(null);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update the presentation'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!deadlines) {
+    return error
+      ? <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      : <p className="text-slate-600">Loading deadlines...</p>;
+  }
+
+  const { examination, presentation } = deadlines;
+  const canEdit = can('sessions:edit') && sessionStatus !== 'completed';
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <CalendarClock size={20} className="text-slate-600" />
+          <h3 className="text-lg font-medium text-slate-900">Presentation & Deadlines</h3>
+        </div>
+        {canEdit && !form && (
+          <button
+            onClick={startEditing}
+            className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Pencil size={14} />
+            <span>Edit presentation</span>
+          </button>
+        )}
+      </div>
+
+      {form ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <label className="text-sm text-slate-700">
+              <span className="block mb-1">Presentation date</span>
+              <input
+                type="date"
+                value={form.presentationDate}
+                max={today()}
+                onChange={(e) => setForm({ ...form, presentationDate: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="text-sm text-slate-700">
+              <span className="block mb-1">Country</span>
+              <input
+                type="text"
+                value={form.countryCode}
+                maxLength={2}
+                onChange={(e) => setForm({ ...form, countryCode: e.target.value.toUpperCase() })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+                placeholder="e.g. GB"
+              />
+            </label>
+            <label className="text-sm text-slate-700">
+              <span className="block mb-1">Branch</span>
+              <input
+                type="text"
+                value={form.branchCode}
+                maxLength={20}
+                onChange={(e) => setForm({ ...form, branchCode: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+                placeholder="All branches"
+              />
+            </label>
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={savePresentation}
+              disabled={isSaving || !form.presentationDate}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 text-sm"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              disabled={isSaving}
+              className="border border-slate-300 text-slate-700 px-4 py-2 rounded-lg hover:bg-slate-50 transition-colors text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-700">
+          {deadlines.presentationDate
+            ? <>Presented on {deadlines.presentationDate}</>
+            : 'The presentation date has not been recorded'}
+          {deadlines.countryCode && (
+            <> at {deadlines.countryCode}{deadlines.branchCode ? ` / ${deadlines.branchCode}` : ''}</>
+          )}
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+        <div className="bg-slate-50 rounded-lg p-4 space-y-1">
+          <p className="font-medium text-slate-900">Examination deadline (UCP 600 Art. 14(b))</p>
+          {examination ? (
+            <>
+              <p className="text-slate-700">
+                {examination.deadline}, {examination.bankingDays} banking days following presentation
+              </p>
+              <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${riskStyles[examination.risk]}`}>
+                {describeDaysLeft(examination)}
+              </span>
+            </>
+          ) : (
+            <p className="text-slate-600">Known once the presentation date is recorded</p>
+          )}
+        </div>
+
+        <div className="bg-slate-50 rounded-lg p-4 space-y-1">
+          <p className="font-medium text-slate-900">Presentation cutoff (UCP 600 Art. 14(c))</p>
+          {presentation?.cutoff ? (
+            <>
+              <p className="text-slate-700">
+                {presentation.cutoff}
+                {presentation.basis === 'shipment'
+                  ? `, ${presentation.presentationDays} days after shipment on ${presentation.shipmentDate}`
+                  : ', the expiry of the credit'}
+              </p>
+              {presentation.basis === 'expiry' && !presentation.shipmentDate && (
+                <p className="text-slate-500">No on-board date found in a bill of lading yet</p>
+              )}
+              {presentation.presentedLate && (
+                <div className="flex items-center space-x-2 text-red-700">
+                  <AlertTriangle size={16} />
+                  <span>The documents were presented after the cutoff</span>
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-slate-600">
+              {presentation
+                ? 'Known once a shipment date or the expiry of the credit is found'
+                : 'Known once the credit is in the session'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionDeadlinePanel;
@@ -0,0 +1,190 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, Clock, Send, Undo2, UserCheck } from 'lucide-react';
+import { sessionsAPI } from '../../services/api';
+import { useAuthStore } from '../../store/authStore';
+import { Session, SessionReview, SessionReviewState } from '../../types';
+
+interface SessionReviewPanelProps {
+  sessionId: string;
+  sessionStatus?: Session['status'];
+}
+
+const errorMessage = (err: unknown, fallback: string) =>
+  (err as { response?: { data?: { error?: string } } })?.response?.data?.error || fallback;
+
+const reviewStatusStyles: Record<SessionReview['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  returned: 'bg-red-100 text-red-800',
+};
+
+const ReviewSummary: React.FC<{ review: SessionReview }> = ({ review }) => (
+  <div className="text-sm text-slate-700 space-y-1">
+    <div className="flex items-center space-x-2">
+      <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${reviewStatusStyles[review.status]}`}>
+        {review.status}
+      </span>
+      <span>
+        Submitted by {review.submittedByName || 'Unknown user'} on {new Date(review.submittedAt).toLocaleString()}
+      </span>
+    </div>
+    {review.discrepancySummary && (
+      <p className="text-slate-600">
+        {review.discrepancySummary.total} discrepanc{review.discrepancySummary.total === 1 ? 'y' : 'ies'} proposed
+        {' '}({review.discrepancySummary.blocking} blocking, {review.discrepancySummary.warning} warning)
+      </p>
+    )}
+    {review.submissionNote && <p className="text-slate-600">Maker: {review.submissionNote}</p>}
+    {review.decidedAt && (
+      <p className="text-slate-600">
+        {review.status === 'approved' ? 'Approved' : 'Returned'} by {review.decidedByName || 'Unknown user'}
+        {' '}on {new Date(review.decidedAt).toLocaleString()}
+        {review.decisionNote ? `: ${review.decisionNote}` : ''}
+      </p>
+    )}
+  </div>
+);
+
+// Four-eyes approval of the examination: the maker submits it, a checker who
+// did not work on the session approves or returns it
+const SessionReviewPanel: React.FC<SessionReviewPanelProps> = ({ sessionId, sessionStatus }) => {
+  const { can } = useAuthStore();
+  const [state, setState] = useState<SessionReviewState | null>(null);
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadReview = useCallback(async () => {
+    try {
+      setState(await sessionsAPI.getReview(sessionId));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load the checker review'));
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadReview();
+  }, [loadReview, sessionStatus]);
+
+  const run = async (action: () => Promise<SessionReview>) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await action();
+      setNote('');
+      await loadReview();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to update the checker review'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!state) {
+    return <p className="text-slate-600">Loading checker review...</p>;
+  }
+
+  const { current } = state;
+  const waiting = current?.status === 'pending';
+  const canSubmit = can('examination:submit') && !waiting && sessionStatus === 'reviewing' &&
+    (current?.status !== 'approved' || state.stale);
+  const canDecide = can('examination:check') && state.canDecide;
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-lg p-6 space-y-4 text-left">
+      <div className="flex items-center space-x-2">
+        <UserCheck size={20} className="text-slate-600" />
+        <h3 className="text-lg font-medium text-slate-900">Checker Approval</h3>
+      </div>
+
+      {current ? (
+        <ReviewSummary review={current} />
+      ) : (
+        <p className="text-sm text-slate-600">
+          The examination has not been submitted yet. A checker who did not work on this session must approve it
+          before the session can be completed.
+        </p>
+      )}
+
+      {current && state.stale && current.status !== 'returned' && (
+        <div className="flex items-center space-x-2 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          <Clock size={16} />
+          <span>The examination changed after it was submitted and must be submitted again.</span>
+        </div>
+      )}
+
+      {current?.status === 'approved' && !state.stale && (
+        <div className="flex items-center space-x-2 text-sm text-green-700">
+          <CheckCircle size={16} />
+          <span>Approved; the session can be saved to the master record.</span>
+        </div>
+      )}
+
+      {waiting && !canDecide && state.decisionBlockedReason && can('examination:check') && (
+        <p className="text-sm text-slate-600">{state.decisionBlockedReason}</p>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+      )}
+
+      {(canSubmit || canDecide) && (
+        <div className="space-y-3">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            maxLength={1000}
+            placeholder={canDecide ? 'Note for the maker (required to return)' : 'Note for the checker (optional)'}
+            className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <div className="flex space-x-3">
+            {canSubmit && (
+              <button
+                onClick={() => run(() => sessionsAPI.submitReview(sessionId, note || undefined))}
+                disabled={isSaving}
+                className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 text-sm"
+              >
+                <Send size={16} />
+                <span>Submit for Checking</span>
+              </button>
+            )}
+            {canDecide && (
+              <>
+                <button
+                  onClick={() => run(() => sessionsAPI.decideReview(sessionId, 'approved', note || undefined))}
+                  disabled={isSaving || state.stale}
+                  className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 text-sm"
+                >
+                  <CheckCircle size={16} />
+                  <span>Approve</span>
+                </button>
+                <button
+                  onClick={() => run(() => sessionsAPI.decideReview(sessionId, 'returned', note))}
+                  disabled={isSaving || !note.trim()}
+                  className="flex items-center space-x-2 border border-red-300 text-red-700 px-4 py-2 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50 text-sm"
+                >
+                  <Undo2 size={16} />
+                  <span>Return to Maker</span>
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {state.history.length > 0 && (
+        <details className="text-sm">
+          <summary className="cursor-pointer text-slate-600">Earlier reviews ({state.history.length})</summary>
+          <div className="mt-3 space-y-3">
+            {state.history.map(review => (
+              <ReviewSummary key={review.id} review={review} />
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default SessionReviewPanel;
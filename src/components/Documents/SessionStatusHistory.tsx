@@ -0,0 +1,95 @@
+import React from 'react';
+import { ArrowRight, Bot, User } from 'lucide-react';
+import { Session, SessionLifecycle } from '../../types';
+
+interface SessionStatusHistoryProps {
+  lifecycle: SessionLifecycle | null;
+}
+
+const sessionStatusStyles: Record<Session['status'], string> = {
+  created: 'bg-slate-100 text-slate-800',
+  uploading: 'bg-blue-100 text-blue-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+  reviewing: 'bg-purple-100 text-purple-800',
+  completed: 'bg-green-100 text-green-800',
+  frozen: 'bg-cyan-100 text-cyan-800',
+};
+
+const StatusBadge: React.FC<{ status: Session['status'] }> = ({ status }) => (
+  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${sessionStatusStyles[status]}`}>
+    {status}
+  </span>
+);
+
+// Every status change of a session, newest first
+const SessionStatusHistory: React.FC<SessionStatusHistoryProps> = ({ lifecycle }) => {
+  if (!lifecycle) {
+    return <p className="text-slate-600">Loading status history...</p>;
+  }
+
+  const transitions = [...lifecycle.transitions].reverse();
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-slate-900">Status History</h2>
+        <div className="flex items-center space-x-2 text-sm text-slate-600">
+          <span>Current status:</span>
+          <StatusBadge status={lifecycle.status} />
+        </div>
+      </div>
+
+      {lifecycle.available.some(transition => !transition.allowed) && (
+        <ul className="text-sm text-slate-600 space-y-1">
+          {lifecycle.available.filter(transition => !transition.allowed).map(transition => (
+            <li key={transition.status}>
+              Cannot become {transition.status}: {transition.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {transitions.length === 0 ? (
+        <p className="text-slate-600">No status changes recorded for this session.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">When</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Change</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">By</th>
+                <th className="px-4 py-2 text-left font-medium text-slate-600">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {transitions.map(transition => (
+                <tr key={transition.id}>
+                  <td className="px-4 py-2 text-slate-600 whitespace-nowrap">
+                    {new Date(transition.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center space-x-2">
+                      {transition.fromStatus ? <StatusBadge status={transition.fromStatus} /> : <span className="text-slate-500">new</span>}
+                      <ArrowRight size={14} className="text-slate-400" />
+                      <StatusBadge status={transition.toStatus} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-slate-700">
+                    <span className="inline-flex items-center space-x-1">
+                      {transition.source === 'system' ? <Bot size={14} /> : <User size={14} />}
+                      <span>{transition.source === 'system' ? 'System' : transition.changedByName || 'Unknown user'}</span>
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-slate-600">{transition.reason || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionStatusHistory;
@@ -8,12 +8,14 @@ import {
   Users, 
   CheckCircle,
   BarChart3,
-  LogOut
+  LogOut,
+  MonitorX,
+  CalendarDays
 } from 'lucide-react';
 import { useAuthStore } from '../../store/authStore';
 
 const Sidebar: React.FC = () => {
-  const { user, logout } = useAuthStore();
+  const { user, logout, logoutEverywhere } = useAuthStore();
 
   const navigationItems = [
     { to: '/', icon: Home, label: 'Dashboard' },
@@ -26,6 +28,7 @@ const Sidebar: React.FC = () => {
     { to: '/admin/approvals', icon: CheckCircle, label: 'Approvals' },
     { to: '/admin/templates', icon: Settings, label: 'Templates' },
     { to: '/admin/users', icon: Users, label: 'Users' },
+    { to: '/admin/holidays', icon: CalendarDays, label: 'Holidays' },
   ];
 
   return (
@@ -99,6 +102,14 @@ const Sidebar: React.FC = () => {
           <LogOut size={16} />
           <span className="text-sm">Sign Out</span>
         </button>
+        <button
+          onClick={logoutEverywhere}
+          className="flex items-center space-x-2 text-slate-400 hover:text-white transition-colors w-full mt-2"
+          title="End your sign-ins on every device"
+        >
+          <MonitorX size={16} />
+          <span className="text-sm">Sign Out Everywhere</span>
+        </button>
       </div>
     </div>
   );
@@ -13,7 +13,7 @@ const FileUploadZone: React.FC<FileUploadZoneProps> = ({
   onFilesSelected,
   disabled = false,
   maxSize = 10485760, // 10MB
-  acceptedTypes = ['image/*', 'application/pdf']
+  acceptedTypes = ['image/*', 'application/pdf', 'text/plain']
 }) => {
   const { getRootProps, getInputProps, isDragActive, fileRejections } = useDropzone({
     accept: acceptedTypes.reduce((acc, type) => {
@@ -21,6 +21,9 @@ const FileUploadZone: React.FC<FileUploadZoneProps> = ({
         acc['image/*'] = ['.jpeg', '.jpg', '.png'];
       } else if (type === 'application/pdf') {
         acc['application/pdf'] = ['.pdf'];
+      } else if (type === 'text/plain') {
+        // SWIFT MT700/MT710/MT720 messages
+        acc['text/plain'] = ['.txt', '.fin'];
       }
       return acc;
     }, {} as Record<string, string[]>),
@@ -67,7 +70,7 @@ const FileUploadZone: React.FC<FileUploadZoneProps> = ({
                 </p>
               </div>
               <div className="text-sm text-slate-500">
-                <p>Supported formats: PDF, JPEG, JPG, PNG</p>
+                <p>Supported formats: PDF, JPEG, JPG, PNG, SWIFT MT700/710/720 (TXT, FIN)</p>
                 <p>Maximum file size: {Math.round(maxSize / 1024 / 1024)}MB</p>
               </div>
             </>
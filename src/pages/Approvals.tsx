@@ -0,0 +1,287 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Check, X, AlertCircle, FileQuestion } from 'lucide-react';
+import { adminAPI } from '../services/api';
+import { useAuthStore } from '../store/authStore';
+import { DocumentApproval, ProposedField } from '../types';
+
+const STATUS_FILTERS: { value: DocumentApproval['status'] | ''; label: string }[] = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+const STATUS_STYLES: Record<DocumentApproval['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+// What an admin may adjust before the request becomes a template
+interface ApprovalDraft {
+  startPatterns: string;
+  keywords: string;
+  fields: ProposedField[];
+  notes: string;
+}
+
+const toDraft = (approval: DocumentApproval): ApprovalDraft => ({
+  startPatterns: approval.startPatterns.join('\n'),
+  keywords: approval.keywords.join('\n'),
+  fields: approval.fields,
+  notes: '',
+});
+
+const fromLines = (text: string) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// The server answers validation failures with { error, details }
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  if (data?.details?.length) return `${data.error}: ${data.details.join('; ')}`;
+  return data?.error || fallback;
+};
+
+const Approvals: React.FC = () => {
+  const { user } = useAuthStore();
+  const [approvals, setApprovals] = useState<DocumentApproval[]>([]);
+  const [status, setStatus] = useState<DocumentApproval['status'] | ''>('pending');
+  const [selected, setSelected] = useState<DocumentApproval | null>(null);
+  const [draft, setDraft] = useState<ApprovalDraft | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadApprovals = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result: DocumentApproval[] = await adminAPI.getApprovals(status || undefined);
+      setApprovals(result);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load approvals'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      loadApprovals();
+    }
+  }, [user, loadApprovals]);
+
+  const selectApproval = (approval: DocumentApproval) => {
+    setSelected(approval);
+    setDraft(toDraft(approval));
+    setError(null);
+  };
+
+  const updateField = (index: number, changes: Partial<ProposedField>) => {
+    if (!draft) return;
+    setDraft({
+      ...draft,
+      fields: draft.fields.map((field, i) => i === index ? { ...field, ...changes } : field),
+    });
+  };
+
+  const handleDecision = async (approved: boolean) => {
+    if (!selected || !draft) return;
+    setError(null);
+    setIsSaving(true);
+    try {
+      const template = approved ? {
+        startPatterns: fromLines(draft.startPatterns),
+        keywords: fromLines(draft.keywords),
+        fields: draft.fields,
+      } : undefined;
+      const decided: DocumentApproval = await adminAPI.approveDocument(selected.id, approved, draft.notes || undefined, template);
+      setSelected(decided);
+      await loadApprovals();
+    } catch (err) {
+      setError(errorMessage(err, approved ? 'Failed to approve request' : 'Failed to reject request'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="p-6 text-slate-600">Admin access required</div>;
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Approvals</h1>
+          <p className="text-slate-600 mt-1">New document types requested for documents no template matches</p>
+        </div>
+        <div className="flex items-center space-x-1 bg-slate-100 rounded-lg p-1">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.label}
+              onClick={() => setStatus(filter.value)}
+              className={`px-3 py-1.5 text-sm rounded-md transition-colors ${
+                status === filter.value ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-600 hover:text-slate-900'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white rounded-lg border border-slate-200 p-3 space-y-1 h-fit">
+          {isLoading ? (
+            <div className="animate-pulse space-y-2">
+              {[...Array(4)].map((_, i) => (
+                <div key={i} className="h-12 bg-slate-200 rounded"></div>
+              ))}
+            </div>
+          ) : approvals.length === 0 ? (
+            <p className="text-sm text-slate-500 p-3">No requests.</p>
+          ) : (
+            approvals.map(approval => (
+              <button
+                key={approval.id}
+                onClick={() => selectApproval(approval)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  selected?.id === approval.id ? 'bg-blue-50 text-blue-700' : 'hover:bg-slate-50 text-slate-700'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{approval.documentType}</span>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[approval.status]}`}>
+                    {approval.status}
+                  </span>
+                </div>
+                <div className="text-xs text-slate-500">
+                  {approval.fileName} · LC {approval.lcNumber} · {approval.requestedByName || 'Unknown user'}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white rounded-lg border border-slate-200 p-6 space-y-6">
+          {!selected || !draft ? (
+            <div className="text-center py-12 text-slate-500">
+              <FileQuestion size={32} className="mx-auto mb-2 text-slate-400" />
+              <p>Select a request to review it.</p>
+            </div>
+          ) : (
+            <>
+              <div>
+                <div className="flex items-center space-x-2">
+                  <h2 className="text-lg font-semibold text-slate-900">{selected.documentType}</h2>
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[selected.status]}`}>
+                    {selected.status}
+                  </span>
+                </div>
+                <p className="text-sm text-slate-600">
+                  {selected.parentTemplateName
+                    ? `Variant of ${selected.parentTemplateName}`
+                    : selected.documentCategory || 'New document type'}
+                  {' · '}requested by {selected.requestedByName || 'unknown user'} on{' '}
+                  {new Date(selected.requestedAt).toLocaleString()} for {selected.fileName}
+                </p>
+                {selected.requestNotes && <p className="text-sm text-slate-700 mt-2">{selected.requestNotes}</p>}
+                {selected.status !== 'pending' && (
+                  <p className="text-sm text-slate-700 mt-2">
+                    {selected.status === 'approved' ? 'Approved' : 'Rejected'} by {selected.approvedByName || 'unknown user'}
+                    {selected.approvedAt && ` on ${new Date(selected.approvedAt).toLocaleString()}`}
+                    {selected.templateName && ` as template ${selected.templateName}`}
+                    {selected.adminNotes && `: ${selected.adminNotes}`}
+                  </p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="block text-sm">
+                  <span className="text-slate-700 font-medium">Start patterns (regular expressions, one per line)</span>
+                  <textarea
+                    value={draft.startPatterns}
+                    onChange={(e) => setDraft({ ...draft, startPatterns: e.target.value })}
+                    disabled={selected.status !== 'pending'}
+                    rows={4}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="text-slate-700 font-medium">Keywords (one per line)</span>
+                  <textarea
+                    value={draft.keywords}
+                    onChange={(e) => setDraft({ ...draft, keywords: e.target.value })}
+                    disabled={selected.status !== 'pending'}
+                    rows={4}
+                    className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+                  />
+                </label>
+              </div>
+
+              <div className="space-y-2">
+                <h3 className="font-medium text-slate-900">Proposed fields</h3>
+                {draft.fields.length === 0 && (
+                  <p className="text-sm text-slate-500">
+                    No fields proposed; key: value lines are extracted from documents of this type.
+                  </p>
+                )}
+                {draft.fields.map((field, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center text-sm">
+                    <span className="col-span-3 text-slate-800">
+                      {field.fieldName}
+                      {field.isRequired && <span className="text-xs text-red-600 ml-1">required</span>}
+                    </span>
+                    <span className="col-span-2 text-slate-500">{field.fieldType}</span>
+                    <input
+                      value={field.extractionPattern || ''}
+                      onChange={(e) => updateField(index, { extractionPattern: e.target.value })}
+                      disabled={selected.status !== 'pending'}
+                      placeholder="Extraction pattern with one capture group"
+                      className="col-span-7 px-2 py-1.5 border border-slate-300 rounded font-mono text-xs"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              {selected.status === 'pending' && (
+                <div className="flex items-center space-x-3 pt-4 border-t border-slate-200">
+                  <input
+                    value={draft.notes}
+                    onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                    placeholder="Notes for the requester (optional)"
+                    className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                  />
+                  <button
+                    onClick={() => handleDecision(false)}
+                    disabled={isSaving}
+                    className="flex items-center space-x-2 px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+                  >
+                    <X size={16} />
+                    <span>Reject</span>
+                  </button>
+                  <button
+                    onClick={() => handleDecision(true)}
+                    disabled={isSaving}
+                    className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+                  >
+                    <Check size={16} />
+                    <span>{isSaving ? 'Saving...' : 'Approve as template'}</span>
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Approvals;
@@ -1,4 +1,5 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { 
   FileText, 
   Upload, 
@@ -7,52 +8,136 @@ import {
   AlertTriangle,
   TrendingUp,
   Users,
-  Database
+  Database,
+  CalendarClock
 } from 'lucide-react';
 import { useSessionStore } from '../store/sessionStore';
 import { useAuthStore } from '../store/authStore';
+import { sessionsAPI } from '../services/api';
+import { AtRiskSessions, ExaminationDeadline, Session } from '../types';
+
+const describeDaysLeft = ({ bankingDaysLeft }: ExaminationDeadline) => {
+  if (bankingDaysLeft < 0) {
+    return `${-bankingDaysLeft} banking day${bankingDaysLeft === -1 ? '' : 's'} overdue`;
+  }
+  if (bankingDaysLeft === 0) return 'Due today';
+  return `${bankingDaysLeft} banking day${bankingDaysLeft === 1 ? '' : 's'} left`;
+};
+
+// Sessions close to or past the five banking days UCP 600 Art. 14(b) allows
+// for examining a presentation
+const ExaminationDeadlines: React.FC = () => {
+  const navigate = useNavigate();
+  const [deadlines, setDeadlines] = useState<AtRiskSessions | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    sessionsAPI.getAtRiskSessions()
+      .then(setDeadlines)
+      .catch(() => setError('Failed to load examination deadlines'));
+  }, []);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200">
+      <div className="p-6 border-b border-slate-200 flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <CalendarClock size={20} className="text-slate-600" />
+          <h2 className="text-xl font-semibold text-slate-900">Examination Deadlines</h2>
+        </div>
+        {deadlines && (
+          <span className="text-sm text-slate-500">
+            At risk: {deadlines.atRiskBankingDays} banking days or fewer left
+          </span>
+        )}
+      </div>
+      <div className="p-6">
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : !deadlines ? (
+          <p className="text-sm text-slate-600">Loading deadlines...</p>
+        ) : deadlines.sessions.length === 0 ? (
+          <div className="flex items-center space-x-2 text-sm text-green-700">
+            <CheckCircle size={16} />
+            <span>No session is close to its examination deadline.</span>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {deadlines.sessions.map(entry => (
+              <button
+                key={entry.sessionId}
+                onClick={() => navigate(`/sessions/${entry.sessionId}`)}
+                className="w-full flex items-center justify-between p-4 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors text-left"
+              >
+                <div>
+                  <h3 className="font-medium text-slate-900">{entry.lcNumber}</h3>
+                  <p className="text-sm text-slate-600">
+                    CIF: {entry.cifNumber}{entry.ownerName ? ` • ${entry.ownerName}` : ''}
+                  </p>
+                  <p className="text-xs text-slate-500 mt-1">
+                    Presented {entry.presentationDate}
+                    {entry.countryCode ? ` in ${entry.countryCode}${entry.branchCode ? ` / ${entry.branchCode}` : ''}` : ''}
+                  </p>
+                </div>
+                <div className="text-right">
+                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
+                    entry.examination.risk === 'overdue' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                  }`}>
+                    {describeDaysLeft(entry.examination)}
+                  </span>
+                  <p className="text-xs text-slate-500 mt-1">Deadline {entry.examination.deadline}</p>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
 const Dashboard: React.FC = () => {
-  const { sessions, loadSessions, isLoading } = useSessionStore();
+  const { sessions, totalSessions, statusCounts, loadSessions, isLoading } = useSessionStore();
   const { user } = useAuthStore();
 
   useEffect(() => {
-    loadSessions();
+    // Only the most recent sessions; the totals come with them
+    loadSessions({ limit: 5 });
   }, [loadSessions]);
 
+  const countOf = (...statuses: Session['status'][]) =>
+    statuses.reduce((total, status) => total + (statusCounts[status] || 0), 0);
+
   const stats = [
     {
       title: 'Total Sessions',
-      value: sessions.length,
+      value: totalSessions,
       icon: FileText,
       color: 'bg-blue-500',
       change: '+12%',
     },
     {
       title: 'Completed',
-      value: sessions.filter(s => s.status === 'completed').length,
+      value: countOf('completed'),
       icon: CheckCircle,
       color: 'bg-green-500',
       change: '+8%',
     },
     {
       title: 'In Progress',
-      value: sessions.filter(s => ['uploading', 'processing', 'reviewing'].includes(s.status)).length,
+      value: countOf('uploading', 'processing', 'reviewing'),
       icon: Clock,
       color: 'bg-yellow-500',
       change: '+5%',
     },
     {
       title: 'Pending Review',
-      value: sessions.filter(s => s.status === 'reviewing').length,
+      value: countOf('reviewing'),
       icon: AlertTriangle,
       color: 'bg-red-500',
       change: '-2%',
     },
   ];
 
-  const recentSessions = sessions.slice(0, 5);
-
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'completed': return 'bg-green-100 text-green-800';
@@ -122,6 +207,8 @@ const Dashboard: React.FC = () => {
         ))}
       </div>
 
+      <ExaminationDeadlines />
+
       {/* Recent Sessions */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-white rounded-xl shadow-sm border border-slate-200">
@@ -129,9 +216,9 @@ const Dashboard: React.FC = () => {
             <h2 className="text-xl font-semibold text-slate-900">Recent Sessions</h2>
           </div>
           <div className="p-6">
-            {recentSessions.length > 0 ? (
+            {sessions.length > 0 ? (
               <div className="space-y-4">
-                {recentSessions.map((session) => (
+                {sessions.map((session) => (
                   <div key={session.id} className="flex items-center justify-between p-4 bg-slate-50 rounded-lg">
                     <div>
                       <h3 className="font-medium text-slate-900">{session.lcNumber}</h3>
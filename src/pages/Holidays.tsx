@@ -0,0 +1,246 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, ChevronLeft, ChevronRight, Plus, Trash2, X } from 'lucide-react';
+import { adminAPI } from '../services/api';
+import { useAuthStore } from '../store/authStore';
+import { BankingHoliday, NewBankingHoliday } from '../types';
+
+const EMPTY_HOLIDAY: NewBankingHoliday = { countryCode: '', branchCode: '', holidayDate: '', name: '' };
+
+// The server answers validation failures with { error, details }
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  if (data?.details?.length) return `${data.error}: ${data.details.join('; ')}`;
+  return data?.error || fallback;
+};
+
+const weekday = (date: string) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' });
+
+// Banking holidays per country and branch. Saturdays and Sundays are always
+// closed; these are the other days that do not count as banking days for
+// examination deadlines.
+const Holidays: React.FC = () => {
+  const { user: currentUser } = useAuthStore();
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [country, setCountry] = useState('');
+  const [holidays, setHolidays] = useState<BankingHoliday[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [newHoliday, setNewHoliday] = useState<NewBankingHoliday | null>(null);
+
+  const loadHolidays = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setHolidays(await adminAPI.getHolidays(year, country.length === 2 ? country : undefined));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load holidays'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [year, country]);
+
+  useEffect(() => {
+    if (currentUser?.role === 'admin') {
+      loadHolidays();
+    }
+  }, [currentUser, loadHolidays]);
+
+  const handleCreateHoliday = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newHoliday) return;
+    setError(null);
+    setBusyId('new');
+    try {
+      await adminAPI.createHoliday({ ...newHoliday, branchCode: newHoliday.branchCode?.trim() || undefined });
+      setNewHoliday(null);
+      await loadHolidays();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to add holiday'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const removeHoliday = async (holiday: BankingHoliday) => {
+    if (!window.confirm(`Remove ${holiday.name} on ${holiday.holidayDate}?`)) return;
+    setError(null);
+    setBusyId(holiday.id);
+    try {
+      await adminAPI.deleteHoliday(holiday.id);
+      setHolidays(current => current.filter(item => item.id !== holiday.id));
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to remove holiday'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (currentUser?.role !== 'admin') {
+    return <div className="p-6 text-slate-600">Admin access required</div>;
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Banking Holidays</h1>
+          <p className="text-slate-600 mt-1">
+            Days the bank is closed besides weekends; they do not count towards examination deadlines
+          </p>
+        </div>
+        <button
+          onClick={() => setNewHoliday({ ...EMPTY_HOLIDAY, countryCode: country })}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+        >
+          <Plus size={20} />
+          <span>New Holiday</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {newHoliday && (
+        <form onSubmit={handleCreateHoliday} className="bg-white rounded-lg border border-slate-200 p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-slate-900">New Holiday</h2>
+            <button type="button" onClick={() => setNewHoliday(null)} className="text-slate-400 hover:text-slate-600">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Date</span>
+              <input
+                type="date"
+                value={newHoliday.holidayDate}
+                onChange={(e) => setNewHoliday({ ...newHoliday, holidayDate: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                required
+              />
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Name</span>
+              <input
+                value={newHoliday.name}
+                onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                maxLength={255}
+                required
+              />
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Country</span>
+              <input
+                value={newHoliday.countryCode}
+                onChange={(e) => setNewHoliday({ ...newHoliday, countryCode: e.target.value.toUpperCase() })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                maxLength={2}
+                placeholder="e.g. GB"
+                required
+              />
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Branch</span>
+              <input
+                value={newHoliday.branchCode}
+                onChange={(e) => setNewHoliday({ ...newHoliday, branchCode: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                maxLength={20}
+                placeholder="All branches"
+              />
+            </label>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busyId === 'new'}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {busyId === 'new' ? 'Adding...' : 'Add Holiday'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex items-center space-x-4">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setYear(year - 1)}
+            className="p-2 text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+            title="Previous year"
+          >
+            <ChevronLeft size={16} />
+          </button>
+          <span className="font-medium text-slate-900">{year}</span>
+          <button
+            onClick={() => setYear(year + 1)}
+            className="p-2 text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+            title="Next year"
+          >
+            <ChevronRight size={16} />
+          </button>
+        </div>
+        <input
+          value={country}
+          onChange={(e) => setCountry(e.target.value.toUpperCase())}
+          maxLength={2}
+          placeholder="All countries"
+          className="border border-slate-300 rounded-lg px-3 py-2 text-sm w-36"
+        />
+      </div>
+
+      <div className="bg-white rounded-lg border border-slate-200 overflow-x-auto">
+        {isLoading ? (
+          <p className="p-6 text-slate-600">Loading holidays...</p>
+        ) : holidays.length === 0 ? (
+          <p className="p-6 text-slate-600">No holidays in {year}{country.length === 2 ? ` for ${country}` : ''}</p>
+        ) : (
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Date</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Holiday</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Country</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Branch</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Added by</th>
+                <th className="px-4 py-3 text-right font-medium text-slate-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {holidays.map(holiday => (
+                <tr key={holiday.id}>
+                  <td className="px-4 py-3 whitespace-nowrap text-slate-900">
+                    {holiday.holidayDate} <span className="text-slate-500">{weekday(holiday.holidayDate)}</span>
+                  </td>
+                  <td className="px-4 py-3 text-slate-900">{holiday.name}</td>
+                  <td className="px-4 py-3 text-slate-600">{holiday.countryCode}</td>
+                  <td className="px-4 py-3 text-slate-600">{holiday.branchCode || 'All branches'}</td>
+                  <td className="px-4 py-3 text-slate-600">{holiday.createdByName || '—'}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end">
+                      <button
+                        onClick={() => removeHoliday(holiday)}
+                        disabled={busyId === holiday.id}
+                        className="p-2 text-slate-600 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                        title="Remove"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Holidays;
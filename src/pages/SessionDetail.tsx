@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { 
   ArrowLeft, 
@@ -17,13 +17,26 @@ import {
   Download,
   Settings,
   Play,
-  CheckCircle
+  CheckCircle,
+  ShieldAlert,
+  FileSignature,
+  History,
+  ScrollText
 } from 'lucide-react';
 import { useSessionStore } from '../store/sessionStore';
 import { useDocumentStore } from '../store/documentStore';
 import DocumentViewer from '../components/Documents/DocumentViewer';
 import FieldExtractor from '../components/Documents/FieldExtractor';
 import DocumentComparator from '../components/Documents/DocumentComparator';
+import DiscrepancyList from '../components/Documents/DiscrepancyList';
+import CreditAmendments from '../components/Documents/CreditAmendments';
+import SessionStatusHistory from '../components/Documents/SessionStatusHistory';
+import AuditTrail from '../components/Documents/AuditTrail';
+import SessionReviewPanel from '../components/Documents/SessionReviewPanel';
+import SessionDeadlinePanel from '../components/Documents/SessionDeadlinePanel';
+import RefusalNoticePanel from '../components/Documents/RefusalNoticePanel';
+import { sessionsAPI } from '../services/api';
+import { MasterRecordBlockers, SessionCredit, SessionLifecycle } from '../types';
 
 const SessionDetail: React.FC = () => {
   const { sessionId } = useParams<{ sessionId: string }>();
@@ -37,15 +50,30 @@ const SessionDetail: React.FC = () => {
     extractFields,
     compareDocument,
     deleteDocument,
+    subscribeToSession,
+    saveToMasterRecord,
+    progress,
+    splits,
+    discrepanciesCheckedAt,
+    sessionStatusChangedAt,
+    eventStreamStatus,
     isLoading 
   } = useDocumentStore();
   
-  const [activeTab, setActiveTab] = useState<'documents' | 'fields' | 'review' | 'final'>('documents');
+  const [activeTab, setActiveTab] = useState<'documents' | 'fields' | 'review' | 'credit' | 'discrepancies' | 'final' | 'status' | 'audit'>('documents');
   const [selectedDocument, setSelectedDocument] = useState<string | null>(null);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [sessionFrozen, setSessionFrozen] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState<string | null>(null);
   const [processingSteps, setProcessingSteps] = useState<Record<string, string>>({});
+  const [currentCredit, setCurrentCredit] = useState<SessionCredit | null>(null);
+  const [saveBlockers, setSaveBlockers] = useState<MasterRecordBlockers | null>(null);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [lifecycle, setLifecycle] = useState<SessionLifecycle | null>(null);
+  const [statusError, setStatusError] = useState<string | null>(null);
+
+  const sessionStatus = lifecycle?.status || currentSession?.status;
+  const sessionFrozen = sessionStatus === 'frozen';
+  const unfreezeTo = sessionFrozen ? lifecycle?.available.find(transition => transition.allowed) : undefined;
 
   useEffect(() => {
     if (sessionId) {
@@ -53,14 +81,57 @@ const SessionDetail: React.FC = () => {
     }
   }, [sessionId, loadDocuments]);
 
+  // Processing progress, splits and discrepancy checks are pushed by the server
+  useEffect(() => {
+    if (sessionId) {
+      return subscribeToSession(sessionId);
+    }
+  }, [sessionId, subscribeToSession]);
+
+  useEffect(() => {
+    if (sessionId) {
+      sessionsAPI.getCredit(sessionId)
+        .then(setCurrentCredit)
+        .catch(error => console.error('Error loading credit:', error));
+    }
+  }, [sessionId, documents]);
+
+  // The server moves the session along as documents are uploaded and processed
+  const loadLifecycle = useCallback(async () => {
+    if (!sessionId) return;
+    try {
+      setLifecycle(await sessionsAPI.getStatusHistory(sessionId));
+    } catch (error) {
+      console.error('Error loading session status:', error);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadLifecycle();
+  }, [loadLifecycle, documents, sessionStatusChangedAt]);
+
+  useEffect(() => {
+    if (lifecycle && currentSession && currentSession.id === sessionId && currentSession.status !== lifecycle.status) {
+      setCurrentSession({ ...currentSession, status: lifecycle.status });
+    }
+  }, [lifecycle, currentSession, sessionId, setCurrentSession]);
+
+  // The header shows the terms in force today; other dates are only browsed
+  // in the credit tab
+  const handleCreditLoaded = useCallback((credit: SessionCredit) => {
+    if (credit.effectiveTerms?.asOf === new Date().toISOString().slice(0, 10)) {
+      setCurrentCredit(credit);
+    }
+  }, []);
+
   const handleProcessDocument = async (documentId: string) => {
     setIsProcessing(true);
     setProcessingSteps(prev => ({ ...prev, [documentId]: 'processing' }));
     
     try {
+      // The document's own status follows the queued job from here
       await processDocument(documentId);
-      setProcessingSteps(prev => ({ ...prev, [documentId]: 'processed' }));
-      await updateSessionStatus(sessionId!, 'processing');
+      setProcessingSteps(prev => ({ ...prev, [documentId]: 'queued' }));
     } catch (error) {
       console.error('Error processing document:', error);
       setProcessingSteps(prev => ({ ...prev, [documentId]: 'error' }));
@@ -92,7 +163,6 @@ const SessionDetail: React.FC = () => {
             
             if (allDocumentsProcessed) {
               setActiveTab('fields');
-              await updateSessionStatus(sessionId!, 'reviewing');
             }
           } catch (error) {
             console.error('Error extracting fields:', error);
@@ -121,22 +191,44 @@ const SessionDetail: React.FC = () => {
     }
   };
 
-  const handleFreezeSession = async () => {
+  const changeSessionStatus = async (status: SessionLifecycle['status'], reason?: string) => {
+    setStatusError(null);
     try {
-      await updateSessionStatus(sessionId!, 'frozen');
-      setSessionFrozen(true);
+      await updateSessionStatus(sessionId!, status, reason);
     } catch (error) {
-      console.error('Error freezing session:', error);
+      console.error('Error changing session status:', error);
+      setStatusError(error instanceof Error ? error.message : 'Failed to change the session status');
     }
+    await loadLifecycle();
+  };
+
+  const handleFreezeSession = async () => {
+    const reason = window.prompt('Why is the session being frozen? (optional)');
+    if (reason === null) return;
+    await changeSessionStatus('frozen', reason || undefined);
+  };
+
+  const handleUnfreezeSession = async () => {
+    if (!unfreezeTo) return;
+    await changeSessionStatus(unfreezeTo.status);
   };
 
   const handleSaveSession = async () => {
+    setSaveBlockers(null);
+    setSaveError(null);
     try {
-      await updateSessionStatus(sessionId!, 'completed');
-      // Trigger final storage process
+      await saveToMasterRecord(sessionId!);
+      if (currentSession) {
+        setCurrentSession({ ...currentSession, status: 'completed' });
+      }
       navigate('/sessions');
     } catch (error) {
       console.error('Error saving session:', error);
+      // The server lists what keeps the session from being saved
+      const data = (error as { response?: { data?: { error?: string; blockers?: MasterRecordBlockers } } })?.response?.data;
+      setSaveBlockers(data?.blockers || null);
+      setSaveError(data?.error || 'Failed to save to master record');
+      setActiveTab('final');
     }
   };
 
@@ -246,12 +338,20 @@ const SessionDetail: React.FC = () => {
             </h1>
             <p className="text-slate-600">
               CIF: {currentSession?.cifNumber} | Lifecycle: {currentSession?.lifecycle}
+              {sessionStatus && <> | Status: {sessionStatus}</>}
+              {currentCredit?.effectiveTerms && (
+                <> | Terms: {currentCredit.effectiveTerms.amendmentNumber > 0
+                  ? `Amendment ${currentCredit.effectiveTerms.amendmentNumber}`
+                  : 'Original credit'}
+                {currentCredit.effectiveTerms.pendingAmendments.length > 0 &&
+                  ` (${currentCredit.effectiveTerms.pendingAmendments.length} pending)`}</>
+              )}
             </p>
           </div>
         </div>
         
         <div className="flex items-center space-x-3">
-          {!sessionFrozen && currentSession?.status !== 'completed' && (
+          {!sessionFrozen && sessionStatus !== 'completed' && (
             <>
               <button
                 onClick={handleFreezeSession}
@@ -275,14 +375,46 @@ const SessionDetail: React.FC = () => {
               <span className="font-medium">Session Frozen</span>
             </div>
           )}
+          {sessionFrozen && unfreezeTo && (
+            <button
+              onClick={handleUnfreezeSession}
+              className="bg-slate-700 text-white px-4 py-2 rounded-lg hover:bg-slate-800 transition-colors flex items-center space-x-2"
+              title={`The session resumes as ${unfreezeTo.status}`}
+            >
+              <Unlock size={20} />
+              <span>Unfreeze</span>
+            </button>
+          )}
         </div>
       </div>
 
+      {statusError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800 flex items-center justify-between">
+          <span>{statusError}</span>
+          <button onClick={() => setStatusError(null)} className="text-red-600 hover:text-red-800">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
       {/* Enhanced Progress Steps */}
       <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
         <div className="mb-4">
           <div className="flex items-center justify-between mb-2">
-            <h3 className="text-lg font-semibold text-slate-900">Processing Progress</h3>
+            <div className="flex items-center space-x-3">
+              <h3 className="text-lg font-semibold text-slate-900">Processing Progress</h3>
+              <span
+                className={`inline-flex items-center space-x-1 text-xs font-medium ${
+                  eventStreamStatus === 'open' ? 'text-green-600' : 'text-slate-500'
+                }`}
+                title="Live updates from the server"
+              >
+                <span className={`w-2 h-2 rounded-full ${eventStreamStatus === 'open' ? 'bg-green-500' : 'bg-slate-400'}`} />
+                <span>
+                  {eventStreamStatus === 'open' ? 'Live' : eventStreamStatus === 'closed' ? 'Offline' : 'Reconnecting...'}
+                </span>
+              </span>
+            </div>
             <span className="text-sm font-medium text-slate-600">{progressPercentage}% Complete</span>
           </div>
           <div className="w-full bg-slate-200 rounded-full h-3">
@@ -374,7 +506,11 @@ const SessionDetail: React.FC = () => {
               { id: 'documents', label: 'Documents', icon: FileText, count: documents.length },
               { id: 'fields', label: 'Field Extraction', icon: Settings, count: documents.filter(d => d.extractedFields?.length > 0).length },
               { id: 'review', label: 'Review & Edit', icon: Eye, count: 0 },
-              { id: 'final', label: 'Final Review', icon: Check, count: 0 }
+              { id: 'credit', label: 'Credit & Amendments', icon: FileSignature, count: currentCredit?.amendments.length || 0 },
+              { id: 'discrepancies', label: 'Discrepancies', icon: ShieldAlert, count: 0 },
+              { id: 'final', label: 'Final Review', icon: Check, count: 0 },
+              { id: 'status', label: 'Status History', icon: History, count: 0 },
+              { id: 'audit', label: 'Audit Trail', icon: ScrollText, count: 0 }
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -439,6 +575,36 @@ const SessionDetail: React.FC = () => {
                       </div>
                     </div>
 
+                    {progress[document.id] && ['queued', 'processing'].includes(progress[document.id].stage) && (
+                      <div className="mb-3">
+                        <div className="flex items-center justify-between text-xs text-slate-600 mb-1">
+                          <span className="truncate pr-2">{progress[document.id].message}</span>
+                          <span>{progress[document.id].progress}%</span>
+                        </div>
+                        <div className="w-full bg-slate-200 rounded-full h-1.5">
+                          <div
+                            className="bg-blue-500 h-1.5 rounded-full transition-all duration-500"
+                            style={{ width: `${progress[document.id].progress}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {splits[document.id] && splits[document.id].length > 1 && (
+                      <p className="text-xs text-slate-600 mb-3">
+                        Split into {splits[document.id].map(split => split.pageRange
+                          ? `${split.documentType} (p. ${split.pageRange.start}${split.pageRange.end !== split.pageRange.start ? `-${split.pageRange.end}` : ''})`
+                          : split.documentType
+                        ).join(', ')}
+                      </p>
+                    )}
+
+                    {document.status === 'error' && document.errorMessage && (
+                      <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded p-2 mb-3 break-words">
+                        {document.errorMessage}
+                      </p>
+                    )}
+
                     <div className="flex items-center space-x-2">
                       <button
                         onClick={() => setSelectedDocument(document.id)}
@@ -448,14 +614,14 @@ const SessionDetail: React.FC = () => {
                         <span>View</span>
                       </button>
                       
-                      {document.status === 'uploaded' && (
+                      {(document.status === 'uploaded' || document.status === 'error') && (
                         <button
                           onClick={() => handleProcessDocument(document.id)}
                           disabled={isProcessing}
                           className="flex-1 bg-green-600 text-white px-3 py-2 rounded text-sm hover:bg-green-700 transition-colors flex items-center justify-center space-x-1 disabled:opacity-50"
                         >
                           <RefreshCw size={16} className={isProcessing ? 'animate-spin' : ''} />
-                          <span>Process</span>
+                          <span>{document.status === 'error' ? 'Retry' : 'Process'}</span>
                         </button>
                       )}
                       
@@ -525,9 +691,30 @@ const SessionDetail: React.FC = () => {
             />
           )}
 
+          {activeTab === 'credit' && (
+            <div className="space-y-6">
+              <SessionDeadlinePanel sessionId={sessionId!} sessionStatus={sessionStatus} />
+              <CreditAmendments sessionId={sessionId!} onCreditLoaded={handleCreditLoaded} />
+            </div>
+          )}
+
+          {activeTab === 'discrepancies' && (
+            <DiscrepancyList sessionId={sessionId!} checkedAt={discrepanciesCheckedAt} sessionStatus={sessionStatus} />
+          )}
+
+          {activeTab === 'status' && (
+            <SessionStatusHistory lifecycle={lifecycle} />
+          )}
+
+          {activeTab === 'audit' && (
+            <AuditTrail sessionId={sessionId!} />
+          )}
+
           {activeTab === 'final' && (
             <div className="space-y-6">
               <h2 className="text-xl font-semibold text-slate-900">Final Review</h2>
+              <SessionReviewPanel sessionId={sessionId!} sessionStatus={sessionStatus} />
+              <RefusalNoticePanel sessionId={sessionId!} sessionStatus={sessionStatus} />
               <div className="bg-slate-50 rounded-lg p-6">
                 <div className="text-center">
                   <AlertTriangle className="mx-auto text-yellow-500 mb-4" size={48} />
@@ -537,6 +724,31 @@ const SessionDetail: React.FC = () => {
                   <p className="text-slate-600 mb-6">
                     Review all documents and extracted data before saving to the master record.
                   </p>
+                  {saveError && (
+                    <div className="text-left bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-sm text-red-800">
+                      <p className="font-medium">{saveError}</p>
+                      {saveBlockers && (
+                        <ul className="mt-2 space-y-1 list-disc list-inside">
+                          {saveBlockers.documents.map(document => (
+                            <li key={document.id}>{document.fileName} is {document.status}</li>
+                          ))}
+                          {saveBlockers.fields.length > 0 && (
+                            <li>
+                              {saveBlockers.fields.length} field{saveBlockers.fields.length === 1 ? '' : 's'} not validated
+                              {' '}in {[...new Set(saveBlockers.fields.map(field => field.fileName))].join(', ')}
+                            </li>
+                          )}
+                          {saveBlockers.discrepancies.map(discrepancy => (
+                            <li key={discrepancy.id}>
+                              {discrepancy.title}
+                              {discrepancy.presentedDocumentType && ` (${discrepancy.presentedDocumentType})`}
+                              {' '}is {discrepancy.status.replace(/_/g, ' ')}, not dismissed or waived
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                   <div className="flex justify-center space-x-4">
                     <button
                       onClick={handleFreezeSession}
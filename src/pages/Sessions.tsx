@@ -1,30 +1,125 @@
-import React, { useEffect, useState } from 'react';
-import { Plus, Search, Filter, Eye, Edit, Trash2, AlertTriangle } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Plus, Search, Filter, Eye, Edit, Trash2, AlertTriangle, X } from 'lucide-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useSessionStore } from '../store/sessionStore';
-import { Session } from '../types';
+import { useAuthStore } from '../store/authStore';
+import { Session, SessionSearch, SessionSort } from '../types';
+
+const STATUSES: Session['status'][] = ['created', 'uploading', 'processing', 'reviewing', 'completed', 'frozen'];
+
+const SORT_OPTIONS: Array<{ value: string; label: string }> = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'lcNumber:asc', label: 'LC number' },
+  { value: 'cifNumber:asc', label: 'CIF number' },
+  { value: 'discrepancyCount:desc', label: 'Most discrepancies' },
+];
+
+// Text filters are typed into a form and applied together
+const TEXT_FILTERS = [
+  'lcNumber', 'cif', 'lifecycle', 'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo',
+  'minDiscrepancies', 'maxDiscrepancies'
+] as const;
+
+type TextFilter = typeof TEXT_FILTERS[number];
+
+// The search lives in the URL so a filtered list can be bookmarked and shared
+const searchFromParams = (params: URLSearchParams): SessionSearch => {
+  const text = (name: string) => params.get(name) || undefined;
+  const number = (name: string) => (params.get(name) ? Number(params.get(name)) : undefined);
+  const status = params.get('status');
+
+  return {
+    lcNumber: text('lcNumber'),
+    cif: text('cif'),
+    lifecycle: text('lifecycle'),
+    status: status ? status.split(',') as Session['status'][] : undefined,
+    owner: text('owner'),
+    createdFrom: text('createdFrom'),
+    createdTo: text('createdTo'),
+    updatedFrom: text('updatedFrom'),
+    updatedTo: text('updatedTo'),
+    minDiscrepancies: number('minDiscrepancies'),
+    maxDiscrepancies: number('maxDiscrepancies'),
+    sort: text('sort') as SessionSort | undefined,
+    order: text('order') as 'asc' | 'desc' | undefined,
+  };
+};
+
+const draftFromParams = (params: URLSearchParams) =>
+  Object.fromEntries(TEXT_FILTERS.map(name => [name, params.get(name) || ''])) as Record<TextFilter, string>;
 
 const Sessions: React.FC = () => {
   const navigate = useNavigate();
-  const { sessions, loadSessions, isLoading, setCurrentSession, deleteSession } = useSessionStore();
-  const [searchTerm, setSearchTerm] = useState('');
-  const [statusFilter, setStatusFilter] = useState('all');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const {
+    sessions,
+    totalSessions,
+    statusCounts,
+    nextCursor,
+    loadSessions,
+    loadMoreSessions,
+    isLoading,
+    isLoadingMore,
+    error,
+    setCurrentSession,
+    deleteSession
+  } = useSessionStore();
+  const { user, can } = useAuthStore();
+  const [draft, setDraft] = useState(() => draftFromParams(searchParams));
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState<string | null>(null);
 
+  const queryString = searchParams.toString();
+  const search = useMemo(() => searchFromParams(new URLSearchParams(queryString)), [queryString]);
+  const seesAllSessions = can('sessions:view_all');
+
+  useEffect(() => {
+    loadSessions(search);
+  }, [loadSessions, search]);
+
+  // Back and forward navigation change the URL under the form
   useEffect(() => {
-    loadSessions();
-  }, [loadSessions]);
-
-  const filteredSessions = sessions.filter(session => {
-    const matchesSearch = 
-      session.lcNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      session.cifNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      session.lifecycle.toLowerCase().includes(searchTerm.toLowerCase());
-    
-    const matchesStatus = statusFilter === 'all' || session.status === statusFilter;
-    
-    return matchesSearch && matchesStatus;
-  });
+    setDraft(draftFromParams(new URLSearchParams(queryString)));
+  }, [queryString]);
+
+  const updateParams = (changes: Record<string, string | null>) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+    });
+    setSearchParams(next);
+  };
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateParams(Object.fromEntries(TEXT_FILTERS.map(name => [name, draft[name].trim() || null])));
+  };
+
+  const toggleStatus = (status: Session['status']) => {
+    const selected = search.status || [];
+    const next = selected.includes(status)
+      ? selected.filter(selectedStatus => selectedStatus !== status)
+      : [...selected, status];
+    updateParams({ status: next.length > 0 ? next.join(',') : null });
+  };
+
+  const changeSort = (value: string) => {
+    const [sort, order] = value.split(':');
+    updateParams({ sort, order });
+  };
+
+  const filterByOwner = (session: Session) => {
+    updateParams({ owner: session.userId, ownerName: session.ownerName || null });
+  };
+
+  const hasFilters = [...TEXT_FILTERS, 'status', 'owner'].some(name => searchParams.has(name));
+  const currentSort = `${search.sort || 'createdAt'}:${search.order || 'desc'}`;
 
   const getStatusColor = (status: string) => {
     switch (status) {
@@ -52,10 +147,12 @@ const Sessions: React.FC = () => {
   };
 
   const canDeleteSession = (session: Session) => {
-    return session.status !== 'completed';
+    return session.status !== 'completed' &&
+      can('sessions:delete') &&
+      (can('sessions:edit_any') || session.userId === user?.id);
   };
 
-  if (isLoading) {
+  if (isLoading && sessions.length === 0) {
     return (
       <div className="p-6">
         <div className="animate-pulse space-y-4">
@@ -74,49 +171,177 @@ const Sessions: React.FC = () => {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-3xl font-bold text-slate-900">Sessions</h1>
-          <p className="text-slate-600 mt-1">Manage your document processing sessions</p>
+          <p className="text-slate-600 mt-1">
+            {totalSessions} session{totalSessions === 1 ? '' : 's'}{hasFilters ? ' match your filters' : ''}
+          </p>
         </div>
-        <button
-          onClick={() => navigate('/upload')}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
-        >
-          <Plus size={20} />
-          <span>New Session</span>
-        </button>
+        {can('sessions:create') && (
+          <button
+            onClick={() => navigate('/upload')}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+          >
+            <Plus size={20} />
+            <span>New Session</span>
+          </button>
+        )}
       </div>
 
       {/* Filters */}
-      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200">
-        <div className="flex flex-col sm:flex-row gap-4">
-          <div className="flex-1">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" size={20} />
-              <input
-                type="text"
-                placeholder="Search by LC Number, CIF, or Lifecycle..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              />
+      <div className="bg-white p-6 rounded-xl shadow-sm border border-slate-200 space-y-4">
+        <form onSubmit={applyFilters} className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-4">
+            <div className="flex-1">
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-slate-400" size={20} />
+                <input
+                  type="text"
+                  placeholder="LC number starts with..."
+                  value={draft.lcNumber}
+                  onChange={(e) => setDraft({ ...draft, lcNumber: e.target.value })}
+                  className="w-full pl-10 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
             </div>
-          </div>
-          <div className="flex items-center space-x-2">
-            <Filter size={20} className="text-slate-400" />
-            <select
-              value={statusFilter}
-              onChange={(e) => setStatusFilter(e.target.value)}
-              className="border border-slate-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            <input
+              type="text"
+              placeholder="CIF number"
+              value={draft.cif}
+              onChange={(e) => setDraft({ ...draft, cif: e.target.value })}
+              className="sm:w-40 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              placeholder="Lifecycle"
+              value={draft.lifecycle}
+              onChange={(e) => setDraft({ ...draft, lifecycle: e.target.value })}
+              className="sm:w-40 px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
             >
-              <option value="all">All Status</option>
-              <option value="created">Created</option>
-              <option value="uploading">Uploading</option>
-              <option value="processing">Processing</option>
-              <option value="reviewing">Reviewing</option>
-              <option value="completed">Completed</option>
-              <option value="frozen">Frozen</option>
-            </select>
+              Search
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowMoreFilters(!showMoreFilters)}
+              className="flex items-center space-x-2 px-3 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              <Filter size={18} />
+              <span>More</span>
+            </button>
           </div>
+
+          {showMoreFilters && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+              <label className="space-y-1">
+                <span className="text-slate-600">Created between</span>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="date"
+                    value={draft.createdFrom}
+                    onChange={(e) => setDraft({ ...draft, createdFrom: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                  <input
+                    type="date"
+                    value={draft.createdTo}
+                    onChange={(e) => setDraft({ ...draft, createdTo: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </label>
+              <label className="space-y-1">
+                <span className="text-slate-600">Updated between</span>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="date"
+                    value={draft.updatedFrom}
+                    onChange={(e) => setDraft({ ...draft, updatedFrom: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                  <input
+                    type="date"
+                    value={draft.updatedTo}
+                    onChange={(e) => setDraft({ ...draft, updatedTo: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </label>
+              <label className="space-y-1">
+                <span className="text-slate-600">Open discrepancies</span>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    min={0}
+                    placeholder="Min"
+                    value={draft.minDiscrepancies}
+                    onChange={(e) => setDraft({ ...draft, minDiscrepancies: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                  <input
+                    type="number"
+                    min={0}
+                    placeholder="Max"
+                    value={draft.maxDiscrepancies}
+                    onChange={(e) => setDraft({ ...draft, maxDiscrepancies: e.target.value })}
+                    className="w-full px-2 py-1.5 border border-slate-300 rounded-lg"
+                  />
+                </div>
+              </label>
+            </div>
+          )}
+        </form>
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            {STATUSES.map(status => (
+              <button
+                key={status}
+                onClick={() => toggleStatus(status)}
+                className={`px-3 py-1 text-xs font-medium rounded-full border transition-colors ${
+                  search.status?.includes(status)
+                    ? 'border-blue-600 bg-blue-600 text-white'
+                    : 'border-slate-300 text-slate-700 hover:bg-slate-50'
+                }`}
+              >
+                {status} ({statusCounts[status] || 0})
+              </button>
+            ))}
+            {search.owner && (
+              <span className="inline-flex items-center space-x-1 px-3 py-1 text-xs font-medium rounded-full bg-slate-100 text-slate-800">
+                <span>Owner: {searchParams.get('ownerName') || search.owner}</span>
+                <button onClick={() => updateParams({ owner: null, ownerName: null })} title="Any owner">
+                  <X size={12} />
+                </button>
+              </span>
+            )}
+            {hasFilters && (
+              <button
+                onClick={() => setSearchParams(new URLSearchParams(
+                  [...searchParams].filter(([name]) => name === 'sort' || name === 'order')
+                ))}
+                className="text-xs text-slate-600 hover:text-slate-900"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+          <select
+            value={currentSort}
+            onChange={(e) => changeSort(e.target.value)}
+            className="border border-slate-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {!SORT_OPTIONS.some(option => option.value === currentSort) && (
+              <option value={currentSort}>Custom order</option>
+            )}
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
         </div>
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
       </div>
 
       {/* Sessions Table */}
@@ -134,13 +359,22 @@ const Sessions: React.FC = () => {
               </tr>
             </thead>
             <tbody className="divide-y divide-slate-200">
-              {filteredSessions.map((session) => (
+              {sessions.map((session) => (
                 <tr key={session.id} className="hover:bg-slate-50 transition-colors">
                   <td className="py-4 px-6">
                     <div>
                       <h3 className="font-medium text-slate-900">{session.lcNumber}</h3>
                       <p className="text-sm text-slate-600">CIF: {session.cifNumber}</p>
                       <p className="text-sm text-slate-500">{session.lifecycle}</p>
+                      {seesAllSessions && session.ownerName && (
+                        <button
+                          onClick={() => filterByOwner(session)}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                          title="Show this user's sessions"
+                        >
+                          {session.ownerName}
+                        </button>
+                      )}
                     </div>
                   </td>
                   <td className="py-4 px-6">
@@ -177,8 +411,10 @@ const Sessions: React.FC = () => {
                   </td>
                   <td className="py-4 px-6">
                     <div className="text-sm">
-                      <p className="text-slate-900">{session.documents?.length || 0} documents</p>
-                      <p className="text-slate-500">{session.iterations} iterations</p>
+                      <p className="text-slate-900">{session.documentCount ?? 0} documents</p>
+                      <p className={session.discrepancyCount ? 'text-red-700' : 'text-slate-500'}>
+                        {session.discrepancyCount ?? 0} outstanding discrepancies
+                      </p>
                     </div>
                   </td>
                   <td className="py-4 px-6">
@@ -219,14 +455,26 @@ const Sessions: React.FC = () => {
           </table>
         </div>
 
-        {filteredSessions.length === 0 && (
+        {nextCursor && (
+          <div className="border-t border-slate-200 p-4 text-center">
+            <button
+              onClick={() => loadMoreSessions()}
+              disabled={isLoadingMore}
+              className="px-4 py-2 border border-slate-300 text-slate-700 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+            >
+              {isLoadingMore ? 'Loading...' : `Load more (${sessions.length} of ${totalSessions})`}
+            </button>
+          </div>
+        )}
+
+        {sessions.length === 0 && (
           <div className="text-center py-12">
             <div className="text-slate-400 mb-4">
               <Search size={48} className="mx-auto" />
             </div>
             <h3 className="text-lg font-medium text-slate-900 mb-2">No sessions found</h3>
             <p className="text-slate-600">
-              {searchTerm || statusFilter !== 'all' 
+              {hasFilters
                 ? 'Try adjusting your search or filter criteria'
                 : 'Create your first session to get started'
               }
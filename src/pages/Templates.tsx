@@ -0,0 +1,502 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Plus, Save, Trash2, History, RotateCcw, FileCode, AlertCircle } from 'lucide-react';
+import { templatesAPI } from '../services/api';
+import { useAuthStore } from '../store/authStore';
+import { DocumentTemplate, DocumentTemplateInput, TemplateField, TemplateVersion } from '../types';
+
+const FIELD_TYPES: TemplateField['fieldType'][] = ['text', 'number', 'date', 'currency'];
+
+const emptyTemplate = (): DocumentTemplateInput => ({
+  name: '',
+  type: 'master',
+  category: '',
+  parentTemplateId: null,
+  priority: 100,
+  startPatterns: [],
+  endPatterns: [],
+  keywords: [],
+  sections: [],
+  fields: [],
+  isActive: true,
+});
+
+const emptyField = (): TemplateField => ({
+  fieldName: '',
+  fieldType: 'text',
+  isRequired: false,
+  extractionPattern: '',
+  validationRules: null,
+  confidence: 0.8,
+});
+
+const toInput = (template: DocumentTemplate): DocumentTemplateInput => ({
+  name: template.name,
+  type: template.type,
+  category: template.category,
+  parentTemplateId: template.parentTemplateId || null,
+  priority: template.priority,
+  startPatterns: template.startPatterns,
+  endPatterns: template.endPatterns,
+  keywords: template.keywords,
+  sections: template.sections,
+  fields: template.fields,
+  isActive: template.isActive,
+});
+
+// Lists are edited as one entry per line
+const toLines = (values: string[]) => values.join('\n');
+const fromLines = (text: string) => text.split('\n');
+
+// The server answers validation failures with { error, details }
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  if (data?.details?.length) return `${data.error}: ${data.details.join('; ')}`;
+  return data?.error || fallback;
+};
+
+const Templates: React.FC = () => {
+  const { user } = useAuthStore();
+  const [templates, setTemplates] = useState<DocumentTemplate[]>([]);
+  const [selected, setSelected] = useState<DocumentTemplate | null>(null);
+  const [draft, setDraft] = useState<DocumentTemplateInput>(emptyTemplate());
+  const [rulesText, setRulesText] = useState<string[]>([]);
+  const [changeNote, setChangeNote] = useState('');
+  const [versions, setVersions] = useState<TemplateVersion[]>([]);
+  const [showVersions, setShowVersions] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTemplates = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result: DocumentTemplate[] = await templatesAPI.getAllForAdmin();
+      setTemplates(result);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load templates'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      loadTemplates();
+    }
+  }, [user, loadTemplates]);
+
+  const editTemplate = (template: DocumentTemplate | null) => {
+    const input = template ? toInput(template) : emptyTemplate();
+    setSelected(template);
+    setDraft(input);
+    setRulesText(input.fields.map(field => field.validationRules ? JSON.stringify(field.validationRules) : ''));
+    setChangeNote('');
+    setVersions([]);
+    setShowVersions(false);
+    setError(null);
+  };
+
+  const updateDraft = (changes: Partial<DocumentTemplateInput>) => {
+    setDraft(current => ({ ...current, ...changes }));
+  };
+
+  const updateField = (index: number, changes: Partial<TemplateField>) => {
+    setDraft(current => ({
+      ...current,
+      fields: current.fields.map((field, i) => i === index ? { ...field, ...changes } : field),
+    }));
+  };
+
+  const addField = () => {
+    updateDraft({ fields: [...draft.fields, emptyField()] });
+    setRulesText([...rulesText, '']);
+  };
+
+  const removeField = (index: number) => {
+    updateDraft({ fields: draft.fields.filter((_, i) => i !== index) });
+    setRulesText(rulesText.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+
+    let fields: TemplateField[];
+    try {
+      fields = draft.fields.map((field, index) => ({
+        ...field,
+        validationRules: rulesText[index]?.trim() ? JSON.parse(rulesText[index]) : null,
+      }));
+    } catch {
+      setError('Validation rules must be written as JSON, for example {"minLength": 3}');
+      return;
+    }
+
+    const input: DocumentTemplateInput = {
+      ...draft,
+      fields,
+      changeNote: changeNote || undefined,
+      expectedVersion: selected?.version,
+    };
+
+    setIsSaving(true);
+    try {
+      const saved: DocumentTemplate = selected
+        ? await templatesAPI.update(selected.id, input)
+        : await templatesAPI.create(input);
+      await loadTemplates();
+      editTemplate(saved);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save template'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeactivate = async () => {
+    if (!selected) return;
+    setError(null);
+    try {
+      const saved: DocumentTemplate = await templatesAPI.deactivate(selected.id);
+      await loadTemplates();
+      editTemplate(saved);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to deactivate template'));
+    }
+  };
+
+  const handleShowVersions = async () => {
+    if (!selected) return;
+    if (showVersions) {
+      setShowVersions(false);
+      return;
+    }
+    try {
+      const result: TemplateVersion[] = await templatesAPI.getVersions(selected.id);
+      setVersions(result);
+      setShowVersions(true);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load versions'));
+    }
+  };
+
+  const handleRestore = async (version: number) => {
+    if (!selected) return;
+    setError(null);
+    try {
+      const saved: DocumentTemplate = await templatesAPI.restoreVersion(selected.id, version, selected.version);
+      await loadTemplates();
+      editTemplate(saved);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to restore version'));
+    }
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="p-6 text-slate-600">Admin access required</div>;
+  }
+
+  const masters = templates.filter(template => template.type === 'master');
+  const subsOf = (masterId: string) => templates.filter(template => template.parentTemplateId === masterId);
+
+  const renderTemplateButton = (template: DocumentTemplate, indent = false) => (
+    <button
+      key={template.id}
+      onClick={() => editTemplate(template)}
+      className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${indent ? 'pl-8' : ''} ${
+        selected?.id === template.id ? 'bg-blue-50 text-blue-700' : 'hover:bg-slate-50 text-slate-700'
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <span className={template.isActive ? '' : 'line-through text-slate-400'}>{template.name}</span>
+        <span className="text-xs text-slate-400">v{template.version}</span>
+      </div>
+      {!indent && template.category && (
+        <div className="text-xs text-slate-500">{template.category}</div>
+      )}
+    </button>
+  );
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Document Templates</h1>
+          <p className="text-slate-600 mt-1">Document types the splitter and recogniser work with</p>
+        </div>
+        <button
+          onClick={() => editTemplate(null)}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Plus size={16} />
+          <span>New Template</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="bg-white rounded-lg border border-slate-200 p-3 space-y-1 h-fit">
+          {isLoading ? (
+            <div className="animate-pulse space-y-2">
+              {[...Array(6)].map((_, i) => (
+                <div key={i} className="h-10 bg-slate-200 rounded"></div>
+              ))}
+            </div>
+          ) : masters.length === 0 ? (
+            <p className="text-sm text-slate-500 p-3">No templates stored; the built-in templates are in use.</p>
+          ) : (
+            masters.map(master => (
+              <div key={master.id}>
+                {renderTemplateButton(master)}
+                {subsOf(master.id).map(sub => renderTemplateButton(sub, true))}
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="lg:col-span-3 bg-white rounded-lg border border-slate-200 p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <FileCode size={20} className="text-slate-500" />
+              <h2 className="text-lg font-semibold text-slate-900">
+                {selected ? `${selected.name} (version ${selected.version})` : 'New template'}
+              </h2>
+              {selected && !selected.isActive && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-slate-100 text-slate-600">Inactive</span>
+              )}
+            </div>
+            {selected && (
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={handleShowVersions}
+                  className="flex items-center space-x-1 px-3 py-1.5 text-sm border border-slate-300 rounded-lg hover:bg-slate-50"
+                >
+                  <History size={14} />
+                  <span>History</span>
+                </button>
+                {selected.isActive && (
+                  <button
+                    onClick={handleDeactivate}
+                    className="flex items-center space-x-1 px-3 py-1.5 text-sm border border-red-300 text-red-700 rounded-lg hover:bg-red-50"
+                  >
+                    <Trash2 size={14} />
+                    <span>Deactivate</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {showVersions && (
+            <div className="border border-slate-200 rounded-lg divide-y divide-slate-100">
+              {versions.map(version => (
+                <div key={version.id} className="flex items-center justify-between px-4 py-2 text-sm">
+                  <div>
+                    <span className="font-medium text-slate-900">Version {version.version}</span>
+                    <span className="text-slate-500 ml-2">
+                      {new Date(version.createdAt).toLocaleString()}
+                      {version.changedByName && ` by ${version.changedByName}`}
+                    </span>
+                    {version.changeNote && <div className="text-slate-600">{version.changeNote}</div>}
+                  </div>
+                  {version.version !== selected?.version && (
+                    <button
+                      onClick={() => handleRestore(version.version)}
+                      className="flex items-center space-x-1 text-blue-600 hover:text-blue-800"
+                    >
+                      <RotateCcw size={14} />
+                      <span>Restore</span>
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block text-sm">
+              <span className="text-slate-700 font-medium">Name</span>
+              <input
+                value={draft.name}
+                onChange={(e) => updateDraft({ name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-slate-700 font-medium">Category</span>
+              <input
+                value={draft.category}
+                onChange={(e) => updateDraft({ category: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+              />
+            </label>
+            <label className="block text-sm">
+              <span className="text-slate-700 font-medium">Type</span>
+              <select
+                value={draft.type}
+                onChange={(e) => updateDraft({
+                  type: e.target.value as DocumentTemplate['type'],
+                  parentTemplateId: e.target.value === 'master' ? null : draft.parentTemplateId,
+                })}
+                className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+              >
+                <option value="master">Master (document type)</option>
+                <option value="sub">Sub template (variant of a master)</option>
+              </select>
+            </label>
+            {draft.type === 'sub' ? (
+              <label className="block text-sm">
+                <span className="text-slate-700 font-medium">Parent template</span>
+                <select
+                  value={draft.parentTemplateId || ''}
+                  onChange={(e) => updateDraft({ parentTemplateId: e.target.value || null })}
+                  className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                >
+                  <option value="">Select a master template</option>
+                  {masters.map(master => (
+                    <option key={master.id} value={master.id}>{master.name}</option>
+                  ))}
+                </select>
+              </label>
+            ) : (
+              <label className="block text-sm">
+                <span className="text-slate-700 font-medium">Priority (lower is checked first)</span>
+                <input
+                  type="number"
+                  value={draft.priority}
+                  onChange={(e) => updateDraft({ priority: Number(e.target.value) })}
+                  className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg"
+                />
+              </label>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {([
+              ['startPatterns', 'Start patterns (regular expressions, one per line)'],
+              ['endPatterns', 'End patterns (regular expressions, one per line)'],
+              ['keywords', 'Keywords (one per line)'],
+              ['sections', 'Required sections (one per line)'],
+            ] as const).map(([key, label]) => (
+              <label key={key} className="block text-sm">
+                <span className="text-slate-700 font-medium">{label}</span>
+                <textarea
+                  value={toLines(draft[key])}
+                  onChange={(e) => updateDraft({ [key]: fromLines(e.target.value) })}
+                  rows={5}
+                  className="mt-1 w-full px-3 py-2 border border-slate-300 rounded-lg font-mono text-xs"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="font-medium text-slate-900">Fields</h3>
+              <button
+                onClick={addField}
+                className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus size={14} />
+                <span>Add field</span>
+              </button>
+            </div>
+            {draft.fields.length === 0 && (
+              <p className="text-sm text-slate-500">
+                Without extraction patterns, key: value lines are extracted from documents of this type.
+              </p>
+            )}
+            {draft.fields.map((field, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 items-start">
+                <input
+                  value={field.fieldName}
+                  onChange={(e) => updateField(index, { fieldName: e.target.value })}
+                  placeholder="Field name"
+                  className="col-span-2 px-2 py-1.5 border border-slate-300 rounded text-sm"
+                />
+                <select
+                  value={field.fieldType}
+                  onChange={(e) => updateField(index, { fieldType: e.target.value as TemplateField['fieldType'] })}
+                  className="col-span-1 px-1 py-1.5 border border-slate-300 rounded text-sm"
+                >
+                  {FIELD_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+                <input
+                  value={field.extractionPattern || ''}
+                  onChange={(e) => updateField(index, { extractionPattern: e.target.value })}
+                  placeholder="Extraction pattern with one capture group"
+                  className="col-span-4 px-2 py-1.5 border border-slate-300 rounded font-mono text-xs"
+                />
+                <input
+                  value={rulesText[index] || ''}
+                  onChange={(e) => setRulesText(rulesText.map((text, i) => i === index ? e.target.value : text))}
+                  placeholder='Rules, e.g. {"minLength": 3}'
+                  className="col-span-2 px-2 py-1.5 border border-slate-300 rounded font-mono text-xs"
+                />
+                <input
+                  type="number"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={field.confidence ?? 0.8}
+                  onChange={(e) => updateField(index, { confidence: Number(e.target.value) })}
+                  title="Confidence of an extracted value"
+                  className="col-span-1 px-2 py-1.5 border border-slate-300 rounded text-sm"
+                />
+                <label className="col-span-1 flex items-center space-x-1 text-xs text-slate-600 pt-2">
+                  <input
+                    type="checkbox"
+                    checked={field.isRequired}
+                    onChange={(e) => updateField(index, { isRequired: e.target.checked })}
+                  />
+                  <span>Required</span>
+                </label>
+                <button
+                  onClick={() => removeField(index)}
+                  className="col-span-1 p-2 text-slate-400 hover:text-red-600"
+                  title="Remove field"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex items-center space-x-3 pt-4 border-t border-slate-200">
+            <input
+              value={changeNote}
+              onChange={(e) => setChangeNote(e.target.value)}
+              placeholder="What changed (optional)"
+              className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm"
+            />
+            <label className="flex items-center space-x-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={draft.isActive}
+                onChange={(e) => updateDraft({ isActive: e.target.checked })}
+              />
+              <span>Active</span>
+            </label>
+            <button
+              onClick={handleSave}
+              disabled={isSaving}
+              className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              <Save size={16} />
+              <span>{isSaving ? 'Saving...' : selected ? 'Save as new version' : 'Create template'}</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Templates;
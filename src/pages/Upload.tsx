@@ -14,7 +14,9 @@ import {
   RefreshCw
 } from 'lucide-react';
 import { useSessionStore } from '../store/sessionStore';
+import { getAccessToken } from '../services/api';
 import { useAuthStore } from '../store/authStore';
+import { NewSession } from '../types';
 
 interface UploadedFile {
   file: File;
@@ -31,6 +33,17 @@ interface UploadedFile {
   };
 }
 
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptySession = (): Required<NewSession> => ({
+  cifNumber: '',
+  lcNumber: '',
+  lifecycle: '',
+  presentationDate: today(),
+  countryCode: '',
+  branchCode: ''
+});
+
 const Upload: React.FC = () => {
   const { sessions, loadSessions, createSession, uploadDocument, isLoading } = useSessionStore();
   const { user } = useAuthStore();
@@ -38,14 +51,11 @@ const Upload: React.FC = () => {
   const [uploadedFiles, setUploadedFiles] = useState<UploadedFile[]>([]);
   const [showCreateSession, setShowCreateSession] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
-  const [newSession, setNewSession] = useState({
-    cifNumber: '',
-    lcNumber: '',
-    lifecycle: ''
-  });
+  const [newSession, setNewSession] = useState(emptySession);
 
   useEffect(() => {
-    loadSessions();
+    // Documents can only be added to open sessions
+    loadSessions({ status: ['created', 'uploading', 'processing', 'reviewing'], limit: 100 });
   }, [loadSessions]);
 
   // Poll for processing progress of uploaded files
@@ -61,7 +71,7 @@ const Upload: React.FC = () => {
         try {
           const response = await fetch(`/api/documents/${file.documentId}/progress`, {
             headers: {
-              'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+              'Authorization': `Bearer ${await getAccessToken()}`
             }
           });
           
@@ -91,7 +101,8 @@ const Upload: React.FC = () => {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     accept: {
       'image/*': ['.jpeg', '.jpg', '.png'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'text/plain': ['.txt', '.fin']
     },
     maxSize: 10485760, // 10MB
     disabled: !selectedSessionId || isUploading,
@@ -122,10 +133,16 @@ const Upload: React.FC = () => {
     }
 
     try {
-      const session = await createSession(newSession);
+      // Blank country and branch leave the bank's defaults in place
+      const session = await createSession({
+        ...newSession,
+        presentationDate: newSession.presentationDate || undefined,
+        countryCode: newSession.countryCode.trim() || undefined,
+        branchCode: newSession.branchCode.trim() || undefined
+      });
       setSelectedSessionId(session.id);
       setShowCreateSession(false);
-      setNewSession({ cifNumber: '', lcNumber: '', lifecycle: '' });
+      setNewSession(emptySession());
     } catch (error) {
       console.error('Error creating session:', error);
     }
@@ -387,7 +404,7 @@ const Upload: React.FC = () => {
                   </p>
                 </div>
                 <div className="text-sm text-slate-500">
-                  <p>Supported formats: PDF, JPEG, JPG, PNG</p>
+                  <p>Supported formats: PDF, JPEG, JPG, PNG, SWIFT MT700/710/720 (TXT, FIN)</p>
                   <p>Maximum file size: 10MB</p>
                 </div>
               </>
@@ -564,6 +581,51 @@ const Upload: React.FC = () => {
                   <option value="Supply Chain Finance">Supply Chain Finance</option>
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">
+                  Presentation Date
+                </label>
+                <input
+                  type="date"
+                  value={newSession.presentationDate}
+                  max={today()}
+                  onChange={(e) => setNewSession(prev => ({ ...prev, presentationDate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  The bank has five banking days following this day to examine the documents
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Country
+                  </label>
+                  <input
+                    type="text"
+                    value={newSession.countryCode}
+                    maxLength={2}
+                    onChange={(e) => setNewSession(prev => ({ ...prev, countryCode: e.target.value.toUpperCase() }))}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Bank default"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">
+                    Branch
+                  </label>
+                  <input
+                    type="text"
+                    value={newSession.branchCode}
+                    maxLength={20}
+                    onChange={(e) => setNewSession(prev => ({ ...prev, branchCode: e.target.value }))}
+                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="Bank default"
+                  />
+                </div>
+              </div>
             </div>
             
             <div className="flex space-x-3 mt-6">
@@ -0,0 +1,358 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, KeyRound, LogOut, Plus, Unlock, UserCheck, UserX, X } from 'lucide-react';
+import { adminAPI } from '../services/api';
+import { useAuthStore } from '../store/authStore';
+import { AdminUser, NewUser, UserRole } from '../types';
+
+const ROLE_OPTIONS: { value: UserRole; label: string }[] = [
+  { value: 'maker', label: 'Maker' },
+  { value: 'checker', label: 'Checker' },
+  { value: 'supervisor', label: 'Supervisor' },
+  { value: 'auditor', label: 'Auditor' },
+  { value: 'admin', label: 'Admin' },
+];
+
+const PASSWORD_HINT = 'At least 12 characters with upper and lower case letters, a digit and a symbol';
+
+const EMPTY_USER: NewUser = { email: '', name: '', password: '', role: 'maker' };
+
+// The server answers validation failures with { error, details }
+const errorMessage = (err: unknown, fallback: string) => {
+  const data = (err as { response?: { data?: { error?: string; details?: string[] } } })?.response?.data;
+  if (data?.details?.length) return `${data.error}: ${data.details.join('; ')}`;
+  return data?.error || fallback;
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+const Users: React.FC = () => {
+  const { user: currentUser } = useAuthStore();
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyUserId, setBusyUserId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [newUser, setNewUser] = useState<NewUser | null>(null);
+  const [resetting, setResetting] = useState<AdminUser | null>(null);
+  const [newPassword, setNewPassword] = useState('');
+
+  const loadUsers = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setUsers(await adminAPI.getUsers());
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to load users'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (currentUser?.role === 'admin') {
+      loadUsers();
+    }
+  }, [currentUser, loadUsers]);
+
+  const replaceUser = (updated: AdminUser) => {
+    setUsers(current => current.map(user => (user.id === updated.id ? updated : user)));
+  };
+
+  // Runs an action on one user, showing its error or what it did
+  const runForUser = async (userId: string, action: () => Promise<string | null>, fallback: string) => {
+    setBusyUserId(userId);
+    setError(null);
+    setNotice(null);
+    try {
+      setNotice(await action());
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const changeRole = (user: AdminUser, role: UserRole) => runForUser(user.id, async () => {
+    replaceUser(await adminAPI.updateUser(user.id, { role }));
+    return `${user.name} is now ${role === 'admin' ? 'an' : 'a'} ${role}`;
+  }, 'Failed to change role');
+
+  const toggleActive = (user: AdminUser) => runForUser(user.id, async () => {
+    replaceUser(await adminAPI.updateUser(user.id, { isActive: !user.isActive }));
+    return user.isActive ? `${user.name} is disabled and signed out` : `${user.name} can sign in again`;
+  }, user.isActive ? 'Failed to disable user' : 'Failed to enable user');
+
+  const unlock = (user: AdminUser) => runForUser(user.id, async () => {
+    replaceUser(await adminAPI.unlockUser(user.id));
+    return `${user.name} is unlocked`;
+  }, 'Failed to unlock user');
+
+  const revokeSignIns = (user: AdminUser) => runForUser(user.id, async () => {
+    const { signIns } = await adminAPI.revokeSignIns(user.id);
+    return `Ended ${signIns} sign-in${signIns === 1 ? '' : 's'} of ${user.name}`;
+  }, 'Failed to end sign-ins');
+
+  const handleResetPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!resetting) return;
+    const user = resetting;
+    await runForUser(user.id, async () => {
+      replaceUser(await adminAPI.resetPassword(user.id, newPassword));
+      setResetting(null);
+      setNewPassword('');
+      return `Password of ${user.name} reset; they have been signed out`;
+    }, 'Failed to reset password');
+  };
+
+  const handleCreateUser = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newUser) return;
+    setError(null);
+    setNotice(null);
+    setBusyUserId('new');
+    try {
+      const created = await adminAPI.createUser(newUser);
+      setUsers(current => [...current, created].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewUser(null);
+      setNotice(`${created.name} can now sign in as ${created.email}`);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to create user'));
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  if (currentUser?.role !== 'admin') {
+    return <div className="p-6 text-slate-600">Admin access required</div>;
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-slate-900">Users</h1>
+          <p className="text-slate-600 mt-1">Accounts, roles and sign-in access</p>
+        </div>
+        <button
+          onClick={() => setNewUser(EMPTY_USER)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors flex items-center space-x-2"
+        >
+          <Plus size={20} />
+          <span>New User</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{notice}</div>
+      )}
+
+      {newUser && (
+        <form onSubmit={handleCreateUser} className="bg-white rounded-lg border border-slate-200 p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-slate-900">New User</h2>
+            <button type="button" onClick={() => setNewUser(null)} className="text-slate-400 hover:text-slate-600">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Name</span>
+              <input
+                value={newUser.name}
+                onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                required
+              />
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Email</span>
+              <input
+                type="email"
+                value={newUser.email}
+                onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                required
+              />
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Role</span>
+              <select
+                value={newUser.role}
+                onChange={(e) => setNewUser({ ...newUser, role: e.target.value as UserRole })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              >
+                {ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-slate-700 space-y-1">
+              <span>Initial password</span>
+              <input
+                type="password"
+                value={newUser.password}
+                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                className="w-full border border-slate-300 rounded-lg px-3 py-2"
+                autoComplete="new-password"
+                required
+              />
+              <span className="text-xs text-slate-500">{PASSWORD_HINT}</span>
+            </label>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busyUserId === 'new'}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {busyUserId === 'new' ? 'Creating...' : 'Create User'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {resetting && (
+        <form onSubmit={handleResetPassword} className="bg-white rounded-lg border border-slate-200 p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-slate-900">Reset password of {resetting.name}</h2>
+            <button type="button" onClick={() => setResetting(null)} className="text-slate-400 hover:text-slate-600">
+              <X size={20} />
+            </button>
+          </div>
+          <label className="block text-sm text-slate-700 space-y-1">
+            <span>New password</span>
+            <input
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              className="w-full border border-slate-300 rounded-lg px-3 py-2"
+              autoComplete="new-password"
+              required
+            />
+            <span className="text-xs text-slate-500">{PASSWORD_HINT}. The user is signed out everywhere.</span>
+          </label>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={busyUserId === resetting.id}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Reset Password
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white rounded-lg border border-slate-200 overflow-x-auto">
+        {isLoading ? (
+          <p className="p-6 text-slate-600">Loading users...</p>
+        ) : (
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">User</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Role</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Status</th>
+                <th className="px-4 py-3 text-left font-medium text-slate-600">Last sign-in</th>
+                <th className="px-4 py-3 text-right font-medium text-slate-600">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {users.map(user => {
+                const isBusy = busyUserId === user.id;
+                const isSelf = user.id === currentUser.id;
+                return (
+                  <tr key={user.id} className={user.isActive ? '' : 'bg-slate-50 text-slate-500'}>
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-slate-900">{user.name}{isSelf && ' (you)'}</p>
+                      <p className="text-slate-500">{user.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={user.role}
+                        onChange={(e) => changeRole(user, e.target.value as UserRole)}
+                        disabled={isBusy}
+                        className="border border-slate-300 rounded-lg px-2 py-1"
+                      >
+                        {user.role === 'user' && <option value="user">User (maker)</option>}
+                        {ROLE_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3">
+                      {!user.isActive ? (
+                        <span className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-slate-200 text-slate-700">disabled</span>
+                      ) : user.isLocked ? (
+                        <span
+                          className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800"
+                          title={`Locked until ${formatDate(user.lockedUntil)}`}
+                        >
+                          locked
+                        </span>
+                      ) : (
+                        <span className="inline-flex px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800">active</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-slate-600 whitespace-nowrap">{formatDate(user.lastLoginAt)}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center justify-end space-x-1">
+                        {user.isLocked && (
+                          <button
+                            onClick={() => unlock(user)}
+                            disabled={isBusy}
+                            className="p-2 text-slate-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                            title="Unlock"
+                          >
+                            <Unlock size={16} />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => { setResetting(user); setNewPassword(''); }}
+                          disabled={isBusy}
+                          className="p-2 text-slate-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                          title="Reset password"
+                        >
+                          <KeyRound size={16} />
+                        </button>
+                        <button
+                          onClick={() => revokeSignIns(user)}
+                          disabled={isBusy}
+                          className="p-2 text-slate-600 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg transition-colors disabled:opacity-50"
+                          title="End all sign-ins"
+                        >
+                          <LogOut size={16} />
+                        </button>
+                        {!isSelf && (
+                          <button
+                            onClick={() => toggleActive(user)}
+                            disabled={isBusy}
+                            className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${
+                              user.isActive
+                                ? 'text-slate-600 hover:text-red-600 hover:bg-red-50'
+                                : 'text-slate-600 hover:text-green-600 hover:bg-green-50'
+                            }`}
+                            title={user.isActive ? 'Disable' : 'Enable'}
+                          >
+                            {user.isActive ? <UserX size={16} /> : <UserCheck size={16} />}
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Users;
@@ -1,6 +1,14 @@
 import axios from 'axios';
+import {
+  AdminUser, AtRiskSessions, AuditPage, AuditVerification, BankingHoliday, Discrepancy, DiscrepancyStatus,
+  DiscrepancyTransition, DocumentApproval,
+  DocumentChangeResult, DocumentEdit, DocumentIteration, DocumentIterationDetail, DocumentTemplateInput,
+  DocumentVersion, IterationDiff, IterationPromoteResult, NewBankingHoliday, NewDocumentTypeRequest,
+  NewSession, NewUser, OCREngine, RefusalDraft, RefusalInput, RefusalNotice, RefusalState, SessionDeadlines,
+  SessionLifecycle, SessionPage, SessionReview, SessionReviewState, SessionSearch, User
+} from '../types';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -11,9 +19,84 @@ const api = axios.create({
   },
 });
 
+const ACCESS_TOKEN_KEY = 'auth_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+
+// Refresh this long before the access token runs out
+const REFRESH_MARGIN_MS = 30000;
+
+interface SignIn {
+  user: User;
+  token: string;
+  refreshToken: string;
+}
+
+export const storeSignIn = ({ user, token, refreshToken }: SignIn) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+};
+
+export const clearSignIn = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem('user');
+};
+
+const signOutLocally = () => {
+  clearSignIn();
+  window.location.href = '/';
+};
+
+// When an access token runs out, from its exp claim
+const expiresAt = (token: string) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// One refresh at a time; every request that finds its token expired waits
+// for the same one. Refresh tokens work once, so two refreshes with the same
+// token would end the sign-in.
+let refreshing: Promise<string> | null = null;
+
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    refreshing = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }).then(response => {
+        storeSignIn(response.data);
+        return response.data.token as string;
+      })
+      : Promise.reject(new Error('Not signed in'))
+    ).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// An access token good for at least a little while longer, for requests
+// made with fetch rather than through the api client
+export const getAccessToken = async (): Promise<string | null> => {
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+  if (!token) return null;
+  const expiry = expiresAt(token);
+  if (expiry === null || expiry - Date.now() > REFRESH_MARGIN_MS) return token;
+  try {
+    return await refreshAccessToken();
+  } catch (error) {
+    console.error('Token refresh failed:', error);
+    return token;
+  }
+};
+
 // Add auth token to requests
 api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('auth_token');
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
@@ -23,18 +106,34 @@ api.interceptors.request.use((config) => {
 // Handle auth errors and provide better error messages
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Handle network errors
     if (!error.response) {
       console.error('Network error:', error.message);
       error.message = 'Network error. Please check if the server is running.';
     }
     
+    // An expired access token is refreshed and the request sent once more.
+    // Another tab may have refreshed already; its token is used then.
+    const config = error.config;
+    if (error.response?.data?.code === 'token_expired' && config && !config._retried) {
+      config._retried = true;
+      try {
+        const stored = localStorage.getItem(ACCESS_TOKEN_KEY);
+        const sent = String(config.headers.Authorization || '').replace('Bearer ', '');
+        const token = stored && stored !== sent ? stored : await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError);
+        signOutLocally();
+        return Promise.reject(error);
+      }
+    }
+
     // Handle auth errors
     if (error.response?.status === 401) {
-      localStorage.removeItem('auth_token');
-      localStorage.removeItem('user');
-      window.location.href = '/';
+      signOutLocally();
     }
     
     return Promise.reject(error);
@@ -53,12 +152,22 @@ export const authAPI = {
     }
   },
   
-  register: async (userData: { email: string; name: string; password: string; role?: string }) => {
+  logout: async (refreshToken: string) => {
     try {
-      const response = await api.post('/auth/register', userData);
+      const response = await api.post('/auth/logout', { refreshToken });
       return response.data;
-    } catch (error: any) {
-      console.error('Register API error:', error);
+    } catch (error) {
+      console.error('Logout API error:', error);
+      throw error;
+    }
+  },
+  
+  logoutEverywhere: async () => {
+    try {
+      const response = await api.post('/auth/logout-all');
+      return response.data;
+    } catch (error) {
+      console.error('Logout everywhere API error:', error);
       throw error;
     }
   },
@@ -76,17 +185,20 @@ export const authAPI = {
 
 // Sessions API
 export const sessionsAPI = {
-  getAll: async () => {
+  search: async (search: SessionSearch = {}): Promise<SessionPage> => {
     try {
-      const response = await api.get('/sessions');
+      const { status, ...params } = search;
+      const response = await api.get('/sessions', {
+        params: { ...params, status: status?.length ? status.join(',') : undefined }
+      });
       return response.data;
-    } catch (error: any) {
-      console.error('Get sessions API error:', error);
+    } catch (error) {
+      console.error('Search sessions API error:', error);
       throw error;
     }
   },
   
-  create: async (sessionData: { cifNumber: string; lcNumber: string; lifecycle: string }) => {
+  create: async (sessionData: NewSession) => {
     try {
       const response = await api.post('/sessions', sessionData);
       return response.data;
@@ -106,9 +218,9 @@ export const sessionsAPI = {
     }
   },
   
-  updateStatus: async (sessionId: string, status: string) => {
+  updateStatus: async (sessionId: string, status: string, reason?: string) => {
     try {
-      const response = await api.patch(`/sessions/${sessionId}/status`, { status });
+      const response = await api.patch(`/sessions/${sessionId}/status`, { status, reason });
       return response.data;
     } catch (error: any) {
       console.error('Update session status API error:', error);
@@ -116,6 +228,119 @@ export const sessionsAPI = {
     }
   },
   
+  getStatusHistory: async (sessionId: string): Promise<SessionLifecycle> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/status`);
+      return response.data;
+    } catch (error) {
+      console.error('Get session status history API error:', error);
+      throw error;
+    }
+  },
+  
+  getAudit: async (sessionId: string, cursor?: string): Promise<AuditPage> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/audit`, { params: cursor ? { cursor } : {} });
+      return response.data;
+    } catch (error) {
+      console.error('Get session audit trail API error:', error);
+      throw error;
+    }
+  },
+  
+  getAtRiskSessions: async (): Promise<AtRiskSessions> => {
+    try {
+      const response = await api.get('/sessions/deadlines');
+      return response.data;
+    } catch (error) {
+      console.error('Get examination deadlines API error:', error);
+      throw error;
+    }
+  },
+
+  getDeadlines: async (sessionId: string): Promise<SessionDeadlines> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/deadlines`);
+      return response.data;
+    } catch (error) {
+      console.error('Get session deadlines API error:', error);
+      throw error;
+    }
+  },
+
+  updatePresentation: async (
+    sessionId: string,
+    presentation: { presentationDate: string; countryCode?: string; branchCode?: string }
+  ): Promise<SessionDeadlines> => {
+    try {
+      const response = await api.patch(`/sessions/${sessionId}/presentation`, presentation);
+      return response.data;
+    } catch (error) {
+      console.error('Update session presentation API error:', error);
+      throw error;
+    }
+  },
+
+  getReview: async (sessionId: string): Promise<SessionReviewState> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/review`);
+      return response.data;
+    } catch (error) {
+      console.error('Get session review API error:', error);
+      throw error;
+    }
+  },
+  
+  submitReview: async (sessionId: string, note?: string): Promise<SessionReview> => {
+    try {
+      const response = await api.post(`/sessions/${sessionId}/review`, { note });
+      return response.data;
+    } catch (error) {
+      console.error('Submit session review API error:', error);
+      throw error;
+    }
+  },
+  
+  decideReview: async (sessionId: string, decision: 'approved' | 'returned', note?: string): Promise<SessionReview> => {
+    try {
+      const response = await api.patch(`/sessions/${sessionId}/review`, { decision, note });
+      return response.data;
+    } catch (error) {
+      console.error('Decide session review API error:', error);
+      throw error;
+    }
+  },
+  
+  getRefusal: async (sessionId: string): Promise<RefusalState> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/refusal`);
+      return response.data;
+    } catch (error) {
+      console.error('Get refusal notice API error:', error);
+      throw error;
+    }
+  },
+  
+  previewRefusal: async (sessionId: string, refusal: RefusalInput): Promise<RefusalDraft> => {
+    try {
+      const response = await api.post(`/sessions/${sessionId}/refusal/preview`, refusal);
+      return response.data;
+    } catch (error) {
+      console.error('Preview refusal notice API error:', error);
+      throw error;
+    }
+  },
+  
+  issueRefusal: async (sessionId: string, refusal: RefusalInput): Promise<RefusalNotice> => {
+    try {
+      const response = await api.post(`/sessions/${sessionId}/refusal`, refusal);
+      return response.data;
+    } catch (error) {
+      console.error('Issue refusal notice API error:', error);
+      throw error;
+    }
+  },
+  
   incrementIteration: async (sessionId: string) => {
     try {
       const response = await api.patch(`/sessions/${sessionId}/iterate`);
@@ -135,6 +360,74 @@ export const sessionsAPI = {
       throw error;
     }
   },
+
+  getDiscrepancies: async (sessionId: string) => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/discrepancies`);
+      return response.data;
+    } catch (error) {
+      console.error('Get discrepancies API error:', error);
+      throw error;
+    }
+  },
+
+  examineDiscrepancies: async (sessionId: string, asOf?: string) => {
+    try {
+      const response = await api.post(`/sessions/${sessionId}/discrepancies/check`, asOf ? { asOf } : {});
+      return response.data;
+    } catch (error) {
+      console.error('Examine discrepancies API error:', error);
+      throw error;
+    }
+  },
+
+  updateDiscrepancyStatus: async (
+    sessionId: string,
+    discrepancyId: string,
+    change: { status: DiscrepancyStatus; reason?: string; waiverDocumentId?: string }
+  ): Promise<Discrepancy> => {
+    try {
+      const response = await api.patch(`/sessions/${sessionId}/discrepancies/${discrepancyId}`, change);
+      return response.data;
+    } catch (error) {
+      console.error('Update discrepancy status API error:', error);
+      throw error;
+    }
+  },
+
+  getDiscrepancyHistory: async (sessionId: string): Promise<DiscrepancyTransition[]> => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/discrepancies/history`);
+      return response.data;
+    } catch (error) {
+      console.error('Get discrepancy history API error:', error);
+      throw error;
+    }
+  },
+
+  getCredit: async (sessionId: string, asOf?: string) => {
+    try {
+      const response = await api.get(`/sessions/${sessionId}/credit`, { params: asOf ? { asOf } : undefined });
+      return response.data;
+    } catch (error) {
+      console.error('Get credit API error:', error);
+      throw error;
+    }
+  },
+
+  respondToAmendment: async (
+    sessionId: string,
+    amendmentId: string,
+    data: { response: 'accepted' | 'rejected'; responseDate?: string; notes?: string }
+  ) => {
+    try {
+      const response = await api.put(`/sessions/${sessionId}/amendments/${amendmentId}/response`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Respond to amendment API error:', error);
+      throw error;
+    }
+  },
 };
 
 // Documents API
@@ -167,9 +460,9 @@ export const documentsAPI = {
     }
   },
   
-  process: async (documentId: string) => {
+  process: async (documentId: string, engine?: OCREngine) => {
     try {
-      const response = await api.post(`/documents/${documentId}/process`);
+      const response = await api.post(`/documents/${documentId}/process`, engine ? { engine } : {});
       return response.data;
     } catch (error: any) {
       console.error('Process document API error:', error);
@@ -207,30 +500,34 @@ export const documentsAPI = {
     }
   },
 
-  requestNewDocumentApproval: async (documentId: string, documentType: string) => {
+  requestNewDocumentApproval: async (documentId: string, request: NewDocumentTypeRequest) => {
     try {
-      const response = await api.post(`/documents/${documentId}/request-approval`, { documentType });
+      const response = await api.post(`/documents/${documentId}/request-approval`, request);
       return response.data;
-    } catch (error: any) {
+    } catch (error) {
       console.error('Request approval API error:', error);
       throw error;
     }
   },
 
-  editDocument: async (documentId: string, changes: any) => {
+  // Edit the cleaned text; saved as a new version of the document
+  editDocument: async (documentId: string, changes: DocumentEdit): Promise<DocumentChangeResult> => {
     try {
       const response = await api.patch(`/documents/${documentId}`, changes);
       return response.data;
-    } catch (error: any) {
+    } catch (error) {
       console.error('Edit document API error:', error);
       throw error;
     }
   },
 
-  replaceDocument: async (documentId: string, newFile: File) => {
+  replaceDocument: async (documentId: string, newFile: File, changeNote?: string): Promise<DocumentChangeResult> => {
     try {
       const formData = new FormData();
       formData.append('document', newFile);
+      if (changeNote) {
+        formData.append('changeNote', changeNote);
+      }
       
       const response = await api.put(`/documents/${documentId}/replace`, formData, {
         headers: {
@@ -239,22 +536,73 @@ export const documentsAPI = {
         timeout: 60000,
       });
       return response.data;
-    } catch (error: any) {
+    } catch (error) {
       console.error('Replace document API error:', error);
       throw error;
     }
   },
 
-  revertDocument: async (documentId: string) => {
+  // Restore an earlier version; the one before the current version by default
+  revertDocument: async (documentId: string, version?: number, changeNote?: string): Promise<DocumentChangeResult> => {
     try {
-      const response = await api.post(`/documents/${documentId}/revert`);
+      const response = await api.post(`/documents/${documentId}/revert`, { version, changeNote });
       return response.data;
-    } catch (error: any) {
+    } catch (error) {
       console.error('Revert document API error:', error);
       throw error;
     }
   },
 
+  getVersions: async (documentId: string): Promise<DocumentVersion[]> => {
+    try {
+      const response = await api.get(`/documents/${documentId}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error('Get document versions API error:', error);
+      throw error;
+    }
+  },
+
+  getIterations: async (documentId: string): Promise<DocumentIteration[]> => {
+    try {
+      const response = await api.get(`/documents/${documentId}/iterations`);
+      return response.data;
+    } catch (error) {
+      console.error('Get iterations API error:', error);
+      throw error;
+    }
+  },
+
+  getIteration: async (documentId: string, iterationNumber: number): Promise<DocumentIterationDetail> => {
+    try {
+      const response = await api.get(`/documents/${documentId}/iterations/${iterationNumber}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get iteration API error:', error);
+      throw error;
+    }
+  },
+
+  diffIterations: async (documentId: string, from: number, to: number): Promise<IterationDiff> => {
+    try {
+      const response = await api.get(`/documents/${documentId}/iterations/diff`, { params: { from, to } });
+      return response.data;
+    } catch (error) {
+      console.error('Diff iterations API error:', error);
+      throw error;
+    }
+  },
+
+  promoteIteration: async (documentId: string, iterationNumber: number): Promise<IterationPromoteResult> => {
+    try {
+      const response = await api.post(`/documents/${documentId}/iterations/${iterationNumber}/promote`);
+      return response.data;
+    } catch (error) {
+      console.error('Promote iteration API error:', error);
+      throw error;
+    }
+  },
+
   saveToMasterRecord: async (sessionId: string) => {
     try {
       const response = await api.post(`/sessions/${sessionId}/save-master`);
@@ -268,9 +616,9 @@ export const documentsAPI = {
 
 // OCR API
 export const ocrAPI = {
-  processDocument: async (documentId: string) => {
+  processDocument: async (documentId: string, engine?: OCREngine) => {
     try {
-      const response = await api.post(`/ocr/process/${documentId}`);
+      const response = await api.post(`/ocr/process/${documentId}`, engine ? { engine } : {});
       return response.data;
     } catch (error: any) {
       console.error('OCR process API error:', error);
@@ -278,9 +626,9 @@ export const ocrAPI = {
     }
   },
 
-  reprocessDocument: async (documentId: string) => {
+  reprocessDocument: async (documentId: string, engine?: OCREngine) => {
     try {
-      const response = await api.post(`/ocr/reprocess/${documentId}`);
+      const response = await api.post(`/ocr/reprocess/${documentId}`, engine ? { engine } : {});
       return response.data;
     } catch (error: any) {
       console.error('OCR reprocess API error:', error);
@@ -373,29 +721,200 @@ export const templatesAPI = {
       throw error;
     }
   },
+
+  // Admins also see deactivated templates
+  getAllForAdmin: async () => {
+    try {
+      const response = await api.get('/templates', { params: { includeInactive: true } });
+      return response.data;
+    } catch (error) {
+      console.error('Get templates API error:', error);
+      throw error;
+    }
+  },
+
+  getById: async (templateId: string) => {
+    try {
+      const response = await api.get(`/templates/${templateId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Get template API error:', error);
+      throw error;
+    }
+  },
+
+  create: async (template: DocumentTemplateInput) => {
+    try {
+      const response = await api.post('/templates', template);
+      return response.data;
+    } catch (error) {
+      console.error('Create template API error:', error);
+      throw error;
+    }
+  },
+
+  update: async (templateId: string, template: DocumentTemplateInput) => {
+    try {
+      const response = await api.put(`/templates/${templateId}`, template);
+      return response.data;
+    } catch (error) {
+      console.error('Update template API error:', error);
+      throw error;
+    }
+  },
+
+  deactivate: async (templateId: string) => {
+    try {
+      const response = await api.delete(`/templates/${templateId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Deactivate template API error:', error);
+      throw error;
+    }
+  },
+
+  getVersions: async (templateId: string) => {
+    try {
+      const response = await api.get(`/templates/${templateId}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error('Get template versions API error:', error);
+      throw error;
+    }
+  },
+
+  restoreVersion: async (templateId: string, version: number, expectedVersion?: number) => {
+    try {
+      const response = await api.post(`/templates/${templateId}/versions/${version}/restore`, { expectedVersion });
+      return response.data;
+    } catch (error) {
+      console.error('Restore template version API error:', error);
+      throw error;
+    }
+  },
 };
 
 // Admin API
 export const adminAPI = {
-  getPendingApprovals: async () => {
+  getApprovals: async (status?: DocumentApproval['status']) => {
     try {
-      const response = await api.get('/admin/approvals');
+      const response = await api.get('/admin/approvals', { params: status ? { status } : {} });
       return response.data;
-    } catch (error: any) {
-      console.error('Get pending approvals API error:', error);
+    } catch (error) {
+      console.error('Get approvals API error:', error);
       throw error;
     }
   },
 
-  approveDocument: async (approvalId: string, approved: boolean, notes?: string) => {
+  approveDocument: async (approvalId: string, approved: boolean, notes?: string, template?: Partial<DocumentTemplateInput>) => {
     try {
-      const response = await api.patch(`/admin/approvals/${approvalId}`, { approved, notes });
+      const response = await api.patch(`/admin/approvals/${approvalId}`, { approved, notes, template });
       return response.data;
-    } catch (error: any) {
+    } catch (error) {
       console.error('Approve document API error:', error);
       throw error;
     }
   },
+
+  getUsers: async (): Promise<AdminUser[]> => {
+    try {
+      const response = await api.get('/admin/users');
+      return response.data;
+    } catch (error) {
+      console.error('Get users API error:', error);
+      throw error;
+    }
+  },
+
+  createUser: async (user: NewUser): Promise<AdminUser> => {
+    try {
+      const response = await api.post('/admin/users', user);
+      return response.data;
+    } catch (error) {
+      console.error('Create user API error:', error);
+      throw error;
+    }
+  },
+
+  updateUser: async (userId: string, changes: Partial<Pick<AdminUser, 'name' | 'role' | 'isActive'>>): Promise<AdminUser> => {
+    try {
+      const response = await api.patch(`/admin/users/${userId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Update user API error:', error);
+      throw error;
+    }
+  },
+
+  resetPassword: async (userId: string, password: string): Promise<AdminUser> => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/password`, { password });
+      return response.data;
+    } catch (error) {
+      console.error('Reset password API error:', error);
+      throw error;
+    }
+  },
+
+  unlockUser: async (userId: string): Promise<AdminUser> => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/unlock`);
+      return response.data;
+    } catch (error) {
+      console.error('Unlock user API error:', error);
+      throw error;
+    }
+  },
+
+  revokeSignIns: async (userId: string): Promise<{ signIns: number }> => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/revoke-sessions`);
+      return response.data;
+    } catch (error) {
+      console.error('Revoke sign-ins API error:', error);
+      throw error;
+    }
+  },
+
+  getHolidays: async (year: number, countryCode?: string): Promise<BankingHoliday[]> => {
+    try {
+      const response = await api.get('/admin/holidays', { params: { year, country: countryCode || undefined } });
+      return response.data;
+    } catch (error) {
+      console.error('Get banking holidays API error:', error);
+      throw error;
+    }
+  },
+
+  createHoliday: async (holiday: NewBankingHoliday): Promise<BankingHoliday> => {
+    try {
+      const response = await api.post('/admin/holidays', holiday);
+      return response.data;
+    } catch (error) {
+      console.error('Create banking holiday API error:', error);
+      throw error;
+    }
+  },
+
+  deleteHoliday: async (holidayId: string) => {
+    try {
+      const response = await api.delete(`/admin/holidays/${holidayId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Delete banking holiday API error:', error);
+      throw error;
+    }
+  },
+
+  verifyAudit: async (): Promise<AuditVerification> => {
+    try {
+      const response = await api.get('/admin/audit/verify');
+      return response.data;
+    } catch (error) {
+      console.error('Verify audit log API error:', error);
+      throw error;
+    }
+  },
 };
 
 // Health check
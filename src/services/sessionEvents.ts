@@ -0,0 +1,146 @@
+import { API_BASE_URL, getAccessToken } from './api';
+import { EventStreamStatus, SessionEvent } from '../types';
+
+// Client for GET /sessions/:id/events. EventSource cannot send the
+// Authorization header, so the stream is read with fetch. A dropped stream
+// is reopened with backoff and resumes after the last event received.
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+const SESSION_EVENT_TYPES: SessionEvent['type'][] = ['progress', 'stage', 'split', 'discrepancies', 'status', 'resync'];
+
+interface SessionEventHandlers {
+  onEvent: (event: SessionEvent) => void;
+  onStatusChange?: (status: EventStreamStatus) => void;
+}
+
+interface StreamMessage {
+  id: string | null;
+  event: string;
+  data: string;
+}
+
+// Returns a function that closes the stream
+export const subscribeToSessionEvents = (
+  sessionId: string,
+  { onEvent, onStatusChange = () => {} }: SessionEventHandlers
+) => {
+  const controller = new AbortController();
+  let lastEventId: string | null = null;
+  let baseRetryMs = MIN_RETRY_MS;
+  let retryMs = MIN_RETRY_MS;
+  let retryTimer: ReturnType<typeof setTimeout> | undefined;
+  let hasConnected = false;
+
+  const dispatch = (message: StreamMessage) => {
+    if (message.id) {
+      lastEventId = message.id;
+    }
+    if (!SESSION_EVENT_TYPES.includes(message.event as SessionEvent['type'])) return;
+
+    try {
+      onEvent({ type: message.event, data: JSON.parse(message.data) } as SessionEvent);
+    } catch (error) {
+      console.error('Invalid session event:', error);
+    }
+  };
+
+  const connect = async () => {
+    onStatusChange(hasConnected ? 'reconnecting' : 'connecting');
+
+    try {
+      const token = await getAccessToken();
+      const headers: Record<string, string> = { Accept: 'text/event-stream' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+      const response = await fetch(`${API_BASE_URL}/sessions/${sessionId}/events`, {
+        headers,
+        signal: controller.signal
+      });
+
+      // Retrying does not help against these
+      if ([401, 403, 404].includes(response.status)) {
+        onStatusChange('closed');
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed with status ${response.status}`);
+      }
+
+      onStatusChange('open');
+      retryMs = baseRetryMs;
+
+      // Without an event id the server cannot replay what happened while
+      // the stream was down
+      if (hasConnected && !lastEventId) {
+        onEvent({ type: 'resync', data: { sessionId } });
+      }
+      hasConnected = true;
+
+      await readStream(response.body, dispatch, (retry) => {
+        baseRetryMs = retry;
+        retryMs = retry;
+      });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Session event stream error:', error);
+    }
+
+    if (controller.signal.aborted) return;
+    onStatusChange('reconnecting');
+    retryTimer = setTimeout(connect, retryMs);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  };
+
+  connect();
+
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+    onStatusChange('closed');
+  };
+};
+
+// Parse a text/event-stream body until the server closes it
+const readStream = async (
+  body: ReadableStream<Uint8Array>,
+  onMessage: (message: StreamMessage) => void,
+  onRetry: (retryMs: number) => void
+) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let message: StreamMessage = { id: null, event: 'message', data: '' };
+
+  const processLine = (line: string) => {
+    if (line === '') {
+      if (message.data) {
+        onMessage({ ...message, data: message.data.replace(/\n$/, '') });
+      }
+      message = { id: null, event: 'message', data: '' };
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'id') message.id = value;
+    else if (field === 'event') message.event = value;
+    else if (field === 'data') message.data += `${value}\n`;
+    else if (field === 'retry' && /^\d+$/.test(value)) onRetry(Number(value));
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop() || '';
+    lines.forEach(processLine);
+  }
+};
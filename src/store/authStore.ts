@@ -1,14 +1,16 @@
 import { create } from 'zustand';
-import { User } from '../types';
-import { authAPI } from '../services/api';
+import { Permission, User } from '../types';
+import { authAPI, clearSignIn, storeSignIn } from '../services/api';
 
 interface AuthState {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   login: (email: string, password: string) => Promise<void>;
-  logout: () => void;
+  logout: () => Promise<void>;
+  logoutEverywhere: () => Promise<void>;
   checkAuth: () => void;
+  can: (permission: Permission) => boolean;
 }
 
 export const useAuthStore = create<AuthState>((set, get) => ({
@@ -23,8 +25,7 @@ export const useAuthStore = create<AuthState>((set, get) => ({
       const response = await authAPI.login(email, password);
       
       // Store auth data
-      localStorage.setItem('auth_token', response.token);
-      localStorage.setItem('user', JSON.stringify(response.user));
+      storeSignIn(response);
       
       set({ 
         user: response.user, 
@@ -37,9 +38,28 @@ export const useAuthStore = create<AuthState>((set, get) => ({
     }
   },
 
-  logout: () => {
-    localStorage.removeItem('auth_token');
-    localStorage.removeItem('user');
+  // End the sign-in on the server too, so its refresh token stops working
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Server logout failed:', error);
+      }
+    }
+    clearSignIn();
+    set({ user: null, isAuthenticated: false });
+  },
+
+  // End every sign-in of the user, on every device
+  logoutEverywhere: async () => {
+    try {
+      await authAPI.logoutEverywhere();
+    } catch (error) {
+      console.error('Server logout everywhere failed:', error);
+    }
+    clearSignIn();
     set({ user: null, isAuthenticated: false });
   },
 
@@ -54,10 +74,13 @@ export const useAuthStore = create<AuthState>((set, get) => ({
         set({ user: response.user, isAuthenticated: true });
       } catch (error) {
         // Clear invalid data
-        localStorage.removeItem('auth_token');
-        localStorage.removeItem('user');
+        clearSignIn();
         set({ user: null, isAuthenticated: false });
       }
     }
   },
+
+  // Whether the signed-in user's role allows something; the server decides
+  // in the end, this only hides what would be refused
+  can: (permission: Permission) => Boolean(get().user?.permissions?.includes(permission)),
 }));
\ No newline at end of file
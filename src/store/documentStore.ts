@@ -1,6 +1,10 @@
 import { create } from 'zustand';
-import { Document, ExtractedField, DocumentIteration } from '../types';
+import { Document, ExtractedField, DocumentIteration, DocumentProgress, DocumentSplitSummary, EventStreamStatus, SessionEvent, TemplateComparison, NewDocumentTypeRequest, DocumentApproval, DocumentEdit } from '../types';
 import { documentsAPI, ocrAPI, fieldsAPI } from '../services/api';
+import { subscribeToSessionEvents } from '../services/sessionEvents';
+
+// Stages after which a document's status has changed on the server
+const FINAL_STAGES = ['completed', 'error', 'cancelled'];
 
 interface DocumentState {
   documents: Document[];
@@ -9,6 +13,14 @@ interface DocumentState {
   iterations: DocumentIteration[];
   isLoading: boolean;
   error: string | null;
+
+  // Live processing state from the session event stream
+  progress: Record<string, DocumentProgress>;
+  splits: Record<string, DocumentSplitSummary[]>;
+  discrepanciesCheckedAt: string | null;
+  sessionStatusChangedAt: string | null;
+  eventStreamStatus: EventStreamStatus;
+  subscribeToSession: (sessionId: string) => () => void;
   
   // Document operations
   loadDocuments: (sessionId: string) => Promise<void>;
@@ -23,14 +35,15 @@ interface DocumentState {
   validateField: (fieldId: string, isValid: boolean) => Promise<void>;
   
   // Document comparison and cataloging
-  compareDocument: (documentId: string) => Promise<any>;
+  compareDocument: (documentId: string) => Promise<TemplateComparison>;
   catalogDocument: (documentId: string, templateId: string) => Promise<void>;
-  requestNewDocumentApproval: (documentId: string, documentType: string) => Promise<void>;
+  requestNewDocumentApproval: (documentId: string, request: NewDocumentTypeRequest) => Promise<void>;
   
   // Document control
-  editDocument: (documentId: string, changes: any) => Promise<void>;
-  replaceDocument: (documentId: string, newFile: File) => Promise<void>;
-  revertChanges: (documentId: string) => Promise<void>;
+  editDocument: (documentId: string, changes: DocumentEdit) => Promise<void>;
+  replaceDocument: (documentId: string, newFile: File, changeNote?: string) => Promise<void>;
+  revertChanges: (documentId: string, version?: number, changeNote?: string) => Promise<void>;
+  promoteIteration: (documentId: string, iterationNumber: number) => Promise<void>;
   
   // Final storage
   saveToMasterRecord: (sessionId: string) => Promise<void>;
@@ -45,6 +58,64 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
   iterations: [],
   isLoading: false,
   error: null,
+  progress: {},
+  splits: {},
+  discrepanciesCheckedAt: null,
+  sessionStatusChangedAt: null,
+  eventStreamStatus: 'closed',
+
+  subscribeToSession: (sessionId: string) => {
+    // Reload the list in place, without the loading state of loadDocuments
+    const refreshDocuments = async () => {
+      try {
+        const documents = await documentsAPI.getBySession(sessionId);
+        set({ documents });
+      } catch (error) {
+        console.error('Error refreshing documents:', error);
+      }
+    };
+
+    const handleEvent = (event: SessionEvent) => {
+      switch (event.type) {
+        case 'progress': {
+          const progress = event.data;
+          set(state => ({
+            progress: { ...state.progress, [progress.documentId]: progress },
+            documents: state.documents.map(doc =>
+              doc.id === progress.documentId && !FINAL_STAGES.includes(progress.stage) && doc.status !== 'processing'
+                ? { ...doc, status: 'processing' }
+                : doc
+            )
+          }));
+          break;
+        }
+        case 'stage':
+          if (FINAL_STAGES.includes(event.data.to) || !get().documents.some(doc => doc.id === event.data.documentId)) {
+            refreshDocuments();
+          }
+          break;
+        case 'split':
+          set(state => ({ splits: { ...state.splits, [event.data.documentId]: event.data.splits } }));
+          break;
+        case 'discrepancies':
+          set({ discrepanciesCheckedAt: event.data.checkedAt });
+          break;
+        case 'status':
+          set({ sessionStatusChangedAt: event.data.updatedAt });
+          break;
+        case 'resync':
+          set({ progress: {}, discrepanciesCheckedAt: new Date().toISOString(), sessionStatusChangedAt: new Date().toISOString() });
+          refreshDocuments();
+          break;
+      }
+    };
+
+    set({ progress: {}, splits: {}, discrepanciesCheckedAt: null, sessionStatusChangedAt: null });
+    return subscribeToSessionEvents(sessionId, {
+      onEvent: handleEvent,
+      onStatusChange: (eventStreamStatus) => set({ eventStreamStatus })
+    });
+  },
 
   loadDocuments: async (sessionId: string) => {
     set({ isLoading: true, error: null });
@@ -60,19 +131,12 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
   processDocument: async (documentId: string) => {
     set({ isLoading: true, error: null });
     try {
-      const result = await ocrAPI.processDocument(documentId);
+      // Processing is queued; its progress and result arrive as session events
+      await ocrAPI.processDocument(documentId);
       
-      // Update document status and content
       set(state => ({
         documents: state.documents.map(doc =>
-          doc.id === documentId 
-            ? { 
-                ...doc, 
-                status: 'processed', 
-                rawContent: result.data?.extractedText || result.extractedText,
-                extractedFields: result.data?.extractedFields || result.extractedFields || []
-              }
-            : doc
+          doc.id === documentId ? { ...doc, status: 'processing' } : doc
         ),
         isLoading: false
       }));
@@ -109,18 +173,13 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
   reprocessDocument: async (documentId: string) => {
     set({ isLoading: true, error: null });
     try {
-      // Increment iteration and reprocess
-      const result = await ocrAPI.reprocessDocument(documentId);
+      // The run is queued and stored as the document's newest iteration once
+      // it finishes
+      await ocrAPI.reprocessDocument(documentId);
       
       set(state => ({
         documents: state.documents.map(doc =>
-          doc.id === documentId 
-            ? { 
-                ...doc, 
-                status: 'processing',
-                iterations: [...(doc.iterations || []), result.iteration || {}]
-              }
-            : doc
+          doc.id === documentId ? { ...doc, status: 'processing' } : doc
         ),
         isLoading: false
       }));
@@ -148,47 +207,17 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
   extractFields: async (documentId: string) => {
     set({ isLoading: true, error: null });
     try {
-      // For now, we'll use the OCR data that was already extracted during processing
-      // In a real implementation, this would call a separate field extraction API
-      const document = get().documents.find(d => d.id === documentId);
-      
-      if (document && document.extractedFields && document.extractedFields.length > 0) {
-        // Fields already extracted, just update the state
-        set(state => ({
-          extractedFields: document.extractedFields,
-          isLoading: false
-        }));
-        return;
-      }
-      
-      // If no fields exist, try to extract them from the processed document
-      try {
-        const result = await ocrAPI.processDocument(documentId);
-        const fields = result.data?.extractedFields || result.extractedFields || [];
-        
-        set(state => ({
-          documents: state.documents.map(doc =>
-            doc.id === documentId 
-              ? { ...doc, extractedFields: fields }
-              : doc
-          ),
-          extractedFields: fields,
-          isLoading: false
-        }));
-      } catch (extractError) {
-        // If extraction fails, create mock fields based on document type
-        const mockFields = createMockFields(documentId, document?.fileName || '');
-        
-        set(state => ({
-          documents: state.documents.map(doc =>
-            doc.id === documentId 
-              ? { ...doc, extractedFields: mockFields }
-              : doc
-          ),
-          extractedFields: mockFields,
-          isLoading: false
-        }));
-      }
+      const fields: ExtractedField[] = await fieldsAPI.extractFields(documentId);
+
+      set(state => ({
+        documents: state.documents.map(doc =>
+          doc.id === documentId 
+            ? { ...doc, extractedFields: fields }
+            : doc
+        ),
+        extractedFields: fields,
+        isLoading: false
+      }));
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || error.message || 'Failed to extract fields';
       set({ isLoading: false, error: errorMessage });
@@ -198,22 +227,8 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
 
   updateField: async (fieldId: string, value: string) => {
     try {
-      // For now, just update locally. In a real implementation, this would call the API
-      set(state => ({
-        extractedFields: state.extractedFields.map(field =>
-          field.id === fieldId 
-            ? { ...field, fieldValue: value, isEdited: true }
-            : field
-        ),
-        documents: state.documents.map(doc => ({
-          ...doc,
-          extractedFields: doc.extractedFields.map(field =>
-            field.id === fieldId 
-              ? { ...field, fieldValue: value, isEdited: true }
-              : field
-          )
-        }))
-      }));
+      const updatedField: ExtractedField = await fieldsAPI.updateField(fieldId, value);
+      set(state => replaceField(state, updatedField));
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || error.message || 'Failed to update field';
       set({ error: errorMessage });
@@ -223,22 +238,8 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
 
   validateField: async (fieldId: string, isValid: boolean) => {
     try {
-      // For now, just update locally. In a real implementation, this would call the API
-      set(state => ({
-        extractedFields: state.extractedFields.map(field =>
-          field.id === fieldId 
-            ? { ...field, isValidated: isValid }
-            : field
-        ),
-        documents: state.documents.map(doc => ({
-          ...doc,
-          extractedFields: doc.extractedFields.map(field =>
-            field.id === fieldId 
-              ? { ...field, isValidated: isValid }
-              : field
-          )
-        }))
-      }));
+      const updatedField: ExtractedField = await fieldsAPI.validateField(fieldId, isValid);
+      set(state => replaceField(state, updatedField));
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || error.message || 'Failed to validate field';
       set({ error: errorMessage });
@@ -261,12 +262,12 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
 
   catalogDocument: async (documentId: string, templateId: string) => {
     try {
-      await documentsAPI.catalogDocument(documentId, templateId);
+      const { matchedTemplate } = await documentsAPI.catalogDocument(documentId, templateId);
       
       set(state => ({
         documents: state.documents.map(doc =>
           doc.id === documentId 
-            ? { ...doc, matchedTemplate: { id: templateId } as any }
+            ? { ...doc, matchedTemplate }
             : doc
         )
       }));
@@ -277,14 +278,23 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
     }
   },
 
-  requestNewDocumentApproval: async (documentId: string, documentType: string) => {
+  requestNewDocumentApproval: async (documentId: string, request: NewDocumentTypeRequest) => {
     try {
-      await documentsAPI.requestNewDocumentApproval(documentId, documentType);
+      const { approval }: { approval: DocumentApproval } = await documentsAPI.requestNewDocumentApproval(documentId, request);
       
       set(state => ({
         documents: state.documents.map(doc =>
           doc.id === documentId 
-            ? { ...doc, isNewDocument: true }
+            ? {
+                ...doc,
+                isNewDocument: true,
+                approvalRequest: {
+                  id: approval.id,
+                  documentType: approval.documentType,
+                  status: approval.status,
+                  adminNotes: approval.adminNotes
+                }
+              }
             : doc
         )
       }));
@@ -295,13 +305,13 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
     }
   },
 
-  editDocument: async (documentId: string, changes: any) => {
+  editDocument: async (documentId: string, changes: DocumentEdit) => {
     try {
-      await documentsAPI.editDocument(documentId, changes);
+      const result = await documentsAPI.editDocument(documentId, changes);
       
       set(state => ({
         documents: state.documents.map(doc =>
-          doc.id === documentId ? { ...doc, ...changes } : doc
+          doc.id === documentId ? result.document : doc
         )
       }));
     } catch (error: any) {
@@ -311,10 +321,10 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
     }
   },
 
-  replaceDocument: async (documentId: string, newFile: File) => {
+  replaceDocument: async (documentId: string, newFile: File, changeNote?: string) => {
     set({ isLoading: true, error: null });
     try {
-      const result = await documentsAPI.replaceDocument(documentId, newFile);
+      const result = await documentsAPI.replaceDocument(documentId, newFile, changeNote);
       
       set(state => ({
         documents: state.documents.map(doc =>
@@ -329,13 +339,13 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
     }
   },
 
-  revertChanges: async (documentId: string) => {
+  revertChanges: async (documentId: string, version?: number, changeNote?: string) => {
     try {
-      const original = await documentsAPI.revertDocument(documentId);
+      const result = await documentsAPI.revertDocument(documentId, version, changeNote);
       
       set(state => ({
         documents: state.documents.map(doc =>
-          doc.id === documentId ? original : doc
+          doc.id === documentId ? result.document : doc
         )
       }));
     } catch (error: any) {
@@ -345,6 +355,22 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
     }
   },
 
+  promoteIteration: async (documentId: string, iterationNumber: number) => {
+    try {
+      const result = await documentsAPI.promoteIteration(documentId, iterationNumber);
+      
+      set(state => ({
+        documents: state.documents.map(doc =>
+          doc.id === documentId ? result.document : doc
+        )
+      }));
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.error || error.message || 'Failed to promote iteration';
+      set({ error: errorMessage });
+      throw error;
+    }
+  },
+
   saveToMasterRecord: async (sessionId: string) => {
     set({ isLoading: true, error: null });
     try {
@@ -362,58 +388,21 @@ export const useDocumentStore = create<DocumentState>((set, get) => ({
   },
 }));
 
-// Helper function to create mock fields for demonstration
-function createMockFields(documentId: string, fileName: string): ExtractedField[] {
-  const name = fileName.toLowerCase();
-  const baseFields: Partial<ExtractedField>[] = [];
-  
-  if (name.includes('lc') || name.includes('letter') || name.includes('credit')) {
-    baseFields.push(
-      { fieldName: 'LC Number', fieldValue: `LC${Math.random().toString().substr(2, 8)}` },
-      { fieldName: 'Issue Date', fieldValue: new Date().toLocaleDateString() },
-      { fieldName: 'Expiry Date', fieldValue: new Date(Date.now() + 180 * 24 * 60 * 60 * 1000).toLocaleDateString() },
-      { fieldName: 'Amount', fieldValue: `USD ${(Math.random() * 100000 + 10000).toFixed(2)}` },
-      { fieldName: 'Beneficiary', fieldValue: 'ABC Trading Company Limited' },
-      { fieldName: 'Applicant', fieldValue: 'XYZ Import Corporation' }
-    );
-  } else if (name.includes('invoice')) {
-    baseFields.push(
-      { fieldName: 'Invoice Number', fieldValue: `INV-${Math.random().toString().substr(2, 6)}` },
-      { fieldName: 'Invoice Date', fieldValue: new Date().toLocaleDateString() },
-      { fieldName: 'Total Amount', fieldValue: `USD ${(Math.random() * 50000 + 5000).toFixed(2)}` },
-      { fieldName: 'Supplier', fieldValue: 'ABC Trading Company' },
-      { fieldName: 'Buyer', fieldValue: 'XYZ Import Corporation' }
-    );
-  } else if (name.includes('bl') || name.includes('lading')) {
-    baseFields.push(
-      { fieldName: 'B/L Number', fieldValue: `BL${Math.random().toString().substr(2, 8)}` },
-      { fieldName: 'Vessel', fieldValue: 'MV TRADE CARRIER' },
-      { fieldName: 'Port of Loading', fieldValue: 'Shanghai, China' },
-      { fieldName: 'Port of Discharge', fieldValue: 'Los Angeles, USA' },
-      { fieldName: 'Shipper', fieldValue: 'ABC Trading Company' },
-      { fieldName: 'Consignee', fieldValue: 'XYZ Import Corporation' }
-    );
-  } else {
-    baseFields.push(
-      { fieldName: 'Document Number', fieldValue: `DOC-${Math.random().toString().substr(2, 8)}` },
-      { fieldName: 'Date', fieldValue: new Date().toLocaleDateString() },
-      { fieldName: 'Amount', fieldValue: `USD ${(Math.random() * 25000 + 1000).toFixed(2)}` }
-    );
-  }
-  
-  return baseFields.map((field, index) => ({
-    id: `field_${documentId}_${index}`,
-    documentId,
-    fieldName: field.fieldName!,
-    fieldValue: field.fieldValue!,
-    confidence: 0.85 + Math.random() * 0.1,
-    position: {
-      x: Math.floor(Math.random() * 400),
-      y: index * 30 + Math.floor(Math.random() * 20),
-      width: 200 + Math.floor(Math.random() * 100),
-      height: 25
-    },
-    isValidated: false,
-    isEdited: false
-  }));
-}
\ No newline at end of file
+// Put a field returned by the API in place, in the field list and its document
+function replaceField(state: DocumentState, updatedField: ExtractedField) {
+  return {
+    extractedFields: state.extractedFields.map(field =>
+      field.id === updatedField.id ? updatedField : field
+    ),
+    documents: state.documents.map(doc =>
+      doc.id === updatedField.documentId
+        ? {
+            ...doc,
+            extractedFields: doc.extractedFields.map(field =>
+              field.id === updatedField.id ? updatedField : field
+            )
+          }
+        : doc
+    )
+  };
+}
@@ -1,16 +1,23 @@
 import { create } from 'zustand';
-import { Session, Document } from '../types';
+import { Session, Document, SessionSearch, SessionPage, NewSession } from '../types';
 import { sessionsAPI, documentsAPI } from '../services/api';
 
 interface SessionState {
   sessions: Session[];
+  // The search the loaded sessions came from, and what it found
+  search: SessionSearch;
+  totalSessions: number;
+  statusCounts: SessionPage['statusCounts'];
+  nextCursor: string | null;
+  isLoadingMore: boolean;
   currentSession: Session | null;
   isLoading: boolean;
   error: string | null;
-  createSession: (data: { cifNumber: string; lcNumber: string; lifecycle: string }) => Promise<Session>;
-  loadSessions: () => Promise<void>;
+  createSession: (data: NewSession) => Promise<Session>;
+  loadSessions: (search?: SessionSearch) => Promise<void>;
+  loadMoreSessions: () => Promise<void>;
   setCurrentSession: (session: Session | null) => void;
-  updateSessionStatus: (sessionId: string, status: Session['status']) => Promise<void>;
+  updateSessionStatus: (sessionId: string, status: Session['status'], reason?: string) => Promise<void>;
   addDocumentToSession: (sessionId: string, document: Document) => void;
   uploadDocument: (sessionId: string, file: File) => Promise<any>;
   incrementIteration: (sessionId: string) => Promise<void>;
@@ -18,8 +25,19 @@ interface SessionState {
   clearError: () => void;
 }
 
+// Sessions come without their documents; the session page loads those
+const withDocuments = (session: Session) => ({
+  ...session,
+  documents: session.documents || []
+});
+
 export const useSessionStore = create<SessionState>((set, get) => ({
   sessions: [],
+  search: {},
+  totalSessions: 0,
+  statusCounts: {},
+  nextCursor: null,
+  isLoadingMore: false,
   currentSession: null,
   isLoading: false,
   error: null,
@@ -38,6 +56,7 @@ export const useSessionStore = create<SessionState>((set, get) => ({
       
       set(state => ({
         sessions: [sessionWithDocs, ...state.sessions],
+        totalSessions: state.totalSessions + 1,
         currentSession: sessionWithDocs,
         isLoading: false,
       }));
@@ -50,19 +69,22 @@ export const useSessionStore = create<SessionState>((set, get) => ({
     }
   },
 
-  loadSessions: async () => {
-    set({ isLoading: true, error: null });
+  loadSessions: async (search = {}) => {
+    set({ isLoading: true, error: null, search });
     
     try {
-      const sessions = await sessionsAPI.getAll();
+      const page = await sessionsAPI.search(search);
       
-      // Ensure all sessions have documents array
-      const sessionsWithDocs = sessions.map((session: any) => ({
-        ...session,
-        documents: session.documents || []
-      }));
+      // A newer search may have started while this one was loading
+      if (get().search !== search) return;
       
-      set({ sessions: sessionsWithDocs, isLoading: false });
+      set({
+        sessions: page.sessions.map(withDocuments),
+        totalSessions: page.total,
+        statusCounts: page.statusCounts,
+        nextCursor: page.nextCursor,
+        isLoading: false
+      });
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || error.message || 'Failed to load sessions';
       set({ isLoading: false, error: errorMessage });
@@ -70,13 +92,37 @@ export const useSessionStore = create<SessionState>((set, get) => ({
     }
   },
 
+  loadMoreSessions: async () => {
+    const { search, nextCursor, isLoadingMore } = get();
+    if (!nextCursor || isLoadingMore) return;
+
+    set({ isLoadingMore: true, error: null });
+
+    try {
+      const page = await sessionsAPI.search({ ...search, cursor: nextCursor });
+      if (get().search !== search) return;
+
+      set(state => ({
+        sessions: [...state.sessions, ...page.sessions.map(withDocuments)],
+        totalSessions: page.total,
+        statusCounts: page.statusCounts,
+        nextCursor: page.nextCursor,
+        isLoadingMore: false
+      }));
+    } catch (error: any) {
+      const errorMessage = error.response?.data?.error || error.message || 'Failed to load more sessions';
+      set({ isLoadingMore: false, error: errorMessage });
+      console.error('Error loading more sessions:', error);
+    }
+  },
+
   setCurrentSession: (session) => {
     set({ currentSession: session });
   },
 
-  updateSessionStatus: async (sessionId, status) => {
+  updateSessionStatus: async (sessionId, status, reason) => {
     try {
-      const updatedSession = await sessionsAPI.updateStatus(sessionId, status);
+      const updatedSession = await sessionsAPI.updateStatus(sessionId, status, reason);
       
       set(state => ({
         sessions: state.sessions.map(session =>
@@ -110,15 +156,9 @@ export const useSessionStore = create<SessionState>((set, get) => ({
     try {
       const response = await documentsAPI.upload(sessionId, file);
       
-      // Add document to session
+      // Add document to session; the server moves the session along
       get().addDocumentToSession(sessionId, response.document);
       
-      // Update session status to uploading if it's still created
-      const session = get().sessions.find(s => s.id === sessionId);
-      if (session && session.status === 'created') {
-        await get().updateSessionStatus(sessionId, 'uploading');
-      }
-      
       return response;
     } catch (error: any) {
       const errorMessage = error.response?.data?.error || error.message || 'Failed to upload document';
@@ -152,6 +192,9 @@ export const useSessionStore = create<SessionState>((set, get) => ({
       
       set(state => ({
         sessions: state.sessions.filter(session => session.id !== sessionId),
+        totalSessions: state.sessions.some(session => session.id === sessionId)
+          ? Math.max(0, state.totalSessions - 1)
+          : state.totalSessions,
         currentSession: state.currentSession?.id === sessionId ? null : state.currentSession,
       }));
     } catch (error: any) {
@@ -1,11 +1,46 @@
+// 'user' is the role of accounts created before maker and checker existed;
+// they work as makers
+export type UserRole = 'user' | 'maker' | 'checker' | 'supervisor' | 'admin' | 'auditor';
+
+export type Permission =
+  | 'sessions:view_all'
+  | 'sessions:create'
+  | 'sessions:edit'
+  | 'sessions:edit_any'
+  | 'sessions:delete'
+  | 'sessions:unfreeze'
+  | 'examination:submit'
+  | 'examination:check'
+  | 'sessions:complete'
+  | 'audit:view';
+
 export interface User {
   id: string;
   email: string;
   name: string;
-  role: 'user' | 'admin';
+  role: UserRole;
+  permissions: Permission[];
   createdAt: string;
 }
 
+// A user as admins manage them
+export interface AdminUser extends Omit<User, 'permissions'> {
+  isActive: boolean;
+  isLocked: boolean;
+  failedLoginAttempts: number;
+  lockedUntil: string | null;
+  lastLoginAt: string | null;
+  passwordChangedAt: string | null;
+  updatedAt: string;
+}
+
+export interface NewUser {
+  email: string;
+  name: string;
+  password: string;
+  role: UserRole;
+}
+
 export interface Session {
   id: string;
   cifNumber: string;
@@ -15,10 +50,317 @@ export interface Session {
   createdAt: string;
   updatedAt: string;
   userId: string;
+  // Day the documents reached the bank (YYYY-MM-DD), and the country and
+  // branch whose banking holidays apply
+  presentationDate?: string | null;
+  countryCode?: string | null;
+  branchCode?: string | null;
+  ownerName?: string | null;
+  documentCount?: number;
+  // Discrepancies neither dismissed nor waived
+  discrepancyCount?: number;
   documents: Document[];
   iterations: number;
 }
 
+export type SessionSort = 'createdAt' | 'updatedAt' | 'lcNumber' | 'cifNumber' | 'discrepancyCount';
+
+// Filters and page of a session search; dates are YYYY-MM-DD and inclusive
+export interface SessionSearch {
+  cif?: string;
+  // Prefix of the LC number
+  lcNumber?: string;
+  lifecycle?: string;
+  status?: Session['status'][];
+  // User id; only admins see other users' sessions
+  owner?: string;
+  createdFrom?: string;
+  createdTo?: string;
+  updatedFrom?: string;
+  updatedTo?: string;
+  minDiscrepancies?: number;
+  maxDiscrepancies?: number;
+  sort?: SessionSort;
+  order?: 'asc' | 'desc';
+  limit?: number;
+  cursor?: string;
+}
+
+export interface SessionPage {
+  sessions: Session[];
+  // Sessions matching the search, and per status ignoring the status filter
+  total: number;
+  statusCounts: Partial<Record<Session['status'], number>>;
+  // Continues after this page; null on the last page
+  nextCursor: string | null;
+  sort: SessionSort;
+  order: 'asc' | 'desc';
+  limit: number;
+}
+
+// A status change of a session. The system makes the changes that follow
+// from uploading and processing documents; changedBy is empty for those.
+export interface SessionTransition {
+  id: string;
+  fromStatus: Session['status'] | null;
+  toStatus: Session['status'];
+  source: 'user' | 'system';
+  reason: string | null;
+  changedBy: string | null;
+  changedByName: string | null;
+  createdAt: string;
+}
+
+export interface SessionLifecycle {
+  status: Session['status'];
+  transitions: SessionTransition[];
+  // Status changes the user could ask for now, and why any is not allowed
+  available: Array<{ status: Session['status']; allowed: boolean; reason: string | null }>;
+}
+
+// An entry of the append-only audit trail. Each entry's hash covers the
+// hash of the entry before it, so a changed or removed entry shows.
+export interface AuditEntry {
+  id: string;
+  sequence: number;
+  actorType: 'user' | 'system';
+  actorId: string | null;
+  actorName: string | null;
+  ipAddress: string | null;
+  // e.g. 'session.delete', 'field.edit', 'document.processed'
+  action: string;
+  entityType: string;
+  entityId: string | null;
+  sessionId: string | null;
+  before: unknown;
+  after: unknown;
+  createdAt: string;
+  previousHash: string;
+  hash: string;
+}
+
+export interface AuditPage {
+  entries: AuditEntry[];
+  // Continues with older entries; null on the last page
+  nextCursor: string | null;
+}
+
+export interface AuditVerification {
+  valid: boolean;
+  checked: number;
+  brokenAt: number | null;
+  problem: string | null;
+  verifiedAt: string;
+}
+
+export interface SessionReview {
+  id: string;
+  sessionId: string;
+  status: 'pending' | 'approved' | 'returned';
+  submittedBy: string;
+  submittedByName: string | null;
+  submittedAt: string;
+  submissionNote: string | null;
+  discrepancySummary: {
+    total: number;
+    blocking: number;
+    warning: number;
+    info: number;
+    discrepancies: { id: string; title: string; severity: string; status: string }[];
+  } | null;
+  decidedBy: string | null;
+  decidedByName: string | null;
+  decidedAt: string | null;
+  decisionNote: string | null;
+}
+
+// GET /sessions/:id/review: the latest review, earlier ones, and what the
+// user may do with it
+export interface SessionReviewState {
+  current: SessionReview | null;
+  history: SessionReview[];
+  // The examination changed after the latest review was submitted
+  stale: boolean;
+  isMaker: boolean;
+  canDecide: boolean;
+  decisionBlockedReason: string | null;
+}
+
+// A session as entered by the examiner. Presentation defaults to today at
+// the bank's own country and branch.
+export interface NewSession {
+  cifNumber: string;
+  lcNumber: string;
+  lifecycle: string;
+  presentationDate?: string;
+  countryCode?: string;
+  branchCode?: string;
+}
+
+// UCP 600 Art. 14(b): five banking days following presentation
+export interface ExaminationDeadline {
+  bankingDays: number;
+  deadline: string;
+  // Negative once the deadline has passed
+  bankingDaysLeft: number;
+  risk: 'on_track' | 'at_risk' | 'overdue' | 'completed';
+}
+
+// UCP 600 Art. 14(c): last day for presenting the documents, from the
+// latest shipment date or the expiry, whichever comes first
+export interface PresentationCutoff {
+  shipmentDate: string | null;
+  presentationDays: number;
+  expiryDate: string | null;
+  basis: 'shipment' | 'expiry' | null;
+  cutoff: string | null;
+  presentedLate: boolean;
+}
+
+// GET /sessions/:id/deadlines
+export interface SessionDeadlines {
+  sessionId: string;
+  asOf: string;
+  presentationDate: string | null;
+  countryCode: string | null;
+  branchCode: string | null;
+  examination: ExaminationDeadline | null;
+  presentation: PresentationCutoff | null;
+}
+
+export interface AtRiskSession {
+  sessionId: string;
+  lcNumber: string;
+  cifNumber: string;
+  status: Session['status'];
+  userId: string;
+  ownerName: string | null;
+  presentationDate: string;
+  countryCode: string | null;
+  branchCode: string | null;
+  examination: ExaminationDeadline;
+}
+
+// GET /sessions/deadlines: sessions close to or past their examination deadline
+export interface AtRiskSessions {
+  asOf: string;
+  atRiskBankingDays: number;
+  sessions: AtRiskSession[];
+}
+
+// A day the bank is closed; without a branch it closes the whole country
+export interface BankingHoliday {
+  id: string;
+  countryCode: string;
+  branchCode: string | null;
+  holidayDate: string;
+  name: string;
+  createdBy: string | null;
+  createdByName: string | null;
+  createdAt: string;
+}
+
+export interface NewBankingHoliday {
+  countryCode: string;
+  branchCode?: string;
+  holidayDate: string;
+  name: string;
+}
+
+// MT734 field 77B: what the refusing bank does with the documents
+export type RefusalDisposal = 'HOLD' | 'NOTIFY' | 'RETURN' | 'PREVINST';
+
+export interface RefusalDisposalOption {
+  code: RefusalDisposal;
+  article: string;
+  label: string;
+  statement: string;
+}
+
+// A discrepancy as listed in a refusal notice
+export interface RefusedDiscrepancy {
+  id: string;
+  ruleId: string;
+  article: string | null;
+  severity: Discrepancy['severity'];
+  title: string;
+  description: string | null;
+  fieldName: string | null;
+  referenceValue: string | null;
+  presentedValue: string | null;
+  presentedDocumentType: string | null;
+}
+
+// What the examiner fills in when refusing; blank values take the defaults
+export interface RefusalInput {
+  disposal: RefusalDisposal;
+  disposalNote?: string;
+  presenterReference?: string;
+  presenterBic?: string;
+  utilisationDate?: string;
+  currency?: string;
+  amount?: number;
+  chargesClaimed?: string;
+  senderToReceiverInfo?: string;
+}
+
+// The UCP 600 Art. 16 notice refusing a presentation
+export interface RefusalNotice {
+  id: string;
+  sessionId: string;
+  senderReference: string;
+  presenterReference: string;
+  presenterBic: string | null;
+  disposal: RefusalDisposal;
+  disposalNote: string | null;
+  utilisationDate: string;
+  currency: string;
+  amount: number;
+  chargesClaimed: string | null;
+  senderToReceiverInfo: string | null;
+  discrepancies: RefusedDiscrepancy[];
+  mt734: string;
+  pdfPath: string;
+  examinationDeadline: string | null;
+  issuedBy: string;
+  issuedByName: string | null;
+  issuedAt: string;
+  // Issued after the examination deadline (Art. 16(f))
+  late: boolean;
+}
+
+// POST /sessions/:id/refusal/preview: the notice as it would be issued
+export interface RefusalDraft {
+  senderReference: string;
+  lcNumber: string | null;
+  utilisationDate: string;
+  currency: string;
+  amount: number;
+  disposalStatement: string;
+  mt734: string;
+  examinationDeadline: string | null;
+  late: boolean;
+}
+
+// GET /sessions/:id/refusal
+export interface RefusalState {
+  notice: RefusalNotice | null;
+  disposalOptions: RefusalDisposalOption[];
+  defaults: {
+    lcNumber: string | null;
+    utilisationDate: string;
+    currency: string | null;
+    amount: number | null;
+    presenterReference: string;
+  } | null;
+  discrepancies: RefusedDiscrepancy[];
+  canIssue: boolean;
+  issueBlockedReason: string | null;
+}
+
+// Server-side engine that extracts text from images and PDFs
+export type OCREngine = 'tesseract' | 'python';
+
 export interface Document {
   id: string;
   sessionId: string;
@@ -28,29 +370,192 @@ export interface Document {
   filePath?: string;
   uploadedAt: string;
   status: 'uploaded' | 'processing' | 'processed' | 'validated' | 'error';
+  errorMessage?: string | null;
   rawContent?: string;
   cleanedContent?: string;
   extractedFields: ExtractedField[];
-  matchedTemplate?: DocumentTemplate;
+  matchedTemplate?: MatchedTemplate | null;
   isNewDocument: boolean;
+  approvalRequest?: DocumentApprovalSummary | null;
+  uploadedBy?: string | null;
+  uploadedByName?: string | null;
+  currentVersion?: number;
+  // The change that made the current version
+  version?: {
+    number: number;
+    changeType: DocumentChangeType;
+    createdBy?: string | null;
+    createdByName?: string | null;
+    createdAt: string;
+  };
   iterations: DocumentIteration[];
 }
 
+// How a version of a document came about
+export type DocumentChangeType = 'upload' | 'replace' | 'edit' | 'revert' | 'promote';
+
+export interface DocumentVersion {
+  id: string | null;
+  documentId: string;
+  versionNumber: number;
+  changeType: DocumentChangeType;
+  revertedFromVersion: number | null;
+  changeNote: string | null;
+  fileName: string;
+  fileType: string;
+  fileSize: number;
+  filePath: string;
+  status: Document['status'];
+  documentType: string | null;
+  createdBy: string | null;
+  createdByName: string | null;
+  createdAt: string;
+  supersededAt: string | null;
+  isCurrent: boolean;
+}
+
+// Cleaned text edits; split documents are edited per split id
+export interface DocumentEdit {
+  cleanedContent?: string;
+  splits?: Record<string, string>;
+  changeNote?: string;
+}
+
+// Answer to an edit, replace or revert
+export interface DocumentChangeResult {
+  message: string;
+  version: number;
+  document: Document;
+  // Set when the change re-examined the session; null when that check failed
+  discrepancySummary?: DiscrepancyReport['summary'] | null;
+}
+
+// The template a document was cataloged with (id set), or only the document
+// type found when it was processed
+export interface MatchedTemplate {
+  id?: string;
+  name: string;
+  type?: 'master' | 'sub';
+  version?: number;
+  documentType?: string;
+  catalogedBy?: string | null;
+  catalogedAt?: string | null;
+}
+
+// Live processing state of a document, pushed over the session event stream
+export interface DocumentProgress {
+  documentId: string;
+  stage: 'queued' | 'processing' | 'completed' | 'error' | 'cancelled' | string;
+  progress: number;
+  message: string;
+  jobId: string | null;
+  timestamp: string;
+}
+
+export interface DocumentSplitSummary {
+  id: string;
+  documentType: string;
+  pageRange?: { start: number; end: number };
+  confidence: number;
+}
+
+export type SessionEvent =
+  | { type: 'progress'; data: DocumentProgress & { sessionId: string } }
+  | { type: 'stage'; data: { sessionId: string; documentId: string; from: string | null; to: string; message: string; jobId: string | null } }
+  | { type: 'split'; data: { sessionId: string; documentId: string; splitCount: number; splits: DocumentSplitSummary[] } }
+  | { type: 'discrepancies'; data: { sessionId: string; documentId?: string; checkedAt: string; summary: DiscrepancyReport['summary'] } }
+  | { type: 'status'; data: { sessionId: string; from: Session['status']; to: Session['status']; source: SessionTransition['source']; updatedAt: string } }
+  | { type: 'resync'; data: { sessionId: string } };
+
+export type EventStreamStatus = 'connecting' | 'open' | 'reconnecting' | 'closed';
+
+// One processing run of a document and what it extracted
 export interface DocumentIteration {
   id: string;
   documentId: string;
+  sessionId: string;
   iterationNumber: number;
-  ocrResult: string;
-  extractedFields: ExtractedField[];
-  createdAt: string;
-  status: 'processing' | 'completed' | 'failed';
+  runType: 'upload' | 'process' | 'reprocess';
+  jobId: string | null;
+  engine: OCREngine | 'swift' | null;
+  status: 'completed' | 'failed';
+  // The document version that was processed
+  documentVersion: number | null;
+  documentType: string | null;
+  splitCount: number | null;
+  fieldCount: number | null;
+  confidence: number | null;
+  durationMs: number | null;
+  errorMessage: string | null;
+  requestedBy: string | null;
+  requestedByName: string | null;
+  startedAt: string;
+  completedAt: string;
+  promotedBy: string | null;
+  promotedByName: string | null;
+  promotedAt: string | null;
+  // Its results are the document's current ones
+  isCurrent: boolean;
+}
+
+export interface DocumentIterationDetail extends DocumentIteration {
+  cleanedContent: string | null;
+  extractedFields: Array<Pick<ExtractedField, 'fieldName' | 'fieldValue' | 'confidence' | 'documentType'>>;
+  pages: Array<{ pageNumber: number; source?: 'text' | 'ocr'; confidence?: number }>;
+}
+
+export interface IterationTextLine {
+  type: 'unchanged' | 'added' | 'removed';
+  text: string;
+}
+
+export interface IterationFieldChange {
+  fieldName: string;
+  documentType: string | null;
+  change: 'added' | 'removed' | 'changed' | 'unchanged';
+  from: { value: string; confidence: number | null } | null;
+  to: { value: string; confidence: number | null } | null;
+}
+
+// Differences between two iterations of a document
+export interface IterationDiff {
+  from: DocumentIteration;
+  to: DocumentIteration;
+  documentTypeChanged: boolean;
+  confidenceChange: number | null;
+  pageCountChange: number;
+  text: {
+    added: number;
+    removed: number;
+    hunks: Array<{ fromStart: number; toStart: number; lines: IterationTextLine[] }>;
+  };
+  fields: {
+    added: number;
+    removed: number;
+    changed: number;
+    unchanged: number;
+    fields: IterationFieldChange[];
+  };
+}
+
+// Answer to promoting an iteration
+export interface IterationPromoteResult {
+  message: string;
+  iteration: DocumentIteration;
+  document: Document;
+  discrepancySummary: DiscrepancyReport['summary'] | null;
 }
 
 export interface ExtractedField {
   id: string;
   documentId: string;
+  sessionId?: string;
+  splitDocumentId?: string | null;
+  documentType?: string | null;
   fieldName: string;
   fieldValue: string;
+  // Value as extracted, before any edit
+  originalValue?: string;
   confidence: number;
   position: {
     x: number;
@@ -59,7 +564,14 @@ export interface ExtractedField {
     height: number;
   };
   isValidated: boolean;
+  validationStatus?: 'pending' | 'validated' | 'rejected';
+  validatedBy?: string | null;
+  validatedByName?: string | null;
+  validatedAt?: string | null;
   isEdited: boolean;
+  editedBy?: string | null;
+  editedByName?: string | null;
+  editedAt?: string | null;
 }
 
 export interface DocumentTemplate {
@@ -67,39 +579,163 @@ export interface DocumentTemplate {
   name: string;
   type: 'master' | 'sub';
   category: string;
+  parentTemplateId?: string | null;
+  parentTemplateName?: string | null;
+  priority: number;
+  startPatterns: string[];
+  endPatterns: string[];
+  keywords: string[];
+  sections: string[];
   fields: TemplateField[];
   isActive: boolean;
+  version: number;
+  createdBy?: string | null;
+  createdByName?: string | null;
+  updatedBy?: string | null;
+  updatedByName?: string | null;
   createdAt: string;
+  updatedAt?: string;
 }
 
 export interface TemplateField {
-  id: string;
-  templateId: string;
+  id?: string;
+  templateId?: string;
   fieldName: string;
   fieldType: 'text' | 'number' | 'date' | 'currency';
   isRequired: boolean;
-  validationRules?: string;
+  extractionPattern?: string | null;
+  validationRules?: TemplateValidationRules | null;
+  confidence?: number | null;
   position?: {
     x: number;
     y: number;
     width: number;
     height: number;
+  } | null;
+}
+
+export interface TemplateValidationRules {
+  pattern?: string;
+  minLength?: number;
+  maxLength?: number;
+  min?: number;
+  max?: number;
+  allowedValues?: string[];
+}
+
+// What an admin sends to create or update a template
+export type DocumentTemplateInput = Pick<DocumentTemplate,
+  'name' | 'type' | 'category' | 'parentTemplateId' | 'priority' |
+  'startPatterns' | 'endPatterns' | 'keywords' | 'sections' | 'fields' | 'isActive'
+> & {
+  expectedVersion?: number;
+  changeNote?: string;
+};
+
+export interface TemplateVersion {
+  id: string;
+  templateId: string;
+  version: number;
+  changeNote: string | null;
+  changedBy: string | null;
+  changedByName: string | null;
+  createdAt: string;
+  definition?: DocumentTemplateInput;
+}
+
+// How a template's field rules fared on a document: 'unavailable' fields
+// have no extraction pattern, 'invalid' values break a validation rule
+export interface TemplateFieldMatch {
+  fieldName: string;
+  fieldType: TemplateField['fieldType'];
+  isRequired: boolean;
+  status: 'matched' | 'invalid' | 'missing' | 'unavailable';
+  value: string | null;
+  validationErrors: string[];
+}
+
+export interface TemplateMatch {
+  id: string;
+  name: string;
+  type: 'master' | 'sub';
+  documentType: string;
+  version: number;
+  confidence: number;
+  scores: {
+    keywords: number | null;
+    structure: number | null;
+    fields: number | null;
   };
+  matchedFields: number;
+  totalFields: number;
+  fields: TemplateFieldMatch[];
+}
+
+export interface TemplateComparison {
+  documentId: string;
+  matches: TemplateMatch[];
+  totalTemplatesChecked: number;
+  bestMatch: TemplateMatch | null;
+  catalogedTemplateId: string | null;
+}
+
+// Why a session cannot be saved to the master record yet
+export interface MasterRecordBlockers {
+  documents: { id: string; fileName: string; status: Document['status'] }[];
+  fields: { id: string; documentId: string; fileName: string; fieldName: string; validationStatus: ExtractedField['validationStatus'] }[];
+  discrepancies: { id: string; title: string; presentedDocumentType: string | null; status: DiscrepancyStatus }[];
+}
+
+// A field proposed for a new document type
+export interface ProposedField {
+  id?: string;
+  fieldName: string;
+  fieldType: TemplateField['fieldType'];
+  isRequired: boolean;
+  extractionPattern?: string | null;
+  validationRules?: TemplateValidationRules | null;
 }
 
-export interface PendingApproval {
+// What a user submits for a document no template matches
+export interface NewDocumentTypeRequest {
+  documentType: string;
+  documentCategory?: string;
+  parentTemplateId?: string | null;
+  keywords?: string[];
+  startPatterns?: string[];
+  fields?: ProposedField[];
+  notes?: string;
+}
+
+export interface DocumentApproval {
   id: string;
-  type: 'document' | 'field';
-  documentId?: string;
-  fieldId?: string;
+  sessionId: string;
+  lcNumber: string;
+  documentId: string;
+  fileName: string;
+  documentType: string;
+  documentCategory: string;
+  parentTemplateId: string | null;
+  parentTemplateName: string | null;
+  keywords: string[];
+  startPatterns: string[];
+  fields: ProposedField[];
+  requestNotes: string | null;
+  status: 'pending' | 'approved' | 'rejected';
   requestedBy: string;
+  requestedByName: string | null;
   requestedAt: string;
-  status: 'pending' | 'approved' | 'rejected';
-  adminNotes?: string;
-  approvedBy?: string;
-  approvedAt?: string;
+  approvedBy: string | null;
+  approvedByName: string | null;
+  approvedAt: string | null;
+  adminNotes: string | null;
+  templateId: string | null;
+  templateName: string | null;
 }
 
+// The latest new document type request of a document
+export type DocumentApprovalSummary = Pick<DocumentApproval, 'id' | 'documentType' | 'status' | 'adminNotes'>;
+
 export interface KeyValuePair {
   id: string;
   sessionId: string;
@@ -111,6 +747,126 @@ export interface KeyValuePair {
   createdAt: string;
 }
 
+// Accepted by the examiner or dismissed with a reason; accepted ones are sent
+// to the applicant, who waives them or not (refused)
+export type DiscrepancyStatus = 'open' | 'accepted' | 'dismissed' | 'sent_to_applicant' | 'waived' | 'refused';
+
+export interface Discrepancy {
+  id: string;
+  sessionId: string;
+  ruleId: string;
+  article: string;
+  severity: 'blocking' | 'warning' | 'info';
+  title: string;
+  description?: string;
+  fieldName?: string;
+  referenceValue?: string;
+  presentedValue?: string;
+  referenceDocumentId?: string;
+  referenceSplitId?: string;
+  referenceDocumentType?: string;
+  presentedDocumentId?: string;
+  presentedSplitId?: string;
+  presentedDocumentType?: string;
+  amendmentNumber: number;
+  status: DiscrepancyStatus;
+  // The latest status change: why, the applicant's waiver, who and when
+  statusReason: string | null;
+  waiverDocumentId: string | null;
+  waiverFileName: string | null;
+  statusChangedBy: string | null;
+  statusChangedByName: string | null;
+  statusChangedAt: string | null;
+  // Set while the last examination no longer finds it
+  supersededAt: string | null;
+  detectedAt: string;
+  updatedAt: string;
+}
+
+// A change of status of a discrepancy
+export interface DiscrepancyTransition {
+  id: string;
+  discrepancyId: string;
+  discrepancyTitle: string;
+  fromStatus: DiscrepancyStatus;
+  toStatus: DiscrepancyStatus;
+  reason: string | null;
+  waiverDocumentId: string | null;
+  waiverFileName: string | null;
+  changedBy: string;
+  changedByName: string | null;
+  createdAt: string;
+}
+
+export interface DiscrepancyReport {
+  sessionId: string;
+  lcReference: {
+    documentId: string;
+    splitId: string | null;
+    source: 'swift' | 'ocr';
+    messageType: 'MT700' | 'MT710' | 'MT720' | null;
+    amendmentNumber: number;
+    appliedAmendments: number[];
+    pendingAmendments: number[];
+    rejectedAmendments: number[];
+    asOf: string;
+    terms: Record<string, unknown>;
+  } | null;
+  // When the stored findings last changed; null before anything was found
+  checkedAt: string | null;
+  documentsExamined?: number;
+  summary: {
+    total: number;
+    blocking: number;
+    warning: number;
+    info: number;
+  };
+  discrepancies: Discrepancy[];
+}
+
+export interface CreditAmendment {
+  id: string;
+  sessionId: string;
+  documentId?: string;
+  amendmentNumber: number;
+  lcNumber?: string;
+  amendmentDate?: string;
+  source: 'swift' | 'ocr';
+  changes: Record<string, unknown>;
+  beneficiaryResponse: 'pending' | 'accepted' | 'rejected';
+  responseDate?: string;
+  respondedBy?: string;
+  responseNotes?: string;
+  createdAt: string;
+}
+
+export interface EffectiveCreditTerms extends Record<string, unknown> {
+  source: 'swift' | 'ocr';
+  lcNumber?: string;
+  amendmentNumber: number;
+  amendedBy: Record<string, number>;
+  appliedAmendments: number[];
+  pendingAmendments: number[];
+  rejectedAmendments: number[];
+  asOf: string;
+}
+
+export interface SessionCredit {
+  sessionId: string;
+  credit: {
+    id: string;
+    documentId?: string;
+    messageType: 'MT700' | 'MT710' | 'MT720';
+    lcNumber: string;
+    createdAt: string;
+    updatedAt: string;
+  } | null;
+  source: 'swift' | 'ocr' | null;
+  referenceDocumentId: string | null;
+  amendments: CreditAmendment[];
+  effectiveTerms: EffectiveCreditTerms | null;
+}
+
 // API Response types
 export interface ApiResponse<T> {
   data?: T;